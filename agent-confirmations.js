@@ -0,0 +1,128 @@
+/**
+ * Agent Confirmations - the Discord prompt for paid tools above a player's
+ * confirmation threshold
+ *
+ * When a paid agent tool costs more than the player's confirmAboveJewel
+ * (spend-controls.js), the agent skips it and lists it in pendingConfirmations.
+ * The bot keeps the refused run here and replies with Confirm / Cancel
+ * buttons (customId agent_confirm:<nonce> / agent_cancel:<nonce>); Confirm
+ * runs just the skipped tools (intent-router resumeConfirmed) and reuses what
+ * the first run already ran and charged, Cancel drops it.
+ *
+ * Pending messages live in memory for CONFIRMATION_TTL_MS: after that (or a
+ * restart) the buttons just say the request expired and the player asks again.
+ * Only the player who asked can press them, and each one works once.
+ */
+
+import { randomUUID } from 'crypto';
+import Decimal from 'decimal.js';
+import { ActionRowBuilder, ButtonBuilder, ButtonStyle } from 'discord.js';
+
+export const CONFIRMATION_TTL_MS = 10 * 60 * 1000;
+const CONFIRM_PREFIX = 'agent_confirm:';
+const CANCEL_PREFIX = 'agent_cancel:';
+
+const pending = new Map(); // nonce -> { request, expiresAt }
+
+// --------------------------
+// Pending requests
+// --------------------------
+
+/**
+ * Keep a refused agent request until the player confirms it
+ *
+ * @param {object} request - { discordId, ... } plus whatever the bot needs to re-run it
+ * @returns {string} - Nonce for the buttons
+ */
+export function createConfirmation(request, now = Date.now()) {
+  for (const [nonce, entry] of pending) {
+    if (entry.expiresAt <= now) pending.delete(nonce);
+  }
+  const nonce = randomUUID();
+  pending.set(nonce, { request, expiresAt: now + CONFIRMATION_TTL_MS });
+  return nonce;
+}
+
+/**
+ * Claim a pending request for the player who pressed a button. A request is
+ * handed out once; someone else's press leaves it in place.
+ *
+ * @returns {object} - { request } or { error: 'expired'|'not_yours' }
+ */
+export function takeConfirmation(nonce, discordId, now = Date.now()) {
+  const entry = pending.get(nonce);
+  if (!entry || entry.expiresAt <= now) {
+    pending.delete(nonce);
+    return { error: 'expired' };
+  }
+  if (entry.request.discordId !== String(discordId)) {
+    return { error: 'not_yours' };
+  }
+  pending.delete(nonce);
+  return { request: entry.request };
+}
+
+// --------------------------
+// Discord prompt
+// --------------------------
+
+/**
+ * Which button a customId belongs to (null for other buttons)
+ *
+ * @returns {object|null} - { action: 'confirm'|'cancel', nonce }
+ */
+export function parseConfirmationId(customId) {
+  if (customId.startsWith(CONFIRM_PREFIX)) return { action: 'confirm', nonce: customId.slice(CONFIRM_PREFIX.length) };
+  if (customId.startsWith(CANCEL_PREFIX)) return { action: 'cancel', nonce: customId.slice(CANCEL_PREFIX.length) };
+  return null;
+}
+
+/**
+ * JEWEL already charged for the tools that ran
+ *
+ * @param {Array} sources - [{ ok, costJewel }] from routeAndExecute()
+ * @returns {string}
+ */
+export function chargedJewel(sources = []) {
+  return sources.reduce((sum, s) => sum.plus(s.ok && s.costJewel ? s.costJewel : 0), new Decimal(0)).toString();
+}
+
+/**
+ * Reply asking the player to confirm the tools the agent skipped
+ *
+ * @param {Array} pendingConfirmations - [{ tool, costJewel }] from routeAndExecute()
+ * @param {string} nonce - From createConfirmation()
+ * @param {object} options - { chargedJewel } already charged for the rest of the answer
+ * @returns {object} - Discord message payload { content, components }
+ */
+export function buildConfirmationPrompt(pendingConfirmations, nonce, { chargedJewel = '0' } = {}) {
+  const total = pendingConfirmations.reduce((sum, p) => sum.plus(p.costJewel || 0), new Decimal(0));
+  const charged = new Decimal(chargedJewel || 0);
+  const lines = pendingConfirmations.map(p => `• \`${p.tool}\` - ${new Decimal(p.costJewel || 0).toString()} JEWEL`);
+  const one = pendingConfirmations.length === 1;
+  const content =
+    `💸 **Confirm paid lookup${one ? '' : 's'}?**\n${lines.join('\n')}\n\n` +
+    `That's above your confirmation threshold. Confirm within ${CONFIRMATION_TTL_MS / 60000} minutes and I'll run ` +
+    `just ${one ? 'that one' : 'those'}, charging up to ${total.toString()} JEWEL.` +
+    (charged.isZero() ? '' : ` The lookups that already ran cost ${charged.toString()} JEWEL and won't be charged again.`);
+
+  const row = new ActionRowBuilder().addComponents(
+    new ButtonBuilder().setCustomId(`${CONFIRM_PREFIX}${nonce}`).setLabel('Confirm').setStyle(ButtonStyle.Success),
+    new ButtonBuilder().setCustomId(`${CANCEL_PREFIX}${nonce}`).setLabel('Cancel').setStyle(ButtonStyle.Secondary)
+  );
+  return { content, components: [row] };
+}
+
+/**
+ * What Cancel tells the player: only the skipped tools are dropped, the ones
+ * that already ran stay charged
+ *
+ * @param {string} chargedJewel - From chargedJewel()
+ * @returns {string}
+ */
+export function buildCancelMessage(chargedJewel = '0') {
+  const charged = new Decimal(chargedJewel || 0);
+  return charged.isZero()
+    ? 'Cancelled. Nothing was charged.'
+    : `Cancelled. The skipped lookups didn't run; the ones that did cost ${charged.toString()} JEWEL.`;
+}
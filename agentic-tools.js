@@ -100,6 +100,41 @@ const GARDEN_TOOLS = [
         required: ["wallet_address"]
       }
     }
+  },
+  {
+    type: "function",
+    function: {
+      name: "optimize_wallet_gardens",
+      description: "Run the garden optimizer for a wallet: simulates the wallet's heroes and pets on its staked LP pools and recommends hero/pet assignments with before/after APR. Call get_wallet_gardens first to confirm the wallet has LP positions. Paid feature.",
+      parameters: {
+        type: "object",
+        properties: {
+          wallet_address: {
+            type: "string",
+            description: "Ethereum wallet address (0x...) to optimize"
+          }
+        },
+        required: ["wallet_address"]
+      }
+    }
+  }
+];
+
+/**
+ * Account Tools
+ */
+const ACCOUNT_TOOLS = [
+  {
+    type: "function",
+    function: {
+      name: "get_linked_wallet",
+      description: "Look up the wallet address(es) the current Discord user has linked with Hedge. Use this before any wallet-specific tool when the user says 'my wallet', 'my gardens' or 'my heroes' without giving an address.",
+      parameters: {
+        type: "object",
+        properties: {},
+        required: []
+      }
+    }
   }
 ];
 
@@ -204,7 +239,8 @@ const ALL_TOOLS = [
   ...GARDEN_TOOLS,
   ...FVE_TOOLS,
   ...SUMMON_TOOLS,
-  ...KNOWLEDGE_TOOLS
+  ...KNOWLEDGE_TOOLS,
+  ...ACCOUNT_TOOLS
 ];
 
 /**
@@ -212,6 +248,7 @@ const ALL_TOOLS = [
  */
 const FREE_TIER_TOOLS = [
   "get_walkthrough",
+  "get_linked_wallet",
   "get_hero_info",              // Basic hero lookup is free
   "get_garden_pools_free"       // Basic APRs are free (without optimization)
 ];
@@ -228,6 +265,7 @@ const TOOL_BASE_PRICES = {
   get_garden_pools_free: 0.0,        // Free for basic APRs
   get_garden_pools_premium: 0.15,    // Paid for optimization
   get_wallet_gardens: 0.20,
+  optimize_wallet_gardens: 25.0,     // Same as the DM optimization report
 
   // Fair Value Engine
   get_hero_fair_value: 0.30,
@@ -237,10 +275,30 @@ const TOOL_BASE_PRICES = {
   get_summon_odds: 0.25,
 
   // Knowledge Base
-  get_walkthrough: 0.0               // Always free
+  get_walkthrough: 0.0,              // Always free
+
+  // Account
+  get_linked_wallet: 0.0
+};
+
+/**
+ * Where each tool's numbers come from (shown in the answer's sources footer)
+ */
+const TOOL_SOURCES = {
+  get_hero_info: "Hero Engine - DFK hero contract (on-chain)",
+  compare_heroes: "Hero Engine - DFK hero contract (on-chain)",
+  get_garden_pools_free: "Garden Engine - pool analytics cache (LP staking contract + DEX reserves)",
+  get_garden_pools_premium: "Garden Engine - pool analytics cache with hero boost model",
+  get_wallet_gardens: "Garden Engine - LP staking contract positions for the wallet (on-chain)",
+  optimize_wallet_gardens: "Garden Optimizer - gardening simulation over the wallet's heroes, pets and pools",
+  get_hero_fair_value: "Fair Value Engine - recent Tavern sales",
+  get_market_trends: "Fair Value Engine - Tavern sales history",
+  get_summon_odds: "Summon Engine - gene inheritance model",
+  get_walkthrough: "Hedge knowledge base",
+  get_linked_wallet: "Hedge player records"
 };
 
-module.exports = {
+export {
   ALL_TOOLS,
   FREE_TIER_TOOLS,
   TOOL_BASE_PRICES,
@@ -248,5 +306,7 @@ module.exports = {
   GARDEN_TOOLS,
   FVE_TOOLS,
   SUMMON_TOOLS,
-  KNOWLEDGE_TOOLS
+  KNOWLEDGE_TOOLS,
+  ACCOUNT_TOOLS,
+  TOOL_SOURCES
 };
\ No newline at end of file
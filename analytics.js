@@ -11,12 +11,15 @@
  * - Free tier usage stats
  * - Player spending patterns
  * - Top spenders
+ * - Refunds issued by the refund policy engine
+ * - True margin by query type, tier and day from per-call LLM costs (llm_usage)
  */
 
 import Decimal from 'decimal.js';
 import { db } from './server/db.js';
-import { queryCosts, players, jewelBalances } from './shared/schema.ts';
+import { queryCosts, players, jewelBalances, ledgerEntries, ledgerPostings, llmUsage } from './shared/schema.ts';
 import { sql, desc, eq, gte, and } from 'drizzle-orm';
+import { ensureUsageTables } from './llm-usage.js';
 
 /**
  * Get overall revenue and profit summary
@@ -353,10 +356,238 @@ export async function getDailyRevenueTrend(days = 7) {
   }
 }
 
+/**
+ * Get refunds issued by the refund policy engine (ledger refund entries)
+ * 
+ * @param {object} options - Time range options
+ * @returns {object} - Totals plus a breakdown by source and outcome, and recent refunds
+ */
+export async function getRefundStats(options = {}) {
+  try {
+    const { 
+      startDate = null,
+      endDate = null,
+      recentLimit = 20
+    } = options;
+    
+    const filters = [
+      eq(ledgerEntries.entryType, 'refund'),
+      eq(ledgerPostings.direction, 'credit')
+    ];
+    if (startDate) {
+      filters.push(gte(ledgerEntries.createdAt, startDate));
+    }
+    if (endDate) {
+      filters.push(sql`${ledgerEntries.createdAt} <= ${endDate}`);
+    }
+    
+    const source = sql`COALESCE(${ledgerEntries.metadata}->>'source', 'manual')`;
+    const outcome = sql`COALESCE(${ledgerEntries.metadata}->>'outcome', 'manual')`;
+    
+    const breakdown = await db
+      .select({
+        source,
+        outcome,
+        count: sql`COUNT(*)`,
+        refundedJewel: sql`COALESCE(SUM(${ledgerPostings.amountJewel}), 0)`,
+        chargedJewel: sql`COALESCE(SUM((${ledgerEntries.metadata}->>'chargedJewel')::numeric), 0)`
+      })
+      .from(ledgerEntries)
+      .innerJoin(ledgerPostings, eq(ledgerPostings.entryId, ledgerEntries.id))
+      .where(and(...filters))
+      .groupBy(source, outcome)
+      .orderBy(desc(sql`COALESCE(SUM(${ledgerPostings.amountJewel}), 0)`));
+    
+    const recent = await db
+      .select({
+        entryId: ledgerEntries.id,
+        playerId: ledgerEntries.playerId,
+        discordUsername: players.discordUsername,
+        metadata: ledgerEntries.metadata,
+        amountJewel: ledgerPostings.amountJewel,
+        createdAt: ledgerEntries.createdAt
+      })
+      .from(ledgerEntries)
+      .innerJoin(ledgerPostings, eq(ledgerPostings.entryId, ledgerEntries.id))
+      .leftJoin(players, eq(players.id, ledgerEntries.playerId))
+      .where(and(...filters))
+      .orderBy(desc(ledgerEntries.id))
+      .limit(recentLimit);
+    
+    const totalRefunded = breakdown.reduce((sum, row) => sum.plus(row.refundedJewel), new Decimal(0));
+    const totalCount = breakdown.reduce((sum, row) => sum + parseInt(row.count), 0);
+    
+    return {
+      totalRefunds: totalCount,
+      totalRefundedJewel: totalRefunded.toFixed(6),
+      breakdown: breakdown.map(row => ({
+        source: row.source,
+        outcome: row.outcome,
+        count: parseInt(row.count),
+        refundedJewel: parseFloat(row.refundedJewel).toFixed(6),
+        chargedJewel: parseFloat(row.chargedJewel).toFixed(6)
+      })),
+      recent: recent.map(row => ({
+        entryId: row.entryId,
+        playerId: row.playerId,
+        discordUsername: row.discordUsername || 'Unknown',
+        source: row.metadata?.source || 'manual',
+        outcome: row.metadata?.outcome || 'manual',
+        severity: row.metadata?.severity || null,
+        percent: row.metadata?.percent ?? null,
+        detail: row.metadata?.detail || null,
+        refundedJewel: parseFloat(row.amountJewel).toFixed(6),
+        createdAt: row.createdAt
+      }))
+    };
+  } catch (err) {
+    console.error('[Analytics] Error getting refund stats:', err);
+    throw err;
+  }
+}
+
+/**
+ * Merge billed query rows with LLM spend that no logged query paid for (pure)
+ * 
+ * @param {Array} billed - { key, queries, revenueUsd, llmCostUsd, overheadUsd }
+ * @param {Array} unbilled - { key, calls, llmCostUsd } (free chat, failed or timed-out queries, admin tools)
+ * @returns {Array} - Rows with costUsd, profitUsd, marginPct (of revenue, null without revenue) and losing
+ */
+export function buildMarginRows(billed, unbilled = []) {
+  const rows = new Map();
+  const rowFor = (key) => {
+    if (!rows.has(key)) {
+      rows.set(key, {
+        key,
+        queries: 0,
+        unbilledCalls: 0,
+        revenueUsd: new Decimal(0),
+        llmCostUsd: new Decimal(0),
+        unbilledLlmCostUsd: new Decimal(0),
+        overheadUsd: new Decimal(0)
+      });
+    }
+    return rows.get(key);
+  };
+  
+  for (const b of billed) {
+    const row = rowFor(b.key);
+    row.queries += parseInt(b.queries || 0);
+    row.revenueUsd = row.revenueUsd.plus(b.revenueUsd || 0);
+    row.llmCostUsd = row.llmCostUsd.plus(b.llmCostUsd || 0);
+    row.overheadUsd = row.overheadUsd.plus(b.overheadUsd || 0);
+  }
+  for (const u of unbilled) {
+    const row = rowFor(u.key);
+    row.unbilledCalls += parseInt(u.calls || 0);
+    row.unbilledLlmCostUsd = row.unbilledLlmCostUsd.plus(u.llmCostUsd || 0);
+  }
+  
+  return [...rows.values()].map(row => {
+    const cost = row.llmCostUsd.plus(row.unbilledLlmCostUsd).plus(row.overheadUsd);
+    const profit = row.revenueUsd.minus(cost);
+    return {
+      key: row.key,
+      queries: row.queries,
+      unbilledCalls: row.unbilledCalls,
+      revenueUsd: row.revenueUsd.toFixed(6),
+      llmCostUsd: row.llmCostUsd.plus(row.unbilledLlmCostUsd).toFixed(6),
+      unbilledLlmCostUsd: row.unbilledLlmCostUsd.toFixed(6),
+      overheadUsd: row.overheadUsd.toFixed(6),
+      costUsd: cost.toFixed(6),
+      profitUsd: profit.toFixed(6),
+      marginPct: row.revenueUsd.isZero() ? null : profit.dividedBy(row.revenueUsd).times(100).toFixed(2),
+      losing: profit.isNegative()
+    };
+  });
+}
+
+/**
+ * Get true margin by query type, user tier and day
+ * 
+ * Revenue and hosting overhead come from query_costs; LLM cost is the sum of
+ * the priced model calls in llm_usage. Calls whose query was never logged
+ * (free chat, failed queries, admin tools) count against their query type or
+ * LLM feature with no revenue.
+ * 
+ * @param {object} options - Time range options
+ * @returns {object} - { totals, byQueryType, byTier, byDay, losingQueryTypes }
+ */
+export async function getMarginAnalytics(options = {}) {
+  try {
+    const { 
+      startDate = null,
+      endDate = null
+    } = options;
+    
+    await ensureUsageTables();
+    
+    const costFilters = [];
+    const usageFilters = [
+      sql`NOT EXISTS (SELECT 1 FROM query_costs q WHERE q.query_ref = ${llmUsage.queryRef})`
+    ];
+    if (startDate) {
+      costFilters.push(gte(queryCosts.timestamp, startDate));
+      usageFilters.push(gte(llmUsage.createdAt, startDate));
+    }
+    if (endDate) {
+      costFilters.push(sql`${queryCosts.timestamp} <= ${endDate}`);
+      usageFilters.push(sql`${llmUsage.createdAt} <= ${endDate}`);
+    }
+    const costWhere = costFilters.length > 0 ? and(...costFilters) : undefined;
+    
+    const billedColumns = {
+      queries: sql`COUNT(*)`,
+      revenueUsd: sql`COALESCE(SUM(${queryCosts.revenueUsd}), 0)`,
+      llmCostUsd: sql`COALESCE(SUM(${queryCosts.openaiCostUsd}), 0)`,
+      overheadUsd: sql`COALESCE(SUM(${queryCosts.replitCostUsd}), 0)`
+    };
+    const unbilledColumns = {
+      calls: sql`COUNT(*)`,
+      llmCostUsd: sql`COALESCE(SUM(${llmUsage.costUsd}), 0)`
+    };
+    
+    const usageKey = sql`COALESCE(${llmUsage.queryType}, ${llmUsage.feature})`;
+    const tierKey = sql`COALESCE(${queryCosts.tier}, 'unknown')`;
+    const costDay = sql`TO_CHAR(DATE(${queryCosts.timestamp}), 'YYYY-MM-DD')`;
+    const usageDay = sql`TO_CHAR(DATE(${llmUsage.createdAt}), 'YYYY-MM-DD')`;
+    
+    const [billedByType, unbilledByType, billedByTier, billedByDay, unbilledByDay] = await Promise.all([
+      db.select({ key: queryCosts.queryType, ...billedColumns }).from(queryCosts).where(costWhere).groupBy(queryCosts.queryType),
+      db.select({ key: usageKey, ...unbilledColumns }).from(llmUsage).where(and(...usageFilters)).groupBy(usageKey),
+      db.select({ key: tierKey, ...billedColumns }).from(queryCosts).where(costWhere).groupBy(tierKey),
+      db.select({ key: costDay, ...billedColumns }).from(queryCosts).where(costWhere).groupBy(costDay),
+      db.select({ key: usageDay, ...unbilledColumns }).from(llmUsage).where(and(...usageFilters)).groupBy(usageDay)
+    ]);
+    
+    const byQueryType = buildMarginRows(billedByType, unbilledByType)
+      .sort((a, b) => parseFloat(a.profitUsd) - parseFloat(b.profitUsd));
+    const byTier = buildMarginRows(billedByTier)
+      .sort((a, b) => parseFloat(b.revenueUsd) - parseFloat(a.revenueUsd));
+    const byDay = buildMarginRows(billedByDay, unbilledByDay)
+      .sort((a, b) => a.key.localeCompare(b.key));
+    const [totals] = buildMarginRows(
+      [{ key: 'total' }, ...billedByType.map(row => ({ ...row, key: 'total' }))],
+      unbilledByType.map(row => ({ ...row, key: 'total' }))
+    );
+    
+    return {
+      totals,
+      byQueryType,
+      byTier,
+      byDay,
+      losingQueryTypes: byQueryType.filter(row => row.losing).map(row => row.key)
+    };
+  } catch (err) {
+    console.error('[Analytics] Error getting margin analytics:', err);
+    throw err;
+  }
+}
+
 /**
  * Format analytics for Discord embed
  * 
- * @param {string} type - Analytics type ('summary', 'breakdown', 'topspenders', 'freetier', 'trend')
+ * @param {string} type - Analytics type ('summary', 'breakdown', 'topspenders', 'freetier', 'trend', 'refunds', 'margin')
  * @param {object} options - Options (timeRange, limit, etc.)
  * @returns {object} - Discord embed data
  */
@@ -440,6 +671,46 @@ export async function getAnalyticsForDiscord(type, options = {}) {
         break;
       }
       
+      case 'refunds': {
+        const data = await getRefundStats(options);
+        title = '💸 Refunds';
+        description = `${data.totalRefunds} refunds, ${data.totalRefundedJewel} JEWEL returned`;
+        fields = data.breakdown.slice(0, 10).map(row => ({
+          name: `${row.source} · ${row.outcome}`,
+          value: `Count: ${row.count}\nRefunded: ${row.refundedJewel} of ${row.chargedJewel} JEWEL charged`,
+          inline: false
+        }));
+        break;
+      }
+      
+      case 'margin': {
+        const data = await getMarginAnalytics(options);
+        const { totals } = data;
+        title = '📉 True Margin';
+        description = `Revenue $${totals.revenueUsd} · LLM cost $${totals.llmCostUsd} · Profit $${totals.profitUsd}` +
+          (totals.marginPct !== null ? ` (${totals.marginPct}% margin)` : '');
+        fields = data.byQueryType.slice(0, 10).map(row => ({
+          name: `${row.losing ? '🔻 ' : ''}${row.key}`,
+          value: `Queries: ${row.queries}${row.unbilledCalls ? ` + ${row.unbilledCalls} unbilled LLM calls` : ''}
+` +
+            `Revenue: $${row.revenueUsd} | Cost: $${row.costUsd}
+` +
+            `Profit: $${row.profitUsd}${row.marginPct !== null ? ` (${row.marginPct}%)` : ''}`,
+          inline: false
+        }));
+        if (data.byTier.length > 0) {
+          fields.push({
+            name: 'By tier',
+            value: data.byTier.map(row => `${row.key}: $${row.profitUsd}${row.marginPct !== null ? ` (${row.marginPct}%)` : ''}`).join('\n'),
+            inline: false
+          });
+        }
+        if (data.losingQueryTypes.length > 0) {
+          fields.push({ name: '⚠️ Losing money', value: data.losingQueryTypes.join(', '), inline: false });
+        }
+        break;
+      }
+      
       default:
         throw new Error(`Unknown analytics type: ${type}`);
     }
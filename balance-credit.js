@@ -2,67 +2,46 @@
  * Balance Credit System
  * 
  * Credits JEWEL balances when deposits are detected on-chain.
- * Updates lifetime deposits and player tier classification.
  * 
  * Architecture:
  * - Called by transaction monitor callback when deposit matches
- * - Atomic update: balance + lifetime deposits + tier + deposit status
+ * - Atomic: deposit journal entry (jewel-ledger.js) + deposit status in one transaction
+ * - Balances, lifetime deposits and tiers are derived from the journal;
+ *   jewel_balances is refreshed from it as a cache
  * - Tier thresholds: free (<100), bronze (100-499), silver (500-1999), gold (2000-9999), whale (≥10000)
  * 
  * Precision:
  * - Uses Decimal.js for all JEWEL arithmetic
  * - Stores exact amounts in NUMERIC(30,18) columns
  * - Credits based on requestedAmountJewel (not uniqueAmountJewel)
+ * - CRYSTAL/USDC payments credit their JEWEL value at transfer time
+ *   (transaction.conversion from payment-tokens.js), stored on the ledger entry
  */
 
 import Decimal from 'decimal.js';
 import { db } from './server/db.js';
-import { jewelBalances, depositRequests } from './shared/schema.ts';
+import { depositRequests } from './shared/schema.ts';
 import { eq, and, sql } from 'drizzle-orm';
-
-// Tier thresholds (lifetime deposits)
-const TIER_THRESHOLDS = {
-  bronze: new Decimal(100),
-  silver: new Decimal(500),
-  gold: new Decimal(2000),
-  whale: new Decimal(10000)
-};
-
-/**
- * Calculate player tier based on lifetime deposits
- * 
- * @param {string} lifetimeDepositsJewel - Lifetime deposits (JEWEL string)
- * @returns {string} - Tier: 'free', 'bronze', 'silver', 'gold', 'whale'
- */
-function calculateTier(lifetimeDepositsJewel) {
-  const lifetime = new Decimal(lifetimeDepositsJewel);
-  
-  if (lifetime.greaterThanOrEqualTo(TIER_THRESHOLDS.whale)) {
-    return 'whale';
-  } else if (lifetime.greaterThanOrEqualTo(TIER_THRESHOLDS.gold)) {
-    return 'gold';
-  } else if (lifetime.greaterThanOrEqualTo(TIER_THRESHOLDS.silver)) {
-    return 'silver';
-  } else if (lifetime.greaterThanOrEqualTo(TIER_THRESHOLDS.bronze)) {
-    return 'bronze';
-  } else {
-    return 'free';
-  }
-}
+import { recordDeposit, recordQueryCharge, getLedgerBalance } from './jewel-ledger.js';
+import { activateSubscriptionDeposit } from './subscription-billing.js';
 
 /**
  * Credit JEWEL balance for confirmed deposit
  * 
  * @param {object} match - Matched deposit from transaction monitor
  * @param {object} match.depositRequest - Deposit request record
- * @param {object} match.transaction - Transaction details (hash, blockNumber, from, amountJewel, timestamp)
+ * @param {object} match.transaction - Transaction details (hash, blockNumber, from, amountJewel, timestamp,
+ *   plus token, amount and conversion for non-JEWEL payments)
  * @returns {object} - Updated balance record
  */
 export async function creditBalance(match) {
   const { depositRequest, transaction } = match;
+  // A converted payment is worth what it was worth when sent, not the requested figure
+  const creditJewel = transaction.conversion ? transaction.amountJewel : depositRequest.requestedAmountJewel;
   
   console.log(`[Credit] Processing deposit for player #${depositRequest.playerId}`);
-  console.log(`[Credit] Amount: ${depositRequest.requestedAmountJewel} JEWEL`);
+  console.log(`[Credit] Amount: ${creditJewel} JEWEL` +
+    (transaction.conversion ? ` (paid ${transaction.amount} ${transaction.token})` : ''));
   console.log(`[Credit] Transaction: ${transaction.hash}`);
   
   try {
@@ -87,63 +66,17 @@ export async function creditBalance(match) {
         return { alreadyProcessed: true };
       }
       
-      const depositAmount = new Decimal(depositRequest.requestedAmountJewel);
-      let balanceRecord;
-      
-      // 2. Get current balance or create new record
-      const existingBalance = await tx
-        .select()
-        .from(jewelBalances)
-        .where(eq(jewelBalances.playerId, depositRequest.playerId))
-        .limit(1);
-      
-      if (existingBalance.length === 0) {
-        // Create new balance record
-        const newLifetime = depositAmount.toString();
-        const tier = calculateTier(newLifetime);
-        
-        console.log(`[Credit] Creating new balance record (tier: ${tier})`);
-        
-        const [created] = await tx
-          .insert(jewelBalances)
-          .values({
-            playerId: depositRequest.playerId,
-            balanceJewel: depositAmount.toString(),
-            lifetimeDepositsJewel: depositAmount.toString(),
-            tier,
-            createdAt: sql`CURRENT_TIMESTAMP`,
-            updatedAt: sql`CURRENT_TIMESTAMP`
-          })
-          .returning();
-        
-        balanceRecord = created;
-      } else {
-        // Update existing balance
-        const current = existingBalance[0];
-        const currentBalance = new Decimal(current.balanceJewel);
-        const currentLifetime = new Decimal(current.lifetimeDepositsJewel);
-        
-        const newBalance = currentBalance.plus(depositAmount);
-        const newLifetime = currentLifetime.plus(depositAmount);
-        const tier = calculateTier(newLifetime.toString());
-        
-        console.log(`[Credit] Updating balance: ${current.balanceJewel} → ${newBalance.toString()} JEWEL`);
-        console.log(`[Credit] Lifetime deposits: ${current.lifetimeDepositsJewel} → ${newLifetime.toString()} JEWEL`);
-        console.log(`[Credit] Tier: ${current.tier} → ${tier}`);
-        
-        const [updated] = await tx
-          .update(jewelBalances)
-          .set({
-            balanceJewel: newBalance.toString(),
-            lifetimeDepositsJewel: newLifetime.toString(),
-            tier,
-            updatedAt: sql`CURRENT_TIMESTAMP`
-          })
-          .where(eq(jewelBalances.playerId, depositRequest.playerId))
-          .returning();
-        
-        balanceRecord = updated;
-      }
+      // 2. Post the deposit to the ledger (idempotent on tx hash)
+      const { balance } = await recordDeposit({
+        playerId: depositRequest.playerId,
+        amountJewel: creditJewel,
+        txHash: transaction.hash,
+        chain: transaction.chain || null,
+        fromWallet: transaction.from,
+        source: 'deposit_request',
+        conversion: transaction.conversion || null
+      }, { tx });
+      const balanceRecord = { playerId: depositRequest.playerId, ...balance };
       
       // 3. Mark deposit request as completed (with status='pending' guard)
       const completedRows = await tx
@@ -179,7 +112,7 @@ export async function creditBalance(match) {
         transaction: {
           hash: transaction.hash,
           blockNumber: transaction.blockNumber,
-          amount: depositRequest.requestedAmountJewel
+          amount: creditJewel
         }
       };
     }
@@ -187,14 +120,18 @@ export async function creditBalance(match) {
     console.log(`[Credit] Deposit completed successfully!`);
     console.log(`[Credit] New balance: ${result.balanceRecord.balanceJewel} JEWEL (tier: ${result.balanceRecord.tier})`);
     
+    // Subscription deposits buy their plan from the balance they just funded
+    const subscription = await activateSubscriptionDeposit(depositRequest);
+    
     return {
       success: true,
       playerId: depositRequest.playerId,
       balanceRecord: result.balanceRecord,
+      subscription: subscription?.subscription || null,
       transaction: {
         hash: transaction.hash,
         blockNumber: transaction.blockNumber,
-        amount: depositRequest.requestedAmountJewel
+        amount: creditJewel
       }
     };
   } catch (err) {
@@ -204,20 +141,14 @@ export async function creditBalance(match) {
 }
 
 /**
- * Get player balance
+ * Get player balance (derived from the ledger journal)
  * 
  * @param {number} playerId - Player's database ID
- * @returns {object} - Balance record or null
+ * @returns {object} - { playerId, balanceJewel, lifetimeDepositsJewel, tier } or null on error
  */
 export async function getBalance(playerId) {
   try {
-    const balance = await db
-      .select()
-      .from(jewelBalances)
-      .where(eq(jewelBalances.playerId, playerId))
-      .limit(1);
-    
-    return balance.length > 0 ? balance[0] : null;
+    return { playerId, ...(await getLedgerBalance(playerId)) };
   } catch (err) {
     console.error(`[Credit] Error fetching balance for player #${playerId}:`, err.message);
     return null;
@@ -242,7 +173,7 @@ export async function hasSufficientBalance(playerId, requiredAmountJewel) {
 }
 
 /**
- * Deduct JEWEL from balance (for query costs)
+ * Deduct JEWEL from balance (for query costs) by posting a query_charge entry
  * 
  * @param {number} playerId - Player's database ID
  * @param {string} amountJewel - Amount to deduct (JEWEL string)
@@ -251,36 +182,17 @@ export async function hasSufficientBalance(playerId, requiredAmountJewel) {
  */
 export async function deductBalance(playerId, amountJewel, reason = 'query') {
   try {
-    const balance = await getBalance(playerId);
-    if (!balance) {
-      throw new Error(`No balance record found for player #${playerId}`);
-    }
-    
-    const current = new Decimal(balance.balanceJewel);
-    const deduction = new Decimal(amountJewel);
-    
-    if (current.lessThan(deduction)) {
-      throw new Error(`Insufficient balance: ${current.toString()} < ${deduction.toString()} JEWEL`);
-    }
-    
-    const newBalance = current.minus(deduction);
-    
     console.log(`[Credit] Deducting ${amountJewel} JEWEL from player #${playerId} (${reason})`);
-    console.log(`[Credit] Balance: ${current.toString()} → ${newBalance.toString()} JEWEL`);
     
-    const [updated] = await db
-      .update(jewelBalances)
-      .set({
-        balanceJewel: newBalance.toString(),
-        updatedAt: sql`CURRENT_TIMESTAMP`
-      })
-      .where(eq(jewelBalances.playerId, playerId))
-      .returning();
+    const { entry, balance } = await recordQueryCharge({ playerId, amountJewel, queryType: reason });
+    
+    console.log(`[Credit] New balance: ${balance.balanceJewel} JEWEL (entry #${entry.id})`);
     
     return {
       success: true,
       playerId,
-      balanceRecord: updated,
+      balanceRecord: { playerId, ...balance },
+      ledgerEntryId: entry.id,
       deduction: {
         amount: amountJewel,
         reason
@@ -5,8 +5,8 @@
  * 1. Calculate query cost (base + dynamic pricing)
  * 2. Check if player has sufficient balance
  * 3. Execute query if approved
- * 4. Deduct cost atomically after success
- * 5. Log cost to queryCosts table
+ * 4. Post a query_charge entry to the JEWEL ledger after success
+ * 5. Log cost to queryCosts table (analytics only - the ledger is the balance of record)
  * 
  * Free Tier Handling:
  * - nav queries: Always free (no balance check)
@@ -15,15 +15,41 @@
  * - All other queries: Paid only
  * 
  * Flow:
- * checkBalance() → executeQuery() → deductCost() → logCost()
+ * checkBalance() → executeQuery() → deductCost() → [refund if degraded] → logCost()
+ * 
+ * Refunds (refund-policy.js):
+ * - Failed or timed-out queries are never charged (deduction happens after success)
+ * - Queries that report degraded data are charged, then partially refunded
+ * 
+ * Spend controls (spend-controls.js):
+ * - Paid queries are refused past the player's daily/weekly cap, or above their
+ *   confirmation threshold until re-run with options.confirmed
+ * - A charge that takes the balance under the player's alert level DMs them
+ * 
+ * LLM cost:
+ * - The query runs inside an llmProvider usage context, so every model call it
+ *   makes is stored in llm_usage under the query's queryRef, and the logged
+ *   cost is the sum of those calls' real token costs
+ * - Charges posted elsewhere (garden optimizations, subscriptions) are logged
+ *   with logChargeCost() under the charge's ledger externalRef
  */
 
 import Decimal from 'decimal.js';
+import { randomUUID } from 'crypto';
 import { db } from './server/db.js';
 import { jewelBalances, queryCosts, players } from './shared/schema.ts';
 import { calculateCost, isFreeTierEligible } from './pricing-engine.js';
+import { recordQueryCharge, getLedgerBalance } from './jewel-ledger.js';
+import { issueRefund } from './refund-policy.js';
+import { ensureUsageTables, totalUsage } from './llm-usage.js';
+import { withUsageContext, getUsageContext } from './src/services/llmProvider.js';
+import { getJewelPrice } from './price-feed.js';
+import { checkSpendControls, notifyIfLowBalance } from './spend-controls.js';
 import { eq, and, gte, sql } from 'drizzle-orm';
 
+const PAID_QUERY_TIMEOUT_MS = 120000; // Paid queries that run longer are abandoned uncharged
+const FALLBACK_JEWEL_PRICE_USD = '0.5'; // Only if the price feed is down
+
 /**
  * Check if player has sufficient balance for a query
  * 
@@ -66,19 +92,10 @@ export async function checkBalance(discordId, queryType, options = {}) {
       playerId = player[0].id;
     }
     
-    // Get balance record (separate table)
-    const balanceRecord = await db
-      .select()
-      .from(jewelBalances)
-      .where(eq(jewelBalances.playerId, playerId))
-      .limit(1);
-    
-    const lifetimeDeposits = balanceRecord.length > 0 
-      ? balanceRecord[0].lifetimeDepositsJewel 
-      : '0';
-    const tier = balanceRecord.length > 0 
-      ? balanceRecord[0].tier 
-      : 'free';
+    // Balance, lifetime deposits and tier come from the ledger journal
+    const ledgerBalance = await getLedgerBalance(playerId);
+    const lifetimeDeposits = ledgerBalance.lifetimeDepositsJewel;
+    const tier = ledgerBalance.tier;
     
     // Calculate cost with dynamic pricing
     const playerContext = {
@@ -117,14 +134,13 @@ export async function checkBalance(discordId, queryType, options = {}) {
         freeTier: true,
         breakdown,
         modifiers,
-        playerId
+        playerId,
+        tier
       };
     }
     
     // Get current balance (already fetched above)
-    const currentBalance = balanceRecord.length > 0
-      ? new Decimal(balanceRecord[0].balanceJewel)
-      : new Decimal('0');
+    const currentBalance = new Decimal(ledgerBalance.balanceJewel);
     
     const costDecimal = new Decimal(finalCost);
     
@@ -147,7 +163,8 @@ export async function checkBalance(discordId, queryType, options = {}) {
       reason: 'Sufficient balance',
       breakdown,
       modifiers,
-      playerId
+      playerId,
+      tier
     };
     
   } catch (err) {
@@ -229,59 +246,37 @@ async function checkFreeTierQuota(discordId, queryType) {
 }
 
 /**
- * Deduct cost from player's balance (atomic transaction)
+ * Deduct cost from player's balance by posting a query_charge ledger entry
+ * (atomic: balance check and posting happen under a per-player lock)
  * 
  * @param {number} playerId - Player's database ID (not discordId)
  * @param {string} costJewel - Cost in JEWEL (string, e.g., '0.005')
- * @returns {object} - { success: boolean, newBalance, error }
+ * @param {object} options - { queryType, externalRef }
+ * @returns {object} - { success: boolean, newBalance, ledgerEntryId, error }
  */
-export async function deductCost(playerId, costJewel) {
+export async function deductCost(playerId, costJewel, { queryType = 'query', externalRef = null } = {}) {
   try {
     // Free queries = no deduction (caller should skip this function for zero cost)
     if (new Decimal(costJewel).isZero()) {
       throw new Error('deductCost() should not be called for zero-cost queries');
     }
     
-    // Atomic deduction with FOR UPDATE lock
-    const result = await db.transaction(async (tx) => {
-      // Lock balance row by playerId
-      const balance = await tx
-        .select()
-        .from(jewelBalances)
-        .where(eq(jewelBalances.playerId, playerId))
-        .for('update')
-        .limit(1);
-      
-      if (balance.length === 0) {
-        throw new Error('No balance record found');
-      }
-      
-      const current = new Decimal(balance[0].balanceJewel);
-      const cost = new Decimal(costJewel);
-      const newBalance = current.minus(cost);
-      
-      // Prevent negative balance
-      if (newBalance.lessThan(0)) {
-        throw new Error('Insufficient balance during deduction');
-      }
-      
-      // Update balance and lastQueryAt timestamp
-      await tx
-        .update(jewelBalances)
-        .set({
-          balanceJewel: newBalance.toFixed(18),
-          lastQueryAt: new Date()
-        })
-        .where(eq(jewelBalances.playerId, playerId));
-      
-      return { newBalance: newBalance.toFixed(18) };
+    const { entry, balance } = await recordQueryCharge({
+      playerId,
+      amountJewel: costJewel,
+      queryType,
+      externalRef
     });
     
-    console.log(`[Balance] Deducted ${costJewel} JEWEL from playerId ${playerId}. New balance: ${result.newBalance}`);
+    // lastQueryAt is activity metadata, not part of the balance
+    await db.execute(sql`UPDATE jewel_balances SET last_query_at = CURRENT_TIMESTAMP WHERE player_id = ${playerId}`);
+    
+    console.log(`[Balance] Deducted ${costJewel} JEWEL from playerId ${playerId}. New balance: ${balance.balanceJewel}`);
     
     return {
       success: true,
-      newBalance: result.newBalance,
+      newBalance: balance.balanceJewel,
+      ledgerEntryId: entry.id,
       reason: 'Cost deducted successfully'
     };
     
@@ -305,7 +300,10 @@ export async function logQueryCost(params) {
   try {
     const {
       playerId,
+      discordId,
       queryType,
+      queryRef = null, // Matches the llm_usage rows of the query's model calls
+      tier = null,
       toolsUsed = [], // Array of tool names used (e.g., ['get_hero_info'])
       tokensUsed,
       openaiCostUsd,
@@ -326,8 +324,13 @@ export async function logQueryCost(params) {
       : profitUsd.dividedBy(totalCostUsd).times(100);
     
     // Insert query cost record
+    await ensureUsageTables();
     await db.insert(queryCosts).values({
+      discordId,
+      costJewel: priceChargedJewel.toString(),
       playerId,
+      queryRef,
+      tier,
       queryType,
       toolsUsed, // JSON array of tools used
       timestamp: new Date(),
@@ -354,15 +357,55 @@ export async function logQueryCost(params) {
   }
 }
 
+/**
+ * Log a charge posted outside executeWithBalanceCheck (garden optimizations,
+ * subscriptions) so margin analytics see its revenue. Pass the model calls made
+ * under the same queryRef (withUsageContext) to count them as its LLM cost.
+ *
+ * @param {object} params - { playerId, discordId?, queryType, queryRef, tier?, priceChargedJewel, llmCalls? }
+ * @returns {boolean} - Success status
+ */
+export async function logChargeCost({ playerId, discordId = null, queryType, queryRef, tier = null, priceChargedJewel, llmCalls = [] }) {
+  try {
+    if (!discordId) {
+      const [player] = await db.select({ discordId: players.discordId }).from(players).where(eq(players.id, playerId)).limit(1);
+      discordId = player?.discordId;
+    }
+    if (!tier) {
+      tier = (await getLedgerBalance(playerId)).tier;
+    }
+    const usage = totalUsage(llmCalls);
+    const jewelPriceUsd = await getJewelPrice().catch(() => null) || FALLBACK_JEWEL_PRICE_USD;
+    return await logQueryCost({
+      playerId,
+      discordId,
+      queryType,
+      queryRef,
+      tier,
+      tokensUsed: usage.totalTokens,
+      openaiCostUsd: usage.costUsd,
+      priceChargedJewel,
+      jewelPriceUsd
+    });
+  } catch (err) {
+    console.error('[Balance] Error logging charge cost:', err);
+    return false;
+  }
+}
+
 /**
  * Execute a query with balance checks and cost deduction
  * Wrapper function that handles the full lifecycle
  * 
  * @param {string} discordId - Player's Discord ID
  * @param {string} queryType - Query type
- * @param {function} queryFn - Async function that executes the query
- * @param {object} options - Pricing options
- * @returns {object} - { success, data, error, cost }
+ * @param {function} queryFn - Async function that executes the query. It may return
+ *   `degraded: { reason, severity: 'minor'|'major' }` when it had to fall back to stale
+ *   or partial data, which triggers a partial refund.
+ * @param {object} options - Pricing options, plus timeoutMs (paid queries only) and
+ *   confirmed (the player accepted a cost above their confirmation threshold)
+ * @returns {object} - { success, data, error, cost, refund }; refused queries set
+ *   spendCapExceeded ('daily'|'weekly') or requiresConfirmation
  */
 export async function executeWithBalanceCheck(discordId, queryType, queryFn, options = {}) {
   try {
@@ -379,26 +422,67 @@ export async function executeWithBalanceCheck(discordId, queryType, queryFn, opt
       };
     }
     
-    // 2. Execute query
-    const queryResult = await queryFn();
+    // 1b. Spend caps and confirmation threshold (paid queries only)
+    if (!new Decimal(balanceCheck.cost).isZero()) {
+      const spendCheck = await checkSpendControls(balanceCheck.playerId, balanceCheck.cost, { confirmed: options.confirmed === true });
+      if (!spendCheck.allowed) {
+        return {
+          success: false,
+          error: spendCheck.reason,
+          cost: balanceCheck.cost,
+          balance: balanceCheck.balance,
+          spendCapExceeded: spendCheck.cap || null,
+          requiresConfirmation: spendCheck.requiresConfirmation || false
+        };
+      }
+    }
     
-    let newBalance;
+    // 2. Execute query (paid queries get a time budget - a timeout is never charged)
+    // Model calls made by the query are collected under its queryRef
+    const queryRef = randomUUID();
+    let llmCalls = [];
+    const runQuery = () => withUsageContext(
+      { playerId: balanceCheck.playerId, discordId, queryType, queryRef },
+      async () => {
+        const result = await queryFn();
+        llmCalls = getUsageContext().calls;
+        return result;
+      }
+    );
     const isFreeQuery = new Decimal(balanceCheck.cost).isZero();
+    let queryResult;
+    if (isFreeQuery) {
+      queryResult = await runQuery();
+    } else {
+      const timeoutMs = options.timeoutMs || PAID_QUERY_TIMEOUT_MS;
+      let timer;
+      const timedOut = Symbol('timeout');
+      queryResult = await Promise.race([
+        runQuery(),
+        new Promise(resolve => { timer = setTimeout(() => resolve(timedOut), timeoutMs); })
+      ]).finally(() => clearTimeout(timer));
+      
+      if (queryResult === timedOut) {
+        console.warn(`[Balance] ${queryType} query for ${discordId} timed out after ${timeoutMs}ms - not charged`);
+        return {
+          success: false,
+          error: `Query timed out after ${Math.round(timeoutMs / 1000)}s - you were not charged`,
+          timedOut: true,
+          cost: '0'
+        };
+      }
+    }
+    
+    let newBalance;
+    let ledgerEntryId = null;
+    let refund = null;
     
     if (isFreeQuery) {
       // 3a. Free query - skip deduction, get current balance for display
-      const currentBalance = await db
-        .select()
-        .from(jewelBalances)
-        .where(eq(jewelBalances.playerId, balanceCheck.playerId))
-        .limit(1);
-      
-      newBalance = currentBalance.length > 0 
-        ? currentBalance[0].balanceJewel 
-        : '0';
+      newBalance = (await getLedgerBalance(balanceCheck.playerId)).balanceJewel;
     } else {
       // 3b. Paid query - deduct cost atomically
-      const deduction = await deductCost(balanceCheck.playerId, balanceCheck.cost);
+      const deduction = await deductCost(balanceCheck.playerId, balanceCheck.cost, { queryType });
       
       if (!deduction.success) {
         return {
@@ -410,18 +494,49 @@ export async function executeWithBalanceCheck(discordId, queryType, queryFn, opt
       }
       
       newBalance = deduction.newBalance;
+      ledgerEntryId = deduction.ledgerEntryId;
+      
+      // 3c. Degraded result - partial refund (best effort, the answer was still delivered)
+      if (queryResult?.degraded) {
+        try {
+          refund = await issueRefund({
+            playerId: balanceCheck.playerId,
+            chargedJewel: balanceCheck.cost,
+            outcome: 'degraded',
+            severity: queryResult.degraded.severity || 'minor',
+            source: queryType,
+            externalRef: `query_charge:${ledgerEntryId}`,
+            label: `${queryType} query`,
+            detail: queryResult.degraded.reason || null
+          });
+          if (refund.balance) newBalance = refund.balance.balanceJewel;
+        } catch (refundErr) {
+          console.error('[Balance] Error issuing degraded-result refund:', refundErr);
+        }
+      }
+      
+      // 3d. Low-balance DM (best effort)
+      await notifyIfLowBalance(balanceCheck.playerId, discordId, balanceCheck.balance, newBalance);
     }
     
     // 4. Log cost (best effort, don't fail query if logging fails)
     // IMPORTANT: Always log with numeric values (use '0' instead of 'N/A')
+    const usage = totalUsage(llmCalls);
+    let jewelPriceUsd = options.jewelPriceUsd;
+    if (!jewelPriceUsd) {
+      jewelPriceUsd = await getJewelPrice().catch(() => null) || FALLBACK_JEWEL_PRICE_USD;
+    }
     await logQueryCost({
       playerId: balanceCheck.playerId,
+      discordId,
       queryType,
+      queryRef,
+      tier: balanceCheck.tier || null,
       toolsUsed: queryResult.toolsUsed || [],
-      tokensUsed: queryResult.tokensUsed || 0,
-      openaiCostUsd: queryResult.openaiCostUsd || '0',
+      tokensUsed: usage.calls > 0 ? usage.totalTokens : (queryResult.tokensUsed || 0),
+      openaiCostUsd: usage.calls > 0 ? usage.costUsd : (queryResult.openaiCostUsd || '0'),
       priceChargedJewel: balanceCheck.cost, // Always numeric (0 for free)
-      jewelPriceUsd: options.jewelPriceUsd || '0.5',
+      jewelPriceUsd,
       freeTierUsed: balanceCheck.freeTier || false,
       discountApplied: balanceCheck.modifiers?.join(',') || null,
       userMessage: queryResult.userMessage || null
@@ -432,6 +547,8 @@ export async function executeWithBalanceCheck(discordId, queryType, queryFn, opt
       data: queryResult,
       cost: balanceCheck.cost,
       newBalance,
+      ledgerEntryId,
+      refund,
       breakdown: balanceCheck.breakdown
     };
     
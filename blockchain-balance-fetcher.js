@@ -8,9 +8,7 @@
  */
 
 import { ethers } from 'ethers';
-
-// DFK Chain RPC endpoint
-const DFK_RPC = 'https://subnets.avax.network/defi-kingdoms/dfk-chain/rpc';
+import { getChainProvider } from './src/services/rpcProviderRegistry.js';
 
 // Token contract addresses on DFK Chain
 const TOKEN_ADDRESSES = {
@@ -31,7 +29,7 @@ const CJEWEL_ABI = [
 ];
 
 // Initialize provider
-const provider = new ethers.JsonRpcProvider(DFK_RPC);
+const provider = getChainProvider('dfk');
 
 // Initialize token contracts
 const crystalContract = new ethers.Contract(TOKEN_ADDRESSES.CRYSTAL, ERC20_ABI, provider);
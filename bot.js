@@ -6,23 +6,32 @@ import crypto from 'crypto';
 import { exec } from 'child_process';
 import { promisify } from 'util';
 import { Client, GatewayIntentBits, Partials, Events, AttachmentBuilder, EmbedBuilder, Collection } from 'discord.js';
-import OpenAI from 'openai';
 import * as onchain from './onchain-data.js';
 import * as analytics from './garden-analytics.js';
-import { requestDeposit, HEDGE_WALLET } from './deposit-flow.js';
-import { startMonitoring, stopMonitoring, initializeExistingJobs, verifyTransactionHash } from './transaction-monitor-v2.js';
-import { registerJob } from './payment-jobs.js';
+import { requestDeposit, HEDGE_WALLET, formatDepositInstructions } from './deposit-flow.js';
+import { startMonitoring, stopMonitoring, verifyTransactionHash } from './transaction-monitor-v2.js';
+import { ensurePaymentJobTables, listPaymentJobConflicts } from './payment-jobs.js';
+import { startSpendControls, ensureSpendControlTables, normalizeSpendSettings, updateSpendSettings, getSpendOverview } from './spend-controls.js';
+import { startPayoutSweep, ensureTreasuryTables, getTreasurySummary, draftPayoutBatch, listPayoutBatches, listQueuedPayouts, getPayoutBatch, approvePayoutBatch, rejectPayoutBatch, exportPayoutBatch, markPayoutBatchPaid, queueRefundPayout, cancelPayoutItem, settlePayoutItem, voidPayoutItem } from './treasury.js';
 import { ethers } from 'ethers';
 import { creditBalance } from './balance-credit.js';
+import { ensureLedgerTables, backfillOpeningBalances, checkLedgerIntegrity, getLedgerBalance, getPlayerJournal, recordAdminAdjustment } from './jewel-ledger.js';
 import { initializeProcessor, startProcessor, stopProcessor } from './optimization-processor.js';
+import { initializeRefundNotifier } from './refund-policy.js';
+import { initializeWalletDeposits, createLinkChallenge, verifyWalletLink, unlinkWallet, listVerifiedWallets, listUnmatchedTransfers, assignUnmatchedTransfer, dismissUnmatchedTransfer } from './wallet-deposits.js';
+import { startReferralRewards, redeemCode, getReferralSummary, listPromoCodes, createPromoCode, updatePromoCode, listReferrals, REFERRAL_REWARD_JEWEL, REFERRAL_MIN_DEPOSIT_JEWEL } from './promotions.js';
+import { startSubscriptionBilling, listPlans, updatePlan, subscribe, requestSubscriptionDeposit, cancelSubscription, setAutoRenew, getPlayerSubscription, grantSubscription, listSubscriptions, runBillingCycle } from './subscription-billing.js';
 import { startSnapshotJob, stopSnapshotJob } from './wallet-snapshot-job.js';
 import { fetchWalletBalances, fetchCJewelLockTime } from './blockchain-balance-fetcher.js';
 import { initializePricingConfig } from './pricing-engine.js';
-import { getAnalyticsForDiscord } from './analytics.js';
+import { getAnalyticsForDiscord, getRefundStats, getMarginAnalytics } from './analytics.js';
 import { initializePoolCache, stopPoolCache, getCachedPoolAnalytics } from './pool-cache.js';
 import { generateOptimizationMessages } from './report-formatter.js';
 import { calculateSummoningProbabilities, calculateTSProbabilities } from './summoning-engine.js';
-import { createSummarySummoningEmbed, createStatGenesEmbed, createVisualGenesEmbed } from './summoning-formatter.js';
+import { jointProbability, describeCondition } from './offspring-distribution.js';
+import { calculateSummonCost, estimateCostPerOutcome, resolveStone, parseStone, summonOutcomes, toJewel } from './summon-costs.js';
+import { loadValueModel, valueSummon, summarizeValue } from './summon-value.js';
+import { createSummarySummoningEmbed, createStatGenesEmbed, createVisualGenesEmbed, createJointProbabilityEmbed, createSummonCostEmbed } from './summoning-formatter.js';
 import { decodeHeroGenes } from './hero-genetics.js';
 import { getCrystalPrice, getJewelPrice } from './price-feed.js';
 import { buildFocusedPriceGraph } from './garden-analytics.js';
@@ -35,6 +44,13 @@ import express from 'express';
 import cors from 'cors';
 import { getDebugSettings, setDebugSettings, isVerboseLoggingEnabled, isPaymentBypassEnabled, isOAuthBypassEnabled, isOAuthBypassAllowed } from './debug-settings.js';
 import { handleGardenOptimizationDM } from './garden-optimization-handler.js';
+import { openThread, getConversationContext, recordTurn, forgetConversations, ensureMemoryColumns } from './src/services/conversationMemory.js';
+import { buildKnowledgeContext, formatKnowledgeCitations, syncKnowledgeIndex, syncCombatCodexKnowledge, watchKnowledgeFiles, getKnowledgeIndexStatus } from './src/services/knowledgeIndex.js';
+import { chat as llmChat, streamChat, getLLMConfig, pingLLM, withUsageContext } from './src/services/llmProvider.js';
+import { startLLMUsageTracking } from './llm-usage.js';
+import { DiscordStreamer, interactionTarget, messageReplyTarget, openEventStream, pipeStreamToEvents } from './src/services/llmStream.js';
+import { routeAndExecute, resumeConfirmed } from './intent-router.js';
+import { createConfirmation, takeConfirmation, parseConfirmationId, buildConfirmationPrompt, buildCancelMessage, chargedJewel } from './agent-confirmations.js';
 
 // Player User Model System imports
 import { 
@@ -421,6 +437,29 @@ function serializeBigInt(obj) {
   return obj;
 }
 
+// CRYSTAL/JEWEL USD prices for converting Discord summon costs to JEWEL (5-minute cache)
+const SUMMON_PRICE_CACHE_TTL = 5 * 60 * 1000;
+let summonTokenPriceCache = { data: null, timestamp: 0 };
+
+async function getSummonTokenPrices() {
+  const now = Date.now();
+  if (summonTokenPriceCache.data && (now - summonTokenPriceCache.timestamp) < SUMMON_PRICE_CACHE_TTL) {
+    return summonTokenPriceCache.data;
+  }
+  try {
+    const priceGraph = await buildFocusedPriceGraph([]);
+    const data = {
+      crystalPriceUsd: priceGraph.get('0x04b9dA42306B023f3572e106B11D82aAd9D32EBb'.toLowerCase()) || 0,
+      jewelPriceUsd: priceGraph.get('0xCCb93dABD71c8Dad03Fc4CE5559dC3D89F67a260'.toLowerCase()) || 0
+    };
+    summonTokenPriceCache = { data, timestamp: now };
+    return data;
+  } catch (err) {
+    console.warn('[Summon] Could not fetch token prices:', err?.message);
+    return { crystalPriceUsd: 0, jewelPriceUsd: 0 };
+  }
+}
+
 const {
   DISCORD_TOKEN,
   OPENAI_API_KEY,
@@ -472,8 +511,9 @@ for (const file of KNOWLEDGE_FILES) {
   }
 }
 
+// Chat answers pull the relevant sections from the knowledge index (askHedge);
+// the full text is kept as a fallback for when the index is empty or unreachable.
 if (loadedKnowledgeCount > 0) {
-  HEDGE_PROMPT += DFK_KNOWLEDGE;
   console.log(`📚 Loaded ${loadedKnowledgeCount}/${KNOWLEDGE_FILES.length} knowledge base files`);
 } else {
   console.warn('⚠️ No knowledge base files loaded - bot will rely on GPT general knowledge only');
@@ -625,10 +665,7 @@ async function ensureUserRegistered(discordId, username) {
 }
 
 if (!DISCORD_TOKEN) throw new Error('Missing DISCORD_TOKEN');
-if (!OPENAI_API_KEY) throw new Error('Missing OPENAI_API_KEY');
-
-// OpenAI client
-const openai = new OpenAI({ apiKey: OPENAI_API_KEY });
+if (!OPENAI_API_KEY && getLLMConfig('persona_chat').provider === 'openai') throw new Error('Missing OPENAI_API_KEY');
 
 // Discord client with DM + member intents
 const client = new Client({
@@ -707,7 +744,16 @@ async function deployCommands() {
 
 client.once(Events.ClientReady, async (c) => {
   console.log(`🤖 Logged in as ${c.user.tag}`);
-  console.log(`🧠 Model: ${OPENAI_MODEL}`);
+  const personaLLM = getLLMConfig('persona_chat');
+  console.log(`🧠 Model: ${personaLLM.model} (${personaLLM.provider})`);
+
+  // 📚 Bring the knowledge index up to date (only changed sections are re-embedded)
+  syncKnowledgeIndex().catch(err => console.error('[KnowledgeIndex] Startup sync error:', err.message));
+  try {
+    watchKnowledgeFiles();
+  } catch (err) {
+    console.warn('[KnowledgeIndex] Could not watch knowledge files:', err.message);
+  }
 
   // 🔧 Register ALL slash commands (commands from /commands folder + debug commands) on the guild
   try {
@@ -737,6 +783,113 @@ client.once(Events.ClientReady, async (c) => {
         // Debug/utility commands defined inline
         // Note: ping and logtest are now in /commands folder, not duplicated here
         const debugCommands = [
+          {
+            name: 'npc',
+            description: 'Chat with Hedge Ledger (remembers your conversation)',
+            options: [
+              {
+                name: 'message',
+                description: 'What do you want to ask?',
+                type: 3,           // STRING
+                required: true
+              }
+            ]
+          },
+          {
+            name: 'forget',
+            description: 'Make Hedge forget your previous conversations'
+          },
+          {
+            name: 'subscribe',
+            description: 'Subscribe to a Hedge plan with JEWEL',
+            options: [
+              {
+                name: 'plan',
+                description: 'Which plan',
+                type: 3,           // STRING
+                required: true,
+                choices: [
+                  { name: 'Premium (Monthly)', value: 'premium_monthly' },
+                  { name: 'Premium (Season)', value: 'premium_seasonal' },
+                  { name: 'Premium+ (Monthly)', value: 'premium_plus_monthly' },
+                  { name: 'Premium+ (Season)', value: 'premium_plus_seasonal' }
+                ]
+              },
+              {
+                name: 'payment',
+                description: 'Pay from your Hedge balance (default) or with a direct deposit',
+                type: 3,           // STRING
+                required: false,
+                choices: [
+                  { name: 'Balance', value: 'balance' },
+                  { name: 'Direct deposit', value: 'deposit' }
+                ]
+              }
+            ]
+          },
+          {
+            name: 'subscription',
+            description: 'Show or manage your Hedge subscription',
+            options: [
+              {
+                name: 'action',
+                description: 'What to do (default: status)',
+                type: 3,           // STRING
+                required: false,
+                choices: [
+                  { name: 'Status', value: 'status' },
+                  { name: 'Cancel auto-renew', value: 'cancel' },
+                  { name: 'Turn auto-renew on', value: 'autorenew' }
+                ]
+              }
+            ]
+          },
+          {
+            name: 'linkwallet',
+            description: 'Link a wallet by signing a message, so its JEWEL deposits credit you automatically',
+            options: [
+              {
+                name: 'address',
+                description: 'Wallet address (0x...)',
+                type: 3,           // STRING
+                required: true
+              },
+              {
+                name: 'signature',
+                description: 'Signature of the message Hedge gave you (leave empty to get the message)',
+                type: 3,           // STRING
+                required: false
+              }
+            ]
+          },
+          {
+            name: 'unlinkwallet',
+            description: 'Stop crediting deposits from a linked wallet',
+            options: [
+              {
+                name: 'address',
+                description: 'Linked wallet address (0x...)',
+                type: 3,           // STRING
+                required: true
+              }
+            ]
+          },
+          {
+            name: 'redeem',
+            description: 'Redeem a promo code or the referral code of the player who invited you',
+            options: [
+              {
+                name: 'code',
+                description: 'Promo or referral code',
+                type: 3,           // STRING
+                required: true
+              }
+            ]
+          },
+          {
+            name: 'referral',
+            description: 'Get your referral code and see your referral rewards'
+          },
           {
             name: 'health',
             description: 'Show Hedge system health (RPC, DB, OpenAI, cache, monitors).'
@@ -1047,6 +1200,19 @@ client.once(Events.ClientReady, async (c) => {
     console.error('❌ Failed to initialize pool cache:', err);
   }
 
+  // Refund DMs (failed / timed-out / degraded paid jobs)
+  initializeRefundNotifier(c);
+
+  // Deposit DMs for verified-wallet and admin-reviewed credits
+  initializeWalletDeposits(c);
+
+  // Per-call LLM token and cost accounting (llm_usage)
+  try {
+    await startLLMUsageTracking();
+  } catch (err) {
+    console.error('❌ Failed to start LLM usage tracking:', err);
+  }
+
   // Initialize garden optimization processor (depends on pool cache)
   try {
     console.log('🌿 Initializing garden optimization processor...');
@@ -1058,6 +1224,34 @@ client.once(Events.ClientReady, async (c) => {
     console.error('❌ Failed to initialize optimization processor:', err);
   }
 
+  // Subscription billing (renewals, grace periods, reminder DMs)
+  try {
+    await startSubscriptionBilling(c);
+  } catch (err) {
+    console.error('❌ Failed to start subscription billing:', err);
+  }
+
+  // Referral rewards (credit inviters once invitees deposit)
+  try {
+    await startReferralRewards(c);
+  } catch (err) {
+    console.error('❌ Failed to start referral rewards:', err);
+  }
+
+  // Spend controls (monthly statements, low-balance DMs)
+  try {
+    await startSpendControls(c);
+  } catch (err) {
+    console.error('❌ Failed to start spend controls:', err);
+  }
+
+  // Treasury payout sweep (drafts prize/reward payout batches for approval)
+  try {
+    startPayoutSweep(c);
+  } catch (err) {
+    console.error('❌ Failed to start payout sweep:', err);
+  }
+
   // Initialize wallet snapshot job (daily balance tracking)
   try {
     console.log('📸 Starting wallet snapshot job...');
@@ -1112,12 +1306,30 @@ client.once(Events.ClientReady, async (c) => {
   }
 });
 
-// Generic helper to talk to Hedge
-async function askHedge(userMessages, { mode } = {}) {
+// Generic helper to talk to Hedge.
+// With onText, the answer is streamed and onText receives the text so far; the
+// caller (a DiscordStreamer) handles message splitting, so it isn't truncated.
+async function askHedge(userMessages, { mode, knowledgeQuery, onText } = {}) {
   const messages = [
     { role: 'system', content: HEDGE_PROMPT }
   ];
 
+  // Ground the answer in the knowledge base sections relevant to the question
+  const query = knowledgeQuery ?? [...userMessages].reverse().find(m => m.role === 'user')?.content;
+  let citations = [];
+  try {
+    const knowledge = await buildKnowledgeContext(query || '');
+    if (!knowledge.available) {
+      messages[0].content += DFK_KNOWLEDGE;
+    } else if (knowledge.context) {
+      messages.push({ role: 'system', content: knowledge.context });
+      citations = knowledge.citations;
+    }
+  } catch (err) {
+    console.warn('[KnowledgeIndex] Retrieval failed, using full knowledge base:', err.message);
+    messages[0].content += DFK_KNOWLEDGE;
+  }
+
   if (mode === 'walkthrough') {
     messages.push({
       role: 'system',
@@ -1130,18 +1342,79 @@ async function askHedge(userMessages, { mode } = {}) {
 
   messages.push(...userMessages);
 
-  const completion = await openai.chat.completions.create({
-    model: OPENAI_MODEL,
+  const params = {
     temperature: mode === 'walkthrough' ? 0.2 : 0.4,
     messages
-  });
+  };
+
+  if (onText) {
+    let streamed = '';
+    for await (const { delta } of streamChat('persona_chat', params)) {
+      if (!delta) continue;
+      streamed += delta;
+      onText(streamed);
+    }
+    const text = streamed.trim() || "…and that’s how we hedge the naps.";
+    return text + formatKnowledgeCitations(text, citations);
+  }
+
+  const completion = await llmChat('persona_chat', params);
 
   const text =
-    completion.choices?.[0]?.message?.content?.trim() ||
+    completion.content ||
     "…and that’s how we hedge the naps.";
 
-  // Keep under Discord 2000-char limit
-  return text.length > 1900 ? `${text.slice(0, 1900)}…` : text;
+  // Keep under Discord 2000-char limit, sources line included
+  const sources = formatKnowledgeCitations(text, citations);
+  const limit = 1900 - sources.length;
+  return (text.length > limit ? `${text.slice(0, limit)}…` : text) + sources;
+}
+
+// Answer a chat message with the tool-calling agent (intent-router.js): it can look up
+// wallets, gardens and pools, and charges paid tools to the player's balance.
+// If the agent itself fails, the plain streamed askHedge answer is used instead.
+// resume: the player pressed Confirm on a paid-tool prompt; only the held-back tool calls
+// run, and the earlier results and charges are reused (see offerAgentConfirmation).
+// Returns { response, pendingConfirmations, resume, sources }.
+async function answerWithAgent(userContent, { discordId, playerId, username, history = [], knowledgeQuery, streamer, resume = null }) {
+  let agent = null;
+  try {
+    const context = { userId: discordId, playerId, username, conversationHistory: history };
+    agent = await withUsageContext(
+      { playerId, discordId, queryType: 'agent' },
+      () => resume ? resumeConfirmed(resume, context) : routeAndExecute(userContent, context)
+    );
+  } catch (agentError) {
+    console.warn(`[Agent] Falling back to plain chat for ${username}:`, agentError.message);
+  }
+  if (agent) {
+    await streamer.finish(agent.response);
+    return { response: agent.response, pendingConfirmations: agent.pendingConfirmations, resume: agent.resume, sources: agent.sources };
+  }
+
+  const response = await withUsageContext(
+    { playerId, discordId, queryType: 'persona_chat' },
+    () => askHedge([...history, { role: 'user', content: userContent }], {
+      mode: 'dm',
+      knowledgeQuery,
+      onText: text => streamer.update(text)
+    })
+  );
+  await streamer.finish(response);
+  return { response, pendingConfirmations: [], resume: null, sources: [] };
+}
+
+// Paid tools the agent skipped for being above the player's confirmation threshold:
+// keep the agent's transcript so far and send Confirm / Cancel buttons (handled in InteractionCreate).
+async function offerAgentConfirmation(agent, request, send) {
+  if (!agent.pendingConfirmations?.length || !agent.resume) return;
+  try {
+    const charged = chargedJewel(agent.sources);
+    const nonce = createConfirmation({ ...request, resume: agent.resume, chargedJewel: charged });
+    await send(buildConfirmationPrompt(agent.pendingConfirmations, nonce, { chargedJewel: charged }));
+  } catch (err) {
+    console.warn(`[Agent] Could not send confirmation prompt to ${request.username}:`, err.message);
+  }
 }
 
 // 🔔 Auto-DM new members with onboarding intro
@@ -1229,6 +1502,18 @@ client.on(Events.GuildMemberAdd, async (member) => {
             console.warn(`[ProfileSystem] ⚠️ Failed to log message for profile:`, profileError.message);
           }
 
+          // 🧹 "/forget" typed in DMs (guild slash commands aren't available here)
+          if (/^[/!]?forget$/i.test(message.content.trim()) && playerData) {
+            try {
+              await forgetConversations(playerData.id);
+              await message.reply("*flips the ledger to a clean page* Done. I've forgotten our previous conversations.");
+            } catch (forgetError) {
+              console.error(`[ConversationMemory] /forget failed for ${username}:`, forgetError);
+              await message.reply("Hmm, I couldn't clear my notes just now. Try again in a bit.");
+            }
+            return;
+          }
+
           // ============================================
           // 🎛️ DM STATE MACHINE ROUTING
           // ============================================
@@ -1290,6 +1575,19 @@ client.on(Events.GuildMemberAdd, async (member) => {
                     );
                     // Optimization processor will handle the actual work
                     clearDmState(discordId);
+                  } else if (result.pending) {
+                    // Payment is claimed; the monitor credits it once it has enough confirmations
+                    await message.reply(
+                      `⏳ **Payment Found!**\n\n` +
+                      `**Amount:** ${result.payment.amount} JEWEL\n` +
+                      `**Block:** ${result.payment.blockNumber}\n` +
+                      `**Confirmations:** ${result.confirmations}/${result.requiredConfirmations}\n\n` +
+                      `Your optimization will start automatically once the payment is confirmed - no need to send it again.`
+                    );
+                    clearDmState(discordId);
+                  } else if (result.conflict) {
+                    await message.reply(`⚠️ **Payment Held for Review**\n\n${result.error}`);
+                    clearDmState(discordId);
                   } else {
                     // Stay in awaiting_payment state
                     setDmState(discordId, DM_STATES.AWAITING_PAYMENT);
@@ -1515,16 +1813,43 @@ client.on(Events.GuildMemberAdd, async (member) => {
             console.warn('[Discord] Context injection error:', ctxErr.message);
           }
 
-          // Fallback: send to OpenAI (askHedge)
+          // Fallback: the agent (tools + askHedge fallback) with the player's conversation so far
           try {
-            const aiMessages = [
-              { role: 'user', content: enrichedContent }
-            ];
-
-            const finalResponse = await askHedge(aiMessages, { mode: 'dm' });
+            let thread = null;
+            let history = [];
+            if (playerData) {
+              try {
+                thread = await openThread(playerData.id, { channelType: 'dm', channelId: message.channel.id });
+                history = await getConversationContext(thread);
+              } catch (memoryError) {
+                console.warn(`[ConversationMemory] Could not load DM history for ${username}:`, memoryError.message);
+              }
+            }
 
-            await message.reply(finalResponse);
+            await message.channel.sendTyping().catch(() => {});
+            const streamer = new DiscordStreamer(messageReplyTarget(message));
+            const agentRequest = {
+              discordId,
+              playerId: playerData?.id || null,
+              username,
+              history,
+              knowledgeQuery: message.content,
+              userContent: enrichedContent,
+              thread
+            };
+            const agentAnswer = await answerWithAgent(enrichedContent, { ...agentRequest, streamer });
+            const finalResponse = agentAnswer.response;
             console.log(`✅ Sent AI response to ${username}`);
+            await offerAgentConfirmation(agentAnswer, agentRequest, prompt => message.reply(prompt));
+
+            if (thread) {
+              try {
+                await recordTurn(thread, 'user', message.content);
+                await recordTurn(thread, 'assistant', finalResponse);
+              } catch (memoryError) {
+                console.warn(`[ConversationMemory] Could not save DM turn for ${username}:`, memoryError.message);
+              }
+            }
           } catch (aiError) {
             console.error("❌ OpenAI error in DM:", aiError);
             await message.reply("*yawns* My ledger seems stuck... give me a moment and try again.");
@@ -1704,6 +2029,37 @@ client.on(Events.InteractionCreate, async (interaction) => {
           });
         }
       }
+
+      // Confirm / Cancel on a paid agent tool above the player's confirmation threshold
+      const agentConfirmation = parseConfirmationId(customId);
+      if (agentConfirmation) {
+        const { request, error } = takeConfirmation(agentConfirmation.nonce, interaction.user.id);
+        if (error) {
+          return interaction.reply({
+            content: error === 'not_yours' ? 'Only the player who asked can answer this.' : 'That request expired. Just ask me again.',
+            ephemeral: true,
+          });
+        }
+        if (agentConfirmation.action === 'cancel') {
+          return interaction.update({ content: buildCancelMessage(request.chargedJewel), components: [] });
+        }
+
+        await interaction.update({ content: '⏳ Confirmed. Running it now...', components: [] });
+        const streamer = new DiscordStreamer(interactionTarget(interaction));
+        const { resume, chargedJewel: _charged, ...agentRequest } = request;
+        const agentAnswer = await answerWithAgent(request.userContent, { ...agentRequest, streamer, resume });
+        const { response } = agentAnswer;
+        // The resumed run can reach another paid tool above the threshold
+        await offerAgentConfirmation(agentAnswer, agentRequest, prompt => interaction.followUp(prompt));
+        if (request.thread) {
+          try {
+            await recordTurn(request.thread, 'assistant', response);
+          } catch (memoryError) {
+            console.warn(`[ConversationMemory] Could not save confirmed turn for ${request.username}:`, memoryError.message);
+          }
+        }
+        return;
+      }
       
       return;
     }
@@ -1813,7 +2169,7 @@ client.on(Events.InteractionCreate, async (interaction) => {
         })(),
         (async () => {
           try {
-            await openai.models.list();
+            await pingLLM('persona_chat');
             return { status: 'OK' };
           } catch (err) {
             return { status: 'ERROR', detail: err.message || String(err) };
@@ -2922,6 +3278,10 @@ client.on(Events.InteractionCreate, async (interaction) => {
       const hero2Id = name === 'summon'
         ? interaction.options.getInteger('parent2', true).toString()
         : interaction.options.getString('hero2', true);
+      const jointQuery = name === 'summon' ? interaction.options.getString('query') : null;
+      const summonType = name === 'summon' && interaction.options.getString('summon_type') === 'dark' ? 'dark' : 'regular';
+      const stoneText = name === 'summon' ? interaction.options.getString('stone') : null;
+      const stonePrice = name === 'summon' ? interaction.options.getNumber('stone_price') : null;
       
       await interaction.editReply(`⚗️ Calculating summoning probabilities for heroes ${hero1Id} and ${hero2Id}...`);
       
@@ -2942,6 +3302,9 @@ client.on(Events.InteractionCreate, async (interaction) => {
               professionStr
               rarity
               generation
+              summons
+              maxSummons
+              network
               statGenes
               visualGenes
             }
@@ -2976,7 +3339,8 @@ client.on(Events.InteractionCreate, async (interaction) => {
           hero1Genetics,
           hero2Genetics,
           hero1Rarity,
-          hero2Rarity
+          hero2Rarity,
+          { summonType }
         );
         
         // Create parent info objects for embeds
@@ -3005,6 +3369,54 @@ client.on(Events.InteractionCreate, async (interaction) => {
         await interaction.followUp({ embeds: [statEmbed] });
         await interaction.followUp({ embeds: [visualEmbed] });
         
+        // Optional joint query over the full offspring genotype
+        let joint = null;
+        if (jointQuery) {
+          try {
+            joint = jointProbability(hero1Genetics, hero2Genetics, jointQuery);
+            await interaction.followUp({ embeds: [createJointProbabilityEmbed(joint)] });
+          } catch (queryErr) {
+            await interaction.followUp(`❌ Could not evaluate query \`${jointQuery}\`: ${queryErr.message}`);
+          }
+        }
+
+        // Expected cost per outcome - the parents are treated as owned, so only fees, tears and stone count
+        if (name === 'summon') {
+          try {
+            const token = hero1.network === 'met' ? 'JEWEL' : 'CRYSTAL';
+            const costParent = (hero) => ({
+              generation: hero.generation,
+              summons: hero.summons,
+              maxSummons: hero.maxSummons,
+              mainClass: hero.mainClassStr,
+              owned: true
+            });
+            const costOptions = { summonType, stone: parseStone(stoneText), stonePrice };
+            const cost = calculateSummonCost(costParent(hero1), costParent(hero2), costOptions);
+            const prices = token === 'JEWEL' ? {} : await getSummonTokenPrices();
+
+            const wanted = summonOutcomes(probabilities);
+            if (joint) wanted.unshift({ label: 'Query', probability: joint.probability });
+            const outcomes = wanted.map(outcome => {
+              const estimate = estimateCostPerOutcome(outcome.probability, costParent(hero1), costParent(hero2), costOptions);
+              return { ...outcome, estimate, jewel: estimate ? toJewel(estimate.costPerOutcome, token, prices) : null };
+            });
+
+            // Expected resale value of the child against this summon's cost
+            let valued = null;
+            try {
+              const model = await loadValueModel(hero1.network === 'met' ? 'sd' : 'cv');
+              valued = valueSummon(probabilities, costParent(hero1), costParent(hero2), model, costOptions);
+            } catch (valueErr) {
+              console.warn(`[Summon] Could not value offspring: ${valueErr.message}`);
+            }
+
+            await interaction.followUp({ embeds: [createSummonCostEmbed({ token, cost, outcomes, valued })] });
+          } catch (costErr) {
+            await interaction.followUp(`❌ Could not price this summon: ${costErr.message}`);
+          }
+        }
+        
       } catch (err) {
         console.error(`❌ Error in /${name}:`, err);
         await interaction.editReply(`❌ Error calculating summoning probabilities: ${err.message}`);
@@ -3013,6 +3425,136 @@ client.on(Events.InteractionCreate, async (interaction) => {
       return;
     }
 
+    if (name === 'findparents') {
+      const targetClass = interaction.options.getString('target_class');
+      const targetRarity = interaction.options.getInteger('target_rarity');
+      const myHeroId = interaction.options.getInteger('my_hero');
+      const maxBudgetWei = interaction.options.getString('max_budget');
+      const summonType = interaction.options.getString('summon_type') === 'dark' ? 'dark' : 'regular';
+      const stone = parseStone(interaction.options.getString('stone'));
+      const stonePrice = interaction.options.getNumber('stone_price');
+      const rankByProfit = interaction.options.getString('rank_by') === 'profit';
+
+      if (!targetClass && (targetRarity == null || targetRarity === 0)) {
+        await interaction.editReply('❌ Pick a target class, a target rarity above common, or both.');
+        return;
+      }
+
+      await interaction.editReply(`🔍 Searching the tavern for ${summonType === 'dark' ? 'dark summon ' : ''}parents...`);
+
+      try {
+        const { planBreeding, loadPlannerHeroes, toPlannerHero } = await import('./breeding-planner.js');
+        const target = { class: targetClass, minRarity: targetRarity };
+        resolveStone(stone);
+
+        // Budget caps each tavern hero's price and the expected spend per plan
+        const budget = maxBudgetWei ? parseFloat(onchain.weiToToken(maxBudgetWei)) : null;
+        const maxBudget = budget > 0 ? budget : null;
+
+        let myHero = null;
+        let realms = ['cv', 'sd'];
+        if (myHeroId) {
+          const raw = await onchain.getHeroById(myHeroId);
+          const realm = raw?.network === 'met' ? 'sd' : 'cv';
+          myHero = raw ? toPlannerHero(raw, { owned: true, realm }) : null;
+          if (!myHero) {
+            await interaction.editReply(`❌ Could not load genes for hero #${myHeroId}.`);
+            return;
+          }
+          realms = [realm];
+        }
+
+        const heroes = (await loadPlannerHeroes({ realms, maxPrice: maxBudget, summonType }))
+          .filter(hero => !myHero || hero.id !== myHero.id);
+        if (myHero) heroes.push(myHero);
+
+        const { plans } = planBreeding({
+          target,
+          heroes,
+          maxDepth: 1,
+          summonType,
+          stone,
+          stonePrice,
+          maxCost: maxBudget,
+          limit: myHero || rankByProfit ? 50 : 5
+        });
+        const candidates = myHero ? plans.filter(plan => plan.steps[0].parents.some(p => p.id === myHero.id)) : plans;
+
+        // Expected resale value of the child and profit over the pair's summons
+        const heroById = new Map(heroes.map(hero => [hero.id, hero]));
+        const valueModels = {};
+        const valuePlan = async (plan) => {
+          try {
+            if (!(plan.realm in valueModels)) valueModels[plan.realm] = await loadValueModel(plan.realm);
+            const [a, b] = plan.steps[0].parents.map(p => heroById.get(p.id));
+            const probs = calculateSummoningProbabilities(
+              a.genetics, b.genetics,
+              ['Common', 'Uncommon', 'Rare', 'Legendary', 'Mythic'][a.rarity] || 'Common',
+              ['Common', 'Uncommon', 'Rare', 'Legendary', 'Mythic'][b.rarity] || 'Common',
+              { skipVisuals: true, summonType }
+            );
+            plan.valued = valueSummon(probs, a, b, valueModels[plan.realm], { summonType, stone, stonePrice });
+          } catch (valueErr) {
+            plan.valued = null;
+          }
+        };
+        let ranked;
+        if (rankByProfit) {
+          for (const plan of candidates) await valuePlan(plan);
+          ranked = candidates
+            .sort((a, b) => (b.valued?.profit.pair.expected ?? -Infinity) - (a.valued?.profit.pair.expected ?? -Infinity))
+            .slice(0, 5);
+        } else {
+          ranked = candidates.slice(0, 5);
+          for (const plan of ranked) await valuePlan(plan);
+        }
+
+        const targetText = [
+          targetRarity > 0 ? `${['Common', 'Uncommon', 'Rare', 'Legendary', 'Mythic'][targetRarity] || targetRarity}+` : null,
+          targetClass
+        ].filter(Boolean).join(' ');
+
+        if (ranked.length === 0) {
+          await interaction.editReply(`❌ No tavern pairs found for **${targetText}**${maxBudget ? ` within ${maxBudget} per hero` : ''}.`);
+          return;
+        }
+
+        const prices = await getSummonTokenPrices();
+        const embed = new EmbedBuilder()
+          .setTitle(`🧬 Best Parents for ${targetText}`)
+          .setDescription(`${summonType === 'dark' ? 'Dark summon' : 'Regular summon'}, ranked by ${rankByProfit ? 'expected resale profit' : 'expected JEWEL per successful child'}`)
+          .setColor(0x5865F2);
+
+        for (const [index, plan] of ranked.entries()) {
+          const step = plan.steps[0];
+          const { profit } = plan.valued || {};
+          const valueText = plan.valued
+            ? `\nChild ≈ ${plan.valued.expectedValue.toFixed(2)} · profit ${profit.pair.expected.toFixed(2)} ${plan.token} (${profit.pair.low.toFixed(2)} to ${profit.pair.high.toFixed(2)})`
+            : '';
+          const jewel = toJewel(plan.costPerSuccess, plan.token, prices);
+          const parentText = step.parents
+            .map(p => `#${p.normalizedId ?? p.id} ${p.mainClass} G${p.generation}${p.owned ? ' (yours)' : ` · ${p.price.toFixed(2)}`}`)
+            .join('\n');
+          embed.addFields({
+            name: `${index + 1}. ${jewel == null ? `${plan.costPerSuccess.toFixed(2)} ${plan.token}` : `≈${jewel.toFixed(2)} JEWEL`} per hit`,
+            value:
+              `${parentText}\n` +
+              `${(step.probability * 100).toFixed(2)}% per summon · ${(plan.successProbability * 100).toFixed(1)}% over ${step.attempts} summon${step.attempts === 1 ? '' : 's'}\n` +
+              `Expected spend ${plan.expectedCost.toFixed(2)} ${plan.token}${valueText}`,
+            inline: false
+          });
+        }
+
+        embed.setFooter({ text: 'Cost per hit = (hero prices + expected fees, tears and stones) / chance of success' });
+        await interaction.editReply({ content: '', embeds: [embed] });
+      } catch (err) {
+        console.error('❌ Error in /findparents:', err);
+        await interaction.editReply(`❌ Error finding parents: ${err.message}`);
+      }
+
+      return;
+    }
+
     if (name === 'find-bargain') {
       const targetClass = interaction.options.getString('target_class', true);
       const minProbability = interaction.options.getNumber('min_probability') || 5.0;
@@ -3631,42 +4173,272 @@ client.on(Events.InteractionCreate, async (interaction) => {
       return;
     }
 
-    // Other slash commands (help, npc, hero, garden, etc.) were not included
-    // in this truncated version of the file. Add them back here later as needed.
+    // 💬 /npc - free-text chat with Hedge, continuing the player's thread in this guild
+    if (name === 'npc') {
+      const userText = interaction.options.getString('message', true);
+      const discordId = interaction.user.id;
+      const username = interaction.user.username;
 
-    } // end of if (interaction.isChatInputCommand())
-  } catch (err) {
-    console.error('Handler error:', err);
-    try {
-      await interaction.editReply('Something went sideways fetching the numbers. Try again in a moment.');
-    } catch {
-      // ignore secondary errors
+      let thread = null;
+      let history = [];
+      let playerId = null;
+      try {
+        const { player } = await ensureUserRegistered(discordId, username);
+        playerId = player.id;
+        thread = await openThread(player.id, {
+          channelType: interaction.guildId ? 'guild_text' : 'dm',
+          channelId: interaction.channelId,
+          guildId: interaction.guildId || null,
+        });
+        history = await getConversationContext(thread);
+      } catch (memoryError) {
+        console.warn(`[ConversationMemory] Could not load /npc history for ${username}:`, memoryError.message);
+      }
+
+      const streamer = new DiscordStreamer(interactionTarget(interaction));
+      const agentRequest = {
+        discordId,
+        playerId,
+        username,
+        history,
+        knowledgeQuery: userText,
+        userContent: `Message from ${username}: ${userText}`,
+        thread
+      };
+      const agentAnswer = await answerWithAgent(agentRequest.userContent, { ...agentRequest, streamer });
+      const reply = agentAnswer.response;
+      await offerAgentConfirmation(agentAnswer, agentRequest, prompt => interaction.followUp(prompt));
+
+      if (thread) {
+        try {
+          await recordTurn(thread, 'user', userText, { command: 'npc' });
+          await recordTurn(thread, 'assistant', reply);
+        } catch (memoryError) {
+          console.warn(`[ConversationMemory] Could not save /npc turn for ${username}:`, memoryError.message);
+        }
+      }
+      return;
     }
-  }
-});
 
-// === Initialize Economic System (BEFORE Discord client logs in) ===
-async function initializeEconomicSystem() {
-  // Ensure dashboard users tables exist (using rawPg to match app's connection)
-  try {
-    const { rawPg } = await import('./server/db.js');
-    
-    // Create dashboard_users table first
-    await rawPg`
-      CREATE TABLE IF NOT EXISTS dashboard_users (
-        id SERIAL PRIMARY KEY,
-        username TEXT NOT NULL UNIQUE,
-        password_hash TEXT NOT NULL,
-        display_name TEXT,
-        is_active BOOLEAN NOT NULL DEFAULT true,
-        expires_at TIMESTAMP WITH TIME ZONE,
-        allowed_tabs JSON NOT NULL DEFAULT '[]'::json,
-        last_login_at TIMESTAMP WITH TIME ZONE,
-        created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
-        updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
-        created_by TEXT
-      )
-    `;
+    // 🧹 /forget - clear the player's stored conversations (DMs and /npc)
+    if (name === 'forget') {
+      try {
+        const { player } = await ensureUserRegistered(interaction.user.id, interaction.user.username);
+        await forgetConversations(player.id);
+        await interaction.editReply("*flips the ledger to a clean page* Done. I've forgotten our previous conversations.");
+      } catch (err) {
+        console.error('❌ Error in /forget:', err);
+        await interaction.editReply("Hmm, I couldn't clear my notes just now. Try again in a bit.");
+      }
+      return;
+    }
+
+    // 👑 /subscribe - buy a plan from balance, or get deposit instructions for one
+    if (name === 'subscribe') {
+      try {
+        const { player } = await ensureUserRegistered(interaction.user.id, interaction.user.username);
+        const planId = interaction.options.getString('plan', true);
+        const payment = interaction.options.getString('payment') || 'balance';
+
+        if (payment === 'deposit') {
+          const request = await requestSubscriptionDeposit(player.id, planId);
+          await interaction.editReply(
+            `Send the deposit below and **${planId.replace(/_/g, ' ')}** starts as soon as it lands.\n\n` +
+            formatDepositInstructions(request)
+          );
+          return;
+        }
+
+        const { subscription, balance } = await subscribe({ playerId: player.id, planId });
+        await interaction.editReply(
+          `👑 **${planId.replace(/_/g, ' ')}** is active until <t:${Math.floor(new Date(subscription.currentPeriodEnd).getTime() / 1000)}:f>. ` +
+          `It renews from your balance (now ${Number(balance.balanceJewel).toFixed(2)} JEWEL). Use \`/subscription\` to manage it.`
+        );
+      } catch (err) {
+        console.error('❌ Error in /subscribe:', err);
+        const reason = /Insufficient balance/.test(err.message)
+          ? "Your balance doesn't cover that plan. Top up, or use `payment: Direct deposit`."
+          : err.message;
+        await interaction.editReply(`Couldn't start that subscription: ${reason}`);
+      }
+      return;
+    }
+
+    // 👑 /subscription - status, cancel auto-renew, or turn it back on
+    if (name === 'subscription') {
+      try {
+        const { player } = await ensureUserRegistered(interaction.user.id, interaction.user.username);
+        const action = interaction.options.getString('action') || 'status';
+
+        if (action === 'cancel') {
+          const sub = await cancelSubscription(player.id);
+          await interaction.editReply(sub.status === 'cancelled'
+            ? 'Cancelled. You were in your grace period, so you are back on the free tier.'
+            : `Auto-renew is off. You keep your perks until <t:${Math.floor(new Date(sub.currentPeriodEnd).getTime() / 1000)}:f>.`);
+          return;
+        }
+        if (action === 'autorenew') {
+          const sub = await setAutoRenew(player.id, true);
+          await interaction.editReply(`Auto-renew is on. Next renewal <t:${Math.floor(new Date(sub.currentPeriodEnd).getTime() / 1000)}:f>.`);
+          return;
+        }
+
+        const sub = await getPlayerSubscription(player.id);
+        if (!sub) {
+          const plans = await listPlans();
+          await interaction.editReply(
+            "You're on the free tier. Plans:\n" +
+            plans.map(p => `• **${p.displayName}**: ${Number(p.priceJewel).toFixed(0)} JEWEL`).join('\n') +
+            '\nUse `/subscribe` to pick one.'
+          );
+          return;
+        }
+        const ends = Math.floor(new Date(sub.status === 'grace' ? sub.graceEndsAt : sub.currentPeriodEnd).getTime() / 1000);
+        await interaction.editReply(
+          `👑 **${sub.planId.replace(/_/g, ' ')}** (${sub.tierId})\n` +
+          (sub.status === 'grace'
+            ? `⚠️ Renewal payment is overdue. Perks end <t:${ends}:R> unless your balance covers it.`
+            : `${sub.autoRenew ? 'Renews' : 'Ends'} <t:${ends}:f>.`)
+        );
+      } catch (err) {
+        console.error('❌ Error in /subscription:', err);
+        await interaction.editReply(`Couldn't update your subscription: ${err.message}`);
+      }
+      return;
+    }
+
+    // 🔏 /linkwallet - get a message to sign, then prove ownership with the signature
+    if (name === 'linkwallet') {
+      try {
+        const { player } = await ensureUserRegistered(interaction.user.id, interaction.user.username);
+        const address = interaction.options.getString('address', true);
+        const signature = interaction.options.getString('signature');
+
+        if (signature) {
+          const wallet = await verifyWalletLink(player.id, address, signature);
+          await interaction.editReply(
+            `🔏 Verified. JEWEL, CRYSTAL or USDC sent from \`${wallet.address}\` to \`${HEDGE_WALLET}\` is now credited to your balance automatically, any amount.`
+          );
+          return;
+        }
+
+        const challenge = await createLinkChallenge(player.id, interaction.user.id, address);
+        if (challenge.alreadyLinked) {
+          const linked = await listVerifiedWallets(player.id);
+          await interaction.editReply(
+            `\`${challenge.address}\` is already linked. Your linked wallets:\n` +
+            linked.map(w => `• \`${w.address}\``).join('\n')
+          );
+          return;
+        }
+
+        await interaction.editReply(
+          `Sign this exact message with \`${challenge.address}\` (personal_sign in your wallet), then run ` +
+          `\`/linkwallet address:${challenge.address} signature:<signature>\` within 15 minutes.\n` +
+          '```\n' + challenge.message + '\n```'
+        );
+      } catch (err) {
+        console.error('❌ Error in /linkwallet:', err);
+        await interaction.editReply(`Couldn't link that wallet: ${err.message}`);
+      }
+      return;
+    }
+
+    // 🔏 /unlinkwallet - stop auto-crediting a wallet
+    if (name === 'unlinkwallet') {
+      try {
+        const { player } = await ensureUserRegistered(interaction.user.id, interaction.user.username);
+        const wallet = await unlinkWallet(player.id, interaction.options.getString('address', true));
+        await interaction.editReply(`Unlinked \`${wallet.address}\`. Deposits from it will need a deposit request again.`);
+      } catch (err) {
+        console.error('❌ Error in /unlinkwallet:', err);
+        await interaction.editReply(`Couldn't unlink that wallet: ${err.message}`);
+      }
+      return;
+    }
+
+    // 🎟️ /redeem - promo codes and referral codes
+    if (name === 'redeem') {
+      try {
+        const { player } = await ensureUserRegistered(interaction.user.id, interaction.user.username);
+        const result = await redeemCode(player.id, interaction.options.getString('code', true));
+
+        if (result.kind === 'referral') {
+          await interaction.editReply(
+            `🤝 Thanks for letting us know **${result.inviter.discordUsername}** invited you. ` +
+            `Once you've deposited ${REFERRAL_MIN_DEPOSIT_JEWEL} JEWEL they'll get ${REFERRAL_REWARD_JEWEL} JEWEL as a thank-you.`
+          );
+          return;
+        }
+
+        const lines = [`🎟️ Redeemed **${result.code}**.`];
+        if (result.amountJewel) {
+          lines.push(`+${Number(result.amountJewel).toFixed(2)} JEWEL credit. Balance: **${Number(result.balance.balanceJewel).toFixed(2)} JEWEL**.`);
+        }
+        if (result.subscription) {
+          lines.push(`Trial of **${result.subscription.planId.replace(/_/g, ' ')}** until <t:${Math.floor(new Date(result.subscription.currentPeriodEnd).getTime() / 1000)}:f>.`);
+        }
+        await interaction.editReply(lines.join('\n'));
+      } catch (err) {
+        console.error('❌ Error in /redeem:', err);
+        await interaction.editReply(`Couldn't redeem that code: ${err.message}`);
+      }
+      return;
+    }
+
+    // 🤝 /referral - your code and how many invites have paid off
+    if (name === 'referral') {
+      try {
+        const { player } = await ensureUserRegistered(interaction.user.id, interaction.user.username);
+        const summary = await getReferralSummary(player.id);
+        await interaction.editReply(
+          `🤝 Your referral code: \`${summary.code}\`\n` +
+          `New players run \`/redeem code:${summary.code}\`. When they've deposited ${REFERRAL_MIN_DEPOSIT_JEWEL} JEWEL you get ${REFERRAL_REWARD_JEWEL} JEWEL.\n` +
+          `Pending: **${summary.pending}** · Rewarded: **${summary.credited}** (${Number(summary.rewardsJewel).toFixed(2)} JEWEL)`
+        );
+      } catch (err) {
+        console.error('❌ Error in /referral:', err);
+        await interaction.editReply(`Couldn't load your referrals: ${err.message}`);
+      }
+      return;
+    }
+
+    // Other slash commands (help, hero, garden, etc.) were not included
+    // in this truncated version of the file. Add them back here later as needed.
+
+    } // end of if (interaction.isChatInputCommand())
+  } catch (err) {
+    console.error('Handler error:', err);
+    try {
+      await interaction.editReply('Something went sideways fetching the numbers. Try again in a moment.');
+    } catch {
+      // ignore secondary errors
+    }
+  }
+});
+
+// === Initialize Economic System (BEFORE Discord client logs in) ===
+async function initializeEconomicSystem() {
+  // Ensure dashboard users tables exist (using rawPg to match app's connection)
+  try {
+    const { rawPg } = await import('./server/db.js');
+    
+    // Create dashboard_users table first
+    await rawPg`
+      CREATE TABLE IF NOT EXISTS dashboard_users (
+        id SERIAL PRIMARY KEY,
+        username TEXT NOT NULL UNIQUE,
+        password_hash TEXT NOT NULL,
+        display_name TEXT,
+        is_active BOOLEAN NOT NULL DEFAULT true,
+        expires_at TIMESTAMP WITH TIME ZONE,
+        allowed_tabs JSON NOT NULL DEFAULT '[]'::json,
+        last_login_at TIMESTAMP WITH TIME ZONE,
+        created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        created_by TEXT
+      )
+    `;
     
     // Create dashboard_user_sessions table (depends on dashboard_users)
     await rawPg`
@@ -3684,6 +4456,47 @@ async function initializeEconomicSystem() {
     console.warn('⚠️ Dashboard users table check failed:', err.message);
   }
 
+  // JEWEL ledger tables + opening balances for players that predate the journal
+  try {
+    await ensureLedgerTables();
+    const backfill = await backfillOpeningBalances();
+    console.log(`✅ JEWEL ledger verified (${backfill.players} opening balances backfilled)`);
+  } catch (err) {
+    console.warn('⚠️ JEWEL ledger bootstrap failed:', err.message);
+  }
+
+  // Payment jobs table (and the garden_optimizations payment columns it fills in)
+  try {
+    await ensurePaymentJobTables();
+    console.log('✅ Payment jobs table verified');
+  } catch (err) {
+    console.warn('⚠️ Payment jobs table check failed:', err.message);
+  }
+
+  // Spend-control columns on user_settings (read by the user summary/settings routes)
+  try {
+    await ensureSpendControlTables();
+    console.log('✅ Spend control settings verified');
+  } catch (err) {
+    console.warn('⚠️ Spend control settings check failed:', err.message);
+  }
+
+  // Conversation memory columns (interaction_messages.content/token_count are written by every logMessage)
+  try {
+    await ensureMemoryColumns();
+    console.log('✅ Conversation memory columns verified');
+  } catch (err) {
+    console.warn('⚠️ Conversation memory column check failed:', err.message);
+  }
+
+  // Treasury inflows and payout batches
+  try {
+    await ensureTreasuryTables();
+    console.log('✅ Treasury tables verified');
+  } catch (err) {
+    console.warn('⚠️ Treasury tables check failed:', err.message);
+  }
+
   try {
     const { rawPg } = await import('./server/db.js');
     await rawPg.unsafe(`
@@ -3895,7 +4708,6 @@ async function initializeEconomicSystem() {
   }
 
   console.log('📡 Starting payment monitor (V2: Per-job fast scanner)...');
-  await initializeExistingJobs();
   await startMonitoring();
   paymentMonitorStarted = true;
   console.log('✅ Economic system initialized');
@@ -4678,10 +5490,16 @@ async function startAdminWebServer() {
     }
   });
 
-  // GET /api/admin/hedge-wallet - Get Hedge's wallet balance (admin only)
+  // GET /api/admin/hedge-wallet - Get Hedge's wallet balance and 30-day treasury flows (admin only)
   app.get('/api/admin/hedge-wallet', isAdmin, async (req, res) => {
     try {
-      const balances = await fetchWalletBalances(HEDGE_WALLET);
+      const [balances, treasury] = await Promise.all([
+        fetchWalletBalances(HEDGE_WALLET),
+        getTreasurySummary({ days: 30 }).catch(err => {
+          console.warn('[API] Treasury summary unavailable:', err.message);
+          return null;
+        })
+      ]);
       res.json({
         success: true,
         wallet: HEDGE_WALLET,
@@ -4690,6 +5508,7 @@ async function startAdminWebServer() {
           crystal: balances.crystal,
           cjewel: balances.cjewel,
         },
+        treasury,
       });
     } catch (err) {
       console.error('[API] Error fetching hedge wallet balance:', err);
@@ -4754,184 +5573,631 @@ async function startAdminWebServer() {
         runningRun: runningRunResults[0] ?? null,
       });
     } catch (error) {
-      console.error('[HedgeProxy] Error fetching sync summary:', error);
-      res.status(500).json({ ok: false, error: error?.message ?? String(error) });
+      console.error('[HedgeProxy] Error fetching sync summary:', error);
+      res.status(500).json({ ok: false, error: error?.message ?? String(error) });
+    }
+  });
+
+  // GET /api/admin/hedge/combat/sync/runs - List sync runs
+  app.get('/api/admin/hedge/combat/sync/runs', isAdmin, async (req, res) => {
+    try {
+      const limit = Math.min(100, Math.max(1, Number(req.query.limit ?? 25)));
+
+      const runs = await db.select({
+        id: syncRuns.id,
+        domain: syncRuns.domain,
+        startedAt: syncRuns.startedAt,
+        finishedAt: syncRuns.finishedAt,
+        status: syncRuns.status,
+        discoveredUrls: syncRuns.discoveredUrls,
+        keywordsUpserted: syncRuns.keywordsUpserted,
+        classesAttempted: syncRuns.classesAttempted,
+        classesIngested: syncRuns.classesIngested,
+        skillsUpserted: syncRuns.skillsUpserted,
+        ragDocsUpserted: syncRuns.ragDocsUpserted,
+        error: syncRuns.error,
+      })
+        .from(syncRuns)
+        .where(eq(syncRuns.domain, 'combat_codex'))
+        .orderBy(desc(syncRuns.startedAt))
+        .limit(limit);
+
+      res.json({ ok: true, count: runs.length, results: runs });
+    } catch (error) {
+      console.error('[HedgeProxy] Error fetching sync runs:', error);
+      res.status(500).json({ ok: false, error: error?.message ?? String(error) });
+    }
+  });
+
+  // GET /api/admin/hedge/combat/sync/runs/:id - Get run detail
+  app.get('/api/admin/hedge/combat/sync/runs/:id', isAdmin, async (req, res) => {
+    try {
+      const id = Number(req.params.id);
+      if (!Number.isFinite(id)) {
+        return res.status(400).json({ ok: false, error: 'Invalid id' });
+      }
+
+      const [run] = await db.select()
+        .from(syncRuns)
+        .where(and(eq(syncRuns.id, id), eq(syncRuns.domain, 'combat_codex')));
+
+      if (!run) {
+        return res.status(404).json({ ok: false, error: 'Run not found' });
+      }
+
+      const items = await db.select()
+        .from(syncRunItems)
+        .where(eq(syncRunItems.syncRunId, id));
+
+      res.json({ ok: true, run, items });
+    } catch (error) {
+      console.error('[HedgeProxy] Error fetching run detail:', error);
+      res.status(500).json({ ok: false, error: error?.message ?? String(error) });
+    }
+  });
+
+  // GET /api/admin/hedge/combat/sources - List combat sources
+  app.get('/api/admin/hedge/combat/sources', isAdmin, async (req, res) => {
+    try {
+      const sources = await db.select().from(combatSources).orderBy(combatSources.kind, combatSources.url);
+      res.json({ ok: true, results: sources });
+    } catch (error) {
+      console.error('[HedgeProxy] Error fetching sources:', error);
+      res.status(500).json({ ok: false, error: error?.message ?? String(error) });
+    }
+  });
+
+  // PATCH /api/admin/hedge/combat/sources - Toggle source enabled
+  app.patch('/api/admin/hedge/combat/sources', isAdmin, async (req, res) => {
+    try {
+      const { url, enabled } = req.body;
+      if (typeof url !== 'string' || typeof enabled !== 'boolean') {
+        return res.status(400).json({ ok: false, error: 'Invalid request body' });
+      }
+
+      const [updated] = await db.update(combatSources)
+        .set({ enabled })
+        .where(eq(combatSources.url, url))
+        .returning();
+
+      if (!updated) {
+        return res.status(404).json({ ok: false, error: 'Source not found' });
+      }
+
+      res.json({ ok: true, source: updated });
+    } catch (error) {
+      console.error('[HedgeProxy] Error updating source:', error);
+      res.status(500).json({ ok: false, error: error?.message ?? String(error) });
+    }
+  });
+
+  // POST /api/admin/hedge/combat/refresh - Trigger combat codex sync
+  app.post('/api/admin/hedge/combat/refresh', isAdmin, async (req, res) => {
+    try {
+      const { discover = true, concurrency = 3 } = req.body || {};
+      const { ingestCombatCodex } = await import('./src/dfk/combatCodexIngestor.js');
+      const result = await ingestCombatCodex({ discover, concurrency });
+      res.json({ ok: true, ...result });
+    } catch (error) {
+      console.error('[HedgeProxy] Error refreshing combat codex:', error);
+      res.status(500).json({ ok: false, error: error?.message ?? String(error) });
+    }
+  });
+
+  // GET /api/admin/hedge/combat/classes-summary - Get all classes with skills for class summary page
+  app.get('/api/admin/hedge/combat/classes-summary', isAdmin, async (req, res) => {
+    try {
+      const classes = await db.select().from(combatClassMeta).orderBy(combatClassMeta.class);
+      
+      const skills = await db.select({
+        class: combatSkills.class,
+        tier: combatSkills.tier,
+        ability: combatSkills.ability,
+        discipline: combatSkills.discipline,
+        descriptionRaw: combatSkills.descriptionRaw,
+        range: combatSkills.range,
+        manaCost: combatSkills.manaCost,
+        tags: combatSkills.tags,
+      }).from(combatSkills).orderBy(combatSkills.class, combatSkills.tier, combatSkills.ability);
+      
+      const skillCounts = await db.select({
+        class: combatSkills.class,
+        count: sql`count(*)::int`.as('count'),
+      }).from(combatSkills).groupBy(combatSkills.class);
+      
+      const countMap = {};
+      for (const sc of skillCounts) {
+        countMap[sc.class] = sc.count;
+      }
+      
+      const skillsByClass = {};
+      for (const skill of skills) {
+        if (!skillsByClass[skill.class]) skillsByClass[skill.class] = [];
+        skillsByClass[skill.class].push(skill);
+      }
+      
+      const enrichedClasses = classes.map(c => ({
+        ...c,
+        skillCount: countMap[c.class] || 0,
+        skills: skillsByClass[c.class] || [],
+      }));
+      
+      res.json({ ok: true, classes: enrichedClasses });
+    } catch (error) {
+      console.error('[HedgeProxy] Error fetching classes summary:', error);
+      res.status(500).json({ ok: false, error: error?.message ?? String(error) });
+    }
+  });
+
+  // PATCH /api/admin/hedge/combat/classes/:className/validate - Toggle class validation status
+  app.patch('/api/admin/hedge/combat/classes/:className/validate', isAdmin, async (req, res) => {
+    try {
+      const { className } = req.params;
+      const { validated } = req.body;
+      
+      if (typeof validated !== 'boolean') {
+        return res.status(400).json({ ok: false, error: 'validated must be a boolean' });
+      }
+      
+      const [updated] = await db.update(combatClassMeta)
+        .set({ validated })
+        .where(eq(combatClassMeta.class, className))
+        .returning();
+      
+      if (!updated) {
+        return res.status(404).json({ ok: false, error: 'Class not found' });
+      }
+      
+      // Validated classes are what Hedge may retrieve; re-index in the background
+      syncCombatCodexKnowledge().catch(err => console.error('[KnowledgeIndex] Codex re-index error:', err.message));
+      
+      res.json({ ok: true, class: updated });
+    } catch (error) {
+      console.error('[HedgeProxy] Error updating class validation:', error);
+      res.status(500).json({ ok: false, error: error?.message ?? String(error) });
+    }
+  });
+
+  // GET /api/admin/knowledge/status - Chunk counts per knowledge source in the retrieval index
+  app.get('/api/admin/knowledge/status', isAdmin, async (req, res) => {
+    try {
+      const status = await getKnowledgeIndexStatus();
+      res.json({ ok: true, ...status });
+    } catch (error) {
+      console.error('[KnowledgeIndex] Error fetching status:', error);
+      res.status(500).json({ ok: false, error: error?.message ?? String(error) });
+    }
+  });
+
+  // POST /api/admin/knowledge/reindex - Re-index knowledge markdown and the combat codex
+  app.post('/api/admin/knowledge/reindex', isAdmin, async (req, res) => {
+    try {
+      const result = await syncKnowledgeIndex();
+      res.json({ ok: true, ...result });
+    } catch (error) {
+      console.error('[KnowledgeIndex] Error re-indexing:', error);
+      res.status(500).json({ ok: false, error: error?.message ?? String(error) });
+    }
+  });
+
+  // ============================================================================
+  // JEWEL LEDGER ROUTES
+  // ============================================================================
+
+  // GET /api/admin/ledger/integrity - Reconcile journal, balance cache and verified deposits (?verifyOnChain=true re-checks RouteScan)
+  app.get('/api/admin/ledger/integrity', isAdmin, async (req, res) => {
+    try {
+      const report = await checkLedgerIntegrity({ verifyOnChain: req.query.verifyOnChain === 'true' });
+      res.json(report);
+    } catch (error) {
+      console.error('[Ledger] Error running integrity check:', error);
+      res.status(500).json({ ok: false, error: error?.message ?? String(error) });
+    }
+  });
+
+  // GET /api/admin/ledger/players/:playerId - Derived balance and journal for one player
+  app.get('/api/admin/ledger/players/:playerId', isAdmin, async (req, res) => {
+    try {
+      const playerId = parseInt(req.params.playerId, 10);
+      if (!Number.isInteger(playerId)) {
+        return res.status(400).json({ ok: false, error: 'Invalid playerId' });
+      }
+      const limit = Math.min(parseInt(req.query.limit, 10) || 100, 500);
+      const [balance, journal] = await Promise.all([
+        getLedgerBalance(playerId),
+        getPlayerJournal(playerId, { limit })
+      ]);
+      res.json({ ok: true, playerId, ...balance, journal });
+    } catch (error) {
+      console.error('[Ledger] Error fetching player journal:', error);
+      res.status(500).json({ ok: false, error: error?.message ?? String(error) });
+    }
+  });
+
+  // POST /api/admin/ledger/adjustments - Post a signed admin adjustment { playerId, amountJewel, reason }
+  app.post('/api/admin/ledger/adjustments', isAdmin, async (req, res) => {
+    try {
+      const { playerId, amountJewel, reason } = req.body || {};
+      if (!playerId || !amountJewel || !reason) {
+        return res.status(400).json({ ok: false, error: 'playerId, amountJewel and reason are required' });
+      }
+      const { entry, balance } = await recordAdminAdjustment({
+        playerId: parseInt(playerId, 10),
+        amountJewel: String(amountJewel),
+        reason,
+        adminId: req.user?.userId || null
+      });
+      res.json({ ok: true, entryId: entry.id, ...balance });
+    } catch (error) {
+      console.error('[Ledger] Error posting admin adjustment:', error);
+      res.status(400).json({ ok: false, error: error?.message ?? String(error) });
+    }
+  });
+
+  // GET /api/admin/refunds - Refunds issued for failed, timed-out and degraded paid queries (?days=30)
+  app.get('/api/admin/refunds', isAdmin, async (req, res) => {
+    try {
+      const days = parseInt(req.query.days, 10) || 30;
+      const startDate = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+      const stats = await getRefundStats({ startDate, recentLimit: 50 });
+      res.json({ ok: true, days, ...stats });
+    } catch (error) {
+      console.error('[Refund] Error fetching refund stats:', error);
+      res.status(500).json({ ok: false, error: error?.message ?? String(error) });
+    }
+  });
+
+  // GET /api/admin/analytics/margin - Revenue vs real LLM cost by query type, tier and day (?days=30)
+  app.get('/api/admin/analytics/margin', isAdminOrHasTab('profit-tracker'), async (req, res) => {
+    try {
+      const days = parseInt(req.query.days, 10) || 30;
+      const startDate = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+      const margin = await getMarginAnalytics({ startDate });
+      res.json({ ok: true, days, ...margin });
+    } catch (error) {
+      console.error('[Analytics] Error fetching margin analytics:', error);
+      res.status(500).json({ ok: false, error: error?.message ?? String(error) });
+    }
+  });
+
+  // ============================================================================
+  // SUBSCRIPTION ROUTES
+  // ============================================================================
+
+  // GET /api/admin/subscriptions/plans - All subscription plans (including disabled)
+  app.get('/api/admin/subscriptions/plans', isAdmin, async (req, res) => {
+    try {
+      const plans = await listPlans({ includeDisabled: true });
+      res.json({ ok: true, results: plans });
+    } catch (error) {
+      console.error('[Subscriptions] Error listing plans:', error);
+      res.status(500).json({ ok: false, error: error?.message ?? String(error) });
+    }
+  });
+
+  // PATCH /api/admin/subscriptions/plans/:planId - Update price, duration, grace days or availability
+  app.patch('/api/admin/subscriptions/plans/:planId', isAdmin, async (req, res) => {
+    try {
+      const plan = await updatePlan(req.params.planId, req.body || {});
+      res.json({ ok: true, result: plan });
+    } catch (error) {
+      console.error('[Subscriptions] Error updating plan:', error);
+      res.status(400).json({ ok: false, error: error?.message ?? String(error) });
+    }
+  });
+
+  // GET /api/admin/subscriptions - Player subscriptions (?status=active|grace|expired|cancelled)
+  app.get('/api/admin/subscriptions', isAdmin, async (req, res) => {
+    try {
+      const results = await listSubscriptions({ status: req.query.status || null });
+      res.json({ ok: true, results });
+    } catch (error) {
+      console.error('[Subscriptions] Error listing subscriptions:', error);
+      res.status(500).json({ ok: false, error: error?.message ?? String(error) });
+    }
+  });
+
+  // POST /api/admin/subscriptions/grant - Grant a plan without charging { playerId, planId, days? }
+  app.post('/api/admin/subscriptions/grant', isAdmin, async (req, res) => {
+    try {
+      const { playerId, planId, days } = req.body || {};
+      if (!playerId || !planId) {
+        return res.status(400).json({ ok: false, error: 'playerId and planId are required' });
+      }
+      const subscription = await grantSubscription({
+        playerId: parseInt(playerId, 10),
+        planId,
+        days: days ? parseInt(days, 10) : null
+      });
+      res.json({ ok: true, result: subscription });
+    } catch (error) {
+      console.error('[Subscriptions] Error granting subscription:', error);
+      res.status(400).json({ ok: false, error: error?.message ?? String(error) });
+    }
+  });
+
+  // POST /api/admin/subscriptions/:playerId/cancel - Turn off auto-renew for a player's plan
+  app.post('/api/admin/subscriptions/:playerId/cancel', isAdmin, async (req, res) => {
+    try {
+      const subscription = await cancelSubscription(parseInt(req.params.playerId, 10));
+      res.json({ ok: true, result: subscription });
+    } catch (error) {
+      console.error('[Subscriptions] Error cancelling subscription:', error);
+      res.status(400).json({ ok: false, error: error?.message ?? String(error) });
+    }
+  });
+
+  // POST /api/admin/subscriptions/run-billing - Run the billing cycle now instead of waiting for the hourly tick
+  app.post('/api/admin/subscriptions/run-billing', isAdmin, async (req, res) => {
+    try {
+      const stats = await runBillingCycle();
+      res.json({ ok: true, ...stats });
+    } catch (error) {
+      console.error('[Subscriptions] Error running billing cycle:', error);
+      res.status(500).json({ ok: false, error: error?.message ?? String(error) });
+    }
+  });
+
+  // ============================================================================
+  // UNMATCHED DEPOSIT REVIEW ROUTES
+  // ============================================================================
+
+  // GET /api/admin/deposits/unmatched - Transfers to Hedge from unverified wallets (?status=pending|credited|dismissed|refunded)
+  app.get('/api/admin/deposits/unmatched', isAdmin, async (req, res) => {
+    try {
+      const results = await listUnmatchedTransfers({ status: req.query.status || 'pending' });
+      res.json({ ok: true, results });
+    } catch (error) {
+      console.error('[WalletDeposits] Error listing unmatched transfers:', error);
+      res.status(500).json({ ok: false, error: error?.message ?? String(error) });
+    }
+  });
+
+  // POST /api/admin/deposits/unmatched/:id/assign - Credit a queued transfer to a player { playerId, note? }
+  app.post('/api/admin/deposits/unmatched/:id/assign', isAdmin, async (req, res) => {
+    try {
+      const { playerId, note } = req.body || {};
+      if (!playerId) {
+        return res.status(400).json({ ok: false, error: 'playerId is required' });
+      }
+      const result = await assignUnmatchedTransfer(parseInt(req.params.id, 10), parseInt(playerId, 10), {
+        adminId: req.user?.userId,
+        note: note || null
+      });
+      res.json({ ok: true, result });
+    } catch (error) {
+      console.error('[WalletDeposits] Error assigning unmatched transfer:', error);
+      res.status(400).json({ ok: false, error: error?.message ?? String(error) });
+    }
+  });
+
+  // POST /api/admin/deposits/unmatched/:id/dismiss - Close a queued transfer without crediting { note? }
+  app.post('/api/admin/deposits/unmatched/:id/dismiss', isAdmin, async (req, res) => {
+    try {
+      const result = await dismissUnmatchedTransfer(parseInt(req.params.id, 10), {
+        adminId: req.user?.userId,
+        note: req.body?.note || null
+      });
+      res.json({ ok: true, result });
+    } catch (error) {
+      console.error('[WalletDeposits] Error dismissing unmatched transfer:', error);
+      res.status(400).json({ ok: false, error: error?.message ?? String(error) });
     }
   });
 
-  // GET /api/admin/hedge/combat/sync/runs - List sync runs
-  app.get('/api/admin/hedge/combat/sync/runs', isAdmin, async (req, res) => {
+  // POST /api/admin/deposits/unmatched/:id/refund - Send a queued transfer back to its sender via the next payout batch { note? }
+  app.post('/api/admin/deposits/unmatched/:id/refund', isAdmin, async (req, res) => {
     try {
-      const limit = Math.min(100, Math.max(1, Number(req.query.limit ?? 25)));
-
-      const runs = await db.select({
-        id: syncRuns.id,
-        domain: syncRuns.domain,
-        startedAt: syncRuns.startedAt,
-        finishedAt: syncRuns.finishedAt,
-        status: syncRuns.status,
-        discoveredUrls: syncRuns.discoveredUrls,
-        keywordsUpserted: syncRuns.keywordsUpserted,
-        classesAttempted: syncRuns.classesAttempted,
-        classesIngested: syncRuns.classesIngested,
-        skillsUpserted: syncRuns.skillsUpserted,
-        ragDocsUpserted: syncRuns.ragDocsUpserted,
-        error: syncRuns.error,
-      })
-        .from(syncRuns)
-        .where(eq(syncRuns.domain, 'combat_codex'))
-        .orderBy(desc(syncRuns.startedAt))
-        .limit(limit);
+      const result = await queueRefundPayout(parseInt(req.params.id, 10), {
+        adminId: req.user?.userId,
+        note: req.body?.note || null
+      });
+      res.json({ ok: true, result });
+    } catch (error) {
+      console.error('[Treasury] Error queueing refund:', error);
+      res.status(400).json({ ok: false, error: error?.message ?? String(error) });
+    }
+  });
 
-      res.json({ ok: true, count: runs.length, results: runs });
+  // GET /api/admin/deposits/payment-conflicts - Garden payment jobs whose transfer was already credited to another player
+  app.get('/api/admin/deposits/payment-conflicts', isAdmin, async (req, res) => {
+    try {
+      const results = await listPaymentJobConflicts();
+      res.json({ ok: true, results });
     } catch (error) {
-      console.error('[HedgeProxy] Error fetching sync runs:', error);
+      console.error('[PaymentJobs] Error listing payment conflicts:', error);
       res.status(500).json({ ok: false, error: error?.message ?? String(error) });
     }
   });
 
-  // GET /api/admin/hedge/combat/sync/runs/:id - Get run detail
-  app.get('/api/admin/hedge/combat/sync/runs/:id', isAdmin, async (req, res) => {
+  // ============================================================================
+  // TREASURY & PAYOUT ROUTES
+  // ============================================================================
+
+  // GET /api/admin/treasury - Hedge wallet inflows/outflows by category and outstanding payouts (?days=30)
+  app.get('/api/admin/treasury', isAdmin, async (req, res) => {
     try {
-      const id = Number(req.params.id);
-      if (!Number.isFinite(id)) {
-        return res.status(400).json({ ok: false, error: 'Invalid id' });
-      }
+      const days = parseInt(req.query.days, 10) || 30;
+      const [summary, queued] = await Promise.all([
+        getTreasurySummary({ days }),
+        listQueuedPayouts()
+      ]);
+      res.json({ ok: true, wallet: HEDGE_WALLET, ...summary, queued });
+    } catch (error) {
+      console.error('[Treasury] Error building treasury summary:', error);
+      res.status(500).json({ ok: false, error: error?.message ?? String(error) });
+    }
+  });
 
-      const [run] = await db.select()
-        .from(syncRuns)
-        .where(and(eq(syncRuns.id, id), eq(syncRuns.domain, 'combat_codex')));
+  // GET /api/admin/payout-batches - Payout batches, newest first (?status=draft|approved|exported|paid|rejected)
+  app.get('/api/admin/payout-batches', isAdmin, async (req, res) => {
+    try {
+      const results = await listPayoutBatches({ status: req.query.status || null });
+      res.json({ ok: true, results });
+    } catch (error) {
+      console.error('[Treasury] Error listing payout batches:', error);
+      res.status(500).json({ ok: false, error: error?.message ?? String(error) });
+    }
+  });
 
-      if (!run) {
-        return res.status(404).json({ ok: false, error: 'Run not found' });
+  // POST /api/admin/payout-batches - Queue new prizes/rewards and collect queued payouts into the draft batch
+  app.post('/api/admin/payout-batches', isAdmin, async (req, res) => {
+    try {
+      const result = await draftPayoutBatch({ createdBy: req.user?.userId || 'admin' });
+      if (!result) {
+        return res.json({ ok: true, result: null, message: 'Nothing to pay out' });
       }
+      res.json({ ok: true, result: await getPayoutBatch(result.batch.id), added: result.added });
+    } catch (error) {
+      console.error('[Treasury] Error drafting payout batch:', error);
+      res.status(500).json({ ok: false, error: error?.message ?? String(error) });
+    }
+  });
 
-      const items = await db.select()
-        .from(syncRunItems)
-        .where(eq(syncRunItems.syncRunId, id));
+  // GET /api/admin/payout-batches/:id - One batch with its payout items and last export
+  app.get('/api/admin/payout-batches/:id', isAdmin, async (req, res) => {
+    try {
+      const result = await getPayoutBatch(parseInt(req.params.id, 10));
+      res.json({ ok: true, result });
+    } catch (error) {
+      console.error('[Treasury] Error fetching payout batch:', error);
+      res.status(404).json({ ok: false, error: error?.message ?? String(error) });
+    }
+  });
 
-      res.json({ ok: true, run, items });
+  // POST /api/admin/payout-batches/:id/approve - Approve a draft batch for export
+  app.post('/api/admin/payout-batches/:id/approve', isAdmin, async (req, res) => {
+    try {
+      const result = await approvePayoutBatch(parseInt(req.params.id, 10), { adminId: req.user?.userId });
+      res.json({ ok: true, result });
     } catch (error) {
-      console.error('[HedgeProxy] Error fetching run detail:', error);
-      res.status(500).json({ ok: false, error: error?.message ?? String(error) });
+      console.error('[Treasury] Error approving payout batch:', error);
+      res.status(400).json({ ok: false, error: error?.message ?? String(error) });
     }
   });
 
-  // GET /api/admin/hedge/combat/sources - List combat sources
-  app.get('/api/admin/hedge/combat/sources', isAdmin, async (req, res) => {
+  // POST /api/admin/payout-batches/:id/reject - Reject an unpaid batch { note? }; payouts return to the queue,
+  // or, once exported, wait to be settled or voided one by one
+  app.post('/api/admin/payout-batches/:id/reject', isAdmin, async (req, res) => {
     try {
-      const sources = await db.select().from(combatSources).orderBy(combatSources.kind, combatSources.url);
-      res.json({ ok: true, results: sources });
+      const result = await rejectPayoutBatch(parseInt(req.params.id, 10), {
+        adminId: req.user?.userId,
+        note: req.body?.note || null
+      });
+      res.json({ ok: true, result });
     } catch (error) {
-      console.error('[HedgeProxy] Error fetching sources:', error);
-      res.status(500).json({ ok: false, error: error?.message ?? String(error) });
+      console.error('[Treasury] Error rejecting payout batch:', error);
+      res.status(400).json({ ok: false, error: error?.message ?? String(error) });
     }
   });
 
-  // PATCH /api/admin/hedge/combat/sources - Toggle source enabled
-  app.patch('/api/admin/hedge/combat/sources', isAdmin, async (req, res) => {
+  // POST /api/admin/payout-batches/:id/export - Unsigned transactions for offline signing (approved batches)
+  app.post('/api/admin/payout-batches/:id/export', isAdmin, async (req, res) => {
     try {
-      const { url, enabled } = req.body;
-      if (typeof url !== 'string' || typeof enabled !== 'boolean') {
-        return res.status(400).json({ ok: false, error: 'Invalid request body' });
+      const result = await exportPayoutBatch(parseInt(req.params.id, 10));
+      res.json({ ok: true, result });
+    } catch (error) {
+      console.error('[Treasury] Error exporting payout batch:', error);
+      res.status(400).json({ ok: false, error: error?.message ?? String(error) });
+    }
+  });
+
+  // POST /api/admin/payout-batches/:id/paid - Record broadcast tx hashes { txHashes: { [itemId]: hash } }
+  app.post('/api/admin/payout-batches/:id/paid', isAdmin, async (req, res) => {
+    try {
+      const { txHashes } = req.body || {};
+      if (!txHashes || typeof txHashes !== 'object') {
+        return res.status(400).json({ ok: false, error: 'txHashes is required' });
       }
+      const result = await markPayoutBatchPaid(parseInt(req.params.id, 10), { txHashes, adminId: req.user?.userId });
+      res.json({ ok: true, result });
+    } catch (error) {
+      console.error('[Treasury] Error marking payout batch paid:', error);
+      res.status(400).json({ ok: false, error: error?.message ?? String(error) });
+    }
+  });
 
-      const [updated] = await db.update(combatSources)
-        .set({ enabled })
-        .where(eq(combatSources.url, url))
-        .returning();
+  // POST /api/admin/payouts/:id/cancel - Drop a queued or drafted payout for good
+  app.post('/api/admin/payouts/:id/cancel', isAdmin, async (req, res) => {
+    try {
+      const result = await cancelPayoutItem(parseInt(req.params.id, 10), { adminId: req.user?.userId });
+      res.json({ ok: true, result });
+    } catch (error) {
+      console.error('[Treasury] Error cancelling payout:', error);
+      res.status(400).json({ ok: false, error: error?.message ?? String(error) });
+    }
+  });
 
-      if (!updated) {
-        return res.status(404).json({ ok: false, error: 'Source not found' });
+  // POST /api/admin/payouts/:id/settle - An unsettled payout was paid by its exported tx { txHash }
+  app.post('/api/admin/payouts/:id/settle', isAdmin, async (req, res) => {
+    try {
+      const { txHash } = req.body || {};
+      if (!txHash) {
+        return res.status(400).json({ ok: false, error: 'txHash is required' });
       }
+      const result = await settlePayoutItem(parseInt(req.params.id, 10), { txHash, adminId: req.user?.userId });
+      res.json({ ok: true, result });
+    } catch (error) {
+      console.error('[Treasury] Error settling payout:', error);
+      res.status(400).json({ ok: false, error: error?.message ?? String(error) });
+    }
+  });
 
-      res.json({ ok: true, source: updated });
+  // POST /api/admin/payouts/:id/void - An unsettled payout's exported tx was never sent; back to the queue
+  app.post('/api/admin/payouts/:id/void', isAdmin, async (req, res) => {
+    try {
+      const result = await voidPayoutItem(parseInt(req.params.id, 10), { adminId: req.user?.userId });
+      res.json({ ok: true, result });
     } catch (error) {
-      console.error('[HedgeProxy] Error updating source:', error);
-      res.status(500).json({ ok: false, error: error?.message ?? String(error) });
+      console.error('[Treasury] Error voiding payout:', error);
+      res.status(400).json({ ok: false, error: error?.message ?? String(error) });
     }
   });
 
-  // POST /api/admin/hedge/combat/refresh - Trigger combat codex sync
-  app.post('/api/admin/hedge/combat/refresh', isAdmin, async (req, res) => {
+  // ============================================================================
+  // PROMO CODE & REFERRAL ROUTES
+  // ============================================================================
+
+  // GET /api/admin/promo-codes - All promo codes with redemption counts
+  app.get('/api/admin/promo-codes', isAdmin, async (req, res) => {
     try {
-      const { discover = true, concurrency = 3 } = req.body || {};
-      const { ingestCombatCodex } = await import('./src/dfk/combatCodexIngestor.js');
-      const result = await ingestCombatCodex({ discover, concurrency });
-      res.json({ ok: true, ...result });
+      const results = await listPromoCodes();
+      res.json({ ok: true, results });
     } catch (error) {
-      console.error('[HedgeProxy] Error refreshing combat codex:', error);
+      console.error('[Promotions] Error listing promo codes:', error);
       res.status(500).json({ ok: false, error: error?.message ?? String(error) });
     }
   });
 
-  // GET /api/admin/hedge/combat/classes-summary - Get all classes with skills for class summary page
-  app.get('/api/admin/hedge/combat/classes-summary', isAdmin, async (req, res) => {
+  // POST /api/admin/promo-codes - Create a code { code, amountJewel?, planId?, trialDays?, maxRedemptions?, perUserLimit?, targetTiers?, startsAt?, expiresAt? }
+  app.post('/api/admin/promo-codes', isAdmin, async (req, res) => {
     try {
-      const classes = await db.select().from(combatClassMeta).orderBy(combatClassMeta.class);
-      
-      const skills = await db.select({
-        class: combatSkills.class,
-        tier: combatSkills.tier,
-        ability: combatSkills.ability,
-        discipline: combatSkills.discipline,
-        descriptionRaw: combatSkills.descriptionRaw,
-        range: combatSkills.range,
-        manaCost: combatSkills.manaCost,
-        tags: combatSkills.tags,
-      }).from(combatSkills).orderBy(combatSkills.class, combatSkills.tier, combatSkills.ability);
-      
-      const skillCounts = await db.select({
-        class: combatSkills.class,
-        count: sql`count(*)::int`.as('count'),
-      }).from(combatSkills).groupBy(combatSkills.class);
-      
-      const countMap = {};
-      for (const sc of skillCounts) {
-        countMap[sc.class] = sc.count;
-      }
-      
-      const skillsByClass = {};
-      for (const skill of skills) {
-        if (!skillsByClass[skill.class]) skillsByClass[skill.class] = [];
-        skillsByClass[skill.class].push(skill);
-      }
-      
-      const enrichedClasses = classes.map(c => ({
-        ...c,
-        skillCount: countMap[c.class] || 0,
-        skills: skillsByClass[c.class] || [],
-      }));
-      
-      res.json({ ok: true, classes: enrichedClasses });
+      const result = await createPromoCode(req.body || {}, { adminId: req.user?.userId });
+      res.json({ ok: true, result });
     } catch (error) {
-      console.error('[HedgeProxy] Error fetching classes summary:', error);
-      res.status(500).json({ ok: false, error: error?.message ?? String(error) });
+      console.error('[Promotions] Error creating promo code:', error);
+      res.status(400).json({ ok: false, error: error?.message ?? String(error) });
     }
   });
 
-  // PATCH /api/admin/hedge/combat/classes/:className/validate - Toggle class validation status
-  app.patch('/api/admin/hedge/combat/classes/:className/validate', isAdmin, async (req, res) => {
+  // PATCH /api/admin/promo-codes/:code - Change limits, window, target tiers or disable a code
+  app.patch('/api/admin/promo-codes/:code', isAdmin, async (req, res) => {
     try {
-      const { className } = req.params;
-      const { validated } = req.body;
-      
-      if (typeof validated !== 'boolean') {
-        return res.status(400).json({ ok: false, error: 'validated must be a boolean' });
-      }
-      
-      const [updated] = await db.update(combatClassMeta)
-        .set({ validated })
-        .where(eq(combatClassMeta.class, className))
-        .returning();
-      
-      if (!updated) {
-        return res.status(404).json({ ok: false, error: 'Class not found' });
-      }
-      
-      res.json({ ok: true, class: updated });
+      const result = await updatePromoCode(req.params.code, req.body || {});
+      res.json({ ok: true, result });
     } catch (error) {
-      console.error('[HedgeProxy] Error updating class validation:', error);
+      console.error('[Promotions] Error updating promo code:', error);
+      res.status(400).json({ ok: false, error: error?.message ?? String(error) });
+    }
+  });
+
+  // GET /api/admin/referrals - Referrals (?status=pending|credited|rejected)
+  app.get('/api/admin/referrals', isAdmin, async (req, res) => {
+    try {
+      const results = await listReferrals({ status: req.query.status || null });
+      res.json({ ok: true, results });
+    } catch (error) {
+      console.error('[Promotions] Error listing referrals:', error);
       res.status(500).json({ ok: false, error: error?.message ?? String(error) });
     }
   });
@@ -4939,7 +6205,7 @@ async function startAdminWebServer() {
   // /api/admin/users – lightweight list for admin Users table (no live on-chain calls)
   // /api/admin/users/:userId/profile – detailed admin view for a single player
   // /api/user/summary/:discordId – user-facing summary used by UserDashboard (admin impersonation for now)
-  // /api/user/settings/:discordId – per-user Hedge settings (admin-only for now)
+  // /api/user/settings/:discordId – per-user Hedge settings incl. spend caps and alerts (admin-only for now)
 
   // GET /api/admin/users - Fast paginated list using cached dfkSnapshot only
   app.get("/api/admin/users", isAdminOrHasTab('users'), async (req, res) => {
@@ -5668,10 +6934,57 @@ async function startAdminWebServer() {
     }
   });
 
+  // GET /api/user/settings/:discordId - Notification and spend-control settings, with this day's/week's spend
+  app.get('/api/user/settings/:discordId', isAdmin, async (req, res) => {
+    try {
+      const { discordId } = req.params;
+
+      const playerRows = await db
+        .select()
+        .from(players)
+        .where(eq(players.discordId, discordId))
+        .limit(1);
+
+      if (!playerRows || playerRows.length === 0) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+
+      const player = playerRows[0];
+      const spend = await getSpendOverview(player.id);
+
+      const settingsRows = await db
+        .select()
+        .from(userSettings)
+        .where(eq(userSettings.playerId, player.id))
+        .limit(1);
+
+      res.json({
+        success: true,
+        userSettings: {
+          notifyOnAprDrop: settingsRows[0]?.notifyOnAprDrop ?? false,
+          notifyOnNewOptimization: settingsRows[0]?.notifyOnNewOptimization ?? true,
+          ...spend,
+        },
+      });
+    } catch (err) {
+      console.error('[API] Error loading user settings:', err);
+      res.status(500).json({ error: 'Failed to load user settings' });
+    }
+  });
+
+  // PATCH /api/user/settings/:discordId - Update notification and spend-control settings
+  // Spend fields: dailySpendCapJewel, weeklySpendCapJewel, confirmAboveJewel, lowBalanceAlertJewel (null = off), monthlyStatement
   app.patch('/api/user/settings/:discordId', isAdmin, async (req, res) => {
     try {
       const { discordId } = req.params;
-      const { notifyOnAprDrop, notifyOnNewOptimization } = req.body || {};
+      const { notifyOnAprDrop, notifyOnNewOptimization, ...spendInput } = req.body || {};
+
+      let spendUpdates;
+      try {
+        spendUpdates = normalizeSpendSettings(spendInput);
+      } catch (validationErr) {
+        return res.status(400).json({ error: validationErr.message });
+      }
 
       const updates = {};
 
@@ -5689,7 +7002,7 @@ async function startAdminWebServer() {
         updates.notifyOnNewOptimization = notifyOnNewOptimization;
       }
 
-      if (Object.keys(updates).length === 0) {
+      if (Object.keys(updates).length === 0 && Object.keys(spendUpdates).length === 0) {
         return res.status(400).json({ error: 'No valid settings provided' });
       }
 
@@ -5705,6 +7018,13 @@ async function startAdminWebServer() {
 
       const player = playerRows[0];
 
+      // Spend settings first: the weekly cap can't be set below the daily cap
+      try {
+        await updateSpendSettings(player.id, spendUpdates);
+      } catch (validationErr) {
+        return res.status(400).json({ error: validationErr.message });
+      }
+
       const existing = await db
         .select()
         .from(userSettings)
@@ -5742,6 +7062,7 @@ async function startAdminWebServer() {
         userSettings: {
           notifyOnAprDrop: saved.notifyOnAprDrop,
           notifyOnNewOptimization: saved.notifyOnNewOptimization,
+          ...(await getSpendOverview(player.id)),
         },
       });
     } catch (err) {
@@ -6310,23 +7631,17 @@ async function startAdminWebServer() {
 
       // Live PVP Diamond balance on Metis — this IS the refund pool
       const PVP_DIAMOND_METIS = '0xc7681698B14a2381d9f1eD69FC3D27F33965b53B';
-      const METIS_RPC = 'https://andromeda.metis.io/?owner=1088';
       let poolBalanceMetis = null;
       let estimatedRunwayDays = null;
       try {
-        const rpcRes = await fetch(METIS_RPC, {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({ jsonrpc: '2.0', method: 'eth_getBalance', params: [PVP_DIAMOND_METIS, 'latest'], id: 1 }),
-          signal: AbortSignal.timeout(6000),
-        });
-        const rpcData = await rpcRes.json();
-        if (rpcData?.result) {
-          poolBalanceMetis = Number(BigInt(rpcData.result)) / 1e18;
-          estimatedRunwayDays = dailyBurnRate > 0
-            ? Math.round((poolBalanceMetis / dailyBurnRate) * 10) / 10
-            : null;
-        }
+        const { getChainProvider } = await import('./src/services/rpcProviderRegistry.js');
+        const balanceP = getChainProvider('metis').getBalance(PVP_DIAMOND_METIS);
+        const timeout = new Promise((_, rej) => setTimeout(() => rej(new Error('timeout')), 6000));
+        const balanceWei = await Promise.race([balanceP, timeout]);
+        poolBalanceMetis = Number(balanceWei) / 1e18;
+        estimatedRunwayDays = dailyBurnRate > 0
+          ? Math.round((poolBalanceMetis / dailyBurnRate) * 10) / 10
+          : null;
       } catch (rpcErr) {
         console.warn('[PVE API] Failed to fetch PVP Diamond balance:', rpcErr?.message?.slice(0, 60));
       }
@@ -8269,7 +9584,7 @@ async function startAdminWebServer() {
       
       let result;
       if (action === 'start') {
-        result = startAutoRunHarmony(pid, { workerCount: workerCount || 5 });
+        result = await startAutoRunHarmony(pid, { workerCount: workerCount || 5 });
       } else {
         result = stopAutoRunHarmony(pid);
       }
@@ -8288,7 +9603,7 @@ async function startAdminWebServer() {
       const poolLength = await getPoolLengthHarmony();
       const started = [];
       for (let pid = 0; pid < Math.min(poolLength, 20); pid++) {
-        startAutoRunHarmony(pid);
+        await startAutoRunHarmony(pid);
         started.push(pid);
       }
       res.json({ success: true, started });
@@ -8431,8 +9746,70 @@ async function startAdminWebServer() {
       refreshAllStakerBalances().catch(err => console.error('[JewelerIndexer] Background refresh error:', err));
       res.json({ success: true, message: 'Balance refresh started in background' });
     } catch (error) {
-      console.error('[API] Error starting balance refresh:', error);
-      res.status(500).json({ error: 'Failed to start balance refresh', details: error.message });
+      console.error('[API] Error starting balance refresh:', error);
+      res.status(500).json({ error: 'Failed to start balance refresh', details: error.message });
+    }
+  });
+
+  // =========================================================================
+  // INDEXER RUNTIME ROUTES (uniform status for runtime-backed indexers)
+  // =========================================================================
+
+  const loadRuntimeIndexers = async () => {
+    await import('./src/etl/ingestion/jewelerIndexer.js');
+    await import('./src/etl/ingestion/summonOutcomeIndexer.js');
+    return import('./src/etl/ingestion/indexerRuntime.js');
+  };
+
+  // GET /api/admin/indexers/status - Status of every runtime-backed indexer
+  app.get('/api/admin/indexers/status', isAdmin, async (req, res) => {
+    try {
+      const { getAllIndexerStatuses } = await loadRuntimeIndexers();
+      const indexers = await getAllIndexerStatuses();
+      res.json({ indexers, count: indexers.length });
+    } catch (error) {
+      console.error('[API] Error fetching indexer statuses:', error);
+      res.status(500).json({ error: 'Failed to fetch indexer statuses', details: error.message });
+    }
+  });
+
+  // GET /api/admin/rpc/health - Endpoint scores and circuit state for every pooled RPC provider
+  app.get('/api/admin/rpc/health', isAdmin, async (req, res) => {
+    try {
+      const { getRpcRegistryHealth } = await import('./src/services/rpcProviderRegistry.js');
+      res.json({ pools: getRpcRegistryHealth() });
+    } catch (error) {
+      console.error('[API] Error fetching RPC health:', error);
+      res.status(500).json({ error: 'Failed to fetch RPC health', details: error.message });
+    }
+  });
+
+  // GET /api/admin/indexers/reorgs - Recent chain reorg incidents across all indexers
+  app.get('/api/admin/indexers/reorgs', isAdmin, async (req, res) => {
+    try {
+      const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+      const indexerName = req.query.indexer || null;
+      const { getRecentReorgIncidents } = await import('./src/etl/ingestion/reorgGuard.js');
+      const incidents = await getRecentReorgIncidents({ limit, indexerName });
+      res.json({ incidents, count: incidents.length });
+    } catch (error) {
+      console.error('[API] Error fetching reorg incidents:', error);
+      res.status(500).json({ error: 'Failed to fetch reorg incidents', details: error.message });
+    }
+  });
+
+  // GET /api/admin/indexers/:name/status - Status of a single runtime-backed indexer
+  app.get('/api/admin/indexers/:name/status', isAdmin, async (req, res) => {
+    try {
+      const { getIndexer } = await loadRuntimeIndexers();
+      const indexer = getIndexer(req.params.name);
+      if (!indexer) {
+        return res.status(404).json({ error: `Unknown indexer: ${req.params.name}` });
+      }
+      res.json(await indexer.getStatus());
+    } catch (error) {
+      console.error('[API] Error fetching indexer status:', error);
+      res.status(500).json({ error: 'Failed to fetch indexer status', details: error.message });
     }
   });
 
@@ -10529,7 +11906,6 @@ async function startAdminWebServer() {
     const HOST_TIER_LABELS_BD = { 0:'Basic',1:'Silver',2:'Gold',3:'Platinum',4:'Diamond',5:'Champion' };
     const SUDDEN_DEATH_LABELS = { 0:'None',1:'Growing Atrophy',2:'Shrinking Arena' };
     const SHOT_CLOCK_PENALTY_LABELS = { 0:'Random Basic Attack',1:'Forfeit' };
-    const METIS_RPC_BD = 'https://andromeda.metis.io/?owner=1088';
     const PVP_DIAMOND_BD = '0xc7681698B14a2381d9f1eD69FC3D27F33965b53B';
 
     function decodeBracketData(raw) {
@@ -10619,7 +11995,8 @@ async function startAdminWebServer() {
 
       try {
         const { ethers } = await import('ethers');
-        const provider = new ethers.JsonRpcProvider(METIS_RPC_BD);
+        const { getChainProvider } = await import('./src/services/rpcProviderRegistry.js');
+        const provider = getChainProvider('metis');
         const contract = new ethers.Contract(PVP_DIAMOND_BD, BRACKET_ABI_EXT, provider);
 
         const [t, e, h, rawBracket, allRoundRewards, sponsorship] = await Promise.all([
@@ -11128,12 +12505,11 @@ async function startAdminWebServer() {
           `Give tactical advice: mention the biggest advantage, main threat from the opponent, and one key strategic recommendation.`,
           `Keep it concise and direct. No markdown.`,
         ].join('\n');
-        const aiResp = await openai.chat.completions.create({
-          model: OPENAI_MODEL,
-          max_tokens: 180,
+        const aiResp = await llmChat('matchup_analysis', {
+          maxTokens: 180,
           messages: [{ role: 'user', content: prompt }],
         });
-        narrative = aiResp.choices?.[0]?.message?.content?.trim() ?? null;
+        narrative = aiResp.content || null;
       } catch (_) { /* narrative stays null */ }
 
       // Auto-save prediction to DB (upsert — one record per matchup)
@@ -11577,11 +12953,11 @@ async function startAdminWebServer() {
             `\nAll teams (ranked):\n${allTeams}`,
             `\nIn 2-3 sentences: explain why the top team leads (cite equipment, skills, or synergies), and identify the main threat to them. No markdown.`,
           ].join('\n');
-          const aiResp = await openai.chat.completions.create({
-            model: OPENAI_MODEL, max_tokens: 200,
+          const aiResp = await llmChat('matchup_analysis', {
+            maxTokens: 200,
             messages: [{ role: 'user', content: prompt }],
           });
-          narrative = aiResp.choices?.[0]?.message?.content?.trim() ?? null;
+          narrative = aiResp.content || null;
         }
       } catch (_) {}
 
@@ -11648,11 +13024,11 @@ async function startAdminWebServer() {
 
       let tips = null;
       try {
-        const aiResp = await openai.chat.completions.create({
-          model: OPENAI_MODEL, max_tokens: 280,
+        const aiResp = await llmChat('matchup_analysis', {
+          maxTokens: 280,
           messages: [{ role: 'user', content: prompt }],
         });
-        tips = aiResp.choices?.[0]?.message?.content?.trim() ?? null;
+        tips = aiResp.content || null;
       } catch (aiErr) {
         console.warn('[PlayerTips] OpenAI failed:', aiErr.message);
       }
@@ -12662,18 +14038,15 @@ In 4-5 sentences explain this upset specifically: (1) HOW did the underdog ${_un
 
       let analysis = null;
       try {
-        const { OpenAI } = await import('openai');
-        const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
-        const completion = await openai.chat.completions.create({
-          model: 'gpt-4o-mini',
+        const completion = await llmChat('matchup_analysis', {
           messages: [
             { role: 'system', content: 'You are an expert DeFi Kingdoms PvP tournament coach. Give concise, practical advice.' },
             { role: 'user', content: prompt },
           ],
-          max_tokens: 280,
+          maxTokens: 280,
           temperature: 0.7,
         });
-        analysis = completion.choices[0]?.message?.content?.trim() ?? null;
+        analysis = completion.content || null;
       } catch (aiErr) {
         console.warn('[BoutAnalysis] OpenAI call failed:', aiErr.message);
       }
@@ -12893,15 +14266,12 @@ In 4-5 sentences explain this upset specifically: (1) HOW did the underdog ${_un
 
       let analysis = null;
       try {
-        const { default: OpenAI } = await import('openai');
-        const oai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
-        const completion = await oai.chat.completions.create({
-          model: 'gpt-4o-mini',
+        const completion = await llmChat('matchup_analysis', {
           messages: [{ role: 'user', content: prompt }],
-          max_tokens: 300,
+          maxTokens: 300,
           temperature: 0.7,
         });
-        analysis = completion.choices[0]?.message?.content?.trim() ?? null;
+        analysis = completion.content || null;
       } catch (aiErr) {
         console.warn('[LiveCoach] OpenAI call failed:', aiErr.message);
       }
@@ -14278,6 +15648,26 @@ In 4-5 sentences explain this upset specifically: (1) HOW did the underdog ${_un
     }
   });
 
+  // Shared SSE handler for the hero price narrative (delta { text }, done { narrative }, error { error })
+  async function streamHeroPriceNarrative(req, res) {
+    const priceResult = req.body;
+    if (!priceResult || !priceResult.hero) {
+      return res.status(400).json({ ok: false, error: 'Missing price result data' });
+    }
+
+    const events = openEventStream(req, res);
+    try {
+      const { streamPriceNarrative } = await import("./src/etl/ingestion/saleIngestionService.js");
+      const { text } = await pipeStreamToEvents(streamPriceNarrative(priceResult), events);
+      events.send('done', { ok: true, narrative: text.trim() || 'Unable to generate analysis.' });
+    } catch (error) {
+      console.error('[Market Intel] Price narrative stream error:', error);
+      events.send('error', { ok: false, error: error?.message ?? String(error) });
+    } finally {
+      events.end();
+    }
+  }
+
   // POST /api/admin/market-intel/hero-price-narrative - AI reasoning narrative for hero price
   app.post("/api/admin/market-intel/hero-price-narrative", isAdminOrHasTab('market-intel'), async (req, res) => {
     try {
@@ -14294,6 +15684,11 @@ In 4-5 sentences explain this upset specifically: (1) HOW did the underdog ${_un
     }
   });
 
+  // POST /api/admin/market-intel/hero-price-narrative/stream - Same narrative, streamed as Server-Sent Events
+  app.post("/api/admin/market-intel/hero-price-narrative/stream", isAdminOrHasTab('market-intel'), async (req, res) => {
+    await streamHeroPriceNarrative(req, res);
+  });
+
   // POST /api/admin/market-intel/confidence-summaries - AI confidence justifications for flippable heroes
   app.post("/api/admin/market-intel/confidence-summaries", isAdminOrHasTab('market-intel'), async (req, res) => {
     try {
@@ -14511,6 +15906,10 @@ In 4-5 sentences explain this upset specifically: (1) HOW did the underdog ${_un
     }
   });
 
+  app.post("/api/user/hero-price-narrative/stream", isUser, async (req, res) => {
+    await streamHeroPriceNarrative(req, res);
+  });
+
   app.post("/api/user/confidence-summaries", isUser, async (req, res) => {
     try {
       const { generateConfidenceSummaries } = await import("./src/etl/ingestion/saleIngestionService.js");
@@ -14739,19 +16138,15 @@ In 4-5 sentences explain this upset specifically: (1) HOW did the underdog ${_un
         'function isOnAuction(uint256 _tokenId) view returns (bool)',
       ]);
 
+      const { getChainProvider } = await import('./src/services/rpcProviderRegistry.js');
+      // Endpoint failover is handled by the RPC registry's pooled providers
       const realmConfigs = {
         CRY: {
-          chainId: 53935,
-          rpcs: [
-            'https://subnets.avax.network/defi-kingdoms/dfk-chain/rpc',
-            'https://avax-dfk.gateway.pokt.network/v1/lb/6244818c00b9f0003ad1b619/ext/bc/q2aTwKuyzgs8pynF7UXBZCU7DejbZbZ6EUyHr3JQzYgwNPUPi/rpc',
-            'https://53935.rpc.thirdweb.com',
-          ],
+          chain: 'dfk',
           auction: '0x49744F76caA3B63CccE9CE7de5C8282C92c891e5',
         },
         SUN: {
-          chainId: 8217,
-          rpcs: ['https://public-en.node.kaia.io', 'https://kaia.blockpi.network/v1/rpc/public'],
+          chain: 'kaia',
           auction: '0x7aB1C574A8762bEde901F32670481c0427DdF626',
         },
       };
@@ -14787,7 +16182,7 @@ In 4-5 sentences explain this upset specifically: (1) HOW did the underdog ${_un
               } else {
                 failedBatches++;
                 if (failedBatches >= 5) {
-                  console.warn(`[Combat Pets] ${realmKey}: 5+ batch failures, trying next RPC...`);
+                  console.warn(`[Combat Pets] ${realmKey}: 5+ batch failures, giving up`);
                   throw new Error(`${realmKey}: too many batch failures`);
                 }
               }
@@ -14826,24 +16221,12 @@ In 4-5 sentences explain this upset specifically: (1) HOW did the underdog ${_un
       for (const [realmKey, config] of Object.entries(realmConfigs)) {
         const petsInRealm = allRawPets.filter(p => p.currentRealm === realmKey);
         if (petsInRealm.length === 0) continue;
-        let connected = false;
-        const network = { chainId: config.chainId, name: realmKey };
-        for (const rpc of config.rpcs) {
-          try {
-            const fetchReq = new ethersLib.FetchRequest(rpc);
-            fetchReq.timeout = 8000;
-            const provider = new ethersLib.JsonRpcProvider(fetchReq, network, { staticNetwork: ethersLib.Network.from(network) });
-            const multicall = new ethersLib.Contract(MULTICALL3_ADDRESS, MULTICALL3_ABI, provider);
-            console.log(`[Combat Pets] Verifying ${petsInRealm.length} ${realmKey} pets via Multicall3 (${rpc.split('/')[2]})...`);
-            await verifyRealmPets(realmKey, petsInRealm, multicall, config.auction);
-            connected = true;
-            break;
-          } catch (rpcErr) {
-            console.warn(`[Combat Pets] ${realmKey} RPC ${rpc.split('/')[2]} failed: ${rpcErr.message?.substring(0,80)}`);
-          }
-        }
-        if (!connected) {
-          console.warn(`[Combat Pets] ${realmKey}: all RPCs failed, skipping verification`);
+        try {
+          const multicall = new ethersLib.Contract(MULTICALL3_ADDRESS, MULTICALL3_ABI, getChainProvider(config.chain));
+          console.log(`[Combat Pets] Verifying ${petsInRealm.length} ${realmKey} pets via Multicall3 (${config.chain})...`);
+          await verifyRealmPets(realmKey, petsInRealm, multicall, config.auction);
+        } catch (rpcErr) {
+          console.warn(`[Combat Pets] ${realmKey}: all RPCs failed, skipping verification: ${rpcErr.message?.substring(0,80)}`);
         }
       }
 
@@ -15317,6 +16700,22 @@ In 4-5 sentences explain this upset specifically: (1) HOW did the underdog ${_un
       
       // Calculate offspring generation
       const offspringGeneration = Math.max(hero1.generation, hero2.generation) + 1;
+
+      // Expected resale value of the child; the parents are treated as owned
+      let valuation = summarizeValue(null);
+      try {
+        const parent = (hero) => ({
+          generation: hero.generation,
+          summons: hero.summons,
+          maxSummons: hero.maxSummons,
+          mainClass: hero.mainClassStr,
+          owned: true
+        });
+        const model = await loadValueModel(hero1.network === 'met' ? 'sd' : 'cv');
+        valuation = summarizeValue(valueSummon(probabilities, parent(hero1), parent(hero2), model));
+      } catch (valueErr) {
+        console.warn('[Summoning] Could not value offspring:', valueErr?.message);
+      }
       
       res.json({
         ok: true,
@@ -15345,7 +16744,10 @@ In 4-5 sentences explain this upset specifically: (1) HOW did the underdog ${_un
         genetics1,
         genetics2,
         probabilities,
-        offspringGeneration
+        offspringGeneration,
+        value: valuation.value,
+        profit: valuation.profit,
+        valueToken: hero1.network === 'met' ? 'JEWEL' : 'CRYSTAL'
       });
     } catch (error) {
       console.error('[Summoning] Calculate error:', error);
@@ -15353,6 +16755,200 @@ In 4-5 sentences explain this upset specifically: (1) HOW did the underdog ${_un
     }
   });
 
+  // POST /api/admin/summoning/plan - Multi-generation breeding plans toward a target
+  app.post("/api/admin/summoning/plan", isAdminOrHasTab('summoning-calculator'), async (req, res) => {
+    try {
+      const { findBreedingPlans, normalizeTarget } = await import('./breeding-planner.js');
+      const {
+        target = {},
+        walletAddress = null,
+        realms = ['cv', 'sd'],
+        maxDepth = 2,
+        maxPrice = null,
+        maxCost = null,
+        maxGeneration = null,
+        maxAttempts = 10,
+        tearPrice = 0.05,
+        summonType = 'regular',
+        enhancementStone = null,
+        stonePrice = null,
+        sortBy = 'costPerSuccess',
+        limit = 10
+      } = req.body || {};
+
+      try {
+        normalizeTarget(target);
+        resolveStone(enhancementStone);
+      } catch (targetErr) {
+        return res.status(400).json({ ok: false, error: targetErr.message });
+      }
+      if (walletAddress && !/^0x[a-fA-F0-9]{40}$/.test(walletAddress)) {
+        return res.status(400).json({ ok: false, error: 'Invalid wallet address' });
+      }
+
+      const validRealms = (Array.isArray(realms) ? realms : [realms]).filter(r => r === 'cv' || r === 'sd');
+      const toNumber = (value) => (value === null || value === '' || value === undefined ? null : Number(value));
+
+      const result = await findBreedingPlans({
+        target,
+        walletAddress,
+        realms: validRealms.length ? validRealms : ['cv', 'sd'],
+        maxDepth: Math.min(3, Math.max(1, parseInt(maxDepth) || 2)),
+        maxPrice: toNumber(maxPrice),
+        maxCost: toNumber(maxCost),
+        maxGeneration: toNumber(maxGeneration),
+        maxAttempts: Math.min(20, Math.max(1, parseInt(maxAttempts) || 10)),
+        tearPrice: Number(tearPrice) || 0,
+        summonType: summonType === 'dark' ? 'dark' : 'regular',
+        stone: enhancementStone,
+        stonePrice: toNumber(stonePrice),
+        sortBy,
+        limit: Math.min(50, Math.max(1, parseInt(limit) || 10))
+      });
+
+      res.json({ ok: true, ...result });
+    } catch (error) {
+      console.error('[Summoning] Plan error:', error);
+      res.status(500).json({ ok: false, error: error?.message ?? String(error) });
+    }
+  });
+
+  // POST /api/admin/summoning/joint - Joint probability of a condition set for one pair
+  app.post("/api/admin/summoning/joint", isAdminOrHasTab('summoning-calculator'), async (req, res) => {
+    try {
+      const { hero1Id, hero2Id, query = null, conditions = null, method = 'auto', samples = 20000 } = req.body || {};
+
+      if (!hero1Id || !hero2Id) {
+        return res.status(400).json({ ok: false, error: 'Both hero IDs required' });
+      }
+      if (!query && !Array.isArray(conditions)) {
+        return res.status(400).json({ ok: false, error: 'A query string or conditions array is required' });
+      }
+
+      const [hero1, hero2] = await Promise.all([
+        onchain.getHeroById(hero1Id),
+        onchain.getHeroById(hero2Id)
+      ]);
+      if (!hero1) {
+        return res.status(404).json({ ok: false, error: `Hero ${hero1Id} not found` });
+      }
+      if (!hero2) {
+        return res.status(404).json({ ok: false, error: `Hero ${hero2Id} not found` });
+      }
+
+      let genetics1, genetics2;
+      try {
+        genetics1 = decodeHeroGenes(hero1);
+        genetics2 = decodeHeroGenes(hero2);
+      } catch (decodeError) {
+        return res.status(400).json({ ok: false, error: 'Could not decode hero genetics: ' + decodeError.message });
+      }
+
+      let joint;
+      try {
+        joint = jointProbability(genetics1, genetics2, query || conditions, {
+          method,
+          samples: Math.min(1000000, Math.max(1000, parseInt(samples) || 20000))
+        });
+      } catch (queryErr) {
+        return res.status(400).json({ ok: false, error: queryErr.message });
+      }
+
+      res.json({
+        ok: true,
+        probability: joint.probability,
+        method: joint.method,
+        samples: joint.samples,
+        standardError: joint.standardError,
+        independentProduct: joint.independentProduct,
+        conditions: joint.conditions.map((cond, i) => ({
+          traits: cond.traits,
+          slot: cond.slot,
+          values: cond.values,
+          not: cond.not,
+          label: describeCondition(cond),
+          probability: joint.marginals[i]
+        }))
+      });
+    } catch (error) {
+      console.error('[Summoning] Joint query error:', error);
+      res.status(500).json({ ok: false, error: error?.message ?? String(error) });
+    }
+  });
+
+  // ============================================================================
+  // SUMMON CALIBRATION - Engine predictions vs. indexed summon outcomes
+  // ============================================================================
+
+  // GET /api/admin/summon-calibration/status - Indexer status and check counts
+  app.get("/api/admin/summon-calibration/status", isAdminOrHasTab('summoning-calculator'), async (req, res) => {
+    try {
+      const { getSummonOutcomeStatus } = await import('./src/etl/ingestion/summonOutcomeIndexer.js');
+      res.json({ ok: true, ...(await getSummonOutcomeStatus()) });
+    } catch (error) {
+      console.error('[SummonCalibration] Status error:', error);
+      res.status(500).json({ ok: false, error: error?.message ?? String(error) });
+    }
+  });
+
+  // GET /api/admin/summon-calibration/report - Calibration by trait and mutation tier
+  app.get("/api/admin/summon-calibration/report", isAdminOrHasTab('summoning-calculator'), async (req, res) => {
+    try {
+      const { getSummonCalibrationReport } = await import('./src/etl/ingestion/summonOutcomeIndexer.js');
+      const toInt = (value) => (value === undefined || value === '' ? null : parseInt(value));
+      const report = await getSummonCalibrationReport({
+        days: toInt(req.query.days),
+        limit: Math.min(100000, Math.max(100, toInt(req.query.limit) || 20000)),
+        minGeneration: toInt(req.query.minGeneration),
+        maxGeneration: toInt(req.query.maxGeneration)
+      });
+      res.json({ ok: true, ...report });
+    } catch (error) {
+      console.error('[SummonCalibration] Report error:', error);
+      res.status(500).json({ ok: false, error: error?.message ?? String(error) });
+    }
+  });
+
+  // GET /api/admin/summon-calibration/recent - Latest summons with predicted odds of what rolled
+  app.get("/api/admin/summon-calibration/recent", isAdminOrHasTab('summoning-calculator'), async (req, res) => {
+    try {
+      const { getRecentSummonChecks } = await import('./src/etl/ingestion/summonOutcomeIndexer.js');
+      const limit = Math.min(200, Math.max(1, parseInt(req.query.limit) || 25));
+      res.json({ ok: true, checks: await getRecentSummonChecks(limit) });
+    } catch (error) {
+      console.error('[SummonCalibration] Recent error:', error);
+      res.status(500).json({ ok: false, error: error?.message ?? String(error) });
+    }
+  });
+
+  // POST /api/admin/summon-calibration/trigger - Index the next block batch now
+  app.post("/api/admin/summon-calibration/trigger", isAdmin, async (req, res) => {
+    try {
+      const { runSummonOutcomeIndexer } = await import('./src/etl/ingestion/summonOutcomeIndexer.js');
+      runSummonOutcomeIndexer().catch(err => console.error('[SummonOutcomes] Background error:', err));
+      res.json({ ok: true, message: 'Summon outcome indexer triggered' });
+    } catch (error) {
+      console.error('[SummonCalibration] Trigger error:', error);
+      res.status(500).json({ ok: false, error: error?.message ?? String(error) });
+    }
+  });
+
+  // POST /api/admin/summon-calibration/auto-run - Start/stop the outcome indexer
+  app.post("/api/admin/summon-calibration/auto-run", isAdmin, async (req, res) => {
+    try {
+      const { action } = req.body || {};
+      if (!['start', 'stop'].includes(action)) {
+        return res.status(400).json({ ok: false, error: 'action must be start or stop' });
+      }
+      const { startSummonOutcomeAutoRun, stopSummonOutcomeAutoRun } = await import('./src/etl/ingestion/summonOutcomeIndexer.js');
+      const result = action === 'start' ? await startSummonOutcomeAutoRun() : stopSummonOutcomeAutoRun();
+      res.json({ ok: true, result });
+    } catch (error) {
+      console.error('[SummonCalibration] Auto-run error:', error);
+      res.status(500).json({ ok: false, error: error?.message ?? String(error) });
+    }
+  });
+
   // ============================================================================
   // SUMMON SNIPER - Find optimal hero pairs from tavern
   // ============================================================================
@@ -15549,6 +17145,8 @@ In 4-5 sentences explain this upset specifically: (1) HOW did the underdog ${_un
         minLevel = 1,
         maxTS = null,
         tearPrice = 0.05,
+        enhancementStone = null, // Optional { type, tier } stone added to every summon
+        stonePrice = null,       // Native-token price of that stone
         summonType = 'regular',  // 'regular' or 'dark'
         searchMode = 'tavern',   // 'tavern', 'myHero', or 'wallet'
         myHeroId = null,         // Hero ID for 'myHero' mode
@@ -15560,7 +17158,7 @@ In 4-5 sentences explain this upset specifically: (1) HOW did the underdog ${_un
         minEliteChance = null,   // Minimum % chance of at least one elite skill (Stun, Second Wind, Giant Slayer, Last Stand)
         minExaltedChance = null, // Minimum % chance of at least one exalted skill (Resurrection, Second Life)
         minMaxSlotExalted = null, // Minimum % chance in any single slot for exalted skill (max is 12.5% for perfect elite alignment)
-        sortBy = 'efficiency',   // 'efficiency', 'chance', 'price', or 'skillScore'
+        sortBy = 'efficiency',   // 'efficiency', 'chance', 'price', 'skillScore', 'costPerOutcome' or 'profit'
         requireAllSkills = false, // When true, require pairs that can produce ALL selected skills (AND mode)
         limit = 20
       } = req.body;
@@ -15623,35 +17221,20 @@ In 4-5 sentences explain this upset specifically: (1) HOW did the underdog ${_un
         ? realms.filter(r => validRealms.includes(r))
         : validRealms;
 
-      // Class tier definitions for tear cost calculation
-      const basicClasses = ['Warrior', 'Knight', 'Thief', 'Archer', 'Priest', 'Wizard', 'Monk', 'Pirate', 'Berserker', 'Seer', 'Legionnaire', 'Scholar'];
-      const advancedClasses = ['Paladin', 'DarkKnight', 'Summoner', 'Ninja', 'Shapeshifter', 'Bard'];
-      const eliteClasses = ['Dragoon', 'Sage', 'Spellbow'];
-      const exaltedClasses = ['DreadKnight'];
-      
-      function getClassTier(className) {
-        const normalized = className?.toLowerCase() || '';
-        if (exaltedClasses.some(c => c.toLowerCase() === normalized)) return 'exalted';
-        if (eliteClasses.some(c => c.toLowerCase() === normalized)) return 'elite';
-        if (advancedClasses.some(c => c.toLowerCase() === normalized)) return 'advanced';
-        return 'basic';
-      }
-      
-      function getMinTears(tier) {
-        const tearsByTier = { basic: 10, advanced: 40, elite: 70, exalted: 100 };
-        return tearsByTier[tier] || 10;
-      }
-      
-      function calculateSummonTokenCost(generation, totalSummoned, useDarkSummon = false) {
-        const baseCost = 6;
-        const perChildIncrease = 2;
-        const generationIncrease = 10;
-        let cost = baseCost + (perChildIncrease * totalSummoned) + (generationIncrease * generation);
-        if (generation === 0 && cost > 30) cost = 30;
-        // Dark summon costs 1/4 of regular summon
-        if (useDarkSummon) cost = cost / 4;
-        return cost;
-      }
+      let stoneInfo = null;
+      try {
+        stoneInfo = resolveStone(enhancementStone);
+      } catch (stoneErr) {
+        return res.status(400).json({ ok: false, error: stoneErr.message });
+      }
+      const costOptions = { summonType: isDarkSummon ? 'dark' : 'regular', tearPrice: tearPrice || 0.05, stone: enhancementStone, stonePrice };
+      const costParent = (hero) => ({
+        generation: parseInt(hero.generation) || 0,
+        summons: parseInt(hero.summons) || 0,
+        maxSummons: parseInt(hero.max_summons) || 0,
+        mainClass: hero.main_class,
+        price: hero.price_native
+      });
       
       // TS (Trait Score) calculation: sum of tier indices for active1, active2, passive1, passive2
       // Skill value ranges map to tiers: 0-15=Basic(0), 16-23=Advanced(1), 24-27=Elite(2), 28-31=Transcendent(3)
@@ -16303,24 +17886,10 @@ In 4-5 sentences explain this upset specifically: (1) HOW did the underdog ${_un
         if (byRealm[h.realm]) byRealm[h.realm].push(h);
       }
 
-      // Calculate full cost for a hero pair (purchase + summon token cost + tears + bridging)
-      function calculatePairFullCost(hero1, hero2, tearPriceValue, useDarkSummon = false, bridgeFeePerHeroUsd = 0) {
-        const purchaseCost = parseFloat(hero1.price_native) + parseFloat(hero2.price_native);
-        
-        // Summon token cost - BOTH heroes pay their fee (not just the lower one)
-        // Dark summon uses 1/4 of the regular cost
-        const summonCost1 = calculateSummonTokenCost(hero1.generation, hero1.summons, useDarkSummon);
-        const summonCost2 = calculateSummonTokenCost(hero2.generation, hero2.summons, useDarkSummon);
-        const summonTokenCost = summonCost1 + summonCost2;
-        
-        // Tear cost - BOTH heroes contribute tears based on their class tier
-        // Dark summons don't require tears for the basic summon (only for optional rarity boost)
-        const tier1 = getClassTier(hero1.main_class);
-        const tier2 = getClassTier(hero2.main_class);
-        const tearCount1 = useDarkSummon ? 0 : getMinTears(tier1);
-        const tearCount2 = useDarkSummon ? 0 : getMinTears(tier2);
-        const tearCount = tearCount1 + tearCount2;
-        const tearCost = tearCount * (tearPriceValue || 0.05);
+      // Calculate full cost for a hero pair (purchase + summon fees + tears + stone + bridging)
+      // Fee/tear/stone rules (incl. dark summon 1/4 fee, no tears) live in summon-costs.js
+      function calculatePairFullCost(hero1, hero2, bridgeFeePerHeroUsd = 0) {
+        const cost = calculateSummonCost(costParent(hero1), costParent(hero2), costOptions);
         
         // Bridging cost - Metis heroes need to be bridged to CV for summoning
         // Count heroes that need bridging (realm = 'sd' = Metis)
@@ -16330,14 +17899,15 @@ In 4-5 sentences explain this upset specifically: (1) HOW did the underdog ${_un
         const bridgeCostUsd = heroesNeedingBridge * bridgeFeePerHeroUsd;
         
         return {
-          purchaseCost,
-          summonTokenCost,
-          tearCost,
-          tearCount,
+          purchaseCost: cost.purchaseCost,
+          summonTokenCost: cost.summonTokenCost,
+          tearCost: cost.tearCost,
+          tearCount: cost.tearCount,
+          stoneCost: cost.stoneCost,
           bridgeCostUsd,
           heroesNeedingBridge,
-          totalCost: purchaseCost + summonTokenCost + tearCost,
-          isDarkSummon: useDarkSummon
+          totalCost: cost.totalCost,
+          isDarkSummon
         };
       }
 
@@ -16397,7 +17967,7 @@ In 4-5 sentences explain this upset specifically: (1) HOW did the underdog ${_un
         for (const walletHero of filteredWalletHeroes) {
           for (const tavernHero of tavernHeroesToPair) {
             if (walletHero.realm !== tavernHero.realm) continue;
-            const costs = calculatePairFullCost(walletHero, tavernHero, tearPrice, isDarkSummon, bridgeFeeUsd);
+            const costs = calculatePairFullCost(walletHero, tavernHero, bridgeFeeUsd);
             candidatePairs.push({ 
               hero1: walletHero, 
               hero2: tavernHero, 
@@ -16420,7 +17990,7 @@ In 4-5 sentences explain this upset specifically: (1) HOW did the underdog ${_un
         const tavernHeroesToPair = heroes.slice(0, 200);
         
         for (const tavernHero of tavernHeroesToPair) {
-          const costs = calculatePairFullCost(userHero, tavernHero, tearPrice, isDarkSummon, bridgeFeeUsd);
+          const costs = calculatePairFullCost(userHero, tavernHero, bridgeFeeUsd);
           candidatePairs.push({ 
             hero1: userHero, 
             hero2: tavernHero, 
@@ -16461,7 +18031,7 @@ In 4-5 sentences explain this upset specifically: (1) HOW did the underdog ${_un
             for (let j = i + 1; j < targetHeroes.length; j++) {
               const hero1 = targetHeroes[i];
               const hero2 = targetHeroes[j];
-              const costs = calculatePairFullCost(hero1, hero2, tearPrice, isDarkSummon, bridgeFeeUsd);
+              const costs = calculatePairFullCost(hero1, hero2, bridgeFeeUsd);
               candidatePairs.push({ hero1, hero2, realm, ...costs });
             }
           }
@@ -16469,7 +18039,7 @@ In 4-5 sentences explain this upset specifically: (1) HOW did the underdog ${_un
           // 2. Target hero + Cheap other hero
           for (const targetHero of targetHeroes) {
             for (const otherHero of cheapOthers) {
-              const costs = calculatePairFullCost(targetHero, otherHero, tearPrice, isDarkSummon, bridgeFeeUsd);
+              const costs = calculatePairFullCost(targetHero, otherHero, bridgeFeeUsd);
               candidatePairs.push({ hero1: targetHero, hero2: otherHero, realm, ...costs });
             }
           }
@@ -16481,7 +18051,7 @@ In 4-5 sentences explain this upset specifically: (1) HOW did the underdog ${_un
             for (let j = i + 1; j < cheapLimit; j++) {
               const hero1 = cheapOthers[i];
               const hero2 = cheapOthers[j];
-              const costs = calculatePairFullCost(hero1, hero2, tearPrice, isDarkSummon, bridgeFeeUsd);
+              const costs = calculatePairFullCost(hero1, hero2, bridgeFeeUsd);
               candidatePairs.push({ hero1, hero2, realm, ...costs });
             }
           }
@@ -16501,7 +18071,7 @@ In 4-5 sentences explain this upset specifically: (1) HOW did the underdog ${_un
           if (!seenPairKeys.has(pairKey)) {
             // Both heroes should be in the same realm, or pick the first one's realm
             const realm = hero1.realm || hero2.realm || 'cv';
-            const costs = calculatePairFullCost(hero1, hero2, tearPrice, isDarkSummon, bridgeFeeUsd);
+            const costs = calculatePairFullCost(hero1, hero2, bridgeFeeUsd);
             candidatePairs.push({ hero1, hero2, realm, isMutationPair: true, mutationSlot: slot, ...costs });
             seenPairKeys.add(pairKey);
             addedMutationPairs++;
@@ -16687,6 +18257,7 @@ In 4-5 sentences explain this upset specifically: (1) HOW did the underdog ${_un
 
       // Score pairs with actual probability calculations
       const pairs = [];
+      const pairParents = new WeakMap();
       
       // Track TS metadata for user guidance (max probabilities seen across all pairs)
       let tsMetadata = { maxExpectedTS: 0, maxCumulativeByTarget: {} };
@@ -16696,7 +18267,7 @@ In 4-5 sentences explain this upset specifically: (1) HOW did the underdog ${_un
       let debugLoggedFirstPair = false;
       const DEBUG_TS = process.env.DEBUG_SNIPER_TS === 'true';
       
-      for (const { hero1, hero2, realm, purchaseCost, summonTokenCost, tearCost, tearCount, bridgeCostUsd, heroesNeedingBridge, totalCost } of pairsToScore) {
+      for (const { hero1, hero2, realm, purchaseCost, summonTokenCost, tearCost, tearCount, stoneCost, bridgeCostUsd, heroesNeedingBridge, totalCost } of pairsToScore) {
         try {
           // Get pre-decoded genetics from cache
           const genetics1 = getHeroGenetics(hero1.hero_id);
@@ -16995,6 +18566,10 @@ In 4-5 sentences explain this upset specifically: (1) HOW did the underdog ${_un
           // Use USD for efficiency if available, otherwise use native token
           const efficiency = totalCostUsd > 0 ? targetProb / totalCostUsd : targetProb / totalCost;
 
+          // Expected spend per child that hits the target (regular pairs retry, dark pairs roll once)
+          const perOutcome = estimateCostPerOutcome(targetProb / 100, costParent(hero1), costParent(hero2), costOptions);
+          const prices = { crystalPriceUsd, jewelPriceUsd };
+
           pairs.push({
             hero1: {
               id: hero1.hero_id,
@@ -17028,11 +18603,23 @@ In 4-5 sentences explain this upset specifically: (1) HOW did the underdog ${_un
             },
             realm,
             targetProbability: targetProb,
+            costPerOutcome: perOutcome ? {
+              summonType: perOutcome.summonType,
+              attempts: perOutcome.attempts,
+              successProbability: Math.round(perOutcome.successProbability * 10000) / 100,
+              expectedCost: Math.round(perOutcome.expectedCost * 100) / 100,
+              native: Math.round(perOutcome.costPerOutcome * 100) / 100,
+              jewel: (() => {
+                const jewel = toJewel(perOutcome.costPerOutcome, hero1.native_token, prices);
+                return jewel === null ? null : Math.round(jewel * 100) / 100;
+              })()
+            } : null,
             costs: {
               purchaseCost: Math.round(purchaseCost * 100) / 100,
               summonTokenCost,
               tearCost: Math.round(tearCost * 100) / 100,
               tearCount,
+              stoneCost: Math.round((stoneCost || 0) * 100) / 100,
               bridgeCostUsd: Math.round((bridgeCostUsd || 0) * 100) / 100,
               heroesNeedingBridge: heroesNeedingBridge || 0,
               totalCost: Math.round(totalCost * 100) / 100,
@@ -17046,6 +18633,7 @@ In 4-5 sentences explain this upset specifically: (1) HOW did the underdog ${_un
               class: probs.class,
               subClass: probs.subClass,
               profession: probs.profession,
+              rarity: probs.rarity,
               active1: probs.active1 || {},
               active2: probs.active2 || {},
               passive1: probs.passive1 || {},
@@ -17080,6 +18668,7 @@ In 4-5 sentences explain this upset specifically: (1) HOW did the underdog ${_un
               };
             })()
           });
+          pairParents.set(pairs[pairs.length - 1], [hero1, hero2]);
 
         } catch (err) {
           console.log(`[Sniper] Skipping pair due to error:`, err.message);
@@ -17088,6 +18677,25 @@ In 4-5 sentences explain this upset specifically: (1) HOW did the underdog ${_un
 
       console.log(`[Sniper] Scored ${pairs.length} pairs with non-zero probability`);
 
+      // Expected resale value and profit (native token): every pair when ranking by profit, else the returned ones
+      const valueModels = {};
+      for (const realm of filteredRealms) {
+        try {
+          valueModels[realm] = await loadValueModel(realm);
+        } catch (valueErr) {
+          console.warn(`[Sniper] Could not load ${realm} value model:`, valueErr?.message);
+        }
+      }
+      const attachValue = (pair) => {
+        try {
+          const [hero1, hero2] = pairParents.get(pair);
+          Object.assign(pair, summarizeValue(valueSummon(pair.probabilities, costParent(hero1), costParent(hero2), valueModels[pair.realm], costOptions)));
+        } catch (valueErr) {
+          Object.assign(pair, summarizeValue(null));
+        }
+      };
+      if (sortBy === 'profit') pairs.forEach(attachValue);
+
       // Sort by selected criteria
       switch (sortBy) {
         case 'chance':
@@ -17099,6 +18707,12 @@ In 4-5 sentences explain this upset specifically: (1) HOW did the underdog ${_un
         case 'skillScore':
           pairs.sort((a, b) => (b.ts?.expected ?? 0) - (a.ts?.expected ?? 0));
           break;
+        case 'costPerOutcome':
+          pairs.sort((a, b) => (a.costPerOutcome?.jewel ?? a.costPerOutcome?.native ?? Infinity) - (b.costPerOutcome?.jewel ?? b.costPerOutcome?.native ?? Infinity));
+          break;
+        case 'profit':
+          pairs.sort((a, b) => (b.profit?.pair.expected ?? -Infinity) - (a.profit?.pair.expected ?? -Infinity));
+          break;
         case 'efficiency':
         default:
           pairs.sort((a, b) => b.efficiency - a.efficiency);
@@ -17107,6 +18721,7 @@ In 4-5 sentences explain this upset specifically: (1) HOW did the underdog ${_un
 
       // Return top results (limit=0 means no limit - return all pairs)
       const topPairs = limit > 0 ? pairs.slice(0, limit) : pairs;
+      if (sortBy !== 'profit') topPairs.forEach(attachValue);
 
       res.json({
         ok: true,
@@ -17133,6 +18748,7 @@ In 4-5 sentences explain this upset specifically: (1) HOW did the underdog ${_un
           minSummonsRemaining,
           minRarity,
           summonType,
+          enhancementStone: stoneInfo ? { type: stoneInfo.type, tier: stoneInfo.tier, displayName: stoneInfo.displayName, priced: stonePrice != null } : null,
           searchMode,
           requireAllSkills
         },
@@ -17777,7 +19393,7 @@ In 4-5 sentences explain this upset specifically: (1) HOW did the underdog ${_un
     res.json({ 
       status: 'ok', 
       service: 'Hedge Chat API',
-      model: OPENAI_MODEL,
+      model: getLLMConfig('persona_chat').model,
       modes: ['default', 'walkthrough'],
     });
   });
@@ -18111,265 +19727,260 @@ When context blocks prefixed with LIVE DATA are injected below, use them as auth
 
 Be direct, data-driven, and tactical. Cite real numbers from context. Avoid vague summaries when specifics are available. You are the verbal shortcut to every tool on the platform — answer with the same precision those tools would.`;
 
-  app.post('/api/admin/ai-consultant/chat', isAdminOrHasTab('ai-consultant'), async (req, res) => {
-    try {
-      const { message, history = [] } = req.body;
-      
-      if (!message || typeof message !== 'string') {
-        return res.status(400).json({ error: 'Message is required' });
-      }
+  // Everything the consultant sees for a question: persona, knowledge, and any
+  // wallet / bout context detected in the conversation
+  async function buildAiConsultantMessages(message, history) {
+    // Detect wallet addresses in the message (0x followed by 40 hex chars)
+    const walletRegex = /0x[a-fA-F0-9]{40}/g;
+    const allText = [message, ...history.map(h => h.content)].join(' ');
+    const walletMatches = allText.match(walletRegex);
+    const walletAddress = walletMatches ? walletMatches[0] : null;
 
-      // Detect wallet addresses in the message (0x followed by 40 hex chars)
-      const walletRegex = /0x[a-fA-F0-9]{40}/g;
-      const allText = [message, ...history.map(h => h.content)].join(' ');
-      const walletMatches = allText.match(walletRegex);
-      const walletAddress = walletMatches ? walletMatches[0] : null;
+    let walletContext = '';
+    
+    if (walletAddress) {
+      console.log('[AI Consultant] Detected wallet address:', walletAddress);
+      try {
+        const { getAllHeroesByOwner } = await import('./onchain-data.js');
+        const heroes = await getAllHeroesByOwner(walletAddress);
+        
+        if (heroes && heroes.length > 0) {
+          const nowSec = Math.floor(Date.now() / 1000);
+          const RARITY_LABELS = { 0: 'Common', 1: 'Uncommon', 2: 'Rare', 3: 'Legendary', 4: 'Mythic' };
+          const CLASS_RANK = {
+            Warrior: 0, Knight: 0, Thief: 0, Archer: 0, Priest: 0, Wizard: 0, Monk: 0, Pirate: 0,
+            Berserker: 1, Seer: 1, Legionnaire: 1, Scholar: 1,
+            Paladin: 2, DarkKnight: 2, Summoner: 2, Ninja: 2, Shapeshifter: 2, Bard: 2,
+            Dragoon: 3, Sage: 3, SpellBow: 3,
+            DreadKnight: 4
+          };
+          const CLASS_TIER_NAMES = { 0: 'Basic', 1: 'Advanced', 2: 'Elite', 3: 'Exalted', 4: 'Exalted' };
+          const C_BASE = { 0: 150, 1: 3000, 2: 9000, 3: 25000, 4: 75000 };
+          const R_BASE = { 0: 0, 1: 1000, 2: 3000, 3: 8000, 4: 16000 };
+
+          const classCounts = {};
+          const subclassCounts = {};
+          const professionCounts = {};
+          const generationCounts = {};
+          const rarityCounts = {};
+          const realmCounts = {};
+          const levelBuckets = { '1-5': 0, '6-10': 0, '11-20': 0, '21-50': 0, '51-100': 0 };
+          const activeCounts = {};
+          const passiveCounts = {};
+          const professionQuesters = { mining: [], gardening: [], fishing: [], foraging: [] };
+          const trainingQuesters = [];
+          let summonsAvailable = 0;
+          let totalMaxSummons = 0;
+          let heroesOnQuest = 0;
+          let heroesStaminaReady = 0;
+          let heroesResting = 0;
+
+          const avgStats = {
+            strength: heroes.reduce((a, h) => a + (h.strength || 0), 0) / heroes.length,
+            wisdom: heroes.reduce((a, h) => a + (h.wisdom || 0), 0) / heroes.length,
+            vitality: heroes.reduce((a, h) => a + (h.vitality || 0), 0) / heroes.length,
+            stamina: heroes.reduce((a, h) => a + (h.stamina || 0), 0) / heroes.length,
+            intelligence: heroes.reduce((a, h) => a + (h.intelligence || 0), 0) / heroes.length
+          };
 
-      let walletContext = '';
-      
-      if (walletAddress) {
-        console.log('[AI Consultant] Detected wallet address:', walletAddress);
-        try {
-          const { getAllHeroesByOwner } = await import('./onchain-data.js');
-          const heroes = await getAllHeroesByOwner(walletAddress);
-          
-          if (heroes && heroes.length > 0) {
-            const nowSec = Math.floor(Date.now() / 1000);
-            const RARITY_LABELS = { 0: 'Common', 1: 'Uncommon', 2: 'Rare', 3: 'Legendary', 4: 'Mythic' };
-            const CLASS_RANK = {
-              Warrior: 0, Knight: 0, Thief: 0, Archer: 0, Priest: 0, Wizard: 0, Monk: 0, Pirate: 0,
-              Berserker: 1, Seer: 1, Legionnaire: 1, Scholar: 1,
-              Paladin: 2, DarkKnight: 2, Summoner: 2, Ninja: 2, Shapeshifter: 2, Bard: 2,
-              Dragoon: 3, Sage: 3, SpellBow: 3,
-              DreadKnight: 4
-            };
-            const CLASS_TIER_NAMES = { 0: 'Basic', 1: 'Advanced', 2: 'Elite', 3: 'Exalted', 4: 'Exalted' };
-            const C_BASE = { 0: 150, 1: 3000, 2: 9000, 3: 25000, 4: 75000 };
-            const R_BASE = { 0: 0, 1: 1000, 2: 3000, 3: 8000, 4: 16000 };
+          const heroScored = [];
 
-            const classCounts = {};
-            const subclassCounts = {};
-            const professionCounts = {};
-            const generationCounts = {};
-            const rarityCounts = {};
-            const realmCounts = {};
-            const levelBuckets = { '1-5': 0, '6-10': 0, '11-20': 0, '21-50': 0, '51-100': 0 };
-            const activeCounts = {};
-            const passiveCounts = {};
-            const professionQuesters = { mining: [], gardening: [], fishing: [], foraging: [] };
-            const trainingQuesters = [];
-            let summonsAvailable = 0;
-            let totalMaxSummons = 0;
-            let heroesOnQuest = 0;
-            let heroesStaminaReady = 0;
-            let heroesResting = 0;
-
-            const avgStats = {
-              strength: heroes.reduce((a, h) => a + (h.strength || 0), 0) / heroes.length,
-              wisdom: heroes.reduce((a, h) => a + (h.wisdom || 0), 0) / heroes.length,
-              vitality: heroes.reduce((a, h) => a + (h.vitality || 0), 0) / heroes.length,
-              stamina: heroes.reduce((a, h) => a + (h.stamina || 0), 0) / heroes.length,
-              intelligence: heroes.reduce((a, h) => a + (h.intelligence || 0), 0) / heroes.length
-            };
+          for (const h of heroes) {
+            classCounts[h.mainClassStr] = (classCounts[h.mainClassStr] || 0) + 1;
+            if (h.subClassStr) subclassCounts[h.subClassStr] = (subclassCounts[h.subClassStr] || 0) + 1;
+            professionCounts[h.professionStr] = (professionCounts[h.professionStr] || 0) + 1;
+            const gen = h.generation != null ? h.generation : 'Unknown';
+            generationCounts[gen] = (generationCounts[gen] || 0) + 1;
+            const rarityLabel = RARITY_LABELS[h.rarity] || `Rarity${h.rarity}`;
+            rarityCounts[rarityLabel] = (rarityCounts[rarityLabel] || 0) + 1;
+
+            const realm = h.network === 'dfk' ? 'Crystalvale' : h.network === 'kla' ? 'Serendale' : (h.network || 'Unknown');
+            realmCounts[realm] = (realmCounts[realm] || 0) + 1;
+
+            if (h.level <= 5) levelBuckets['1-5']++;
+            else if (h.level <= 10) levelBuckets['6-10']++;
+            else if (h.level <= 20) levelBuckets['11-20']++;
+            else if (h.level <= 50) levelBuckets['21-50']++;
+            else levelBuckets['51-100']++;
+
+            if (h.active1) activeCounts[h.active1] = (activeCounts[h.active1] || 0) + 1;
+            if (h.active2) activeCounts[h.active2] = (activeCounts[h.active2] || 0) + 1;
+            if (h.passive1) passiveCounts[h.passive1] = (passiveCounts[h.passive1] || 0) + 1;
+            if (h.passive2) passiveCounts[h.passive2] = (passiveCounts[h.passive2] || 0) + 1;
+
+            const summonsRemaining = Math.max(0, (h.maxSummons || 0) - (h.summons || 0));
+            summonsAvailable += summonsRemaining;
+            totalMaxSummons += (h.maxSummons || 0);
+
+            if (h.currentQuest && h.currentQuest !== '0x0000000000000000000000000000000000000000') {
+              heroesOnQuest++;
+            } else if (!h.staminaFullAt || h.staminaFullAt <= nowSec) {
+              heroesStaminaReady++;
+            } else {
+              heroesResting++;
+            }
 
-            const heroScored = [];
+            const mainRank = CLASS_RANK[h.mainClassStr] ?? 0;
+            const subRank = CLASS_RANK[h.subClassStr] ?? 0;
+            const mainBase = C_BASE[mainRank] || 150;
+            const subBase = C_BASE[subRank] || 150;
+            const rBase = R_BASE[h.rarity] || 0;
+            const classScore = mainBase + subBase * 0.25;
+            const rarityScore = rBase * (mainRank + subRank - 1);
+            const levelScore = h.level * 3.25;
+            const summonScore = ((h.summons || 0) / (h.maxSummons || 11)) * 7500;
+            const genBonus = h.generation === 0 ? 5000 : 0;
+            const burnScore = classScore + rarityScore + levelScore + summonScore + genBonus;
+
+            heroScored.push({
+              id: h.normalizedId || h.id,
+              mainClass: h.mainClassStr,
+              subClass: h.subClassStr,
+              profession: h.professionStr,
+              rarity: rarityLabel,
+              level: h.level,
+              gen: h.generation,
+              summonsLeft: summonsRemaining,
+              maxSummons: h.maxSummons || 0,
+              burnScore,
+              estDE: (burnScore / 15).toFixed(1),
+              classTier: CLASS_TIER_NAMES[mainRank] || 'Basic',
+              active1: h.active1 || 'none',
+              active2: h.active2 || 'none',
+              passive1: h.passive1 || 'none',
+              passive2: h.passive2 || 'none',
+              str: h.strength || 0,
+              int: h.intelligence || 0,
+              wis: h.wisdom || 0,
+              vit: h.vitality || 0,
+              end: h.stamina || 0,
+              mining: h.mining || 0,
+              gardening: h.gardening || 0,
+              foraging: h.foraging || 0,
+              fishing: h.fishing || 0,
+              profGeneMatch: h.professionStr?.toLowerCase() === h.professionStr?.toLowerCase(),
+              onQuest: !!(h.currentQuest && h.currentQuest !== '0x0000000000000000000000000000000000000000'),
+              staminaReady: !h.staminaFullAt || h.staminaFullAt <= nowSec,
+              realm
+            });
 
-            for (const h of heroes) {
-              classCounts[h.mainClassStr] = (classCounts[h.mainClassStr] || 0) + 1;
-              if (h.subClassStr) subclassCounts[h.subClassStr] = (subclassCounts[h.subClassStr] || 0) + 1;
-              professionCounts[h.professionStr] = (professionCounts[h.professionStr] || 0) + 1;
-              const gen = h.generation != null ? h.generation : 'Unknown';
-              generationCounts[gen] = (generationCounts[gen] || 0) + 1;
-              const rarityLabel = RARITY_LABELS[h.rarity] || `Rarity${h.rarity}`;
-              rarityCounts[rarityLabel] = (rarityCounts[rarityLabel] || 0) + 1;
-
-              const realm = h.network === 'dfk' ? 'Crystalvale' : h.network === 'kla' ? 'Serendale' : (h.network || 'Unknown');
-              realmCounts[realm] = (realmCounts[realm] || 0) + 1;
-
-              if (h.level <= 5) levelBuckets['1-5']++;
-              else if (h.level <= 10) levelBuckets['6-10']++;
-              else if (h.level <= 20) levelBuckets['11-20']++;
-              else if (h.level <= 50) levelBuckets['21-50']++;
-              else levelBuckets['51-100']++;
-
-              if (h.active1) activeCounts[h.active1] = (activeCounts[h.active1] || 0) + 1;
-              if (h.active2) activeCounts[h.active2] = (activeCounts[h.active2] || 0) + 1;
-              if (h.passive1) passiveCounts[h.passive1] = (passiveCounts[h.passive1] || 0) + 1;
-              if (h.passive2) passiveCounts[h.passive2] = (passiveCounts[h.passive2] || 0) + 1;
-
-              const summonsRemaining = Math.max(0, (h.maxSummons || 0) - (h.summons || 0));
-              summonsAvailable += summonsRemaining;
-              totalMaxSummons += (h.maxSummons || 0);
-
-              if (h.currentQuest && h.currentQuest !== '0x0000000000000000000000000000000000000000') {
-                heroesOnQuest++;
-              } else if (!h.staminaFullAt || h.staminaFullAt <= nowSec) {
-                heroesStaminaReady++;
-              } else {
-                heroesResting++;
-              }
+            const questScores = {
+              mining: (h.strength || 0) + (h.stamina || 0),
+              gardening: (h.wisdom || 0) + (h.vitality || 0),
+              fishing: (h.stamina || 0) + (h.mining || 0),
+              foraging: (h.stamina || 0) + (h.intelligence || 0)
+            };
+            const best = Object.entries(questScores).sort((a,b) => b[1] - a[1])[0];
+            const hasProfGene = h.professionStr?.toLowerCase() === best[0];
 
-              const mainRank = CLASS_RANK[h.mainClassStr] ?? 0;
-              const subRank = CLASS_RANK[h.subClassStr] ?? 0;
-              const mainBase = C_BASE[mainRank] || 150;
-              const subBase = C_BASE[subRank] || 150;
-              const rBase = R_BASE[h.rarity] || 0;
-              const classScore = mainBase + subBase * 0.25;
-              const rarityScore = rBase * (mainRank + subRank - 1);
-              const levelScore = h.level * 3.25;
-              const summonScore = ((h.summons || 0) / (h.maxSummons || 11)) * 7500;
-              const genBonus = h.generation === 0 ? 5000 : 0;
-              const burnScore = classScore + rarityScore + levelScore + summonScore + genBonus;
-
-              heroScored.push({
-                id: h.normalizedId || h.id,
-                mainClass: h.mainClassStr,
-                subClass: h.subClassStr,
-                profession: h.professionStr,
-                rarity: rarityLabel,
+            if (best[1] > avgStats.strength + avgStats.stamina) {
+              professionQuesters[best[0]].push({
+                id: h.normalizedId,
+                class: h.mainClassStr,
                 level: h.level,
-                gen: h.generation,
-                summonsLeft: summonsRemaining,
-                maxSummons: h.maxSummons || 0,
-                burnScore,
-                estDE: (burnScore / 15).toFixed(1),
-                classTier: CLASS_TIER_NAMES[mainRank] || 'Basic',
-                active1: h.active1 || 'none',
-                active2: h.active2 || 'none',
-                passive1: h.passive1 || 'none',
-                passive2: h.passive2 || 'none',
-                str: h.strength || 0,
-                int: h.intelligence || 0,
-                wis: h.wisdom || 0,
-                vit: h.vitality || 0,
-                end: h.stamina || 0,
-                mining: h.mining || 0,
-                gardening: h.gardening || 0,
-                foraging: h.foraging || 0,
-                fishing: h.fishing || 0,
-                profGeneMatch: h.professionStr?.toLowerCase() === h.professionStr?.toLowerCase(),
-                onQuest: !!(h.currentQuest && h.currentQuest !== '0x0000000000000000000000000000000000000000'),
-                staminaReady: !h.staminaFullAt || h.staminaFullAt <= nowSec,
-                realm
+                score: best[1],
+                hasProfGene
               });
+            }
 
-              const questScores = {
-                mining: (h.strength || 0) + (h.stamina || 0),
-                gardening: (h.wisdom || 0) + (h.vitality || 0),
-                fishing: (h.stamina || 0) + (h.mining || 0),
-                foraging: (h.stamina || 0) + (h.intelligence || 0)
-              };
-              const best = Object.entries(questScores).sort((a,b) => b[1] - a[1])[0];
-              const hasProfGene = h.professionStr?.toLowerCase() === best[0];
-
-              if (best[1] > avgStats.strength + avgStats.stamina) {
-                professionQuesters[best[0]].push({
-                  id: h.normalizedId,
-                  class: h.mainClassStr,
-                  level: h.level,
-                  score: best[1],
-                  hasProfGene
-                });
-              }
-
-              const statVals = [
-                { stat: 'STR', val: h.strength || 0 },
-                { stat: 'VIT', val: h.vitality || 0 },
-                { stat: 'WIS', val: h.wisdom || 0 },
-                { stat: 'INT', val: h.intelligence || 0 },
-                { stat: 'END', val: h.stamina || 0 }
-              ];
-              const trainable = statVals.filter(s => s.val >= 40 && s.val <= 50);
-              if (trainable.length > 0 && best[1] <= avgStats.strength + avgStats.stamina) {
-                trainingQuesters.push({
-                  id: h.normalizedId,
-                  class: h.mainClassStr,
-                  level: h.level,
-                  bestStat: trainable.sort((a,b) => b.val - a.val)[0],
-                  allTrainable: trainable.map(s => `${s.stat}(${s.val})`).join(', '),
-                  isReroll: !!h.isReroll
-                });
-              }
+            const statVals = [
+              { stat: 'STR', val: h.strength || 0 },
+              { stat: 'VIT', val: h.vitality || 0 },
+              { stat: 'WIS', val: h.wisdom || 0 },
+              { stat: 'INT', val: h.intelligence || 0 },
+              { stat: 'END', val: h.stamina || 0 }
+            ];
+            const trainable = statVals.filter(s => s.val >= 40 && s.val <= 50);
+            if (trainable.length > 0 && best[1] <= avgStats.strength + avgStats.stamina) {
+              trainingQuesters.push({
+                id: h.normalizedId,
+                class: h.mainClassStr,
+                level: h.level,
+                bestStat: trainable.sort((a,b) => b.val - a.val)[0],
+                allTrainable: trainable.map(s => `${s.stat}(${s.val})`).join(', '),
+                isReroll: !!h.isReroll
+              });
             }
+          }
 
-            const rerolledCount = heroes.filter(h => h.isReroll).length;
-            const topByBurn = [...heroScored].sort((a,b) => b.burnScore - a.burnScore).slice(0, 15);
-            const topByLevel = [...heroScored].sort((a,b) => b.level - a.level).slice(0, 10);
-            const summonCandidates = heroScored.filter(h => h.summonsLeft > 0).sort((a,b) => b.summonsLeft - a.summonsLeft).slice(0, 15);
+          const rerolledCount = heroes.filter(h => h.isReroll).length;
+          const topByBurn = [...heroScored].sort((a,b) => b.burnScore - a.burnScore).slice(0, 15);
+          const topByLevel = [...heroScored].sort((a,b) => b.level - a.level).slice(0, 10);
+          const summonCandidates = heroScored.filter(h => h.summonsLeft > 0).sort((a,b) => b.summonsLeft - a.summonsLeft).slice(0, 15);
 
-            const classTierCounts = {};
-            heroScored.forEach(h => {
-              classTierCounts[h.classTier] = (classTierCounts[h.classTier] || 0) + 1;
-            });
+          const classTierCounts = {};
+          heroScored.forEach(h => {
+            classTierCounts[h.classTier] = (classTierCounts[h.classTier] || 0) + 1;
+          });
 
-            const genBreakdown = Object.entries(generationCounts)
-              .sort((a, b) => {
-                const aNum = a[0] === 'Unknown' ? Infinity : Number(a[0]);
-                const bNum = b[0] === 'Unknown' ? Infinity : Number(b[0]);
-                return aNum - bNum;
-              })
-              .map(([gen, count]) => `Gen${gen}: ${count}`)
-              .join(' | ');
+          const genBreakdown = Object.entries(generationCounts)
+            .sort((a, b) => {
+              const aNum = a[0] === 'Unknown' ? Infinity : Number(a[0]);
+              const bNum = b[0] === 'Unknown' ? Infinity : Number(b[0]);
+              return aNum - bNum;
+            })
+            .map(([gen, count]) => `Gen${gen}: ${count}`)
+            .join(' | ');
 
-            let multiplierContext = '';
-            try {
-              const combos = [];
-              const seen = new Set();
-              const CLASS_IDS_MAP = {
-                Warrior: 0, Knight: 1, Thief: 2, Archer: 3, Priest: 4, Wizard: 5, Monk: 6, Pirate: 7,
-                Berserker: 8, Seer: 9, Legionnaire: 10, Scholar: 11,
-                Paladin: 16, DarkKnight: 17, Summoner: 18, Ninja: 19, Shapeshifter: 20, Bard: 21,
-                Dragoon: 24, Sage: 25, SpellBow: 26, DreadKnight: 28
-              };
-              for (const h of heroes) {
-                const cid = CLASS_IDS_MAP[h.mainClassStr];
-                if (cid === undefined) continue;
-                const key = `${cid}_${h.rarity}`;
-                if (!seen.has(key)) { seen.add(key); combos.push({ className: h.mainClassStr, classId: cid, rarity: h.rarity }); }
-                if (combos.length >= 8) break;
-              }
-              if (combos.length > 0) {
-                const classIds = [...new Set(combos.map(c => c.classId))];
-                const rarityIds = [...new Set(combos.map(c => c.rarity))];
-                const multiplierResp = await fetch('https://api.defikingdoms.com/divine_essence_multiplier', {
-                  method: 'POST',
-                  headers: { 'Content-Type': 'application/json' },
-                  body: JSON.stringify({
-                    params: [
-                      { field: 'class', operator: 'in', value: `[${classIds.join(',')}]` },
-                      { field: 'rarity', operator: 'in', value: `[${rarityIds.join(',')}]` }
-                    ]
-                  }),
-                  signal: AbortSignal.timeout(8000)
-                });
-                if (multiplierResp.ok) {
-                  const raw = await multiplierResp.json();
-                  if (Array.isArray(raw) && raw.length > 0) {
-                    const grouped = {};
-                    for (const row of raw) {
-                      const cid = row[1]; const rid = row[2]; const tier = row[5]; const regen = row[6];
-                      const k = `${cid}_${rid}`;
-                      if (!grouped[k]) grouped[k] = { tiers: [], regens: [] };
-                      if (tier != null) grouped[k].tiers.push(tier);
-                      if (regen != null) grouped[k].regens.push(regen);
-                    }
-                    const lines = combos.map(c => {
-                      const k = `${c.classId}_${c.rarity}`;
-                      const g = grouped[k];
-                      if (!g || g.tiers.length === 0) return `- ${c.className} ${RARITY_LABELS[c.rarity]}: No burn history`;
-                      const avgTier = (g.tiers.reduce((a,b)=>a+b,0)/g.tiers.length).toFixed(1);
-                      const avgRegen = g.regens.length > 0 ? ((g.regens.reduce((a,b)=>a+b,0)/g.regens.length)*100).toFixed(1) : '?';
-                      return `- ${c.className} ${RARITY_LABELS[c.rarity]}: avg Tier ${avgTier} (${avgRegen}% regen chance, ${g.tiers.length} heroes sampled)`;
-                    });
-                    multiplierContext = `\n**TRANSCENDENCE MULTIPLIER TIERS (live from DFK):**\nTier N = Nx DE output multiplier on burn. Regen chance = probability tier resets to 1 after burn.\n${lines.join('\n')}\n`;
+          let multiplierContext = '';
+          try {
+            const combos = [];
+            const seen = new Set();
+            const CLASS_IDS_MAP = {
+              Warrior: 0, Knight: 1, Thief: 2, Archer: 3, Priest: 4, Wizard: 5, Monk: 6, Pirate: 7,
+              Berserker: 8, Seer: 9, Legionnaire: 10, Scholar: 11,
+              Paladin: 16, DarkKnight: 17, Summoner: 18, Ninja: 19, Shapeshifter: 20, Bard: 21,
+              Dragoon: 24, Sage: 25, SpellBow: 26, DreadKnight: 28
+            };
+            for (const h of heroes) {
+              const cid = CLASS_IDS_MAP[h.mainClassStr];
+              if (cid === undefined) continue;
+              const key = `${cid}_${h.rarity}`;
+              if (!seen.has(key)) { seen.add(key); combos.push({ className: h.mainClassStr, classId: cid, rarity: h.rarity }); }
+              if (combos.length >= 8) break;
+            }
+            if (combos.length > 0) {
+              const classIds = [...new Set(combos.map(c => c.classId))];
+              const rarityIds = [...new Set(combos.map(c => c.rarity))];
+              const multiplierResp = await fetch('https://api.defikingdoms.com/divine_essence_multiplier', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                  params: [
+                    { field: 'class', operator: 'in', value: `[${classIds.join(',')}]` },
+                    { field: 'rarity', operator: 'in', value: `[${rarityIds.join(',')}]` }
+                  ]
+                }),
+                signal: AbortSignal.timeout(8000)
+              });
+              if (multiplierResp.ok) {
+                const raw = await multiplierResp.json();
+                if (Array.isArray(raw) && raw.length > 0) {
+                  const grouped = {};
+                  for (const row of raw) {
+                    const cid = row[1]; const rid = row[2]; const tier = row[5]; const regen = row[6];
+                    const k = `${cid}_${rid}`;
+                    if (!grouped[k]) grouped[k] = { tiers: [], regens: [] };
+                    if (tier != null) grouped[k].tiers.push(tier);
+                    if (regen != null) grouped[k].regens.push(regen);
                   }
+                  const lines = combos.map(c => {
+                    const k = `${c.classId}_${c.rarity}`;
+                    const g = grouped[k];
+                    if (!g || g.tiers.length === 0) return `- ${c.className} ${RARITY_LABELS[c.rarity]}: No burn history`;
+                    const avgTier = (g.tiers.reduce((a,b)=>a+b,0)/g.tiers.length).toFixed(1);
+                    const avgRegen = g.regens.length > 0 ? ((g.regens.reduce((a,b)=>a+b,0)/g.regens.length)*100).toFixed(1) : '?';
+                    return `- ${c.className} ${RARITY_LABELS[c.rarity]}: avg Tier ${avgTier} (${avgRegen}% regen chance, ${g.tiers.length} heroes sampled)`;
+                  });
+                  multiplierContext = `\n**TRANSCENDENCE MULTIPLIER TIERS (live from DFK):**\nTier N = Nx DE output multiplier on burn. Regen chance = probability tier resets to 1 after burn.\n${lines.join('\n')}\n`;
                 }
               }
-            } catch (multErr) {
-              console.warn('[AI Consultant] Multiplier fetch skipped:', multErr.message);
             }
+          } catch (multErr) {
+            console.warn('[AI Consultant] Multiplier fetch skipped:', multErr.message);
+          }
 
-            walletContext = `
+          walletContext = `
 **WALLET ANALYSIS DATA for ${walletAddress}:**
 Total Heroes: ${heroes.length}
 Generation Breakdown: ${genBreakdown}
@@ -18451,90 +20062,131 @@ ${trainingQuesters.slice(0,20).map(h => `- #${h.id} ${h.class} L${h.level} - Bes
 
 Use this data to answer ANY question about this wallet's heroes. Always cite specific hero IDs and real numbers. You have the same data that the platform tools (Tavern Sniper, Hero Score Calculator, Quest Optimizer, Summoning Calculator) use — answer as authoritatively as those tools would.
 `;
-            console.log('[AI Consultant] Fetched', heroes.length, 'heroes with quest analysis');
-          } else {
-            walletContext = `\n**WALLET DATA:** 0 heroes found via the DFK GraphQL API for wallet ${walletAddress}. This does not confirm the wallet is empty — the heroes may exist on a realm or subgraph not covered by the current query (e.g. Klaytn/Serendale). The API was queried with lowercase, original, uppercase, and EIP-55 checksummed address variants.\n`;
-          }
-        } catch (walletErr) {
-          console.error('[AI Consultant] Error fetching wallet data:', walletErr);
-          walletContext = `\n**WALLET DATA:** Could not fetch data for ${walletAddress}. Error: ${walletErr.message}\n`;
+          console.log('[AI Consultant] Fetched', heroes.length, 'heroes with quest analysis');
+        } else {
+          walletContext = `\n**WALLET DATA:** 0 heroes found via the DFK GraphQL API for wallet ${walletAddress}. This does not confirm the wallet is empty — the heroes may exist on a realm or subgraph not covered by the current query (e.g. Klaytn/Serendale). The API was queried with lowercase, original, uppercase, and EIP-55 checksummed address variants.\n`;
         }
+      } catch (walletErr) {
+        console.error('[AI Consultant] Error fetching wallet data:', walletErr);
+        walletContext = `\n**WALLET DATA:** Could not fetch data for ${walletAddress}. Error: ${walletErr.message}\n`;
       }
+    }
 
-      // ── Bout / Tournament context detection — parallel shared builders ──
-      let boutContext = '';
-      let boutDetected = false;
-      let liveDetected = false;
-
-      try {
-        const [tournamentCtxResult, liveCtxResult, historyCtxResult] = await Promise.all([
-          buildTournamentContext(allText),
-          buildLiveBattleContext(allText),
-          buildFightHistoryContext(allText),
-        ]);
+    // ── Bout / Tournament context detection — parallel shared builders ──
+    let boutContext = '';
+    let boutDetected = false;
+    let liveDetected = false;
 
-        if (tournamentCtxResult.detected) {
-          boutContext += tournamentCtxResult.context + '\n\n';
-          boutDetected = true;
-        }
-        // Live battle context only shown if no tournament ID was detected, to avoid noise
-        if (liveCtxResult.detected && !tournamentCtxResult.detected) {
-          boutContext += liveCtxResult.context + '\n\n';
-          boutDetected = true;
-          liveDetected = true;
-        }
-        // Fight history only shown if neither tournament ID nor live context fired
-        if (historyCtxResult.detected && !tournamentCtxResult.detected && !liveCtxResult.detected) {
-          boutContext += historyCtxResult.context + '\n\n';
-          boutDetected = true;
-        }
+    try {
+      const [tournamentCtxResult, liveCtxResult, historyCtxResult] = await Promise.all([
+        buildTournamentContext(allText),
+        buildLiveBattleContext(allText),
+        buildFightHistoryContext(allText),
+      ]);
 
-      } catch (boutErr) {
-        console.warn('[AI Consultant] Bout context error:', boutErr.message);
+      if (tournamentCtxResult.detected) {
+        boutContext += tournamentCtxResult.context + '\n\n';
+        boutDetected = true;
+      }
+      // Live battle context only shown if no tournament ID was detected, to avoid noise
+      if (liveCtxResult.detected && !tournamentCtxResult.detected) {
+        boutContext += liveCtxResult.context + '\n\n';
+        boutDetected = true;
+        liveDetected = true;
+      }
+      // Fight history only shown if neither tournament ID nor live context fired
+      if (historyCtxResult.detected && !tournamentCtxResult.detected && !liveCtxResult.detected) {
+        boutContext += historyCtxResult.context + '\n\n';
+        boutDetected = true;
       }
 
-      const messages = [
-        { role: 'system', content: AI_CONSULTANT_PROMPT },
-        { role: 'system', content: HEDGE_PROMPT } // Include full Hedge knowledge
-      ];
+    } catch (boutErr) {
+      console.warn('[AI Consultant] Bout context error:', boutErr.message);
+    }
 
-      // Inject wallet context if available
-      if (walletContext) {
-        messages.push({ role: 'system', content: walletContext });
-      }
+    const messages = [
+      { role: 'system', content: AI_CONSULTANT_PROMPT },
+      { role: 'system', content: HEDGE_PROMPT + DFK_KNOWLEDGE } // Include full Hedge knowledge
+    ];
 
-      // Inject bout/tournament context if available
-      if (boutContext) {
-        messages.push({ role: 'system', content: boutContext });
-      }
+    // Inject wallet context if available
+    if (walletContext) {
+      messages.push({ role: 'system', content: walletContext });
+    }
 
-      // Add conversation history
-      for (const turn of history) {
-        if (turn.role && turn.content) {
-          messages.push({ role: turn.role, content: turn.content });
-        }
+    // Inject bout/tournament context if available
+    if (boutContext) {
+      messages.push({ role: 'system', content: boutContext });
+    }
+
+    // Add conversation history
+    for (const turn of history) {
+      if (turn.role && turn.content) {
+        messages.push({ role: turn.role, content: turn.content });
       }
+    }
+    
+    // Add current message
+    messages.push({ role: 'user', content: message });
+
+    return { messages, walletDetected: !!walletAddress, boutDetected, liveDetected };
+  }
+
+  app.post('/api/admin/ai-consultant/chat', isAdminOrHasTab('ai-consultant'), async (req, res) => {
+    try {
+      const { message, history = [] } = req.body;
       
-      // Add current message
-      messages.push({ role: 'user', content: message });
+      if (!message || typeof message !== 'string') {
+        return res.status(400).json({ error: 'Message is required' });
+      }
+
+      const { messages, ...detected } = await buildAiConsultantMessages(message, history);
 
-      const completion = await openai.chat.completions.create({
-        model: OPENAI_MODEL,
+      const completion = await llmChat('ai_consultant', {
         temperature: 0.7,
-        max_tokens: 2000,
+        maxTokens: 2000,
         messages
       });
 
-      const response = completion.choices?.[0]?.message?.content?.trim() || 
+      const response = completion.content || 
         "I couldn't generate a response. Please try again.";
 
-      res.json({ response, walletDetected: !!walletAddress, boutDetected, liveDetected });
+      res.json({ response, ...detected });
     } catch (err) {
       console.error('[AI Consultant] Error:', err);
       res.status(500).json({ error: 'Failed to generate response' });
     }
   });
 
+  // POST /api/admin/ai-consultant/chat/stream - Same as /chat, streamed as Server-Sent Events
+  // Events: context { walletDetected, boutDetected, liveDetected }, delta { text }, done { response }, error { error }
+  app.post('/api/admin/ai-consultant/chat/stream', isAdminOrHasTab('ai-consultant'), async (req, res) => {
+    const { message, history = [] } = req.body;
+
+    if (!message || typeof message !== 'string') {
+      return res.status(400).json({ error: 'Message is required' });
+    }
+
+    const events = openEventStream(req, res);
+    try {
+      const { messages, ...detected } = await buildAiConsultantMessages(message, history);
+      events.send('context', detected);
+
+      const { text } = await pipeStreamToEvents(streamChat('ai_consultant', {
+        temperature: 0.7,
+        maxTokens: 2000,
+        messages
+      }), events);
+
+      events.send('done', { response: text.trim() || "I couldn't generate a response. Please try again." });
+    } catch (err) {
+      console.error('[AI Consultant] Stream error:', err);
+      events.send('error', { error: 'Failed to generate response' });
+    } finally {
+      events.end();
+    }
+  });
+
   // ============================================================================
   // DIVINE ALTAR / HERO SCORE — LIVE MULTIPLIER PROXY
   // ============================================================================
@@ -19479,15 +21131,12 @@ Use this data to answer ANY question about this wallet's heroes. Always cite spe
         `Be direct and specific. Reference hero IDs and classes.`,
       ].join('\n');
 
-      const { default: OpenAI } = await import('openai');
-      const oai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
-      const completion = await oai.chat.completions.create({
-        model: 'gpt-4o-mini',
+      const completion = await llmChat('hunt_analysis', {
         messages: [{ role: 'user', content: prompt }],
-        max_tokens: 400,
+        maxTokens: 400,
         temperature: 0.7,
       });
-      const analysis = completion.choices[0]?.message?.content?.trim() ?? null;
+      const analysis = completion.content || null;
       res.json({ ok: true, analysis });
     } catch (err) {
       console.error('[PVE Hunts] AI analysis error:', err.message);
@@ -19521,13 +21170,11 @@ Use this data to answer ANY question about this wallet's heroes. Always cite spe
       }
 
       const realm = encounter.realm || 'dfk';
-      const { COMBAT_CONTRACTS, HUNTS_DIAMOND_ABI } = await import('./src/config/combatContracts.ts');
-      const rpcUrl = realm === 'klaytn'
-        ? COMBAT_CONTRACTS.klaytn.rpcUrl
-        : COMBAT_CONTRACTS.dfk.rpcUrl;
+      const { HUNTS_DIAMOND_ABI } = await import('./src/config/combatContracts.ts');
+      const { getChainProvider } = await import('./src/services/rpcProviderRegistry.js');
 
       const { ethers } = await import('ethers');
-      const provider = new ethers.JsonRpcProvider(rpcUrl);
+      const provider = getChainProvider(realm === 'klaytn' ? 'klaytn' : 'dfk');
 
       let receipt;
       try {
@@ -19713,15 +21360,12 @@ Use this data to answer ANY question about this wallet's heroes. Always cite spe
         `Reference specific hero IDs (e.g., Hero #1204) and stats in your recommendations. Be direct and specific.`,
       ].join('\n');
 
-      const { default: OpenAI } = await import('openai');
-      const oai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
-      const completion = await oai.chat.completions.create({
-        model: 'gpt-4o-mini',
+      const completion = await llmChat('hunt_analysis', {
         messages: [{ role: 'user', content: prompt }],
-        max_tokens: 500,
+        maxTokens: 500,
         temperature: 0.7,
       });
-      const analysis = completion.choices[0]?.message?.content?.trim() ?? null;
+      const analysis = completion.content || null;
       res.json({ ok: true, analysis });
     } catch (err) {
       console.error('[PVE Encounter Analysis] Error:', err.message);
@@ -20204,15 +21848,12 @@ Use this data to answer ANY question about this wallet's heroes. Always cite spe
         `Explain in 2-3 sentences why this is the best action right now. Be specific about the tactical situation. Use plain language a gamer would understand.`,
       ].join('\n');
 
-      const { default: OpenAI } = await import('openai');
-      const oai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
-      const completion = await oai.chat.completions.create({
-        model: 'gpt-4o-mini',
+      const completion = await llmChat('hunt_analysis', {
         messages: [{ role: 'user', content: prompt }],
-        max_tokens: 200,
+        maxTokens: 200,
         temperature: 0.7,
       });
-      const explanation = completion.choices[0]?.message?.content?.trim() ?? null;
+      const explanation = completion.content || null;
       res.json({ ok: true, explanation });
     } catch (err) {
       console.error('[Companion] Explain error:', err.message);
@@ -23129,6 +24770,9 @@ Use this data to answer ANY question about this wallet's heroes. Always cite spe
 
       // Auto-start bracket poller (snapshots in-progress tournaments every 20 min)
       await autoStartBracketPoller();
+
+      // Auto-start summon outcome indexer (engine calibration)
+      await autoStartSummonOutcomeIndexer();
     } else {
       console.log('[AutoStart] Development environment - indexers will only run when manually triggered from admin panel');
     }
@@ -23367,6 +25011,26 @@ Use this data to answer ANY question about this wallet's heroes. Always cite spe
     }
   }
 
+  // Auto-start summon outcome indexer on server startup (production only)
+  async function autoStartSummonOutcomeIndexer() {
+    try {
+      await new Promise(r => setTimeout(r, 50000));
+      
+      console.log('[SummonOutcomes] Auto-starting summon outcome indexer...');
+      const { startSummonOutcomeAutoRun, summonOutcomeIndexer } = await import('./src/etl/ingestion/summonOutcomeIndexer.js');
+      
+      if (summonOutcomeIndexer.isAutoRunning()) {
+        console.log('[SummonOutcomes] Already running, skipping auto-start');
+        return;
+      }
+      
+      await startSummonOutcomeAutoRun();
+      console.log('[SummonOutcomes] Auto-start complete');
+    } catch (err) {
+      console.error('[SummonOutcomes] Auto-start error:', err.message);
+    }
+  }
+  
   async function autoStartBracketPoller() {
     try {
       await new Promise(r => setTimeout(r, 45000));
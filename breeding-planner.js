@@ -0,0 +1,697 @@
+/**
+ * Breeding Planner - multi-generation summoning search toward a target hero
+ *
+ * calculateSummoningProbabilities only answers "what can these two parents make?".
+ * The planner chains it up to three summons deep: every intermediate child is bred
+ * for one gene that brings the next step closer to the target (the target value
+ * itself, or one half of a mutation pair that produces it). Parents come from the
+ * player's wallet (already owned) and tavern_heroes listings (bought at list price).
+ *
+ * Intermediate children do not exist yet, so they are modelled as "virtual" heroes:
+ * the gene the step was bred for is dominant, every other gene is the most likely
+ * outcome, and the recessives are the next most likely outcomes. Real recessives
+ * depend on the roll, so two- and three-step plans are estimates, not exact odds.
+ *
+ * Costs are in the realm's native token (CRYSTAL for cv, JEWEL for sd) and include
+ * tavern purchases, summon fees (which grow with generation and summons used) and
+ * tears. A step is retried until it succeeds or the parents run out of summons.
+ */
+
+import { calculateSummoningProbabilities, getMutationSources } from './summoning-engine.js';
+import { calculateGeneration, calculateSummonsRemaining } from './genetics-engine.js';
+import { decodeHeroGenes } from './hero-genetics.js';
+import { calculateSummonFee, getTearCount, estimateCostPerOutcome } from './summon-costs.js';
+
+const RARITY_NAMES = ['Common', 'Uncommon', 'Rare', 'Legendary', 'Mythic'];
+const GENE_POSITIONS = ['dominant', 'R1', 'R2', 'R3'];
+const GENE_WEIGHTS = { dominant: 0.75, R1: 0.1875, R2: 0.046875, R3: 0.015625 };
+
+export const VISUAL_TRAITS = [
+  'gender', 'headAppendage', 'backAppendage', 'background', 'hairStyle',
+  'hairColor', 'eyeColor', 'skinColor', 'appendageColor', 'backAppendageColor'
+];
+
+const DEFAULT_OPTIONS = {
+  maxDepth: 2,
+  beamWidth: 20,
+  poolSize: 80,
+  maxAttempts: 10,
+  minStepProbability: 0.01,
+  tearPrice: 0.05,
+  summonType: 'regular',
+  stone: null,
+  stonePrice: null,
+  sortBy: 'costPerSuccess',
+  limit: 10
+};
+
+const PLAN_SORTS = {
+  costPerSuccess: (a, b) => a.costPerSuccess - b.costPerSuccess,
+  successProbability: (a, b) => b.successProbability - a.successProbability || a.expectedCost - b.expectedCost,
+  expectedCost: (a, b) => a.expectedCost - b.expectedCost
+};
+
+// ============================================================================
+// COSTS
+// ============================================================================
+
+// Fee and tear formulas live in summon-costs.js; re-exported for existing callers
+export { calculateSummonFee as calculateSummonTokenCost, getTearCount };
+
+function summonsLeft(hero) {
+  return Math.max(0, (hero.maxSummons || 0) - (hero.summons || 0));
+}
+
+/**
+ * Economics of one summoning step that is retried until it hits or the parents
+ * run out of summons (or maxAttempts is reached)
+ * @param {number} probability - Per-summon chance (0-1) of the wanted child
+ * @param {Object} parentA - Planner hero
+ * @param {Object} parentB - Planner hero
+ * @param {Object} options - { maxAttempts, tearPrice, summonType, stone, stonePrice }
+ * @returns {Object|null} Step costs and odds, null if the pair cannot summon
+ */
+export function evaluateStep(probability, parentA, parentB, {
+  maxAttempts = DEFAULT_OPTIONS.maxAttempts,
+  tearPrice = DEFAULT_OPTIONS.tearPrice,
+  ...costOptions
+} = {}) {
+  const step = estimateCostPerOutcome(probability, parentA, parentB, { maxAttempts, tearPrice, ...costOptions });
+  if (!step) return null;
+  return {
+    probability,
+    attempts: step.attempts,
+    expectedAttempts: step.expectedAttempts,
+    successProbability: step.successProbability,
+    purchaseCost: step.purchaseCost,
+    expectedSummonCost: step.expectedSummonCost,
+    expectedCost: step.expectedCost
+  };
+}
+
+// ============================================================================
+// TARGET MATCHING
+// ============================================================================
+
+function toArray(value) {
+  if (value == null || value === '') return [];
+  return Array.isArray(value) ? value.filter(v => v != null && v !== '') : [value];
+}
+
+/**
+ * Turn a target description into requirements the planner can score
+ * @param {Object} target - { class, subClass, profession, activeSkills, passiveSkills, minRarity, visuals: { hairStyle: 24, ... } }
+ * @returns {Array<Object>} Requirements: { key, slots, values, visual }
+ */
+export function normalizeTarget(target = {}) {
+  const requirements = [];
+
+  for (const key of ['class', 'subClass', 'profession']) {
+    if (target[key]) requirements.push({ key, slots: [key], values: [String(target[key])], visual: false });
+  }
+
+  const actives = toArray(target.activeSkills).map(String);
+  const passives = toArray(target.passiveSkills).map(String);
+  if (actives.length > 2) throw new Error('At most two active skills can be targeted');
+  if (passives.length > 2) throw new Error('At most two passive skills can be targeted');
+  if (actives.length) requirements.push({ key: 'activeSkills', slots: ['active1', 'active2'], values: actives, visual: false });
+  if (passives.length) requirements.push({ key: 'passiveSkills', slots: ['passive1', 'passive2'], values: passives, visual: false });
+
+  for (const [trait, value] of Object.entries(target.visuals || {})) {
+    if (value == null || value === '') continue;
+    if (!VISUAL_TRAITS.includes(trait)) throw new Error(`Unknown visual trait: ${trait}`);
+    requirements.push({ key: trait, slots: [trait], values: [String(value)], visual: true });
+  }
+
+  // Rarity is a floor (Rare or better), scored over the rarity distribution
+  if (target.minRarity != null && target.minRarity !== '') {
+    const minRarity = parseInt(target.minRarity);
+    if (!(minRarity >= 0 && minRarity < RARITY_NAMES.length)) throw new Error(`Unknown rarity: ${target.minRarity}`);
+    if (minRarity > 0) requirements.push({ key: 'rarity', slots: ['rarity'], values: RARITY_NAMES.slice(minRarity), visual: false });
+  }
+
+  if (requirements.length === 0) {
+    throw new Error('Target needs at least one class, subclass, profession, skill, rarity or visual trait');
+  }
+  return requirements;
+}
+
+function sameValue(a, b) {
+  return String(a).toLowerCase() === String(b).toLowerCase();
+}
+
+function slotProbability(probs, slot, value) {
+  const dist = probs[slot] || {};
+  for (const [outcome, pct] of Object.entries(dist)) {
+    if (sameValue(outcome, value)) return pct / 100;
+  }
+  return 0;
+}
+
+function requirementProbability(probs, req) {
+  if (req.key === 'rarity') return req.values.reduce((sum, value) => sum + slotProbability(probs, 'rarity', value), 0);
+  if (req.slots.length === 1) return slotProbability(probs, req.slots[0], req.values[0]);
+
+  // Skill requirements can be met by either slot of the pair
+  const [slotA, slotB] = req.slots;
+  if (req.values.length === 1) {
+    const value = req.values[0];
+    return 1 - (1 - slotProbability(probs, slotA, value)) * (1 - slotProbability(probs, slotB, value));
+  }
+  const [first, second] = req.values;
+  if (sameValue(first, second)) {
+    return slotProbability(probs, slotA, first) * slotProbability(probs, slotB, first);
+  }
+  return slotProbability(probs, slotA, first) * slotProbability(probs, slotB, second) +
+    slotProbability(probs, slotA, second) * slotProbability(probs, slotB, first);
+}
+
+/**
+ * Chance (0-1) that a single summon with these probabilities hits every requirement.
+ * Traits roll independently in the summoning engine, so requirements multiply.
+ * @param {Object} probs - Output of calculateSummoningProbabilities
+ * @param {Array<Object>} requirements - Output of normalizeTarget
+ * @returns {number}
+ */
+export function targetProbability(probs, requirements) {
+  let p = 1;
+  for (const req of requirements) {
+    p *= requirementProbability(probs, req);
+    if (p === 0) return 0;
+  }
+  return p;
+}
+
+/**
+ * Values worth breeding for, per requirement slot, with how many mutation steps
+ * they sit below the target (0 = the target itself)
+ * @param {Array<Object>} requirements - Output of normalizeTarget
+ * @param {number} levels - How far down the summoning tree to walk
+ * @returns {Map<string, Map<string, number>>} slot -> (lowercased value -> level)
+ */
+export function buildAncestry(requirements, levels) {
+  const ancestry = new Map();
+  for (const req of requirements) {
+    if (req.key === 'rarity') continue;
+    for (const slot of req.slots) {
+      const values = ancestry.get(slot) || new Map();
+      let frontier = [];
+      for (const value of req.values) {
+        values.set(String(value).toLowerCase(), 0);
+        frontier.push(value);
+      }
+      for (let level = 1; level <= levels && frontier.length > 0; level++) {
+        const next = [];
+        for (const value of frontier) {
+          for (const pair of getMutationSources(slot, value)) {
+            for (const source of pair) {
+              const key = String(source).toLowerCase();
+              if (values.has(key)) continue;
+              values.set(key, level);
+              next.push(source);
+            }
+          }
+        }
+        frontier = next;
+      }
+      ancestry.set(slot, values);
+    }
+  }
+  return ancestry;
+}
+
+function traitGenes(genetics, slot) {
+  if (slot === 'class') return genetics.mainClass;
+  if (VISUAL_TRAITS.includes(slot)) {
+    const trait = genetics.visual?.[slot];
+    if (!trait) return null;
+    // Decoded visual traits carry names plus *Value gene IDs; the engine keys on the IDs
+    if (trait.dominantValue !== undefined) {
+      return { dominant: trait.dominantValue, R1: trait.R1Value, R2: trait.R2Value, R3: trait.R3Value };
+    }
+    return trait;
+  }
+  return genetics[slot];
+}
+
+/**
+ * How strongly a hero's genes point at the target: weighted share of gene
+ * positions holding a target value, or a mutation ancestor of one (halved per level)
+ * @param {Object} genetics - Decoded or virtual genetics
+ * @param {Map} ancestry - Output of buildAncestry
+ * @returns {number}
+ */
+export function heroRelevance(genetics, ancestry) {
+  let score = 0;
+  for (const [slot, values] of ancestry) {
+    const genes = traitGenes(genetics, slot);
+    if (!genes) continue;
+    for (const pos of GENE_POSITIONS) {
+      const level = values.get(String(genes[pos]).toLowerCase());
+      if (level !== undefined) score += GENE_WEIGHTS[pos] / (2 ** level);
+    }
+  }
+  return score;
+}
+
+// ============================================================================
+// VIRTUAL OFFSPRING
+// ============================================================================
+
+function genotypeFrom(dist, forced = null) {
+  const ranked = Object.entries(dist || {}).sort((a, b) => b[1] - a[1]).map(([value]) => value);
+  const dominant = forced ?? ranked[0];
+  const rest = ranked.filter(value => value !== dominant);
+  return {
+    dominant,
+    R1: rest[0] ?? dominant,
+    R2: rest[1] ?? dominant,
+    R3: rest[2] ?? dominant
+  };
+}
+
+function mostLikely(dist) {
+  let best = null;
+  let bestPct = -1;
+  for (const [value, pct] of Object.entries(dist || {})) {
+    if (pct > bestPct) {
+      best = value;
+      bestPct = pct;
+    }
+  }
+  return best;
+}
+
+/**
+ * Model the child of two heroes, assuming the summon is repeated until `slot`
+ * comes out as `value`
+ * @param {Object} parentA - Planner hero
+ * @param {Object} parentB - Planner hero
+ * @param {Object} probs - calculateSummoningProbabilities(parentA, parentB)
+ * @param {{slot: string, value: string}} condition - Gene the step is bred for
+ * @returns {Object} Planner hero flagged as virtual
+ */
+export function buildVirtualOffspring(parentA, parentB, probs, condition) {
+  const forcedFor = (slot) => (slot === condition.slot ? condition.value : null);
+
+  const genetics = {
+    mainClass: genotypeFrom(probs.class, forcedFor('class')),
+    subClass: genotypeFrom(probs.subClass, forcedFor('subClass')),
+    profession: genotypeFrom(probs.profession, forcedFor('profession')),
+    active1: genotypeFrom(probs.active1, forcedFor('active1')),
+    active2: genotypeFrom(probs.active2, forcedFor('active2')),
+    passive1: genotypeFrom(probs.passive1, forcedFor('passive1')),
+    passive2: genotypeFrom(probs.passive2, forcedFor('passive2')),
+    statBoost1: genotypeFrom(probs.statBoost1),
+    statBoost2: genotypeFrom(probs.statBoost2),
+    element: genotypeFrom(probs.element),
+    crafting1: genotypeFrom(probs.crafting1),
+    crafting2: genotypeFrom(probs.crafting2),
+    visual: {
+      visualUnknown1: genotypeFrom(probs.visualUnknown1),
+      visualUnknown2: genotypeFrom(probs.visualUnknown2)
+    }
+  };
+  for (const trait of VISUAL_TRAITS) {
+    genetics.visual[trait] = genotypeFrom(probs[trait], forcedFor(trait));
+  }
+
+  const rarityName = mostLikely(probs.rarity) || 'Common';
+  const rarity = Math.max(0, RARITY_NAMES.findIndex(name => sameValue(name, rarityName)));
+
+  return {
+    id: `child:${parentA.id}+${parentB.id}:${condition.slot}=${condition.value}`,
+    normalizedId: null,
+    virtual: true,
+    owned: true,
+    price: 0,
+    realm: parentA.realm,
+    mainClass: genetics.mainClass.dominant,
+    rarity,
+    generation: calculateGeneration(parentA.generation, parentB.generation),
+    summons: 0,
+    // DFK derives the child's summon allowance from the parents' max summons
+    maxSummons: calculateSummonsRemaining(parentA.maxSummons, parentB.maxSummons, parentA.generation, parentB.generation),
+    genetics,
+    condition
+  };
+}
+
+// ============================================================================
+// SEARCH
+// ============================================================================
+
+function describeHero(hero, stepByHeroId) {
+  return {
+    id: hero.virtual ? null : hero.id,
+    normalizedId: hero.normalizedId,
+    fromStep: hero.virtual ? stepByHeroId.get(hero.id) : null,
+    mainClass: hero.mainClass,
+    rarity: hero.rarity,
+    generation: hero.generation,
+    summonsRemaining: summonsLeft(hero),
+    price: hero.owned ? 0 : hero.price,
+    owned: !!hero.owned,
+    virtual: !!hero.virtual
+  };
+}
+
+function round(value, digits = 4) {
+  const f = 10 ** digits;
+  return Math.round(value * f) / f;
+}
+
+/**
+ * Search breeding trees toward a target and rank the plans found.
+ *
+ * Plans are chains: each step pairs the previous step's child with a real hero
+ * (owned or tavern). Step 1 pairs two real heroes. A hero is used at most once per
+ * plan and a child is never paired with its own parents.
+ *
+ * @param {Object} params
+ * @param {Object} params.target - See normalizeTarget
+ * @param {Array<Object>} params.heroes - Planner heroes (see toPlannerHero)
+ * @param {number} [params.maxDepth=2] - Summons per plan, 1-3
+ * @param {number} [params.beamWidth=20] - Intermediate children kept per generation
+ * @param {number} [params.poolSize=80] - Real heroes considered per realm
+ * @param {number} [params.maxAttempts=10] - Retries allowed per step
+ * @param {number} [params.minStepProbability=0.01] - Ignore intermediate genes rarer than this
+ * @param {number} [params.tearPrice=0.05] - Native-token price of one tear
+ * @param {string} [params.summonType='regular'] - 'dark' gives each pair one roll and admits heroes with no summons left
+ * @param {Object|string} [params.stone] - Enhancement stone used on every summon (see summon-costs.js)
+ * @param {number} [params.stonePrice] - Native-token price of that stone
+ * @param {number|null} [params.maxGeneration] - Drop plans whose final child is above this generation
+ * @param {number|null} [params.maxCost] - Drop plans whose expected cost exceeds this
+ * @param {string} [params.sortBy='costPerSuccess'] - 'costPerSuccess', 'successProbability' or 'expectedCost'
+ * @param {number} [params.limit=10] - Plans returned
+ * @returns {{ plans: Array<Object>, pool: Object }}
+ */
+export function planBreeding(params) {
+  const opts = { ...DEFAULT_OPTIONS, ...params };
+  const maxDepth = Math.min(3, Math.max(1, parseInt(opts.maxDepth) || 1));
+  const requirements = normalizeTarget(opts.target);
+  const includeVisuals = requirements.some(req => req.visual);
+  // Step-1 parents may sit maxDepth mutations below the target (Warrior + Knight → Paladin → Dragoon)
+  const ancestry = buildAncestry(requirements, maxDepth);
+  const dark = opts.summonType === 'dark';
+  const stepOptions = {
+    maxAttempts: opts.maxAttempts,
+    tearPrice: opts.tearPrice,
+    summonType: opts.summonType,
+    stone: opts.stone,
+    stonePrice: opts.stonePrice
+  };
+
+  const probsCache = new Map();
+  function probabilitiesFor(a, b) {
+    const key = `${a.id}|${b.id}`;
+    if (!probsCache.has(key)) {
+      let probs = null;
+      try {
+        probs = calculateSummoningProbabilities(
+          a.genetics, b.genetics,
+          RARITY_NAMES[a.rarity] || 'Common', RARITY_NAMES[b.rarity] || 'Common',
+          { skipVisuals: !includeVisuals, summonType: opts.summonType }
+        );
+      } catch (err) {
+        probs = null;
+      }
+      probsCache.set(key, probs);
+    }
+    return probsCache.get(key);
+  }
+
+  const plans = [];
+  const poolSummary = {};
+
+  for (const realm of ['cv', 'sd']) {
+    const realmHeroes = (opts.heroes || []).filter(h => h.realm === realm && h.genetics && (dark || summonsLeft(h) > 0));
+    if (realmHeroes.length === 0) continue;
+
+    const scored = realmHeroes
+      .map(hero => ({ hero, relevance: heroRelevance(hero.genetics, ancestry) }))
+      .filter(entry => entry.relevance > 0);
+    const owned = scored.filter(e => e.hero.owned).sort((a, b) => b.relevance - a.relevance);
+    const tavern = scored.filter(e => !e.hero.owned)
+      .sort((a, b) => b.relevance / (1 + b.hero.price) - a.relevance / (1 + a.hero.price));
+    const pool = [...owned, ...tavern].slice(0, opts.poolSize).map(e => e.hero);
+    poolSummary[realm] = { owned: pool.filter(h => h.owned).length, tavern: pool.filter(h => !h.owned).length };
+    if (pool.length < 2) continue;
+
+    // Step 1 children: every pool pair, conditioned on each useful gene it can roll
+    let frontier = [];
+    const remaining = maxDepth - 1;
+
+    const finish = (parent, partner, upstream) => {
+      const probs = probabilitiesFor(parent, partner);
+      if (!probs) return;
+      const p = targetProbability(probs, requirements);
+      const step = evaluateStep(p, parent, partner, stepOptions);
+      if (!step) return;
+      const steps = [...upstream.steps, { parents: [parent, partner], goal: null, ...step }];
+      plans.push(assemblePlan(realm, steps, upstream));
+    };
+
+    const expand = (parent, partner, upstream, levelsLeft) => {
+      const probs = probabilitiesFor(parent, partner);
+      if (!probs) return [];
+      const children = [];
+      for (const [slot, values] of ancestry) {
+        for (const [value, pct] of Object.entries(probs[slot] || {})) {
+          const level = values.get(String(value).toLowerCase());
+          if (level === undefined || level > levelsLeft) continue;
+          const q = pct / 100;
+          if (q < opts.minStepProbability) continue;
+          const step = evaluateStep(q, parent, partner, stepOptions);
+          if (!step) continue;
+          const child = buildVirtualOffspring(parent, partner, probs, { slot, value });
+          if (!dark && summonsLeft(child) < 1) continue;
+          const steps = [...upstream.steps, { parents: [parent, partner], goal: { slot, value }, ...step }];
+          const lineage = new Set([...upstream.lineage, parent.id, partner.id]);
+          const successProbability = upstream.successProbability * step.successProbability;
+          const expectedCost = upstream.expectedCost + upstream.successProbability * step.expectedCost;
+          children.push({
+            child,
+            upstream: { steps, lineage, successProbability, expectedCost },
+            score: heroRelevance(child.genetics, ancestry) * successProbability / (1 + expectedCost)
+          });
+        }
+      }
+      return children;
+    };
+
+    const root = { steps: [], lineage: new Set(), successProbability: 1, expectedCost: 0 };
+
+    for (let i = 0; i < pool.length; i++) {
+      for (let j = i + 1; j < pool.length; j++) {
+        finish(pool[i], pool[j], root);
+        if (remaining > 0) frontier.push(...expand(pool[i], pool[j], root, remaining));
+      }
+    }
+
+    for (let depth = 2; depth <= maxDepth && frontier.length > 0; depth++) {
+      frontier.sort((a, b) => b.score - a.score);
+      const beam = frontier.slice(0, opts.beamWidth);
+      frontier = [];
+      const levelsLeft = maxDepth - depth;
+      for (const { child, upstream } of beam) {
+        for (const partner of pool) {
+          if (upstream.lineage.has(partner.id)) continue;
+          finish(child, partner, upstream);
+          if (levelsLeft > 0) frontier.push(...expand(child, partner, upstream, levelsLeft));
+        }
+      }
+    }
+  }
+
+  const seen = new Set();
+  const ranked = plans
+    .filter(plan => opts.maxGeneration == null || plan.offspring.generation <= opts.maxGeneration)
+    .filter(plan => opts.maxCost == null || plan.expectedCost <= opts.maxCost)
+    .sort(PLAN_SORTS[opts.sortBy] || PLAN_SORTS.costPerSuccess)
+    .filter(plan => {
+      if (seen.has(plan.key)) return false;
+      seen.add(plan.key);
+      return true;
+    })
+    .slice(0, opts.limit)
+    .map(({ key, ...plan }, index) => ({ rank: index + 1, ...plan }));
+
+  return { plans: ranked, pool: poolSummary };
+}
+
+function assemblePlan(realm, steps, upstream) {
+  const stepByHeroId = new Map();
+  let successProbability = upstream.successProbability;
+  let expectedCost = upstream.expectedCost;
+  const last = steps[steps.length - 1];
+  successProbability *= last.successProbability;
+  expectedCost += upstream.successProbability * last.expectedCost;
+
+  const heroesToBuy = [];
+  const described = steps.map((step, index) => {
+    const [a, b] = step.parents;
+    for (const hero of step.parents) {
+      if (!hero.owned && !hero.virtual) heroesToBuy.push({ id: hero.id, normalizedId: hero.normalizedId, price: hero.price });
+    }
+    const summary = {
+      step: index + 1,
+      parents: [describeHero(a, stepByHeroId), describeHero(b, stepByHeroId)],
+      goal: step.goal ? `${step.goal.slot} = ${step.goal.value}` : 'target',
+      probability: round(step.probability),
+      attempts: step.attempts,
+      expectedAttempts: round(step.expectedAttempts, 2),
+      successProbability: round(step.successProbability),
+      purchaseCost: round(step.purchaseCost, 2),
+      expectedSummonCost: round(step.expectedSummonCost, 2),
+      expectedCost: round(step.expectedCost, 2),
+      offspringGeneration: calculateGeneration(a.generation, b.generation)
+    };
+    if (steps[index + 1]) stepByHeroId.set(steps[index + 1].parents[0].id, index + 1);
+    return summary;
+  });
+
+  const [finalA, finalB] = last.parents;
+  return {
+    key: steps.map(s => `${s.parents[0].id}+${s.parents[1].id}`).join('>'),
+    realm,
+    token: realm === 'sd' ? 'JEWEL' : 'CRYSTAL',
+    depth: steps.length,
+    successProbability: round(successProbability),
+    expectedCost: round(expectedCost, 2),
+    costPerSuccess: successProbability > 0 ? round(expectedCost / successProbability, 2) : Infinity,
+    purchaseCost: round(heroesToBuy.reduce((sum, h) => sum + h.price, 0), 2),
+    heroesToBuy,
+    offspring: {
+      generation: calculateGeneration(finalA.generation, finalB.generation),
+      summonsRemaining: calculateSummonsRemaining(finalA.maxSummons, finalB.maxSummons, finalA.generation, finalB.generation)
+    },
+    steps: described
+  };
+}
+
+// ============================================================================
+// DATA LOADING
+// ============================================================================
+
+/**
+ * Normalize a tavern_heroes row or GraphQL hero into the planner's hero shape
+ * @param {Object} raw - Row with stat_genes/visual_genes or hero with statGenes/visualGenes
+ * @param {Object} extra - { owned, realm } overrides
+ * @returns {Object|null} Planner hero, null when genes cannot be decoded
+ */
+export function toPlannerHero(raw, { owned = false, realm = null } = {}) {
+  const statGenes = raw.stat_genes ?? raw.statGenes;
+  const visualGenes = raw.visual_genes ?? raw.visualGenes;
+  if (!statGenes || !visualGenes) return null;
+
+  let genetics;
+  try {
+    genetics = decodeHeroGenes({ id: raw.hero_id ?? raw.id, statGenes, visualGenes });
+  } catch (err) {
+    return null;
+  }
+
+  return {
+    id: String(raw.hero_id ?? raw.id),
+    normalizedId: parseInt(raw.normalized_id ?? raw.normalizedId) || null,
+    realm: realm || raw.realm,
+    owned,
+    price: owned ? 0 : parseFloat(raw.price_native) || 0,
+    mainClass: raw.main_class ?? raw.mainClassStr ?? genetics.mainClass.dominant,
+    rarity: parseInt(raw.rarity) || 0,
+    generation: parseInt(raw.generation) || 0,
+    summons: parseInt(raw.summons) || 0,
+    maxSummons: parseInt(raw.max_summons ?? raw.maxSummons) || 0,
+    genetics
+  };
+}
+
+/**
+ * Load planner candidates: a wallet's heroes plus tavern listings with decoded genes
+ * @param {Object} options
+ * @param {string|null} options.walletAddress - Player wallet (optional)
+ * @param {Array<string>} options.realms - Realms to include ('cv', 'sd')
+ * @param {number|null} options.maxPrice - Skip tavern heroes above this price
+ * @param {string} options.summonType - 'dark' also loads heroes with no summons left
+ * @returns {Promise<Array<Object>>} Planner heroes
+ */
+export async function loadPlannerHeroes({ walletAddress = null, realms = ['cv', 'sd'], maxPrice = null, summonType = 'regular' } = {}) {
+  const includeExhausted = summonType === 'dark';
+  const { rawPg } = await import('./server/db.js');
+
+  const rows = await rawPg`
+    SELECT hero_id, normalized_id, realm, main_class, rarity, generation,
+           summons, max_summons, price_native, stat_genes, visual_genes
+    FROM tavern_heroes
+    WHERE genes_status = 'complete'
+      AND stat_genes IS NOT NULL
+      AND visual_genes IS NOT NULL
+      AND realm = ANY(${realms})
+      AND (${includeExhausted}::boolean OR COALESCE(max_summons, 0) > COALESCE(summons, 0))
+      AND (${maxPrice}::numeric IS NULL OR price_native <= ${maxPrice})
+  `;
+
+  const heroes = [];
+  const ownedIds = new Set();
+
+  if (walletAddress) {
+    const { getAllHeroesByOwner } = await import('./onchain-data.js');
+    const walletHeroes = await getAllHeroesByOwner(walletAddress);
+    for (const raw of walletHeroes) {
+      const realm = raw.network === 'met' ? 'sd' : 'cv';
+      if (!realms.includes(realm)) continue;
+      const hero = toPlannerHero(raw, { owned: true, realm });
+      if (hero) {
+        heroes.push(hero);
+        ownedIds.add(hero.id);
+      }
+    }
+  }
+
+  for (const row of rows) {
+    if (ownedIds.has(String(row.hero_id))) continue;
+    const hero = toPlannerHero(row);
+    if (hero) heroes.push(hero);
+  }
+
+  return heroes;
+}
+
+/**
+ * Load candidates and plan in one call (used by the admin API)
+ * @param {Object} options - loadPlannerHeroes options plus planBreeding params
+ * @returns {Promise<Object>} { plans, pool, candidates }
+ */
+export async function findBreedingPlans({ walletAddress = null, realms = ['cv', 'sd'], maxPrice = null, ...params } = {}) {
+  // Validate the target before paying for the tavern load
+  normalizeTarget(params.target);
+
+  const heroes = await loadPlannerHeroes({ walletAddress, realms, maxPrice, summonType: params.summonType });
+  const started = Date.now();
+  const result = planBreeding({ ...params, heroes });
+  console.log(`[BreedingPlanner] ${heroes.length} candidates, ${result.plans.length} plans in ${Date.now() - started}ms`);
+
+  return {
+    ...result,
+    candidates: {
+      owned: heroes.filter(h => h.owned).length,
+      tavern: heroes.filter(h => !h.owned).length
+    }
+  };
+}
+
+export default {
+  calculateSummonTokenCost: calculateSummonFee,
+  getTearCount,
+  evaluateStep,
+  normalizeTarget,
+  targetProbability,
+  buildAncestry,
+  heroRelevance,
+  buildVirtualOffspring,
+  planBreeding,
+  toPlannerHero,
+  loadPlannerHeroes,
+  findBreedingPlans
+};
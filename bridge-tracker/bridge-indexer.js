@@ -1,4 +1,5 @@
 import { ethers } from 'ethers';
+import { getChainProvider } from '../src/services/rpcProviderRegistry.js';
 import { db } from '../server/db.js';
 import { bridgeEvents, bridgeIndexerProgress } from '../shared/schema.js';
 import { 
@@ -12,13 +13,14 @@ import {
 } from './contracts.js';
 import { hexToDecimalString, formatTokenAmount } from './bigint-utils.js';
 import { eq, desc, and, sql, isNull } from 'drizzle-orm';
+import { ensureReorgTables } from '../src/etl/ingestion/reorgGuard.js';
+import { defineIndexer } from '../src/etl/ingestion/indexerRuntime.js';
 
 // DFK Chain genesis is block 0, but Synapse bridge activity started later
 // We'll discover the actual first block with bridge events
 const DFK_CHAIN_GENESIS = 0;
 export const MAIN_INDEXER_NAME = 'synapse_main';
 
-const RPC_URL = BRIDGE_CONTRACTS.dfkChain.rpcUrl;
 const SYNAPSE_BRIDGE = BRIDGE_CONTRACTS.dfkChain.synapseBridge.toLowerCase();
 const BLOCKS_PER_QUERY = 2000;
 
@@ -56,14 +58,13 @@ let providerInstance = null;
 
 export async function getProvider() {
   if (!providerInstance) {
-    providerInstance = new ethers.JsonRpcProvider(RPC_URL);
+    providerInstance = getChainProvider('dfk');
   }
   return providerInstance;
 }
 
 export async function getLatestBlock() {
-  const provider = await getProvider();
-  return provider.getBlockNumber();
+  return bridgeIndexer.getLatestBlock();
 }
 
 function decodeAddress(topic) {
@@ -77,7 +78,7 @@ function decodeUint256(data, offset = 0) {
   return '0x' + hex;
 }
 
-async function parseSynapseEvent(log, provider) {
+function decodeSynapseLog(log) {
   const topic0 = log.topics[0];
   
   let direction, wallet, tokenAddress, amount, chainId;
@@ -115,7 +116,6 @@ async function parseSynapseEvent(log, provider) {
     
     const tokenSymbol = getTokenSymbol(tokenAddress);
     const tokenDecimals = getTokenDecimals(tokenSymbol);
-    const block = await provider.getBlock(log.blockNumber);
     
     return {
       wallet,
@@ -128,7 +128,7 @@ async function parseSynapseEvent(log, provider) {
       dstChainId: direction === 'out' ? chainId || 0 : DFK_CHAIN_ID,
       txHash: log.transactionHash,
       blockNumber: log.blockNumber,
-      blockTimestamp: new Date(block.timestamp * 1000)
+      blockHash: log.blockHash,
     };
   } catch (err) {
     console.error('[SynapseEvent] Parse error:', err.message);
@@ -136,31 +136,65 @@ async function parseSynapseEvent(log, provider) {
   }
 }
 
+async function withBlockTimestamps(events, getBlockTimestamp) {
+  for (const event of events) {
+    event.blockTimestamp = await getBlockTimestamp(event.blockNumber);
+  }
+  return events;
+}
+
+/**
+ * Synapse bridge events on DFK Chain, on the shared indexer runtime.
+ * Checkpoints stay in bridge_indexer_progress; the batch entry points below
+ * keep their own rows (main, synapse_worker_N_of_M) and call indexRange.
+ */
+export const bridgeIndexer = defineIndexer({
+  name: MAIN_INDEXER_NAME,
+  label: 'Synapse Bridge',
+  chain: 'dfk',
+  getProvider: () => getChainProvider('dfk'),
+  address: SYNAPSE_BRIDGE,
+  topics: [Object.values(SYNAPSE_EVENTS)],
+  blocksPerQuery: BLOCKS_PER_QUERY,
+  batchSize: 10000,
+  queryDelayMs: 50,
+  genesisBlock: DFK_CHAIN_GENESIS,
+  workerPrefix: 'synapse_worker_',
+  checkpointTable: bridgeIndexerProgress,
+  // bridge_events also holds LayerZero, Metis and Kaia rows and admin imports, none
+  // of which this indexer re-indexes: only its own Synapse rows (the only ones
+  // stored with a block hash, all to or from DFK Chain) are rolled back
+  eventTables: [{
+    table: 'bridge_events',
+    where: sql`block_hash IS NOT NULL AND ${DFK_CHAIN_ID} IN (src_chain_id, dst_chain_id)`,
+  }],
+  logTag: '[SynapseIndex]',
+  decode: (_parsed, log) => decodeSynapseLog(log),
+  sink: async (events, ctx) => {
+    await withBlockTimestamps(events, ctx.getBlockTimestamp);
+    const { inserted } = await saveBridgeEvents(events);
+    return { entities: events.map(e => e.wallet), events: inserted };
+  },
+});
+
 export async function indexSynapseBridgeEvents(fromBlock, toBlock, options = {}) {
   const { verbose = false } = options;
   const provider = await getProvider();
   
   const results = [];
   
-  const eventTopics = Object.values(SYNAPSE_EVENTS);
-  
   try {
-    const filter = {
-      address: SYNAPSE_BRIDGE,
-      topics: [eventTopics],
-      fromBlock,
-      toBlock
-    };
-    
-    const logs = await provider.getLogs(filter);
+    const logs = await bridgeIndexer.getLogs(fromBlock, toBlock);
     
     if (verbose && logs.length > 0) {
       console.log(`[SynapseIndex] Found ${logs.length} bridge events in blocks ${fromBlock}-${toBlock}`);
     }
     
     for (const log of logs) {
-      const event = await parseSynapseEvent(log, provider);
+      const event = decodeSynapseLog(log);
       if (event) {
+        const block = await provider.getBlock(log.blockNumber);
+        event.blockTimestamp = new Date(block.timestamp * 1000);
         results.push(event);
       }
     }
@@ -223,6 +257,7 @@ export async function indexTokenTransfers(fromBlock, toBlock, options = {}) {
             dstChainId: direction === 'in' ? DFK_CHAIN_ID : 0,
             txHash: log.transactionHash,
             blockNumber: log.blockNumber,
+            blockHash: block.hash || log.blockHash,
             blockTimestamp: new Date(block.timestamp * 1000),
           });
         } catch (err) {
@@ -244,6 +279,8 @@ export async function indexTokenTransfers(fromBlock, toBlock, options = {}) {
 export async function saveBridgeEvents(events) {
   if (!events.length) return { inserted: 0, skipped: 0 };
   
+  await ensureReorgTables();
+
   let inserted = 0;
   let skipped = 0;
 
@@ -261,6 +298,7 @@ export async function saveBridgeEvents(events) {
         dstChainId: event.dstChainId,
         txHash: event.txHash,
         blockNumber: Number(event.blockNumber),
+        blockHash: event.blockHash || null,
         blockTimestamp: event.blockTimestamp,
       }).onConflictDoNothing();
       inserted++;
@@ -316,20 +354,21 @@ export async function runFullIndex(options = {}) {
     const batchEnd = Math.min(block + batchSize - 1, to);
     
     try {
-      let events;
+      let found, inserted;
       if (useSynapseEvents) {
-        events = await indexSynapseBridgeEvents(block, batchEnd, { verbose });
+        const { eventsFound } = await bridgeIndexer.indexRange(block, batchEnd);
+        found = inserted = eventsFound;
       } else {
-        events = await indexTokenTransfers(block, batchEnd, { verbose });
+        const events = await indexTokenTransfers(block, batchEnd, { verbose });
+        found = events.length;
+        ({ inserted } = await saveBridgeEvents(events));
       }
       
-      const { inserted, skipped } = await saveBridgeEvents(events);
-      
-      totalEvents += events.length;
+      totalEvents += found;
       totalInserted += inserted;
       
-      if (verbose || events.length > 0) {
-        console.log(`[BridgeIndexer] Blocks ${block}-${batchEnd}: ${events.length} events, ${inserted} inserted`);
+      if (verbose || found > 0) {
+        console.log(`[BridgeIndexer] Blocks ${block}-${batchEnd}: ${found} events, ${inserted} inserted`);
       }
     } catch (err) {
       console.error(`[BridgeIndexer] Error in batch ${block}-${batchEnd}:`, err.message);
@@ -441,6 +480,7 @@ export async function indexWallet(wallet, options = {}) {
             dstChainId: direction === 'in' ? DFK_CHAIN_ID : 0,
             txHash: log.transactionHash,
             blockNumber: log.blockNumber,
+            blockHash: block.hash || log.blockHash,
             blockTimestamp: new Date(block.timestamp * 1000),
           });
           
@@ -568,10 +608,15 @@ export async function runWorkerBatch(options = {}) {
   const startTime = Date.now();
 
   try {
-    let progress = await initIndexerProgress(indexerName);
-    const provider = await getProvider();
-    const latestBlock = await provider.getBlockNumber();
+    await initIndexerProgress(indexerName);
+    const latestBlock = await bridgeIndexer.getLatestBlock();
+
+    // Only the open-ended worker follows the head, so only it can see a reorg
+    if (!rangeEnd) {
+      await bridgeIndexer.guardReorg(latestBlock);
+    }
 
+    const progress = await getIndexerProgress(indexerName);
     const startBlock = progress.lastIndexedBlock;
     const targetEnd = rangeEnd || latestBlock;
     const endBlock = Math.min(startBlock + batchSize, targetEnd);
@@ -593,22 +638,10 @@ export async function runWorkerBatch(options = {}) {
 
     console.log(`[WorkerBatch] Indexing blocks ${startBlock} to ${endBlock} (${endBlock - startBlock} blocks)`);
 
-    let totalEvents = 0;
-    let totalInserted = 0;
-
-    // Index in smaller sub-batches for RPC limits
-    for (let subBlock = startBlock; subBlock < endBlock; subBlock += BLOCKS_PER_QUERY) {
-      const subEnd = Math.min(subBlock + BLOCKS_PER_QUERY - 1, endBlock);
-      
-      const events = await indexSynapseBridgeEvents(subBlock, subEnd, { verbose: false });
-      const { inserted } = await saveBridgeEvents(events);
-      
-      totalEvents += events.length;
-      totalInserted += inserted;
-
-      // Small delay to avoid RPC rate limits
-      await new Promise(r => setTimeout(r, 50));
-    }
+    // Chunked getLogs, retries and rate-limit delay come from the runtime
+    const { eventsFound } = await bridgeIndexer.indexRange(startBlock, endBlock, { workerId });
+    const totalEvents = eventsFound;
+    const totalInserted = eventsFound;
 
     const runtimeMs = Date.now() - startTime;
     const eventsNeedingPrices = await getEventsNeedingPrices();
@@ -716,11 +749,12 @@ export async function runIncrementalBatch(options = {}) {
   const startTime = Date.now();
 
   try {
-    // Initialize or get existing progress
-    let progress = await initIndexerProgress(indexerName);
-    const provider = await getProvider();
-    const latestBlock = await provider.getBlockNumber();
+    // Initialize or get existing progress, rewound first if the chain reorged
+    await initIndexerProgress(indexerName);
+    const latestBlock = await bridgeIndexer.getLatestBlock();
+    await bridgeIndexer.guardReorg(latestBlock);
 
+    const progress = await getIndexerProgress(indexerName);
     const startBlock = progress.lastIndexedBlock;
     const endBlock = Math.min(startBlock + batchSize, latestBlock);
 
@@ -752,29 +786,16 @@ export async function runIncrementalBatch(options = {}) {
       startTime,
     };
 
-    let totalEvents = 0;
-    let totalInserted = 0;
-
-    // Index in smaller sub-batches for RPC limits
-    for (let subBlock = startBlock; subBlock < endBlock; subBlock += BLOCKS_PER_QUERY) {
-      const subEnd = Math.min(subBlock + BLOCKS_PER_QUERY - 1, endBlock);
-      
-      // Update live progress
-      currentBatchProgress.currentBlock = subEnd;
-      
-      const events = await indexSynapseBridgeEvents(subBlock, subEnd, { verbose: false });
-      const { inserted } = await saveBridgeEvents(events);
-      
-      totalEvents += events.length;
-      totalInserted += inserted;
-      
-      // Update live progress with event counts
-      currentBatchProgress.eventsFound = totalEvents;
-      currentBatchProgress.eventsInserted = totalInserted;
-
-      // Small delay to avoid RPC rate limits
-      await new Promise(r => setTimeout(r, 50));
-    }
+    const { eventsFound } = await bridgeIndexer.indexRange(startBlock, endBlock, {
+      onChunk: async (chunkTo, stats) => {
+        // Update live progress with event counts
+        currentBatchProgress.currentBlock = chunkTo;
+        currentBatchProgress.eventsFound = stats.eventsFound;
+        currentBatchProgress.eventsInserted = stats.eventsFound;
+      },
+    });
+    const totalEvents = eventsFound;
+    const totalInserted = eventsFound;
     
     // Clear live progress when done
     resetBatchProgress();
@@ -864,10 +885,11 @@ export async function runHistoricalSync(options = {}) {
   historicalSyncAbort = false;
 
   try {
-    // Initialize or get existing progress
-    let progress = await initIndexerProgress(indexerName);
-    const provider = await getProvider();
-    const latestBlock = await provider.getBlockNumber();
+    // Initialize or get existing progress, rewound first if the chain reorged
+    await initIndexerProgress(indexerName);
+    const latestBlock = await bridgeIndexer.getLatestBlock();
+    await bridgeIndexer.guardReorg(latestBlock);
+    const progress = await getIndexerProgress(indexerName);
 
     // Update status to running
     await updateIndexerProgress(indexerName, {
@@ -887,22 +909,9 @@ export async function runHistoricalSync(options = {}) {
       const batchEnd = Math.min(currentBlock + batchSize, latestBlock);
 
       try {
-        // Index in smaller sub-batches for RPC limits
-        let batchEvents = 0;
-        let batchInserted = 0;
-
-        for (let subBlock = currentBlock; subBlock < batchEnd; subBlock += BLOCKS_PER_QUERY) {
-          const subEnd = Math.min(subBlock + BLOCKS_PER_QUERY - 1, batchEnd);
-          
-          const events = await indexSynapseBridgeEvents(subBlock, subEnd, { verbose: false });
-          const { inserted } = await saveBridgeEvents(events);
-          
-          batchEvents += events.length;
-          batchInserted += inserted;
-
-          // Small delay to avoid RPC rate limits
-          await new Promise(r => setTimeout(r, 50));
-        }
+        const { eventsFound } = await bridgeIndexer.indexRange(currentBlock, batchEnd);
+        const batchEvents = eventsFound;
+        const batchInserted = eventsFound;
 
         totalEventsThisRun += batchEvents;
         totalInsertedThisRun += batchInserted;
@@ -966,8 +975,8 @@ let maintenanceInterval = null;
 export async function runMaintenanceSync(options = {}) {
   const { lookbackBlocks = 5000, verbose = false } = options;
   
-  const provider = await getProvider();
-  const latestBlock = await provider.getBlockNumber();
+  const latestBlock = await bridgeIndexer.getLatestBlock();
+  await bridgeIndexer.guardReorg(latestBlock);
   const startBlock = latestBlock - lookbackBlocks;
 
   console.log(`[MaintenanceSync] Scanning recent blocks ${startBlock}-${latestBlock}`);
@@ -975,24 +984,19 @@ export async function runMaintenanceSync(options = {}) {
   let totalEvents = 0;
   let totalInserted = 0;
 
-  for (let block = startBlock; block < latestBlock; block += BLOCKS_PER_QUERY) {
-    const batchEnd = Math.min(block + BLOCKS_PER_QUERY - 1, latestBlock);
-    
-    try {
-      const events = await indexSynapseBridgeEvents(block, batchEnd, { verbose: false });
-      const { inserted } = await saveBridgeEvents(events);
-      
-      totalEvents += events.length;
-      totalInserted += inserted;
-
-      if (verbose && events.length > 0) {
-        console.log(`[MaintenanceSync] Blocks ${block}-${batchEnd}: ${events.length} events, ${inserted} inserted`);
-      }
-    } catch (err) {
-      console.error(`[MaintenanceSync] Error at block ${block}:`, err.message);
-    }
+  try {
+    await bridgeIndexer.indexRange(startBlock, latestBlock, {
+      onChunk: async (chunkTo, { chunkEvents }) => {
+        totalEvents += chunkEvents;
+        totalInserted += chunkEvents;
 
-    await new Promise(r => setTimeout(r, 50));
+        if (verbose && chunkEvents > 0) {
+          console.log(`[MaintenanceSync] Blocks up to ${chunkTo}: ${chunkEvents} events`);
+        }
+      },
+    });
+  } catch (err) {
+    console.error(`[MaintenanceSync] Error after ${totalEvents} events:`, err.message);
   }
 
   if (totalInserted > 0) {
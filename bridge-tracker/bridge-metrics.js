@@ -5,8 +5,8 @@ import { getPriceAtTimestamp, fetchCurrentPrices } from './price-history.js';
 import { tokenAmountToUsd, addUsd, subtractUsd, parseUsdToNumber } from './bigint-utils.js';
 import Decimal from 'decimal.js';
 import { ethers } from 'ethers';
+import { getChainProvider } from '../src/services/rpcProviderRegistry.js';
 
-const DFK_RPC = 'https://subnets.avax.network/defi-kingdoms/dfk-chain/rpc';
 const PROFILES_CONTRACT = '0xC4cD8C09D1A90b21Be417be91A81603B03993E81';
 
 const PROFILES_ABI = [
@@ -26,7 +26,7 @@ const PROFILES_ABI = [
   }
 ];
 
-const provider = new ethers.JsonRpcProvider(DFK_RPC);
+const provider = getChainProvider('dfk');
 const profilesContract = new ethers.Contract(PROFILES_CONTRACT, PROFILES_ABI, provider);
 
 async function getSummonerNameFromContract(walletAddress) {
@@ -3,7 +3,6 @@ export const DFK_CHAIN_ID = 53935;
 export const BRIDGE_CONTRACTS = {
   dfkChain: {
     chainId: 53935,
-    rpcUrl: 'https://subnets.avax.network/defi-kingdoms/dfk-chain/rpc',
     synapseBridge: '0xE05c976d3f045D0E6E7A6f61083d98A15603cF6A',
     synapseRouter: '0x7E7A0e201FD38d3ADAA9523Da6C109a07118C96a',
     l1BridgeZap: '0x7E7A0e201FD38d3ADAA9523Da6C109a07118C96a',
@@ -1,4 +1,5 @@
 import { ethers } from 'ethers';
+import { getChainProvider } from '../src/services/rpcProviderRegistry.js';
 import { db } from '../server/db.js';
 import { bridgeEvents } from '../shared/schema.js';
 import { eq, and, sql } from 'drizzle-orm';
@@ -8,10 +9,6 @@ import {
   CHAIN_NAMES 
 } from './contracts.js';
 
-const DFK_RPC = 'https://subnets.avax.network/defi-kingdoms/dfk-chain/rpc';
-const METIS_RPC = 'https://andromeda.metis.io/?owner=1088';
-const KAIA_RPC = 'https://public-en.node.kaia.io';
-
 const HERO_BRIDGE_ABI = [
   'event HeroSent(uint256 indexed heroId, uint256 arrivalChainId)',
   'event HeroArrived(uint256 indexed heroId, uint256 arrivalChainId)',
@@ -35,9 +32,10 @@ const EQUIPMENT_TYPE_NAMES = {
 
 async function getProvider(chainId) {
   switch (chainId) {
-    case 53935: return new ethers.JsonRpcProvider(DFK_RPC);
-    case 1088: return new ethers.JsonRpcProvider(METIS_RPC);
-    case 8217: return new ethers.JsonRpcProvider(KAIA_RPC);
+    case 53935:
+    case 1088:
+    case 8217:
+      return getChainProvider(chainId);
     default: throw new Error(`Unknown chain ID: ${chainId}`);
   }
 }
@@ -11,6 +11,7 @@
  */
 
 import { ethers } from 'ethers';
+import { getChainProvider } from '../src/services/rpcProviderRegistry.js';
 import * as fs from 'fs';
 
 // ============================================================================
@@ -18,7 +19,6 @@ import * as fs from 'fs';
 // ============================================================================
 
 const DFK_CHAIN_ID = 53935;
-const RPC_URL = 'https://subnets.avax.network/defi-kingdoms/dfk-chain/rpc';
 const SYNAPSE_BRIDGE = '0xE05c976d3f045D0E6E7A6f61083d98A15603cF6A'.toLowerCase();
 
 const TOKEN_ADDRESSES = {
@@ -99,7 +99,7 @@ let blockCache = new Map();
 
 async function getProvider() {
   if (!provider) {
-    provider = new ethers.JsonRpcProvider(RPC_URL);
+    provider = getChainProvider('dfk');
   }
   return provider;
 }
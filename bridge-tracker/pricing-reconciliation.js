@@ -3,8 +3,7 @@ import { bridgeEvents, unpricedTokens, historicalPrices } from '../shared/schema
 import { eq, isNull, sql, and, inArray } from 'drizzle-orm';
 import { ethers } from 'ethers';
 import Decimal from 'decimal.js';
-
-const RPC_URL = 'https://subnets.avax.network/defi-kingdoms/dfk-chain/rpc';
+import { getChainProvider } from '../src/services/rpcProviderRegistry.js';
 
 const PAIR_ABI = [
   'function token0() view returns (address)',
@@ -102,7 +101,7 @@ export async function deriveDexPrices(verbose = true) {
   return { updated: 0, skipped };
 }
 
-async function getDexDerivedPrice(provider, tokenAddress, pairAddress) {
+async function getDexDerivedPrice(tokenAddress, pairAddress, provider = getChainProvider('dfk')) {
   try {
     const pair = new ethers.Contract(pairAddress, PAIR_ABI, provider);
     
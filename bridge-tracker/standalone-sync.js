@@ -24,9 +24,8 @@ import {
   MAIN_INDEXER_NAME,
   getWorkerIndexerName,
 } from './bridge-indexer.js';
-import { ethers } from 'ethers';
+import { getChainProvider } from '../src/services/rpcProviderRegistry.js';
 
-const RPC_URL = 'https://subnets.avax.network/defi-kingdoms/dfk-chain/rpc';
 const GENESIS_BLOCK = 0;
 
 // Parse CLI arguments
@@ -108,7 +107,7 @@ if (workerId !== null && (workerId < 1 || workerId > workersTotal)) {
 const isParallelMode = workerId !== null && workersTotal !== null;
 
 async function getLatestBlock() {
-  const provider = new ethers.JsonRpcProvider(RPC_URL);
+  const provider = getChainProvider('dfk');
   return provider.getBlockNumber();
 }
 
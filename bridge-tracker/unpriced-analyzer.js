@@ -3,8 +3,8 @@ import { bridgeEvents, unpricedTokens } from '../shared/schema.ts';
 import { eq, isNull, sql, and, desc } from 'drizzle-orm';
 import { getPriceAtTimestamp } from './price-history.js';
 import { ethers } from 'ethers';
+import { getChainProvider } from '../src/services/rpcProviderRegistry.js';
 
-const RPC_URL = 'https://subnets.avax.network/defi-kingdoms/dfk-chain/rpc';
 const UNISWAP_FACTORY = '0x794C07912474351b3134E6D6B3B7b3b4A07cbAAa';
 
 const FACTORY_ABI = [
@@ -25,7 +25,7 @@ const ERC20_ABI = [
 ];
 
 async function getProvider() {
-  return new ethers.JsonRpcProvider(RPC_URL);
+  return getChainProvider('dfk');
 }
 
 export async function analyzeUnpricedTokens(verbose = true) {
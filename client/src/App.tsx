@@ -34,6 +34,7 @@ import AdminYieldCalculator from "@/pages/admin/yield-calculator";
 import AdminBattleReady from "@/pages/admin/battle-ready";
 import AdminSummoningCalculator from "@/pages/admin/summoning-calculator";
 import AdminSummonSniper from "@/pages/admin/summon-sniper";
+import AdminSummonCalibration from "@/pages/admin/summon-calibration";
 import AdminTavernSniper from "@/pages/admin/tavern-sniper";
 import AdminHeroScore from "@/pages/admin/hero-score";
 import AdminPVPMatchup from "@/pages/admin/pvp-matchup";
@@ -46,6 +47,7 @@ import AdminTavernWalletActivity from "@/pages/admin/tavern-wallet-activity";
 import AdminMarketIntel from "@/pages/admin/market-intel";
 import AdminHeroPrice from "@/pages/admin/hero-price";
 import AdminProfitTracker from "@/pages/admin/profit-tracker";
+import AdminTreasury from "@/pages/admin/treasury";
 import AdminPVEDropRates from "@/pages/admin/pve-droprates";
 import AdminPVEHunts from "@/pages/admin/pve-hunts";
 import AdminHuntCompanion from "@/pages/admin/hunt-companion";
@@ -372,6 +374,14 @@ function Router() {
         )}
       </Route>
       
+      <Route path="/admin/summon-calibration">
+        {() => (
+          <ProtectedAdminPage>
+            <AdminSummonCalibration />
+          </ProtectedAdminPage>
+        )}
+      </Route>
+      
       <Route path="/admin/tavern-sniper">
         {() => (
           <ProtectedAdminPage>
@@ -524,6 +534,14 @@ function Router() {
         )}
       </Route>
       
+      <Route path="/admin/treasury">
+        {() => (
+          <ProtectedAdminPage>
+            <AdminTreasury />
+          </ProtectedAdminPage>
+        )}
+      </Route>
+      
       <Route path="/admin/combat-pets">
         {() => (
           <ProtectedAdminPage>
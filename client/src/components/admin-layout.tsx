@@ -9,6 +9,7 @@ import { Popover, PopoverContent, PopoverTrigger } from '@/components/ui/popover
 import {
   Users,
   Receipt,
+  Landmark,
   LayoutDashboard,
   LogOut,
   Settings,
@@ -30,6 +31,7 @@ import {
   Calculator,
   Dna,
   Target,
+  Gauge,
   Menu,
   X,
   Zap,
@@ -111,6 +113,7 @@ const combatItems: NavItem[] = [
 const summonItems: NavItem[] = [
   { href: '/admin/summoning-calculator', label: 'Summoning Calculator', icon: Dna },
   { href: '/admin/summon-sniper', label: 'Summon Sniper', icon: Target },
+  { href: '/admin/summon-calibration', label: 'Summon Calibration', icon: Gauge },
 ];
 
 // ─── Ecosystem ─────────────────────────────────────────────────────────────
@@ -118,6 +121,7 @@ const ecosystemItems: NavItem[] = [
   { href: '/admin/users', label: 'Users', icon: Users },
   { href: '/admin/value-allocation', label: 'Value Allocation', icon: PieChart },
   { href: '/admin/tokens', label: 'Token Registry', icon: Coins },
+  { href: '/admin/treasury', label: 'Treasury', icon: Landmark },
   { href: '/admin/bridge', label: 'Bridge', icon: ArrowLeftRight },
   { href: '/admin/extractors', label: 'Extractors', icon: TrendingDown },
   { href: '/admin/user-access', label: 'User Access', icon: UserCog },
@@ -0,0 +1,46 @@
+import { apiRequest } from "./queryClient";
+
+export interface StreamEvent {
+  event: string;
+  data: any;
+}
+
+/**
+ * POST to a Server-Sent Events endpoint and call onEvent for each event as it arrives.
+ * (EventSource only supports GET, so the stream is read from fetch directly.)
+ */
+export async function postEventStream(
+  url: string,
+  body: unknown,
+  onEvent: (event: StreamEvent) => void,
+): Promise<void> {
+  const res = await apiRequest("POST", url, body);
+  if (!res.body) throw new Error("Streaming is not supported by this browser");
+
+  const reader = res.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = "";
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+
+    let boundary = buffer.indexOf("\n\n");
+    while (boundary !== -1) {
+      const raw = buffer.slice(0, boundary);
+      buffer = buffer.slice(boundary + 2);
+      boundary = buffer.indexOf("\n\n");
+
+      let event = "message";
+      const dataLines: string[] = [];
+      for (const line of raw.split("\n")) {
+        if (line.startsWith("event:")) event = line.slice(6).trim();
+        else if (line.startsWith("data:")) dataLines.push(line.slice(5).trimStart());
+      }
+      if (dataLines.length > 0) {
+        onEvent({ event, data: JSON.parse(dataLines.join("\n")) });
+      }
+    }
+  }
+}
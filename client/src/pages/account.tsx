@@ -1,12 +1,16 @@
-import { useQuery } from "@tanstack/react-query";
+import { useMutation, useQuery } from "@tanstack/react-query";
 import { useEffect, useState } from "react";
 import { useSearch } from "wouter";
 import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
 import { Badge } from "@/components/ui/badge";
 import { Skeleton } from "@/components/ui/skeleton";
-import { Copy, Wallet, Users, TrendingUp, Coins, Leaf } from "lucide-react";
+import { Copy, Wallet, Users, TrendingUp, Coins, Leaf, PiggyBank } from "lucide-react";
 import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Switch } from "@/components/ui/switch";
 import { useToast } from "@/hooks/use-toast";
+import { apiRequest, queryClient } from "@/lib/queryClient";
 
 interface LPPosition {
   pid: number;
@@ -67,6 +71,156 @@ interface UserAccountData {
   } | null;
 }
 
+interface SpendSettings {
+  dailySpendCapJewel: string | null;
+  weeklySpendCapJewel: string | null;
+  confirmAboveJewel: string | null;
+  lowBalanceAlertJewel: string | null;
+  monthlyStatement: boolean;
+  spentTodayJewel: string;
+  spentThisWeekJewel: string;
+  balanceJewel: string;
+}
+
+type SpendAmountField = "dailySpendCapJewel" | "weeklySpendCapJewel" | "confirmAboveJewel" | "lowBalanceAlertJewel";
+
+const spendAmountFields: { key: SpendAmountField; label: string; hint: string }[] = [
+  { key: "dailySpendCapJewel", label: "Daily spend cap", hint: "Paid queries stop for the day (UTC) once reached" },
+  { key: "weeklySpendCapJewel", label: "Weekly spend cap", hint: "Resets Monday 00:00 UTC" },
+  { key: "confirmAboveJewel", label: "Confirm queries above", hint: "Ask before running a query that costs more" },
+  { key: "lowBalanceAlertJewel", label: "Low-balance alert", hint: "DM when your balance drops below this" },
+];
+
+const formatJewelSetting = (value: string | null) => (value == null ? "" : String(parseFloat(value)));
+
+function SpendSettingsCard({ discordId }: { discordId: string }) {
+  const { toast } = useToast();
+  const [form, setForm] = useState<Record<SpendAmountField, string>>({
+    dailySpendCapJewel: "",
+    weeklySpendCapJewel: "",
+    confirmAboveJewel: "",
+    lowBalanceAlertJewel: "",
+  });
+  const [monthlyStatement, setMonthlyStatement] = useState(true);
+
+  const { data: settings, isLoading } = useQuery<SpendSettings>({
+    queryKey: ["/api/user/settings", discordId],
+    queryFn: async () => {
+      const response = await fetch(`/api/user/settings/${discordId}`, { credentials: "include" });
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      const data = await response.json();
+      return data.userSettings;
+    },
+    retry: 1,
+  });
+
+  useEffect(() => {
+    if (!settings) return;
+    setForm({
+      dailySpendCapJewel: formatJewelSetting(settings.dailySpendCapJewel),
+      weeklySpendCapJewel: formatJewelSetting(settings.weeklySpendCapJewel),
+      confirmAboveJewel: formatJewelSetting(settings.confirmAboveJewel),
+      lowBalanceAlertJewel: formatJewelSetting(settings.lowBalanceAlertJewel),
+    });
+    setMonthlyStatement(settings.monthlyStatement);
+  }, [settings]);
+
+  const saveMutation = useMutation({
+    mutationFn: async () => {
+      // Empty fields turn the limit off
+      const body = Object.fromEntries(
+        spendAmountFields.map(({ key }) => [key, form[key].trim() === "" ? null : form[key].trim()])
+      );
+      return apiRequest("PATCH", `/api/user/settings/${discordId}`, { ...body, monthlyStatement });
+    },
+    onSuccess: () => {
+      toast({ title: "Spending settings saved" });
+      queryClient.invalidateQueries({ queryKey: ["/api/user/settings", discordId] });
+    },
+    onError: (error: Error) => {
+      toast({ title: "Error", description: error.message || "Failed to save settings", variant: "destructive" });
+    },
+  });
+
+  const capProgress = (spent: string, cap: string | null) =>
+    cap == null ? `${parseFloat(spent).toFixed(2)} JEWEL` : `${parseFloat(spent).toFixed(2)} / ${parseFloat(cap).toFixed(2)} JEWEL`;
+
+  return (
+    <Card data-testid="card-spend-settings">
+      <CardHeader className="pb-2">
+        <CardTitle className="text-lg flex items-center gap-2">
+          <PiggyBank className="h-5 w-5" />
+          Spending & Alerts
+        </CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-4 text-sm">
+        {isLoading || !settings ? (
+          <Skeleton className="h-32 w-full" />
+        ) : (
+          <>
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-2">
+              <div>
+                <span className="text-muted-foreground">Balance</span>
+                <div className="font-medium">{parseFloat(settings.balanceJewel).toFixed(2)} JEWEL</div>
+              </div>
+              <div>
+                <span className="text-muted-foreground">Spent today</span>
+                <div className="font-medium" data-testid="text-spent-today">
+                  {capProgress(settings.spentTodayJewel, settings.dailySpendCapJewel)}
+                </div>
+              </div>
+              <div>
+                <span className="text-muted-foreground">Spent this week</span>
+                <div className="font-medium" data-testid="text-spent-week">
+                  {capProgress(settings.spentThisWeekJewel, settings.weeklySpendCapJewel)}
+                </div>
+              </div>
+            </div>
+
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              {spendAmountFields.map(({ key, label, hint }) => (
+                <div key={key} className="space-y-1">
+                  <Label htmlFor={`spend-${key}`}>{label} (JEWEL)</Label>
+                  <Input
+                    id={`spend-${key}`}
+                    type="number"
+                    min="0"
+                    step="any"
+                    placeholder="Off"
+                    value={form[key]}
+                    onChange={(e) => setForm((prev) => ({ ...prev, [key]: e.target.value }))}
+                    data-testid={`input-${key}`}
+                  />
+                  <p className="text-xs text-muted-foreground">{hint}</p>
+                </div>
+              ))}
+            </div>
+
+            <div className="flex items-center justify-between">
+              <div>
+                <Label htmlFor="spend-monthly-statement">Monthly statement DM</Label>
+                <p className="text-xs text-muted-foreground">Spend by query type, sent at the start of each month</p>
+              </div>
+              <Switch
+                id="spend-monthly-statement"
+                checked={monthlyStatement}
+                onCheckedChange={setMonthlyStatement}
+                data-testid="switch-monthly-statement"
+              />
+            </div>
+
+            <div className="flex justify-end">
+              <Button onClick={() => saveMutation.mutate()} disabled={saveMutation.isPending} data-testid="button-save-spend-settings">
+                {saveMutation.isPending ? "Saving..." : "Save"}
+              </Button>
+            </div>
+          </>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
+
 const tierNames: Record<number, string> = {
   0: "Guest",
   1: "Bronze",
@@ -359,6 +513,8 @@ export default function AccountPage() {
           </Card>
         </div>
 
+        <SpendSettingsCard discordId={user.discordId} />
+
         <Card data-testid="card-lp-positions" className="mt-4">
           <CardHeader className="pb-2 flex flex-col gap-2 md:flex-row md:items-center md:justify-between">
             <CardTitle className="text-lg flex items-center gap-2">
@@ -5,7 +5,7 @@ import { Button } from "@/components/ui/button";
 import { Textarea } from "@/components/ui/textarea";
 import { Badge } from "@/components/ui/badge";
 import { Bot, Send, Loader2, User, Trash2, Sparkles, Swords, Wallet, Radio } from "lucide-react";
-import { apiRequest } from "@/lib/queryClient";
+import { postEventStream } from "@/lib/eventStream";
 
 interface Message {
   role: "user" | "assistant";
@@ -58,31 +58,40 @@ export default function AIConsultant() {
     scrollToBottom();
   }, [messages]);
 
+  // The reply being streamed is always the last message
+  const updateReply = (patch: Partial<Message>) => {
+    setMessages((prev) => {
+      const next = [...prev];
+      next[next.length - 1] = { ...next[next.length - 1], ...patch };
+      return next;
+    });
+  };
+
   const chatMutation = useMutation({
     mutationFn: async (userMessage: string) => {
-      const response = await apiRequest("POST", "/api/admin/ai-consultant/chat", {
-        message: userMessage,
-        history: messages.slice(-10),
-      });
-      return response.json();
-    },
-    onSuccess: (data) => {
-      setMessages((prev) => [
-        ...prev,
-        {
-          role: "assistant",
-          content: data.response,
-          boutDetected: data.boutDetected,
-          liveDetected: data.liveDetected,
-          walletDetected: data.walletDetected,
+      const history = messages.slice(-10);
+      setMessages((prev) => [...prev, { role: "assistant", content: "" }]);
+
+      let content = "";
+      await postEventStream(
+        "/api/admin/ai-consultant/chat/stream",
+        { message: userMessage, history },
+        ({ event, data }) => {
+          if (event === "context") {
+            updateReply(data);
+          } else if (event === "delta") {
+            content += data.text;
+            updateReply({ content });
+          } else if (event === "done") {
+            updateReply({ content: data.response });
+          } else if (event === "error") {
+            throw new Error(data.error);
+          }
         },
-      ]);
+      );
     },
     onError: (error) => {
-      setMessages((prev) => [
-        ...prev,
-        { role: "assistant", content: `Error: ${error.message}. Please try again.` },
-      ]);
+      updateReply({ content: `Error: ${error.message}. Please try again.` });
     },
   });
 
@@ -174,7 +183,7 @@ export default function AIConsultant() {
             </div>
           ) : (
             <>
-              {messages.map((msg, idx) => (
+              {messages.map((msg, idx) => msg.role === "assistant" && !msg.content ? null : (
                 <div
                   key={idx}
                   className={`flex gap-3 ${msg.role === "user" ? "justify-end" : "justify-start"}`}
@@ -225,7 +234,7 @@ export default function AIConsultant() {
                   )}
                 </div>
               ))}
-              {chatMutation.isPending && (
+              {chatMutation.isPending && !messages[messages.length - 1]?.content && (
                 <div className="flex gap-3 justify-start">
                   <div className="h-8 w-8 rounded-full bg-primary/10 flex items-center justify-center flex-shrink-0">
                     <Bot className="h-4 w-4 text-primary" />
@@ -98,7 +98,15 @@ interface SniperPair {
   exaltedChance?: number;
   maxSlotElite?: number;
   maxSlotExalted?: number;
+  eliteGeneChance?: number;
+  exaltedGeneChance?: number;
   ts?: TSData;
+  value?: { expected: number; low: number; high: number; compCoverage: number } | null;
+  profit?: {
+    attempts: number;
+    perSummon: { expected: number; low: number; high: number };
+    pair: { expected: number; low: number; high: number };
+  } | null;
 }
 
 interface CacheResult {
@@ -122,7 +130,7 @@ interface CacheStatus {
   dark: { ready: { totalHeroes: number; totalPairsScored: number; computedAt: string } | null };
 }
 
-type SortOption = "efficiency" | "tsPerToken" | "lowestCost" | "eliteChance" | "exaltedChance" | "maxSlotExalted" | "expectedTS";
+type SortOption = "efficiency" | "tsPerToken" | "lowestCost" | "eliteChance" | "exaltedChance" | "maxSlotExalted" | "eliteGeneChance" | "exaltedGeneChance" | "expectedTS" | "profit";
 
 export default function DarkBargainHunter() {
   const [realmFilter, setRealmFilter] = useState<string>("all");
@@ -261,8 +269,14 @@ export default function DarkBargainHunter() {
           return (b.exaltedChance || 0) - (a.exaltedChance || 0);
         case "maxSlotExalted":
           return (b.maxSlotExalted || 0) - (a.maxSlotExalted || 0);
+        case "eliteGeneChance":
+          return (b.eliteGeneChance || 0) - (a.eliteGeneChance || 0);
+        case "exaltedGeneChance":
+          return (b.exaltedGeneChance || 0) - (a.exaltedGeneChance || 0);
         case "expectedTS":
           return (b.ts?.expected || 0) - (a.ts?.expected || 0);
+        case "profit":
+          return (b.profit?.pair.expected ?? -Infinity) - (a.profit?.pair.expected ?? -Infinity);
         case "efficiency":
         default:
           return (b.efficiency || 0) - (a.efficiency || 0);
@@ -544,6 +558,9 @@ export default function DarkBargainHunter() {
                     <SelectItem value="eliteChance">Elite Chance</SelectItem>
                     <SelectItem value="exaltedChance">Exalted Chance</SelectItem>
                     <SelectItem value="maxSlotExalted">Best Slot Exalted</SelectItem>
+                    <SelectItem value="eliteGeneChance">Elite Gene Carrier</SelectItem>
+                    <SelectItem value="exaltedGeneChance">Exalted Gene Carrier</SelectItem>
+                    <SelectItem value="profit">Expected Profit</SelectItem>
                   </SelectContent>
                 </Select>
               </div>
@@ -645,6 +662,16 @@ export default function DarkBargainHunter() {
                         <Badge variant="secondary">
                           Expected TS: {(pair.ts?.expected || 0).toFixed(2)}
                         </Badge>
+                        {pair.value && pair.profit && (
+                          <Badge
+                            variant="outline"
+                            className={pair.profit.pair.expected >= 0 ? "bg-green-500/10 text-green-600 border-green-500/30" : "bg-red-500/10 text-red-600 border-red-500/30"}
+                            title={`Child resale ${pair.value.expected.toFixed(2)} (95% CI ${pair.value.low.toFixed(2)}–${pair.value.high.toFixed(2)}) over ${pair.profit.attempts} summon(s); profit CI ${pair.profit.pair.low.toFixed(2)}–${pair.profit.pair.high.toFixed(2)}`}
+                            data-testid={`badge-profit-${idx}`}
+                          >
+                            Profit: {pair.profit.pair.expected.toFixed(2)} {pair.hero1.token}
+                          </Badge>
+                        )}
                         {(pair.eliteChance || 0) > 0 && (
                           <Badge variant="outline" className="bg-amber-500/10 text-amber-600 border-amber-500/30">
                             Elite: {pair.eliteChance?.toFixed(1)}%
@@ -660,6 +687,16 @@ export default function DarkBargainHunter() {
                             Best Slot: {pair.maxSlotExalted?.toFixed(1)}%
                           </Badge>
                         )}
+                        {(pair.eliteGeneChance || 0) > 0 && (
+                          <Badge variant="outline" className="bg-amber-500/5 text-amber-500 border-amber-500/20" title="Chance the offspring carries an Elite skill gene in any slot, recessives included">
+                            Elite Gene: {pair.eliteGeneChance?.toFixed(1)}%
+                          </Badge>
+                        )}
+                        {(pair.exaltedGeneChance || 0) > 0 && (
+                          <Badge variant="outline" className="bg-purple-500/5 text-purple-500 border-purple-500/20" title="Chance the offspring carries an Exalted skill gene in any slot, recessives included">
+                            Exalted Gene: {pair.exaltedGeneChance?.toFixed(1)}%
+                          </Badge>
+                        )}
                         {(() => {
                           const mutation = hasMutationPotential(pair.hero1, pair.hero2);
                           if (mutation.class || mutation.subClass) {
@@ -1,4 +1,5 @@
 import { useQuery } from '@tanstack/react-query';
+import { Link } from 'wouter';
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
 import { Skeleton } from '@/components/ui/skeleton';
 import { Users, DollarSign, TrendingUp, Activity, Wallet } from 'lucide-react';
@@ -28,6 +29,13 @@ interface HedgeWallet {
     crystal: string;
     cjewel: string;
   };
+  treasury: {
+    days: number;
+    totalInflowJewel: string;
+    totalOutflowJewel: string;
+    netJewel: string;
+    outstandingJewel: string;
+  } | null;
 }
 
 export default function AdminDashboard() {
@@ -93,6 +101,16 @@ export default function AdminDashboard() {
               )}
             </div>
           </div>
+          {hedgeWallet?.treasury && (
+            <p className="text-sm text-muted-foreground mt-4" data-testid="text-hedge-treasury">
+              Last {hedgeWallet.treasury.days} days: {parseFloat(hedgeWallet.treasury.totalInflowJewel).toFixed(2)} JEWEL in,{' '}
+              {parseFloat(hedgeWallet.treasury.totalOutflowJewel).toFixed(2)} out
+              {parseFloat(hedgeWallet.treasury.outstandingJewel) > 0 &&
+                ` · ${parseFloat(hedgeWallet.treasury.outstandingJewel).toFixed(2)} JEWEL in unpaid payouts`}
+              {' · '}
+              <Link href="/admin/treasury" className="underline">Treasury</Link>
+            </p>
+          )}
         </CardContent>
       </Card>
 
@@ -54,6 +54,8 @@ import {
   Eye,
   Plus,
   CheckCircle,
+  CalendarClock,
+  PlayCircle,
 } from "lucide-react";
 import { useToast } from "@/hooks/use-toast";
 
@@ -77,6 +79,39 @@ interface Rule {
   updated_at: string;
 }
 
+interface SubscriptionPlan {
+  planId: string;
+  tierId: string;
+  displayName: string;
+  period: string;
+  durationDays: number;
+  priceJewel: string;
+  graceDays: number;
+  enabled: boolean;
+  sortOrder: number;
+}
+
+interface PlayerSubscription {
+  id: number;
+  playerId: number;
+  discordUsername: string | null;
+  planId: string;
+  tierId: string;
+  status: string;
+  autoRenew: boolean;
+  fundingSource: string;
+  currentPeriodEnd: string;
+  graceEndsAt: string | null;
+  renewalCount: number;
+}
+
+const SUBSCRIPTION_STATUS_VARIANT: Record<string, "default" | "secondary" | "destructive" | "outline"> = {
+  active: "default",
+  grace: "destructive",
+  expired: "secondary",
+  cancelled: "outline",
+};
+
 interface SkillField {
   name: string;
   type: string;
@@ -124,6 +159,7 @@ export default function HedgePlansAccess() {
     domain: "combat",
     resource: "skills",
     tier_id: "free",
+    player_id: "",
     sample: "{}",
   });
   const [previewResult, setPreviewResult] = useState<{
@@ -132,6 +168,9 @@ export default function HedgePlansAccess() {
     result: Record<string, unknown>;
   } | null>(null);
 
+  const [editingPlan, setEditingPlan] = useState<SubscriptionPlan | null>(null);
+  const [subscriptionStatus, setSubscriptionStatus] = useState("active");
+
   // Fetch tiers
   const { data: tiersData, isLoading: tiersLoading } = useQuery<{ ok: boolean; results: Tier[] }>({
     queryKey: ["/api/admin/hedge/entitlements/tiers"],
@@ -147,6 +186,71 @@ export default function HedgePlansAccess() {
     queryKey: ["/api/admin/hedge/schema/combat/skills"],
   });
 
+  // Fetch subscription plans and subscribers
+  const { data: plansData, isLoading: plansLoading } = useQuery<{ ok: boolean; results: SubscriptionPlan[] }>({
+    queryKey: ["/api/admin/subscriptions/plans"],
+  });
+
+  const { data: subscriptionsData, isLoading: subscriptionsLoading } = useQuery<{ ok: boolean; results: PlayerSubscription[] }>({
+    queryKey: ["/api/admin/subscriptions", subscriptionStatus],
+    queryFn: async () => {
+      const res = await apiRequest("GET", `/api/admin/subscriptions?status=${subscriptionStatus}`);
+      return res.json();
+    },
+  });
+
+  const updatePlanMutation = useMutation({
+    mutationFn: async (plan: SubscriptionPlan) => {
+      const res = await apiRequest("PATCH", `/api/admin/subscriptions/plans/${plan.planId}`, {
+        displayName: plan.displayName,
+        priceJewel: plan.priceJewel,
+        durationDays: plan.durationDays,
+        graceDays: plan.graceDays,
+        enabled: plan.enabled,
+      });
+      return res.json();
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ["/api/admin/subscriptions/plans"] });
+      setEditingPlan(null);
+      toast({ title: "Plan updated" });
+    },
+    onError: (error: Error) => {
+      toast({ title: "Failed to update plan", description: error.message, variant: "destructive" });
+    },
+  });
+
+  const cancelSubscriptionMutation = useMutation({
+    mutationFn: async (playerId: number) => {
+      const res = await apiRequest("POST", `/api/admin/subscriptions/${playerId}/cancel`);
+      return res.json();
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ["/api/admin/subscriptions"] });
+      toast({ title: "Auto-renew cancelled" });
+    },
+    onError: (error: Error) => {
+      toast({ title: "Failed to cancel", description: error.message, variant: "destructive" });
+    },
+  });
+
+  const runBillingMutation = useMutation({
+    mutationFn: async () => {
+      const res = await apiRequest("POST", "/api/admin/subscriptions/run-billing");
+      return res.json();
+    },
+    onSuccess: (data) => {
+      queryClient.invalidateQueries({ queryKey: ["/api/admin/subscriptions"] });
+      toast({
+        title: "Billing cycle complete",
+        description: `${data.renewed} renewed, ${data.enteredGrace} in grace, ${data.expired} expired, ${data.reminders} reminders`,
+      });
+    },
+    onError: (error: Error) => {
+      toast({ title: "Billing cycle failed", description: error.message, variant: "destructive" });
+    },
+  });
+
   // Tier update mutation
   const updateTierMutation = useMutation({
     mutationFn: async (data: { tierId: string; patch: Partial<Tier> }) => {
@@ -182,7 +286,7 @@ export default function HedgePlansAccess() {
 
   // Preview mutation
   const previewMutation = useMutation({
-    mutationFn: async (data: { domain: string; resource: string; tier_id: string; sample: unknown }) => {
+    mutationFn: async (data: { domain: string; resource: string; tier_id: string; player_id?: number; sample: unknown }) => {
       const res = await apiRequest("POST", "/api/admin/hedge/entitlements/preview", data);
       return res.json();
     },
@@ -230,6 +334,7 @@ export default function HedgePlansAccess() {
         domain: previewConfig.domain,
         resource: previewConfig.resource,
         tier_id: previewConfig.tier_id,
+        player_id: previewConfig.player_id ? Number(previewConfig.player_id) : undefined,
         sample: sampleObj,
       });
     } catch {
@@ -279,6 +384,9 @@ export default function HedgePlansAccess() {
           <TabsTrigger value="rules" data-testid="tab-rules">
             <Shield className="w-4 h-4 mr-2" /> Rules
           </TabsTrigger>
+          <TabsTrigger value="subscriptions" data-testid="tab-subscriptions">
+            <CalendarClock className="w-4 h-4 mr-2" /> Subscriptions
+          </TabsTrigger>
           <TabsTrigger value="schema" data-testid="tab-schema">
             <Key className="w-4 h-4 mr-2" /> Schema
           </TabsTrigger>
@@ -422,6 +530,164 @@ export default function HedgePlansAccess() {
           </Card>
         </TabsContent>
 
+        {/* Subscriptions Tab */}
+        <TabsContent value="subscriptions" className="space-y-4">
+          <Card>
+            <CardHeader>
+              <CardTitle>Plans</CardTitle>
+              <CardDescription>JEWEL-priced plans that grant a tier for a month or a season</CardDescription>
+            </CardHeader>
+            <CardContent>
+              {plansLoading ? (
+                <div className="space-y-2">
+                  {[1, 2, 3].map((i) => (
+                    <Skeleton key={i} className="h-12 w-full" />
+                  ))}
+                </div>
+              ) : (
+                <Table>
+                  <TableHeader>
+                    <TableRow>
+                      <TableHead>Plan</TableHead>
+                      <TableHead>Tier</TableHead>
+                      <TableHead>Period</TableHead>
+                      <TableHead>Price</TableHead>
+                      <TableHead>Grace</TableHead>
+                      <TableHead>Status</TableHead>
+                      <TableHead>Actions</TableHead>
+                    </TableRow>
+                  </TableHeader>
+                  <TableBody>
+                    {plansData?.results?.map((plan) => (
+                      <TableRow key={plan.planId} data-testid={`row-plan-${plan.planId}`}>
+                        <TableCell>{plan.displayName}</TableCell>
+                        <TableCell className="flex items-center gap-2">
+                          <TierIcon tierId={plan.tierId} />
+                          <span className="text-sm">{plan.tierId}</span>
+                        </TableCell>
+                        <TableCell>
+                          {plan.period === "seasonal" ? "Season" : `${plan.durationDays} days`}
+                        </TableCell>
+                        <TableCell>{Number(plan.priceJewel).toFixed(2)} JEWEL</TableCell>
+                        <TableCell>{plan.graceDays}d</TableCell>
+                        <TableCell>
+                          <Badge variant={plan.enabled ? "default" : "secondary"}>
+                            {plan.enabled ? "Active" : "Disabled"}
+                          </Badge>
+                        </TableCell>
+                        <TableCell>
+                          <Button
+                            variant="ghost"
+                            size="sm"
+                            onClick={() => setEditingPlan({ ...plan })}
+                            data-testid={`button-edit-plan-${plan.planId}`}
+                          >
+                            <Edit className="w-4 h-4" />
+                          </Button>
+                        </TableCell>
+                      </TableRow>
+                    ))}
+                  </TableBody>
+                </Table>
+              )}
+            </CardContent>
+          </Card>
+
+          <Card>
+            <CardHeader className="flex flex-row items-center justify-between gap-2">
+              <div>
+                <CardTitle>Subscribers</CardTitle>
+                <CardDescription>Renewals run hourly; unpaid plans enter grace, then drop to free</CardDescription>
+              </div>
+              <div className="flex items-center gap-2">
+                <Select value={subscriptionStatus} onValueChange={setSubscriptionStatus}>
+                  <SelectTrigger className="w-[140px]" data-testid="select-subscription-status">
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    <SelectItem value="active">Active</SelectItem>
+                    <SelectItem value="grace">Grace</SelectItem>
+                    <SelectItem value="expired">Expired</SelectItem>
+                    <SelectItem value="cancelled">Cancelled</SelectItem>
+                  </SelectContent>
+                </Select>
+                <Button
+                  variant="outline"
+                  onClick={() => runBillingMutation.mutate()}
+                  disabled={runBillingMutation.isPending}
+                  data-testid="button-run-billing"
+                >
+                  {runBillingMutation.isPending ? (
+                    <Loader2 className="w-4 h-4 mr-2 animate-spin" />
+                  ) : (
+                    <PlayCircle className="w-4 h-4 mr-2" />
+                  )}
+                  Run Billing
+                </Button>
+              </div>
+            </CardHeader>
+            <CardContent>
+              {subscriptionsLoading ? (
+                <div className="space-y-2">
+                  {[1, 2, 3].map((i) => (
+                    <Skeleton key={i} className="h-12 w-full" />
+                  ))}
+                </div>
+              ) : subscriptionsData?.results?.length ? (
+                <Table>
+                  <TableHeader>
+                    <TableRow>
+                      <TableHead>Player</TableHead>
+                      <TableHead>Plan</TableHead>
+                      <TableHead>Status</TableHead>
+                      <TableHead>Auto-renew</TableHead>
+                      <TableHead>Funding</TableHead>
+                      <TableHead>Period Ends</TableHead>
+                      <TableHead>Renewals</TableHead>
+                      <TableHead>Actions</TableHead>
+                    </TableRow>
+                  </TableHeader>
+                  <TableBody>
+                    {subscriptionsData.results.map((sub) => (
+                      <TableRow key={sub.id} data-testid={`row-subscription-${sub.id}`}>
+                        <TableCell>{sub.discordUsername || `#${sub.playerId}`}</TableCell>
+                        <TableCell className="flex items-center gap-2">
+                          <TierIcon tierId={sub.tierId} />
+                          <span className="text-sm">{sub.planId}</span>
+                        </TableCell>
+                        <TableCell>
+                          <Badge variant={SUBSCRIPTION_STATUS_VARIANT[sub.status] || "outline"}>{sub.status}</Badge>
+                        </TableCell>
+                        <TableCell>{sub.autoRenew ? "On" : "Off"}</TableCell>
+                        <TableCell className="text-sm">{sub.fundingSource}</TableCell>
+                        <TableCell className="text-sm">
+                          {formatDate(sub.status === "grace" ? sub.graceEndsAt : sub.currentPeriodEnd)}
+                        </TableCell>
+                        <TableCell>{sub.renewalCount}</TableCell>
+                        <TableCell>
+                          {(sub.status === "active" || sub.status === "grace") && sub.autoRenew && (
+                            <Button
+                              variant="ghost"
+                              size="sm"
+                              onClick={() => cancelSubscriptionMutation.mutate(sub.playerId)}
+                              disabled={cancelSubscriptionMutation.isPending}
+                              data-testid={`button-cancel-subscription-${sub.id}`}
+                            >
+                              Cancel renewal
+                            </Button>
+                          )}
+                        </TableCell>
+                      </TableRow>
+                    ))}
+                  </TableBody>
+                </Table>
+              ) : (
+                <p className="text-muted-foreground">No {subscriptionStatus} subscriptions</p>
+              )}
+            </CardContent>
+          </Card>
+        </TabsContent>
+
         {/* Schema Tab */}
         <TabsContent value="schema">
           <Card>
@@ -537,6 +803,86 @@ export default function HedgePlansAccess() {
         </DialogContent>
       </Dialog>
 
+      {/* Edit Plan Dialog */}
+      <Dialog open={!!editingPlan} onOpenChange={(open) => !open && setEditingPlan(null)}>
+        <DialogContent>
+          <DialogHeader>
+            <DialogTitle>Edit Plan: {editingPlan?.planId}</DialogTitle>
+            <DialogDescription>Price changes apply from each subscriber's next renewal</DialogDescription>
+          </DialogHeader>
+
+          {editingPlan && (
+            <div className="space-y-4">
+              <div className="space-y-2">
+                <Label>Display Name</Label>
+                <Input
+                  value={editingPlan.displayName}
+                  onChange={(e) => setEditingPlan({ ...editingPlan, displayName: e.target.value })}
+                  data-testid="input-plan-display-name"
+                />
+              </div>
+
+              <div className="grid grid-cols-3 gap-4">
+                <div className="space-y-2">
+                  <Label>Price (JEWEL)</Label>
+                  <Input
+                    type="number"
+                    value={editingPlan.priceJewel}
+                    onChange={(e) => setEditingPlan({ ...editingPlan, priceJewel: e.target.value })}
+                    data-testid="input-plan-price"
+                  />
+                </div>
+                <div className="space-y-2">
+                  <Label>Duration (days)</Label>
+                  <Input
+                    type="number"
+                    value={editingPlan.durationDays}
+                    onChange={(e) => setEditingPlan({ ...editingPlan, durationDays: parseInt(e.target.value) || 0 })}
+                    data-testid="input-plan-duration"
+                  />
+                </div>
+                <div className="space-y-2">
+                  <Label>Grace (days)</Label>
+                  <Input
+                    type="number"
+                    value={editingPlan.graceDays}
+                    onChange={(e) => setEditingPlan({ ...editingPlan, graceDays: parseInt(e.target.value) || 0 })}
+                    data-testid="input-plan-grace"
+                  />
+                </div>
+              </div>
+
+              <div className="flex items-center gap-2">
+                <Switch
+                  checked={editingPlan.enabled}
+                  onCheckedChange={(checked) => setEditingPlan({ ...editingPlan, enabled: checked })}
+                  data-testid="switch-plan-enabled"
+                />
+                <Label>Available for new subscriptions and renewals</Label>
+              </div>
+            </div>
+          )}
+
+          <DialogFooter>
+            <Button variant="outline" onClick={() => setEditingPlan(null)}>
+              Cancel
+            </Button>
+            <Button
+              onClick={() => editingPlan && updatePlanMutation.mutate(editingPlan)}
+              disabled={updatePlanMutation.isPending}
+              data-testid="button-save-plan"
+            >
+              {updatePlanMutation.isPending ? (
+                <Loader2 className="w-4 h-4 mr-2 animate-spin" />
+              ) : (
+                <Save className="w-4 h-4 mr-2" />
+              )}
+              Save
+            </Button>
+          </DialogFooter>
+        </DialogContent>
+      </Dialog>
+
       {/* Edit Rule Dialog */}
       <Dialog open={ruleEditOpen} onOpenChange={setRuleEditOpen}>
         <DialogContent>
@@ -558,6 +904,7 @@ export default function HedgePlansAccess() {
                   </SelectTrigger>
                   <SelectContent>
                     <SelectItem value="combat">combat</SelectItem>
+                    <SelectItem value="agent">agent</SelectItem>
                   </SelectContent>
                 </Select>
               </div>
@@ -574,6 +921,7 @@ export default function HedgePlansAccess() {
                   <SelectContent>
                     <SelectItem value="skills">skills</SelectItem>
                     <SelectItem value="classes">classes</SelectItem>
+                    <SelectItem value="tools">tools</SelectItem>
                   </SelectContent>
                 </Select>
               </div>
@@ -668,6 +1016,7 @@ export default function HedgePlansAccess() {
                   </SelectTrigger>
                   <SelectContent>
                     <SelectItem value="combat">combat</SelectItem>
+                    <SelectItem value="agent">agent</SelectItem>
                   </SelectContent>
                 </Select>
               </div>
@@ -684,6 +1033,7 @@ export default function HedgePlansAccess() {
                   <SelectContent>
                     <SelectItem value="skills">skills</SelectItem>
                     <SelectItem value="classes">classes</SelectItem>
+                    <SelectItem value="tools">tools</SelectItem>
                   </SelectContent>
                 </Select>
               </div>
@@ -708,6 +1058,16 @@ export default function HedgePlansAccess() {
               </div>
             </div>
 
+            <div className="space-y-2">
+              <Label>Player ID (optional)</Label>
+              <Input
+                value={previewConfig.player_id}
+                onChange={(e) => setPreviewConfig({ ...previewConfig, player_id: e.target.value.replace(/\D/g, "") })}
+                placeholder="Preview the tier this player's subscription grants instead"
+                data-testid="input-preview-player"
+              />
+            </div>
+
             <div className="space-y-2">
               <Label>Sample Object (JSON)</Label>
               <Textarea
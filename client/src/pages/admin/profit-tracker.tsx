@@ -57,6 +57,30 @@ interface ConversionMetric {
   confidence_level: string;
 }
 
+interface MarginRow {
+  key: string;
+  queries: number;
+  unbilledCalls: number;
+  revenueUsd: string;
+  llmCostUsd: string;
+  unbilledLlmCostUsd: string;
+  overheadUsd: string;
+  costUsd: string;
+  profitUsd: string;
+  marginPct: string | null;
+  losing: boolean;
+}
+
+interface MarginAnalytics {
+  ok: boolean;
+  days: number;
+  totals: MarginRow;
+  byQueryType: MarginRow[];
+  byTier: MarginRow[];
+  byDay: MarginRow[];
+  losingQueryTypes: string[];
+}
+
 interface ROISummary {
   total_sessions: string;
   sold_count: string;
@@ -69,6 +93,7 @@ export default function ProfitTrackerPage() {
   const { toast } = useToast();
   const [selectedRealm, setSelectedRealm] = useState<string>("all");
   const [isNewSessionOpen, setIsNewSessionOpen] = useState(false);
+  const [marginDays, setMarginDays] = useState<string>("30");
   const [newSession, setNewSession] = useState({
     realm: 'cv',
     walletAddress: '',
@@ -102,6 +127,14 @@ export default function ProfitTrackerPage() {
     queryKey: ['/api/admin/profit-tracker/roi-summary']
   });
 
+  const marginQuery = useQuery<MarginAnalytics>({
+    queryKey: ['/api/admin/analytics/margin', marginDays],
+    queryFn: async () => {
+      const res = await fetch(`/api/admin/analytics/margin?days=${marginDays}`, { credentials: 'include' });
+      return res.json();
+    }
+  });
+
   const invalidateAllProfitTracker = () => {
     queryClient.invalidateQueries({ queryKey: ['/api/admin/profit-tracker/sessions'] });
     queryClient.invalidateQueries({ queryKey: ['/api/admin/profit-tracker/conversion-metrics'] });
@@ -154,6 +187,53 @@ export default function ProfitTrackerPage() {
     return `${(num * 100).toFixed(1)}%`;
   };
 
+  const margin = marginQuery.data?.ok ? marginQuery.data : null;
+
+  const formatUsd = (value: string | null | undefined) => {
+    const num = parseFloat(value || '0');
+    if (isNaN(num)) return '-';
+    return `${num < 0 ? '-' : ''}$${Math.abs(num).toFixed(num !== 0 && Math.abs(num) < 1 ? 4 : 2)}`;
+  };
+
+  const renderMarginTable = (rows: MarginRow[], keyLabel: string, testId: string) => (
+    <Table>
+      <TableHeader>
+        <TableRow>
+          <TableHead>{keyLabel}</TableHead>
+          <TableHead className="text-right">Queries</TableHead>
+          <TableHead className="text-right">Revenue</TableHead>
+          <TableHead className="text-right">LLM Cost</TableHead>
+          <TableHead className="text-right">Profit</TableHead>
+          <TableHead className="text-right">Margin</TableHead>
+        </TableRow>
+      </TableHeader>
+      <TableBody>
+        {rows.map((row) => (
+          <TableRow key={row.key} data-testid={`row-${testId}-${row.key}`}>
+            <TableCell className="font-medium">
+              <div className="flex items-center gap-2">
+                {row.key}
+                {row.losing && <Badge variant="destructive" className="text-xs">losing</Badge>}
+              </div>
+            </TableCell>
+            <TableCell className="text-right">
+              {row.queries}
+              {row.unbilledCalls > 0 && (
+                <div className="text-xs text-muted-foreground">+{row.unbilledCalls} unbilled calls</div>
+              )}
+            </TableCell>
+            <TableCell className="text-right">{formatUsd(row.revenueUsd)}</TableCell>
+            <TableCell className="text-right">{formatUsd(row.llmCostUsd)}</TableCell>
+            <TableCell className={`text-right font-medium ${row.losing ? 'text-red-600' : 'text-green-600'}`}>
+              {formatUsd(row.profitUsd)}
+            </TableCell>
+            <TableCell className="text-right">{row.marginPct !== null ? `${row.marginPct}%` : '-'}</TableCell>
+          </TableRow>
+        ))}
+      </TableBody>
+    </Table>
+  );
+
   const totalInvested = parseFloat(roi?.total_invested || '0');
   const totalProfit = parseFloat(roi?.total_profit || '0');
   const roiPercent = totalInvested > 0 ? ((totalProfit / totalInvested) * 100).toFixed(1) : '0';
@@ -482,6 +562,134 @@ export default function ProfitTrackerPage() {
           </CardContent>
         </Card>
       </div>
+
+      <div className="flex items-center justify-between gap-4 flex-wrap pt-4">
+        <div>
+          <h2 className="text-xl font-bold" data-testid="text-margin-title">Query Margin</h2>
+          <p className="text-muted-foreground">Revenue against real per-call LLM cost</p>
+        </div>
+        <Select value={marginDays} onValueChange={setMarginDays}>
+          <SelectTrigger className="w-[140px]" data-testid="select-margin-days">
+            <SelectValue />
+          </SelectTrigger>
+          <SelectContent>
+            <SelectItem value="7">Last 7 days</SelectItem>
+            <SelectItem value="30">Last 30 days</SelectItem>
+            <SelectItem value="90">Last 90 days</SelectItem>
+          </SelectContent>
+        </Select>
+      </div>
+
+      {marginQuery.isLoading ? (
+        <div className="flex items-center justify-center py-8">
+          <Loader2 className="h-6 w-6 animate-spin" />
+        </div>
+      ) : !margin ? (
+        <p className="text-center text-muted-foreground py-8">Margin analytics unavailable.</p>
+      ) : (
+        <>
+          <div className="grid gap-4 md:grid-cols-2 lg:grid-cols-4">
+            <Card>
+              <CardHeader className="flex flex-row items-center justify-between gap-2 space-y-0 pb-2">
+                <CardTitle className="text-sm font-medium">Query Revenue</CardTitle>
+                <DollarSign className="h-4 w-4 text-muted-foreground" />
+              </CardHeader>
+              <CardContent>
+                <div className="text-2xl font-bold" data-testid="text-margin-revenue">{formatUsd(margin.totals.revenueUsd)}</div>
+                <p className="text-xs text-muted-foreground">{margin.totals.queries} logged queries</p>
+              </CardContent>
+            </Card>
+            <Card>
+              <CardHeader className="flex flex-row items-center justify-between gap-2 space-y-0 pb-2">
+                <CardTitle className="text-sm font-medium">LLM Cost</CardTitle>
+                <TrendingDown className="h-4 w-4 text-muted-foreground" />
+              </CardHeader>
+              <CardContent>
+                <div className="text-2xl font-bold" data-testid="text-margin-llm-cost">{formatUsd(margin.totals.llmCostUsd)}</div>
+                <p className="text-xs text-muted-foreground">Unbilled: {formatUsd(margin.totals.unbilledLlmCostUsd)}</p>
+              </CardContent>
+            </Card>
+            <Card>
+              <CardHeader className="flex flex-row items-center justify-between gap-2 space-y-0 pb-2">
+                <CardTitle className="text-sm font-medium">Profit</CardTitle>
+                {margin.totals.losing ? (
+                  <TrendingDown className="h-4 w-4 text-red-500" />
+                ) : (
+                  <TrendingUp className="h-4 w-4 text-green-500" />
+                )}
+              </CardHeader>
+              <CardContent>
+                <div className={`text-2xl font-bold ${margin.totals.losing ? 'text-red-600' : 'text-green-600'}`} data-testid="text-margin-profit">
+                  {formatUsd(margin.totals.profitUsd)}
+                </div>
+                <p className="text-xs text-muted-foreground">Incl. {formatUsd(margin.totals.overheadUsd)} hosting</p>
+              </CardContent>
+            </Card>
+            <Card>
+              <CardHeader className="flex flex-row items-center justify-between gap-2 space-y-0 pb-2">
+                <CardTitle className="text-sm font-medium">Margin</CardTitle>
+                <Percent className="h-4 w-4 text-muted-foreground" />
+              </CardHeader>
+              <CardContent>
+                <div className="text-2xl font-bold" data-testid="text-margin-pct">
+                  {margin.totals.marginPct !== null ? `${margin.totals.marginPct}%` : '-'}
+                </div>
+                <p className="text-xs text-muted-foreground">Profit / revenue</p>
+              </CardContent>
+            </Card>
+          </div>
+
+          {margin.losingQueryTypes.length > 0 && (
+            <Card className="border-red-500/50" data-testid="card-losing-query-types">
+              <CardContent className="flex items-center gap-2 pt-6">
+                <AlertTriangle className="h-4 w-4 text-red-500" />
+                <span className="text-sm">
+                  Losing money: {margin.losingQueryTypes.map((type) => (
+                    <Badge key={type} variant="destructive" className="mr-1">{type}</Badge>
+                  ))}
+                </span>
+              </CardContent>
+            </Card>
+          )}
+
+          <Card>
+            <CardHeader>
+              <CardTitle>By Query Type</CardTitle>
+              <CardDescription>Unbilled calls are free chat, failed or timed-out queries and admin tools</CardDescription>
+            </CardHeader>
+            <CardContent>
+              {margin.byQueryType.length === 0 ? (
+                <p className="text-center text-muted-foreground py-8">No queries in this period.</p>
+              ) : renderMarginTable(margin.byQueryType, 'Query Type', 'margin-type')}
+            </CardContent>
+          </Card>
+
+          <div className="grid gap-6 lg:grid-cols-2">
+            <Card>
+              <CardHeader>
+                <CardTitle>By Tier</CardTitle>
+                <CardDescription>Player ledger tier when charged</CardDescription>
+              </CardHeader>
+              <CardContent>
+                {margin.byTier.length === 0 ? (
+                  <p className="text-center text-muted-foreground py-8">No queries in this period.</p>
+                ) : renderMarginTable(margin.byTier, 'Tier', 'margin-tier')}
+              </CardContent>
+            </Card>
+            <Card>
+              <CardHeader>
+                <CardTitle>By Day</CardTitle>
+                <CardDescription>UTC days</CardDescription>
+              </CardHeader>
+              <CardContent>
+                {margin.byDay.length === 0 ? (
+                  <p className="text-center text-muted-foreground py-8">No queries in this period.</p>
+                ) : renderMarginTable([...margin.byDay].reverse(), 'Day', 'margin-day')}
+              </CardContent>
+            </Card>
+          </div>
+        </>
+      )}
     </div>
   );
 }
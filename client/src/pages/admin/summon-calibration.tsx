@@ -0,0 +1,479 @@
+import { Fragment, useState } from 'react';
+import { useQuery, useMutation } from '@tanstack/react-query';
+import { apiRequest, queryClient } from '@/lib/queryClient';
+import { useToast } from '@/hooks/use-toast';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Badge } from '@/components/ui/badge';
+import { Skeleton } from '@/components/ui/skeleton';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '@/components/ui/table';
+import { ChevronDown, ChevronRight, Loader2, Pause, Play, RefreshCw } from 'lucide-react';
+
+interface IndexerStatus {
+  latestBlock: number | null;
+  isAutoRunning: boolean;
+  totals: {
+    totalEventsIndexed: number;
+    lowestIndexedBlock: number | null;
+    percentComplete: number | null;
+  };
+}
+
+interface CalibrationStatus {
+  ok: boolean;
+  indexer: IndexerStatus;
+  checks: number;
+  linkedSessions: number;
+  latestSummon: string | null;
+}
+
+interface CalibrationBin {
+  from: number;
+  to: number;
+  count: number;
+  predictedRate: number;
+  observedRate: number;
+  expectedHits: number;
+  observedHits: number;
+  z: number;
+}
+
+interface TraitCalibration {
+  trait: string;
+  samples: number;
+  brier: number;
+  logLoss: number;
+  impossible: number;
+  topConfidence: number;
+  topAccuracy: number;
+  maxAbsZ: number;
+  bins: CalibrationBin[];
+}
+
+interface TierSummary {
+  opportunities: number;
+  expected: number;
+  observed: number;
+  ratio: number | null;
+  z: number;
+}
+
+interface MutationTierCalibration extends TierSummary {
+  tier: string;
+  traits: (TierSummary & { trait: string })[];
+}
+
+interface CalibrationReport {
+  ok: boolean;
+  samples: number;
+  from: string | null;
+  to: string | null;
+  overall: CalibrationBin[];
+  byTrait: TraitCalibration[];
+  byMutationTier: MutationTierCalibration[];
+}
+
+interface RecentCheck {
+  id: number;
+  realm: string;
+  heroId: string;
+  owner: string;
+  parents: [string, string];
+  rarity: number;
+  generation: number;
+  sessionId: number | null;
+  txHash: string;
+  summonedAt: string;
+  outcomes: { trait: string; observed: string; predicted: number }[];
+}
+
+const TRAIT_LABELS: Record<string, string> = {
+  class: 'Class',
+  subClass: 'Sub Class',
+  profession: 'Profession',
+  active1: 'Active 1',
+  active2: 'Active 2',
+  passive1: 'Passive 1',
+  passive2: 'Passive 2',
+  statBoost1: 'Stat Boost 1',
+  statBoost2: 'Stat Boost 2',
+  element: 'Element',
+  rarity: 'Rarity',
+};
+
+const TIER_VARIANTS: Record<string, 'default' | 'secondary' | 'outline' | 'destructive'> = {
+  basic: 'outline',
+  advanced: 'secondary',
+  elite: 'default',
+  exalted: 'destructive',
+};
+
+function pct(value: number | null | undefined, digits = 1) {
+  return value == null ? '—' : `${(value * 100).toFixed(digits)}%`;
+}
+
+// |z| above 2 is unlikely under a calibrated engine; above 3 is a clear miss
+function zClass(z: number) {
+  const abs = Math.abs(z);
+  if (abs >= 3) return 'text-red-500 font-semibold';
+  if (abs >= 2) return 'text-amber-500';
+  return 'text-muted-foreground';
+}
+
+function traitLabel(trait: string) {
+  return TRAIT_LABELS[trait] || trait;
+}
+
+function BinsTable({ bins }: { bins: CalibrationBin[] }) {
+  return (
+    <Table>
+      <TableHeader>
+        <TableRow>
+          <TableHead>Predicted</TableHead>
+          <TableHead className="text-right">Forecasts</TableHead>
+          <TableHead className="text-right">Avg predicted</TableHead>
+          <TableHead className="text-right">Observed</TableHead>
+          <TableHead className="text-right">Expected / actual hits</TableHead>
+          <TableHead className="text-right">z</TableHead>
+        </TableRow>
+      </TableHeader>
+      <TableBody>
+        {bins.map(bin => (
+          <TableRow key={bin.from}>
+            <TableCell>{pct(bin.from, 0)} – {pct(bin.to, 0)}</TableCell>
+            <TableCell className="text-right font-mono">{bin.count}</TableCell>
+            <TableCell className="text-right font-mono">{pct(bin.predictedRate, 2)}</TableCell>
+            <TableCell className="text-right font-mono">{pct(bin.observedRate, 2)}</TableCell>
+            <TableCell className="text-right font-mono">{bin.expectedHits.toFixed(1)} / {bin.observedHits}</TableCell>
+            <TableCell className={`text-right font-mono ${zClass(bin.z)}`}>{bin.z.toFixed(2)}</TableCell>
+          </TableRow>
+        ))}
+      </TableBody>
+    </Table>
+  );
+}
+
+export default function AdminSummonCalibration() {
+  const { toast } = useToast();
+  const [days, setDays] = useState('30');
+  const [expandedTrait, setExpandedTrait] = useState<string | null>(null);
+  const [expandedTier, setExpandedTier] = useState<string | null>(null);
+
+  const reportUrl = days === 'all' ? '/api/admin/summon-calibration/report' : `/api/admin/summon-calibration/report?days=${days}`;
+
+  const { data: status, isLoading: statusLoading } = useQuery<CalibrationStatus>({
+    queryKey: ['/api/admin/summon-calibration/status'],
+    refetchInterval: 30000,
+  });
+
+  const { data: report, isLoading: reportLoading } = useQuery<CalibrationReport>({
+    queryKey: [reportUrl],
+  });
+
+  const { data: recent } = useQuery<{ ok: boolean; checks: RecentCheck[] }>({
+    queryKey: ['/api/admin/summon-calibration/recent'],
+  });
+
+  const refresh = () => {
+    queryClient.invalidateQueries({ queryKey: ['/api/admin/summon-calibration/status'] });
+    queryClient.invalidateQueries({ queryKey: [reportUrl] });
+    queryClient.invalidateQueries({ queryKey: ['/api/admin/summon-calibration/recent'] });
+  };
+
+  const onError = (title: string) => (error: any) => {
+    toast({ title, description: error.message || 'An error occurred', variant: 'destructive' });
+  };
+
+  const triggerMutation = useMutation({
+    mutationFn: async () => {
+      const res = await apiRequest('POST', '/api/admin/summon-calibration/trigger');
+      return res.json();
+    },
+    onSuccess: () => {
+      toast({ title: 'Summon outcome indexer triggered' });
+      refresh();
+    },
+    onError: onError('Failed to trigger indexer'),
+  });
+
+  const autoRunMutation = useMutation({
+    mutationFn: async (action: 'start' | 'stop') => {
+      const res = await apiRequest('POST', '/api/admin/summon-calibration/auto-run', { action });
+      return { action, data: await res.json() };
+    },
+    onSuccess: ({ action }) => {
+      toast({ title: action === 'start' ? 'Auto-run started' : 'Auto-run stopped' });
+      refresh();
+    },
+    onError: onError('Failed to change auto-run'),
+  });
+
+  const indexer = status?.indexer;
+
+  return (
+    <div className="p-6 space-y-6" data-testid="admin-summon-calibration-page">
+      <div className="flex items-center justify-between gap-4">
+        <div>
+          <h1 className="text-2xl font-bold">Summon Calibration</h1>
+          <p className="text-muted-foreground">
+            Summoning engine odds checked against real on-chain summons
+          </p>
+        </div>
+        <div className="flex gap-2">
+          <Button variant="outline" onClick={() => triggerMutation.mutate()} disabled={triggerMutation.isPending} data-testid="button-trigger-indexer">
+            {triggerMutation.isPending ? <Loader2 className="w-4 h-4 mr-2 animate-spin" /> : <RefreshCw className="w-4 h-4 mr-2" />}
+            Run now
+          </Button>
+          {indexer?.isAutoRunning ? (
+            <Button variant="outline" onClick={() => autoRunMutation.mutate('stop')} disabled={autoRunMutation.isPending} data-testid="button-stop-auto-run">
+              <Pause className="w-4 h-4 mr-2" />
+              Stop auto-run
+            </Button>
+          ) : (
+            <Button onClick={() => autoRunMutation.mutate('start')} disabled={autoRunMutation.isPending} data-testid="button-start-auto-run">
+              <Play className="w-4 h-4 mr-2" />
+              Start auto-run
+            </Button>
+          )}
+        </div>
+      </div>
+
+      {statusLoading ? (
+        <Skeleton className="h-24 w-full" />
+      ) : (
+        <div className="grid gap-4 md:grid-cols-4">
+          <Card>
+            <CardHeader className="pb-2">
+              <CardDescription>Summons checked</CardDescription>
+              <CardTitle className="text-2xl" data-testid="text-checks">{status?.checks ?? 0}</CardTitle>
+            </CardHeader>
+          </Card>
+          <Card>
+            <CardHeader className="pb-2">
+              <CardDescription>Linked to summon sessions</CardDescription>
+              <CardTitle className="text-2xl" data-testid="text-linked-sessions">{status?.linkedSessions ?? 0}</CardTitle>
+            </CardHeader>
+          </Card>
+          <Card>
+            <CardHeader className="pb-2">
+              <CardDescription>Indexer progress</CardDescription>
+              <CardTitle className="text-2xl" data-testid="text-indexer-progress">
+                {indexer?.totals.percentComplete != null ? `${indexer.totals.percentComplete.toFixed(1)}%` : '—'}
+              </CardTitle>
+            </CardHeader>
+            <CardContent className="text-xs text-muted-foreground">
+              {indexer?.isAutoRunning ? <Badge variant="secondary">Auto-running</Badge> : <Badge variant="outline">Stopped</Badge>}
+              {indexer?.latestBlock != null && <span className="ml-2">Head {indexer.latestBlock.toLocaleString()}</span>}
+            </CardContent>
+          </Card>
+          <Card>
+            <CardHeader className="pb-2">
+              <CardDescription>Latest summon</CardDescription>
+              <CardTitle className="text-base" data-testid="text-latest-summon">
+                {status?.latestSummon ? new Date(status.latestSummon).toLocaleString() : '—'}
+              </CardTitle>
+            </CardHeader>
+          </Card>
+        </div>
+      )}
+
+      <Card>
+        <CardHeader className="flex flex-row items-center justify-between gap-2">
+          <div>
+            <CardTitle>Calibration by trait</CardTitle>
+            <CardDescription>
+              {report ? `${report.samples} summon(s)` : 'Loading'}
+              {report?.from && report?.to && ` · ${new Date(report.from).toLocaleDateString()} – ${new Date(report.to).toLocaleDateString()}`}
+              {' · '}a calibrated engine has top-pick accuracy close to its confidence and |z| under 2 in each bucket
+            </CardDescription>
+          </div>
+          <Select value={days} onValueChange={setDays}>
+            <SelectTrigger className="w-36" data-testid="select-days">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              <SelectItem value="7">Last 7 days</SelectItem>
+              <SelectItem value="30">Last 30 days</SelectItem>
+              <SelectItem value="90">Last 90 days</SelectItem>
+              <SelectItem value="all">All time</SelectItem>
+            </SelectContent>
+          </Select>
+        </CardHeader>
+        <CardContent>
+          {reportLoading ? (
+            <Skeleton className="h-40 w-full" />
+          ) : (
+            <Table>
+              <TableHeader>
+                <TableRow>
+                  <TableHead>Trait</TableHead>
+                  <TableHead className="text-right">Summons</TableHead>
+                  <TableHead className="text-right">Brier</TableHead>
+                  <TableHead className="text-right">Log loss</TableHead>
+                  <TableHead className="text-right">Top-pick confidence</TableHead>
+                  <TableHead className="text-right">Top-pick accuracy</TableHead>
+                  <TableHead className="text-right">Ruled out but rolled</TableHead>
+                  <TableHead className="text-right">Max |z|</TableHead>
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                {(report?.byTrait || []).map(row => (
+                  <Fragment key={row.trait}>
+                    <TableRow
+                      className="cursor-pointer"
+                      onClick={() => setExpandedTrait(expandedTrait === row.trait ? null : row.trait)}
+                      data-testid={`row-trait-${row.trait}`}
+                    >
+                      <TableCell className="font-medium">
+                        {expandedTrait === row.trait ? <ChevronDown className="inline w-4 h-4 mr-1" /> : <ChevronRight className="inline w-4 h-4 mr-1" />}
+                        {traitLabel(row.trait)}
+                      </TableCell>
+                      <TableCell className="text-right font-mono">{row.samples}</TableCell>
+                      <TableCell className="text-right font-mono">{row.brier.toFixed(4)}</TableCell>
+                      <TableCell className="text-right font-mono">{row.logLoss.toFixed(3)}</TableCell>
+                      <TableCell className="text-right font-mono">{pct(row.topConfidence)}</TableCell>
+                      <TableCell className="text-right font-mono">{pct(row.topAccuracy)}</TableCell>
+                      <TableCell className={`text-right font-mono ${row.impossible > 0 ? 'text-red-500 font-semibold' : ''}`}>{row.impossible}</TableCell>
+                      <TableCell className={`text-right font-mono ${zClass(row.maxAbsZ)}`}>{row.maxAbsZ.toFixed(2)}</TableCell>
+                    </TableRow>
+                    {expandedTrait === row.trait && (
+                      <TableRow>
+                        <TableCell colSpan={8} className="bg-muted/40">
+                          <BinsTable bins={row.bins} />
+                        </TableCell>
+                      </TableRow>
+                    )}
+                  </Fragment>
+                ))}
+                {report?.byTrait.length === 0 && (
+                  <TableRow>
+                    <TableCell colSpan={8} className="text-center text-muted-foreground">No summons indexed in this window yet</TableCell>
+                  </TableRow>
+                )}
+              </TableBody>
+            </Table>
+          )}
+        </CardContent>
+      </Card>
+
+      <Card>
+        <CardHeader>
+          <CardTitle>Mutations by tier</CardTitle>
+          <CardDescription>How often predicted mutations actually rolled, grouped by the tier of the mutated gene</CardDescription>
+        </CardHeader>
+        <CardContent>
+          <Table>
+            <TableHeader>
+              <TableRow>
+                <TableHead>Tier</TableHead>
+                <TableHead className="text-right">Opportunities</TableHead>
+                <TableHead className="text-right">Expected</TableHead>
+                <TableHead className="text-right">Observed</TableHead>
+                <TableHead className="text-right">Observed / expected</TableHead>
+                <TableHead className="text-right">z</TableHead>
+              </TableRow>
+            </TableHeader>
+            <TableBody>
+              {(report?.byMutationTier || []).map(row => (
+                <Fragment key={row.tier}>
+                  <TableRow
+                    className="cursor-pointer"
+                    onClick={() => setExpandedTier(expandedTier === row.tier ? null : row.tier)}
+                    data-testid={`row-tier-${row.tier}`}
+                  >
+                    <TableCell>
+                      {expandedTier === row.tier ? <ChevronDown className="inline w-4 h-4 mr-1" /> : <ChevronRight className="inline w-4 h-4 mr-1" />}
+                      <Badge variant={TIER_VARIANTS[row.tier] || 'outline'}>{row.tier}</Badge>
+                    </TableCell>
+                    <TableCell className="text-right font-mono">{row.opportunities}</TableCell>
+                    <TableCell className="text-right font-mono">{row.expected.toFixed(1)}</TableCell>
+                    <TableCell className="text-right font-mono">{row.observed}</TableCell>
+                    <TableCell className="text-right font-mono">{row.ratio == null ? '—' : `${row.ratio.toFixed(2)}×`}</TableCell>
+                    <TableCell className={`text-right font-mono ${zClass(row.z)}`}>{row.z.toFixed(2)}</TableCell>
+                  </TableRow>
+                  {expandedTier === row.tier && row.traits.map(t => (
+                    <TableRow key={`${row.tier}-${t.trait}`} className="bg-muted/40">
+                      <TableCell className="pl-10 text-sm">{traitLabel(t.trait)}</TableCell>
+                      <TableCell className="text-right font-mono text-sm">{t.opportunities}</TableCell>
+                      <TableCell className="text-right font-mono text-sm">{t.expected.toFixed(1)}</TableCell>
+                      <TableCell className="text-right font-mono text-sm">{t.observed}</TableCell>
+                      <TableCell className="text-right font-mono text-sm">{t.ratio == null ? '—' : `${t.ratio.toFixed(2)}×`}</TableCell>
+                      <TableCell className={`text-right font-mono text-sm ${zClass(t.z)}`}>{t.z.toFixed(2)}</TableCell>
+                    </TableRow>
+                  ))}
+                </Fragment>
+              ))}
+              {report && report.byMutationTier.length === 0 && (
+                <TableRow>
+                  <TableCell colSpan={6} className="text-center text-muted-foreground">No mutation opportunities yet</TableCell>
+                </TableRow>
+              )}
+            </TableBody>
+          </Table>
+        </CardContent>
+      </Card>
+
+      {report && report.overall.length > 0 && (
+        <Card>
+          <CardHeader>
+            <CardTitle>Overall reliability</CardTitle>
+            <CardDescription>Every trait forecast pooled into probability buckets</CardDescription>
+          </CardHeader>
+          <CardContent>
+            <BinsTable bins={report.overall} />
+          </CardContent>
+        </Card>
+      )}
+
+      <Card>
+        <CardHeader>
+          <CardTitle>Recent summons</CardTitle>
+          <CardDescription>Engine odds of the genes each child actually rolled</CardDescription>
+        </CardHeader>
+        <CardContent>
+          <Table>
+            <TableHeader>
+              <TableRow>
+                <TableHead>Hero</TableHead>
+                <TableHead>Parents</TableHead>
+                <TableHead>Outcome (predicted chance)</TableHead>
+                <TableHead>Summoned</TableHead>
+              </TableRow>
+            </TableHeader>
+            <TableBody>
+              {(recent?.checks || []).map(check => (
+                <TableRow key={check.id} data-testid={`row-check-${check.heroId}`}>
+                  <TableCell>
+                    <div className="font-mono">#{check.heroId}</div>
+                    <div className="text-xs text-muted-foreground">Gen {check.generation}{check.sessionId && ` · session #${check.sessionId}`}</div>
+                  </TableCell>
+                  <TableCell className="font-mono text-xs">#{check.parents[0]} × #{check.parents[1]}</TableCell>
+                  <TableCell>
+                    <div className="flex flex-wrap gap-1">
+                      {check.outcomes.map(outcome => (
+                        <Badge
+                          key={outcome.trait}
+                          variant={outcome.predicted === 0 ? 'destructive' : outcome.predicted < 5 ? 'secondary' : 'outline'}
+                          title={traitLabel(outcome.trait)}
+                        >
+                          {outcome.observed} ({outcome.predicted.toFixed(1)}%)
+                        </Badge>
+                      ))}
+                    </div>
+                  </TableCell>
+                  <TableCell className="text-sm">{new Date(check.summonedAt).toLocaleString()}</TableCell>
+                </TableRow>
+              ))}
+              {recent?.checks.length === 0 && (
+                <TableRow>
+                  <TableCell colSpan={4} className="text-center text-muted-foreground">No summons indexed yet</TableCell>
+                </TableRow>
+              )}
+            </TableBody>
+          </Table>
+        </CardContent>
+      </Card>
+    </div>
+  );
+}
@@ -27,6 +27,16 @@ function getCumXP(level: number): number {
 
 type SearchMode = "tavern" | "myHero" | "wallet";
 type SummonType = "regular" | "dark";
+type SortOption = "efficiency" | "chance" | "price" | "skillScore" | "levelValue" | "costPerOutcome" | "profit";
+
+interface ValueRange {
+  expected: number;
+  low: number;
+  high: number;
+}
+
+const STONE_TYPES = ['chaos', 'finesse', 'fortitude', 'fortune', 'insight', 'might', 'swiftness', 'vigor', 'wit'];
+const STONE_TIERS = ['lesser', 'normal', 'greater'];
 
 interface ProbabilityMap {
   [key: string]: number;
@@ -80,11 +90,31 @@ interface SniperPair {
   totalCost: number;
   totalCostUsd: number;
   efficiency: number;
+  costPerOutcome?: {
+    summonType: SummonType;
+    attempts: number;
+    successProbability: number;
+    expectedCost: number;
+    native: number;
+    jewel: number | null;
+  } | null;
+  value?: {
+    expected: number;
+    low: number;
+    high: number;
+    compCoverage: number;
+  } | null;
+  profit?: {
+    attempts: number;
+    perSummon: ValueRange;
+    pair: ValueRange;
+  } | null;
   costs?: {
     purchaseCost: number;
     summonTokenCost: number;
     tearCost: number;
     tearCount: number;
+    stoneCost?: number;
     bridgeCostUsd: number;
     heroesNeedingBridge: number;
     totalCost: number;
@@ -140,6 +170,7 @@ interface SniperResult {
     realms: string[];
     minSummonsRemaining: number;
     summonType?: string;
+    enhancementStone?: { type: string; tier: string; displayName: string; priced: boolean } | null;
     searchMode?: string;
   };
   userHero?: UserHeroInfo | null;
@@ -231,7 +262,10 @@ export default function SummonSniper() {
   const [myHeroId, setMyHeroId] = useState("");
   const [walletAddress, setWalletAddress] = useState("");
   const [bridgeFeeUsd, setBridgeFeeUsd] = useState("0.50"); // Estimated bridge fee per hero in USD
-  const [sortBy, setSortBy] = useState<"efficiency" | "chance" | "price" | "skillScore" | "levelValue">("efficiency");
+  const [stoneType, setStoneType] = useState("none"); // Enhancement stone added to every summon
+  const [stoneTier, setStoneTier] = useState("lesser");
+  const [stonePrice, setStonePrice] = useState("");
+  const [sortBy, setSortBy] = useState<SortOption>("efficiency");
   const [requireAllSkills, setRequireAllSkills] = useState(false); // AND mode for skills
   const [showMutationsOnly, setShowMutationsOnly] = useState(false); // Filter for mutation potential
   
@@ -287,6 +321,8 @@ export default function SummonSniper() {
         myHeroId: searchMode === "myHero" ? myHeroId : undefined,
         walletAddress: searchMode === "wallet" ? walletAddress : undefined,
         bridgeFeeUsd: parseFloat(bridgeFeeUsd) || 0,
+        enhancementStone: stoneType !== "none" ? { type: stoneType, tier: stoneTier } : null,
+        stonePrice: stoneType !== "none" && stonePrice !== "" ? parseFloat(stonePrice) : null,
         sortBy,
         requireAllSkills,
         limit: 50
@@ -389,6 +425,14 @@ export default function SummonSniper() {
         return pairs.sort((a, b) => a.totalCostUsd - b.totalCostUsd);
       case "skillScore":
         return pairs.sort((a, b) => (b.ts?.expected || 0) - (a.ts?.expected || 0));
+      case "costPerOutcome":
+        // Expected spend per child that hits the target (JEWEL when CRYSTAL can be priced)
+        return pairs.sort((a, b) =>
+          (a.costPerOutcome?.jewel ?? a.costPerOutcome?.native ?? Infinity) - (b.costPerOutcome?.jewel ?? b.costPerOutcome?.native ?? Infinity)
+        );
+      case "profit":
+        // Expected resale value of every summon minus fees, tears and purchase
+        return pairs.sort((a, b) => (b.profit?.pair.expected ?? -Infinity) - (a.profit?.pair.expected ?? -Infinity));
       case "levelValue":
         // Sort by XP-weighted level value per cost (accounts for exponential XP curve)
         return pairs.sort((a, b) => {
@@ -870,6 +914,45 @@ export default function SummonSniper() {
                 Metis heroes need bridging to CV for summoning. Estimate ~$0.50 per hero.
               </p>
             </div>
+
+            <div className="space-y-2">
+              <Label>Enhancement Stone</Label>
+              <div className="flex gap-2">
+                <Select value={stoneType} onValueChange={setStoneType}>
+                  <SelectTrigger className="capitalize" data-testid="select-stone-type">
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    <SelectItem value="none">No stone</SelectItem>
+                    {STONE_TYPES.map(type => (
+                      <SelectItem key={type} value={type} className="capitalize">{type}</SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+                <Select value={stoneTier} onValueChange={setStoneTier} disabled={stoneType === "none"}>
+                  <SelectTrigger className="capitalize" data-testid="select-stone-tier">
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {STONE_TIERS.map(tier => (
+                      <SelectItem key={tier} value={tier} className="capitalize">{tier}</SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+                <Input
+                  type="number"
+                  step="0.01"
+                  value={stonePrice}
+                  onChange={(e) => setStonePrice(e.target.value)}
+                  placeholder="Price"
+                  disabled={stoneType === "none"}
+                  data-testid="input-stone-price"
+                />
+              </div>
+              <p className="text-xs text-muted-foreground">
+                Stone is consumed by every summon. Price in the realm's native token; leave empty to show it unpriced.
+              </p>
+            </div>
           </div>
 
           <div className="flex items-center gap-4 flex-wrap">
@@ -968,7 +1051,7 @@ export default function SummonSniper() {
             <div className="text-sm text-muted-foreground space-y-1">
               <div className="flex items-center gap-2 flex-wrap">
                 <span>Sort by:</span>
-                <Select value={sortBy} onValueChange={(v) => setSortBy(v as "efficiency" | "chance" | "price" | "skillScore" | "levelValue")}>
+                <Select value={sortBy} onValueChange={(v) => setSortBy(v as SortOption)}>
                   <SelectTrigger className="w-[180px] h-8" data-testid="select-sort-by">
                     <SelectValue />
                   </SelectTrigger>
@@ -978,6 +1061,8 @@ export default function SummonSniper() {
                     <SelectItem value="price">Lowest Price</SelectItem>
                     <SelectItem value="skillScore">Offspring Skill Score</SelectItem>
                     <SelectItem value="levelValue">XP Value (kXP/$)</SelectItem>
+                    <SelectItem value="costPerOutcome">Cost per Target Hit</SelectItem>
+                    <SelectItem value="profit">Expected Profit</SelectItem>
                   </SelectContent>
                 </Select>
               </div>
@@ -1168,6 +1253,13 @@ export default function SummonSniper() {
                               <div>Purchase: {pair.costs.purchaseCost.toFixed(2)} {pair.hero1.token}</div>
                               <div>Summon: {pair.costs.summonTokenCost} {pair.hero1.token}</div>
                               <div>Tears: {pair.costs.tearCount} ({pair.costs.tearCost.toFixed(2)} {pair.hero1.token})</div>
+                              {sniperResult.searchParams?.enhancementStone && (
+                                <div>
+                                  Stone: {sniperResult.searchParams.enhancementStone.priced
+                                    ? `${(pair.costs.stoneCost ?? 0).toFixed(2)} ${pair.hero1.token}`
+                                    : 'unpriced'}
+                                </div>
+                              )}
                               {pair.costs.heroesNeedingBridge > 0 && (
                                 <div className="text-yellow-500">
                                   Bridge: ${pair.costs.bridgeCostUsd.toFixed(2)} ({pair.costs.heroesNeedingBridge} hero{pair.costs.heroesNeedingBridge > 1 ? 'es' : ''})
@@ -1175,6 +1267,28 @@ export default function SummonSniper() {
                               )}
                             </div>
                           )}
+                          {pair.costPerOutcome && (
+                            <div className="text-sm font-medium pt-1" data-testid={`text-cost-per-outcome-${pair.hero1.id}-${pair.hero2.id}`}>
+                              Per hit: {pair.costPerOutcome.jewel !== null
+                                ? `${pair.costPerOutcome.jewel.toFixed(2)} JEWEL`
+                                : `${pair.costPerOutcome.native.toFixed(2)} ${pair.hero1.token}`}
+                              <div className="text-xs text-muted-foreground font-normal">
+                                {pair.costPerOutcome.summonType === 'dark'
+                                  ? 'One roll (parents burned)'
+                                  : `Up to ${pair.costPerOutcome.attempts} tries, ${pair.costPerOutcome.successProbability.toFixed(1)}% to hit`}
+                              </div>
+                            </div>
+                          )}
+                          {pair.value && pair.profit && (
+                            <div className="text-sm pt-1" data-testid={`text-profit-${pair.hero1.id}-${pair.hero2.id}`}>
+                              <span className={pair.profit.pair.expected >= 0 ? "text-green-500 font-medium" : "text-red-500 font-medium"}>
+                                Profit: {pair.profit.pair.expected.toFixed(2)} {pair.hero1.token}
+                              </span>
+                              <div className="text-xs text-muted-foreground">
+                                Child worth {pair.value.expected.toFixed(2)} ({pair.value.low.toFixed(2)}–{pair.value.high.toFixed(2)}) × {pair.profit.attempts} summon{pair.profit.attempts === 1 ? '' : 's'}
+                              </div>
+                            </div>
+                          )}
                           <div className="text-xs text-muted-foreground pt-1">
                             Efficiency: {pair.efficiency.toFixed(4)} %/$
                           </div>
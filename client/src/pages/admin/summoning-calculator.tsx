@@ -23,7 +23,8 @@ import {
   Filter,
   DollarSign,
   TrendingUp,
-  ExternalLink
+  ExternalLink,
+  GitBranch
 } from "lucide-react";
 import { apiRequest } from "@/lib/queryClient";
 
@@ -316,6 +317,13 @@ interface SummoningResult {
     mutations: MutationSet;
   };
   offspringGeneration: number;
+  value?: { expected: number; low: number; high: number; compCoverage: number } | null;
+  profit?: {
+    attempts: number;
+    perSummon: { expected: number; low: number; high: number };
+    pair: { expected: number; low: number; high: number };
+  } | null;
+  valueToken?: string;
 }
 
 const RARITY_COLORS: Record<number, string> = {
@@ -554,7 +562,10 @@ function HeroCard({ hero, genetics }: { hero: HeroData; genetics?: Genetics }) {
 // Sniper types
 interface SniperFilters {
   classes: string[];
+  subClasses?: string[];
   professions: string[];
+  activeSkills?: string[];
+  passiveSkills?: string[];
   realms: string[];
   priceRange: { min: number; max: number };
   rarities: { id: number; name: string }[];
@@ -603,6 +614,75 @@ interface SniperResult {
   };
 }
 
+interface PlanHero {
+  id: string | null;
+  normalizedId: number | null;
+  fromStep: number | null;
+  mainClass: string;
+  rarity: number;
+  generation: number;
+  summonsRemaining: number;
+  price: number;
+  owned: boolean;
+  virtual: boolean;
+}
+
+interface PlanStep {
+  step: number;
+  parents: [PlanHero, PlanHero];
+  goal: string;
+  probability: number;
+  attempts: number;
+  expectedAttempts: number;
+  successProbability: number;
+  purchaseCost: number;
+  expectedSummonCost: number;
+  expectedCost: number;
+  offspringGeneration: number;
+}
+
+interface BreedingPlan {
+  rank: number;
+  realm: string;
+  token: string;
+  depth: number;
+  successProbability: number;
+  expectedCost: number;
+  costPerSuccess: number;
+  purchaseCost: number;
+  heroesToBuy: { id: string; normalizedId: number | null; price: number }[];
+  offspring: { generation: number; summonsRemaining: number };
+  steps: PlanStep[];
+}
+
+interface PlannerResult {
+  ok: boolean;
+  plans: BreedingPlan[];
+  pool: Record<string, { owned: number; tavern: number }>;
+  candidates: { owned: number; tavern: number };
+}
+
+interface JointCondition {
+  traits: string[];
+  slot: string;
+  values: string[];
+  not: boolean;
+  label: string;
+  probability: number;
+}
+
+interface JointResult {
+  ok: boolean;
+  probability: number;
+  method: "exact" | "monteCarlo";
+  samples: number | null;
+  standardError: number;
+  independentProduct: number;
+  conditions: JointCondition[];
+}
+
+const formatJointPercent = (p: number) => `${(p * 100).toFixed(p > 0 && p < 0.001 ? 4 : 2)}%`;
+
 export default function SummoningCalculator() {
   const [hero1Id, setHero1Id] = useState("");
   const [hero2Id, setHero2Id] = useState("");
@@ -620,6 +700,23 @@ export default function SummoningCalculator() {
   const [sniperMaxTS, setSniperMaxTS] = useState("");
   const [sniperResult, setSniperResult] = useState<SniperResult | null>(null);
 
+  // Planner state
+  const [planClass, setPlanClass] = useState("");
+  const [planSubClass, setPlanSubClass] = useState("");
+  const [planProfession, setPlanProfession] = useState("");
+  const [planActiveSkill, setPlanActiveSkill] = useState("");
+  const [planPassiveSkill, setPlanPassiveSkill] = useState("");
+  const [planWallet, setPlanWallet] = useState("");
+  const [planDepth, setPlanDepth] = useState("2");
+  const [planMaxPrice, setPlanMaxPrice] = useState("");
+  const [planRealms, setPlanRealms] = useState<string[]>(["cv", "sd"]);
+  const [planResult, setPlanResult] = useState<PlannerResult | null>(null);
+
+  // Joint query state
+  const [jointQuery, setJointQuery] = useState("");
+  const [jointMethod, setJointMethod] = useState("auto");
+  const [jointResult, setJointResult] = useState<JointResult | null>(null);
+
   // Fetch sniper filters
   const { data: sniperFilters } = useQuery<{ ok: boolean; filters: SniperFilters }>({
     queryKey: ['/api/admin/sniper/filters']
@@ -636,6 +733,24 @@ export default function SummoningCalculator() {
     onSuccess: (data) => {
       if (data.ok) {
         setResult(data);
+        setJointResult(null);
+      }
+    }
+  });
+
+  const jointMutation = useMutation({
+    mutationFn: async () => {
+      const response = await apiRequest("POST", "/api/admin/summoning/joint", {
+        hero1Id: result?.parent1.id,
+        hero2Id: result?.parent2.id,
+        query: jointQuery,
+        method: jointMethod
+      });
+      return response.json();
+    },
+    onSuccess: (data) => {
+      if (data.ok) {
+        setJointResult(data);
       }
     }
   });
@@ -690,6 +805,46 @@ export default function SummoningCalculator() {
     sniperMutation.mutate();
   };
 
+  const hasPlanTarget = !!(planClass || planSubClass || planProfession || planActiveSkill || planPassiveSkill);
+
+  const planMutation = useMutation({
+    mutationFn: async () => {
+      const response = await apiRequest("POST", "/api/admin/summoning/plan", {
+        target: {
+          class: planClass || undefined,
+          subClass: planSubClass || undefined,
+          profession: planProfession || undefined,
+          activeSkills: planActiveSkill ? [planActiveSkill] : [],
+          passiveSkills: planPassiveSkill ? [planPassiveSkill] : []
+        },
+        walletAddress: planWallet.trim() || null,
+        realms: planRealms,
+        maxDepth: parseInt(planDepth) || 2,
+        maxPrice: planMaxPrice ? parseFloat(planMaxPrice) : null,
+        limit: 10
+      });
+      return response.json();
+    },
+    onSuccess: (data) => {
+      if (data.ok) {
+        setPlanResult(data);
+      }
+    }
+  });
+
+  const togglePlanRealm = (realm: string) => {
+    setPlanRealms(prev =>
+      prev.includes(realm)
+        ? prev.filter(r => r !== realm)
+        : [...prev, realm]
+    );
+  };
+
+  const describePlanHero = (hero: PlanHero) => {
+    if (hero.virtual) return `Child of step ${hero.fromStep}`;
+    return `#${hero.normalizedId ?? hero.id}`;
+  };
+
   const toggleRealm = (realm: string) => {
     setSniperRealms(prev => 
       prev.includes(realm) 
@@ -732,6 +887,10 @@ export default function SummoningCalculator() {
               <Target className="h-4 w-4 mr-1" />
               Sniper
             </TabsTrigger>
+            <TabsTrigger value="planner" data-testid="tab-planner">
+              <GitBranch className="h-4 w-4 mr-1" />
+              Planner
+            </TabsTrigger>
           </TabsList>
         </Tabs>
       </div>
@@ -803,6 +962,15 @@ export default function SummoningCalculator() {
                 <Badge variant="outline" className="ml-2">
                   Offspring Gen {result.offspringGeneration}
                 </Badge>
+                {result.value && result.profit && (
+                  <Badge
+                    variant="outline"
+                    title={`95% CI ${result.value.low.toFixed(2)}–${result.value.high.toFixed(2)}; recent sales cover ${result.value.compCoverage.toFixed(0)}% of outcomes`}
+                    data-testid="badge-offspring-value"
+                  >
+                    Resale ≈ {result.value.expected.toFixed(2)} {result.valueToken} · profit/summon {result.profit.perSummon.expected.toFixed(2)}
+                  </Badge>
+                )}
               </CardTitle>
               <p className="text-sm text-muted-foreground">
                 <span className="text-orange-400">Orange</span> = Mutation (trait not in either parent's dominant gene)
@@ -976,6 +1144,89 @@ export default function SummoningCalculator() {
               </div>
             </CardContent>
           </Card>
+
+          <Card>
+            <CardHeader>
+              <CardTitle className="flex items-center gap-2">
+                <Target className="h-5 w-5" />
+                Joint Query
+              </CardTitle>
+              <p className="text-sm text-muted-foreground">
+                Chance the offspring meets every condition at once. Join conditions with <code>&amp;</code>; use <code>trait.R1</code>–<code>trait.R3</code> or <code>trait.any</code> for recessive slots, <code>!=</code> to negate and <code>active1|active2</code> for either trait.
+              </p>
+            </CardHeader>
+            <CardContent className="space-y-4">
+              <div className="flex flex-col sm:flex-row gap-4 items-end">
+                <div className="flex-1 space-y-2">
+                  <Label htmlFor="jointQuery">Conditions</Label>
+                  <Input
+                    id="jointQuery"
+                    placeholder="e.g. class=DarkKnight & profession.any=Gardening & active1|active2=Heal"
+                    value={jointQuery}
+                    onChange={(e) => setJointQuery(e.target.value)}
+                    data-testid="input-joint-query"
+                  />
+                </div>
+                <div className="space-y-2">
+                  <Label htmlFor="jointMethod">Method</Label>
+                  <select
+                    id="jointMethod"
+                    value={jointMethod}
+                    onChange={(e) => setJointMethod(e.target.value)}
+                    className="w-full h-9 px-3 rounded-md border bg-background text-sm"
+                    data-testid="select-joint-method"
+                  >
+                    <option value="auto">Auto</option>
+                    <option value="exact">Exact</option>
+                    <option value="monteCarlo">Monte Carlo</option>
+                  </select>
+                </div>
+                <Button
+                  onClick={() => jointMutation.mutate()}
+                  disabled={!jointQuery.trim() || jointMutation.isPending}
+                  data-testid="button-joint-query"
+                >
+                  {jointMutation.isPending ? (
+                    <Loader2 className="h-4 w-4 mr-2 animate-spin" />
+                  ) : (
+                    <Calculator className="h-4 w-4 mr-2" />
+                  )}
+                  Evaluate
+                </Button>
+              </div>
+              {jointMutation.isError && (
+                <p className="text-destructive text-sm">
+                  Error: {(jointMutation.error as Error)?.message || "Failed to evaluate query"}
+                </p>
+              )}
+
+              {jointResult && (
+                <div className="space-y-3" data-testid="joint-result">
+                  <div className="flex flex-wrap items-center gap-3">
+                    <span className="text-2xl font-bold" data-testid="text-joint-probability">
+                      {formatJointPercent(jointResult.probability)}
+                    </span>
+                    <Badge variant="outline">
+                      {jointResult.method === "exact"
+                        ? "Exact"
+                        : `Monte Carlo · ${jointResult.samples?.toLocaleString()} samples · ±${formatJointPercent(jointResult.standardError * 1.96)}`}
+                    </Badge>
+                    <span className="text-sm text-muted-foreground">
+                      If independent: {formatJointPercent(jointResult.independentProduct)}
+                    </span>
+                  </div>
+                  <div className="space-y-1">
+                    {jointResult.conditions.map((cond, i) => (
+                      <div key={i} className="flex justify-between text-sm" data-testid={`row-joint-condition-${i}`}>
+                        <code>{cond.label}</code>
+                        <span className="text-muted-foreground">{formatJointPercent(cond.probability)}</span>
+                      </div>
+                    ))}
+                  </div>
+                </div>
+              )}
+            </CardContent>
+          </Card>
         </>
       )}
       </>
@@ -1328,6 +1579,277 @@ export default function SummoningCalculator() {
           )}
         </div>
       )}
+      {pageTab === "planner" && (
+        <div className="space-y-6">
+          <Card>
+            <CardHeader>
+              <CardTitle className="flex items-center gap-2">
+                <GitBranch className="h-5 w-5" />
+                Breeding Planner
+              </CardTitle>
+              <p className="text-sm text-muted-foreground">
+                Search up to three generations of summons from your heroes and tavern listings toward a target hero
+              </p>
+            </CardHeader>
+            <CardContent className="space-y-4">
+              <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4">
+                <div className="space-y-2">
+                  <Label htmlFor="planClass">Class</Label>
+                  <select
+                    id="planClass"
+                    value={planClass}
+                    onChange={(e) => setPlanClass(e.target.value)}
+                    className="w-full h-9 px-3 rounded-md border bg-background text-sm"
+                    data-testid="select-plan-class"
+                  >
+                    <option value="">Any Class</option>
+                    {sniperFilters?.filters?.classes?.map(cls => (
+                      <option key={cls} value={cls}>{cls}</option>
+                    ))}
+                  </select>
+                </div>
+
+                <div className="space-y-2">
+                  <Label htmlFor="planSubClass">Subclass</Label>
+                  <select
+                    id="planSubClass"
+                    value={planSubClass}
+                    onChange={(e) => setPlanSubClass(e.target.value)}
+                    className="w-full h-9 px-3 rounded-md border bg-background text-sm"
+                    data-testid="select-plan-subclass"
+                  >
+                    <option value="">Any Subclass</option>
+                    {(sniperFilters?.filters?.subClasses ?? sniperFilters?.filters?.classes)?.map(cls => (
+                      <option key={cls} value={cls}>{cls}</option>
+                    ))}
+                  </select>
+                </div>
+
+                <div className="space-y-2">
+                  <Label htmlFor="planProfession">Profession Gene</Label>
+                  <select
+                    id="planProfession"
+                    value={planProfession}
+                    onChange={(e) => setPlanProfession(e.target.value)}
+                    className="w-full h-9 px-3 rounded-md border bg-background text-sm"
+                    data-testid="select-plan-profession"
+                  >
+                    <option value="">Any Profession</option>
+                    {sniperFilters?.filters?.professions?.map(prof => (
+                      <option key={prof} value={prof}>{prof}</option>
+                    ))}
+                  </select>
+                </div>
+
+                <div className="space-y-2">
+                  <Label htmlFor="planDepth">Generations</Label>
+                  <select
+                    id="planDepth"
+                    value={planDepth}
+                    onChange={(e) => setPlanDepth(e.target.value)}
+                    className="w-full h-9 px-3 rounded-md border bg-background text-sm"
+                    data-testid="select-plan-depth"
+                  >
+                    <option value="1">1 (direct summon)</option>
+                    <option value="2">2</option>
+                    <option value="3">3</option>
+                  </select>
+                </div>
+
+                <div className="space-y-2">
+                  <Label htmlFor="planActive">Active Skill</Label>
+                  <select
+                    id="planActive"
+                    value={planActiveSkill}
+                    onChange={(e) => setPlanActiveSkill(e.target.value)}
+                    className="w-full h-9 px-3 rounded-md border bg-background text-sm"
+                    data-testid="select-plan-active"
+                  >
+                    <option value="">Any</option>
+                    {sniperFilters?.filters?.activeSkills?.map(skill => (
+                      <option key={skill} value={skill}>{skill}</option>
+                    ))}
+                  </select>
+                </div>
+
+                <div className="space-y-2">
+                  <Label htmlFor="planPassive">Passive Skill</Label>
+                  <select
+                    id="planPassive"
+                    value={planPassiveSkill}
+                    onChange={(e) => setPlanPassiveSkill(e.target.value)}
+                    className="w-full h-9 px-3 rounded-md border bg-background text-sm"
+                    data-testid="select-plan-passive"
+                  >
+                    <option value="">Any</option>
+                    {sniperFilters?.filters?.passiveSkills?.map(skill => (
+                      <option key={skill} value={skill}>{skill}</option>
+                    ))}
+                  </select>
+                </div>
+
+                <div className="space-y-2">
+                  <Label htmlFor="planWallet">Your Wallet (optional)</Label>
+                  <Input
+                    id="planWallet"
+                    value={planWallet}
+                    onChange={(e) => setPlanWallet(e.target.value)}
+                    placeholder="0x..."
+                    data-testid="input-plan-wallet"
+                  />
+                </div>
+
+                <div className="space-y-2">
+                  <Label htmlFor="planMaxPrice">Max Price (per tavern hero)</Label>
+                  <Input
+                    id="planMaxPrice"
+                    type="number"
+                    value={planMaxPrice}
+                    onChange={(e) => setPlanMaxPrice(e.target.value)}
+                    placeholder="Any"
+                    data-testid="input-plan-max-price"
+                  />
+                </div>
+              </div>
+
+              <div className="flex items-center gap-4">
+                <Label>Realms:</Label>
+                <div className="flex gap-2">
+                  <Badge
+                    variant={planRealms.includes("cv") ? "default" : "outline"}
+                    className="cursor-pointer"
+                    onClick={() => togglePlanRealm("cv")}
+                    data-testid="badge-plan-realm-cv"
+                  >
+                    Crystalvale
+                  </Badge>
+                  <Badge
+                    variant={planRealms.includes("sd") ? "default" : "outline"}
+                    className="cursor-pointer"
+                    onClick={() => togglePlanRealm("sd")}
+                    data-testid="badge-plan-realm-sd"
+                  >
+                    Sundered Isles
+                  </Badge>
+                </div>
+              </div>
+
+              <Button
+                onClick={() => planMutation.mutate()}
+                disabled={!hasPlanTarget || planMutation.isPending}
+                data-testid="button-plan-search"
+              >
+                {planMutation.isPending ? (
+                  <Loader2 className="h-4 w-4 mr-2 animate-spin" />
+                ) : (
+                  <GitBranch className="h-4 w-4 mr-2" />
+                )}
+                Build Plans
+              </Button>
+
+              {planMutation.isError && (
+                <p className="text-destructive text-sm">
+                  Error: {(planMutation.error as Error)?.message || "Planning failed"}
+                </p>
+              )}
+            </CardContent>
+          </Card>
+
+          {planResult && (
+            <Card>
+              <CardHeader>
+                <CardTitle className="flex items-center gap-2">
+                  <TrendingUp className="h-5 w-5" />
+                  Ranked Plans
+                  <Badge variant="outline" className="ml-2">
+                    {planResult.candidates.owned} owned / {planResult.candidates.tavern} tavern heroes
+                  </Badge>
+                </CardTitle>
+                <p className="text-sm text-muted-foreground">
+                  Ranked by expected cost per successful target. Multi-step odds treat unsummoned children as their most likely genes, so they are estimates.
+                </p>
+              </CardHeader>
+              <CardContent>
+                {planResult.plans.length === 0 ? (
+                  <p className="text-muted-foreground text-center py-8">
+                    No plan reaches this target. Try more generations or a higher price limit.
+                  </p>
+                ) : (
+                  <div className="space-y-4">
+                    {planResult.plans.map((plan) => (
+                      <Card key={plan.rank} className="bg-muted/30" data-testid={`card-plan-${plan.rank}`}>
+                        <CardContent className="p-4 space-y-3">
+                          <div className="flex items-start justify-between gap-4 flex-wrap">
+                            <div className="flex items-center gap-2">
+                              <Badge variant="secondary">#{plan.rank}</Badge>
+                              <Badge variant="outline">{plan.realm === 'cv' ? 'Crystalvale' : 'Sundered Isles'}</Badge>
+                              <Badge variant="outline">{plan.depth} {plan.depth === 1 ? 'summon' : 'generations'}</Badge>
+                            </div>
+                            <div className="text-right space-y-1">
+                              <div className="text-lg font-bold text-green-400">
+                                {(plan.successProbability * 100).toFixed(1)}% success
+                              </div>
+                              <div className="text-sm text-muted-foreground">
+                                Expected: {plan.expectedCost.toFixed(2)} {plan.token}
+                                {plan.purchaseCost > 0 && ` (${plan.purchaseCost.toFixed(2)} in purchases)`}
+                              </div>
+                              <div className="text-xs text-muted-foreground">
+                                Final child: Gen {plan.offspring.generation} | {plan.offspring.summonsRemaining} summons
+                              </div>
+                            </div>
+                          </div>
+
+                          <div className="space-y-2">
+                            {plan.steps.map((step) => (
+                              <div key={step.step} className="rounded-md border p-3 text-sm grid md:grid-cols-3 gap-2">
+                                <div>
+                                  <div className="font-medium">Step {step.step}: {step.goal}</div>
+                                  <div className="text-muted-foreground">
+                                    {(step.probability * 100).toFixed(2)}% per summon, up to {step.attempts} tries
+                                  </div>
+                                </div>
+                                <div className="space-y-1">
+                                  {step.parents.map((parent, idx) => (
+                                    <div key={idx} className="flex items-center gap-2">
+                                      <span className={getRarityColor(parent.rarity)}>
+                                        {parent.mainClass}
+                                      </span>
+                                      <span className="text-muted-foreground">
+                                        {describePlanHero(parent)} · Gen {parent.generation}
+                                      </span>
+                                      {!parent.owned && !parent.virtual && parent.id && (
+                                        <a
+                                          href={`https://game.defikingdoms.com/marketplace/heroes/${parent.id}`}
+                                          target="_blank"
+                                          rel="noopener noreferrer"
+                                          className="text-xs text-blue-400 hover:underline flex items-center gap-1"
+                                        >
+                                          Buy {parent.price.toFixed(2)} <ExternalLink className="h-3 w-3" />
+                                        </a>
+                                      )}
+                                      {parent.owned && !parent.virtual && (
+                                        <Badge variant="outline" className="text-xs">Owned</Badge>
+                                      )}
+                                    </div>
+                                  ))}
+                                </div>
+                                <div className="text-right text-muted-foreground">
+                                  <div>{(step.successProbability * 100).toFixed(1)}% within tries</div>
+                                  <div>~{step.expectedAttempts.toFixed(1)} summons, {step.expectedCost.toFixed(2)} {plan.token}</div>
+                                </div>
+                              </div>
+                            ))}
+                          </div>
+                        </CardContent>
+                      </Card>
+                    ))}
+                  </div>
+                )}
+              </CardContent>
+            </Card>
+          )}
+        </div>
+      )}
     </div>
   );
 }
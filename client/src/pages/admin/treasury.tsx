@@ -0,0 +1,410 @@
+import { useState } from 'react';
+import { useQuery, useMutation } from '@tanstack/react-query';
+import { apiRequest, queryClient } from '@/lib/queryClient';
+import { useToast } from '@/hooks/use-toast';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Badge } from '@/components/ui/badge';
+import { Input } from '@/components/ui/input';
+import { Skeleton } from '@/components/ui/skeleton';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '@/components/ui/table';
+import { ArrowDownLeft, ArrowUpRight, CheckCircle2, Download, FilePlus, Loader2, Wallet, XCircle } from 'lucide-react';
+
+interface FlowTotal {
+  count: number;
+  amountJewel: string;
+}
+
+interface PayoutItem {
+  id: number;
+  batchId: number | null;
+  kind: string;
+  sourceRef: string;
+  recipientWallet: string;
+  chain: string;
+  token: string;
+  amount: string;
+  amountJewel: string;
+  description: string | null;
+  status: string;
+  txHash: string | null;
+}
+
+interface TreasurySummary {
+  ok: boolean;
+  wallet: string;
+  days: number;
+  inflows: Record<string, FlowTotal>;
+  outflows: Record<string, FlowTotal>;
+  outstanding: Record<string, FlowTotal>;
+  totalInflowJewel: string;
+  totalOutflowJewel: string;
+  netJewel: string;
+  outstandingJewel: string;
+  unpricedInflows: number;
+  queued: PayoutItem[];
+}
+
+interface PayoutBatch {
+  id: number;
+  status: string;
+  totalJewel: string;
+  createdBy: string;
+  approvedBy: string | null;
+  note: string | null;
+  export: unknown;
+  createdAt: string;
+  approvedAt: string | null;
+  exportedAt: string | null;
+  paidAt: string | null;
+}
+
+interface PayoutBatchDetail extends PayoutBatch {
+  items: PayoutItem[];
+}
+
+const FLOW_LABELS: Record<string, string> = {
+  deposit: 'Player deposits',
+  quest_reward_fund: 'Quest Reward Fund',
+  other: 'Other',
+  level_racer_prize: 'Level Racer prizes',
+  season_reward: 'Season rewards',
+  refund: 'Refunds',
+};
+
+const STATUS_VARIANTS: Record<string, 'default' | 'secondary' | 'outline' | 'destructive'> = {
+  draft: 'outline',
+  approved: 'secondary',
+  exported: 'secondary',
+  paid: 'default',
+  rejected: 'destructive',
+};
+
+const BATCH_ACTION_DONE: Record<string, string> = {
+  approve: 'Batch approved',
+  reject: 'Batch rejected',
+  export: 'Batch exported for signing',
+  paid: 'Batch marked paid',
+};
+
+function jewel(value: string | undefined) {
+  return parseFloat(value || '0').toFixed(2);
+}
+
+function shortAddress(address: string) {
+  return `${address.slice(0, 6)}…${address.slice(-4)}`;
+}
+
+function FlowCard({ title, icon: Icon, totals, total }: { title: string; icon: React.ElementType; totals?: Record<string, FlowTotal>; total?: string }) {
+  return (
+    <Card>
+      <CardHeader className="pb-2">
+        <CardTitle className="text-sm font-medium flex items-center gap-2">
+          <Icon className="h-4 w-4" />
+          {title}
+        </CardTitle>
+        <CardDescription>{jewel(total)} JEWEL</CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-1">
+        {Object.entries(totals || {}).map(([key, value]) => (
+          <div key={key} className="flex justify-between text-sm" data-testid={`flow-${title.toLowerCase()}-${key}`}>
+            <span className="text-muted-foreground">{FLOW_LABELS[key] || key} ({value.count})</span>
+            <span className="font-mono">{jewel(value.amountJewel)}</span>
+          </div>
+        ))}
+      </CardContent>
+    </Card>
+  );
+}
+
+export default function AdminTreasury() {
+  const { toast } = useToast();
+  const [selectedBatchId, setSelectedBatchId] = useState<number | null>(null);
+  const [txHashes, setTxHashes] = useState<Record<number, string>>({});
+
+  const { data: summary, isLoading: summaryLoading } = useQuery<TreasurySummary>({
+    queryKey: ['/api/admin/treasury'],
+  });
+
+  const { data: batches, isLoading: batchesLoading } = useQuery<{ ok: boolean; results: PayoutBatch[] }>({
+    queryKey: ['/api/admin/payout-batches'],
+  });
+
+  const { data: batchDetail } = useQuery<{ ok: boolean; result: PayoutBatchDetail }>({
+    queryKey: ['/api/admin/payout-batches', selectedBatchId],
+    enabled: !!selectedBatchId,
+  });
+  const batch = batchDetail?.result;
+
+  const refresh = () => {
+    queryClient.invalidateQueries({ queryKey: ['/api/admin/treasury'] });
+    queryClient.invalidateQueries({ queryKey: ['/api/admin/payout-batches'] });
+  };
+
+  const onError = (title: string) => (error: any) => {
+    toast({ title, description: error.message || 'An error occurred', variant: 'destructive' });
+  };
+
+  const draftMutation = useMutation({
+    mutationFn: async () => {
+      const res = await apiRequest('POST', '/api/admin/payout-batches');
+      return res.json();
+    },
+    onSuccess: (data: any) => {
+      if (data.result) {
+        toast({ title: `Draft batch #${data.result.id}`, description: `${data.added} payout(s) added` });
+        setSelectedBatchId(data.result.id);
+      } else {
+        toast({ title: 'Nothing to pay out' });
+      }
+      refresh();
+    },
+    onError: onError('Failed to draft payout batch'),
+  });
+
+  const batchAction = useMutation({
+    mutationFn: async ({ id, action, body }: { id: number; action: 'approve' | 'reject' | 'export' | 'paid'; body?: unknown }) => {
+      const res = await apiRequest('POST', `/api/admin/payout-batches/${id}/${action}`, body);
+      return { action, data: await res.json() };
+    },
+    onSuccess: ({ action, data }) => {
+      if (action === 'export') {
+        // Hand the unsigned transactions to the offline signer as a file
+        const blob = new Blob([JSON.stringify(data.result, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `hedge-payout-batch-${data.result.batchId}.json`;
+        link.click();
+        URL.revokeObjectURL(url);
+      }
+      if (action === 'paid') setTxHashes({});
+      toast({ title: BATCH_ACTION_DONE[action] });
+      refresh();
+    },
+    onError: onError('Payout batch action failed'),
+  });
+
+  const cancelMutation = useMutation({
+    mutationFn: async (itemId: number) => {
+      const res = await apiRequest('POST', `/api/admin/payouts/${itemId}/cancel`);
+      return res.json();
+    },
+    onSuccess: () => {
+      toast({ title: 'Payout cancelled' });
+      refresh();
+    },
+    onError: onError('Failed to cancel payout'),
+  });
+
+  // Payouts of a rejected exported batch: paid by their signed tx, or never sent
+  const unsettledAction = useMutation({
+    mutationFn: async ({ itemId, action, body }: { itemId: number; action: 'settle' | 'void'; body?: unknown }) => {
+      const res = await apiRequest('POST', `/api/admin/payouts/${itemId}/${action}`, body);
+      return { action, itemId, data: await res.json() };
+    },
+    onSuccess: ({ action, itemId }) => {
+      setTxHashes(prev => ({ ...prev, [itemId]: '' }));
+      toast({ title: action === 'settle' ? 'Payout settled as paid' : 'Payout voided and queued again' });
+      refresh();
+    },
+    onError: onError('Failed to resolve payout'),
+  });
+
+  const busy = batchAction.isPending || cancelMutation.isPending || unsettledAction.isPending;
+  const hasUnsettled = batch?.items.some(item => item.status === 'unsettled');
+
+  return (
+    <div className="p-6 space-y-6" data-testid="admin-treasury-page">
+      <div className="flex items-center justify-between">
+        <div>
+          <h1 className="text-2xl font-bold">Treasury</h1>
+          <p className="text-muted-foreground">
+            Hedge wallet flows and prize payouts {summary?.wallet && <span className="font-mono text-xs">({shortAddress(summary.wallet)})</span>}
+          </p>
+        </div>
+        <Button onClick={() => draftMutation.mutate()} disabled={draftMutation.isPending} data-testid="button-draft-batch">
+          {draftMutation.isPending ? <Loader2 className="w-4 h-4 mr-2 animate-spin" /> : <FilePlus className="w-4 h-4 mr-2" />}
+          Draft payout batch
+        </Button>
+      </div>
+
+      {summaryLoading ? (
+        <Skeleton className="h-40 w-full" />
+      ) : (
+        <div className="grid gap-4 md:grid-cols-3">
+          <FlowCard title="Inflows" icon={ArrowDownLeft} totals={summary?.inflows} total={summary?.totalInflowJewel} />
+          <FlowCard title="Outflows" icon={ArrowUpRight} totals={summary?.outflows} total={summary?.totalOutflowJewel} />
+          <FlowCard title="Outstanding" icon={Wallet} totals={summary?.outstanding} total={summary?.outstandingJewel} />
+        </div>
+      )}
+      {summary && (
+        <p className="text-sm text-muted-foreground" data-testid="text-treasury-net">
+          Net over the last {summary.days} days: <span className="font-mono">{jewel(summary.netJewel)} JEWEL</span>
+          {summary.unpricedInflows > 0 && ` · ${summary.unpricedInflows} inflow(s) not yet priced`}
+          {summary.queued.length > 0 && ` · ${summary.queued.length} payout(s) queued for the next batch`}
+        </p>
+      )}
+
+      <Card>
+        <CardHeader>
+          <CardTitle>Payout batches</CardTitle>
+          <CardDescription>Drafted hourly from finished Level Racer pools, season reward claims and queued refunds</CardDescription>
+        </CardHeader>
+        <CardContent>
+          {batchesLoading ? (
+            <Skeleton className="h-24 w-full" />
+          ) : (
+            <Table>
+              <TableHeader>
+                <TableRow>
+                  <TableHead>Batch</TableHead>
+                  <TableHead>Status</TableHead>
+                  <TableHead className="text-right">Total (JEWEL)</TableHead>
+                  <TableHead>Created</TableHead>
+                  <TableHead>Approved by</TableHead>
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                {(batches?.results || []).map(row => (
+                  <TableRow
+                    key={row.id}
+                    className={`cursor-pointer ${row.id === selectedBatchId ? 'bg-muted' : ''}`}
+                    onClick={() => setSelectedBatchId(row.id)}
+                    data-testid={`row-batch-${row.id}`}
+                  >
+                    <TableCell>#{row.id}</TableCell>
+                    <TableCell><Badge variant={STATUS_VARIANTS[row.status] || 'outline'}>{row.status}</Badge></TableCell>
+                    <TableCell className="text-right font-mono">{jewel(row.totalJewel)}</TableCell>
+                    <TableCell>{new Date(row.createdAt).toLocaleString()}</TableCell>
+                    <TableCell>{row.approvedBy || '—'}</TableCell>
+                  </TableRow>
+                ))}
+                {batches?.results.length === 0 && (
+                  <TableRow>
+                    <TableCell colSpan={5} className="text-center text-muted-foreground">No payout batches yet</TableCell>
+                  </TableRow>
+                )}
+              </TableBody>
+            </Table>
+          )}
+        </CardContent>
+      </Card>
+
+      {batch && (
+        <Card data-testid="card-batch-detail">
+          <CardHeader className="flex flex-row items-center justify-between gap-2">
+            <div>
+              <CardTitle>Batch #{batch.id}</CardTitle>
+              <CardDescription>
+                {batch.items.length} payout(s), {jewel(batch.totalJewel)} JEWEL · {batch.status}
+                {batch.note && ` · ${batch.note}`}
+              </CardDescription>
+            </div>
+            <div className="flex gap-2">
+              {batch.status === 'draft' && (
+                <Button size="sm" disabled={busy} onClick={() => batchAction.mutate({ id: batch.id, action: 'approve' })} data-testid="button-approve-batch">
+                  <CheckCircle2 className="w-4 h-4 mr-2" />
+                  Approve
+                </Button>
+              )}
+              {(batch.status === 'approved' || batch.status === 'exported') && (
+                <Button size="sm" variant="outline" disabled={busy} onClick={() => batchAction.mutate({ id: batch.id, action: 'export' })} data-testid="button-export-batch">
+                  <Download className="w-4 h-4 mr-2" />
+                  {batch.status === 'exported' ? 'Re-export' : 'Export for signing'}
+                </Button>
+              )}
+              {batch.status === 'exported' && (
+                <Button
+                  size="sm"
+                  disabled={busy || batch.items.some(item => !txHashes[item.id])}
+                  onClick={() => batchAction.mutate({ id: batch.id, action: 'paid', body: { txHashes } })}
+                  data-testid="button-mark-paid"
+                >
+                  <CheckCircle2 className="w-4 h-4 mr-2" />
+                  Mark paid
+                </Button>
+              )}
+              {['draft', 'approved', 'exported'].includes(batch.status) && (
+                <Button size="sm" variant="destructive" disabled={busy} onClick={() => batchAction.mutate({ id: batch.id, action: 'reject' })} data-testid="button-reject-batch">
+                  <XCircle className="w-4 h-4 mr-2" />
+                  Reject
+                </Button>
+              )}
+            </div>
+          </CardHeader>
+          <CardContent>
+            <Table>
+              <TableHeader>
+                <TableRow>
+                  <TableHead>Payout</TableHead>
+                  <TableHead>Recipient</TableHead>
+                  <TableHead className="text-right">Amount</TableHead>
+                  <TableHead>Description</TableHead>
+                  <TableHead>{batch.status === 'exported' || hasUnsettled ? 'Tx hash' : batch.status === 'paid' ? 'Paid in' : ''}</TableHead>
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                {batch.items.map(item => (
+                  <TableRow key={item.id} data-testid={`row-payout-${item.id}`}>
+                    <TableCell>
+                      <div>#{item.id}</div>
+                      <div className="text-xs text-muted-foreground">{FLOW_LABELS[item.kind] || item.kind}</div>
+                    </TableCell>
+                    <TableCell className="font-mono text-xs">{shortAddress(item.recipientWallet)}</TableCell>
+                    <TableCell className="text-right font-mono">
+                      {parseFloat(item.amount).toFixed(4)} {item.token}
+                      {item.chain !== 'DFK Chain' && <div className="text-xs text-muted-foreground">{item.chain}</div>}
+                    </TableCell>
+                    <TableCell className="text-sm">{item.description}</TableCell>
+                    <TableCell>
+                      {batch.status === 'exported' && (
+                        <Input
+                          className="font-mono text-xs"
+                          placeholder="0x…"
+                          value={txHashes[item.id] || ''}
+                          onChange={(e) => setTxHashes(prev => ({ ...prev, [item.id]: e.target.value }))}
+                          data-testid={`input-tx-hash-${item.id}`}
+                        />
+                      )}
+                      {item.status === 'unsettled' && (
+                        <div className="flex gap-2">
+                          <Input
+                            className="font-mono text-xs"
+                            placeholder="0x… if it was sent"
+                            value={txHashes[item.id] || ''}
+                            onChange={(e) => setTxHashes(prev => ({ ...prev, [item.id]: e.target.value }))}
+                            data-testid={`input-settle-hash-${item.id}`}
+                          />
+                          <Button
+                            size="sm"
+                            disabled={busy || !txHashes[item.id]}
+                            onClick={() => unsettledAction.mutate({ itemId: item.id, action: 'settle', body: { txHash: txHashes[item.id] } })}
+                            data-testid={`button-settle-payout-${item.id}`}
+                          >
+                            Settle
+                          </Button>
+                          <Button size="sm" variant="ghost" disabled={busy} onClick={() => unsettledAction.mutate({ itemId: item.id, action: 'void' })} data-testid={`button-void-payout-${item.id}`}>
+                            Void
+                          </Button>
+                        </div>
+                      )}
+                      {batch.status !== 'exported' && item.status === 'paid' && item.txHash && (
+                        <span className="font-mono text-xs">{shortAddress(item.txHash)}</span>
+                      )}
+                      {batch.status === 'draft' && (
+                        <Button size="sm" variant="ghost" disabled={busy} onClick={() => cancelMutation.mutate(item.id)} data-testid={`button-cancel-payout-${item.id}`}>
+                          Cancel
+                        </Button>
+                      )}
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </CardContent>
+        </Card>
+      )}
+    </div>
+  );
+}
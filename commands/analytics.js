@@ -0,0 +1,67 @@
+// commands/analytics.js
+import { SlashCommandBuilder, EmbedBuilder } from 'discord.js';
+import { getAnalyticsForDiscord } from '../analytics.js';
+
+function userIsAdmin(interaction) {
+  const userId = interaction.user.id;
+  const userRoles = interaction.member?.roles?.cache?.map(r => r.id) || [];
+  const ownerId = process.env.OWNER_ID;
+  const adminRoleId = process.env.ADMIN_ROLE_ID;
+
+  if (userId === ownerId) return true;
+  if (adminRoleId && userRoles.includes(adminRoleId)) return true;
+  return false;
+}
+
+export default {
+  data: new SlashCommandBuilder()
+    .setName('analytics')
+    .setDescription('[ADMIN] View bot economic analytics')
+    .addStringOption(option =>
+      option
+        .setName('type')
+        .setDescription('Which report')
+        .setRequired(true)
+        .addChoices(
+          { name: 'Revenue summary', value: 'summary' },
+          { name: 'Query breakdown', value: 'breakdown' },
+          { name: 'True margin (LLM cost)', value: 'margin' },
+          { name: 'Top spenders', value: 'topspenders' },
+          { name: 'Free tier', value: 'freetier' },
+          { name: 'Daily trend', value: 'trend' },
+          { name: 'Refunds', value: 'refunds' }
+        ))
+    .addIntegerOption(option =>
+      option.setName('days').setDescription('Last N days (default: all time; 7 for trend)').setRequired(false))
+    .addIntegerOption(option =>
+      option.setName('limit').setDescription('Top N (for topspenders)').setRequired(false)),
+
+  async execute(interaction) {
+    // bot.js has already deferred the reply
+    if (!userIsAdmin(interaction)) {
+      await interaction.editReply('⛔ This command is only available to Hedge Admins.');
+      return;
+    }
+
+    const type = interaction.options.getString('type', true);
+    const days = interaction.options.getInteger('days');
+    const limit = interaction.options.getInteger('limit');
+
+    const options = {};
+    if (days) options.days = days;
+    if (limit) options.limit = limit;
+    if (days && type !== 'trend') {
+      options.startDate = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+    }
+
+    const data = await getAnalyticsForDiscord(type, options);
+    const embed = new EmbedBuilder()
+      .setColor(data.color)
+      .setTitle(data.title)
+      .setDescription(data.description)
+      .addFields(data.fields.slice(0, 25))
+      .setTimestamp(new Date(data.timestamp));
+
+    await interaction.editReply({ embeds: [embed] });
+  },
+};
@@ -1,9 +1,8 @@
 import { SlashCommandBuilder, EmbedBuilder } from 'discord.js';
 import { ethers } from 'ethers';
+import { getChainProvider } from '../src/services/rpcProviderRegistry.js';
 import lpStakingABI from '../LPStakingDiamond.json' with { type: 'json' };
 
-// DFK Chain RPC
-const DFK_CHAIN_RPC = 'https://subnets.avax.network/defi-kingdoms/dfk-chain/rpc';
 const LP_STAKING_ADDRESS = '0xB04e8D6aED037904B77A9F0b08002592925833b7';
 
 // DFK Chain garden pools (from official documentation)
@@ -47,7 +46,7 @@ export async function execute(interaction) {
       return interaction.editReply('❌ Invalid wallet address format');
     }
     
-    const provider = new ethers.JsonRpcProvider(DFK_CHAIN_RPC);
+    const provider = getChainProvider('dfk');
     const stakingContract = new ethers.Contract(LP_STAKING_ADDRESS, lpStakingABI, provider);
     
     console.log(`[DebugGarden] Checking wallet ${walletAddress} for garden stakes...`);
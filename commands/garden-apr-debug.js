@@ -1,5 +1,6 @@
 import { SlashCommandBuilder, EmbedBuilder } from 'discord.js';
 import { ethers } from 'ethers';
+import { getChainProvider } from '../src/services/rpcProviderRegistry.js';
 import { getCachedPoolAnalytics } from '../pool-cache.js';
 import { 
   computeFeeAprWithShare, 
@@ -54,8 +55,7 @@ const LP_TOKEN_ADDRESSES = {
 };
 
 const LP_STAKING_ADDRESS = '0xB04e8D6aED037904B77A9F0b08002592925833b7';
-const DFK_RPC = 'https://subnets.avax.network/defi-kingdoms/dfk-chain/rpc';
-const provider = new ethers.JsonRpcProvider(DFK_RPC);
+const provider = getChainProvider('dfk');
 
 const LP_STAKING_ABI = [
   'function getUserInfo(uint256 pid, address user) view returns (uint256 amount, int256 rewardDebt, uint256 lastDepositTimestamp)',
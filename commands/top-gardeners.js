@@ -568,6 +568,14 @@ export async function execute(interaction) {
     const usedPetIds = new Set();
     const topPairings = [];
     
+    // Check Rapid Renewal for all candidates at once (batched into one Multicall3 read).
+    // The power-up only exists on Crystalvale/DFK Chain.
+    const rrFlags = await Promise.all(
+      scoredHeroes.slice(0, 12).map(({ hero }) =>
+        hero._realm === 'crystalvale' ? isHeroRapidRenewalActive(walletAddress, hero.id) : false
+      )
+    );
+    
     for (let i = 0; i < Math.min(12, scoredHeroes.length); i++) {
       const { hero } = scoredHeroes[i];
       const bestMatch = findBestPetForHero(hero, gardeningPets, usedPetIds);
@@ -580,10 +588,7 @@ export async function execute(interaction) {
       const gardeningSkill = hero.gardening || 0; // Raw 0-100 scale from API
       const heroLevel = hero.level || 1;
       
-      // Check if hero has Rapid Renewal power-up (only exists on Crystalvale/DFK Chain)
-      const hasRR = hero._realm === 'crystalvale' 
-        ? await isHeroRapidRenewalActive(walletAddress, hero.id)
-        : false;
+      const hasRR = rrFlags[i];
       
       // Stamina per day calculation:
       // Base regen: 20 min/stam for ALL heroes = 72 stam/day
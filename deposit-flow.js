@@ -15,6 +15,9 @@
  * REMAINING MVP LIMITATIONS (future enhancements):
  * - 6-decimal uniqueness may have collisions under high volume (consider 8-12 decimals)
  * - 10-retry collision limit is arbitrary (should loop until success with timeout)
+ *
+ * Players who link a wallet with a signed message (/linkwallet, wallet-deposits.js)
+ * don't need a unique amount: anything their wallet sends is credited to them.
  * 
  * Production-Ready Architecture (per architect review):
  * - Accept baseAmountJewel as validated decimal string (≤18 decimals, ≥1 JEWEL)
@@ -250,6 +253,7 @@ export function formatDepositInstructions(depositRequest) {
 - Incorrect amounts cannot be processed
 
 **💡 Tip:** Copy the exact amount to avoid errors. The decimal places help me match your payment automatically.
+Tired of exact amounts? \`/linkwallet\` once and I'll credit anything your wallet sends me.
 
 Once you've sent the JEWEL, I'll detect it and credit your account. You'll receive a confirmation message when the deposit is processed.`;
 }
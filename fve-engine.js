@@ -418,9 +418,14 @@ export async function runDailyBatch() {
     const floorCount = await detectFloorHeroes(startDate);
     console.log(`   Marked ${floorCount} floor heroes for exclusion`);
 
-    // Step 3: Learn trait weights (TODO)
+    // Step 3: Learn trait weights
     console.log('\n🧠 Step 3: Learning trait weights...');
-    console.log('   [Not implemented yet]');
+    for (const realm of ['cv', 'sd']) {
+      const learned = await learnTraitWeights(startDate, realm);
+      console.log(learned
+        ? `   ${realm}: ${learned.trainingSamples} sales, R² ${learned.rSquared.toFixed(3)}`
+        : `   ${realm}: not enough sales`);
+    }
 
     // Step 4: Update similarity buckets (TODO)
     console.log('\n📊 Step 4: Updating similarity buckets...');
@@ -464,6 +469,199 @@ export async function runDailyBatch() {
   }
 }
 
+// ============================================================================
+// TRAIT WEIGHTS
+// ============================================================================
+
+const TRAIT_WEIGHT_LOOKBACK_DAYS = 30;
+const TRAIT_WEIGHT_MIN_SAMPLES = 50;
+const RIDGE_LAMBDA = 1;
+
+/**
+ * Regression features for a hero; one-hot traits are omitted when at baseline
+ * @param {Object} hero - { mainClass, profession, rarity, traitScore, generation, summonsLeft, level }
+ * @returns {Object} Feature name -> value (intercept excluded)
+ */
+export function traitFeatures(hero) {
+  const features = {};
+  if (hero.rarity > 0) features[`rarity_${hero.rarity}`] = 1;
+  if (hero.mainClass) features[`mainClass_${String(hero.mainClass).toLowerCase()}`] = 1;
+  if (hero.profession) features[`profession_${String(hero.profession).toLowerCase()}`] = 1;
+  features.traitScore = hero.traitScore || 0;
+  features.generation = hero.generation || 0;
+  features.summonsLeft = hero.summonsLeft || 0;
+  features.level = hero.level || 1;
+  return features;
+}
+
+/**
+ * Log price the learned weights predict for a hero
+ * @param {Object} weights - Feature name -> coefficient, plus intercept
+ * @param {Object} hero - See traitFeatures
+ * @returns {number} Natural log of the native-token price
+ */
+export function predictLogPrice(weights, hero) {
+  let logPrice = weights.intercept || 0;
+  for (const [name, value] of Object.entries(traitFeatures(hero))) {
+    logPrice += (weights[name] || 0) * value;
+  }
+  return logPrice;
+}
+
+// Solve A x = b in place (Gaussian elimination with partial pivoting)
+function solveLinearSystem(A, b) {
+  const n = b.length;
+  for (let col = 0; col < n; col++) {
+    let pivot = col;
+    for (let row = col + 1; row < n; row++) {
+      if (Math.abs(A[row][col]) > Math.abs(A[pivot][col])) pivot = row;
+    }
+    [A[col], A[pivot]] = [A[pivot], A[col]];
+    [b[col], b[pivot]] = [b[pivot], b[col]];
+    if (Math.abs(A[col][col]) < 1e-12) continue;
+    for (let row = col + 1; row < n; row++) {
+      const factor = A[row][col] / A[col][col];
+      if (factor === 0) continue;
+      for (let k = col; k < n; k++) A[row][k] -= factor * A[col][k];
+      b[row] -= factor * b[col];
+    }
+  }
+  const x = new Array(n).fill(0);
+  for (let row = n - 1; row >= 0; row--) {
+    if (Math.abs(A[row][row]) < 1e-12) continue;
+    let sum = b[row];
+    for (let k = row + 1; k < n; k++) sum -= A[row][k] * x[k];
+    x[row] = sum / A[row][row];
+  }
+  return x;
+}
+
+/**
+ * Fit trait weights: ridge regression of log sale price on rarity, class,
+ * profession, skill trait score, generation, summons left and level
+ * @param {Array<Object>} samples - traitFeatures() heroes with a positive `price`
+ * @param {Object} options - { lambda } (the intercept is not penalized)
+ * @returns {Object|null} { weights, trainingSamples, rSquared, residualStd }, null without samples
+ */
+export function fitTraitWeights(samples, { lambda = RIDGE_LAMBDA } = {}) {
+  const rows = samples
+    .filter(s => s.price > 0)
+    .map(s => ({ features: traitFeatures(s), y: Math.log(s.price) }));
+  if (rows.length === 0) return null;
+
+  const names = ['intercept', ...new Set(rows.flatMap(r => Object.keys(r.features)))];
+  const index = new Map(names.map((name, i) => [name, i]));
+  const n = names.length;
+  const XtX = Array.from({ length: n }, () => new Array(n).fill(0));
+  const Xty = new Array(n).fill(0);
+
+  for (const { features, y } of rows) {
+    const entries = [[0, 1], ...Object.entries(features).map(([name, value]) => [index.get(name), value])];
+    for (const [i, xi] of entries) {
+      Xty[i] += xi * y;
+      for (const [j, xj] of entries) XtX[i][j] += xi * xj;
+    }
+  }
+  for (let i = 1; i < n; i++) XtX[i][i] += lambda;
+
+  const beta = solveLinearSystem(XtX, Xty);
+  const weights = Object.fromEntries(names.map((name, i) => [name, beta[i]]));
+
+  const meanY = rows.reduce((sum, r) => sum + r.y, 0) / rows.length;
+  let ssRes = 0;
+  let ssTot = 0;
+  for (const { features, y } of rows) {
+    let predicted = weights.intercept;
+    for (const [name, value] of Object.entries(features)) predicted += weights[name] * value;
+    ssRes += (y - predicted) ** 2;
+    ssTot += (y - meanY) ** 2;
+  }
+
+  return {
+    weights,
+    trainingSamples: rows.length,
+    rSquared: ssTot > 0 ? 1 - ssRes / ssTot : 0,
+    residualStd: Math.sqrt(ssRes / Math.max(1, rows.length - 1))
+  };
+}
+
+/**
+ * Recent realm sales in the shape fitTraitWeights expects (native-token prices)
+ * @param {string} realm - 'cv' or 'sd'
+ * @param {Date} endDate - Window end
+ * @param {number} lookbackDays - Window length
+ * @returns {Promise<Array<Object>>}
+ */
+export async function loadTraitSamples(realm, endDate = new Date(), lookbackDays = TRAIT_WEIGHT_LOOKBACK_DAYS) {
+  const startDate = new Date(endDate.getTime() - lookbackDays * 24 * 60 * 60 * 1000);
+  const rows = await db.execute(sql`
+    SELECT main_class, profession, rarity, trait_score, generation, summons, max_summons, level,
+           COALESCE(purchase_price_native, price_amount)::float AS price
+    FROM tavern_sales
+    WHERE realm = ${realm}
+      AND main_class IS NOT NULL
+      AND rarity IS NOT NULL
+      AND sale_timestamp > ${startDate.toISOString()}::timestamptz
+      AND sale_timestamp <= ${endDate.toISOString()}::timestamptz
+      AND COALESCE(purchase_price_native, price_amount) > 0
+  `);
+
+  return rows.map(row => ({
+    mainClass: row.main_class,
+    profession: row.profession,
+    rarity: row.rarity || 0,
+    traitScore: row.trait_score || 0,
+    generation: row.generation || 0,
+    summonsLeft: Math.max(0, (row.max_summons || 0) - (row.summons || 0)),
+    level: row.level || 1,
+    price: Number(row.price)
+  }));
+}
+
+/**
+ * Learn and store trait weights for one realm and day
+ * @param {Date} asOfDate - Processing date
+ * @param {string} realm - 'cv' or 'sd'
+ * @returns {Promise<Object|null>} Fit summary, null when there are too few sales
+ */
+export async function learnTraitWeights(asOfDate, realm, { lookbackDays = TRAIT_WEIGHT_LOOKBACK_DAYS } = {}) {
+  const endDate = new Date(asOfDate.getTime() + 24 * 60 * 60 * 1000);
+  const samples = await loadTraitSamples(realm, endDate, lookbackDays);
+  if (samples.length < TRAIT_WEIGHT_MIN_SAMPLES) return null;
+
+  const fit = fitTraitWeights(samples);
+  const values = {
+    modelVersion: 'v1',
+    trainingSamples: fit.trainingSamples,
+    rSquared: fit.rSquared.toFixed(6),
+    weights: fit.weights,
+    trainingStartDate: new Date(endDate.getTime() - lookbackDays * 24 * 60 * 60 * 1000),
+    trainingEndDate: endDate,
+  };
+
+  await db
+    .insert(traitWeights)
+    .values({ asOfDate, realm, ...values })
+    .onConflictDoUpdate({ target: [traitWeights.asOfDate, traitWeights.realm], set: values });
+
+  return fit;
+}
+
+/**
+ * Most recent stored trait weights for a realm
+ * @param {string} realm - 'cv' or 'sd'
+ * @returns {Promise<Object|null>} trait_weights row
+ */
+export async function getLatestTraitWeights(realm) {
+  const [row] = await db
+    .select()
+    .from(traitWeights)
+    .where(eq(traitWeights.realm, realm))
+    .orderBy(desc(traitWeights.asOfDate))
+    .limit(1);
+  return row || null;
+}
+
 /**
  * Detect and mark floor heroes for exclusion
  * @param {Date} asOfDate - Processing date
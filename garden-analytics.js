@@ -1,4 +1,6 @@
 import { ethers } from 'ethers';
+import { getChainProvider } from './src/services/rpcProviderRegistry.js';
+import { batched } from './src/services/multicall.js';
 import lpStakingABI from './LPStakingDiamond.json' with { type: 'json' };
 import uniswapPairABI from './UniswapV2Pair.json' with { type: 'json' };
 import uniswapFactoryABI from './UniswapV2Factory.json' with { type: 'json' };
@@ -8,7 +10,6 @@ import { computeFeeAprPct } from './apr-utils.js';
 import { getLatestAggregate } from './src/etl/aggregation/poolDailyAggregator.js';
 
 // DFK Chain configuration
-const DFK_CHAIN_RPC = 'https://subnets.avax.network/defi-kingdoms/dfk-chain/rpc';
 const LP_STAKING_ADDRESS = '0xB04e8D6aED037904B77A9F0b08002592925833b7';
 const QUEST_CORE_V3_ADDRESS = '0x530fff22987E137e7C8D2aDcC4c15eb45b4FA752';
 const UNISWAP_V2_FACTORY = '0x794C07912474351b3134E6D6B3B7b3b4A07cbAAa';
@@ -20,7 +21,7 @@ const BLOCKS_PER_DAY = 43200; // ~2 second blocks
 // See apr-utils.js for full fee distribution documentation
 const LP_FEE_RATE = 0.002; // 0.20% LP share of swap fees
 
-const provider = new ethers.JsonRpcProvider(DFK_CHAIN_RPC);
+const provider = getChainProvider('dfk');
 const stakingContract = new ethers.Contract(LP_STAKING_ADDRESS, lpStakingABI, provider);
 const questCoreContract = new ethers.Contract(QUEST_CORE_V3_ADDRESS, questCoreABI, provider);
 const factoryContract = new ethers.Contract(UNISWAP_V2_FACTORY, uniswapFactoryABI, provider);
@@ -183,33 +184,37 @@ export async function enumerateAllPairs() {
  * Discover all pools from staking contract
  */
 export async function discoverPools() {
-  const poolLength = await stakingContract.getPoolLength();
-  const pools = [];
+  const poolLength = Number(await stakingContract.getPoolLength());
+  const batchedStaking = batched(stakingContract);
   
-  for (let pid = 0; pid < poolLength; pid++) {
-    try {
-      const poolInfo = await stakingContract.getPoolInfo(pid);
-      pools.push({
-        pid,
-        lpToken: poolInfo.lpToken,
-        allocPoint: poolInfo.allocPoint,
-        totalStaked: poolInfo.totalStaked,
-        lastRewardBlock: poolInfo.lastRewardBlock,
-        accRewardPerShare: poolInfo.accRewardPerShare
-      });
-    } catch (err) {
-      console.error(`Error fetching pool ${pid}:`, err.message);
-    }
-  }
+  // All getPoolInfo reads go out as one Multicall3 request; a failing pool is skipped
+  const pools = await Promise.all(
+    Array.from({ length: poolLength }, async (_, pid) => {
+      try {
+        const poolInfo = await batchedStaking.getPoolInfo(pid);
+        return {
+          pid,
+          lpToken: poolInfo.lpToken,
+          allocPoint: poolInfo.allocPoint,
+          totalStaked: poolInfo.totalStaked,
+          lastRewardBlock: poolInfo.lastRewardBlock,
+          accRewardPerShare: poolInfo.accRewardPerShare
+        };
+      } catch (err) {
+        console.error(`Error fetching pool ${pid}:`, err.message);
+        return null;
+      }
+    })
+  );
   
-  return pools;
+  return pools.filter(Boolean);
 }
 
 /**
  * Get LP token details (token0, token1, reserves, totalSupply)
  */
 export async function getLPTokenDetails(lpAddress) {
-  const lpContract = new ethers.Contract(lpAddress, uniswapPairABI, provider);
+  const lpContract = batched(new ethers.Contract(lpAddress, uniswapPairABI, provider));
   
   const [token0Address, token1Address, reserves, totalSupply] = await Promise.all([
     lpContract.token0(),
@@ -219,8 +224,8 @@ export async function getLPTokenDetails(lpAddress) {
   ]);
   
   // Get token metadata
-  const token0Contract = new ethers.Contract(token0Address, erc20ABI, provider);
-  const token1Contract = new ethers.Contract(token1Address, erc20ABI, provider);
+  const token0Contract = batched(new ethers.Contract(token0Address, erc20ABI, provider));
+  const token1Contract = batched(new ethers.Contract(token1Address, erc20ABI, provider));
   
   const [symbol0, symbol1, decimals0, decimals1] = await Promise.all([
     token0Contract.symbol().catch(() => 'UNKNOWN'),
@@ -284,18 +289,10 @@ export async function buildFocusedPriceGraph(gardenPools) {
   
   console.log(`Building focused price graph from ${lpTokens.size} LP tokens...`);
   
-  // Fetch LP details in parallel batches (batch size 6 for RPC friendliness)
-  const BATCH_SIZE = 6;
-  const lpArray = Array.from(lpTokens);
-  const allDetails = [];
-  
-  for (let i = 0; i < lpArray.length; i += BATCH_SIZE) {
-    const batch = lpArray.slice(i, i + BATCH_SIZE);
-    const batchResults = await Promise.all(
-      batch.map(lp => getLPTokenDetails(lp).catch(() => null))
-    );
-    allDetails.push(...batchResults.filter(d => d !== null));
-  }
+  // Fetch all LP details at once - reads are folded into Multicall3 batches
+  const allDetails = (await Promise.all(
+    Array.from(lpTokens, lp => getLPTokenDetails(lp).catch(() => null))
+  )).filter(d => d !== null);
   
   // Build edges from LP details
   for (const details of allDetails) {
@@ -671,7 +668,7 @@ export async function calculateEmissionAPR(pid, rewardTokenPrice, stakedLiquidit
  */
 async function getV1StakedAmount(lpAddress) {
   try {
-    const lpContract = new ethers.Contract(lpAddress, uniswapPairABI, provider);
+    const lpContract = batched(new ethers.Contract(lpAddress, uniswapPairABI, provider));
     const v1Balance = await lpContract.balanceOf(LEGACY_GARDENER);
     return parseFloat(ethers.formatEther(v1Balance));
   } catch (err) {
@@ -922,19 +919,26 @@ export async function getAllPoolAnalytics(limit = 100) {
     console.log(`[Analytics] Stage 5/5: Analyzing ${poolsToProcess} pools...`);
     const results = [];
     
+    // Contract reads for every pool up front (LP details + V1 staked), batched via Multicall3
+    const [lpDetailsList, v1StakedList] = await Promise.all([
+      Promise.all(allPools.map(pool => getLPTokenDetails(pool.lpToken).catch(err => err))),
+      Promise.all(allPools.map(pool => getV1StakedAmount(pool.lpToken))),
+    ]);
+    
     for (let i = 0; i < poolsToProcess; i++) {
       try {
         const pool = allPools[i];
         const poolStart = Date.now();
         
         // Get LP details
-        const lpDetails = await getLPTokenDetails(pool.lpToken);
+        const lpDetails = lpDetailsList[i];
+        if (lpDetails instanceof Error) throw lpDetails;
         
         // Progress indicator for each pool
         console.log(`[Analytics]   Pool ${i + 1}/${poolsToProcess}: ${lpDetails.pairName}`);
         
         // Get V1 staked amount from legacy gardener
-        const v1Staked = await getV1StakedAmount(pool.lpToken);
+        const v1Staked = v1StakedList[i];
         
         // Calculate TVL (now includes both V2 and V1 staked amounts)
         const tvlData = calculateTVL(lpDetails, priceGraph, pool.totalStaked, v1Staked);
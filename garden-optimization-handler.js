@@ -9,6 +9,7 @@ import {
 } from './wallet-lp-detector.js';
 import { getAllHeroesByOwner } from './onchain-data.js';
 import { isPaymentBypassEnabled } from './debug-settings.js';
+import { checkSpendControls } from './spend-controls.js';
 
 /**
  * Split a long message into chunks that fit within Discord's 2000 char limit
@@ -90,6 +91,12 @@ export async function handleGardenOptimizationDM(message, playerData, options =
         `🧪 Payment bypass is enabled. Say **proceed** to run your optimization now!`
       );
     } else {
+      // Don't ask for a payment the processor would refuse to charge (spend caps)
+      const spendCheck = playerData.id ? await checkSpendControls(playerData.id, '25', { confirmed: true }) : { allowed: true };
+      if (!spendCheck.allowed) {
+        await message.reply(`${summary}\n\n⛔ I can't run a garden optimization for you right now. ${spendCheck.reason}.`);
+        return { success: false, reason: 'spend_cap' };
+      }
       await message.reply(
         `${summary}\n\n` +
         `Full optimization (hero & pet assignments + APR uplift) costs **25 JEWEL**.\n\n` +
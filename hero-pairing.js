@@ -8,11 +8,10 @@
  */
 
 import { ethers } from 'ethers';
+import { getChainProvider } from './src/services/rpcProviderRegistry.js';
 import { readFileSync } from 'fs';
 import { decodeCurrentQuest, groupHeroesByGardenPool } from './garden-pairs.js';
 
-const DFK_RPC = 'https://subnets.avax.network/defi-kingdoms/dfk-chain/rpc';
-
 const QUESTCORE_V3_ADDRESS = '0x530fff22987E137e7C8D2aDcC4c15eb45b4FA752';
 
 const CRYSTAL_TOKEN = '0x04b9dA42306B023f3572e106B11D82aAd9D32EBb';
@@ -91,7 +90,7 @@ const QUESTCORE_ABI = [
 const ERC20_TRANSFER_TOPIC = ethers.id('Transfer(address,address,uint256)');
 const QUEST_REWARD_TOPIC = ethers.id('QuestReward(uint256,address,uint256,address,uint256)');
 
-const provider = new ethers.JsonRpcProvider(DFK_RPC);
+const provider = getChainProvider('dfk');
 const questContract = new ethers.Contract(QUESTCORE_V3_ADDRESS, QUESTCORE_ABI, provider);
 
 const QUEST_REWARD_ABI = [
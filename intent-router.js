@@ -5,28 +5,81 @@
  * GPT analyzes the user's intent and decides which tools to invoke.
  */
 
-const { OpenAI } = require('openai');
-const { ALL_TOOLS } = require('./agentic-tools');
-const fs = require('fs');
-const path = require('path');
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { ALL_TOOLS, FREE_TIER_TOOLS, TOOL_BASE_PRICES, TOOL_SOURCES } from './agentic-tools.js';
+import { chat } from './src/services/llmProvider.js';
+import { executeWithBalanceCheck } from './balance-middleware.js';
+import { listVerifiedWallets, normalizeAddress } from './wallet-deposits.js';
+import { getDiscordUserEntitlements } from './src/entitlements/entitlements.ts';
 
-const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
-const OPENAI_MODEL = process.env.OPENAI_MODEL || 'gpt-4o-mini';
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Agent loop limits
+const AGENT_MAX_STEPS = parseInt(process.env.AGENT_MAX_STEPS || '5', 10);
+const DEFAULT_TOOL_TIMEOUT_MS = 20000;
+const TOOL_TIMEOUTS_MS = {
+  get_wallet_gardens: 45000,
+  optimize_wallet_gardens: 90000,
+};
+// Tool output beyond this is cut before it goes back to the model
+const MAX_TOOL_RESULT_CHARS = 12000;
 
 // Load Hedge personality
 const HEDGE_PROMPT_PATH =
   process.env.HEDGE_PROMPT_PATH || path.join(__dirname, 'prompt', 'hedge-ledger.md');
 const hedgePersonality = fs.readFileSync(HEDGE_PROMPT_PATH, 'utf8');
 
+/**
+ * Only wallets the player proved they own (/linkwallet signature) can be optimized
+ *
+ * @returns {string} - The normalized address
+ */
+async function assertWalletOwnership(playerId, rawAddress) {
+  const wallet = normalizeAddress(rawAddress);
+  if (!playerId) {
+    throw new Error('Wallet ownership needs a registered player');
+  }
+  const verified = await listVerifiedWallets(playerId);
+  if (!verified.some((w) => w.address === wallet)) {
+    throw new Error(`${wallet} is not a verified wallet of this player - link it with /linkwallet first`);
+  }
+  return wallet;
+}
+
 /**
  * Default tool executor
  *
  * This is used when no custom toolExecutor is provided to routeAndExecute.
  * It wires key tools (especially gardens) to the real backend engines.
  */
-async function defaultToolExecutor(name, args) {
+async function defaultToolExecutor(name, args, context = {}) {
   try {
     switch (name) {
+      case 'get_linked_wallet': {
+        if (!context.userId) {
+          return { linked: false, wallets: [], note: 'No Discord user in context' };
+        }
+        const { db } = await import('./server/db.js');
+        const { players } = await import('./shared/schema.ts');
+        const { eq } = await import('drizzle-orm');
+        const [player] = await db
+          .select()
+          .from(players)
+          .where(eq(players.discordId, String(context.userId)))
+          .limit(1);
+        const wallets = player?.wallets || [];
+        const verified = player ? await listVerifiedWallets(player.id) : [];
+        return {
+          linked: wallets.length > 0 || !!player?.primaryWallet,
+          primaryWallet: player?.primaryWallet || wallets[0] || null,
+          wallets,
+          // Signature-verified via /linkwallet; only these can be optimized
+          verifiedWallets: verified.map((w) => w.address),
+        };
+      }
+
       case 'get_wallet_gardens': {
         const { detectWalletLPPositions } = await import('./wallet-lp-detector.js');
         const wallet = args.wallet_address;
@@ -43,9 +96,47 @@ async function defaultToolExecutor(name, args) {
 
       case 'get_garden_pools_free':
       case 'get_garden_pools_premium': {
-        const { getCachedPoolAnalytics } = await import('./pool-cache.js');
+        const { getCachedPoolAnalytics, getPoolDataDegradation } = await import('./pool-cache.js');
         const cache = getCachedPoolAnalytics();
-        return cache?.data || [];
+        const stale = getPoolDataDegradation(cache?.lastUpdated);
+        return {
+          pools: cache?.data || [],
+          lastUpdated: cache?.lastUpdated ? new Date(cache.lastUpdated).toISOString() : null,
+          // Paid callers get a partial refund for stale data (see runTool)
+          ...(stale && {
+            degraded: { severity: stale.severity, reason: `Garden pool data was ${stale.ageMinutes} minutes old.` },
+          }),
+        };
+      }
+
+      case 'optimize_wallet_gardens': {
+        const { detectWalletLPPositions, generatePoolOptimizations } = await import('./wallet-lp-detector.js');
+        const { getAllHeroesByOwner } = await import('./onchain-data.js');
+        if (!args.wallet_address) {
+          throw new Error('wallet_address is required for optimize_wallet_gardens');
+        }
+        const wallet = await assertWalletOwnership(context.playerId, args.wallet_address);
+        const [positions, heroes] = await Promise.all([
+          detectWalletLPPositions(wallet),
+          getAllHeroesByOwner(wallet),
+        ]);
+        if (!positions || positions.length === 0) {
+          return { wallet, positions: 0, recommendations: [], note: 'No staked LP positions found' };
+        }
+        return generatePoolOptimizations(positions, Array.isArray(heroes) ? heroes : [], {
+          hasLinkedWallet: true,
+          walletAddress: wallet,
+        });
+      }
+
+      case 'get_walkthrough': {
+        const { buildKnowledgeContext } = await import('./src/services/knowledgeIndex.js');
+        const knowledge = await buildKnowledgeContext(String(args.topic || ''));
+        return {
+          topic: args.topic,
+          context: knowledge.context || null,
+          citations: knowledge.citations || [],
+        };
       }
 
       // You can map more tools (hero, FVE, summon) here later as needed.
@@ -83,17 +174,16 @@ async function routeIntent(userMessage, context = {}) {
       },
     ];
 
-    // Call OpenAI with function calling enabled
-    const completion = await openai.chat.completions.create({
-      model: OPENAI_MODEL,
+    // Call the LLM with function calling enabled
+    const completion = await chat('agent', {
       messages,
       tools: ALL_TOOLS,
-      tool_choice: 'auto', // Let GPT decide whether to call tools
+      toolChoice: 'auto', // Let GPT decide whether to call tools
       temperature: 0.7,
     });
 
-    const responseMessage = completion.choices[0].message;
-    const tokensUsed = completion.usage.total_tokens;
+    const responseMessage = completion.message;
+    const tokensUsed = completion.usage?.totalTokens || 0;
 
     // Check if GPT wants to call any tools
     if (responseMessage.tool_calls && responseMessage.tool_calls.length > 0) {
@@ -196,15 +286,14 @@ async function executeToolsAndRespond(
     ];
 
     // Get final response from GPT
-    const completion = await openai.chat.completions.create({
-      model: OPENAI_MODEL,
+    const completion = await chat('agent', {
       messages,
       temperature: 0.7,
     });
 
     return {
-      response: completion.choices[0].message.content,
-      tokensUsed: completion.usage.total_tokens,
+      response: completion.content,
+      tokensUsed: completion.usage?.totalTokens || 0,
     };
   } catch (error) {
     console.error('Tool execution and response error:', error);
@@ -213,49 +302,313 @@ async function executeToolsAndRespond(
 }
 
 /**
- * Convenience wrapper: route + execute + respond in one call
- * 
+ * Reject if a tool takes longer than its budget
+ */
+function withTimeout(promise, ms, label) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(`${label} timed out after ${ms}ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+function parseToolArguments(tc) {
+  try {
+    return JSON.parse(tc.function.arguments || '{}');
+  } catch (error) {
+    console.error(`Failed to parse tool arguments for ${tc.function.name}:`, error);
+    return { error: 'Invalid tool arguments', raw: tc.function.arguments };
+  }
+}
+
+function serializeToolResult(payload) {
+  const json = JSON.stringify(payload);
+  if (json.length <= MAX_TOOL_RESULT_CHARS) return json;
+  return JSON.stringify({
+    source: payload.source,
+    truncated: true,
+    partial: json.slice(0, MAX_TOOL_RESULT_CHARS),
+  });
+}
+
+const INCLUDED_TOOL_FLAG_PREFIX = 'agent.tools.';
+
+/**
+ * Paid tools the player's subscription tier includes: the `agent.tools.<tool>` feature
+ * flags of the agent/tools entitlement rules (edited on the hedge-plans-access page)
+ */
+async function subscriptionIncludedTools(discordId) {
+  if (!discordId) return [];
+  try {
+    const { flags } = await getDiscordUserEntitlements('agent', 'tools', String(discordId));
+    return Object.entries(flags)
+      .filter(([flag, enabled]) => enabled && flag.startsWith(INCLUDED_TOOL_FLAG_PREFIX))
+      .map(([flag]) => flag.slice(INCLUDED_TOOL_FLAG_PREFIX.length));
+  } catch (error) {
+    console.warn('[Agent] Could not load subscription entitlements:', error.message);
+    return [];
+  }
+}
+
+/**
+ * Run one tool call. Free tools, and paid tools the player's subscription includes
+ * (context.includedTools), just run under their timeout. Paid tools go through
+ * executeWithBalanceCheck: balance and spend limits are checked first, the tool's
+ * TOOL_BASE_PRICES price is charged only after it succeeds, and a timeout is not charged.
+ * A result carrying `degraded: { severity, reason }` is partially refunded by the middleware.
+ *
+ * @returns {object} - { result, costJewel } (costJewel only for paid tools)
+ */
+async function runTool(name, args, context, toolExecutor, timeoutMs) {
+  const run = () => Promise.resolve(toolExecutor(name, args, context));
+  if (FREE_TIER_TOOLS.includes(name) || context.includedTools?.includes(name)) {
+    return { result: await withTimeout(run(), timeoutMs, name) };
+  }
+  if (!context.userId) {
+    throw new Error(`${name} is a paid tool and needs a Discord account to charge`);
+  }
+
+  const charged = await executeWithBalanceCheck(
+    String(context.userId),
+    name,
+    async () => {
+      const result = await run();
+      return { result, toolsUsed: [name], degraded: result?.degraded || null };
+    },
+    {
+      basePriceJewel: TOOL_BASE_PRICES[name],
+      timeoutMs,
+      confirmed: context.confirmed === true,
+      username: context.username,
+    }
+  );
+  if (!charged.success) {
+    const error = new Error(charged.error);
+    error.costJewel = charged.cost;
+    error.requiresConfirmation = charged.requiresConfirmation === true;
+    throw error;
+  }
+  return { result: charged.data.result, costJewel: charged.cost };
+}
+
+/**
+ * Format the sources footer appended to agent answers
+ *
+ * @param {array} sources - [{ id, tool, engine, ok, error, costJewel }]
+ * @returns {string}
+ */
+function formatSourcesFooter(sources) {
+  if (!sources.length) return '';
+  const lines = sources.map((src) => {
+    const status = src.ok ? '' : ` (failed: ${src.error})`;
+    const cost = src.costJewel ? ` - ${Number(src.costJewel)} JEWEL` : '';
+    return `[${src.id}] ${src.engine} - \`${src.tool}\`${cost}${status}`;
+  });
+  return `\n\n**Sources**\n${lines.join('\n')}`;
+}
+
+const AGENT_INSTRUCTIONS =
+  'You can call tools several times in a row: use the output of one tool to decide the next ' +
+  '(e.g. get_linked_wallet -> get_wallet_gardens -> optimize_wallet_gardens). Independent lookups ' +
+  'can be requested together. Every tool result carries a source tag like [1]; put that tag right ' +
+  'after any number you quote from it. Never state figures that did not come from a tool result. ' +
+  'If a tool failed, say so instead of guessing.';
+
+/**
+ * Run one of the agent's tool calls and fill in its source entry
+ *
+ * @returns {object} - Tool message payload ({ source, result } or { source, error })
+ */
+async function callAgentTool(tc, source, toolContext, toolExecutor, pendingConfirmations) {
+  const name = tc.function.name;
+  const timeoutMs = TOOL_TIMEOUTS_MS[name] || DEFAULT_TOOL_TIMEOUT_MS;
+  const started = Date.now();
+  try {
+    const { result, costJewel } = await runTool(name, parseToolArguments(tc), toolContext, toolExecutor, timeoutMs);
+    source.ok = true;
+    delete source.error;
+    if (costJewel) source.costJewel = costJewel;
+    return { source: `[${source.id}]`, result };
+  } catch (error) {
+    console.error(`Tool execution error (${name}):`, error.message);
+    source.ok = false;
+    source.error = error.message;
+    if (error.requiresConfirmation) {
+      pendingConfirmations.push({ tool: name, costJewel: error.costJewel, reason: error.message, sourceId: source.id, toolCall: tc });
+    }
+    return {
+      source: `[${source.id}]`,
+      error: error.message,
+      ...(error.requiresConfirmation ? { requiresConfirmation: true } : {}),
+    };
+  } finally {
+    source.durationMs = Date.now() - started;
+  }
+}
+
+/**
+ * Agent steps over a transcript until GPT answers or the step budget runs out
+ *
+ * @param {object} run - { messages, sources, toolsUsed }, extended in place
+ * @returns {object} - routeAndExecute() result
+ */
+async function runAgentSteps(run, toolContext, toolExecutor, maxSteps) {
+  const { messages, sources, toolsUsed } = run;
+  const pendingConfirmations = [];
+  let totalTokens = 0;
+  let response = null;
+  let steps = 0;
+
+  while (steps < maxSteps) {
+    steps++;
+    const isLastStep = steps === maxSteps;
+
+    let completion;
+    try {
+      completion = await chat('agent', {
+        messages,
+        tools: ALL_TOOLS,
+        toolChoice: isLastStep ? 'none' : 'auto',
+        temperature: 0.7,
+      });
+    } catch (error) {
+      console.error('Intent router error:', error);
+      throw new Error(`Failed to route intent: ${error.message}`);
+    }
+
+    totalTokens += completion.usage?.totalTokens || 0;
+    const assistantMessage = completion.message;
+
+    if (!assistantMessage.tool_calls || assistantMessage.tool_calls.length === 0) {
+      response = assistantMessage.content;
+      break;
+    }
+
+    messages.push(assistantMessage);
+
+    const results = await Promise.all(
+      assistantMessage.tool_calls.map(async (tc) => {
+        const name = tc.function.name;
+        const source = {
+          id: sources.length + 1,
+          tool: name,
+          engine: TOOL_SOURCES[name] || name,
+          step: steps,
+        };
+        sources.push(source);
+        toolsUsed.push(name);
+        return { tc, payload: await callAgentTool(tc, source, toolContext, toolExecutor, pendingConfirmations) };
+      })
+    );
+
+    for (const { tc, payload } of results) {
+      messages.push({
+        tool_call_id: tc.id,
+        role: 'tool',
+        name: tc.function.name,
+        content: serializeToolResult(payload),
+      });
+    }
+
+    console.log(`[Agent] Step ${steps}: ${results.map((r) => r.tc.function.name).join(', ')}`);
+  }
+
+  if (!response) {
+    response = "*flips through the ledger* I couldn't finish working that out. Try asking a narrower question.";
+  }
+
+  return {
+    response: response + formatSourcesFooter(sources),
+    toolsUsed,
+    sources,
+    pendingConfirmations,
+    resume: pendingConfirmations.length > 0 ? { messages, sources, toolsUsed, pendingConfirmations } : null,
+    steps,
+    totalTokens,
+  };
+}
+
+/**
+ * Agent loop: route + execute tools (over several steps) + respond
+ *
+ * Each step lets GPT request tools; all tool calls of a step run in parallel with
+ * per-tool timeouts, and their results are fed back for the next step. The loop ends
+ * when GPT answers without tools or the step budget runs out (the last step forbids
+ * tool calls so there is always an answer). The answer ends with a sources footer.
+ *
+ * Tools outside FREE_TIER_TOOLS are paid unless the player's subscription includes
+ * them (see runTool); a paid tool refused for
+ * being above the player's confirmation threshold is listed in pendingConfirmations,
+ * and once the player agrees the caller passes `resume` to resumeConfirmed(), which
+ * runs only those tools.
+ *
  * @param {string} userMessage - User's DM message
- * @param {object} context - Context (userId, conversationHistory)
+ * @param {object} context - Context (userId = Discord ID, playerId, username,
+ *   conversationHistory, maxSteps)
  * @param {function} toolExecutor - Function to execute tools (optional; defaults to built-in)
- * @returns {object} - { response: string, toolsUsed: array, totalTokens: number }
+ * @returns {object} - { response: string, toolsUsed: array, sources: array,
+ *   pendingConfirmations: array, resume: object|null, steps: number, totalTokens: number }
  */
 async function routeAndExecute(
   userMessage,
   context = {},
   toolExecutor = defaultToolExecutor
 ) {
-  // Step 1: Route intent
-  const routeResult = await routeIntent(userMessage, context);
+  const { conversationHistory = [], maxSteps = AGENT_MAX_STEPS } = context;
+  const toolContext = { ...context, includedTools: await subscriptionIncludedTools(context.userId) };
 
-  // Step 2: If no tools needed, return direct response
-  if (!routeResult.toolCalls || routeResult.toolCalls.length === 0) {
-    return {
-      response: routeResult.response,
-      toolsUsed: [],
-      totalTokens: routeResult.tokensUsed,
-    };
-  }
+  const messages = [
+    { role: 'system', content: hedgePersonality },
+    { role: 'system', content: AGENT_INSTRUCTIONS },
+    ...conversationHistory,
+    { role: 'user', content: userMessage },
+  ];
 
-  // Step 3: Execute tools and get final response
-  const { conversationHistory = [] } = context;
-  const finalResult = await executeToolsAndRespond(
-    routeResult.toolCalls,
-    routeResult.assistantMessage,
-    routeResult.userMessage,
-    conversationHistory,
-    toolExecutor
-  );
+  return runAgentSteps({ messages, sources: [], toolsUsed: [] }, toolContext, toolExecutor, maxSteps);
+}
 
-  return {
-    response: finalResult.response,
-    toolsUsed: routeResult.toolCalls.map((tc) => tc.name),
-    totalTokens: routeResult.tokensUsed + finalResult.tokensUsed,
+/**
+ * Finish a run after the player confirmed its pending paid tools
+ *
+ * Only the tools in resume.pendingConfirmations run (charged as confirmed); every
+ * other tool result, and its charge, is reused from the first run. Their refusals
+ * in the transcript are replaced with the real results and the agent carries on
+ * from there. Paid tools it calls afterwards go through the threshold again.
+ *
+ * @param {object} resume - routeAndExecute().resume
+ * @param {object} context - Same context as the first run
+ * @param {function} toolExecutor
+ * @returns {object} - routeAndExecute() result; sources include the first run's
+ */
+async function resumeConfirmed(resume, context = {}, toolExecutor = defaultToolExecutor) {
+  const { maxSteps = AGENT_MAX_STEPS } = context;
+  const toolContext = { ...context, includedTools: await subscriptionIncludedTools(context.userId) };
+  const run = {
+    messages: resume.messages.map((m) => ({ ...m })),
+    sources: resume.sources.map((s) => ({ ...s })),
+    toolsUsed: [...resume.toolsUsed],
   };
+
+  // Confirmed, so these can't come back as pending
+  const confirmedContext = { ...toolContext, confirmed: true };
+  await Promise.all(
+    resume.pendingConfirmations.map(async ({ toolCall, sourceId }) => {
+      const source = run.sources.find((s) => s.id === sourceId);
+      const payload = await callAgentTool(toolCall, source, confirmedContext, toolExecutor, []);
+      const message = run.messages.find((m) => m.role === 'tool' && m.tool_call_id === toolCall.id);
+      message.content = serializeToolResult(payload);
+    })
+  );
+
+  return runAgentSteps(run, toolContext, toolExecutor, maxSteps);
 }
 
-module.exports = {
+export {
+  assertWalletOwnership,
+  defaultToolExecutor,
   routeIntent,
   executeToolsAndRespond,
   routeAndExecute,
+  resumeConfirmed,
+  formatSourcesFooter,
 };
\ No newline at end of file
@@ -0,0 +1,723 @@
+/**
+ * JEWEL Ledger
+ *
+ * Append-only double-entry journal for player JEWEL balances.
+ *
+ * Architecture:
+ * - Every balance change is a journal entry (ledger_entries) with postings
+ *   (ledger_postings) whose debits equal its credits
+ * - A player's balance is the credit balance of their `player:<id>` account;
+ *   nothing is ever updated in place
+ * - jewel_balances is kept as a cache of the journal (balance, lifetime deposits,
+ *   tier) so existing dashboards keep reading it, refreshed in the same transaction
+ * - Entries carry an external reference (tx hash, query id, promo code) that is
+ *   unique per entry type, so re-posting the same event is a no-op
+ *
+ * Accounts:
+ *   player:<id>                 what Hedge owes the player (credit-normal)
+ *   asset:hedge_wallet          JEWEL received on-chain
+ *   revenue:queries             query / service charges
+ *   revenue:subscriptions       subscription plan charges
+ *   revenue:refunds             refunds given back (contra-revenue)
+ *   expense:promotions          promo and referral credits
+ *   equity:adjustments          manual admin corrections
+ *   equity:opening_balances     balances carried over from before the ledger
+ *
+ * Entries:
+ *   deposit              Dr asset:hedge_wallet       Cr player
+ *   query_charge         Dr player                   Cr revenue:queries
+ *   subscription_charge  Dr player                   Cr revenue:subscriptions
+ *   refund               Dr revenue:refunds          Cr player
+ *   promo_credit         Dr expense:promotions       Cr player
+ *   admin_adjustment     Dr equity:adjustments       Cr player  (reversed for negative amounts)
+ *   opening_balance      Dr equity:opening_balances  Cr player
+ */
+
+import Decimal from 'decimal.js';
+import { db } from './server/db.js';
+import { ledgerEntries, ledgerPostings, gardenOptimizations } from './shared/schema.ts';
+import { eq, and, desc, isNotNull, sql } from 'drizzle-orm';
+
+export const LEDGER_ACCOUNTS = {
+  HEDGE_WALLET: 'asset:hedge_wallet',
+  QUERY_REVENUE: 'revenue:queries',
+  SUBSCRIPTION_REVENUE: 'revenue:subscriptions',
+  REFUNDS: 'revenue:refunds',
+  PROMOTIONS: 'expense:promotions',
+  ADJUSTMENTS: 'equity:adjustments',
+  OPENING_BALANCES: 'equity:opening_balances'
+};
+
+export const ENTRY_TYPES = ['deposit', 'query_charge', 'subscription_charge', 'refund', 'promo_credit', 'admin_adjustment', 'opening_balance'];
+
+// Tier thresholds (lifetime deposits)
+const TIER_THRESHOLDS = {
+  bronze: new Decimal(100),
+  silver: new Decimal(500),
+  gold: new Decimal(2000),
+  whale: new Decimal(10000)
+};
+
+let tablesReady = false;
+
+export function playerAccount(playerId) {
+  return `player:${playerId}`;
+}
+
+/**
+ * Calculate player tier based on lifetime deposits
+ *
+ * @param {string} lifetimeDepositsJewel - Lifetime deposits (JEWEL string)
+ * @returns {string} - Tier: 'free', 'bronze', 'silver', 'gold', 'whale'
+ */
+export function calculateTier(lifetimeDepositsJewel) {
+  const lifetime = new Decimal(lifetimeDepositsJewel);
+
+  if (lifetime.greaterThanOrEqualTo(TIER_THRESHOLDS.whale)) return 'whale';
+  if (lifetime.greaterThanOrEqualTo(TIER_THRESHOLDS.gold)) return 'gold';
+  if (lifetime.greaterThanOrEqualTo(TIER_THRESHOLDS.silver)) return 'silver';
+  if (lifetime.greaterThanOrEqualTo(TIER_THRESHOLDS.bronze)) return 'bronze';
+  return 'free';
+}
+
+/**
+ * Create ledger tables (and the append-only guard) on databases that predate them
+ */
+export async function ensureLedgerTables() {
+  if (tablesReady) return;
+
+  await db.execute(sql`
+    CREATE TABLE IF NOT EXISTS ledger_entries (
+      id SERIAL PRIMARY KEY,
+      entry_type TEXT NOT NULL,
+      player_id INTEGER REFERENCES players(id),
+      external_ref TEXT,
+      description TEXT,
+      metadata JSON DEFAULT '{}'::json,
+      created_by TEXT,
+      created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP NOT NULL
+    )
+  `);
+  await db.execute(sql`CREATE UNIQUE INDEX IF NOT EXISTS ledger_entries_type_ref_idx ON ledger_entries (entry_type, external_ref)`);
+  await db.execute(sql`CREATE INDEX IF NOT EXISTS ledger_entries_player_idx ON ledger_entries (player_id, created_at)`);
+
+  await db.execute(sql`
+    CREATE TABLE IF NOT EXISTS ledger_postings (
+      id SERIAL PRIMARY KEY,
+      entry_id INTEGER NOT NULL REFERENCES ledger_entries(id),
+      account TEXT NOT NULL,
+      direction TEXT NOT NULL CHECK (direction IN ('debit', 'credit')),
+      amount_jewel NUMERIC(30, 18) NOT NULL CHECK (amount_jewel > 0),
+      created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP NOT NULL
+    )
+  `);
+  await db.execute(sql`CREATE INDEX IF NOT EXISTS ledger_postings_entry_idx ON ledger_postings (entry_id)`);
+  await db.execute(sql`CREATE INDEX IF NOT EXISTS ledger_postings_account_idx ON ledger_postings (account)`);
+
+  // Corrections are new entries, never edits
+  await db.execute(sql`
+    CREATE OR REPLACE FUNCTION ledger_append_only() RETURNS trigger AS $$
+    BEGIN
+      RAISE EXCEPTION 'ledger tables are append-only (% on %)', TG_OP, TG_TABLE_NAME;
+    END;
+    $$ LANGUAGE plpgsql
+  `);
+  for (const table of ['ledger_entries', 'ledger_postings']) {
+    await db.execute(sql.raw(`DROP TRIGGER IF EXISTS ${table}_append_only ON ${table}`));
+    await db.execute(sql.raw(`CREATE TRIGGER ${table}_append_only BEFORE UPDATE OR DELETE ON ${table} FOR EACH ROW EXECUTE FUNCTION ledger_append_only()`));
+  }
+
+  tablesReady = true;
+}
+
+/**
+ * Credit balance of an account (credits - debits), inside the given executor
+ */
+async function accountBalance(executor, account) {
+  const [row] = await executor
+    .select({
+      credits: sql`coalesce(sum(case when ${ledgerPostings.direction} = 'credit' then ${ledgerPostings.amountJewel} else 0 end), 0)`,
+      debits: sql`coalesce(sum(case when ${ledgerPostings.direction} = 'debit' then ${ledgerPostings.amountJewel} else 0 end), 0)`
+    })
+    .from(ledgerPostings)
+    .where(eq(ledgerPostings.account, account));
+
+  return new Decimal(row.credits).minus(row.debits);
+}
+
+async function lifetimeDeposits(executor, playerId) {
+  const [row] = await executor
+    .select({ total: sql`coalesce(sum(${ledgerPostings.amountJewel}), 0)` })
+    .from(ledgerPostings)
+    .innerJoin(ledgerEntries, eq(ledgerPostings.entryId, ledgerEntries.id))
+    .where(and(
+      eq(ledgerEntries.entryType, 'deposit'),
+      eq(ledgerPostings.account, playerAccount(playerId)),
+      eq(ledgerPostings.direction, 'credit')
+    ));
+
+  const [carried] = await executor
+    .select({ total: sql`coalesce(sum((${ledgerEntries.metadata}->>'carriedLifetimeDepositsJewel')::numeric), 0)` })
+    .from(ledgerEntries)
+    .where(and(eq(ledgerEntries.entryType, 'opening_balance'), eq(ledgerEntries.playerId, playerId)));
+
+  return new Decimal(row.total).plus(carried.total);
+}
+
+/**
+ * A player's balance, lifetime deposits and tier, computed from the journal
+ */
+async function derivedBalance(executor, playerId) {
+  const balance = await accountBalance(executor, playerAccount(playerId));
+  const lifetime = await lifetimeDeposits(executor, playerId);
+  return {
+    balanceJewel: balance.toFixed(18),
+    lifetimeDepositsJewel: lifetime.toFixed(18),
+    tier: calculateTier(lifetime.toString())
+  };
+}
+
+/**
+ * Refresh the jewel_balances cache row for a player from the journal
+ */
+async function refreshBalanceCache(executor, playerId, { deposited = false } = {}) {
+  const derived = await derivedBalance(executor, playerId);
+  const { balanceJewel, lifetimeDepositsJewel, tier } = derived;
+
+  const updated = await executor.execute(sql`
+    UPDATE jewel_balances
+    SET balance_jewel = ${balanceJewel},
+        lifetime_deposits_jewel = ${lifetimeDepositsJewel},
+        tier = ${tier},
+        last_deposit_at = CASE WHEN ${deposited} THEN CURRENT_TIMESTAMP ELSE last_deposit_at END,
+        updated_at = CURRENT_TIMESTAMP
+    WHERE player_id = ${playerId}
+    RETURNING player_id
+  `);
+  const rows = Array.isArray(updated) ? updated : (updated.rows || []);
+
+  if (rows.length === 0) {
+    await executor.execute(sql`
+      INSERT INTO jewel_balances (player_id, balance_jewel, lifetime_deposits_jewel, tier, last_deposit_at, created_at, updated_at)
+      VALUES (${playerId}, ${balanceJewel}, ${lifetimeDepositsJewel}, ${tier},
+              ${deposited ? sql`CURRENT_TIMESTAMP` : null}, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+    `);
+  }
+
+  return derived;
+}
+
+/**
+ * Reject malformed entries before they reach the database: unknown type,
+ * non-positive amounts, bad directions, or debits that don't equal credits
+ */
+export function validateJournalEntry(entry) {
+  if (!ENTRY_TYPES.includes(entry.entryType)) {
+    throw new Error(`Unknown ledger entry type: ${entry.entryType}`);
+  }
+
+  // Only opening balances may carry no postings (a zero balance with lifetime deposits)
+  if (entry.postings.length === 0 && entry.entryType !== 'opening_balance') {
+    throw new Error('Ledger entries need at least one posting');
+  }
+
+  let debits = new Decimal(0);
+  let credits = new Decimal(0);
+  for (const posting of entry.postings) {
+    const amount = new Decimal(posting.amountJewel);
+    if (amount.lessThanOrEqualTo(0)) {
+      throw new Error(`Ledger posting amounts must be positive (got ${posting.amountJewel} on ${posting.account})`);
+    }
+    if (posting.direction === 'debit') debits = debits.plus(amount);
+    else if (posting.direction === 'credit') credits = credits.plus(amount);
+    else throw new Error(`Invalid posting direction: ${posting.direction}`);
+  }
+  if (!debits.equals(credits)) {
+    throw new Error(`Unbalanced ledger entry: debits ${debits.toString()} != credits ${credits.toString()}`);
+  }
+}
+
+/**
+ * Post a balanced journal entry.
+ *
+ * @param {object} entry
+ * @param {string} entry.entryType - One of ENTRY_TYPES
+ * @param {number} [entry.playerId] - Player the entry concerns (their balance cache is refreshed)
+ * @param {Array<{account: string, direction: 'debit'|'credit', amountJewel: string}>} entry.postings
+ * @param {string} [entry.externalRef] - Idempotency key, unique per entry type
+ * @param {string} [entry.description]
+ * @param {object} [entry.metadata]
+ * @param {string} [entry.createdBy='system']
+ * @param {string} [entry.requireFundsFrom] - Account that must not go negative (query charges)
+ * @param {object} [options]
+ * @param {object} [options.tx] - Existing drizzle transaction to post inside
+ * @returns {object} - { entry, duplicate, balance } (balance is the player's cached balance after posting)
+ */
+export async function postJournalEntry(entry, { tx } = {}) {
+  validateJournalEntry(entry);
+  await ensureLedgerTables();
+
+  const run = async (t) => {
+    // Serialize postings per player so balance checks can't race
+    if (entry.playerId) {
+      await t.execute(sql`SELECT pg_advisory_xact_lock(hashtext(${playerAccount(entry.playerId)}))`);
+    }
+
+    if (entry.externalRef) {
+      const [existing] = await t
+        .select()
+        .from(ledgerEntries)
+        .where(and(eq(ledgerEntries.entryType, entry.entryType), eq(ledgerEntries.externalRef, entry.externalRef)))
+        .limit(1);
+      if (existing) {
+        const balance = entry.playerId ? await derivedBalance(t, entry.playerId) : null;
+        return { entry: existing, duplicate: true, balance };
+      }
+    }
+
+    if (entry.requireFundsFrom) {
+      const available = await accountBalance(t, entry.requireFundsFrom);
+      const required = entry.postings
+        .filter(p => p.account === entry.requireFundsFrom && p.direction === 'debit')
+        .reduce((sum, p) => sum.plus(p.amountJewel), new Decimal(0));
+      if (available.lessThan(required)) {
+        throw new Error(`Insufficient balance: ${available.toString()} < ${required.toString()} JEWEL`);
+      }
+    }
+
+    const [created] = await t
+      .insert(ledgerEntries)
+      .values({
+        entryType: entry.entryType,
+        playerId: entry.playerId ?? null,
+        externalRef: entry.externalRef ?? null,
+        description: entry.description ?? null,
+        metadata: entry.metadata || {},
+        createdBy: entry.createdBy || 'system'
+      })
+      .returning();
+
+    if (entry.postings.length > 0) {
+      await t.insert(ledgerPostings).values(entry.postings.map(p => ({
+        entryId: created.id,
+        account: p.account,
+        direction: p.direction,
+        amountJewel: new Decimal(p.amountJewel).toFixed(18)
+      })));
+    }
+
+    const balance = entry.playerId
+      ? await refreshBalanceCache(t, entry.playerId, { deposited: entry.entryType === 'deposit' })
+      : null;
+
+    return { entry: created, duplicate: false, balance };
+  };
+
+  const result = tx ? await run(tx) : await db.transaction(run);
+
+  if (result.duplicate) {
+    console.log(`[Ledger] ${entry.entryType} ${entry.externalRef} already posted as entry #${result.entry.id} - skipping`);
+  } else {
+    const amount = entry.postings.filter(p => p.direction === 'debit').reduce((sum, p) => sum.plus(p.amountJewel), new Decimal(0));
+    console.log(`[Ledger] Entry #${result.entry.id} ${entry.entryType} ${amount.toString()} JEWEL${entry.playerId ? ` (player #${entry.playerId})` : ''}`);
+  }
+  return result;
+}
+
+function creditPlayer(entryType, fromAccount, { playerId, amountJewel, ...rest }) {
+  return {
+    entryType,
+    playerId,
+    ...rest,
+    postings: [
+      { account: fromAccount, direction: 'debit', amountJewel },
+      { account: playerAccount(playerId), direction: 'credit', amountJewel }
+    ]
+  };
+}
+
+/**
+ * Ledger key for an on-chain transfer: the tx hash for native JEWEL, plus the
+ * log index for token transfers (one tx can carry several Transfer events)
+ */
+export function transferRef(txHash, logIndex = null) {
+  const hash = txHash.toLowerCase();
+  return logIndex == null ? hash : `${hash}:${logIndex}`;
+}
+
+/**
+ * Record a payment received on-chain for a player (idempotent on transferRef)
+ *
+ * @param {object} params
+ * @param {string} params.amountJewel - JEWEL credited (the JEWEL-equivalent for other tokens)
+ * @param {number} [params.logIndex] - Transfer event log index, for ERC-20 payments
+ * @param {object} [params.conversion] - For non-JEWEL payments: token, tokenAmount, USD prices and rate
+ *   from payment-tokens.js, kept on the entry so the credit can be re-derived
+ */
+export function recordDeposit({ playerId, amountJewel, txHash, logIndex = null, chain = null, fromWallet = null, source = 'deposit_request', conversion = null }, options) {
+  return postJournalEntry(creditPlayer('deposit', LEDGER_ACCOUNTS.HEDGE_WALLET, {
+    playerId,
+    amountJewel,
+    externalRef: transferRef(txHash, logIndex),
+    description: conversion
+      ? `On-chain deposit (${source}, ${conversion.tokenAmount} ${conversion.token})`
+      : `On-chain deposit (${source})`,
+    metadata: { txHash, logIndex, chain, fromWallet, source, ...(conversion ? { conversion } : {}) }
+  }), options);
+}
+
+/**
+ * Charge a player for a query or service; fails if their balance is too low
+ *
+ * @param {object} params
+ * @param {string} [params.externalRef] - Set when the charge has a natural id (e.g. garden optimization #id)
+ */
+export function recordQueryCharge({ playerId, amountJewel, queryType, externalRef = null, metadata = {} }, options) {
+  return postJournalEntry({
+    entryType: 'query_charge',
+    playerId,
+    externalRef,
+    description: `Charge for ${queryType}`,
+    metadata: { queryType, ...metadata },
+    requireFundsFrom: playerAccount(playerId),
+    postings: [
+      { account: playerAccount(playerId), direction: 'debit', amountJewel },
+      { account: LEDGER_ACCOUNTS.QUERY_REVENUE, direction: 'credit', amountJewel }
+    ]
+  }, options);
+}
+
+/**
+ * Charge a player for a subscription period; fails if their balance is too low
+ *
+ * @param {object} params
+ * @param {string} params.externalRef - One charge per subscription period (e.g. subscription:12:2026-11-01)
+ */
+export function recordSubscriptionCharge({ playerId, amountJewel, planId, externalRef, metadata = {} }, options) {
+  return postJournalEntry({
+    entryType: 'subscription_charge',
+    playerId,
+    externalRef,
+    description: `Subscription: ${planId}`,
+    metadata: { planId, ...metadata },
+    requireFundsFrom: playerAccount(playerId),
+    postings: [
+      { account: playerAccount(playerId), direction: 'debit', amountJewel },
+      { account: LEDGER_ACCOUNTS.SUBSCRIPTION_REVENUE, direction: 'credit', amountJewel }
+    ]
+  }, options);
+}
+
+export function recordRefund({ playerId, amountJewel, reason, externalRef = null, metadata = {}, createdBy }, options) {
+  return postJournalEntry(creditPlayer('refund', LEDGER_ACCOUNTS.REFUNDS, {
+    playerId,
+    amountJewel,
+    externalRef,
+    description: `Refund: ${reason}`,
+    metadata: { reason, ...metadata },
+    createdBy
+  }), options);
+}
+
+export function recordPromoCredit({ playerId, amountJewel, code, externalRef = null, metadata = {} }, options) {
+  return postJournalEntry(creditPlayer('promo_credit', LEDGER_ACCOUNTS.PROMOTIONS, {
+    playerId,
+    amountJewel,
+    externalRef,
+    description: `Promo credit (${code})`,
+    metadata: { code, ...metadata }
+  }), options);
+}
+
+/**
+ * Manual correction by an admin. Positive amounts credit the player, negative amounts debit them.
+ */
+export function recordAdminAdjustment({ playerId, amountJewel, reason, adminId }, options) {
+  const amount = new Decimal(amountJewel);
+  if (amount.isZero()) {
+    throw new Error('Adjustment amount must be non-zero');
+  }
+  if (!reason) {
+    throw new Error('Adjustments require a reason');
+  }
+
+  const abs = amount.abs().toString();
+  const toPlayer = amount.isPositive();
+  return postJournalEntry({
+    entryType: 'admin_adjustment',
+    playerId,
+    description: `Admin adjustment: ${reason}`,
+    metadata: { reason, signedAmountJewel: amount.toString() },
+    createdBy: adminId,
+    // Debiting a player can't take them below zero
+    requireFundsFrom: toPlayer ? null : playerAccount(playerId),
+    postings: [
+      { account: toPlayer ? LEDGER_ACCOUNTS.ADJUSTMENTS : playerAccount(playerId), direction: 'debit', amountJewel: abs },
+      { account: toPlayer ? playerAccount(playerId) : LEDGER_ACCOUNTS.ADJUSTMENTS, direction: 'credit', amountJewel: abs }
+    ]
+  }, options);
+}
+
+/**
+ * Player balance and lifetime deposits, derived from the journal
+ *
+ * @param {number} playerId - Player's database ID
+ * @returns {object} - { balanceJewel, lifetimeDepositsJewel, tier }
+ */
+export async function getLedgerBalance(playerId) {
+  await ensureLedgerTables();
+  return derivedBalance(db, playerId);
+}
+
+/**
+ * A player's journal, newest first, with their side of each entry as a signed amount
+ */
+export async function getPlayerJournal(playerId, { limit = 100 } = {}) {
+  await ensureLedgerTables();
+  const account = playerAccount(playerId);
+
+  const rows = await db
+    .select({
+      id: ledgerEntries.id,
+      entryType: ledgerEntries.entryType,
+      externalRef: ledgerEntries.externalRef,
+      description: ledgerEntries.description,
+      metadata: ledgerEntries.metadata,
+      createdBy: ledgerEntries.createdBy,
+      createdAt: ledgerEntries.createdAt,
+      direction: ledgerPostings.direction,
+      amountJewel: ledgerPostings.amountJewel
+    })
+    .from(ledgerEntries)
+    .innerJoin(ledgerPostings, eq(ledgerPostings.entryId, ledgerEntries.id))
+    .where(eq(ledgerPostings.account, account))
+    .orderBy(desc(ledgerEntries.id))
+    .limit(limit);
+
+  return rows.map(({ direction, amountJewel, ...row }) => ({
+    ...row,
+    amountJewel: direction === 'credit' ? new Decimal(amountJewel).toString() : new Decimal(amountJewel).negated().toString()
+  }));
+}
+
+/**
+ * Carry pre-ledger jewel_balances into the journal as opening_balance entries.
+ * Players who already have ledger entries are left alone, so this is safe to re-run.
+ */
+export async function backfillOpeningBalances() {
+  await ensureLedgerTables();
+
+  const result = await db.execute(sql`
+    SELECT jb.player_id, jb.balance_jewel, jb.lifetime_deposits_jewel
+    FROM jewel_balances jb
+    WHERE (CAST(jb.balance_jewel AS NUMERIC) > 0 OR CAST(jb.lifetime_deposits_jewel AS NUMERIC) > 0)
+      AND NOT EXISTS (SELECT 1 FROM ledger_entries le WHERE le.player_id = jb.player_id)
+  `);
+  const rows = Array.isArray(result) ? result : (result.rows || []);
+
+  for (const row of rows) {
+    const balance = new Decimal(row.balance_jewel || 0);
+    // Lifetime deposits drive tiers, so the pre-ledger total is carried in the entry's metadata
+    await postJournalEntry({
+      entryType: 'opening_balance',
+      playerId: row.player_id,
+      externalRef: `player:${row.player_id}`,
+      description: 'Balance carried over from jewel_balances',
+      metadata: { carriedLifetimeDepositsJewel: new Decimal(row.lifetime_deposits_jewel || 0).toString() },
+      postings: balance.greaterThan(0)
+        ? [
+            { account: LEDGER_ACCOUNTS.OPENING_BALANCES, direction: 'debit', amountJewel: balance.toString() },
+            { account: playerAccount(row.player_id), direction: 'credit', amountJewel: balance.toString() }
+          ]
+        : []
+    });
+  }
+
+  if (rows.length > 0) {
+    console.log(`[Ledger] Backfilled opening balances for ${rows.length} players`);
+  }
+  return { players: rows.length };
+}
+
+/**
+ * Integrity check:
+ * 1. Every entry balances (debits == credits)
+ * 2. The jewel_balances cache matches the journal
+ * 3. Deposits reconcile with payments verified on-chain (garden optimization
+ *    payments matched by transaction-monitor-v2, completed deposit requests):
+ *    no verified payment without a deposit entry, no deposit entry without a
+ *    verified payment, and matching amounts. Linked-wallet deposits
+ *    (wallet-deposits.js) must come from a wallet the player had verified by
+ *    then, and admin-reviewed ones must be the queued transfer credited to them.
+ *    With verifyOnChain, each deposit is also looked up on RouteScan.
+ *
+ * @param {object} [options]
+ * @param {boolean} [options.verifyOnChain=false]
+ * @returns {object} - { ok, checkedAt, unbalancedEntries, cacheDrift, missingDeposits, unmatchedDeposits, amountMismatches, onChainMissing }
+ */
+export async function checkLedgerIntegrity({ verifyOnChain = false } = {}) {
+  await ensureLedgerTables();
+
+  const unbalancedResult = await db.execute(sql`
+    SELECT entry_id,
+           SUM(CASE WHEN direction = 'debit' THEN amount_jewel ELSE 0 END) AS debits,
+           SUM(CASE WHEN direction = 'credit' THEN amount_jewel ELSE 0 END) AS credits
+    FROM ledger_postings
+    GROUP BY entry_id
+    HAVING SUM(CASE WHEN direction = 'debit' THEN amount_jewel ELSE -amount_jewel END) <> 0
+  `);
+  const unbalancedEntries = Array.isArray(unbalancedResult) ? unbalancedResult : (unbalancedResult.rows || []);
+
+  const driftResult = await db.execute(sql`
+    WITH journal AS (
+      SELECT CAST(SUBSTRING(account FROM 8) AS INTEGER) AS player_id,
+             SUM(CASE WHEN direction = 'credit' THEN amount_jewel ELSE -amount_jewel END) AS balance
+      FROM ledger_postings
+      WHERE account LIKE 'player:%'
+      GROUP BY account
+    )
+    SELECT COALESCE(j.player_id, jb.player_id) AS player_id,
+           COALESCE(j.balance, 0) AS journal_balance,
+           COALESCE(CAST(jb.balance_jewel AS NUMERIC), 0) AS cached_balance
+    FROM journal j
+    FULL OUTER JOIN jewel_balances jb ON jb.player_id = j.player_id
+    WHERE COALESCE(j.balance, 0) <> COALESCE(CAST(jb.balance_jewel AS NUMERIC), 0)
+  `);
+  const cacheDrift = Array.isArray(driftResult) ? driftResult : (driftResult.rows || []);
+
+  // On-chain payments already verified: garden optimization payments matched by
+  // transaction-monitor-v2 and completed deposit requests
+  const gardenPayments = await db
+    .select({
+      id: gardenOptimizations.id,
+      playerId: gardenOptimizations.playerId,
+      txHash: gardenOptimizations.txHash,
+      amountJewel: sql`COALESCE(paid_amount_jewel, ${gardenOptimizations.expectedAmountJewel})`
+    })
+    .from(gardenOptimizations)
+    .where(isNotNull(gardenOptimizations.txHash));
+
+  const depositRequestResult = await db.execute(sql`
+    SELECT id, player_id, transaction_hash, requested_amount_jewel
+    FROM deposit_requests
+    WHERE status = 'completed' AND transaction_hash IS NOT NULL
+  `);
+  const completedRequests = Array.isArray(depositRequestResult) ? depositRequestResult : (depositRequestResult.rows || []);
+
+  const verifiedPayments = [
+    ...gardenPayments.map(p => ({ source: 'garden_optimization', sourceId: p.id, playerId: p.playerId, txHash: p.txHash.toLowerCase(), amountJewel: p.amountJewel })),
+    ...completedRequests.map(r => ({ source: 'deposit_request', sourceId: r.id, playerId: r.player_id, txHash: r.transaction_hash.toLowerCase(), amountJewel: r.requested_amount_jewel }))
+  ];
+
+  // Deposits posted by wallet-deposits.js: linked wallets and the admin review queue
+  const { ensureWalletDepositTables } = await import('./wallet-deposits.js');
+  await ensureWalletDepositTables();
+  const walletLinkResult = await db.execute(sql`SELECT player_id, address, verified_at FROM verified_wallets`);
+  const walletLinks = Array.isArray(walletLinkResult) ? walletLinkResult : (walletLinkResult.rows || []);
+  const reviewedResult = await db.execute(sql`
+    SELECT id, resolved_player_id, ledger_entry_id, amount_jewel
+    FROM unmatched_transfers
+    WHERE status = 'credited' AND ledger_entry_id IS NOT NULL
+  `);
+  const reviewedByEntry = new Map((Array.isArray(reviewedResult) ? reviewedResult : (reviewedResult.rows || [])).map(r => [r.ledger_entry_id, r]));
+
+  const depositEntries = await db
+    .select({
+      id: ledgerEntries.id,
+      playerId: ledgerEntries.playerId,
+      externalRef: ledgerEntries.externalRef,
+      metadata: ledgerEntries.metadata,
+      createdAt: ledgerEntries.createdAt,
+      amountJewel: ledgerPostings.amountJewel
+    })
+    .from(ledgerEntries)
+    .innerJoin(ledgerPostings, and(eq(ledgerPostings.entryId, ledgerEntries.id), eq(ledgerPostings.direction, 'credit')))
+    .where(eq(ledgerEntries.entryType, 'deposit'));
+
+  // Token deposits are keyed by hash and log index; payments only know the hash
+  const depositTxHash = (deposit) => deposit.metadata?.txHash?.toLowerCase() ?? deposit.externalRef;
+  const depositsByTx = new Map(depositEntries.map(d => [depositTxHash(d), d]));
+  const paymentsByTx = new Map(verifiedPayments.map(p => [p.txHash, p]));
+
+  const missingDeposits = verifiedPayments.filter(p => !depositsByTx.has(p.txHash));
+
+  const unmatchedDeposits = [];
+  const amountMismatches = [];
+  const unmatched = (deposit) => ({ entryId: deposit.id, playerId: deposit.playerId, txHash: deposit.externalRef, amountJewel: deposit.amountJewel });
+  for (const deposit of depositEntries) {
+    const source = deposit.metadata?.source;
+    if (source === 'verified_wallet') {
+      // Any amount is credited from a linked wallet; the on-chain check covers the transfer itself
+      const sender = deposit.metadata?.fromWallet?.toLowerCase();
+      const linked = walletLinks.some(w => w.player_id === deposit.playerId && w.address === sender
+        && new Date(w.verified_at) <= new Date(deposit.createdAt));
+      if (!linked) unmatchedDeposits.push(unmatched(deposit));
+      continue;
+    }
+    if (source === 'admin_review') {
+      const reviewed = reviewedByEntry.get(deposit.id);
+      if (!reviewed || reviewed.resolved_player_id !== deposit.playerId) {
+        unmatchedDeposits.push(unmatched(deposit));
+      } else if (!new Decimal(reviewed.amount_jewel).equals(deposit.amountJewel)) {
+        amountMismatches.push({ entryId: deposit.id, txHash: deposit.externalRef, ledgerAmountJewel: deposit.amountJewel, paidAmountJewel: reviewed.amount_jewel });
+      }
+      continue;
+    }
+
+    const payment = paymentsByTx.get(depositTxHash(deposit));
+    if (!payment) {
+      unmatchedDeposits.push(unmatched(deposit));
+    } else if (deposit.metadata?.conversion) {
+      // Converted deposits credit their value at transfer time, not the requested figure
+      continue;
+    } else if (!new Decimal(payment.amountJewel).equals(deposit.amountJewel)) {
+      amountMismatches.push({ entryId: deposit.id, txHash: deposit.externalRef, ledgerAmountJewel: deposit.amountJewel, paidAmountJewel: payment.amountJewel });
+    }
+  }
+
+  const onChainMissing = [];
+  if (verifyOnChain) {
+    const { fetchTransfersFromRouteScan } = await import('./transaction-monitor-v2.js');
+    const byWallet = new Map();
+    for (const deposit of depositEntries) {
+      const wallet = deposit.metadata?.fromWallet;
+      if (!wallet) continue;
+      if (!byWallet.has(wallet)) byWallet.set(wallet, []);
+      byWallet.get(wallet).push(deposit);
+    }
+    for (const [wallet, deposits] of byWallet) {
+      const transfers = await fetchTransfersFromRouteScan(wallet);
+      // Deposits posted before token transfers carried a log index are keyed by hash alone
+      const seen = new Map(transfers.flatMap(t => [[t.hash.toLowerCase(), t], [transferRef(t.hash, t.logIndex), t]]));
+      for (const deposit of deposits) {
+        const transfer = seen.get(deposit.externalRef);
+        // Converted deposits are checked in the token that was actually sent
+        const conversion = deposit.metadata?.conversion;
+        const expected = conversion ? conversion.tokenAmount : deposit.amountJewel;
+        const sameToken = transfer && transfer.token === (conversion?.token ?? 'JEWEL');
+        if (!sameToken || !new Decimal(transfer.amount).greaterThanOrEqualTo(expected)) {
+          onChainMissing.push({ entryId: deposit.id, txHash: deposit.externalRef, wallet, amountJewel: deposit.amountJewel, onChainAmount: transfer?.amount ?? null, token: transfer?.token ?? null });
+        }
+      }
+    }
+  }
+
+  const ok = unbalancedEntries.length === 0 && cacheDrift.length === 0 && missingDeposits.length === 0
+    && unmatchedDeposits.length === 0 && amountMismatches.length === 0 && onChainMissing.length === 0;
+
+  console.log(`[Ledger] Integrity check ${ok ? 'passed' : 'FAILED'}: ${unbalancedEntries.length} unbalanced, ${cacheDrift.length} cache drift, ` +
+    `${missingDeposits.length} missing deposits, ${unmatchedDeposits.length} unmatched deposits, ${amountMismatches.length} amount mismatches` +
+    (verifyOnChain ? `, ${onChainMissing.length} not found on-chain` : ''));
+
+  return {
+    ok,
+    checkedAt: new Date().toISOString(),
+    verifiedOnChain: verifyOnChain,
+    unbalancedEntries,
+    cacheDrift,
+    missingDeposits,
+    unmatchedDeposits,
+    amountMismatches,
+    onChainMissing
+  };
+}
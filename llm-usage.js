@@ -0,0 +1,142 @@
+/**
+ * LLM Usage - per-call token accounting
+ *
+ * llmProvider.js prices every model call from its reported usage; this module
+ * stores each call in llm_usage so analytics can show what queries really cost
+ * instead of estimating from pricing-engine.js base rates.
+ *
+ * Attribution comes from the llmProvider usage context: calls made inside
+ * executeWithBalanceCheck() carry the player, query type and query_ref of the
+ * paid query; DM and /npc chat carry the player and 'persona_chat'. Calls made
+ * outside any context (admin tools, background jobs) are stored unattributed.
+ */
+
+import Decimal from 'decimal.js';
+import { db } from './server/db.js';
+import { llmUsage } from './shared/schema.ts';
+import { sql } from 'drizzle-orm';
+import { onUsage } from './src/services/llmProvider.js';
+
+let tablesReady = false;
+let unsubscribe = null;
+
+/**
+ * Create llm_usage and the query_costs economics columns on databases that predate them
+ */
+export async function ensureUsageTables() {
+  if (tablesReady) return;
+
+  await db.execute(sql`
+    CREATE TABLE IF NOT EXISTS llm_usage (
+      id SERIAL PRIMARY KEY,
+      feature TEXT NOT NULL,
+      provider TEXT NOT NULL,
+      model TEXT NOT NULL,
+      prompt_tokens INTEGER NOT NULL DEFAULT 0,
+      completion_tokens INTEGER NOT NULL DEFAULT 0,
+      cost_usd NUMERIC(20, 8),
+      player_id INTEGER REFERENCES players(id),
+      query_type TEXT,
+      query_ref TEXT,
+      created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP NOT NULL
+    )
+  `);
+  await db.execute(sql`CREATE INDEX IF NOT EXISTS llm_usage_created_idx ON llm_usage (created_at)`);
+  await db.execute(sql`CREATE INDEX IF NOT EXISTS llm_usage_query_ref_idx ON llm_usage (query_ref)`);
+  await db.execute(sql`CREATE INDEX IF NOT EXISTS llm_usage_player_idx ON llm_usage (player_id)`);
+
+  await db.execute(sql`
+    CREATE TABLE IF NOT EXISTS query_costs (
+      id SERIAL PRIMARY KEY,
+      discord_id TEXT NOT NULL,
+      query_type TEXT NOT NULL,
+      cost_jewel NUMERIC(30, 18) NOT NULL,
+      created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP NOT NULL
+    )
+  `);
+  await db.execute(sql`
+    ALTER TABLE query_costs
+      ADD COLUMN IF NOT EXISTS player_id INTEGER REFERENCES players(id),
+      ADD COLUMN IF NOT EXISTS query_ref TEXT,
+      ADD COLUMN IF NOT EXISTS tier TEXT,
+      ADD COLUMN IF NOT EXISTS tools_used JSON DEFAULT '[]'::json,
+      ADD COLUMN IF NOT EXISTS timestamp TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP NOT NULL,
+      ADD COLUMN IF NOT EXISTS tokens_used INTEGER DEFAULT 0,
+      ADD COLUMN IF NOT EXISTS openai_cost_usd NUMERIC(20, 8) DEFAULT 0,
+      ADD COLUMN IF NOT EXISTS replit_cost_usd NUMERIC(20, 8) DEFAULT 0,
+      ADD COLUMN IF NOT EXISTS total_cost_usd NUMERIC(20, 8) DEFAULT 0,
+      ADD COLUMN IF NOT EXISTS price_charged_jewel NUMERIC(30, 18) DEFAULT 0,
+      ADD COLUMN IF NOT EXISTS jewel_price_usd NUMERIC(20, 8),
+      ADD COLUMN IF NOT EXISTS revenue_usd NUMERIC(20, 8) DEFAULT 0,
+      ADD COLUMN IF NOT EXISTS profit_usd NUMERIC(20, 8) DEFAULT 0,
+      ADD COLUMN IF NOT EXISTS profit_margin NUMERIC(12, 2),
+      ADD COLUMN IF NOT EXISTS user_message TEXT,
+      ADD COLUMN IF NOT EXISTS free_tier_used BOOLEAN NOT NULL DEFAULT false,
+      ADD COLUMN IF NOT EXISTS discount_applied TEXT
+  `);
+  await db.execute(sql`CREATE INDEX IF NOT EXISTS query_costs_timestamp_idx ON query_costs (timestamp)`);
+  await db.execute(sql`CREATE INDEX IF NOT EXISTS query_costs_query_ref_idx ON query_costs (query_ref)`);
+
+  tablesReady = true;
+}
+
+/**
+ * Token and cost totals for the calls collected by a usage context (pure).
+ * costUsd is a string; calls to unpriced models count their tokens but add no cost.
+ */
+export function totalUsage(calls = []) {
+  let promptTokens = 0;
+  let completionTokens = 0;
+  let cost = new Decimal(0);
+  for (const call of calls) {
+    promptTokens += call.usage?.promptTokens || 0;
+    completionTokens += call.usage?.completionTokens || 0;
+    if (call.costUsd != null) cost = cost.plus(call.costUsd);
+  }
+  return {
+    calls: calls.length,
+    promptTokens,
+    completionTokens,
+    totalTokens: promptTokens + completionTokens,
+    costUsd: cost.toFixed(8)
+  };
+}
+
+/**
+ * Store one model call (from an llmProvider usage event)
+ */
+export async function recordLLMUsage({ feature, provider, model, usage, costUsd, context }) {
+  await ensureUsageTables();
+  await db.insert(llmUsage).values({
+    feature,
+    provider,
+    model,
+    promptTokens: usage.promptTokens || 0,
+    completionTokens: usage.completionTokens || 0,
+    costUsd: costUsd == null ? null : new Decimal(costUsd).toFixed(8),
+    playerId: context?.playerId || null,
+    queryType: context?.queryType || null,
+    queryRef: context?.queryRef || null
+  });
+}
+
+/**
+ * Start storing every model call. Scripted (test) calls are not stored.
+ */
+export async function startLLMUsageTracking() {
+  await ensureUsageTables();
+  if (unsubscribe) return;
+
+  unsubscribe = onUsage((event) => {
+    if (event.provider === 'scripted') return;
+    recordLLMUsage(event).catch(err => console.error('[LLMUsage] Failed to record usage:', err.message));
+  });
+  console.log('✅ LLM usage tracking started');
+}
+
+export function stopLLMUsageTracking() {
+  if (unsubscribe) {
+    unsubscribe();
+    unsubscribe = null;
+  }
+}
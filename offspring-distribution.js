@@ -0,0 +1,410 @@
+/**
+ * Offspring Distribution - joint probability queries over a summon's full genotype
+ *
+ * calculateSummoningProbabilities reports one marginal per trait, and only for the
+ * dominant gene. This module models the whole child genotype (D/R1/R2/R3 of every
+ * trait) so arbitrary conjunctions can be asked, e.g.
+ *   "class = DarkKnight AND profession has Gardening anywhere AND active1 R1 = Heal".
+ *
+ * Gene model (matches the summoning engine, extended past the dominant slot):
+ * 1. Each parent's four genes for a trait are shuffled by three adjacent swaps
+ *    (R3↔R2, R2↔R1, R1↔D), each taken with 25% chance. That gives the familiar
+ *    D 75% / R1 18.75% / R2 4.6875% / R3 1.5625% weights for what lands in D.
+ * 2. Position by position, the child takes parent 1's or parent 2's gene 50/50,
+ *    unless the two genes form a mutation pair, in which case the mutation fires
+ *    at its rate (25%, or 12.5% for exalted results) and the rest splits 50/50.
+ * Traits are shuffled independently, so conditions on different traits multiply;
+ * slots within one trait are correlated (a gene shuffled into D is not in R1).
+ *
+ * Exact answers enumerate every shuffle and pick combination per trait. Conditions
+ * that span several traits (e.g. "Heal in active1 OR active2") enumerate the
+ * product of those traits' genotypes, falling back to Monte Carlo when that grows
+ * past EXACT_PRODUCT_LIMIT.
+ */
+
+import { getMutationOutcome } from './summoning-engine.js';
+
+export const OFFSPRING_TRAITS = [
+  'class', 'subClass', 'profession',
+  'passive1', 'passive2', 'active1', 'active2',
+  'statBoost1', 'statBoost2', 'element',
+  'gender', 'headAppendage', 'backAppendage', 'background', 'hairStyle', 'hairColor',
+  'eyeColor', 'skinColor', 'appendageColor', 'backAppendageColor',
+  'visualUnknown1', 'visualUnknown2', 'crafting1', 'crafting2'
+];
+
+export const GENE_SLOTS = ['dominant', 'R1', 'R2', 'R3'];
+
+const VISUAL_TRAITS = new Set([
+  'gender', 'headAppendage', 'backAppendage', 'background', 'hairStyle', 'hairColor',
+  'eyeColor', 'skinColor', 'appendageColor', 'backAppendageColor', 'visualUnknown1', 'visualUnknown2'
+]);
+
+const TRAIT_ALIASES = new Map(OFFSPRING_TRAITS.map(t => [t.toLowerCase(), t]));
+TRAIT_ALIASES.set('mainclass', 'class');
+TRAIT_ALIASES.set('subclass', 'subClass');
+
+const SLOT_ALIASES = { d: 'dominant', dominant: 'dominant', r1: 'R1', r2: 'R2', r3: 'R3', any: 'any' };
+
+const SWAP_CHANCE = 0.25;
+const EXACT_PRODUCT_LIMIT = 250000;
+const DEFAULT_SAMPLES = 20000;
+
+// The 8 ways a parent's genes can be shuffled, as [source index per slot] with weights
+const SHUFFLES = (() => {
+  const out = [];
+  for (let mask = 0; mask < 8; mask++) {
+    const order = [0, 1, 2, 3];
+    let weight = 1;
+    [3, 2, 1].forEach((j, bit) => {
+      const swap = (mask >> bit) & 1;
+      weight *= swap ? SWAP_CHANCE : 1 - SWAP_CHANCE;
+      if (swap) [order[j], order[j - 1]] = [order[j - 1], order[j]];
+    });
+    out.push({ order, weight });
+  }
+  return out;
+})();
+
+function sameValue(a, b) {
+  return String(a).toLowerCase() === String(b).toLowerCase();
+}
+
+/**
+ * A parent's four genes for one trait, in D/R1/R2/R3 order, using the same
+ * representation the summoning engine keys on (gene IDs for visual traits)
+ * @param {Object} genetics - Output of decodeHeroGenes (or the index-built equivalent)
+ * @param {string} trait - One of OFFSPRING_TRAITS
+ * @returns {Array|null}
+ */
+export function getParentGenes(genetics, trait) {
+  let source;
+  if (trait === 'class') source = genetics?.mainClass;
+  else if (VISUAL_TRAITS.has(trait)) source = genetics?.visual?.[trait];
+  else source = genetics?.[trait];
+  if (!source) return null;
+
+  if (source.dominantValue !== undefined) {
+    return [source.dominantValue, source.R1Value, source.R2Value, source.R3Value];
+  }
+  return GENE_SLOTS.map(slot => source[slot]);
+}
+
+// Outcomes at one position given the two genes that met there
+function positionOutcomes(trait, gene1, gene2) {
+  if (gene1 == null || gene2 == null) return [];
+  const mutation = getMutationOutcome(trait, gene1, gene2);
+  if (!mutation) {
+    return sameValue(gene1, gene2) ? [[gene1, 1]] : [[gene1, 0.5], [gene2, 0.5]];
+  }
+  const rest = (1 - mutation.rate) / 2;
+  return [[mutation.gene, mutation.rate], [gene1, rest], [gene2, rest]];
+}
+
+/**
+ * Exact distribution of the child's full genotype for one trait
+ * @param {Array} genes1 - Parent 1 genes [D, R1, R2, R3]
+ * @param {Array} genes2 - Parent 2 genes [D, R1, R2, R3]
+ * @param {string} trait - Trait key (decides which mutation map applies)
+ * @returns {Array<{genes: Array, p: number}>} Genotypes [D, R1, R2, R3] with probabilities
+ */
+export function traitGenotypeDistribution(genes1, genes2, trait) {
+  const totals = new Map();
+  for (const s1 of SHUFFLES) {
+    for (const s2 of SHUFFLES) {
+      const base = s1.weight * s2.weight;
+      const perSlot = [0, 1, 2, 3].map(k => positionOutcomes(trait, genes1[s1.order[k]], genes2[s2.order[k]]));
+      if (perSlot.some(list => list.length === 0)) continue;
+
+      for (const [d, pd] of perSlot[0]) {
+        for (const [r1, p1] of perSlot[1]) {
+          for (const [r2, p2] of perSlot[2]) {
+            for (const [r3, p3] of perSlot[3]) {
+              const key = `${d}\u0001${r1}\u0001${r2}\u0001${r3}`;
+              const entry = totals.get(key);
+              const p = base * pd * p1 * p2 * p3;
+              if (entry) entry.p += p;
+              else totals.set(key, { genes: [d, r1, r2, r3], p });
+            }
+          }
+        }
+      }
+    }
+  }
+  return [...totals.values()].sort((a, b) => b.p - a.p);
+}
+
+// ============================================================================
+// CONDITIONS
+// ============================================================================
+
+/**
+ * Validate and normalize query conditions.
+ * A condition is { trait, slot, value | values, not }:
+ * - trait: a trait key, or an array of keys meaning "any of these traits"
+ * - slot: 'dominant' (default), 'R1', 'R2', 'R3' or 'any' (any of the four)
+ * - value/values: accepted gene values (names, or gene IDs for visual traits)
+ * - not: true to require the gene NOT to match
+ * The query is the AND of all conditions.
+ * @param {Array<Object>} conditions
+ * @returns {Array<Object>} { traits, slot, values, keys, not } (keys are the lowercased values)
+ */
+export function normalizeConditions(conditions) {
+  if (!Array.isArray(conditions) || conditions.length === 0) {
+    throw new Error('At least one condition is required');
+  }
+  return conditions.map((cond, index) => {
+    const rawTraits = cond?.traits ?? (Array.isArray(cond?.trait) ? cond.trait : [cond?.trait]);
+    const traits = rawTraits.map(t => TRAIT_ALIASES.get(String(t ?? '').toLowerCase()));
+    if (traits.length === 0 || traits.some(t => !t)) {
+      throw new Error(`Condition ${index + 1}: unknown trait ${JSON.stringify(cond?.trait)}`);
+    }
+    const slot = SLOT_ALIASES[String(cond.slot ?? 'dominant').toLowerCase()];
+    if (!slot) throw new Error(`Condition ${index + 1}: unknown slot ${JSON.stringify(cond.slot)}`);
+    const values = (Array.isArray(cond.values) ? cond.values : [cond.value ?? cond.values])
+      .filter(v => v != null && v !== '')
+      .map(v => String(v));
+    if (values.length === 0) throw new Error(`Condition ${index + 1}: a value is required`);
+    return {
+      traits: [...new Set(traits)],
+      slot,
+      values,
+      keys: values.map(v => v.toLowerCase()),
+      not: cond.not === true
+    };
+  });
+}
+
+/**
+ * Parse a compact text query into conditions, e.g.
+ *   "class=DarkKnight & profession.any=Gardening & active1|active2=Heal & class.R1!=Warrior"
+ * Conditions are joined with & (or "and"); several accepted values are comma separated.
+ * @param {string} text
+ * @returns {Array<Object>} Conditions for normalizeConditions
+ */
+export function parseConditionQuery(text) {
+  const parts = String(text || '').split(/\s*(?:&|;|\band\b)\s*/i).filter(Boolean);
+  if (parts.length === 0) throw new Error('Query is empty');
+
+  return parts.map(part => {
+    const match = part.match(/^\s*([\w|]+)(?:\.(\w+))?\s*(!=|=)\s*(.+?)\s*$/);
+    if (!match) throw new Error(`Cannot parse condition "${part}" (expected trait[.slot]=value)`);
+    const [, traitText, slot, op, valueText] = match;
+    const traits = traitText.split('|');
+    return {
+      trait: traits.length > 1 ? traits : traits[0],
+      slot: slot || 'dominant',
+      values: valueText.split(',').map(v => v.trim()).filter(Boolean),
+      not: op === '!='
+    };
+  });
+}
+
+function genotypeMatches(genes, slot, keys) {
+  const hit = (gene) => gene != null && keys.includes(String(gene).toLowerCase());
+  if (slot === 'any') return genes.some(hit);
+  return hit(genes[GENE_SLOTS.indexOf(slot)]);
+}
+
+// Does an assignment (trait -> genotype) satisfy one normalized condition?
+function conditionHolds(cond, genotypes) {
+  const matched = cond.traits.some(trait => genotypeMatches(genotypes[trait], cond.slot, cond.keys));
+  return cond.not ? !matched : matched;
+}
+
+// Group conditions whose traits overlap, so each group can be evaluated independently
+function groupConditions(conditions) {
+  const groups = [];
+  for (const cond of conditions) {
+    const touching = groups.filter(g => cond.traits.some(t => g.traits.has(t)));
+    const merged = { traits: new Set(cond.traits), conditions: [cond] };
+    for (const g of touching) {
+      g.traits.forEach(t => merged.traits.add(t));
+      merged.conditions.push(...g.conditions);
+      groups.splice(groups.indexOf(g), 1);
+    }
+    groups.push(merged);
+  }
+  return groups.map(g => ({ traits: [...g.traits], conditions: g.conditions }));
+}
+
+// ============================================================================
+// EVALUATION
+// ============================================================================
+
+function createRng(seed) {
+  // mulberry32 - small, fast and reproducible for a given seed
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function sampleTrait(genes1, genes2, trait, rng) {
+  const shuffle = (genes) => {
+    const order = [...genes];
+    for (const j of [3, 2, 1]) {
+      if (rng() < SWAP_CHANCE) [order[j], order[j - 1]] = [order[j - 1], order[j]];
+    }
+    return order;
+  };
+  const s1 = shuffle(genes1);
+  const s2 = shuffle(genes2);
+  return [0, 1, 2, 3].map(k => {
+    const outcomes = positionOutcomes(trait, s1[k], s2[k]);
+    let roll = rng();
+    for (const [gene, p] of outcomes) {
+      if (roll < p) return gene;
+      roll -= p;
+    }
+    return outcomes.length ? outcomes[outcomes.length - 1][0] : null;
+  });
+}
+
+/**
+ * Draw one simulated child genotype for the given traits
+ * @param {Object} genetics1 - Parent 1 genetics
+ * @param {Object} genetics2 - Parent 2 genetics
+ * @param {Array<string>} traits - Traits to sample (defaults to all)
+ * @param {Function} rng - Returns floats in [0, 1)
+ * @returns {Object} trait -> [D, R1, R2, R3]
+ */
+export function sampleOffspring(genetics1, genetics2, traits = OFFSPRING_TRAITS, rng = Math.random) {
+  const child = {};
+  for (const trait of traits) {
+    const genes1 = getParentGenes(genetics1, trait);
+    const genes2 = getParentGenes(genetics2, trait);
+    child[trait] = genes1 && genes2 ? sampleTrait(genes1, genes2, trait, rng) : [null, null, null, null];
+  }
+  return child;
+}
+
+function exactGroupProbability(group, distributions) {
+  const lists = group.traits.map(trait => distributions.get(trait));
+  const size = lists.reduce((n, list) => n * list.length, 1);
+  if (size > EXACT_PRODUCT_LIMIT) return null;
+
+  let total = 0;
+  const assignment = {};
+  const walk = (index, p) => {
+    if (index === lists.length) {
+      if (group.conditions.every(cond => conditionHolds(cond, assignment))) total += p;
+      return;
+    }
+    const trait = group.traits[index];
+    for (const entry of lists[index]) {
+      assignment[trait] = entry.genes;
+      walk(index + 1, p * entry.p);
+    }
+  };
+  walk(0, 1);
+  return total;
+}
+
+function monteCarloProbability(genetics1, genetics2, conditions, samples, seed) {
+  const traits = [...new Set(conditions.flatMap(c => c.traits))];
+  const rng = createRng(seed);
+  let hits = 0;
+  for (let i = 0; i < samples; i++) {
+    const child = sampleOffspring(genetics1, genetics2, traits, rng);
+    if (conditions.every(cond => conditionHolds(cond, child))) hits++;
+  }
+  const p = hits / samples;
+  return { probability: p, standardError: Math.sqrt(p * (1 - p) / samples) };
+}
+
+/**
+ * Probability that a summon from these parents satisfies every condition
+ *
+ * @param {Object} genetics1 - Parent 1 genetics (decodeHeroGenes output)
+ * @param {Object} genetics2 - Parent 2 genetics
+ * @param {Array<Object>|string} conditions - Conditions (see normalizeConditions) or a text query
+ * @param {Object} options
+ * @param {string} [options.method='auto'] - 'exact', 'monteCarlo', or 'auto' (exact when tractable)
+ * @param {number} [options.samples=20000] - Monte Carlo draws
+ * @param {number} [options.seed=1] - Monte Carlo seed, for reproducible answers
+ * @returns {Object} { probability, method, samples, standardError, marginals, independentProduct, conditions }
+ */
+export function jointProbability(genetics1, genetics2, conditions, { method = 'auto', samples = DEFAULT_SAMPLES, seed = 1 } = {}) {
+  const normalized = normalizeConditions(typeof conditions === 'string' ? parseConditionQuery(conditions) : conditions);
+  if (!['auto', 'exact', 'monteCarlo'].includes(method)) {
+    throw new Error(`Unknown method: ${method}`);
+  }
+
+  const traits = [...new Set(normalized.flatMap(c => c.traits))];
+  for (const trait of traits) {
+    if (!getParentGenes(genetics1, trait) || !getParentGenes(genetics2, trait)) {
+      throw new Error(`Parent genetics are missing ${trait}`);
+    }
+  }
+
+  const drawCount = Math.max(1000, Math.min(1000000, parseInt(samples) || DEFAULT_SAMPLES));
+  const mc = (conds) => monteCarloProbability(genetics1, genetics2, conds, drawCount, seed);
+
+  if (method === 'monteCarlo') {
+    const result = mc(normalized);
+    const marginals = normalized.map(cond => mc([cond]).probability);
+    return {
+      probability: result.probability,
+      method: 'monteCarlo',
+      samples: drawCount,
+      standardError: result.standardError,
+      marginals,
+      independentProduct: marginals.reduce((p, m) => p * m, 1),
+      conditions: normalized
+    };
+  }
+
+  const distributions = new Map();
+  for (const trait of traits) {
+    distributions.set(trait, traitGenotypeDistribution(getParentGenes(genetics1, trait), getParentGenes(genetics2, trait), trait));
+  }
+
+  let probability = 1;
+  for (const group of groupConditions(normalized)) {
+    const p = exactGroupProbability(group, distributions);
+    if (p === null) {
+      if (method === 'exact') throw new Error('Query spans too many trait combinations for an exact answer; use monteCarlo');
+      return jointProbability(genetics1, genetics2, normalized, { method: 'monteCarlo', samples: drawCount, seed });
+    }
+    probability *= p;
+  }
+
+  const marginals = normalized.map(cond => exactGroupProbability({ traits: cond.traits, conditions: [cond] }, distributions) ?? mc([cond]).probability);
+  return {
+    probability,
+    method: 'exact',
+    samples: null,
+    standardError: 0,
+    marginals,
+    independentProduct: marginals.reduce((p, m) => p * m, 1),
+    conditions: normalized
+  };
+}
+
+/**
+ * Human-readable form of a normalized condition, e.g. "class.R1 ≠ Warrior"
+ * @param {Object} cond - Normalized condition
+ * @returns {string}
+ */
+export function describeCondition(cond) {
+  const traitText = cond.traits.join('|');
+  const slotText = cond.slot === 'dominant' ? '' : `.${cond.slot}`;
+  return `${traitText}${slotText} ${cond.not ? '≠' : '='} ${cond.values.join(' or ')}`;
+}
+
+export default {
+  OFFSPRING_TRAITS,
+  GENE_SLOTS,
+  getParentGenes,
+  traitGenotypeDistribution,
+  normalizeConditions,
+  parseConditionQuery,
+  sampleOffspring,
+  jointProbability,
+  describeCondition
+};
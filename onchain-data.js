@@ -5,6 +5,7 @@ import { GraphQLClient, gql } from 'graphql-request';
 import { ethers } from 'ethers';
 import { readFileSync } from 'fs';
 import { decodeHeroGenes } from './hero-genetics.js';
+import { getChainProvider } from './src/services/rpcProviderRegistry.js';
 
 // ------------------------------
 // GraphQL client
@@ -13,28 +14,11 @@ const DFK_GRAPHQL_ENDPOINT = 'https://api.defikingdoms.com/graphql';
 const client = new GraphQLClient(DFK_GRAPHQL_ENDPOINT);
 
 // ------------------------------
-// RPC endpoints & providers
+// RPC providers (pooled, see src/services/rpcProviderRegistry.js)
 // ------------------------------
-const RPC_ENDPOINTS = {
-  dfk: [
-    'https://subnets.avax.network/defi-kingdoms/dfk-chain/rpc',
-    // Potential future fallbacks (kept commented to avoid accidental breakage)
-    // 'https://dfk-chain.rpc.thirdparty.io',
-  ],
-  klaytn: [
-    'https://public-en.node.kaia.io',
-  ],
-};
-
-function createProvider(endpoints) {
-  // Keep behavior simple: use first endpoint, but in the future we can add real fallback logic
-  const url = Array.isArray(endpoints) ? endpoints[0] : endpoints;
-  return new ethers.JsonRpcProvider(url);
-}
-
 const providers = {
-  dfk: createProvider(RPC_ENDPOINTS.dfk),
-  klaytn: createProvider(RPC_ENDPOINTS.klaytn),
+  dfk: getChainProvider('dfk'),
+  klaytn: getChainProvider('klaytn'),
 };
 
 // Simple safety wrapper so one bad call doesn’t crash everything
@@ -1041,33 +1025,7 @@ export async function getGardenPoolByPid(pid, realm = 'dfk') {
 // ------------------------------
 export async function getPlayerInfluence(playerAddress) {
   try {
-    const metisRpcEndpoints = [
-      'https://metis-mainnet.public.blastapi.io',
-      'https://andromeda.metis.io',
-      'https://rpc.metis.io',
-    ];
-
-    let metisProvider = null;
-    for (const endpoint of metisRpcEndpoints) {
-      try {
-        const prov = new ethers.JsonRpcProvider(endpoint);
-        await prov.getNetwork();
-        metisProvider = prov;
-        console.log(`[getPlayerInfluence] Using Metis RPC: ${endpoint}`);
-        break;
-      } catch (e) {
-        console.warn(
-          `[getPlayerInfluence] Failed to connect to ${endpoint}: ${e.message}`
-        );
-      }
-    }
-
-    if (!metisProvider) {
-      console.warn(
-        `[getPlayerInfluence] No working Metis RPC endpoint available`
-      );
-      return 0;
-    }
+    const metisProvider = getChainProvider('metis');
 
     const PVP_DIAMOND_ADDRESS = '0xc7681698B14a2381d9f1eD69FC3D27F33965b53B';
     const abi = [
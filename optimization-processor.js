@@ -11,17 +11,30 @@
  * 5. Send DM to user with full report
  * 6. Update status to 'completed' with report payload
  * 7. Handle errors by marking status='failed'
+ * 
+ * Payment: the payment job (payment-jobs.js) posts the verified transfer to the
+ * JEWEL ledger as a deposit, and it is charged when processing starts. Failed or timed-out jobs are refunded in full,
+ * and reports built on stale pool data are partially refunded (refund-policy.js).
+ * A charge that would pass the player's daily or weekly spend cap (spend-controls.js)
+ * is not made: the optimization fails and the deposit stays on their balance.
  */
 
 import { db } from './server/db.js';
-import { gardenOptimizations, players, jewelBalances } from './shared/schema.ts';
+import { gardenOptimizations, players } from './shared/schema.ts';
+import { recordDeposit, recordQueryCharge } from './jewel-ledger.js';
+import { getJobForOptimization, PAYMENT_JOB_STATES } from './payment-jobs.js';
+import { issueRefund } from './refund-policy.js';
+import { logChargeCost } from './balance-middleware.js';
+import { checkSpendControls } from './spend-controls.js';
+import { withUsageContext, getUsageContext } from './src/services/llmProvider.js';
 import { eq, and, sql } from 'drizzle-orm';
 import { analyzeCurrentAssignments } from './garden-analyzer.js';
 import { optimizeHeroAssignments, calculateImprovement } from './garden-optimizer.js';
 import { generateOptimizationMessages } from './report-formatter.js';
-import { getCachedPoolAnalytics } from './pool-cache.js';
+import { getCachedPoolAnalytics, getPoolDataDegradation } from './pool-cache.js';
 
 const POLL_INTERVAL_MS = 30000; // 30 seconds
+const OPTIMIZATION_TIMEOUT_MS = 5 * 60 * 1000; // Analysis + optimization budget for a paid job
 const DISCORD_MESSAGE_LIMIT = 2000; // Discord's message character limit
 let pollingTimer = null;
 let discordClient = null; // Will be set by bot.js
@@ -90,11 +103,151 @@ export function initializeProcessor(client) {
   console.log('[OptimizationProcessor] Initialized with Discord client');
 }
 
+function withTimeout(promise, ms, label) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      const err = new Error(`${label} timed out after ${Math.round(ms / 1000)}s`);
+      err.timedOut = true;
+      reject(err);
+    }, ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Post the verified payment to the JEWEL ledger: the transfer is a deposit
+ * (already posted when its payment job was credited; optimizations verified
+ * before payment jobs existed post it here, idempotent on tx hash) and the
+ * optimization is a query charge for the same amount.
+ * 
+ * The charge is checked against the player's spend caps first. Paying for the
+ * optimization is the confirmation, so only the caps apply.
+ * 
+ * @returns {string|null} - Charged amount, or null if nothing could be charged
+ *   (no tx hash, or a ledger error; the integrity checker reports those)
+ * @throws {Error} - err.spendCapExceeded when the charge would pass a cap
+ */
+async function settlePayment(optimization) {
+  const paymentAmount = optimization.paidAmountJewel || optimization.expectedAmountJewel || '25';
+  if (!optimization.txHash) {
+    console.warn(`[OptimizationProcessor] ⚠️ Optimization #${optimization.id} has no payment tx hash - skipping ledger entries`);
+    return null;
+  }
+  
+  try {
+    const paymentJob = await getJobForOptimization(optimization.id);
+    if (paymentJob?.state !== PAYMENT_JOB_STATES.CREDITED) {
+      await recordDeposit({
+        playerId: optimization.playerId,
+        amountJewel: paymentAmount,
+        txHash: optimization.txHash,
+        fromWallet: optimization.fromWallet,
+        source: 'garden_optimization'
+      });
+    }
+    const spendCheck = await checkSpendControls(optimization.playerId, paymentAmount, { confirmed: true });
+    if (!spendCheck.allowed) {
+      const capError = new Error(spendCheck.reason);
+      capError.spendCapExceeded = true;
+      throw capError;
+    }
+    const { balance } = await recordQueryCharge({
+      playerId: optimization.playerId,
+      amountJewel: paymentAmount,
+      queryType: 'garden_optimization',
+      externalRef: `garden_optimization:${optimization.id}`,
+      metadata: { optimizationId: optimization.id }
+    });
+    console.log(`[OptimizationProcessor] ✅ Ledger updated for player #${optimization.playerId} (balance ${balance.balanceJewel} JEWEL, tier ${balance.tier})`);
+    return paymentAmount;
+  } catch (err) {
+    if (err.spendCapExceeded) throw err;
+    console.error(`[OptimizationProcessor] ❌ Ledger posting failed for optimization #${optimization.id}:`, err.message);
+    return null;
+  }
+}
+
+/**
+ * Tell the player their optimization was not run because of a spend cap (never throws)
+ */
+async function notifySpendCapExceeded(optimization, reason) {
+  try {
+    if (!discordClient) return;
+    const [playerData] = await db
+      .select({ discordId: players.discordId })
+      .from(players)
+      .where(eq(players.id, optimization.playerId))
+      .limit(1);
+    if (!playerData) return;
+    const user = await discordClient.users.fetch(playerData.discordId);
+    await user.send(
+      `⛔ I didn't run your garden optimization. ${reason}.\n\n` +
+      `Your payment is on your JEWEL balance. Raise your cap on the account page or try again when it resets.`
+    );
+  } catch (err) {
+    console.error(`[OptimizationProcessor] ❌ Could not send spend cap DM for optimization #${optimization.id}:`, err.message);
+  }
+}
+
 /**
- * Process a single verified optimization
+ * Refund a charged optimization per the refund policy (never throws)
+ */
+async function refundOptimization(optimization, chargedJewel, outcome, { severity, detail } = {}) {
+  try {
+    const refund = await issueRefund({
+      playerId: optimization.playerId,
+      chargedJewel,
+      outcome,
+      severity,
+      source: 'garden_optimization',
+      externalRef: `garden_optimization:${optimization.id}`,
+      label: 'garden optimization',
+      detail
+    });
+    if (refund.refunded) {
+      console.log(`[OptimizationProcessor] 💸 Refunded ${refund.refundJewel} JEWEL for optimization #${optimization.id} (${outcome})`);
+    }
+  } catch (err) {
+    console.error(`[OptimizationProcessor] ❌ Refund failed for optimization #${optimization.id}:`, err.message);
+  }
+}
+
+/**
+ * Process a single verified optimization. Model calls made while it runs are
+ * attributed to its charge (query ref garden_optimization:<id>), and a delivered
+ * report is logged to query_costs for margin analytics.
  * @param {Object} optimization - Optimization record from database
+ * @param {Object} [options] - Overrides for tests: { analyze, getPools, timeoutMs }
  */
-async function processOptimization(optimization) {
+export async function processOptimization(optimization, options = {}) {
+  const queryRef = `garden_optimization:${optimization.id}`;
+  return withUsageContext(
+    { playerId: optimization.playerId, queryType: 'garden_optimization', queryRef },
+    async () => {
+      const chargedJewel = await runOptimization(optimization, options);
+      if (chargedJewel) {
+        await logChargeCost({
+          playerId: optimization.playerId,
+          queryType: 'garden_optimization',
+          queryRef,
+          priceChargedJewel: chargedJewel,
+          llmCalls: getUsageContext().calls
+        });
+      }
+    }
+  );
+}
+
+/**
+ * @returns {string|null} - Charged amount once the report was delivered
+ */
+async function runOptimization(optimization, {
+  analyze = analyzeCurrentAssignments,
+  getPools = getCachedPoolAnalytics,
+  timeoutMs = OPTIMIZATION_TIMEOUT_MS
+} = {}) {
+  let chargedJewel = null;
   try {
     console.log(`[OptimizationProcessor] Processing optimization #${optimization.id}`);
     
@@ -113,9 +266,11 @@ async function processOptimization(optimization) {
     // Verify status transition succeeded (guards against race)
     if (!updateResult || updateResult.length === 0) {
       console.log(`[OptimizationProcessor] ⚠️ Optimization #${optimization.id} already being processed - skipping`);
-      return;
+      return null;
     }
     
+    chargedJewel = await settlePayment(optimization);
+    
     // Get player data for Discord ID
     const [playerData] = await db
       .select()
@@ -132,14 +287,19 @@ async function processOptimization(optimization) {
     console.log(`[OptimizationProcessor] Analyzing wallet ${walletAddress}...`);
     
     // Step 1: Analyze current assignments (fetches heroes, pets, maps them to pools)
-    const currentState = await analyzeCurrentAssignments(walletAddress);
+    const currentState = await withTimeout(
+      analyze(walletAddress),
+      timeoutMs,
+      'Wallet analysis'
+    );
     console.log(`[OptimizationProcessor] Current state: ${currentState.totalHeroes} heroes, ${currentState.totalPets} pets`);
     
     // Step 2: Get pool analytics data
-    const pools = getCachedPoolAnalytics();
+    const pools = getPools();
     if (!pools || !pools.data || pools.data.length === 0) {
       throw new Error('Pool cache is empty - unable to optimize');
     }
+    const degradation = getPoolDataDegradation(pools.lastUpdated);
     
     // Step 3: Run optimization algorithm
     const optimizedState = optimizeHeroAssignments(
@@ -207,42 +367,16 @@ async function processOptimization(optimization) {
       })
       .where(eq(gardenOptimizations.id, optimization.id));
     
-    // Update or create jewelBalances record to track lifetime deposits
-    const paymentAmount = optimization.expectedAmountJewel || '25';
-    console.log(`[OptimizationProcessor] Updating jewelBalances for player #${optimization.playerId}, adding ${paymentAmount} JEWEL`);
-    
-    // Check if jewelBalances record exists
-    const existingBalance = await db
-      .select()
-      .from(jewelBalances)
-      .where(eq(jewelBalances.playerId, optimization.playerId))
-      .limit(1);
-    
-    if (existingBalance.length > 0) {
-      // Update existing record - increment both balance and lifetime deposits
-      await db.update(jewelBalances)
-        .set({
-          balanceJewel: sql`${jewelBalances.balanceJewel} + ${paymentAmount}`,
-          lifetimeDepositsJewel: sql`${jewelBalances.lifetimeDepositsJewel} + ${paymentAmount}`,
-          lastDepositAt: new Date(),
-          updatedAt: new Date()
-        })
-        .where(eq(jewelBalances.playerId, optimization.playerId));
-      console.log(`[OptimizationProcessor] ✅ Updated jewelBalances for player #${optimization.playerId}`);
-    } else {
-      // Create new record with initial balance
-      await db.insert(jewelBalances).values({
-        playerId: optimization.playerId,
-        balanceJewel: paymentAmount,
-        lifetimeDepositsJewel: paymentAmount,
-        tier: 'free',
-        lastDepositAt: new Date(),
-        updatedAt: new Date()
+    // Report was built on stale pool data - partial refund
+    if (chargedJewel && degradation) {
+      await refundOptimization(optimization, chargedJewel, 'degraded', {
+        severity: degradation.severity,
+        detail: `Garden pool APRs were ${degradation.ageMinutes} minutes old when your report was generated.`
       });
-      console.log(`[OptimizationProcessor] ✅ Created jewelBalances record for player #${optimization.playerId}`);
     }
     
     console.log(`[OptimizationProcessor] ✅ Completed optimization #${optimization.id}`);
+    return chargedJewel;
     
   } catch (err) {
     console.error(`[OptimizationProcessor] ❌ Error processing optimization #${optimization.id}:`, err.message);
@@ -255,6 +389,16 @@ async function processOptimization(optimization) {
         updatedAt: new Date()
       })
       .where(eq(gardenOptimizations.id, optimization.id));
+    
+    if (chargedJewel) {
+      await refundOptimization(optimization, chargedJewel, err.timedOut ? 'timeout' : 'failed', {
+        detail: err.timedOut ? err.message : 'The optimization job errored before your report was delivered.'
+      });
+    }
+    if (err.spendCapExceeded) {
+      await notifySpendCapExceeded(optimization, err.message);
+    }
+    return null;
   }
 }
 
@@ -1,171 +1,377 @@
 /**
  * Payment Jobs Service
- * 
- * In-memory registry of active payment jobs for per-job fast scanning.
- * Prevents global historical backlog from blocking 2-hour payment windows.
- * 
- * Architecture:
- * - Each job tracks its own startBlock and lastScannedBlock
- * - Scanner checks ONLY blocks from job.startBlock → latestBlock
- * - Jobs auto-expire after 2 hours if payment not received
- * - Manual trigger available for fast-track verification
+ *
+ * Durable state for the on-chain payments Hedge is waiting for. Every
+ * 'awaiting_payment' garden optimization gets a payment_jobs row that walks a
+ * small state machine, so a restart resumes exactly where it stopped.
+ *
+ * States:
+ *   pending   → waiting for a matching transfer
+ *   seen      → transfer claimed, waiting for PAYMENT_CONFIRMATIONS blocks on top
+ *   confirmed → deep enough to credit
+ *   credited  → ledger deposit posted and the optimization marked payment_verified
+ *   expired   → nothing arrived before expiresAt (terminal)
+ *   conflict  → the transfer was already credited to another player (wallet
+ *               sweep, admin review); terminal, listed for admins by
+ *               listPaymentJobConflicts() and never credited automatically
+ *
+ * Exactly-once crediting:
+ * - A transfer is claimed by its transferRef (tx hash, plus log index for
+ *   token transfers), which is unique across jobs
+ * - Every transition is a conditional update on the current state, so the
+ *   poller and a manual verification can't both move the same job
+ * - Crediting posts the deposit (idempotent on the same transferRef), marks the
+ *   job credited and the optimization payment_verified in one transaction
+ *
+ * transaction-monitor-v2.js does the scanning and drives the transitions.
  */
 
 import { db } from './server/db.js';
-import { gardenOptimizations } from './shared/schema.js';
-import { eq } from 'drizzle-orm';
+import { gardenOptimizations, paymentJobs } from './shared/schema.js';
+import { eq, and, inArray, isNull, desc, sql } from 'drizzle-orm';
+import { recordDeposit, transferRef } from './jewel-ledger.js';
 
-// Active jobs registry: Map<jobId, jobData>
-const activeJobs = new Map();
+export const PAYMENT_JOB_STATES = {
+  PENDING: 'pending',
+  SEEN: 'seen',
+  CONFIRMED: 'confirmed',
+  CREDITED: 'credited',
+  EXPIRED: 'expired',
+  CONFLICT: 'conflict'
+};
+
+const OPEN_STATES = [PAYMENT_JOB_STATES.PENDING, PAYMENT_JOB_STATES.SEEN, PAYMENT_JOB_STATES.CONFIRMED];
+
+// Blocks (including the transfer's own) before a payment is credited
+export const REQUIRED_CONFIRMATIONS = parseInt(process.env.PAYMENT_CONFIRMATIONS, 10) || 6;
+
+// Transfers sent slightly before the job was created (clock skew between
+// RouteScan and our DB) still count as payment for it
+const TRANSFER_WINDOW_SLACK_MS = 5 * 60 * 1000;
+
+let tablesReady = false;
+
+// --------------------------
+// State machine (pure)
+// --------------------------
 
 /**
- * Job data structure:
- * {
- *   jobId: number,
- *   playerId: number,
- *   fromWallet: string,
- *   expectedAmount: string,
- *   startBlock: number,
- *   lastScannedBlock: number,
- *   expiresAt: Date,
- *   createdAt: Date
- * }
+ * Blocks on top of a transfer, counting its own block (pure)
  */
+export function countConfirmations(blockNumber, latestBlock) {
+  if (blockNumber == null || latestBlock == null) return 0;
+  return Math.max(0, Number(latestBlock) - Number(blockNumber) + 1);
+}
 
 /**
- * Load active payment jobs from database on startup
- * Loads all 'awaiting_payment' jobs
+ * Whether a transfer was sent while the job was open (pure).
+ * Payments sent before expiry count even if we only see them after a restart.
  */
-export async function loadActiveJobs() {
-  try {
-    const pending = await db
-      .select()
-      .from(gardenOptimizations)
-      .where(eq(gardenOptimizations.status, 'awaiting_payment'));
-    
-    let loaded = 0;
-    const now = new Date();
-    
-    for (const job of pending) {
-      // Skip expired jobs
-      if (new Date(job.expiresAt) < now) {
-        console.log(`[PaymentJobs] Skipping expired job #${job.id}`);
-        continue;
-      }
-      
-      // Register active job
-      activeJobs.set(job.id, {
-        jobId: job.id,
-        playerId: job.playerId,
-        fromWallet: job.fromWallet.toLowerCase(),
-        expectedAmount: job.expectedAmountJewel,
-        startBlock: job.startBlock || 0,
-        lastScannedBlock: job.lastScannedBlock || (job.startBlock - 1) || 0,
-        expiresAt: new Date(job.expiresAt),
-        createdAt: new Date(job.requestedAt)
-      });
-      
-      loaded++;
-    }
-    
-    console.log(`[PaymentJobs] Loaded ${loaded} active payment jobs`);
-    return loaded;
-  } catch (err) {
-    console.error('[PaymentJobs] Error loading active jobs:', err.message);
-    return 0;
+export function isInPaymentWindow(transfer, job, slackMs = TRANSFER_WINDOW_SLACK_MS) {
+  const sentAt = new Date(transfer.timestamp).getTime();
+  return sentAt >= new Date(job.requestedAt).getTime() - slackMs
+    && sentAt <= new Date(job.expiresAt).getTime();
+}
+
+/**
+ * The state a job moves to next, or null if it stays put (pure).
+ * A pending job only expires once a scan has come up empty, which the caller does first.
+ *
+ * @param {object} job - { state, expiresAt }
+ * @param {object} context
+ * @param {Date} context.now
+ * @param {number} [context.confirmations] - For seen jobs
+ * @param {number} [context.requiredConfirmations=REQUIRED_CONFIRMATIONS]
+ */
+export function nextPaymentState(job, { now, confirmations = 0, requiredConfirmations = REQUIRED_CONFIRMATIONS }) {
+  switch (job.state) {
+    case PAYMENT_JOB_STATES.PENDING:
+      return now >= new Date(job.expiresAt) ? PAYMENT_JOB_STATES.EXPIRED : null;
+    case PAYMENT_JOB_STATES.SEEN:
+      return confirmations >= requiredConfirmations ? PAYMENT_JOB_STATES.CONFIRMED : null;
+    case PAYMENT_JOB_STATES.CONFIRMED:
+      return PAYMENT_JOB_STATES.CREDITED;
+    default:
+      return null;
   }
 }
 
+// --------------------------
+// Tables
+// --------------------------
+
 /**
- * Register a new payment job
- * Called when user creates a garden optimization request
- * 
- * @param {object} jobData - Job data from database
- * @returns {void}
+ * Create payment_jobs (and the garden_optimizations payment columns) on
+ * databases that predate them
  */
-export function registerJob(jobData) {
-  const job = {
-    jobId: jobData.id,
-    playerId: jobData.playerId,
-    fromWallet: jobData.fromWallet.toLowerCase(),
-    expectedAmount: jobData.expectedAmountJewel,
-    startBlock: jobData.startBlock || 0,
-    lastScannedBlock: jobData.lastScannedBlock || (jobData.startBlock - 1) || 0,
-    expiresAt: new Date(jobData.expiresAt),
-    createdAt: new Date(jobData.requestedAt)
-  };
-  
-  activeJobs.set(job.jobId, job);
-  console.log(`[PaymentJobs] Registered job #${job.jobId} (expires: ${job.expiresAt.toISOString()})`);
+export async function ensurePaymentJobTables() {
+  if (tablesReady) return;
+
+  await db.execute(sql`
+    ALTER TABLE garden_optimizations
+      ADD COLUMN IF NOT EXISTS paid_amount_jewel NUMERIC(30, 18),
+      ADD COLUMN IF NOT EXISTS paid_at TIMESTAMPTZ
+  `);
+  await db.execute(sql`
+    CREATE TABLE IF NOT EXISTS payment_jobs (
+      id SERIAL PRIMARY KEY,
+      job_type TEXT NOT NULL DEFAULT 'garden_optimization',
+      optimization_id INTEGER NOT NULL UNIQUE REFERENCES garden_optimizations(id),
+      player_id INTEGER NOT NULL REFERENCES players(id),
+      from_wallet TEXT NOT NULL,
+      expected_amount_jewel NUMERIC(30, 18) NOT NULL,
+      state TEXT NOT NULL DEFAULT 'pending',
+      transfer_ref TEXT UNIQUE,
+      tx_hash TEXT,
+      log_index INTEGER,
+      chain TEXT,
+      block_number BIGINT,
+      amount_jewel NUMERIC(30, 18),
+      token TEXT,
+      token_amount NUMERIC(30, 18),
+      conversion JSON,
+      transferred_at TIMESTAMPTZ,
+      confirmations INTEGER NOT NULL DEFAULT 0,
+      ledger_entry_id INTEGER,
+      requested_at TIMESTAMPTZ NOT NULL,
+      expires_at TIMESTAMPTZ NOT NULL,
+      seen_at TIMESTAMPTZ,
+      confirmed_at TIMESTAMPTZ,
+      credited_at TIMESTAMPTZ,
+      expired_at TIMESTAMPTZ,
+      conflict_reason TEXT,
+      conflicted_at TIMESTAMPTZ,
+      created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP NOT NULL,
+      updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP NOT NULL
+    )
+  `);
+  await db.execute(sql`
+    ALTER TABLE payment_jobs
+      ADD COLUMN IF NOT EXISTS conflict_reason TEXT,
+      ADD COLUMN IF NOT EXISTS conflicted_at TIMESTAMPTZ
+  `);
+  await db.execute(sql`CREATE INDEX IF NOT EXISTS payment_jobs_state_idx ON payment_jobs (state)`);
+
+  tablesReady = true;
 }
 
+// --------------------------
+// Jobs
+// --------------------------
+
 /**
- * Cancel/remove a job from active registry
- * Called when payment verified or job expired
- * 
- * @param {number} jobId - Job ID to cancel
- * @returns {boolean} - True if job was removed
+ * Create a job for every awaiting_payment optimization that doesn't have one
+ * yet, wherever the optimization was created (DM flow, cache-ready queue).
+ * Expired optimizations are included: their job gets one last scan before it expires.
+ *
+ * @returns {number} - Jobs created
  */
-export function cancelJob(jobId) {
-  const removed = activeJobs.delete(jobId);
-  if (removed) {
-    console.log(`[PaymentJobs] Cancelled job #${jobId}`);
+export async function syncPaymentJobs() {
+  await ensurePaymentJobTables();
+
+  const untracked = await db
+    .select({ optimization: gardenOptimizations })
+    .from(gardenOptimizations)
+    .leftJoin(paymentJobs, eq(paymentJobs.optimizationId, gardenOptimizations.id))
+    .where(and(eq(gardenOptimizations.status, 'awaiting_payment'), isNull(paymentJobs.id)));
+
+  if (untracked.length === 0) return 0;
+
+  const created = await db
+    .insert(paymentJobs)
+    .values(untracked.map(({ optimization }) => ({
+      optimizationId: optimization.id,
+      playerId: optimization.playerId,
+      fromWallet: optimization.fromWallet.toLowerCase(),
+      expectedAmountJewel: optimization.expectedAmountJewel,
+      requestedAt: optimization.requestedAt,
+      expiresAt: optimization.expiresAt
+    })))
+    .onConflictDoNothing()
+    .returning({ id: paymentJobs.id });
+
+  if (created.length > 0) {
+    console.log(`[PaymentJobs] Tracking ${created.length} new payment job(s)`);
   }
-  return removed;
+  return created.length;
+}
+
+/**
+ * Jobs still waiting on a payment, confirmations or crediting
+ */
+export async function getOpenJobs() {
+  await ensurePaymentJobTables();
+  return db.select().from(paymentJobs).where(inArray(paymentJobs.state, OPEN_STATES));
 }
 
 /**
- * Get all active jobs
- * @returns {Array} - Array of active job objects
+ * Jobs whose transfer was credited to another player, newest first (admin review)
  */
-export function getActiveJobs() {
-  return Array.from(activeJobs.values());
+export async function listPaymentJobConflicts() {
+  await ensurePaymentJobTables();
+  return db
+    .select()
+    .from(paymentJobs)
+    .where(eq(paymentJobs.state, PAYMENT_JOB_STATES.CONFLICT))
+    .orderBy(desc(paymentJobs.conflictedAt));
 }
 
 /**
- * Get specific job by ID
- * @param {number} jobId - Job ID
- * @returns {object|null} - Job data or null
+ * Job for a garden optimization (null if none yet)
  */
-export function getJob(jobId) {
-  return activeJobs.get(jobId) || null;
+export async function getJobForOptimization(optimizationId) {
+  await ensurePaymentJobTables();
+  const [job] = await db.select().from(paymentJobs).where(eq(paymentJobs.optimizationId, optimizationId)).limit(1);
+  return job || null;
 }
 
 /**
- * Update job's lastScannedBlock
- * @param {number} jobId - Job ID
- * @param {number} blockNumber - New lastScannedBlock value
+ * Move a job between states if it is still in `from`. Returns the updated
+ * job, or null if another worker moved it first.
  */
-export function updateLastScannedBlock(jobId, blockNumber) {
-  const job = activeJobs.get(jobId);
-  if (job) {
-    job.lastScannedBlock = blockNumber;
+async function transition(job, from, to, changes = {}) {
+  const now = new Date();
+  const [updated] = await db
+    .update(paymentJobs)
+    .set({ ...changes, state: to, updatedAt: now })
+    .where(and(eq(paymentJobs.id, job.id), eq(paymentJobs.state, from)))
+    .returning();
+
+  if (updated) {
+    console.log(`[PaymentJobs] Job #${job.id} (optimization #${job.optimizationId}) ${from} → ${to}`);
   }
+  return updated || null;
 }
 
 /**
- * Get count of active jobs
- * @returns {number} - Number of active jobs
+ * pending → seen: claim a priced transfer as this job's payment.
+ * Returns null if the job moved on or the transfer already paid for another job.
  */
-export function getActiveJobCount() {
-  return activeJobs.size;
+export async function claimTransfer(job, transfer) {
+  try {
+    return await transition(job, PAYMENT_JOB_STATES.PENDING, PAYMENT_JOB_STATES.SEEN, {
+      transferRef: transferRef(transfer.hash, transfer.logIndex),
+      txHash: transfer.hash.toLowerCase(),
+      logIndex: transfer.logIndex ?? null,
+      chain: transfer.chain,
+      blockNumber: transfer.blockNumber ? Number(transfer.blockNumber) : null,
+      amountJewel: transfer.amountJewel,
+      token: transfer.token,
+      tokenAmount: transfer.amount,
+      conversion: transfer.conversion || null,
+      transferredAt: new Date(transfer.timestamp),
+      seenAt: new Date()
+    });
+  } catch (err) {
+    if ((err.cause?.code ?? err.code) === '23505') { // drizzle wraps driver errors in DrizzleQueryError
+      console.log(`[PaymentJobs] Transfer ${transfer.hash} already claimed by another job - skipping`);
+      return null;
+    }
+    throw err;
+  }
 }
 
 /**
- * Remove expired jobs from registry
- * @returns {number} - Number of jobs removed
+ * Record a seen job's confirmation count, moving it to confirmed once deep enough
  */
-export function cleanupExpiredJobs() {
-  const now = new Date();
-  let removed = 0;
-  
-  for (const [jobId, job] of activeJobs.entries()) {
-    if (job.expiresAt < now) {
-      activeJobs.delete(jobId);
-      removed++;
-      console.log(`[PaymentJobs] Cleaned up expired job #${jobId}`);
+export async function updateConfirmations(job, confirmations, { now = new Date(), requiredConfirmations = REQUIRED_CONFIRMATIONS } = {}) {
+  const next = nextPaymentState(job, { now, confirmations, requiredConfirmations });
+  if (next === PAYMENT_JOB_STATES.CONFIRMED) {
+    return transition(job, PAYMENT_JOB_STATES.SEEN, next, { confirmations, confirmedAt: now });
+  }
+
+  const [updated] = await db
+    .update(paymentJobs)
+    .set({ confirmations, updatedAt: now })
+    .where(and(eq(paymentJobs.id, job.id), eq(paymentJobs.state, PAYMENT_JOB_STATES.SEEN)))
+    .returning();
+  return updated || null;
+}
+
+/**
+ * pending → expired, and the optimization with it
+ */
+export async function expireJob(job) {
+  const expired = await transition(job, PAYMENT_JOB_STATES.PENDING, PAYMENT_JOB_STATES.EXPIRED, { expiredAt: new Date() });
+  if (expired) {
+    await db
+      .update(gardenOptimizations)
+      .set({ status: 'expired', updatedAt: new Date() })
+      .where(and(eq(gardenOptimizations.id, job.optimizationId), eq(gardenOptimizations.status, 'awaiting_payment')));
+  }
+  return expired;
+}
+
+/**
+ * confirmed → credited: post the deposit and release the optimization to the
+ * processor in one transaction. Safe to call again on a credited job.
+ * If the transfer was already credited to a different player, the job moves to
+ * conflict (and the optimization to failed) for an admin to settle instead.
+ *
+ * @returns {object} - { job, credited, conflict, balance } (credited is false if it already was)
+ */
+export async function creditJob(job) {
+  const result = await db.transaction(async (tx) => {
+    const [locked] = await tx.select().from(paymentJobs).where(eq(paymentJobs.id, job.id)).for('update');
+    if (locked.state === PAYMENT_JOB_STATES.CREDITED || locked.state === PAYMENT_JOB_STATES.CONFLICT) {
+      return { job: locked, credited: false, conflict: locked.state === PAYMENT_JOB_STATES.CONFLICT, balance: null };
     }
+    if (locked.state !== PAYMENT_JOB_STATES.CONFIRMED) {
+      throw new Error(`Payment job #${job.id} is ${locked.state}, not confirmed`);
+    }
+
+    const { entry, balance } = await recordDeposit({
+      playerId: locked.playerId,
+      amountJewel: locked.amountJewel,
+      txHash: locked.txHash,
+      logIndex: locked.logIndex,
+      chain: locked.chain,
+      fromWallet: locked.fromWallet,
+      source: 'garden_optimization',
+      conversion: locked.conversion
+    }, { tx });
+    // Another path (wallet sweep, admin review) may have credited this transfer first
+    const now = new Date();
+    if (entry.playerId !== locked.playerId) {
+      const reason = `Transfer ${locked.transferRef} was already credited to player #${entry.playerId} (entry #${entry.id})`;
+      const [conflicted] = await tx
+        .update(paymentJobs)
+        .set({ state: PAYMENT_JOB_STATES.CONFLICT, ledgerEntryId: entry.id, conflictReason: reason, conflictedAt: now, updatedAt: now })
+        .where(eq(paymentJobs.id, locked.id))
+        .returning();
+      await tx
+        .update(gardenOptimizations)
+        .set({ status: 'failed', errorMessage: `${reason} - waiting for admin review`, updatedAt: now })
+        .where(and(eq(gardenOptimizations.id, locked.optimizationId), eq(gardenOptimizations.status, 'awaiting_payment')));
+      return { job: conflicted, credited: false, conflict: true, balance: null };
+    }
+
+    const [credited] = await tx
+      .update(paymentJobs)
+      .set({ state: PAYMENT_JOB_STATES.CREDITED, ledgerEntryId: entry.id, creditedAt: now, updatedAt: now })
+      .where(eq(paymentJobs.id, locked.id))
+      .returning();
+
+    await tx
+      .update(gardenOptimizations)
+      .set({
+        status: 'payment_verified',
+        paymentVerifiedAt: now,
+        paidAmountJewel: locked.amountJewel,
+        paidAt: locked.transferredAt,
+        txHash: locked.txHash,
+        updatedAt: now
+      })
+      .where(and(eq(gardenOptimizations.id, locked.optimizationId), eq(gardenOptimizations.status, 'awaiting_payment')));
+
+    return { job: credited, credited: true, conflict: false, balance };
+  });
+
+  if (result.credited) {
+    console.log(`[PaymentJobs] ✅ Job #${job.id} credited ${result.job.amountJewel} JEWEL to player #${result.job.playerId} (entry #${result.job.ledgerEntryId})`);
+  }
+  if (result.conflict && job.state !== PAYMENT_JOB_STATES.CONFLICT) {
+    console.warn(`[PaymentJobs] ⚠️ Job #${job.id} (optimization #${job.optimizationId}) needs admin review: ${result.job.conflictReason}`);
   }
-  
-  return removed;
+  return result;
 }
@@ -0,0 +1,133 @@
+/**
+ * Payment Tokens - what Hedge accepts and what it's worth in JEWEL
+ *
+ * Balances and prices are kept in JEWEL. Payments in other tokens are credited
+ * at their JEWEL-equivalent value at the time of the transfer.
+ *
+ * Accepted:
+ * - JEWEL (native on DFK Chain and Metis)  → credited 1:1
+ * - CRYSTAL, USDC (ERC-20 on DFK Chain)     → converted via USD prices
+ *
+ * Pricing (token USD / JEWEL USD):
+ * - Transfers from the last LIVE_PRICE_WINDOW_MS use the on-chain price graph
+ *   (price-feed.js getTokenPrice); older ones use historical_prices at the
+ *   transfer's hour. Each source falls back to the other.
+ * - The rate, both USD prices and the source are returned as `conversion` and
+ *   stored on the ledger deposit entry, so every credit can be re-derived
+ */
+
+import Decimal from 'decimal.js';
+import { getTokenPrice, TOKEN_ADDRESSES } from './price-feed.js';
+import { getPriceAtTimestamp } from './bridge-tracker/price-history.js';
+
+const LIVE_PRICE_WINDOW_MS = 15 * 60 * 1000;
+
+export const PAYMENT_TOKENS = [
+  { symbol: 'JEWEL', chain: 'DFK Chain', chainId: 53935, type: 'native', decimals: 18 },
+  { symbol: 'JEWEL', chain: 'Metis Andromeda', chainId: 1088, type: 'native', decimals: 18 },
+  { symbol: 'CRYSTAL', chain: 'DFK Chain', chainId: 53935, type: 'erc20', address: TOKEN_ADDRESSES.CRYSTAL, decimals: 18 },
+  // Bridged USDC on DFK Chain uses 18 decimals
+  { symbol: 'USDC', chain: 'DFK Chain', chainId: 53935, type: 'erc20', address: TOKEN_ADDRESSES.USDC, decimals: 18 }
+];
+
+/**
+ * Accepted ERC-20 token on a chain, by contract address (null if not accepted)
+ */
+export function findErc20Token(chainId, tokenAddress) {
+  const address = tokenAddress?.toLowerCase();
+  return PAYMENT_TOKENS.find(t => t.type === 'erc20' && t.chainId === chainId && t.address.toLowerCase() === address) || null;
+}
+
+/**
+ * Convert a token amount to JEWEL from USD prices (pure)
+ *
+ * @returns {object} - { amountJewel, rate } (rate = JEWEL per token)
+ */
+export function convertToJewel(tokenAmount, tokenUsd, jewelUsd) {
+  const tokenPrice = new Decimal(tokenUsd || 0);
+  const jewelPrice = new Decimal(jewelUsd || 0);
+  if (tokenPrice.lessThanOrEqualTo(0) || jewelPrice.lessThanOrEqualTo(0)) {
+    throw new Error(`Cannot convert without positive prices (token $${tokenUsd}, JEWEL $${jewelUsd})`);
+  }
+  const rate = tokenPrice.dividedBy(jewelPrice);
+  return {
+    amountJewel: new Decimal(tokenAmount).times(rate).toDecimalPlaces(18, Decimal.ROUND_DOWN).toString(),
+    rate: rate.toDecimalPlaces(18).toString()
+  };
+}
+
+async function livePrices(token) {
+  const [tokenUsd, jewelUsd] = await Promise.all([
+    getTokenPrice(token.address),
+    getTokenPrice(TOKEN_ADDRESSES.JEWEL)
+  ]);
+  return { tokenUsd, jewelUsd, priceSource: 'price_feed' };
+}
+
+async function historicalPrices(token, timestamp) {
+  const [tokenUsd, jewelUsd] = await Promise.all([
+    getPriceAtTimestamp(token.symbol, timestamp),
+    getPriceAtTimestamp('JEWEL', timestamp)
+  ]);
+  return { tokenUsd, jewelUsd, priceSource: 'historical_prices' };
+}
+
+/**
+ * Give a transfer its JEWEL value
+ *
+ * @param {object} transfer - From fetchTransfersFromRouteScan (token, tokenAddress, amount, timestamp, ...)
+ * @param {object} [options]
+ * @param {Date} [options.now]
+ * @returns {object|null} - The transfer with amountJewel (and conversion for non-JEWEL), or null if it can't be priced yet
+ */
+export async function priceTransfer(transfer, { now = new Date() } = {}) {
+  if (transfer.token === 'JEWEL') {
+    return { ...transfer, amountJewel: transfer.amount, conversion: null };
+  }
+
+  const token = PAYMENT_TOKENS.find(t => t.symbol === transfer.token && t.chain === transfer.chain);
+  if (!token) return null;
+
+  const timestamp = new Date(transfer.timestamp);
+  const recent = now.getTime() - timestamp.getTime() <= LIVE_PRICE_WINDOW_MS;
+  const sources = recent
+    ? [() => livePrices(token), () => historicalPrices(token, timestamp)]
+    : [() => historicalPrices(token, timestamp), () => livePrices(token)];
+
+  for (const source of sources) {
+    try {
+      const { tokenUsd, jewelUsd, priceSource } = await source();
+      const { amountJewel, rate } = convertToJewel(transfer.amount, tokenUsd, jewelUsd);
+      return {
+        ...transfer,
+        amountJewel,
+        conversion: {
+          token: token.symbol,
+          tokenAddress: token.address,
+          tokenAmount: transfer.amount,
+          tokenUsd: String(tokenUsd),
+          jewelUsd: String(jewelUsd),
+          rateJewelPerToken: rate,
+          priceSource,
+          pricedAt: timestamp.toISOString()
+        }
+      };
+    } catch (err) {
+      console.warn(`[PaymentTokens] Could not price ${transfer.amount} ${transfer.token} (${transfer.hash}):`, err.message);
+    }
+  }
+  return null;
+}
+
+/**
+ * Price a batch of transfers, dropping any that can't be priced yet
+ * (they're picked up again on the next scan)
+ */
+export async function priceTransfers(transfers, options) {
+  const priced = [];
+  for (const transfer of transfers) {
+    const result = await priceTransfer(transfer, options);
+    if (result) priced.push(result);
+  }
+  return priced;
+}
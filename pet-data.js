@@ -6,14 +6,15 @@
  */
 
 import { ethers } from 'ethers';
+import { getChainProvider } from './src/services/rpcProviderRegistry.js';
+import { batched } from './src/services/multicall.js';
 
 // DFK Chain configuration
-const DFK_CHAIN_RPC = 'https://subnets.avax.network/defi-kingdoms/dfk-chain/rpc';
 const PETCORE_ADDRESS = '0x1990F87d6BC9D9385917E3EDa0A7674411C3Cd7F';
 const PET_METADATA_BASE = 'https://pets.defikingdoms.com';
 
 // Initialize provider
-const provider = new ethers.JsonRpcProvider(DFK_CHAIN_RPC);
+const provider = getChainProvider('dfk');
 
 // PetCore ABI (minimal interface) - matches actual PetV2 struct from contract
 // Fields: id, originId, name, season, eggType, rarity, element, bonusCount,
@@ -30,6 +31,8 @@ const petCoreABI = [
 ];
 
 const petContract = new ethers.Contract(PETCORE_ADDRESS, petCoreABI, provider);
+// Per-hero/per-pet reads issued together are folded into one Multicall3 request
+const batchedPetContract = batched(petContract);
 
 // Pet egg type to gathering type mapping
 const EGG_TYPE_TO_GATHERING = {
@@ -705,34 +708,45 @@ export async function fetchPetForHero(heroId) {
 }
 
 /**
- * Fetch pets for multiple heroes using heroToPet mapping (parallel)
+ * Fetch pets for multiple heroes using heroToPet mapping (two Multicall3 batches)
  * Used as a fallback for heroes missing from getUserPetsV2 results
  * @param {Array<string|number>} heroIds - Array of hero IDs
  * @returns {Promise<Array>} Array of pet objects (de-duplicated by pet ID)
  */
 export async function fetchPetsForHeroes(heroIds) {
-  // Fetch all pets in parallel
-  const promises = heroIds.map(async (heroId) => {
+  // Pass 1: heroToPet for every hero (one batched read)
+  const petIdResults = await Promise.all(heroIds.map(async (heroId) => {
     try {
-      return await fetchPetForHero(heroId);
+      const normalizedHeroId = Number(heroId) % 1000000;
+      return { heroId, petId: Number(await batchedPetContract.heroToPet(normalizedHeroId)) };
     } catch (error) {
       console.error(`[PetData] Error fetching pet for hero #${heroId}:`, error.message);
-      return null;
+      return { heroId, petId: 0 };
     }
-  });
-  
-  const results = await Promise.all(promises);
+  }));
   
-  // Filter nulls and de-duplicate by pet ID
-  const seenPetIds = new Set();
-  const uniquePets = [];
-  for (const pet of results) {
-    if (pet && !seenPetIds.has(pet.id)) {
-      seenPetIds.add(pet.id);
-      uniquePets.push(pet);
+  // De-duplicate by pet ID, keeping the first hero it was found on
+  const heroByPetId = new Map();
+  for (const { heroId, petId } of petIdResults) {
+    if (petId !== 0 && !heroByPetId.has(petId)) {
+      heroByPetId.set(petId, heroId);
     }
   }
   
+  // Pass 2: getPetV2 for every equipped pet (one batched read)
+  const pets = await Promise.all(Array.from(heroByPetId, async ([petId, heroId]) => {
+    try {
+      const pet = parsePetData(await batchedPetContract.getPetV2(petId));
+      pet.equippedTo = String(heroId);
+      return pet;
+    } catch (error) {
+      console.error(`[PetData] Error fetching pet #${petId}:`, error.message);
+      return null;
+    }
+  }));
+  
+  const uniquePets = pets.filter(Boolean);
+  console.log(`[PetData] Fetched ${uniquePets.length} equipped pets for ${heroIds.length} heroes`);
   return uniquePets;
 }
 
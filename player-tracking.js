@@ -126,6 +126,8 @@ export async function logMessage(messageData) {
     sentiment = null,
     heroIdQueried = null,
     walletQueried = null,
+    content = null,
+    tokenCount = null,
   } = messageData;
 
   const [message] = await db
@@ -139,6 +141,8 @@ export async function logMessage(messageData) {
       sentiment,
       heroIdQueried,
       walletQueried,
+      content,
+      tokenCount,
       timestamp: new Date(),
     })
     .returning();
@@ -19,6 +19,7 @@
 //  - initializePoolCache()    → call on startup
 //  - stopPoolCache()          → legacy no-op
 //  - isCacheReady()           → true if cache has pools (for cache-ready-queue)
+//  - getPoolDataDegradation() → stale-data severity for paid results (or null)
 //
 // Default export includes all of the above.
 
@@ -33,6 +34,8 @@ let CACHE = {
 };
 
 const REFRESH_INTERVAL_MS = 15 * 60 * 1000; // 15 minutes
+const STALE_AFTER_MS = 30 * 60 * 1000; // Paid results on older data are degraded (minor)
+const VERY_STALE_AFTER_MS = 2 * 60 * 60 * 1000; // Older than this = degraded (major)
 
 // --------------------------
 // Internal: Load cached analytics from database (fast startup with real values)
@@ -310,6 +313,18 @@ export function getCachedPoolAnalytics() {
   return CACHE;
 }
 
+// --------------------------
+// Public: how stale pool data was for a paid result (refund-policy severity)
+// --------------------------
+export function getPoolDataDegradation(lastUpdated, now = Date.now()) {
+  const ageMs = now - lastUpdated;
+  if (!lastUpdated || ageMs <= STALE_AFTER_MS) return null;
+  return {
+    severity: ageMs > VERY_STALE_AFTER_MS ? 'major' : 'minor',
+    ageMinutes: Math.round(ageMs / 60000),
+  };
+}
+
 // --------------------------
 // Public: legacy single-pool helper
 // --------------------------
@@ -450,4 +465,5 @@ export default {
   initializePoolCache,
   isCacheReady,
   stopPoolCache,
+  getPoolDataDegradation,
 };
\ No newline at end of file
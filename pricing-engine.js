@@ -127,13 +127,16 @@ export async function getBaseCost(queryType) {
  * 
  * @param {string} queryType - Query type
  * @param {object} playerContext - Player context (tier, lifetimeDeposits, etc.)
- * @param {object} options - Pricing options (priority, timestamp)
+ * @param {object} options - Pricing options (priority, timestamp, basePriceJewel -
+ *   a price list outside the base rates, e.g. the agent's TOOL_BASE_PRICES)
  * @returns {object} - { baseCost, modifiers: [], finalCost, breakdown }
  */
 export async function calculateCost(queryType, playerContext, options = {}) {
   await loadPricingConfig();
   
-  const baseCost = await getBaseCost(queryType);
+  const baseCost = options.basePriceJewel != null
+    ? new Decimal(options.basePriceJewel)
+    : await getBaseCost(queryType);
   let finalCost = baseCost;
   const modifiers = [];
   
@@ -0,0 +1,521 @@
+/**
+ * Promotions - promo codes, free trials and referral credits
+ *
+ * pricing-engine.js can discount a query but can't put JEWEL in anyone's
+ * balance; this module grants credit (ledger `promo_credit` entries, funded
+ * from the promotions account) and trial subscriptions.
+ *
+ * Promo codes (/redeem <code>):
+ * - Grant JEWEL credit, a trial of a subscription plan, or both
+ * - Limited by total redemptions, a start/expiry window, the player's
+ *   entitlement tier (e.g. trials for free players only) and a per-user cap
+ *
+ * Referrals (/redeem REF-xxxx, /referral for your own code):
+ * - A new player (no deposits yet) names their inviter once
+ * - When the invitee's deposits reach REFERRAL_MIN_DEPOSIT_JEWEL, the
+ *   referral sweep credits the inviter REFERRAL_REWARD_JEWEL and DMs them
+ *
+ * Anti-abuse:
+ * - Accounts are linked when they share a wallet: players.wallets, verified
+ *   wallets, or wallet_clusters/wallet_links from smurf detection
+ * - Per-user promo caps count redemptions across linked accounts
+ * - A referral is refused (or rejected at settlement) when inviter and
+ *   invitee are linked, or the invitee's deposits came from the inviter's wallets
+ */
+
+import Decimal from 'decimal.js';
+import { db } from './server/db.js';
+import { promoCodes, promoRedemptions, referrals, players, verifiedWallets, walletClusters, walletLinks, ledgerEntries } from './shared/schema.ts';
+import { eq, and, inArray, desc, sql } from 'drizzle-orm';
+import { recordPromoCredit, getLedgerBalance } from './jewel-ledger.js';
+import { getPlayerSubscription, grantSubscription, ensureSubscriptionTables } from './subscription-billing.js';
+import { ensureWalletDepositTables } from './wallet-deposits.js';
+
+export const REFERRAL_REWARD_JEWEL = '5';
+export const REFERRAL_MIN_DEPOSIT_JEWEL = '10';
+const REFERRAL_WINDOW_DAYS = 30; // New players can name an inviter within this many days of joining
+const REFERRAL_SWEEP_INTERVAL_MS = 5 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let tablesReady = false;
+let referralTimer = null;
+let discordClient = null; // Set by bot.js
+
+// --------------------------
+// Pure helpers
+// --------------------------
+
+/**
+ * A player's shareable referral code
+ */
+export function referralCodeFor(playerId) {
+  return `REF-${playerId.toString(36).toUpperCase()}`;
+}
+
+/**
+ * Inviter's player id from a referral code (null if it isn't one)
+ */
+export function parseReferralCode(code) {
+  const match = /^REF-([0-9A-Z]+)$/.exec(code.trim().toUpperCase());
+  if (!match) return null;
+  const playerId = parseInt(match[1], 36);
+  return Number.isSafeInteger(playerId) && playerId > 0 ? playerId : null;
+}
+
+/**
+ * Whether a player may redeem a promo code right now (pure)
+ *
+ * @param {object} promo - promo_codes row
+ * @param {object} context
+ * @param {Date} context.now
+ * @param {string} context.playerTier - Entitlement tier ('free', 'premium', ...)
+ * @param {number} context.groupRedemptions - Redemptions of this code by the player and linked accounts
+ * @returns {object} - { ok, reason? }
+ */
+export function checkPromoEligibility(promo, { now, playerTier, groupRedemptions }) {
+  if (!promo || !promo.enabled) return { ok: false, reason: "That code doesn't exist" };
+  if (promo.startsAt && new Date(promo.startsAt) > now) return { ok: false, reason: "That code isn't active yet" };
+  if (promo.expiresAt && new Date(promo.expiresAt) <= now) return { ok: false, reason: 'That code has expired' };
+  if (promo.maxRedemptions != null && promo.redemptionCount >= promo.maxRedemptions) {
+    return { ok: false, reason: 'That code has been fully redeemed' };
+  }
+  if (groupRedemptions >= promo.perUserLimit) {
+    return { ok: false, reason: "You've already redeemed that code" };
+  }
+  if (promo.targetTiers?.length && !promo.targetTiers.includes(playerTier)) {
+    return { ok: false, reason: `That code is only for ${promo.targetTiers.join('/')} players` };
+  }
+  return { ok: true };
+}
+
+// --------------------------
+// Tables
+// --------------------------
+
+/**
+ * Create promo and referral tables on databases that predate them
+ */
+export async function ensurePromotionTables() {
+  if (tablesReady) return;
+  await ensureSubscriptionTables();
+  await ensureWalletDepositTables(); // verified_wallets is read by the linked-account checks
+
+  await db.execute(sql`
+    CREATE TABLE IF NOT EXISTS promo_codes (
+      code TEXT PRIMARY KEY,
+      description TEXT,
+      amount_jewel NUMERIC(30, 18),
+      plan_id TEXT REFERENCES subscription_plans(plan_id),
+      trial_days INTEGER,
+      max_redemptions INTEGER,
+      per_user_limit INTEGER NOT NULL DEFAULT 1,
+      redemption_count INTEGER NOT NULL DEFAULT 0,
+      target_tiers JSON,
+      starts_at TIMESTAMPTZ,
+      expires_at TIMESTAMPTZ,
+      enabled BOOLEAN NOT NULL DEFAULT true,
+      created_by TEXT,
+      created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP NOT NULL
+    )
+  `);
+  await db.execute(sql`
+    CREATE TABLE IF NOT EXISTS promo_redemptions (
+      id SERIAL PRIMARY KEY,
+      code TEXT NOT NULL REFERENCES promo_codes(code),
+      player_id INTEGER NOT NULL REFERENCES players(id),
+      amount_jewel NUMERIC(30, 18),
+      ledger_entry_id INTEGER,
+      subscription_id INTEGER,
+      created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP NOT NULL
+    )
+  `);
+  await db.execute(sql`CREATE INDEX IF NOT EXISTS promo_redemptions_code_player_idx ON promo_redemptions (code, player_id)`);
+  await db.execute(sql`
+    CREATE TABLE IF NOT EXISTS referrals (
+      id SERIAL PRIMARY KEY,
+      inviter_player_id INTEGER NOT NULL REFERENCES players(id),
+      invitee_player_id INTEGER NOT NULL UNIQUE REFERENCES players(id),
+      status TEXT NOT NULL DEFAULT 'pending',
+      reward_jewel NUMERIC(30, 18),
+      ledger_entry_id INTEGER,
+      reject_reason TEXT,
+      settled_at TIMESTAMPTZ,
+      created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP NOT NULL
+    )
+  `);
+  await db.execute(sql`CREATE INDEX IF NOT EXISTS referrals_inviter_idx ON referrals (inviter_player_id)`);
+  await db.execute(sql`CREATE INDEX IF NOT EXISTS referrals_status_idx ON referrals (status)`);
+
+  tablesReady = true;
+}
+
+// --------------------------
+// Linked accounts (anti-abuse)
+// --------------------------
+
+/**
+ * Every address tied to a player: their wallet list, verified wallets and
+ * smurf-detection cluster wallets (lowercased)
+ */
+export async function getAccountAddresses(playerId) {
+  await ensurePromotionTables();
+  const [player] = await db
+    .select({ discordId: players.discordId, wallets: players.wallets, primaryWallet: players.primaryWallet })
+    .from(players)
+    .where(eq(players.id, playerId))
+    .limit(1);
+  if (!player) return new Set();
+
+  const [verified, clustered] = await Promise.all([
+    db.select({ address: verifiedWallets.address })
+      .from(verifiedWallets)
+      .where(and(eq(verifiedWallets.playerId, playerId), eq(verifiedWallets.isActive, true))),
+    db.select({ address: walletLinks.address })
+      .from(walletLinks)
+      .innerJoin(walletClusters, eq(walletClusters.clusterKey, walletLinks.clusterKey))
+      .where(and(eq(walletClusters.userId, player.discordId), eq(walletLinks.isActive, true)))
+  ]);
+
+  return new Set([
+    ...(player.wallets || []),
+    ...(player.primaryWallet ? [player.primaryWallet] : []),
+    ...verified.map(w => w.address),
+    ...clustered.map(w => w.address)
+  ].map(a => a.toLowerCase()));
+}
+
+/**
+ * Other players sharing any wallet with this player
+ */
+export async function findLinkedPlayers(playerId) {
+  const addresses = [...await getAccountAddresses(playerId)];
+  if (addresses.length === 0) return [];
+  const list = sql.join(addresses.map(a => sql`${a}`), sql`, `);
+
+  const result = await db.execute(sql`
+    SELECT p.id FROM players p
+    WHERE p.id <> ${playerId} AND (
+      LOWER(p.primary_wallet) IN (${list})
+      OR EXISTS (SELECT 1 FROM json_array_elements_text(COALESCE(p.wallets, '[]'::json)) w WHERE LOWER(w) IN (${list}))
+      OR EXISTS (SELECT 1 FROM verified_wallets v WHERE v.player_id = p.id AND v.is_active AND v.address IN (${list}))
+      OR EXISTS (
+        SELECT 1 FROM wallet_clusters c JOIN wallet_links l ON l.cluster_key = c.cluster_key
+        WHERE c.user_id = p.discord_id AND l.is_active AND LOWER(l.address) IN (${list})
+      )
+    )
+  `);
+  const rows = Array.isArray(result) ? result : (result.rows || []);
+  return rows.map(r => Number(r.id));
+}
+
+async function playerTier(playerId) {
+  const subscription = await getPlayerSubscription(playerId);
+  return subscription?.tierId || 'free';
+}
+
+// --------------------------
+// Promo codes
+// --------------------------
+
+/**
+ * Create a promo code (admin)
+ */
+export async function createPromoCode({ code, description = null, amountJewel = null, planId = null, trialDays = null,
+  maxRedemptions = null, perUserLimit = 1, targetTiers = null, startsAt = null, expiresAt = null }, { adminId } = {}) {
+  await ensurePromotionTables();
+  const normalized = String(code || '').trim().toUpperCase();
+  if (!/^[A-Z0-9_-]{3,32}$/.test(normalized)) {
+    throw new Error('Codes are 3-32 characters: letters, digits, - and _');
+  }
+  if (parseReferralCode(normalized)) {
+    throw new Error('REF- codes are reserved for referrals');
+  }
+  if (!amountJewel && !planId) {
+    throw new Error('A promo code needs a JEWEL amount, a trial plan, or both');
+  }
+  if (amountJewel && !new Decimal(amountJewel).isPositive()) {
+    throw new Error('amountJewel must be positive');
+  }
+  if (planId && !(trialDays > 0)) {
+    throw new Error('Trial codes need trialDays');
+  }
+
+  const [promo] = await db.insert(promoCodes).values({
+    code: normalized,
+    description,
+    amountJewel: amountJewel ? new Decimal(amountJewel).toString() : null,
+    planId,
+    trialDays: planId ? trialDays : null,
+    maxRedemptions,
+    perUserLimit,
+    targetTiers: targetTiers?.length ? targetTiers : null,
+    startsAt: startsAt ? new Date(startsAt) : null,
+    expiresAt: expiresAt ? new Date(expiresAt) : null,
+    createdBy: adminId || null
+  }).returning();
+  return promo;
+}
+
+/**
+ * Update a promo code's limits, window or availability (admin)
+ */
+export async function updatePromoCode(code, patch) {
+  await ensurePromotionTables();
+  const set = {};
+  if (patch.description !== undefined) set.description = patch.description;
+  if (patch.maxRedemptions !== undefined) set.maxRedemptions = patch.maxRedemptions;
+  if (patch.perUserLimit !== undefined) set.perUserLimit = patch.perUserLimit;
+  if (patch.targetTiers !== undefined) set.targetTiers = patch.targetTiers?.length ? patch.targetTiers : null;
+  if (patch.startsAt !== undefined) set.startsAt = patch.startsAt ? new Date(patch.startsAt) : null;
+  if (patch.expiresAt !== undefined) set.expiresAt = patch.expiresAt ? new Date(patch.expiresAt) : null;
+  if (patch.enabled !== undefined) set.enabled = !!patch.enabled;
+  if (Object.keys(set).length === 0) throw new Error('Nothing to update');
+
+  const [promo] = await db.update(promoCodes).set(set).where(eq(promoCodes.code, code.toUpperCase())).returning();
+  if (!promo) throw new Error(`Unknown promo code: ${code}`);
+  return promo;
+}
+
+export async function listPromoCodes() {
+  await ensurePromotionTables();
+  return db.select().from(promoCodes).orderBy(desc(promoCodes.createdAt));
+}
+
+/**
+ * Redeem a promo code: credit JEWEL and/or start a trial
+ *
+ * @returns {object} - { code, amountJewel, subscription, balance }
+ */
+export async function redeemPromoCode(playerId, rawCode) {
+  await ensurePromotionTables();
+  const code = rawCode.trim().toUpperCase();
+  const group = [playerId, ...await findLinkedPlayers(playerId)];
+  const tier = await playerTier(playerId);
+
+  return db.transaction(async (tx) => {
+    // Row lock so concurrent redemptions can't overshoot the limits
+    const [promo] = await tx.select().from(promoCodes).where(eq(promoCodes.code, code)).limit(1).for('update');
+
+    const [{ count }] = await tx
+      .select({ count: sql`COUNT(*)::int` })
+      .from(promoRedemptions)
+      .where(and(eq(promoRedemptions.code, code), inArray(promoRedemptions.playerId, group)));
+
+    const eligibility = checkPromoEligibility(promo, { now: new Date(), playerTier: tier, groupRedemptions: Number(count) });
+    if (!eligibility.ok) throw new Error(eligibility.reason);
+
+    const [redemption] = await tx.insert(promoRedemptions).values({
+      code,
+      playerId,
+      amountJewel: promo.amountJewel
+    }).returning();
+
+    let entryId = null;
+    let balance = null;
+    if (promo.amountJewel) {
+      const credit = await recordPromoCredit({
+        playerId,
+        amountJewel: promo.amountJewel,
+        code,
+        externalRef: `promo:${code}:${redemption.id}`
+      }, { tx });
+      entryId = credit.entry.id;
+      balance = credit.balance;
+    }
+
+    let subscription = null;
+    if (promo.planId) {
+      subscription = await grantSubscription({ playerId, planId: promo.planId, days: promo.trialDays }, { tx });
+    }
+
+    await tx.update(promoRedemptions)
+      .set({ ledgerEntryId: entryId, subscriptionId: subscription?.id ?? null })
+      .where(eq(promoRedemptions.id, redemption.id));
+    await tx.update(promoCodes)
+      .set({ redemptionCount: sql`${promoCodes.redemptionCount} + 1` })
+      .where(eq(promoCodes.code, code));
+
+    console.log(`[Promotions] Player #${playerId} redeemed ${code}`);
+    return { code, amountJewel: promo.amountJewel, subscription, balance };
+  });
+}
+
+/**
+ * /redeem entry point: referral codes register an inviter, anything else is a promo code
+ *
+ * @returns {object} - { kind: 'referral' | 'promo', ...result }
+ */
+export async function redeemCode(playerId, rawCode) {
+  if (parseReferralCode(rawCode)) {
+    return { kind: 'referral', ...await registerReferral(playerId, rawCode) };
+  }
+  return { kind: 'promo', ...await redeemPromoCode(playerId, rawCode) };
+}
+
+// --------------------------
+// Referrals
+// --------------------------
+
+/**
+ * Record who invited a new player
+ */
+export async function registerReferral(inviteePlayerId, code) {
+  await ensurePromotionTables();
+  const inviterPlayerId = parseReferralCode(code);
+  if (!inviterPlayerId) throw new Error("That isn't a referral code");
+  if (inviterPlayerId === inviteePlayerId) throw new Error("You can't refer yourself");
+
+  const [[inviter], [invitee]] = await Promise.all([
+    db.select().from(players).where(eq(players.id, inviterPlayerId)).limit(1),
+    db.select().from(players).where(eq(players.id, inviteePlayerId)).limit(1)
+  ]);
+  if (!inviter) throw new Error("That referral code doesn't belong to anyone");
+  if (invitee.firstSeenAt && Date.now() - new Date(invitee.firstSeenAt).getTime() > REFERRAL_WINDOW_DAYS * DAY_MS) {
+    throw new Error(`Referral codes can only be used in your first ${REFERRAL_WINDOW_DAYS} days`);
+  }
+
+  const { lifetimeDepositsJewel } = await getLedgerBalance(inviteePlayerId);
+  if (new Decimal(lifetimeDepositsJewel || 0).isPositive()) {
+    throw new Error('Referral codes are for players who haven\'t deposited yet');
+  }
+
+  const linked = await findLinkedPlayers(inviteePlayerId);
+  if (linked.includes(inviterPlayerId)) {
+    throw new Error('That referral code belongs to an account linked to yours');
+  }
+
+  const [referral] = await db.insert(referrals)
+    .values({ inviterPlayerId, inviteePlayerId })
+    .onConflictDoNothing()
+    .returning();
+  if (!referral) throw new Error('You already used a referral code');
+
+  console.log(`[Promotions] Player #${inviteePlayerId} referred by #${inviterPlayerId}`);
+  return { referral, inviter };
+}
+
+/**
+ * Referral code and counts for a player's /referral view
+ */
+export async function getReferralSummary(playerId) {
+  await ensurePromotionTables();
+  const rows = await db
+    .select({ status: referrals.status, count: sql`COUNT(*)::int`, rewards: sql`COALESCE(SUM(${referrals.rewardJewel}), 0)` })
+    .from(referrals)
+    .where(eq(referrals.inviterPlayerId, playerId))
+    .groupBy(referrals.status);
+  const byStatus = Object.fromEntries(rows.map(r => [r.status, r]));
+  return {
+    code: referralCodeFor(playerId),
+    pending: Number(byStatus.pending?.count || 0),
+    credited: Number(byStatus.credited?.count || 0),
+    rewardsJewel: new Decimal(byStatus.credited?.rewards || 0).toString()
+  };
+}
+
+export async function listReferrals({ status = null, limit = 200 } = {}) {
+  await ensurePromotionTables();
+  let query = db.select().from(referrals);
+  if (status) query = query.where(eq(referrals.status, status));
+  return query.orderBy(desc(referrals.createdAt)).limit(limit);
+}
+
+async function notifyReferralReward(inviterPlayerId, rewardJewel, balance) {
+  if (!discordClient) return;
+  try {
+    const [player] = await db.select({ discordId: players.discordId }).from(players).where(eq(players.id, inviterPlayerId)).limit(1);
+    if (!player) return;
+    const user = await discordClient.users.fetch(player.discordId);
+    await user.send(
+      `🤝 Someone you invited just made their first deposit, so here's **${rewardJewel} JEWEL** for the introduction.\n` +
+      `Your balance is now **${new Decimal(balance?.balanceJewel || 0).toFixed(2)} JEWEL**.`
+    );
+  } catch (err) {
+    console.error(`[Promotions] Failed to DM referral reward to player #${inviterPlayerId}:`, err.message);
+  }
+}
+
+/**
+ * Settle pending referrals whose invitee has deposited enough.
+ * Re-checks account links at settlement, since wallets may have been linked
+ * after the code was used.
+ *
+ * @returns {object} - { credited, rejected }
+ */
+export async function settleReferrals() {
+  await ensurePromotionTables();
+  const stats = { credited: 0, rejected: 0 };
+
+  const pending = await db.select().from(referrals).where(eq(referrals.status, 'pending'));
+  for (const referral of pending) {
+    try {
+      const { lifetimeDepositsJewel } = await getLedgerBalance(referral.inviteePlayerId);
+      if (new Decimal(lifetimeDepositsJewel).lessThan(REFERRAL_MIN_DEPOSIT_JEWEL)) continue;
+
+      const deposits = await db
+        .select({ metadata: ledgerEntries.metadata })
+        .from(ledgerEntries)
+        .where(and(eq(ledgerEntries.entryType, 'deposit'), eq(ledgerEntries.playerId, referral.inviteePlayerId)));
+
+      const inviterAddresses = await getAccountAddresses(referral.inviterPlayerId);
+      const linked = await findLinkedPlayers(referral.inviteePlayerId);
+      let rejectReason = null;
+      if (linked.includes(referral.inviterPlayerId)) {
+        rejectReason = 'inviter and invitee share a wallet';
+      } else if (deposits.some(d => d.metadata?.fromWallet && inviterAddresses.has(d.metadata.fromWallet.toLowerCase()))) {
+        rejectReason = "invitee was funded from the inviter's wallet";
+      }
+
+      if (rejectReason) {
+        await db.update(referrals)
+          .set({ status: 'rejected', rejectReason, settledAt: new Date() })
+          .where(eq(referrals.id, referral.id));
+        stats.rejected++;
+        console.log(`[Promotions] Referral #${referral.id} rejected: ${rejectReason}`);
+        continue;
+      }
+
+      const { entry, balance } = await recordPromoCredit({
+        playerId: referral.inviterPlayerId,
+        amountJewel: REFERRAL_REWARD_JEWEL,
+        code: 'referral',
+        externalRef: `referral:${referral.id}`,
+        metadata: { inviteePlayerId: referral.inviteePlayerId }
+      });
+      await db.update(referrals)
+        .set({ status: 'credited', rewardJewel: REFERRAL_REWARD_JEWEL, ledgerEntryId: entry.id, settledAt: new Date() })
+        .where(eq(referrals.id, referral.id));
+      stats.credited++;
+      await notifyReferralReward(referral.inviterPlayerId, REFERRAL_REWARD_JEWEL, balance);
+    } catch (err) {
+      console.error(`[Promotions] Error settling referral #${referral.id}:`, err.message);
+    }
+  }
+
+  if (stats.credited > 0 || stats.rejected > 0) {
+    console.log(`[Promotions] Referral sweep: ${stats.credited} credited, ${stats.rejected} rejected`);
+  }
+  return stats;
+}
+
+/**
+ * Start the referral sweep
+ * @param {Client} client - Discord.js client instance (for reward DMs)
+ */
+export async function startReferralRewards(client) {
+  discordClient = client;
+  await ensurePromotionTables();
+  if (referralTimer) return;
+
+  referralTimer = setInterval(() => {
+    settleReferrals().catch(err => console.error('[Promotions] Referral sweep failed:', err.message));
+  }, REFERRAL_SWEEP_INTERVAL_MS);
+  console.log('✅ Referral reward sweep started');
+}
+
+export function stopReferralRewards() {
+  if (referralTimer) {
+    clearInterval(referralTimer);
+    referralTimer = null;
+  }
+}
@@ -8,8 +8,7 @@
  */
 
 import { ethers } from 'ethers';
-
-const DFK_RPC = 'https://subnets.avax.network/defi-kingdoms/dfk-chain/rpc';
+import { getChainProvider } from './src/services/rpcProviderRegistry.js';
 
 const QUEST_REWARD_FUND = '0x1137643FE14b032966a59Acd68EBf3c1271Df316';
 
@@ -20,7 +19,7 @@ const ERC20_ABI = [
   'function balanceOf(address owner) view returns (uint256)',
 ];
 
-const provider = new ethers.JsonRpcProvider(DFK_RPC);
+const provider = getChainProvider('dfk');
 
 let cachedRewardPools = null;
 let cacheTimestamp = 0;
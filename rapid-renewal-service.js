@@ -6,6 +6,8 @@
  */
 
 import { ethers } from 'ethers';
+import { getChainProvider } from './src/services/rpcProviderRegistry.js';
+import { batched } from './src/services/multicall.js';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
@@ -13,7 +15,6 @@ import { fileURLToPath } from 'url';
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-const DFK_CHAIN_RPC = 'https://subnets.avax.network/defi-kingdoms/dfk-chain/rpc';
 // Updated PowerUpManager address from official DFK docs (Nov 2024)
 const POWERUP_MANAGER_ADDRESS_RAW = '0xc20a268bc7c4dB28f1f6e1703676513Db06C1B93';
 
@@ -51,7 +52,7 @@ let premiumProvisionsId = POWERUP_IDS.PREMIUM_PROVISIONS;
 
 function getProvider() {
   if (!provider) {
-    provider = new ethers.JsonRpcProvider(DFK_CHAIN_RPC);
+    provider = getChainProvider('dfk');
   }
   return provider;
 }
@@ -169,14 +170,15 @@ function toRawHeroId(heroId) {
 }
 
 /**
- * Check if a specific hero has Rapid Renewal active
+ * Check if a specific hero has Rapid Renewal active.
+ * Checks issued together (e.g. Promise.all over a wallet's heroes) share one Multicall3 request.
  * @param {string} walletAddress - User's wallet address
  * @param {number} heroId - Hero ID to check (can be normalized or raw format)
  * @returns {Promise<boolean>} True if hero has RR active
  */
 export async function isHeroRapidRenewalActive(walletAddress, heroId) {
   try {
-    const contract = getPowerUpContract();
+    const contract = batched(getPowerUpContract());
     const rrId = await getRapidRenewalPowerUpId();
     
     // Convert to raw format - contract expects raw on-chain IDs with chain prefix
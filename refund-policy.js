@@ -0,0 +1,166 @@
+/**
+ * Refund Policy Engine
+ *
+ * Decides how much of a paid query or service to give back when it didn't
+ * deliver what the user paid for, posts the refund to the JEWEL ledger and
+ * DMs the user an explanation.
+ *
+ * Policies (by outcome):
+ * - failed:   job errored after payment        → full refund
+ * - timeout:  job exceeded its time budget     → full refund
+ * - degraded: result delivered on stale or partial data → partial refund,
+ *             scaled by severity (minor / major)
+ *
+ * Architecture:
+ * - evaluateRefund() is pure (policy only); issueRefund() applies it
+ * - Refunds are ledger `refund` entries keyed by an external ref
+ *   (e.g. garden_optimization:42), so retries never refund twice
+ * - Entry metadata (outcome, source, chargedJewel, percent) feeds the refund
+ *   analytics in analytics.js
+ * - DMs are best-effort; bot.js hands over the Discord client at startup
+ */
+
+import Decimal from 'decimal.js';
+import { db } from './server/db.js';
+import { players } from './shared/schema.ts';
+import { eq } from 'drizzle-orm';
+import { recordRefund } from './jewel-ledger.js';
+
+export const REFUND_OUTCOMES = ['failed', 'timeout', 'degraded'];
+
+// Share of the charge returned, per outcome (degraded is keyed by severity)
+const REFUND_POLICY = {
+  failed: new Decimal(1),
+  timeout: new Decimal(1),
+  degraded: {
+    minor: new Decimal('0.25'),
+    major: new Decimal('0.5')
+  }
+};
+
+const OUTCOME_EXPLANATIONS = {
+  failed: 'it failed before I could finish it',
+  timeout: 'it took longer than I allow for a paid job, so I stopped it',
+  degraded: 'I had to use stale or incomplete data for part of it'
+};
+
+let discordClient = null; // Set by bot.js
+
+/**
+ * Initialize refund DMs with the Discord client
+ * @param {Client} client - Discord.js client instance
+ */
+export function initializeRefundNotifier(client) {
+  discordClient = client;
+}
+
+/**
+ * Work out the refund for an outcome (pure - no side effects)
+ *
+ * @param {object} params
+ * @param {string} params.outcome - 'failed' | 'timeout' | 'degraded'
+ * @param {string} params.chargedJewel - What the user paid (JEWEL string)
+ * @param {string} [params.severity='minor'] - Degraded results only: 'minor' | 'major'
+ * @returns {object} - { refundJewel, percent, outcome, severity }
+ */
+export function evaluateRefund({ outcome, chargedJewel, severity = 'minor' }) {
+  if (!REFUND_OUTCOMES.includes(outcome)) {
+    throw new Error(`Unknown refund outcome: ${outcome}`);
+  }
+
+  const charged = new Decimal(chargedJewel || 0);
+  let share = REFUND_POLICY[outcome];
+  if (outcome === 'degraded') {
+    share = REFUND_POLICY.degraded[severity];
+    if (!share) throw new Error(`Unknown degradation severity: ${severity}`);
+  }
+
+  return {
+    refundJewel: charged.times(share).toDecimalPlaces(18).toString(),
+    percent: share.times(100).toNumber(),
+    outcome,
+    severity: outcome === 'degraded' ? severity : null
+  };
+}
+
+/**
+ * DM the user what was refunded and why
+ */
+async function notifyRefund(playerId, { refundJewel, percent, outcome }, { label, detail, balanceJewel }) {
+  if (!discordClient) return false;
+
+  try {
+    const [player] = await db
+      .select({ discordId: players.discordId })
+      .from(players)
+      .where(eq(players.id, playerId))
+      .limit(1);
+    if (!player) return false;
+
+    const lines = [
+      `💸 **Refund: ${new Decimal(refundJewel).toFixed(2)} JEWEL** (${percent}% of your ${label})`,
+      `I refunded you because ${OUTCOME_EXPLANATIONS[outcome]}.`
+    ];
+    if (detail) lines.push(`> ${detail}`);
+    if (balanceJewel) lines.push(`Your balance is now **${new Decimal(balanceJewel).toFixed(2)} JEWEL**.`);
+    lines.push(`*Don't get used to it.*`);
+
+    const user = await discordClient.users.fetch(player.discordId);
+    await user.send(lines.join('\n'));
+    return true;
+  } catch (err) {
+    console.error(`[Refund] Failed to DM refund notice to player #${playerId}:`, err.message);
+    return false;
+  }
+}
+
+/**
+ * Apply the refund policy: credit the player's ledger balance and DM them
+ *
+ * @param {object} params
+ * @param {number} params.playerId - Player's database ID
+ * @param {string} params.chargedJewel - What the user paid (JEWEL string)
+ * @param {string} params.outcome - 'failed' | 'timeout' | 'degraded'
+ * @param {string} [params.severity] - Degraded results only: 'minor' | 'major'
+ * @param {string} params.source - What was refunded (query type, 'garden_optimization', ...)
+ * @param {string} params.externalRef - Idempotency key (one refund per charge)
+ * @param {string} [params.label] - How the DM names the purchase (e.g. 'garden optimization')
+ * @param {string} [params.detail] - Human-readable cause, quoted in the DM
+ * @returns {object} - { refunded, duplicate, refundJewel, percent, entryId, balance, notified }
+ */
+export async function issueRefund({ playerId, chargedJewel, outcome, severity, source, externalRef, label, detail = null }) {
+  const decision = evaluateRefund({ outcome, chargedJewel, severity });
+
+  if (new Decimal(decision.refundJewel).isZero()) {
+    return { refunded: false, duplicate: false, ...decision };
+  }
+
+  const { entry, duplicate, balance } = await recordRefund({
+    playerId,
+    amountJewel: decision.refundJewel,
+    reason: `${source} ${outcome}`,
+    externalRef,
+    metadata: {
+      outcome,
+      severity: decision.severity,
+      source,
+      chargedJewel: new Decimal(chargedJewel).toString(),
+      percent: decision.percent,
+      detail
+    }
+  });
+
+  if (duplicate) {
+    return { refunded: false, duplicate: true, ...decision, entryId: entry.id, balance };
+  }
+
+  console.log(`[Refund] ${decision.refundJewel} JEWEL (${decision.percent}%) to player #${playerId} for ${source} ${outcome}`);
+
+  const notified = await notifyRefund(playerId, decision, {
+    label: label || source.replace(/_/g, ' '),
+    detail,
+    balanceJewel: balance?.balanceJewel
+  });
+
+  return { refunded: true, duplicate: false, ...decision, entryId: entry.id, balance, notified };
+}
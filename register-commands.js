@@ -30,6 +30,72 @@ const commands = [
       }
     ]
   },
+  {
+    name: 'forget',
+    description: 'Make Hedge forget your previous conversations'
+  },
+  {
+    name: 'subscribe',
+    description: 'Subscribe to a Hedge plan with JEWEL',
+    options: [
+      {
+        name: 'plan', description: 'Which plan', type: 3, required: true,
+        choices: [
+          { name: 'Premium (Monthly)', value: 'premium_monthly' },
+          { name: 'Premium (Season)', value: 'premium_seasonal' },
+          { name: 'Premium+ (Monthly)', value: 'premium_plus_monthly' },
+          { name: 'Premium+ (Season)', value: 'premium_plus_seasonal' }
+        ]
+      },
+      {
+        name: 'payment', description: 'Pay from your Hedge balance (default) or with a direct deposit', type: 3, required: false,
+        choices: [
+          { name: 'Balance', value: 'balance' },
+          { name: 'Direct deposit', value: 'deposit' }
+        ]
+      }
+    ]
+  },
+  {
+    name: 'subscription',
+    description: 'Show or manage your Hedge subscription',
+    options: [
+      {
+        name: 'action', description: 'What to do (default: status)', type: 3, required: false,
+        choices: [
+          { name: 'Status', value: 'status' },
+          { name: 'Cancel auto-renew', value: 'cancel' },
+          { name: 'Turn auto-renew on', value: 'autorenew' }
+        ]
+      }
+    ]
+  },
+  {
+    name: 'linkwallet',
+    description: 'Link a wallet by signing a message, so its JEWEL deposits credit you automatically',
+    options: [
+      { name: 'address', description: 'Wallet address (0x...)', type: 3, required: true },
+      { name: 'signature', description: 'Signature of the message Hedge gave you (leave empty to get the message)', type: 3, required: false }
+    ]
+  },
+  {
+    name: 'unlinkwallet',
+    description: 'Stop crediting deposits from a linked wallet',
+    options: [
+      { name: 'address', description: 'Linked wallet address (0x...)', type: 3, required: true }
+    ]
+  },
+  {
+    name: 'redeem',
+    description: 'Redeem a promo code or the referral code of the player who invited you',
+    options: [
+      { name: 'code', description: 'Promo or referral code', type: 3, required: true }
+    ]
+  },
+  {
+    name: 'referral',
+    description: 'Get your referral code and see your referral rewards'
+  },
   {
     name: 'hero',
     description: 'Get LIVE hero data from blockchain',
@@ -103,7 +169,17 @@ const commands = [
     description: 'Calculate summoning outcome between two heroes',
     options: [
       { name: 'parent1', description: 'Parent 1 Hero ID', type: 4, required: true },
-      { name: 'parent2', description: 'Parent 2 Hero ID', type: 4, required: true }
+      { name: 'parent2', description: 'Parent 2 Hero ID', type: 4, required: true },
+      { name: 'query', description: 'Joint condition, e.g. class=DarkKnight & profession.any=Gardening & active1|active2=Heal', type: 3, required: false },
+      {
+        name: 'summon_type', description: 'Regular or Dark Summoning (quarter fee, no tears, burns both parents)', type: 3, required: false,
+        choices: [
+          { name: 'Regular', value: 'regular' },
+          { name: 'Dark', value: 'dark' }
+        ]
+      },
+      { name: 'stone', description: 'Enhancement stone, e.g. "greater might" or "vigor"', type: 3, required: false },
+      { name: 'stone_price', description: 'Stone price in the realm token (CRYSTAL or JEWEL)', type: 10, required: false }
     ]
   },
   {
@@ -113,7 +189,23 @@ const commands = [
       { name: 'target_class', description: 'Desired offspring class (e.g., Paladin, Dragoon)', type: 3, required: false },
       { name: 'target_rarity', description: 'Desired rarity: 0=common, 1=uncommon, 2=rare, 3=legendary, 4=mythic', type: 4, required: false },
       { name: 'my_hero', description: 'Your hero ID to pair with tavern heroes', type: 4, required: false },
-      { name: 'max_budget', description: 'Max price willing to pay (in wei)', type: 3, required: false }
+      { name: 'max_budget', description: 'Max price willing to pay (in wei)', type: 3, required: false },
+      {
+        name: 'rank_by', description: 'Rank pairs by cost per successful child (default) or by expected resale profit', type: 3, required: false,
+        choices: [
+          { name: 'Cost per hit', value: 'cost' },
+          { name: 'Expected profit', value: 'profit' }
+        ]
+      },
+      {
+        name: 'summon_type', description: 'Regular or Dark Summoning (quarter fee, no tears, burns both parents)', type: 3, required: false,
+        choices: [
+          { name: 'Regular', value: 'regular' },
+          { name: 'Dark', value: 'dark' }
+        ]
+      },
+      { name: 'stone', description: 'Enhancement stone, e.g. "greater might" or "vigor"', type: 3, required: false },
+      { name: 'stone_price', description: 'Stone price in the realm token (CRYSTAL or JEWEL)', type: 10, required: false }
     ]
   },
   {
@@ -166,8 +258,8 @@ const commands = [
     name: 'analytics',
     description: '[ADMIN] View bot economic analytics',
     options: [
-      { name: 'type', description: 'summary, breakdown, topspenders, freetier, trend', type: 3, required: true },
-      { name: 'days', description: 'Last N days (for trend)', type: 4, required: false },
+      { name: 'type', description: 'summary, breakdown, margin, topspenders, freetier, trend, refunds', type: 3, required: true },
+      { name: 'days', description: 'Last N days (default: all time; 7 for trend)', type: 4, required: false },
       { name: 'limit', description: 'Top N (for topspenders)', type: 4, required: false }
     ]
   }
@@ -218,6 +218,28 @@ async function createHedgeTables() {
         updated_at = CURRENT_TIMESTAMP;
     `);
     
+    // Agent tools included in each subscription tier (no per-call charge)
+    await db.execute(sql`
+      INSERT INTO entitlement_rules(domain, resource, tier_id, mode, rule)
+      VALUES (
+        'agent','tools','premium','feature_flags',
+        '{"flags":{"agent.tools.get_garden_pools_premium":true,"agent.tools.get_wallet_gardens":true,"agent.tools.compare_heroes":true,"agent.tools.get_summon_odds":true}}'::jsonb
+      )
+      ON CONFLICT (domain, resource, tier_id, mode) DO UPDATE SET 
+        rule = EXCLUDED.rule,
+        updated_at = CURRENT_TIMESTAMP;
+    `);
+    await db.execute(sql`
+      INSERT INTO entitlement_rules(domain, resource, tier_id, mode, rule)
+      VALUES (
+        'agent','tools','premium_plus','feature_flags',
+        '{"flags":{"agent.tools.get_garden_pools_premium":true,"agent.tools.get_wallet_gardens":true,"agent.tools.compare_heroes":true,"agent.tools.get_summon_odds":true,"agent.tools.get_hero_fair_value":true,"agent.tools.get_market_trends":true}}'::jsonb
+      )
+      ON CONFLICT (domain, resource, tier_id, mode) DO UPDATE SET 
+        rule = EXCLUDED.rule,
+        updated_at = CURRENT_TIMESTAMP;
+    `);
+    
     console.log('Entitlement rules seeded successfully!');
     
   } catch (error) {
@@ -0,0 +1,52 @@
+import { sql } from 'drizzle-orm';
+import { generateDrizzleJson, generateMigration } from 'drizzle-kit/api';
+import * as schema from '../shared/schema.ts';
+import { db } from '../server/db.js';
+
+/**
+ * Create every shared/schema.ts table in an empty database, the way `drizzle-kit push`
+ * would. Used by the DB-backed tests (run them against a throwaway DATABASE_URL);
+ * tables that modules create themselves (ensure*Tables) are left to those modules.
+ */
+export async function pushSchema() {
+  const statements = await generateMigration(generateDrizzleJson({}), generateDrizzleJson(schema));
+  for (const statement of statements) {
+    await db.execute(sql.raw(statement));
+  }
+
+  // schema.ts still declares the old wallet-keyed jewel_balances; the live table is
+  // the per-player cache the ledger and balance middleware write
+  await db.execute(sql`DROP TABLE jewel_balances`);
+  await db.execute(sql`
+    CREATE TABLE jewel_balances (
+      id SERIAL PRIMARY KEY,
+      player_id INTEGER NOT NULL UNIQUE REFERENCES players(id),
+      balance_jewel NUMERIC(30, 18) NOT NULL DEFAULT 0,
+      lifetime_deposits_jewel NUMERIC(30, 18) NOT NULL DEFAULT 0,
+      tier TEXT NOT NULL DEFAULT 'free',
+      last_deposit_at TIMESTAMPTZ,
+      last_query_at TIMESTAMPTZ,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  // Likewise deposit_requests: the live table carries the per-player columns deposit-flow.js
+  // and the ledger integrity check use next to the declared ones
+  await db.execute(sql`
+    ALTER TABLE deposit_requests
+      ALTER COLUMN discord_id DROP NOT NULL,
+      ALTER COLUMN wallet_address DROP NOT NULL,
+      ALTER COLUMN amount DROP NOT NULL,
+      ALTER COLUMN token_address DROP NOT NULL,
+      ADD COLUMN player_id INTEGER REFERENCES players(id),
+      ADD COLUMN requested_amount_jewel NUMERIC(30, 18),
+      ADD COLUMN unique_amount_jewel NUMERIC(30, 18),
+      ADD COLUMN hedge_wallet TEXT,
+      ADD COLUMN purpose TEXT,
+      ADD COLUMN completed_at TIMESTAMPTZ,
+      ADD COLUMN actual_amount_received NUMERIC(30, 18),
+      ADD COLUMN sender_wallet TEXT
+  `);
+  return statements.length;
+}
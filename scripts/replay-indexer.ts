@@ -0,0 +1,142 @@
+// Replay an indexer block range against a recorded RPC fixture and dump the
+// rows it wrote, so runs can be diffed byte-for-byte against a snapshot.
+//
+// Record a fixture (live RPC, writes the fixture on exit):
+//   RPC_FIXTURE_MODE=record RPC_FIXTURE_PATH=server/fixtures/rpc/hunts-dfk.json \
+//     tsx scripts/replay-indexer.ts hunts dfk 1000000 1000500 --write-snapshot server/fixtures/rpc/hunts-dfk.rows.json
+// Replay offline (needs DATABASE_URL pointing at a scratch Postgres):
+//   tsx scripts/replay-indexer.ts hunts dfk 1000000 1000500 \
+//     --fixture server/fixtures/rpc/hunts-dfk.json --snapshot server/fixtures/rpc/hunts-dfk.rows.json
+//
+// Indexers: gardening (DFK only), hunts <dfk|metis>, summons (DFK only).
+// Recorded ranges under server/fixtures/rpc are replayed by scripts/test-indexer-replay.ts.
+
+import { readFileSync, writeFileSync } from 'fs';
+import assert from 'assert';
+import { sql } from 'drizzle-orm';
+import { db } from '../server/db.js';
+import { RpcFixture, setActiveFixture, getActiveFixture } from '../src/etl/ingestion/rpcFixtures.js';
+
+// Columns that depend on wall-clock time or sequence state rather than chain data
+const VOLATILE_COLUMNS = new Set(['id', 'created_at', 'updated_at', 'indexed_at', 'activity_id', 'item_id', 'session_id']);
+
+function parseArgs(argv: string[]) {
+  const positional: string[] = [];
+  const flags: Record<string, string> = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith('--')) {
+      flags[argv[i].slice(2)] = argv[++i];
+    } else {
+      positional.push(argv[i]);
+    }
+  }
+  return { positional, flags };
+}
+
+function canonicalRows(rows: Record<string, unknown>[]) {
+  const cleaned = rows.map(row => {
+    const out: Record<string, unknown> = {};
+    for (const key of Object.keys(row).sort()) {
+      if (VOLATILE_COLUMNS.has(key)) continue;
+      const value = row[key];
+      out[key] = value instanceof Date ? value.toISOString() : typeof value === 'bigint' ? value.toString() : value;
+    }
+    return out;
+  });
+  return cleaned
+    .map(row => JSON.stringify(row))
+    .sort()
+    .map(line => JSON.parse(line));
+}
+
+async function selectRange(table: string, fromBlock: number, toBlock: number, extra = sql``) {
+  const result: any = await db.execute(sql`
+    SELECT * FROM ${sql.identifier(table)}
+    WHERE block_number BETWEEN ${fromBlock} AND ${toBlock} ${extra}
+  `);
+  return canonicalRows(result.rows || result);
+}
+
+export async function runGardening(fromBlock: number, toBlock: number) {
+  const gardening = await import('../src/etl/ingestion/gardeningQuestIndexer.js');
+  const indexerName = `replay_gardening_${fromBlock}_${toBlock}`;
+  await gardening.initIndexerProgress(indexerName, fromBlock);
+  await db.execute(sql`DELETE FROM gardening_quest_rewards WHERE block_number BETWEEN ${fromBlock} AND ${toBlock}`);
+
+  await gardening.indexBlockRange(fromBlock, toBlock, indexerName);
+
+  await db.execute(sql`DELETE FROM gardening_quest_indexer_progress WHERE indexer_name = ${indexerName}`);
+  return {
+    gardening_quest_rewards: await selectRange('gardening_quest_rewards', fromBlock, toBlock),
+  };
+}
+
+export async function runHunts(chain: string, fromBlock: number, toBlock: number) {
+  const hunts = await import('../src/etl/ingestion/huntsPatrolIndexer.js');
+  await hunts.initializePVETables();
+  const chainId = chain === 'metis' ? 1088 : 53935;
+  await db.execute(sql`DELETE FROM pve_reward_events WHERE chain_id = ${chainId} AND block_number BETWEEN ${fromBlock} AND ${toBlock}`);
+  await db.execute(sql`DELETE FROM pve_completions WHERE chain_id = ${chainId} AND block_number BETWEEN ${fromBlock} AND ${toBlock}`);
+
+  await hunts.indexBlockRange(chain, fromBlock, toBlock);
+
+  const byChain = sql`AND chain_id = ${chainId}`;
+  return {
+    pve_completions: await selectRange('pve_completions', fromBlock, toBlock, byChain),
+    pve_reward_events: await selectRange('pve_reward_events', fromBlock, toBlock, byChain),
+  };
+}
+
+export async function runSummons(fromBlock: number, toBlock: number) {
+  const { summonOutcomeIndexer, ensureSummonOutcomeTables } = await import('../src/etl/ingestion/summonOutcomeIndexer.js');
+  await ensureSummonOutcomeTables();
+  await db.execute(sql`DELETE FROM summon_outcome_checks WHERE block_number BETWEEN ${fromBlock} AND ${toBlock}`);
+
+  await summonOutcomeIndexer.indexRange(fromBlock, toBlock);
+
+  return {
+    summon_outcome_checks: await selectRange('summon_outcome_checks', fromBlock, toBlock),
+  };
+}
+
+async function main() {
+  const { positional, flags } = parseArgs(process.argv.slice(2));
+  const [indexer, ...rest] = positional;
+
+  if (flags.fixture) {
+    setActiveFixture(RpcFixture.load(flags.fixture, 'replay'));
+  }
+
+  let rows;
+  if (indexer === 'gardening') {
+    rows = await runGardening(Number(rest[0]), Number(rest[1]));
+  } else if (indexer === 'hunts') {
+    rows = await runHunts(rest[0], Number(rest[1]), Number(rest[2]));
+  } else if (indexer === 'summons') {
+    rows = await runSummons(Number(rest[0]), Number(rest[1]));
+  } else {
+    throw new Error('Usage: replay-indexer.ts <gardening FROM TO | hunts CHAIN FROM TO | summons FROM TO> [--fixture file] [--snapshot file] [--write-snapshot file]');
+  }
+
+  getActiveFixture()?.flush();
+  const output = JSON.stringify(rows, null, 2) + '\n';
+
+  if (flags['write-snapshot']) {
+    writeFileSync(flags['write-snapshot'], output);
+    console.log(`Snapshot written to ${flags['write-snapshot']}`);
+  } else if (flags.snapshot) {
+    assert.equal(output, readFileSync(flags.snapshot, 'utf-8'), 'replayed rows differ from snapshot');
+    console.log('indexer replay matches snapshot');
+  } else {
+    process.stdout.write(output);
+  }
+}
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main()
+    .then(() => process.exit(0))
+    .catch(err => {
+      console.error(err);
+      process.exit(1);
+    });
+}
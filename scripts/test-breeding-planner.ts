@@ -0,0 +1,152 @@
+import assert from 'assert';
+import {
+  calculateSummonTokenCost,
+  getTearCount,
+  evaluateStep,
+  normalizeTarget,
+  targetProbability,
+  buildAncestry,
+  heroRelevance,
+  buildVirtualOffspring,
+  planBreeding,
+} from '../breeding-planner.js';
+import { calculateSummoningProbabilities, getMutationSources } from '../summoning-engine.js';
+
+function genes(dominant: string, r1 = dominant, r2 = dominant, r3 = dominant) {
+  return { dominant, R1: r1, R2: r2, R3: r3 };
+}
+
+let nextId = 1;
+function hero(mainClass: string, extra: Record<string, any> = {}) {
+  return {
+    id: String(nextId++),
+    normalizedId: null,
+    realm: 'cv',
+    owned: false,
+    price: 20,
+    mainClass,
+    rarity: 0,
+    generation: 1,
+    summons: 0,
+    maxSummons: 5,
+    genetics: {
+      mainClass: genes(mainClass),
+      subClass: genes('Warrior'),
+      profession: genes('Mining'),
+      active1: genes('Poisoned Blade'),
+      active2: genes('Heal'),
+      passive1: genes('Duelist'),
+      passive2: genes('Foresight'),
+    },
+    ...extra,
+  };
+}
+
+// Mutation sources are unordered and deduped
+assert.deepEqual(getMutationSources('class', 'Dragoon'), [['Paladin', 'DarkKnight']]);
+assert.deepEqual(getMutationSources('active1', 'stun'), [['Exhaust', 'Daze']]);
+assert.deepEqual(getMutationSources('class', 'Warrior'), []);
+
+// Costs: gen0 fee cap, per-summon growth, class tears
+assert.equal(calculateSummonTokenCost(0, 20), 30);
+assert.equal(calculateSummonTokenCost(2, 3), 32);
+assert.equal(getTearCount('Warrior'), 10);
+assert.equal(getTearCount('DarkKnight'), 40);
+assert.equal(getTearCount('Dragoon'), 70);
+assert.equal(getTearCount('DreadKnight'), 100);
+
+// Retrying a 50% step twice: two attempts, the second one only half the time
+const a = hero('Warrior', { owned: true });
+const b = hero('Knight', { maxSummons: 2, price: 15 });
+const step = evaluateStep(0.5, a, b, { maxAttempts: 10, tearPrice: 0.1 });
+assert.ok(step);
+assert.equal(step.attempts, 2);
+assert.equal(step.successProbability, 0.75);
+assert.equal(step.expectedAttempts, 1.5);
+assert.equal(step.purchaseCost, 15);
+// attempt 0: 16 + 16 + 2 tears; attempt 1: 18 + 18 + 2 tears (x0.5)
+assert.ok(Math.abs(step.expectedSummonCost - (34 + 0.5 * 38)) < 1e-9);
+assert.equal(evaluateStep(0, a, b), null);
+assert.equal(evaluateStep(0.5, a, hero('Knight', { summons: 5 })), null);
+
+// Targets
+assert.throws(() => normalizeTarget({}), /at least one/);
+assert.throws(() => normalizeTarget({ activeSkills: ['Stun', 'Heal', 'Speed'] }), /two active/);
+assert.throws(() => normalizeTarget({ visuals: { wings: 3 } }), /Unknown visual trait/);
+const skillReqs = normalizeTarget({ activeSkills: 'Stun' });
+assert.deepEqual(skillReqs[0].slots, ['active1', 'active2']);
+
+// Skill requirement accepts either slot; classes multiply with skills
+const probs = {
+  class: { Paladin: 50, Warrior: 50 },
+  active1: { Stun: 20, Heal: 80 },
+  active2: { Stun: 10, Speed: 90 },
+};
+assert.ok(Math.abs(targetProbability(probs, skillReqs) - (1 - 0.8 * 0.9)) < 1e-9);
+assert.ok(Math.abs(targetProbability(probs, normalizeTarget({ class: 'paladin', activeSkills: 'Stun' })) - 0.5 * 0.28) < 1e-9);
+assert.equal(targetProbability(probs, normalizeTarget({ class: 'Dragoon' })), 0);
+
+// Ancestry walks down the summoning tree
+const ancestry = buildAncestry(normalizeTarget({ class: 'Dragoon' }), 2);
+assert.equal(ancestry.get('class')!.get('dragoon'), 0);
+assert.equal(ancestry.get('class')!.get('paladin'), 1);
+assert.equal(ancestry.get('class')!.get('knight'), 2);
+assert.ok(heroRelevance(hero('Paladin').genetics, ancestry) > heroRelevance(hero('Knight').genetics, ancestry));
+assert.equal(heroRelevance(hero('Priest').genetics, ancestry), 0);
+
+// Virtual child: bred-for gene is dominant, generation and summons follow the parents
+const warrior = hero('Warrior', { generation: 2, maxSummons: 6 });
+const knight = hero('Knight', { generation: 1, maxSummons: 4 });
+const wkProbs = calculateSummoningProbabilities(warrior.genetics, knight.genetics, 'Common', 'Common', { skipVisuals: true });
+const child = buildVirtualOffspring(warrior, knight, wkProbs, { slot: 'class', value: 'Paladin' });
+assert.equal(child.virtual, true);
+assert.equal(child.genetics.mainClass.dominant, 'Paladin');
+assert.equal(child.generation, 3);
+assert.equal(child.maxSummons, 3);
+assert.equal(child.summons, 0);
+
+// Planner: Dragoon is out of reach in one summon but reachable in two
+const pool = [
+  hero('Warrior', { owned: true }),
+  hero('Knight', { owned: true }),
+  hero('DarkKnight', { price: 40 }),
+  hero('Priest', { price: 1 }),
+];
+const oneStep = planBreeding({ target: { class: 'Dragoon' }, heroes: pool, maxDepth: 1 });
+assert.equal(oneStep.plans.length, 0);
+
+const twoStep = planBreeding({ target: { class: 'Dragoon' }, heroes: pool, maxDepth: 2, tearPrice: 0.05 });
+assert.ok(twoStep.plans.length > 0);
+const best = twoStep.plans[0];
+assert.equal(best.rank, 1);
+assert.equal(best.depth, 2);
+assert.equal(best.token, 'CRYSTAL');
+assert.equal(best.steps[0].goal, 'class = Paladin');
+assert.equal(best.steps[1].goal, 'target');
+assert.equal(best.steps[1].parents[0].virtual, true);
+assert.equal(best.steps[1].parents[0].fromStep, 1);
+assert.equal(best.steps[1].parents[1].mainClass, 'DarkKnight');
+assert.deepEqual(best.heroesToBuy.map(h => h.price), [40]);
+assert.equal(best.offspring.generation, 3);
+assert.ok(best.successProbability > 0 && best.successProbability < 1);
+assert.ok(Math.abs(best.successProbability - best.steps[0].successProbability * best.steps[1].successProbability) < 1e-3);
+assert.ok(best.expectedCost > best.steps[0].expectedCost);
+// Priest carries nothing on the Dragoon tree, so it never enters the pool
+assert.deepEqual(twoStep.pool.cv, { owned: 2, tavern: 1 });
+for (let i = 1; i < twoStep.plans.length; i++) {
+  assert.ok(twoStep.plans[i - 1].costPerSuccess <= twoStep.plans[i].costPerSuccess);
+}
+
+// Filters
+assert.equal(planBreeding({ target: { class: 'Dragoon' }, heroes: pool, maxDepth: 2, maxGeneration: 2 }).plans.length, 0);
+assert.equal(planBreeding({ target: { class: 'Dragoon' }, heroes: pool, maxDepth: 2, maxCost: 1 }).plans.length, 0);
+
+// Heroes in other realms never pair
+const mixed = [hero('Paladin'), hero('DarkKnight', { realm: 'sd' })];
+assert.equal(planBreeding({ target: { class: 'Dragoon' }, heroes: mixed, maxDepth: 1 }).plans.length, 0);
+const sameRealm = planBreeding({ target: { class: 'Dragoon' }, heroes: [hero('Paladin'), hero('DarkKnight')], maxDepth: 1 });
+assert.equal(sameRealm.plans.length, 1);
+// Pure Paladin x pure DarkKnight: every gene combination can mutate, 25% each
+assert.ok(Math.abs(sameRealm.plans[0].steps[0].probability - 0.25) < 1e-3);
+
+console.log('breeding planner tests passed');
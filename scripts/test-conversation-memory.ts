@@ -0,0 +1,174 @@
+import assert from 'assert';
+import { sql } from 'drizzle-orm';
+import { db } from '../server/db.js';
+import { ScriptedProvider, setProviderOverride } from '../src/services/llmProvider.js';
+import { logMessage } from '../player-tracking.js';
+import {
+  ensureMemoryColumns,
+  estimateTokens,
+  openThread,
+  recordTurn,
+  getConversationContext,
+  forgetConversations,
+} from '../src/services/conversationMemory.js';
+
+// Runs against DATABASE_URL. Tables are created as they were before conversation
+// memory existed, so the startup migration is exercised too.
+await db.execute(sql`CREATE TABLE players (id SERIAL PRIMARY KEY, total_messages INTEGER NOT NULL DEFAULT 0)`);
+await db.execute(sql`
+  CREATE TABLE interaction_sessions (
+    id SERIAL PRIMARY KEY,
+    player_id INTEGER NOT NULL REFERENCES players(id),
+    started_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    ended_at TIMESTAMPTZ,
+    channel_type TEXT NOT NULL,
+    channel_id TEXT,
+    guild_id TEXT,
+    message_count INTEGER NOT NULL DEFAULT 0,
+    duration_seconds INTEGER,
+    topics JSON DEFAULT '[]'::json,
+    commands_used JSON DEFAULT '[]'::json,
+    blockchain_queries_made INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP
+  )
+`);
+await db.execute(sql`
+  CREATE TABLE interaction_messages (
+    id SERIAL PRIMARY KEY,
+    session_id INTEGER NOT NULL REFERENCES interaction_sessions(id),
+    player_id INTEGER NOT NULL REFERENCES players(id),
+    timestamp TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    message_type TEXT NOT NULL,
+    command TEXT,
+    topic TEXT,
+    sentiment TEXT,
+    hero_id_queried BIGINT,
+    wallet_queried TEXT,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP
+  )
+`);
+const [{ id: playerId }] = await db.execute(sql`INSERT INTO players DEFAULT VALUES RETURNING id`) as any[];
+const [{ id: legacySession }] = await db.execute(sql`
+  INSERT INTO interaction_sessions (player_id, channel_type) VALUES (${playerId}, 'dm') RETURNING id
+`) as any[];
+
+// ----------------------------------------------------------------------------
+// logMessage writes content/token_count, so those columns must exist first
+// ----------------------------------------------------------------------------
+
+const commandLog = { sessionId: legacySession, playerId, messageType: 'command', command: 'hero' };
+await assert.rejects(logMessage(commandLog), /token_count|content/);
+await ensureMemoryColumns();
+await logMessage(commandLog);
+await db.execute(sql`UPDATE interaction_sessions SET ended_at = NOW() WHERE id = ${legacySession}`);
+
+// ----------------------------------------------------------------------------
+// Threads and token estimates
+// ----------------------------------------------------------------------------
+
+assert.equal(estimateTokens(''), 0);
+assert.equal(estimateTokens(null), 0);
+assert.equal(estimateTokens('abcde'), 2);
+
+const thread = await openThread(playerId, { channelType: 'dm', channelId: 'dm-1' });
+assert.notEqual(thread.id, legacySession, 'ended sessions are not reopened');
+assert.equal((await openThread(playerId, { channelType: 'dm' })).id, thread.id);
+const guildThread = await openThread(playerId, { channelType: 'guild_text', guildId: 'g-1' });
+assert.notEqual(guildThread.id, thread.id);
+
+// 80 characters = 20 tokens per turn
+const turnText = (i: number) => `turn ${i} `.padEnd(80, 'x');
+for (let i = 0; i < 4; i++) {
+  await recordTurn(thread, i % 2 === 0 ? 'user' : 'assistant', turnText(i));
+}
+
+const provider = new ScriptedProvider();
+setProviderOverride(provider);
+
+// Under budget: every turn verbatim, no summary call
+let context = await getConversationContext(thread, { tokenBudget: 100 });
+assert.deepEqual(context.map(m => [m.role, m.content]), [
+  ['user', turnText(0)],
+  ['assistant', turnText(1)],
+  ['user', turnText(2)],
+  ['assistant', turnText(3)],
+]);
+assert.equal(provider.calls.length, 0);
+
+const [stored] = await db.execute(sql`
+  SELECT content, token_count, topic FROM interaction_messages WHERE session_id = ${thread.id} ORDER BY id LIMIT 1
+`) as any[];
+assert.equal(stored.token_count, 20);
+assert.equal(stored.content, turnText(0));
+
+// ----------------------------------------------------------------------------
+// Over budget: older turns are folded into the summary, recent ones stay verbatim
+// ----------------------------------------------------------------------------
+
+for (let i = 4; i < 8; i++) {
+  await recordTurn(thread, i % 2 === 0 ? 'user' : 'assistant', turnText(i));
+}
+provider.enqueue('Player watches wallet 0xabc and wants CRYSTAL yield.');
+
+// 160 tokens > 100: the recent share (60) fits turns 5-7, but the history may not open
+// on an assistant reply, so turns 0-5 are summarized and 6-7 kept
+context = await getConversationContext(thread, { tokenBudget: 100 });
+assert.deepEqual(context.map(m => m.role), ['system', 'user', 'assistant']);
+assert.match(context[0].content, /Notes from earlier.*\nPlayer watches wallet 0xabc/);
+assert.deepEqual(context.slice(1).map(m => m.content), [turnText(6), turnText(7)]);
+
+assert.equal(provider.calls.length, 1);
+assert.equal(provider.calls[0].feature, 'conversation_summary');
+const summaryPrompt = provider.calls[0].messages[1].content;
+assert.match(summaryPrompt, /^Existing notes:\n\(none\)/);
+assert.ok(summaryPrompt.includes(`Player: ${turnText(0)}`));
+assert.ok(summaryPrompt.includes(`Hedge: ${turnText(5)}`));
+assert.ok(!summaryPrompt.includes(turnText(6)));
+
+const turnIds = (await db.execute(sql`
+  SELECT id FROM interaction_messages WHERE session_id = ${thread.id} ORDER BY id
+`) as any[]).map(r => r.id);
+const [session] = await db.execute(sql`
+  SELECT memory_summary, summarized_through_message_id FROM interaction_sessions WHERE id = ${thread.id}
+`) as any[];
+assert.equal(session.memory_summary, 'Player watches wallet 0xabc and wants CRYSTAL yield.');
+assert.equal(session.summarized_through_message_id, turnIds[5]);
+
+// A reloaded thread starts after the summarized turns and rolls the summary forward
+const reloaded = await openThread(playerId, { channelType: 'dm' });
+assert.equal(reloaded.summarizedThroughMessageId, turnIds[5]);
+for (let i = 8; i < 12; i++) {
+  await recordTurn(reloaded, i % 2 === 0 ? 'user' : 'assistant', turnText(i));
+}
+provider.enqueue('Wallet 0xabc, CRYSTAL yield, now asking about expeditions.');
+context = await getConversationContext(reloaded, { tokenBudget: 100 });
+assert.deepEqual(context.slice(1).map(m => m.content), [turnText(10), turnText(11)]);
+assert.match(provider.calls[1].messages[1].content, /^Existing notes:\nPlayer watches wallet 0xabc/);
+assert.ok(provider.calls[1].messages[1].content.includes(turnText(6)));
+
+// A failed summary leaves the stored summary alone and still trims the prompt
+setProviderOverride({ chat: async () => { throw new Error('provider down'); } });
+for (let i = 12; i < 16; i++) {
+  await recordTurn(reloaded, i % 2 === 0 ? 'user' : 'assistant', turnText(i));
+}
+context = await getConversationContext(reloaded, { tokenBudget: 100 });
+assert.match(context[0].content, /now asking about expeditions/);
+assert.deepEqual(context.slice(1).map(m => m.content), [turnText(14), turnText(15)]);
+setProviderOverride(null);
+
+// ----------------------------------------------------------------------------
+// /forget
+// ----------------------------------------------------------------------------
+
+assert.deepEqual(await forgetConversations(playerId), { threads: 2 });
+const [{ remaining }] = await db.execute(sql`
+  SELECT COUNT(*)::int AS remaining FROM interaction_messages WHERE player_id = ${playerId} AND content IS NOT NULL
+`) as any[];
+assert.equal(remaining, 0);
+const fresh = await openThread(playerId, { channelType: 'dm' });
+assert.ok(fresh.id > guildThread.id);
+assert.equal(fresh.memorySummary, null);
+assert.deepEqual(await getConversationContext(fresh), []);
+
+console.log('conversation-memory test passed');
+process.exit(0);
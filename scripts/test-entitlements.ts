@@ -0,0 +1,148 @@
+import assert from 'assert';
+import { sql, eq } from 'drizzle-orm';
+
+// The JEWEL price for query_costs comes from the chain; with nothing listening it
+// fails fast and the middleware falls back to its default price
+process.env.DFK_RPC_URLS = 'http://127.0.0.1:9';
+
+const { db } = await import('../server/db.js');
+const { players, adminSessions, entitlementTiers, entitlementRules, playerSubscriptions, pricingConfig } = await import('../shared/schema.ts');
+const { recordDeposit, getLedgerBalance } = await import('../jewel-ledger.js');
+const { subscribe } = await import('../subscription-billing.js');
+const { getEntitlements, getPlayerEntitlements } = await import('../src/entitlements/entitlements.ts');
+const { resolveTier, resolvePlayerTier } = await import('../src/entitlements/tierResolver.ts');
+const { ScriptedProvider, setProviderOverride } = await import('../src/services/llmProvider.js');
+const { routeAndExecute } = await import('../intent-router.js');
+const { pushSchema } = await import('./push-schema.ts');
+
+// Runs against DATABASE_URL: a real subscription (charged from the ledger) decides
+// which entitlement rules apply
+await pushSchema();
+await db.insert(pricingConfig).values({ configKey: 'modifiers', configValue: { peak_hours: [] } });
+
+await db.insert(entitlementTiers).values([
+  { tierId: 'free', displayName: 'Free', sortOrder: 1 },
+  { tierId: 'premium', displayName: 'Premium', sortOrder: 2 },
+  { tierId: 'premium_plus', displayName: 'Premium+', sortOrder: 3 },
+]);
+await db.insert(entitlementRules).values([
+  { domain: 'combat', resource: 'skills.search', tierId: 'free', mode: 'fields_allowlist', rule: { fields: ['class', 'ability'] } },
+  { domain: 'combat', resource: 'skills.search', tierId: 'free', mode: 'feature_flags', rule: { flags: { 'combat.skills.searchByTags': false } } },
+  { domain: 'combat', resource: 'skills.search', tierId: 'premium', mode: 'fields_allowlist', rule: { fields: ['class', 'ability', 'description_raw'] } },
+  { domain: 'combat', resource: 'skills.search', tierId: 'premium', mode: 'feature_flags', rule: { flags: { 'combat.skills.searchByTags': true } } },
+  { domain: 'agent', resource: 'tools', tierId: 'premium', mode: 'feature_flags', rule: { flags: { 'agent.tools.get_wallet_gardens': true } } },
+]);
+
+const [player] = await db.insert(players).values({ discordId: 'd-500', discordUsername: 'subscriber' }).returning();
+await recordDeposit({ playerId: player.id, amountJewel: '200', txHash: '0x' + 'd4'.repeat(32), source: 'test' });
+await db.insert(adminSessions).values({
+  sessionToken: 'session-500', discordId: 'd-500', username: 'subscriber', expiresAt: new Date(Date.now() + 3600_000),
+});
+
+const request = (headers: Record<string, string> = {}, cookies: Record<string, string> = {}) => ({ headers, cookies }) as any;
+const searchEntitlements = () => getPlayerEntitlements('combat', 'skills.search', player.id);
+
+// ----------------------------------------------------------------------------
+// No subscription: free
+// ----------------------------------------------------------------------------
+
+assert.equal(await resolvePlayerTier(player.id), 'free');
+let ent = await searchEntitlements();
+assert.equal(ent.tier, 'free');
+assert.equal(ent.flags['combat.skills.searchByTags'], false);
+assert.deepEqual([...ent.allowFields], ['class', 'ability']);
+assert.equal(await resolveTier(request({}, { session_token: 'session-500' })), 'free');
+
+// ----------------------------------------------------------------------------
+// Active subscription: premium rules, for players and for API requests on their behalf
+// ----------------------------------------------------------------------------
+
+const { subscription } = await subscribe({ playerId: player.id, planId: 'premium_monthly' });
+assert.equal((await getLedgerBalance(player.id)).balanceJewel, '140.000000000000000000');
+
+// The charge is logged for margin analytics under its ledger ref
+const [subscriptionCost] = await db.execute(sql`
+  SELECT query_type, query_ref, discord_id, price_charged_jewel FROM query_costs WHERE player_id = ${player.id}
+`) as any[];
+assert.equal(subscriptionCost.query_type, 'subscription:premium_monthly');
+assert.equal(subscriptionCost.query_ref, `subscription:${subscription.id}:${subscription.currentPeriodStart.toISOString()}`);
+assert.equal(subscriptionCost.discord_id, 'd-500');
+assert.equal(Number(subscriptionCost.price_charged_jewel), 60);
+
+ent = await searchEntitlements();
+assert.equal(ent.tier, 'premium');
+assert.equal(ent.flags['combat.skills.searchByTags'], true);
+assert.ok(ent.allowFields.has('description_raw'));
+assert.deepEqual(ent, await getEntitlements('combat', 'skills.search', 'premium'));
+
+assert.equal(await resolveTier(request({}, { session_token: 'session-500' })), 'premium');
+assert.equal(await resolveTier(request({ 'x-hedge-discord-id': 'd-500' })), 'premium');
+assert.equal(await resolveTier(request({}, { session_token: 'unknown' })), 'free');
+assert.equal(await resolveTier(request()), 'free');
+
+// The test header only overrides outside production
+assert.equal(await resolveTier(request({ 'x-hedge-tier': 'premium_plus' })), 'premium_plus');
+process.env.NODE_ENV = 'production';
+assert.equal(await resolveTier(request({ 'x-hedge-tier': 'premium_plus' })), 'free');
+assert.equal(await resolveTier(request({ 'x-hedge-tier': 'premium_plus' }, { session_token: 'session-500' })), 'premium');
+delete process.env.NODE_ENV;
+
+// ----------------------------------------------------------------------------
+// Grace keeps the tier until grace ends; expired is free again
+// ----------------------------------------------------------------------------
+
+const setSubscription = (values: object) =>
+  db.update(playerSubscriptions).set(values).where(eq(playerSubscriptions.id, subscription.id));
+
+await setSubscription({
+  status: 'grace',
+  currentPeriodEnd: new Date(Date.now() - 3600_000),
+  graceEndsAt: new Date(Date.now() + 2 * 86400_000),
+});
+assert.equal((await searchEntitlements()).tier, 'premium');
+
+await setSubscription({ graceEndsAt: new Date(Date.now() - 60_000) });
+assert.equal((await searchEntitlements()).tier, 'free', 'grace over, even before the billing cycle expires it');
+
+// An active row whose period already ended no longer counts either
+await setSubscription({ status: 'active', currentPeriodEnd: new Date(Date.now() - 60_000), graceEndsAt: null });
+assert.equal((await searchEntitlements()).tier, 'free');
+
+await setSubscription({ status: 'expired' });
+assert.equal((await searchEntitlements()).flags['combat.skills.searchByTags'], false);
+
+// ----------------------------------------------------------------------------
+// Bot agent: paid tools included in the subscription are not charged
+// ----------------------------------------------------------------------------
+
+const provider = new ScriptedProvider();
+setProviderOverride(provider);
+const toolCall = (id: string) => ({
+  id,
+  type: 'function',
+  function: { name: 'get_wallet_gardens', arguments: JSON.stringify({ wallet_address: '0xabc' }) },
+});
+const gardens = async () => ({ positions: [], count: 0 });
+const context = { userId: 'd-500', playerId: player.id, username: 'subscriber' };
+
+// Expired: charged per call
+provider.enqueue({ content: null, tool_calls: [toolCall('c1')] }, 'No gardens.');
+let run = await routeAndExecute('my gardens', context, gardens);
+assert.equal(run.sources[0].ok, true);
+assert.ok(run.sources[0].costJewel);
+const afterCharge = (await getLedgerBalance(player.id)).balanceJewel;
+assert.ok(Number(afterCharge) < 140);
+
+// Active again: included, no charge
+await setSubscription({ status: 'active', currentPeriodEnd: new Date(Date.now() + 86400_000) });
+provider.enqueue({ content: null, tool_calls: [toolCall('c2')] }, 'No gardens.');
+run = await routeAndExecute('my gardens', context, gardens);
+assert.equal(run.sources[0].ok, true);
+assert.equal(run.sources[0].costJewel, undefined);
+assert.equal((await getLedgerBalance(player.id)).balanceJewel, afterCharge);
+const [{ charges }] = await db.execute(sql`SELECT COUNT(*)::int AS charges FROM query_costs WHERE query_type = 'get_wallet_gardens'`) as any[];
+assert.equal(charges, 1);
+
+setProviderOverride(null);
+console.log('entitlements test passed');
+process.exit(0);
@@ -0,0 +1,161 @@
+import assert from 'assert';
+import { readFileSync } from 'fs';
+import { sql } from 'drizzle-orm';
+import { db } from '../server/db.js';
+import { RpcFixture, setActiveFixture } from '../src/etl/ingestion/rpcFixtures.js';
+import { rollbackEventTables } from '../src/etl/ingestion/reorgGuard.js';
+import { summonOutcomeIndexer } from '../src/etl/ingestion/summonOutcomeIndexer.js';
+import { runGardening, runHunts, runSummons } from './replay-indexer.js';
+import { pushSchema } from './push-schema.ts';
+
+// Runs against DATABASE_URL. Both ranges replay recorded RPC traffic through the real
+// indexers (runtime getLogs, receipts, archive eth_calls), fully offline.
+const fixture = (name: string) => new URL(`../server/fixtures/rpc/${name}`, import.meta.url).pathname;
+const snapshot = (name: string) => JSON.parse(readFileSync(fixture(name), 'utf-8'));
+
+const CRYSTAL = '0x04b9da42306b023f3572e106b11d82aad9d32ebb';
+const JEWEL = '0xccb93dabd71c8dad03fc4ce5559dc3d89f67a260';
+
+await pushSchema();
+
+// ----------------------------------------------------------------------------
+// Gardening: manual quest, expedition hero attribution, non-gardening quest skipped
+// ----------------------------------------------------------------------------
+
+setActiveFixture(RpcFixture.load(fixture('gardening-dfk-61999000.json'), 'replay'));
+const gardening = await runGardening(61999000, 61999499);
+assert.deepEqual(gardening, snapshot('gardening-dfk-61999000.rows.json'));
+
+const rewards = gardening.gardening_quest_rewards as any[];
+const byQuest = (questId: string) => rewards.filter(r => r.quest_id === questId);
+
+// Manual pool-2 quest: both tokens to the questing hero, with the LP and fund snapshots
+const manual = byQuest('5001');
+assert.deepEqual(manual.map(r => [r.hero_id, r.reward_symbol, r.reward_amount]).sort(), [
+  ['1001', 'CRYSTAL', '1.500000000000000000'],
+  ['1001', 'JEWEL', '0.250000000000000000'],
+]);
+for (const row of manual) {
+  assert.equal(row.source, 'manual_quest');
+  assert.equal(row.pool_id, 2);
+  assert.equal(row.hero_lp_stake, '12.500000000000000000');
+  assert.equal(row.pool_total_lp, '2500.000000000000000000');
+  assert.equal(row.crystal_fund_balance, '1000000.000000000000000000');
+  // wJEWEL balance plus the fund's native JEWEL
+  assert.equal(row.jewel_fund_balance, '400050.000000000000000000');
+}
+
+// Expedition: RewardMinted reports heroId 0; CRYSTAL goes to the first hero, JEWEL to the second
+const expedition = byQuest('5002');
+assert.deepEqual(expedition.map(r => [r.reward_token, r.hero_id]).sort(), [[CRYSTAL, '6001'], [JEWEL, '6002']]);
+for (const row of expedition) {
+  assert.equal(row.source, 'expedition');
+  assert.equal(row.expedition_id, '42');
+  assert.equal(row.pool_id, 255);
+  assert.equal(row.hero_lp_stake, null);
+}
+
+// Quest type 20 is not a gardening quest
+assert.equal(byQuest('5003').length, 0);
+assert.equal(rewards.length, 4);
+
+// ----------------------------------------------------------------------------
+// Hunts: won hunt with a Scavenger pet and an equipment drop; lost hunt writes nothing
+// ----------------------------------------------------------------------------
+
+setActiveFixture(RpcFixture.load(fixture('hunts-dfk-61998000.json'), 'replay'));
+const hunts = await runHunts('dfk', 61998000, 61999999);
+assert.deepEqual(hunts, snapshot('hunts-dfk-61998000.rows.json'));
+
+const [completion] = hunts.pve_completions as any[];
+assert.equal(hunts.pve_completions.length, 1);
+assert.equal(completion.player_address, '0x3333333333333333333333333333333333333333');
+// Party luck is summed from getHeroV3 at the completion block (12 + 8 + 10)
+assert.equal(completion.party_luck, 30);
+// Pet 9001 carries the rare Scavenger bonus (combatBonus 139) at 15%
+assert.equal(completion.scavenger_bonus_pct, 15);
+
+const drops = hunts.pve_reward_events as any[];
+assert.equal(drops.length, 2);
+for (const drop of drops) {
+  assert.equal(drop.tx_hash, completion.tx_hash);
+  assert.equal(drop.pet_bonus_active, true);
+  assert.equal(drop.scavenger_bonus_pct, 15);
+  assert.equal(drop.party_luck, 30);
+}
+
+const loot = drops.find(d => !d.is_equipment);
+assert.equal(loot.amount, 2);
+const equipment = drops.find(d => d.is_equipment);
+assert.deepEqual(
+  [equipment.equipment_type, equipment.display_id, equipment.rarity_tier, equipment.nft_id],
+  [1, 3, 2, '123456'],
+);
+
+// Drops link to the Mad Boar activity and the known item / equipment parent rows
+const linked = await db.execute(sql`
+  SELECT r.is_equipment, a.name AS activity, i.name AS item
+  FROM pve_reward_events r
+  JOIN pve_activities a ON a.id = r.activity_id
+  JOIN pve_loot_items i ON i.id = r.item_id
+  WHERE r.tx_hash = ${completion.tx_hash}
+  ORDER BY r.log_index
+`);
+assert.deepEqual(linked.map((r: any) => [r.is_equipment, r.activity, r.item]), [
+  [false, 'Mad Boar', 'Boar Hide'],
+  [true, 'Mad Boar', 'Equipment'],
+]);
+
+// Replaying the same range again is idempotent
+assert.deepEqual(await runHunts('dfk', 61998000, 61999999), hunts);
+
+// ----------------------------------------------------------------------------
+// Summons: checks stored with their block time, a tracked session linked, and a
+// reorg sending the session back to pending before the range is re-indexed
+// ----------------------------------------------------------------------------
+
+// Fixture chain: block n is at 1700000000 + (n - 61000000) * 2 seconds
+const blockTime = (n: number) => new Date((1700000000 + (n - 61_000_000) * 2) * 1000);
+const [session] = await db.execute(sql`
+  INSERT INTO summon_sessions (realm, wallet_address, parent1_hero_id, parent2_hero_id, native_token, created_at)
+  VALUES ('cv', '0x1111111111111111111111111111111111111111', '8002', '8003', 'CRYSTAL', ${blockTime(61_997_000).toISOString()}::timestamptz)
+  RETURNING id
+`) as any[];
+
+setActiveFixture(RpcFixture.load(fixture('summons-dfk-61997000.json'), 'replay'));
+
+// Indexing starts at the block of the first recorded session, not at genesis
+await summonOutcomeIndexer.getAllCheckpoints();
+assert.equal(summonOutcomeIndexer.config.genesisBlock, 61_997_000);
+
+const sessionState = async () => {
+  const [row] = await db.execute(sql`SELECT status, offspring_hero_id, summoned_at FROM summon_sessions WHERE id = ${session.id}`) as any[];
+  const offspring = await db.execute(sql`SELECT hero_id FROM summon_offspring WHERE session_id = ${session.id}`) as any[];
+  return { status: row.status, offspringHeroId: row.offspring_hero_id, summonedAt: row.summoned_at && new Date(row.summoned_at).toISOString(), offspring: offspring.map(o => o.hero_id) };
+};
+const linkedSession = { status: 'summoned', offspringHeroId: '8001', summonedAt: blockTime(61_997_100).toISOString(), offspring: ['8001'] };
+
+const summons = await runSummons(61997000, 61997999);
+assert.deepEqual(summons, snapshot('summons-dfk-61997000.rows.json'));
+const checks = summons.summon_outcome_checks as any[];
+assert.deepEqual(checks.map(c => [c.offspring_hero_id, c.owner_address, c.parent1_hero_id, c.parent2_hero_id]), [
+  ['8001', '0x1111111111111111111111111111111111111111', '8002', '8003'],
+  ['8004', '0x2222222222222222222222222222222222222222', '8005', '8006'],
+]);
+assert.deepEqual(checks.map(c => new Date(c.summoned_at).toISOString()), [blockTime(61_997_100).toISOString(), blockTime(61_997_200).toISOString()]);
+assert.deepEqual(await sessionState(), linkedSession);
+
+// Reorg below both summons: the session is unlinked along with the checks
+await db.transaction(async (tx) => {
+  await summonOutcomeIndexer.config.onRollback(61_997_050, tx);
+  assert.equal(await rollbackEventTables(summonOutcomeIndexer.config.eventTables, 61_997_050, tx), 2);
+});
+assert.deepEqual(await sessionState(), { status: 'pending', offspringHeroId: null, summonedAt: null, offspring: [] });
+
+// Re-indexing links it again, once
+assert.deepEqual(await runSummons(61997000, 61997999), summons);
+assert.deepEqual(await sessionState(), linkedSession);
+
+setActiveFixture(null);
+console.log('indexer-replay test passed');
+process.exit(0);
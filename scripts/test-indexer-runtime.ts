@@ -0,0 +1,299 @@
+import assert from 'assert';
+import { ethers } from 'ethers';
+import { defineIndexer } from '../src/etl/ingestion/indexerRuntime.js';
+
+// Runs against DATABASE_URL: checkpoints live in indexer_checkpoints.
+const PING = ethers.id('Ping(address)');
+const ADDRESS_A = '0x00000000000000000000000000000000000000aa';
+const ADDRESS_B = '0x00000000000000000000000000000000000000bb';
+
+const blockHash = (n: number) => ethers.zeroPadValue(ethers.toBeHex(n), 32);
+const walletTopic = (n: number) => ethers.zeroPadValue(ethers.toBeHex(n), 32);
+
+function makeLog(address: string, blockNumber: number, index: number, wallet: number) {
+  return {
+    address,
+    blockNumber,
+    blockHash: blockHash(blockNumber),
+    transactionHash: ethers.id(`${address}:${blockNumber}:${index}`),
+    index,
+    topics: [PING, walletTopic(wallet)],
+    data: '0x',
+  };
+}
+
+/** In-memory chain: head, logs, and scripted getLogs/getBlockNumber failures. */
+function makeProvider(head: number, logs: any[]) {
+  const provider = {
+    head,
+    logs,
+    getLogsCalls: 0,
+    failGetLogs: 0,
+    hangGetBlockNumber: 0,
+    async getBlockNumber() {
+      if (provider.hangGetBlockNumber > 0) {
+        provider.hangGetBlockNumber--;
+        await new Promise(r => setTimeout(r, 500));
+      }
+      return provider.head;
+    },
+    async getLogs(filter: any) {
+      provider.getLogsCalls++;
+      if (provider.failGetLogs > 0) {
+        provider.failGetLogs--;
+        throw new Error('rate limited');
+      }
+      return provider.logs.filter(log =>
+        log.address === filter.address
+        && filter.topics[0].includes(log.topics[0])
+        && log.blockNumber >= filter.fromBlock
+        && log.blockNumber <= filter.toBlock
+      );
+    },
+    async getBlock(n: number) {
+      return { number: n, hash: blockHash(n), timestamp: 1700000000 + n };
+    },
+  };
+  return provider;
+}
+
+const decode = (_parsed: any, log: any) => ({
+  wallet: Number(BigInt(log.topics[1])),
+  address: log.address,
+  blockNumber: log.blockNumber,
+  index: log.index,
+});
+
+// ----------------------------------------------------------------------------
+// Incremental runs: multi-filter merge order, checkpointing, retry, resume
+// ----------------------------------------------------------------------------
+
+const chain = makeProvider(5010, [
+  makeLog(ADDRESS_A, 5, 0, 1),
+  makeLog(ADDRESS_A, 1500, 0, 2),
+  makeLog(ADDRESS_A, 2500, 3, 3),
+  makeLog(ADDRESS_B, 2500, 1, 4),
+  makeLog(ADDRESS_A, 4200, 0, 1),
+]);
+const sunk: any[] = [];
+
+const incremental = defineIndexer({
+  name: 'runtime_test_incremental',
+  getProvider: () => chain,
+  filters: [
+    { address: ADDRESS_A, topics: [[PING]] },
+    { address: ADDRESS_B, topics: [[PING]] },
+  ],
+  blocksPerQuery: 1000,
+  batchSize: 3000,
+  confirmations: 10,
+  reorgWindow: 0,
+  queryDelayMs: 0,
+  baseRetryDelayMs: 1,
+  decode,
+  sink: async (records: any[]) => {
+    sunk.push(...records);
+    // Wallet 4 is filtered out by the sink: only rows written count as events
+    const written = records.filter(r => r.wallet !== 4);
+    return { entities: written.map(r => String(r.wallet)), events: written.length };
+  },
+});
+
+let result = await incremental.runIncremental();
+assert.equal(result.success, true);
+assert.equal(result.safeBlock, 5000);
+assert.equal(result.targetBlock, 3001);
+assert.equal(result.blocksIndexed, 3001);
+assert.equal(result.batchesCompleted, 4);
+assert.equal(result.eventsFound, 3);
+assert.equal(result.entitiesFound, 3);
+
+// Logs from both filters are merged in chain order, not filter order
+assert.deepEqual(sunk.map(r => [r.blockNumber, r.index]), [[5, 0], [1500, 0], [2500, 1], [2500, 3]]);
+
+let checkpoint = await incremental.getCheckpoint('runtime_test_incremental');
+assert.equal(checkpoint.lastIndexedBlock, 3001);
+assert.equal(checkpoint.totalEventsIndexed, 3);
+assert.equal(checkpoint.status, 'complete');
+assert.equal(checkpoint.chain, 'dfk');
+
+// A failed getLogs is retried and the run still resumes after the checkpoint
+chain.failGetLogs = 1;
+const callsBefore = chain.getLogsCalls;
+result = await incremental.runIncremental();
+assert.equal(result.success, true);
+assert.equal(result.targetBlock, 5000);
+assert.equal(result.eventsFound, 1);
+assert.equal(chain.getLogsCalls - callsBefore, 2 * 2 + 1);
+assert.equal(sunk.filter(r => r.blockNumber === 4200).length, 1);
+assert.equal(sunk.length, 5);
+
+checkpoint = await incremental.getCheckpoint('runtime_test_incremental');
+assert.equal(checkpoint.lastIndexedBlock, 5000);
+assert.equal(checkpoint.totalEventsIndexed, 4);
+
+result = await incremental.runIncremental();
+assert.deepEqual(result, { success: true, message: 'Already synced' });
+
+// Retries exhausted: the run fails and the checkpoint stays put
+chain.head = 8010;
+chain.failGetLogs = 3;
+result = await incremental.runIncremental();
+assert.equal(result.success, false);
+assert.match(result.error, /rate limited/);
+checkpoint = await incremental.getCheckpoint('runtime_test_incremental');
+assert.equal(checkpoint.lastIndexedBlock, 5000);
+assert.equal(checkpoint.status, 'error');
+assert.equal(checkpoint.lastError, 'rate limited');
+
+result = await incremental.runIncremental();
+assert.equal(result.success, true);
+assert.equal(result.targetBlock, 8000);
+checkpoint = await incremental.getCheckpoint('runtime_test_incremental');
+assert.equal(checkpoint.lastIndexedBlock, 8000);
+assert.equal(checkpoint.lastError, null);
+
+// ----------------------------------------------------------------------------
+// Per-attempt RPC timeout
+// ----------------------------------------------------------------------------
+
+const slowChain = makeProvider(100, []);
+const timed = defineIndexer({
+  name: 'runtime_test_timeout',
+  getProvider: () => slowChain,
+  address: ADDRESS_A,
+  topics: [[PING]],
+  rpcTimeoutMs: 50,
+  reorgWindow: 0,
+  queryDelayMs: 0,
+  baseRetryDelayMs: 1,
+  decode,
+  sink: async () => {},
+});
+
+slowChain.hangGetBlockNumber = 1;
+assert.equal(await timed.getLatestBlock(), 100);
+
+slowChain.hangGetBlockNumber = 3;
+await assert.rejects(timed.getLatestBlock(), /getBlockNumber timed out after 50ms/);
+
+// ----------------------------------------------------------------------------
+// Block timestamps: an unreadable block fails the chunk instead of inventing a time
+// ----------------------------------------------------------------------------
+
+const stampChain: any = makeProvider(200, [makeLog(ADDRESS_A, 50, 0, 1)]);
+const readBlock = stampChain.getBlock;
+stampChain.getBlock = async () => null;
+const stamps: Date[] = [];
+const stamped = defineIndexer({
+  name: 'runtime_test_timestamps',
+  getProvider: () => stampChain,
+  address: ADDRESS_A,
+  topics: [[PING]],
+  reorgWindow: 0,
+  queryDelayMs: 0,
+  baseRetryDelayMs: 1,
+  decode,
+  sink: async (records: any[], ctx: any) => {
+    for (const r of records) stamps.push(await ctx.getBlockTimestamp(r.blockNumber));
+  },
+});
+
+result = await stamped.runIncremental();
+assert.equal(result.success, false);
+assert.match(result.error, /Block 50 not found/);
+assert.deepEqual(stamps, []);
+assert.equal((await stamped.getCheckpoint('runtime_test_timestamps'))?.lastIndexedBlock ?? 0, 0);
+
+stampChain.getBlock = readBlock;
+result = await stamped.runIncremental();
+assert.equal(result.success, true);
+assert.deepEqual(stamps, [new Date((1700000000 + 50) * 1000)]);
+
+// ----------------------------------------------------------------------------
+// Workers: bounded ranges, the open-ended tail, restart resume, status shape
+// ----------------------------------------------------------------------------
+
+const workerChain = makeProvider(6000, [
+  makeLog(ADDRESS_A, 100, 0, 1),
+  makeLog(ADDRESS_A, 2400, 0, 2),
+  makeLog(ADDRESS_A, 2600, 0, 3),
+  makeLog(ADDRESS_A, 5900, 0, 4),
+]);
+const workerRows: any[] = [];
+
+const parallel = defineIndexer({
+  name: 'runtime_test_workers',
+  getProvider: () => workerChain,
+  address: ADDRESS_A,
+  topics: [[PING]],
+  workers: 2,
+  blocksPerQuery: 1000,
+  batchSize: 10000,
+  reorgWindow: 0,
+  queryDelayMs: 0,
+  baseRetryDelayMs: 1,
+  decode,
+  sink: async (records: any[], ctx: any) => {
+    workerRows.push(...records.map(r => ({ ...r, workerId: ctx.workerId })));
+    return { entities: records.map(r => String(r.wallet)) };
+  },
+});
+
+assert.deepEqual(await parallel.runWorkerBatch(0), { status: 'error', error: 'No checkpoint found' });
+
+await parallel.initCheckpoint('runtime_test_workers_w0', 0, 2500);
+await parallel.initCheckpoint('runtime_test_workers_w1', 2500, null);
+
+let batch = await parallel.runWorkerBatch(0);
+assert.equal(batch.status, 'completed');
+assert.equal(batch.eventsFound, 2);
+assert.equal(batch.targetBlock, 2500);
+
+batch = await parallel.runWorkerBatch(0);
+assert.deepEqual(batch, { status: 'completed', message: 'Worker reached target block' });
+
+batch = await parallel.runWorkerBatch(1);
+assert.equal(batch.status, 'completed');
+assert.equal(batch.currentBlock, 6000);
+assert.equal(batch.eventsFound, 2);
+assert.deepEqual(workerRows.map(r => [r.workerId, r.blockNumber]), [[0, 100], [0, 2400], [1, 2600], [1, 5900]]);
+
+// Extending a worker's end keeps its progress; moving its start resets it
+let row = await parallel.initCheckpoint('runtime_test_workers_w0', 0, 3000);
+assert.equal(row.lastIndexedBlock, 2500);
+assert.equal(row.rangeEnd, 3000);
+row = await parallel.initCheckpoint('runtime_test_workers_w0', 0, 2500);
+
+// A restart reuses the stored ranges instead of re-partitioning
+const started = await parallel.startWorkers({ intervalMs: 60 * 60 * 1000 });
+assert.equal(started.status, 'workers_started');
+assert.equal(started.workersStarted, 2);
+assert.deepEqual(started.results.map((r: any) => [r.rangeStart, r.rangeEnd]), [[0, 2500], [2500, null]]);
+
+const workersStatus = parallel.getWorkersStatus();
+assert.equal(workersStatus.activeWorkers, 2);
+assert.equal(workersStatus.maxWorkers, 2);
+assert.deepEqual(
+  Object.keys(workersStatus.workers[0]).sort(),
+  ['intervalMs', 'isRunning', 'lastRunAt', 'progress', 'rangeEnd', 'rangeStart', 'runsCompleted', 'startedAt', 'workerId']
+);
+assert.equal(parallel.isAutoRunning(), true);
+assert.equal(parallel.stopWorkers(), 2);
+assert.equal(parallel.isAutoRunning(), false);
+
+const status = await parallel.getStatus();
+assert.deepEqual(Object.keys(status).sort(), [
+  'activeWorkers', 'chain', 'checkpoints', 'confirmations', 'genesisBlock', 'isAutoRunning', 'label',
+  'latestBlock', 'liveProgress', 'maxWorkers', 'minWorkers', 'name', 'recentReorgs', 'reorgWindow',
+  'totals', 'workers', 'workersProgress',
+]);
+assert.equal(status.name, 'runtime_test_workers');
+assert.equal(status.latestBlock, 6000);
+assert.equal(status.checkpoints.length, 2);
+assert.equal(status.totals.totalEventsIndexed, 4);
+assert.equal(status.totals.lowestIndexedBlock, 2500);
+assert.equal(status.totals.percentComplete, 100);
+
+console.log('indexer-runtime test passed');
+process.exit(0);
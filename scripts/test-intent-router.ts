@@ -0,0 +1,233 @@
+import assert from 'assert';
+import { sql } from 'drizzle-orm';
+
+// The JEWEL price for query_costs comes from the chain; with nothing listening it
+// fails fast and the middleware falls back to its default price
+process.env.DFK_RPC_URLS = 'http://127.0.0.1:9';
+
+const { db } = await import('../server/db.js');
+const { players, pricingConfig, verifiedWallets } = await import('../shared/schema.ts');
+const { ScriptedProvider, setProviderOverride } = await import('../src/services/llmProvider.js');
+const { recordDeposit, getLedgerBalance } = await import('../jewel-ledger.js');
+const { updateSpendSettings } = await import('../spend-controls.js');
+const { createConfirmation, takeConfirmation, parseConfirmationId, buildConfirmationPrompt, buildCancelMessage, chargedJewel } = await import('../agent-confirmations.js');
+const { routeAndExecute, resumeConfirmed, defaultToolExecutor, assertWalletOwnership } = await import('../intent-router.js');
+const { pushSchema } = await import('./push-schema.ts');
+
+// Runs against DATABASE_URL: paid tools are charged through the real balance
+// middleware and ledger. Only the garden tools themselves (chain reads) are stubbed.
+await pushSchema();
+
+// No peak-hour surcharge, so tool prices are exactly TOOL_BASE_PRICES
+await db.insert(pricingConfig).values({ configKey: 'modifiers', configValue: { peak_hours: [] } });
+
+const WALLET = '0x00000000000000000000000000000000000a11ce';
+const STRANGER = '0x00000000000000000000000000000000000b0b00';
+const [player] = await db.insert(players).values({ discordId: 'd-100', discordUsername: 'gardener' }).returning();
+await db.insert(verifiedWallets).values({ playerId: player.id, address: WALLET, signature: '0xsig', message: 'link' });
+await recordDeposit({ playerId: player.id, amountJewel: '150', txHash: '0x' + 'a1'.repeat(32), source: 'test' });
+
+const provider = new ScriptedProvider();
+setProviderOverride(provider);
+
+const toolCall = (id: string, name: string, args: object) => ({
+  id,
+  type: 'function',
+  function: { name, arguments: JSON.stringify(args) },
+});
+
+const optimizerRuns: string[] = [];
+const gardenReads: string[] = [];
+async function toolExecutor(name: string, args: any, context: any) {
+  if (name === 'get_wallet_gardens') {
+    gardenReads.push(args.wallet_address);
+    return { wallet: args.wallet_address, pools: [{ pid: 2, heroes: [1001] }] };
+  }
+  if (name !== 'optimize_wallet_gardens') return defaultToolExecutor(name, args, context);
+  const wallet = await assertWalletOwnership(context.playerId, args.wallet_address);
+  optimizerRuns.push(wallet);
+  return { wallet, recommendations: [{ heroId: 1001, fromPool: 2, toPool: 5, dailyGainJewel: 0.4 }] };
+}
+
+const context = { userId: 'd-100', playerId: player.id, username: 'gardener' };
+
+// ----------------------------------------------------------------------------
+// Multi-step run: linked wallet -> optimization -> answer citing both sources
+// ----------------------------------------------------------------------------
+
+provider.enqueue(
+  { content: null, tool_calls: [toolCall('c1', 'get_linked_wallet', {})] },
+  { content: null, tool_calls: [toolCall('c2', 'optimize_wallet_gardens', { wallet_address: WALLET })] },
+  'Move hero 1001 from pool 2 to pool 5 for about 0.4 JEWEL a day [2]. Wallet from your account [1].'
+);
+
+const run = await routeAndExecute('optimize my gardens', context, toolExecutor);
+assert.equal(run.steps, 3);
+assert.deepEqual(run.toolsUsed, ['get_linked_wallet', 'optimize_wallet_gardens']);
+assert.deepEqual(run.sources.map((s: any) => [s.id, s.tool, s.ok, s.step]), [
+  [1, 'get_linked_wallet', true, 1],
+  [2, 'optimize_wallet_gardens', true, 2],
+]);
+assert.deepEqual(run.pendingConfirmations, []);
+assert.ok(run.response.startsWith('Move hero 1001'));
+assert.match(run.response, /\*\*Sources\*\*\n\[1\] Hedge player records - `get_linked_wallet`\n\[2\] Garden Optimizer .* - `optimize_wallet_gardens` - 25 JEWEL$/);
+
+// Each step sees the previous tool results, tagged with their source
+assert.equal(provider.calls.length, 3);
+assert.equal(provider.calls[0].toolChoice, 'auto');
+const transcript = provider.calls[2].messages.slice(-4);
+assert.deepEqual(transcript.map((m: any) => m.tool_call_id || m.tool_calls?.[0].id), ['c1', 'c1', 'c2', 'c2']);
+const linked = JSON.parse(transcript[1].content);
+assert.equal(linked.source, '[1]');
+assert.deepEqual(linked.result.verifiedWallets, [WALLET]);
+const optimized = JSON.parse(transcript[3].content);
+assert.equal(optimized.source, '[2]');
+assert.equal(optimized.result.recommendations[0].toPool, 5);
+
+// The paid tool was charged its list price after it ran, and logged with its query_ref
+assert.equal((await getLedgerBalance(player.id)).balanceJewel, '125.000000000000000000');
+const costs = await db.execute(sql`SELECT query_type, tools_used, price_charged_jewel, query_ref FROM query_costs`) as any[];
+assert.equal(costs.length, 1);
+assert.equal(costs[0].query_type, 'optimize_wallet_gardens');
+assert.deepEqual(costs[0].tools_used, ['optimize_wallet_gardens']);
+assert.equal(Number(costs[0].price_charged_jewel), 25);
+assert.ok(costs[0].query_ref);
+
+// ----------------------------------------------------------------------------
+// Paid tools respect spend limits: confirmation, then only the skipped tools run
+// ----------------------------------------------------------------------------
+
+await updateSpendSettings(player.id, { confirmAboveJewel: '10' });
+const optimizeOnce = () => provider.enqueue(
+  { content: null, tool_calls: [toolCall('c3', 'optimize_wallet_gardens', { wallet_address: WALLET })] },
+  'That one costs 25 JEWEL - confirm and I will run it.'
+);
+
+// A cheap paid lookup below the threshold runs (and is charged) alongside the refused one
+provider.enqueue(
+  {
+    content: null,
+    tool_calls: [
+      toolCall('c3a', 'get_wallet_gardens', { wallet_address: WALLET }),
+      toolCall('c3', 'optimize_wallet_gardens', { wallet_address: WALLET }),
+    ],
+  },
+  'That one costs 25 JEWEL - confirm and I will run it.'
+);
+const refused = await routeAndExecute('optimize my gardens again', context, toolExecutor);
+assert.equal(refused.pendingConfirmations.length, 1);
+assert.equal(refused.pendingConfirmations[0].tool, 'optimize_wallet_gardens');
+assert.match(refused.pendingConfirmations[0].reason, /confirmation threshold of 10 JEWEL/);
+assert.equal(JSON.parse(provider.calls.at(-1).messages.at(-1).content).requiresConfirmation, true);
+assert.equal(optimizerRuns.length, 1, 'a refused tool never runs');
+assert.deepEqual(gardenReads, [WALLET]);
+const gardensCost = refused.sources[0].costJewel;
+assert.ok(Number(gardensCost) > 0 && Number(gardensCost) < 10);
+const charged = chargedJewel(refused.sources);
+assert.equal(Number(charged), Number(gardensCost));
+const afterGardens = (await getLedgerBalance(player.id)).balanceJewel;
+assert.equal(Number(afterGardens), 125 - Number(gardensCost));
+
+// The bot keeps the run behind Confirm / Cancel buttons only the asker can press, once
+const nonce = createConfirmation({ discordId: context.userId, userContent: 'optimize my gardens again', resume: refused.resume });
+const prompt = buildConfirmationPrompt(refused.pendingConfirmations, nonce, { chargedJewel: charged });
+assert.match(prompt.content, /`optimize_wallet_gardens` - 25 JEWEL/);
+assert.match(prompt.content, /charging up to 25 JEWEL\./);
+assert.ok(prompt.content.includes(`already ran cost ${charged} JEWEL and won't be charged again`));
+assert.doesNotMatch(buildConfirmationPrompt(refused.pendingConfirmations, nonce).content, /already ran/);
+assert.equal(buildCancelMessage('0'), 'Cancelled. Nothing was charged.');
+assert.ok(buildCancelMessage(charged).includes(`the ones that did cost ${charged} JEWEL`));
+const [confirmButton, cancelButton] = prompt.components[0].toJSON().components as any[];
+assert.deepEqual(parseConfirmationId(confirmButton.custom_id), { action: 'confirm', nonce });
+assert.deepEqual(parseConfirmationId(cancelButton.custom_id), { action: 'cancel', nonce });
+assert.equal(parseConfirmationId('admin_refresh'), null);
+assert.deepEqual(takeConfirmation(nonce, 'someone-else'), { error: 'not_yours' });
+const { request: confirmedRequest } = takeConfirmation(nonce, context.userId);
+assert.equal(confirmedRequest.resume, refused.resume);
+assert.deepEqual(takeConfirmation(nonce, context.userId), { error: 'expired' });
+const stale = createConfirmation({ discordId: context.userId }, Date.now() - 11 * 60_000);
+assert.deepEqual(takeConfirmation(stale, context.userId), { error: 'expired' });
+
+// Confirm runs only the optimizer; the garden read is reused, not run or charged again
+provider.enqueue('Move hero 1001 from pool 2 to pool 5 [2], based on your gardens [1].');
+const confirmed = await resumeConfirmed(confirmedRequest.resume, context, toolExecutor);
+assert.deepEqual(confirmed.pendingConfirmations, []);
+assert.equal(confirmed.resume, null);
+assert.equal(optimizerRuns.length, 2);
+assert.deepEqual(gardenReads, [WALLET]);
+assert.deepEqual(confirmed.sources.map((s: any) => [s.tool, s.ok]), [['get_wallet_gardens', true], ['optimize_wallet_gardens', true]]);
+assert.equal(confirmed.sources[1].error, undefined);
+assert.equal(refused.sources[1].ok, false, 'the stored run is not changed');
+const resumedTranscript = provider.calls.at(-1).messages;
+const optimizerResult = JSON.parse(resumedTranscript.find((m: any) => m.tool_call_id === 'c3').content);
+assert.equal(optimizerResult.result.recommendations[0].toPool, 5);
+assert.equal(optimizerResult.requiresConfirmation, undefined);
+assert.equal(resumedTranscript.filter((m: any) => m.role === 'tool').length, 2);
+const afterConfirm = (await getLedgerBalance(player.id)).balanceJewel;
+assert.equal(Number(afterConfirm), 100 - Number(gardensCost));
+
+// Daily cap: refused outright, nothing to confirm
+await updateSpendSettings(player.id, { confirmAboveJewel: null, dailySpendCapJewel: '60' });
+optimizeOnce();
+const capped = await routeAndExecute('one more', context, toolExecutor);
+assert.deepEqual(capped.pendingConfirmations, []);
+assert.match(capped.sources[0].error, /daily spend cap of 60 JEWEL/);
+assert.equal((await getLedgerBalance(player.id)).balanceJewel, afterConfirm);
+await updateSpendSettings(player.id, { dailySpendCapJewel: null });
+
+
+// ----------------------------------------------------------------------------
+// Balance: a paid tool the player can't afford is refused and never runs
+// (12.5 JEWEL with the new-player discount, against a 5 JEWEL balance)
+// ----------------------------------------------------------------------------
+
+const [broke] = await db.insert(players).values({ discordId: 'd-200', discordUsername: 'broke' }).returning();
+await recordDeposit({ playerId: broke.id, amountJewel: '5', txHash: '0x' + 'b2'.repeat(32), source: 'test' });
+provider.enqueue(
+  { content: null, tool_calls: [toolCall('c3', 'optimize_wallet_gardens', { wallet_address: WALLET }), toolCall('c4', 'get_linked_wallet', {})] },
+  'You need a bit more JEWEL for that.'
+);
+const brokeRun = await routeAndExecute('optimize my gardens', { userId: 'd-200', playerId: broke.id }, async (name, args, ctx) => {
+  if (name === 'optimize_wallet_gardens') throw new Error('should not run');
+  return defaultToolExecutor(name, args, ctx);
+});
+assert.deepEqual(brokeRun.sources.map((s: any) => s.ok), [false, true]);
+assert.match(brokeRun.sources[0].error, /Insufficient balance/);
+assert.equal((await getLedgerBalance(broke.id)).balanceJewel, '5.000000000000000000');
+
+// ----------------------------------------------------------------------------
+// Wallet ownership and accounts
+// ----------------------------------------------------------------------------
+
+// Someone else's wallet fails before any chain read, and is not charged
+await assert.rejects(
+  defaultToolExecutor('optimize_wallet_gardens', { wallet_address: STRANGER }, context),
+  /not a verified wallet of this player/
+);
+provider.enqueue(
+  { content: null, tool_calls: [toolCall('c5', 'optimize_wallet_gardens', { wallet_address: STRANGER })] },
+  'I can only optimize wallets you linked.'
+);
+const stranger = await routeAndExecute('optimize 0xb0b', context, toolExecutor);
+assert.equal(stranger.sources[0].ok, false);
+assert.match(stranger.sources[0].error, /not a verified wallet/);
+assert.equal((await getLedgerBalance(player.id)).balanceJewel, afterConfirm);
+
+// Free tools run without an account; paid tools need one to charge
+provider.enqueue(
+  { content: null, tool_calls: [toolCall('c6', 'get_linked_wallet', {}), toolCall('c7', 'get_wallet_gardens', { wallet_address: WALLET })] },
+  'Link a wallet first.'
+);
+const anonymous = await routeAndExecute('what are my gardens', {}, toolExecutor);
+assert.deepEqual(anonymous.sources.map((s: any) => s.ok), [true, false]);
+assert.match(anonymous.sources[1].error, /paid tool and needs a Discord account/);
+
+// The step budget always ends in an answer: the last step may not call tools
+provider.enqueue({ content: null, tool_calls: [toolCall('c8', 'get_linked_wallet', {})] }, 'Done.');
+const short = await routeAndExecute('hi', { ...context, maxSteps: 2 }, toolExecutor);
+assert.equal(short.steps, 2);
+assert.equal(provider.calls.at(-1).toolChoice, 'none');
+
+setProviderOverride(null);
+console.log('intent-router test passed');
+process.exit(0);
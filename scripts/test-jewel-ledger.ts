@@ -0,0 +1,113 @@
+import assert from 'assert';
+import { eq } from 'drizzle-orm';
+import { validateJournalEntry, calculateTier, playerAccount, LEDGER_ACCOUNTS, recordDeposit, checkLedgerIntegrity } from '../jewel-ledger.js';
+import { db } from '../server/db.js';
+import { players, verifiedWallets, unmatchedTransfers } from '../shared/schema.ts';
+import { assignUnmatchedTransfer } from '../wallet-deposits.js';
+import { pushSchema } from './push-schema.ts';
+
+const player = playerAccount(7);
+assert.equal(player, 'player:7');
+
+// A deposit balances: Dr hedge wallet, Cr player
+validateJournalEntry({
+  entryType: 'deposit',
+  postings: [
+    { account: LEDGER_ACCOUNTS.HEDGE_WALLET, direction: 'debit', amountJewel: '12.5' },
+    { account: player, direction: 'credit', amountJewel: '12.500000000000000000' },
+  ],
+});
+
+// Split postings balance as long as the totals match
+validateJournalEntry({
+  entryType: 'query_charge',
+  postings: [
+    { account: player, direction: 'debit', amountJewel: '0.3' },
+    { account: LEDGER_ACCOUNTS.QUERY_REVENUE, direction: 'credit', amountJewel: '0.1' },
+    { account: LEDGER_ACCOUNTS.QUERY_REVENUE, direction: 'credit', amountJewel: '0.2' },
+  ],
+});
+
+assert.throws(() => validateJournalEntry({
+  entryType: 'deposit',
+  postings: [
+    { account: LEDGER_ACCOUNTS.HEDGE_WALLET, direction: 'debit', amountJewel: '10' },
+    { account: player, direction: 'credit', amountJewel: '9.999' },
+  ],
+}), /Unbalanced/);
+
+assert.throws(() => validateJournalEntry({
+  entryType: 'refund',
+  postings: [
+    { account: LEDGER_ACCOUNTS.REFUNDS, direction: 'debit', amountJewel: '-1' },
+    { account: player, direction: 'credit', amountJewel: '-1' },
+  ],
+}), /must be positive/);
+
+assert.throws(() => validateJournalEntry({ entryType: 'withdrawal', postings: [] }), /Unknown ledger entry type/);
+assert.throws(() => validateJournalEntry({ entryType: 'deposit', postings: [] }), /at least one posting/);
+
+// Opening balances may carry lifetime deposits with a zero balance
+validateJournalEntry({ entryType: 'opening_balance', postings: [] });
+
+// Tiers follow lifetime deposits
+assert.equal(calculateTier('0'), 'free');
+assert.equal(calculateTier('99.999'), 'free');
+assert.equal(calculateTier('100'), 'bronze');
+assert.equal(calculateTier('500'), 'silver');
+assert.equal(calculateTier('2000'), 'gold');
+assert.equal(calculateTier('10000'), 'whale');
+
+// ----------------------------------------------------------------------------
+// Integrity: deposits from wallet-deposits.js reconcile (runs against DATABASE_URL)
+// ----------------------------------------------------------------------------
+
+await pushSchema();
+const WALLET = '0x00000000000000000000000000000000000a11ce';
+const [alice] = await db.insert(players).values({ discordId: 'd-1', discordUsername: 'alice' }).returning();
+const [bob] = await db.insert(players).values({ discordId: 'd-2', discordUsername: 'bob' }).returning();
+await db.insert(verifiedWallets).values({ playerId: alice.id, address: WALLET, signature: '0xsig', message: 'link' });
+
+// A linked-wallet deposit matches the player's verified wallet
+await recordDeposit({ playerId: alice.id, amountJewel: '42', txHash: '0x' + '01'.repeat(32), logIndex: 3, fromWallet: WALLET, source: 'verified_wallet' });
+
+// An admin-reviewed deposit matches the queued transfer it credited
+const [queued] = await db.insert(unmatchedTransfers).values({
+  transferRef: `0x${'02'.repeat(32)}:0`, txHash: '0x' + '02'.repeat(32), logIndex: 0, chain: 'dfk', fromWallet: '0x00000000000000000000000000000000000b0b00',
+  amountJewel: '7.5', transferredAt: new Date(),
+}).returning();
+await assignUnmatchedTransfer(queued.id, bob.id, { adminId: 'admin' });
+
+let integrity = await checkLedgerIntegrity();
+assert.deepEqual(integrity.unmatchedDeposits, []);
+assert.deepEqual(integrity.amountMismatches, []);
+assert.equal(integrity.ok, true);
+
+// A transfer can only be credited once, and never after the ledger already has it
+await assert.rejects(assignUnmatchedTransfer(queued.id, bob.id, { adminId: 'admin' }), /is already credited/);
+await recordDeposit({ playerId: alice.id, amountJewel: '3', txHash: '0x' + '05'.repeat(32), logIndex: 0, fromWallet: WALLET, source: 'verified_wallet' });
+const [seen] = await db.insert(unmatchedTransfers).values({
+  transferRef: `0x${'05'.repeat(32)}:0`, txHash: '0x' + '05'.repeat(32), logIndex: 0, chain: 'dfk', fromWallet: WALLET,
+  amountJewel: '3', transferredAt: new Date(),
+}).returning();
+await assert.rejects(assignUnmatchedTransfer(seen.id, bob.id, { adminId: 'admin' }), new RegExp(`already credited to player #${alice.id}`));
+const [stillPending] = await db.select().from(unmatchedTransfers).where(eq(unmatchedTransfers.id, seen.id));
+assert.equal(stillPending.status, 'pending');
+const [refunded] = await db.insert(unmatchedTransfers).values({
+  transferRef: `0x${'06'.repeat(32)}:0`, txHash: '0x' + '06'.repeat(32), logIndex: 0, chain: 'dfk', fromWallet: WALLET,
+  amountJewel: '2', transferredAt: new Date(), status: 'refunded',
+}).returning();
+await assert.rejects(assignUnmatchedTransfer(refunded.id, bob.id, { adminId: 'admin' }), /is already refunded/);
+integrity = await checkLedgerIntegrity();
+assert.equal(integrity.ok, true);
+
+// Credited to someone who never linked the sender: reported
+await recordDeposit({ playerId: bob.id, amountJewel: '5', txHash: '0x' + '03'.repeat(32), logIndex: 1, fromWallet: WALLET, source: 'verified_wallet' });
+// Marked admin-reviewed without a resolved queue entry: reported
+await recordDeposit({ playerId: bob.id, amountJewel: '6', txHash: '0x' + '04'.repeat(32), logIndex: 0, source: 'admin_review' });
+integrity = await checkLedgerIntegrity();
+assert.equal(integrity.ok, false);
+assert.deepEqual(integrity.unmatchedDeposits.map((d: any) => [d.playerId, Number(d.amountJewel)]), [[bob.id, 5], [bob.id, 6]]);
+
+console.log('jewel-ledger test passed');
+process.exit(0);
@@ -0,0 +1,52 @@
+import assert from 'assert';
+import fs from 'fs';
+import { chunkMarkdown, buildCodexChunks, formatKnowledgeCitations } from '../src/services/knowledgeIndex.js';
+
+// Markdown is split per heading, each chunk keeps its breadcrumb and source line
+const doc = [
+  '# Gardens',
+  'Intro to the gardens.',
+  '## Staking',
+  'Stake LP tokens to earn JEWEL.',
+  '### Harvesting',
+  'Harvest from the Druid.',
+  '## Staking',
+  'Duplicate heading body.',
+].join('\n');
+const chunks = chunkMarkdown(doc, 'knowledge/gardens.md');
+assert.equal(chunks.length, 4);
+assert.equal(chunks[0].chunkKey, 'knowledge/gardens.md#gardens');
+assert.equal(chunks[2].title, 'gardens.md › Staking › Harvesting');
+assert.ok(chunks[2].content.startsWith('Gardens › Staking › Harvesting\n\n'));
+assert.deepEqual(chunks[2].metadata.headings, ['Gardens', 'Staking', 'Harvesting']);
+assert.equal(chunks[2].metadata.line, 5);
+assert.equal(chunks[3].chunkKey, 'knowledge/gardens.md#gardens-staking-2');
+
+// Oversized sections are cut on paragraph boundaries with stable part keys
+const long = `# Heroes\n${Array.from({ length: 6 }, (_, i) => `Paragraph ${i} `.repeat(30)).join('\n\n')}`;
+const parts = chunkMarkdown(long, 'knowledge/heroes.md', { maxChars: 1000 });
+assert.ok(parts.length > 1);
+assert.ok(parts.every(p => p.content.length <= 1000 + 'Heroes\n\n'.length));
+assert.equal(parts[1].chunkKey, 'knowledge/heroes.md#heroes#2');
+
+// Every real knowledge file chunks without empty sections
+for (const file of fs.readdirSync('knowledge').filter(f => f.endsWith('.md'))) {
+  const fileChunks = chunkMarkdown(fs.readFileSync(`knowledge/${file}`, 'utf8'), `knowledge/${file}`);
+  assert.ok(fileChunks.length > 0, file);
+  assert.equal(new Set(fileChunks.map(c => c.chunkKey)).size, fileChunks.length, `${file} has duplicate keys`);
+}
+
+// Codex chunks group skills by class and keywords under one source
+const codex = buildCodexChunks({
+  skills: [{ class: 'Knight', ability: 'Shield Bash', tier: 1, discipline: 'Defense', descriptionRaw: 'Stuns the target.', sourceUrl: 'u' }],
+  keywords: [{ keyword: 'Stun', definition: 'Skips the next turn.', sourceUrl: 'u' }],
+});
+assert.deepEqual(codex.map(c => c.sourceKey), ['Knight', 'keywords']);
+assert.ok(codex[0].content.includes('Tier: 1'));
+
+// Only cited excerpts make it into the sources line
+const citations = [{ label: 'K1', title: 'gardens.md › Staking' }, { label: 'K2', title: 'heroes.md › Stats' }];
+assert.equal(formatKnowledgeCitations('Stake your LP [K1].', citations), '\n\n📚 [K1] gardens.md › Staking');
+assert.equal(formatKnowledgeCitations('No citations here.', citations), '');
+
+console.log('knowledge-index test passed');
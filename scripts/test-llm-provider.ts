@@ -0,0 +1,100 @@
+import assert from 'assert';
+import {
+  ScriptedProvider,
+  chat,
+  streamChat,
+  getLLMConfig,
+  setProviderOverride,
+  computeCostUsd,
+  withUsageContext,
+  getUsageContext,
+  onUsage,
+} from '../src/services/llmProvider.js';
+
+// Per-feature config: feature env beats the global provider, which beats defaults
+process.env.LLM_PROVIDER = 'local';
+process.env.LLM_LOCAL_MODEL = 'qwen2.5-7b-instruct';
+process.env.LLM_PRICE_NARRATIVE_PROVIDER = 'openai';
+process.env.LLM_MATCHUP_ANALYSIS_MODEL = 'llama-3.1-8b';
+
+assert.deepEqual(getLLMConfig('persona_chat'), { feature: 'persona_chat', provider: 'local', model: 'qwen2.5-7b-instruct' });
+assert.deepEqual(getLLMConfig('price_narrative'), { feature: 'price_narrative', provider: 'openai', model: 'gpt-4o-mini' });
+assert.equal(getLLMConfig('matchup_analysis').model, 'llama-3.1-8b');
+assert.throws(() => getLLMConfig('not_a_feature'), /Unknown LLM feature/);
+
+// The analysis features follow OPENAI_MODEL like chat does (unless a feature model is set)
+process.env.OPENAI_MODEL = 'gpt-4o';
+assert.equal(getLLMConfig('price_narrative').model, 'gpt-4o');
+assert.equal(getLLMConfig('matchup_analysis').model, 'llama-3.1-8b');
+process.env.LLM_HUNT_ANALYSIS_PROVIDER = 'openai';
+assert.equal(getLLMConfig('hunt_analysis').model, 'gpt-4o');
+delete process.env.LLM_HUNT_ANALYSIS_PROVIDER;
+delete process.env.OPENAI_MODEL;
+
+// Scripted stub: queued replies first (including tool calls), then rules, then echo
+const stub = new ScriptedProvider({
+  rules: [{ match: 'garden', reply: 'Gardens are where LP tokens go to nap.' }],
+});
+stub.enqueue({
+  content: null,
+  tool_calls: [{ id: 'call_1', type: 'function', function: { name: 'get_linked_wallet', arguments: '{}' } }],
+});
+setProviderOverride(stub);
+
+try {
+  const first = await chat('agent', { messages: [{ role: 'user', content: 'optimize my gardens' }], tools: [] });
+  assert.equal(first.provider, 'scripted');
+  assert.equal(first.finishReason, 'tool_calls');
+  assert.equal(first.toolCalls[0].function.name, 'get_linked_wallet');
+
+  const second = await chat('persona_chat', { messages: [{ role: 'user', content: 'what is a garden?' }] });
+  assert.equal(second.content, 'Gardens are where LP tokens go to nap.');
+  assert.ok(second.usage.totalTokens > 0);
+
+  const third = await chat('hunt_analysis', { messages: [{ role: 'user', content: 'analyze hunt 42' }] });
+  assert.equal(third.content, '[scripted:hunt_analysis] analyze hunt 42');
+  assert.equal(stub.calls.length, 3);
+  assert.equal(stub.calls[2].model, 'gpt-4o-mini');
+
+  // Streaming yields the same text in chunks, then usage
+  let streamed = '';
+  let usage = null;
+  for await (const item of streamChat('persona_chat', { messages: [{ role: 'user', content: 'tell me about gardens' }] })) {
+    if (item.delta) streamed += item.delta;
+    if (item.usage) usage = item.usage;
+  }
+  assert.equal(streamed, 'Gardens are where LP tokens go to nap.');
+  assert.ok(usage);
+
+  // Usage accounting: calls inside a context are attributed to it, streamed usage included
+  const events: any[] = [];
+  const unsubscribe = onUsage(event => events.push(event));
+  const calls = await withUsageContext({ playerId: 7, queryType: 'hero', queryRef: 'q-1' }, async () => {
+    await chat('agent', { messages: [{ role: 'user', content: 'hero 1' }] });
+    for await (const _ of streamChat('persona_chat', { messages: [{ role: 'user', content: 'hero 2' }] })) { /* drain */ }
+    return getUsageContext()!.calls;
+  });
+  await chat('agent', { messages: [{ role: 'user', content: 'outside' }] });
+  unsubscribe();
+
+  assert.equal(calls.length, 2);
+  assert.deepEqual(calls.map((c: any) => c.feature), ['agent', 'persona_chat']);
+  assert.equal(events.length, 3);
+  assert.equal(events[0].context.queryRef, 'q-1');
+  assert.equal(events[0].context.playerId, 7);
+  assert.equal(events[2].context, null);
+  assert.equal(events[0].costUsd, 0); // scripted calls are free
+} finally {
+  setProviderOverride(null);
+}
+
+// OpenAI pricing per 1M tokens; dated snapshots use their base model's price
+const usage = { promptTokens: 1_000_000, completionTokens: 1_000_000, totalTokens: 2_000_000 };
+assert.equal(computeCostUsd('openai', 'gpt-4o-mini', usage), 0.75);
+assert.equal(computeCostUsd('openai', 'gpt-4o-mini-2024-07-18', usage), 0.75);
+assert.equal(computeCostUsd('openai', 'gpt-4o-2024-08-06', usage), 12.5);
+assert.equal(computeCostUsd('openai', 'text-embedding-3-small', { promptTokens: 500_000, completionTokens: 0, totalTokens: 500_000 }), 0.01);
+assert.equal(computeCostUsd('openai', 'some-new-model', usage), null);
+assert.equal(computeCostUsd('local', 'qwen2.5-7b-instruct', usage), 0);
+
+console.log('llm-provider test passed');
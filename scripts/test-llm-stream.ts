@@ -0,0 +1,51 @@
+import assert from 'assert';
+import { DiscordStreamer, splitDiscordMessage } from '../src/services/llmStream.js';
+
+// Splitting prefers paragraph/line/word boundaries and never exceeds the limit
+const paragraphs = Array.from({ length: 12 }, (_, i) => `Paragraph ${i}: ${'ledger '.repeat(40).trim()}`).join('\n\n');
+const pieces = splitDiscordMessage(paragraphs);
+assert.ok(pieces.length > 1);
+assert.ok(pieces.every(p => p.length <= 2000));
+assert.ok(pieces.every(p => p.startsWith('Paragraph')));
+assert.equal(pieces.join('\n\n'), paragraphs);
+assert.deepEqual(splitDiscordMessage('short'), ['short']);
+assert.deepEqual(splitDiscordMessage('x'.repeat(4500)).map(p => p.length), [2000, 2000, 500]);
+
+// Streamer: throttled, serialized edits; overflow continues in a new message
+const log: string[] = [];
+const shown: string[] = [];
+const target = {
+  start: async (content: string) => { log.push('start'); shown.push(content); return { id: 0 }; },
+  continue: async (content: string) => { log.push('continue'); shown.push(content); return { id: shown.length - 1 }; },
+  edit: async (_message: unknown, content: string, index: number) => { log.push(`edit${index}`); shown[index] = content; },
+  remove: async (_message: unknown, index: number) => { log.push(`remove${index}`); shown.splice(index, 1); },
+};
+const streamer = new DiscordStreamer(target, { intervalMs: 50 });
+
+let text = '';
+for (let i = 0; i < 300; i++) {
+  text += 'hedge the naps ';
+  streamer.update(text);
+  if (i % 50 === 0) await new Promise(r => setTimeout(r, 60));
+}
+const messages = await streamer.finish(text.trim());
+
+assert.equal(messages.length, 3);
+assert.ok(log.length < 40, `expected coalesced updates, got ${log.length}`);
+assert.equal(log[0], 'start');
+assert.ok(log.includes('continue'));
+// Final messages hold exactly the answer, without the typing cursor
+assert.deepEqual(shown, splitDiscordMessage(text.trim(), 2000 - ' ▌'.length));
+
+// A final answer shorter than the draft deletes the overflow messages
+log.length = 0;
+shown.length = 0;
+const shrinking = new DiscordStreamer(target, { intervalMs: 0 });
+shrinking.update('draft '.repeat(700));
+await new Promise(r => setTimeout(r, 20));
+assert.equal(shown.length, 3);
+assert.deepEqual(await shrinking.finish('Short answer.'), [{ id: 0 }]);
+assert.deepEqual(shown, ['Short answer.']);
+assert.deepEqual(log.slice(-3), ['edit0', 'remove2', 'remove1']);
+
+console.log('llm-stream test passed');
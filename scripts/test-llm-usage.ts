@@ -0,0 +1,43 @@
+import assert from 'assert';
+import { totalUsage } from '../llm-usage.js';
+import { buildMarginRows } from '../analytics.js';
+
+// Per-query totals from the calls collected in a usage context
+const totals = totalUsage([
+  { usage: { promptTokens: 1200, completionTokens: 300 }, costUsd: 0.00036 },
+  { usage: { promptTokens: 800, completionTokens: 0 }, costUsd: null }, // unpriced model: tokens only
+  { usage: { promptTokens: 100, completionTokens: 50 }, costUsd: 0.0000450 }
+]);
+assert.deepEqual(totals, { calls: 3, promptTokens: 2100, completionTokens: 350, totalTokens: 2450, costUsd: '0.00040500' });
+assert.deepEqual(totalUsage([]), { calls: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0, costUsd: '0.00000000' });
+
+// Margin merges billed queries with LLM spend nobody paid for
+const rows = buildMarginRows(
+  [
+    { key: 'hero', queries: '10', revenueUsd: '0.50', llmCostUsd: '0.02', overheadUsd: '0.001' },
+    { key: 'fve', queries: '2', revenueUsd: '0.10', llmCostUsd: '0.15', overheadUsd: '0.0002' }
+  ],
+  [
+    { key: 'hero', calls: '3', llmCostUsd: '0.01' },
+    { key: 'persona_chat', calls: '40', llmCostUsd: '0.08' }
+  ]
+);
+const byKey = Object.fromEntries(rows.map(r => [r.key, r]));
+
+assert.equal(byKey.hero.llmCostUsd, '0.030000');
+assert.equal(byKey.hero.costUsd, '0.031000');
+assert.equal(byKey.hero.profitUsd, '0.469000');
+assert.equal(byKey.hero.marginPct, '93.80');
+assert.equal(byKey.hero.unbilledCalls, 3);
+assert.equal(byKey.hero.losing, false);
+
+// Costs more in tokens than it earns
+assert.equal(byKey.fve.losing, true);
+assert.equal(byKey.fve.profitUsd, '-0.050200');
+
+// Free chat has cost but no revenue: losing, no margin percentage
+assert.equal(byKey.persona_chat.queries, 0);
+assert.equal(byKey.persona_chat.marginPct, null);
+assert.equal(byKey.persona_chat.losing, true);
+
+console.log('llm-usage test passed');
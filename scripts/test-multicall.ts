@@ -0,0 +1,185 @@
+import assert from 'assert';
+import http from 'http';
+import type { AddressInfo } from 'net';
+import { ethers } from 'ethers';
+
+// A local DFK node: Multicall3 plus a PetCore with a few equipped pets
+const MULTICALL3 = '0xcA11bde05977b3631167028862bE2a173976CA11';
+const PETCORE = '0x1990F87d6BC9D9385917E3EDa0A7674411C3Cd7F';
+const PET_TUPLE = 'tuple(uint256 id, uint8 originId, string name, uint8 season, uint8 eggType, uint8 rarity, uint8 element, uint8 bonusCount, uint8 profBonus, uint8 profBonusScalar, uint8 craftBonus, uint8 craftBonusScalar, uint8 combatBonus, uint8 combatBonusScalar, uint16 appearance, uint8 background, uint8 shiny, uint64 hungryAt, uint64 equippableAt, uint256 equippedTo, address fedBy, uint8 foodType)';
+
+const multicallIface = new ethers.Interface([
+  'function tryAggregate(bool requireSuccess, tuple(address target, bytes callData)[] calls) view returns (tuple(bool success, bytes returnData)[])',
+]);
+const petIface = new ethers.Interface([
+  `function getPetV2(uint256 petId) view returns (${PET_TUPLE})`,
+  'function heroToPet(uint256 heroId) view returns (uint256)',
+]);
+
+const HERO_TO_PET: Record<number, number> = { 101: 9001, 102: 9002, 103: 0, 104: 9001, 105: 9666 };
+const FAR_FUTURE = 4102444800; // 2100-01-01
+
+function petTuple(id: number, eggType: number, profBonus: number, scalar: number) {
+  return [
+    id, 0, `Pet ${id}`, 1, eggType, 2, 3, 1, profBonus, scalar, 0, 0, 139, 15, 7, 2, 0,
+    FAR_FUTURE, 0, 0, ethers.ZeroAddress, 0,
+  ];
+}
+const PETS: Record<number, any[]> = {
+  9001: petTuple(9001, 1, 80, 30),
+  9002: petTuple(9002, 2, 171, 20),
+};
+
+const rpc = { methods: [] as string[], aggregateSizes: [] as number[], failAggregates: 0 };
+
+function revert() {
+  return { error: { code: 3, message: 'execution reverted', data: '0x' } };
+}
+
+function callPetCore(data: string): { ok: boolean; returnData: string } {
+  const parsed = petIface.parseTransaction({ data })!;
+  if (parsed.name === 'heroToPet') {
+    const heroId = Number(parsed.args[0]);
+    if (heroId === 666) return { ok: false, returnData: '0x' };
+    return { ok: true, returnData: petIface.encodeFunctionResult('heroToPet', [HERO_TO_PET[heroId] ?? 0]) };
+  }
+  const pet = PETS[Number(parsed.args[0])];
+  if (!pet) return { ok: false, returnData: '0x' };
+  return { ok: true, returnData: petIface.encodeFunctionResult('getPetV2', [pet]) };
+}
+
+function handle(request: any) {
+  rpc.methods.push(request.method);
+  if (request.method !== 'eth_call') return { result: '0x1' };
+  const { to, data } = request.params[0];
+  if (to.toLowerCase() === MULTICALL3.toLowerCase()) {
+    const [, calls] = multicallIface.decodeFunctionData('tryAggregate', data);
+    rpc.aggregateSizes.push(calls.length);
+    if (rpc.failAggregates > 0) {
+      rpc.failAggregates--;
+      return { error: { code: -32000, message: 'out of gas' } };
+    }
+    const results = calls.map((c: any) => {
+      const { ok, returnData } = callPetCore(c.callData);
+      return [ok, returnData];
+    });
+    return { result: multicallIface.encodeFunctionResult('tryAggregate', [results]) };
+  }
+  const { ok, returnData } = callPetCore(data);
+  return ok ? { result: returnData } : revert();
+}
+
+const server = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    const request = JSON.parse(body);
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify({ jsonrpc: '2.0', id: request.id, ...handle(request) }));
+  });
+});
+await new Promise<void>(resolve => server.listen(0, '127.0.0.1', resolve));
+process.env.DFK_RPC_URLS = `http://127.0.0.1:${(server.address() as AddressInfo).port}`;
+
+const { MulticallBatcher, batchCall, batched, getMulticallBatcher } = await import('../src/services/multicall.js');
+const { getChainProvider } = await import('../src/services/rpcProviderRegistry.js');
+const petData = await import('../pet-data.js');
+
+const petContract = new ethers.Contract(PETCORE, petIface, getChainProvider('dfk'));
+const reset = () => {
+  rpc.methods = [];
+  rpc.aggregateSizes = [];
+};
+
+// ----------------------------------------------------------------------------
+// Batching: reads issued in the same tick share one eth_call
+// ----------------------------------------------------------------------------
+
+reset();
+const pets = batched(petContract);
+const petIds = await Promise.all([101, 102, 103, 104].map(h => pets.heroToPet(h)));
+assert.deepEqual(petIds, [9001n, 9002n, 0n, 9001n]);
+assert.deepEqual(rpc.methods, ['eth_call']);
+assert.deepEqual(rpc.aggregateSizes, [4]);
+
+// Decoding matches a plain contract call
+const direct = await petContract.getPetV2(9002);
+const viaBatch = await batchCall(petContract, 'getPetV2', [9002]);
+assert.deepEqual(viaBatch.toObject(), direct.toObject());
+
+// A lone read skips the Multicall3 wrapper
+reset();
+assert.equal(await pets.heroToPet(102), 9002n);
+assert.deepEqual(rpc.aggregateSizes, []);
+
+// Different block tags are separate batches; large batches are chunked
+reset();
+const small = new MulticallBatcher(getChainProvider('dfk'), { maxBatchSize: 2, label: 'test' });
+const call = (heroId: number) => petIface.encodeFunctionData('heroToPet', [heroId]);
+await Promise.all([
+  small.enqueue(PETCORE, call(101), 'latest'),
+  small.enqueue(PETCORE, call(102), 'latest'),
+  small.enqueue(PETCORE, call(104), 'latest'),
+  small.enqueue(PETCORE, call(101), 12345),
+  small.enqueue(PETCORE, call(102), 12345),
+]);
+assert.deepEqual(rpc.aggregateSizes, [2, 2]);
+assert.equal(rpc.methods.length, 3, 'the single leftover call goes out directly');
+assert.equal(small.stats.calls, 4);
+
+// ----------------------------------------------------------------------------
+// Failure isolation: one reverting read rejects alone
+// ----------------------------------------------------------------------------
+
+reset();
+const mixed = await Promise.allSettled([
+  pets.heroToPet(101),
+  pets.heroToPet(666),
+  pets.getPetV2(9002),
+  pets.getPetV2(12345),
+]);
+assert.deepEqual(mixed.map(r => r.status), ['fulfilled', 'rejected', 'fulfilled', 'rejected']);
+assert.equal((mixed[0] as any).value, 9001n);
+assert.equal((mixed[2] as any).value.name, 'Pet 9002');
+assert.equal((mixed[1] as any).reason.code, 'CALL_EXCEPTION');
+assert.deepEqual(rpc.aggregateSizes, [4]);
+
+// The aggregate itself failing falls back to individual calls, still isolated
+reset();
+rpc.failAggregates = 1;
+const fallbacksBefore = getMulticallBatcher('dfk').stats.fallbacks;
+const fallback = await Promise.allSettled([pets.heroToPet(101), pets.heroToPet(666), pets.heroToPet(102)]);
+assert.deepEqual(fallback.map(r => r.status), ['fulfilled', 'rejected', 'fulfilled']);
+assert.equal(getMulticallBatcher('dfk').stats.fallbacks, fallbacksBefore + 1);
+assert.deepEqual(rpc.aggregateSizes, [3]);
+assert.equal(rpc.methods.length, 4, 'one failed aggregate plus three individual calls');
+
+// ----------------------------------------------------------------------------
+// pet-data: batched fetchPetsForHeroes matches the per-pet path it replaced
+// ----------------------------------------------------------------------------
+
+const heroIds = ['1000000000101', 102, 103, '104', 105];
+
+// Pre-multicall implementation: fetchPetForHero per hero, de-duplicated by pet ID
+async function fetchPetsForHeroesPerPet(ids: Array<string | number>) {
+  const results = await Promise.all(ids.map(id => petData.fetchPetForHero(id)));
+  const seen = new Set();
+  return results.filter(pet => pet && !seen.has(pet.id) && seen.add(pet.id));
+}
+
+reset();
+const expected = await fetchPetsForHeroesPerPet(heroIds);
+const perPetCalls = rpc.methods.length;
+reset();
+const actual = await petData.fetchPetsForHeroes(heroIds);
+
+assert.deepEqual(actual, expected);
+assert.deepEqual(actual.map((p: any) => [p.id, p.equippedTo]), [['9001', '1000000000101'], ['9002', '102']]);
+assert.equal(actual[0].gatheringType, 'Foraging');
+// Hero 105's pet does not exist: dropped on both paths without failing the others
+assert.ok(rpc.methods.length < perPetCalls);
+assert.deepEqual(rpc.aggregateSizes, [5, 3]);
+
+server.close();
+console.log('multicall test passed');
+process.exit(0);
@@ -0,0 +1,108 @@
+import assert from 'assert';
+import {
+  traitGenotypeDistribution,
+  normalizeConditions,
+  parseConditionQuery,
+  jointProbability,
+  describeCondition,
+} from '../offspring-distribution.js';
+import { calculateSummoningProbabilities } from '../summoning-engine.js';
+
+function genes(dominant: string, r1 = dominant, r2 = dominant, r3 = dominant) {
+  return { dominant, R1: r1, R2: r2, R3: r3 };
+}
+
+function genetics(mainClass: ReturnType<typeof genes>, extra: Record<string, any> = {}) {
+  return {
+    mainClass,
+    subClass: genes('Warrior', 'Knight', 'Archer', 'Priest'),
+    profession: genes('Mining', 'Gardening', 'Fishing', 'Foraging'),
+    active1: genes('Heal', 'Poisoned Blade', 'Stun', 'Daze'),
+    active2: genes('Exhaust', 'Heal', 'Blinding Winds', 'Speed'),
+    passive1: genes('Duelist', 'Foresight', 'Clutch', 'Headstrong'),
+    passive2: genes('Foresight', 'Duelist', 'Fearless', 'Chatterbox'),
+    ...extra,
+  };
+}
+
+const near = (a: number, b: number, eps = 1e-9) => Math.abs(a - b) < eps;
+
+const p1 = genetics(genes('DarkKnight', 'Thief', 'Warrior', 'Priest'));
+const p2 = genetics(genes('Thief', 'Paladin', 'Knight', 'DarkKnight'), {
+  profession: genes('Gardening', 'Mining', 'Mining', 'Fishing'),
+  active1: genes('Stun', 'Heal', 'Speed', 'Poisoned Blade'),
+});
+
+// Distributions are proper and their dominant marginals match the engine
+const classDist = traitGenotypeDistribution(
+  [p1.mainClass.dominant, p1.mainClass.R1, p1.mainClass.R2, p1.mainClass.R3],
+  [p2.mainClass.dominant, p2.mainClass.R1, p2.mainClass.R2, p2.mainClass.R3],
+  'class'
+);
+assert.ok(near(classDist.reduce((s, e) => s + e.p, 0), 1));
+
+const engine = calculateSummoningProbabilities(p1, p2, 'Common', 'Common', { skipVisuals: true });
+for (const [trait, value] of [['class', 'DarkKnight'], ['class', 'Thief'], ['profession', 'Gardening'], ['active1', 'Heal'], ['passive2', 'Duelist']]) {
+  const exact = jointProbability(p1, p2, [{ trait, value }]);
+  assert.equal(exact.method, 'exact');
+  // Engine percentages are rounded to 2 decimals
+  assert.ok(Math.abs(exact.probability * 100 - (engine[trait][value] ?? 0)) < 0.01, `${trait}=${value}`);
+}
+
+// Slots within a trait are correlated: a Thief in D cannot also be the R1 Thief
+const thief = jointProbability(p1, p2, 'class=Thief & class.R1=Thief');
+assert.ok(thief.probability < thief.independentProduct);
+assert.ok(thief.probability > 0);
+
+// Different traits are independent, so the joint equals the product
+const crossTrait = jointProbability(p1, p2, 'class=DarkKnight & profession=Gardening & active1=Heal');
+assert.ok(near(crossTrait.probability, crossTrait.independentProduct));
+assert.equal(crossTrait.marginals.length, 3);
+
+// Negation and "anywhere" slots complement each other
+const anyMining = jointProbability(p1, p2, 'profession.any=Mining').probability;
+const noMining = jointProbability(p1, p2, 'profession.any!=Mining').probability;
+assert.ok(near(anyMining + noMining, 1));
+
+// Either-slot conditions: P(Heal in active1 or active2) = 1 - P(neither)
+const either = jointProbability(p1, p2, 'active1|active2=Heal').probability;
+const a1 = jointProbability(p1, p2, 'active1=Heal').probability;
+const a2 = jointProbability(p1, p2, 'active2=Heal').probability;
+assert.ok(near(either, 1 - (1 - a1) * (1 - a2)));
+
+// Monte Carlo agrees with the exact answer
+const query = 'class=DarkKnight & class.R1=Thief & active1|active2=Heal';
+const exact = jointProbability(p1, p2, query, { method: 'exact' });
+const mc = jointProbability(p1, p2, query, { method: 'monteCarlo', samples: 100000, seed: 7 });
+assert.equal(mc.method, 'monteCarlo');
+assert.equal(mc.samples, 100000);
+assert.ok(Math.abs(mc.probability - exact.probability) < 4 * mc.standardError + 1e-3);
+assert.deepEqual(
+  jointProbability(p1, p2, query, { method: 'monteCarlo', samples: 5000, seed: 3 }).probability,
+  jointProbability(p1, p2, query, { method: 'monteCarlo', samples: 5000, seed: 3 }).probability
+);
+
+// Parsing and validation
+const parsed = parseConditionQuery('class=DarkKnight and profession.any=Gardening,Fishing ; class.R1!=Warrior');
+assert.deepEqual(parsed[1], { trait: 'profession', slot: 'any', values: ['Gardening', 'Fishing'], not: false });
+assert.equal(parsed[2].not, true);
+const normalized = normalizeConditions(parsed);
+assert.equal(normalized[0].slot, 'dominant');
+assert.equal(normalized[2].slot, 'R1');
+assert.equal(describeCondition(normalized[2]), 'class.R1 ≠ Warrior');
+assert.equal(describeCondition(normalizeConditions(parseConditionQuery('active1|active2.any=Heal'))[0]), 'active1|active2.any = Heal');
+assert.throws(() => parseConditionQuery(''), /empty/);
+assert.throws(() => parseConditionQuery('class DarkKnight'), /Cannot parse/);
+assert.throws(() => jointProbability(p1, p2, 'wings=3'), /unknown trait/);
+assert.throws(() => jointProbability(p1, p2, 'class.R4=Thief'), /unknown slot/);
+assert.throws(() => jointProbability(p1, p2, 'class=Thief', { method: 'guess' }), /Unknown method/);
+assert.throws(() => jointProbability(p1, p2, 'hairStyle=1'), /missing hairStyle/);
+
+// A condition over all four skill traits is too large to enumerate: exact refuses, auto samples
+const allSkills = [{ trait: ['active1', 'active2', 'passive1', 'passive2'], slot: 'any', values: ['Stun'], not: true }];
+assert.throws(() => jointProbability(p1, p2, allSkills, { method: 'exact' }), /too many/);
+const fallback = jointProbability(p1, p2, allSkills, { samples: 2000 });
+assert.equal(fallback.method, 'monteCarlo');
+assert.ok(fallback.probability > 0 && fallback.probability < 1);
+
+console.log('offspring distribution tests passed');
@@ -0,0 +1,170 @@
+import assert from 'assert';
+import { sql, eq } from 'drizzle-orm';
+import {
+  PAYMENT_JOB_STATES, REQUIRED_CONFIRMATIONS, countConfirmations, isInPaymentWindow, nextPaymentState,
+  syncPaymentJobs, getOpenJobs, getJobForOptimization, claimTransfer, updateConfirmations, creditJob, listPaymentJobConflicts,
+} from '../payment-jobs.js';
+import { transferRef, getLedgerBalance } from '../jewel-ledger.js';
+import { db } from '../server/db.js';
+import { players, verifiedWallets, gardenOptimizations } from '../shared/schema.ts';
+import { pushSchema } from './push-schema.ts';
+
+// Confirmations count the transfer's own block
+assert.equal(countConfirmations(100, 100), 1);
+assert.equal(countConfirmations(100, 105), 6);
+assert.equal(countConfirmations(100, 99), 0); // RPC node behind RouteScan
+assert.equal(countConfirmations(null, 105), 0);
+
+// Payment window: requested → expiry, with a little slack for clock skew
+const job = {
+  state: PAYMENT_JOB_STATES.PENDING,
+  requestedAt: new Date('2026-03-01T10:00:00Z'),
+  expiresAt: new Date('2026-03-01T12:00:00Z'),
+};
+assert.ok(isInPaymentWindow({ timestamp: new Date('2026-03-01T11:00:00Z') }, job));
+assert.ok(isInPaymentWindow({ timestamp: new Date('2026-03-01T09:58:00Z') }, job));
+assert.ok(!isInPaymentWindow({ timestamp: new Date('2026-03-01T09:00:00Z') }, job)); // an older payment can't be reused
+assert.ok(!isInPaymentWindow({ timestamp: new Date('2026-03-01T12:00:01Z') }, job));
+
+// Transitions
+const during = new Date('2026-03-01T11:00:00Z');
+const after = new Date('2026-03-01T13:00:00Z');
+assert.equal(nextPaymentState(job, { now: during }), null);
+assert.equal(nextPaymentState(job, { now: after }), PAYMENT_JOB_STATES.EXPIRED);
+
+const seen = { ...job, state: PAYMENT_JOB_STATES.SEEN };
+assert.equal(nextPaymentState(seen, { now: after, confirmations: 5, requiredConfirmations: 6 }), null); // seen jobs never expire
+assert.equal(nextPaymentState(seen, { now: during, confirmations: 6, requiredConfirmations: 6 }), PAYMENT_JOB_STATES.CONFIRMED);
+assert.equal(nextPaymentState({ ...job, state: PAYMENT_JOB_STATES.CONFIRMED }, { now: after }), PAYMENT_JOB_STATES.CREDITED);
+assert.equal(nextPaymentState({ ...job, state: PAYMENT_JOB_STATES.CREDITED }, { now: after }), null);
+assert.equal(nextPaymentState({ ...job, state: PAYMENT_JOB_STATES.EXPIRED }, { now: after }), null);
+
+// Ledger keys: native transfers by hash, token transfers by hash and log index
+assert.equal(transferRef('0xABC'), '0xabc');
+assert.equal(transferRef('0xABC', null), '0xabc');
+assert.equal(transferRef('0xABC', 0), '0xabc:0');
+assert.equal(transferRef('0xABC', 7), '0xabc:7');
+
+// ----------------------------------------------------------------------------
+// Claim, credit and restart recovery (runs against DATABASE_URL; RouteScan is stubbed)
+// ----------------------------------------------------------------------------
+
+process.env.DFK_RPC_URLS = 'http://127.0.0.1:9';
+const { processIncomingTransfers } = await import('../wallet-deposits.js');
+const { recoverPaymentJobs, verifyRecentPayment, verifyTransactionHash } = await import('../transaction-monitor-v2.js');
+
+await pushSchema();
+const WALLET = '0x00000000000000000000000000000000000a11ce';
+const BOB_WALLET = '0x00000000000000000000000000000000000b0b00';
+const [alice] = await db.insert(players).values({ discordId: 'd-1', discordUsername: 'alice' }).returning();
+const [bob] = await db.insert(players).values({ discordId: 'd-2', discordUsername: 'bob' }).returning();
+await db.insert(verifiedWallets).values([
+  { playerId: alice.id, address: WALLET, signature: '0xsig', message: 'link', verifiedAt: new Date(Date.now() - 3600_000) },
+  { playerId: bob.id, address: BOB_WALLET, signature: '0xsig', message: 'link', verifiedAt: new Date(Date.now() - 3600_000) },
+]);
+
+// Ledger tables are created before any transaction posts to them: the test database has one connection
+await getLedgerBalance(alice.id);
+
+let transferCount = 0;
+function hedgeTransfer(from: string) {
+  transferCount++;
+  return {
+    hash: '0x' + String(transferCount).padStart(64, '0'), logIndex: null, from, to: '0x498BC270C4215Ca62D9023a3D97c5CAdCD7c99e1',
+    token: 'JEWEL', amount: '25', amountJewel: '25', blockNumber: 1000 + transferCount, timestamp: new Date(), chain: 'DFK Chain',
+  };
+}
+function createOptimization(playerId: number, fromWallet: string) {
+  return db.insert(gardenOptimizations).values({
+    playerId, status: 'awaiting_payment', expiresAt: new Date(Date.now() + 3600_000), expectedAmountJewel: '25', fromWallet,
+  }).returning().then(([row]) => row);
+}
+async function confirmedJob(playerId: number, fromWallet: string, transfer: object) {
+  const optimization = await createOptimization(playerId, fromWallet);
+  await syncPaymentJobs();
+  const claimed = await claimTransfer(await getJobForOptimization(optimization.id), transfer);
+  assert.equal(claimed.state, PAYMENT_JOB_STATES.SEEN);
+  assert.equal((await updateConfirmations(claimed, REQUIRED_CONFIRMATIONS - 1)).state, PAYMENT_JOB_STATES.SEEN);
+  return updateConfirmations(claimed, REQUIRED_CONFIRMATIONS);
+}
+const depositsFor = (transfer: any) => db.execute(sql`
+  SELECT player_id FROM ledger_entries WHERE entry_type = 'deposit' AND external_ref = ${transferRef(transfer.hash, transfer.logIndex)}
+`) as Promise<any[]>;
+const optimizationOf = async (jobRow: any) =>
+  (await db.select().from(gardenOptimizations).where(eq(gardenOptimizations.id, jobRow.optimizationId)))[0];
+
+// Claimed, confirmed, then credited twice and raced against the deposit sweep
+// (which credits linked wallets): one deposit, one credited job
+const paid = hedgeTransfer(WALLET);
+const paidJob = await confirmedJob(alice.id, WALLET, paid);
+assert.equal(paidJob.state, PAYMENT_JOB_STATES.CONFIRMED);
+
+const [first, second] = await Promise.all([
+  creditJob(paidJob),
+  creditJob(paidJob),
+  processIncomingTransfers([paid], { jobWallets: [] }),
+]);
+assert.equal([first, second].filter(result => result.credited).length, 1);
+assert.deepEqual((await depositsFor(paid)).map(row => row.player_id), [alice.id]);
+assert.equal((await getLedgerBalance(alice.id)).balanceJewel, '25.000000000000000000');
+assert.equal((await getJobForOptimization(paidJob.optimizationId)).state, PAYMENT_JOB_STATES.CREDITED);
+assert.equal((await optimizationOf(paidJob)).status, 'payment_verified');
+assert.equal((await creditJob(paidJob)).credited, false);
+
+// The same transfer can't pay for a second job
+const reused = await createOptimization(alice.id, WALLET);
+await syncPaymentJobs();
+assert.equal(await claimTransfer(await getJobForOptimization(reused.id), paid), null);
+
+// Already credited to another player (Bob linked the sending wallet): the job
+// parks in conflict for an admin instead of failing every poll
+const contested = hedgeTransfer(BOB_WALLET);
+const contestedJob = await confirmedJob(alice.id, BOB_WALLET, contested);
+assert.equal((await processIncomingTransfers([contested])).credited, 1);
+const conflict = await creditJob(contestedJob);
+assert.equal(conflict.credited, false);
+assert.equal(conflict.conflict, true);
+assert.equal(conflict.job.state, PAYMENT_JOB_STATES.CONFLICT);
+assert.match(conflict.job.conflictReason, new RegExp(`already credited to player #${bob.id}`));
+assert.equal((await optimizationOf(contestedJob)).status, 'failed');
+assert.match((await optimizationOf(contestedJob)).errorMessage, /waiting for admin review/);
+assert.ok(!(await getOpenJobs()).some(open => open.id === contestedJob.id));
+assert.deepEqual((await listPaymentJobConflicts()).map(row => row.id), [contestedJob.id]);
+assert.equal((await creditJob(contestedJob)).conflict, true);
+assert.deepEqual((await depositsFor(contested)).map(row => row.player_id), [bob.id]);
+assert.equal((await getLedgerBalance(alice.id)).balanceJewel, '25.000000000000000000');
+
+// Checking on a conflicted payment says it is held for review, never "send it again"
+const heldFor = new RegExp(`held for admin review: .*already credited to player #${bob.id}`);
+const recent = await verifyRecentPayment(contestedJob.optimizationId);
+assert.equal(recent.conflict, true);
+assert.match(recent.message, heldFor);
+const byHash = await verifyTransactionHash(contested.hash, contestedJob.optimizationId);
+assert.equal(byHash.conflict, true);
+assert.equal(byHash.pending, undefined);
+assert.match(byHash.error, heldFor);
+
+// Same when the conflict is found while verifying the hash
+const raced = hedgeTransfer(BOB_WALLET);
+const racedJob = await confirmedJob(alice.id, BOB_WALLET, raced);
+assert.equal((await processIncomingTransfers([raced])).credited, 1);
+const racedResult = await verifyTransactionHash(raced.hash, racedJob.optimizationId);
+assert.equal(racedResult.conflict, true);
+assert.match(racedResult.error, heldFor);
+assert.equal((await getJobForOptimization(racedJob.optimizationId)).state, PAYMENT_JOB_STATES.CONFLICT);
+
+// Restart: a job confirmed before the crash is credited on startup, and an
+// optimization created while the bot was down gets its job (nothing paid yet)
+const crashed = hedgeTransfer(WALLET);
+const crashedJob = await confirmedJob(alice.id, WALLET, crashed);
+await createOptimization(alice.id, WALLET);
+globalThis.fetch = (async () => new Response(JSON.stringify({ items: [] }))) as typeof fetch;
+
+assert.deepEqual(await recoverPaymentJobs(), { pending: 2, credited: 1 });
+assert.equal((await getJobForOptimization(crashedJob.optimizationId)).state, PAYMENT_JOB_STATES.CREDITED);
+assert.deepEqual(await recoverPaymentJobs(), { pending: 2 });
+assert.equal((await depositsFor(crashed)).length, 1);
+assert.equal((await getLedgerBalance(alice.id)).balanceJewel, '50.000000000000000000');
+
+console.log('payment-jobs test passed');
+process.exit(0);
@@ -0,0 +1,26 @@
+import assert from 'assert';
+import { convertToJewel, findErc20Token, priceTransfer, PAYMENT_TOKENS } from '../payment-tokens.js';
+
+// JEWEL-equivalent = token amount × (token USD / JEWEL USD)
+assert.deepEqual(convertToJewel('100', 0.02, 0.1), { amountJewel: '20', rate: '0.2' });
+assert.equal(convertToJewel('5', '1', '0.08').amountJewel, '62.5');
+// Rounded down to 18 decimals so a credit never exceeds what was sent
+assert.equal(convertToJewel('1', '1', '3').amountJewel, '0.333333333333333333');
+assert.throws(() => convertToJewel('1', 0, 0.1), /positive prices/);
+assert.throws(() => convertToJewel('1', 1, 0), /positive prices/);
+
+// Only registered ERC-20s on their own chain are accepted
+const crystal = PAYMENT_TOKENS.find(t => t.symbol === 'CRYSTAL')!;
+assert.equal(findErc20Token(53935, crystal.address.toLowerCase())?.symbol, 'CRYSTAL');
+assert.equal(findErc20Token(1088, crystal.address), null);
+assert.equal(findErc20Token(53935, '0x0000000000000000000000000000000000000001'), null);
+
+// JEWEL is credited 1:1 with no conversion record
+const jewel = await priceTransfer({ hash: '0x1', token: 'JEWEL', chain: 'Metis Andromeda', amount: '12.5', timestamp: new Date() });
+assert.equal(jewel?.amountJewel, '12.5');
+assert.equal(jewel?.conversion, null);
+
+// Tokens Hedge doesn't accept can't be priced
+assert.equal(await priceTransfer({ hash: '0x2', token: 'DOGE', chain: 'DFK Chain', amount: '1', timestamp: new Date() }), null);
+
+console.log('payment-tokens test passed');
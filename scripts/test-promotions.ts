@@ -0,0 +1,44 @@
+import assert from 'assert';
+import { checkPromoEligibility, referralCodeFor, parseReferralCode } from '../promotions.js';
+
+const now = new Date('2026-03-01T00:00:00Z');
+const promo = {
+  code: 'SPRING',
+  enabled: true,
+  startsAt: new Date('2026-02-01T00:00:00Z'),
+  expiresAt: new Date('2026-04-01T00:00:00Z'),
+  maxRedemptions: 100,
+  redemptionCount: 10,
+  perUserLimit: 1,
+  targetTiers: null
+};
+const context = { now, playerTier: 'free', groupRedemptions: 0 };
+
+assert.deepEqual(checkPromoEligibility(promo, context), { ok: true });
+assert.equal(checkPromoEligibility(null, context).ok, false);
+assert.equal(checkPromoEligibility({ ...promo, enabled: false }, context).ok, false);
+
+// Redemption window
+assert.match(checkPromoEligibility(promo, { ...context, now: new Date('2026-01-15T00:00:00Z') }).reason!, /isn't active yet/);
+assert.match(checkPromoEligibility(promo, { ...context, now: new Date('2026-04-01T00:00:00Z') }).reason!, /expired/);
+
+// Global and per-user caps (per-user counts linked accounts too)
+assert.match(checkPromoEligibility({ ...promo, redemptionCount: 100 }, context).reason!, /fully redeemed/);
+assert.equal(checkPromoEligibility({ ...promo, maxRedemptions: null, redemptionCount: 5000 }, context).ok, true);
+assert.match(checkPromoEligibility(promo, { ...context, groupRedemptions: 1 }).reason!, /already redeemed/);
+assert.equal(checkPromoEligibility({ ...promo, perUserLimit: 3 }, { ...context, groupRedemptions: 2 }).ok, true);
+
+// Tier targeting (e.g. trials only for free players)
+const freeOnly = { ...promo, targetTiers: ['free'] };
+assert.equal(checkPromoEligibility(freeOnly, context).ok, true);
+assert.match(checkPromoEligibility(freeOnly, { ...context, playerTier: 'premium' }).reason!, /only for free players/);
+
+// Referral codes round-trip and reject anything else
+assert.equal(referralCodeFor(42), 'REF-16');
+assert.equal(parseReferralCode('ref-16'), 42);
+assert.equal(parseReferralCode(referralCodeFor(123456)), 123456);
+assert.equal(parseReferralCode('SPRING'), null);
+assert.equal(parseReferralCode('REF-'), null);
+assert.equal(parseReferralCode('REF-0'), null);
+
+console.log('promotions test passed');
@@ -0,0 +1,209 @@
+import assert from 'assert';
+import { sql, eq } from 'drizzle-orm';
+
+// The JEWEL price for query_costs comes from the chain; with nothing listening it
+// fails fast and the middleware falls back to its default price
+process.env.DFK_RPC_URLS = 'http://127.0.0.1:9';
+
+const { db } = await import('../server/db.js');
+const { players, pricingConfig, gardenOptimizations } = await import('../shared/schema.ts');
+const { recordDeposit, recordQueryCharge, getLedgerBalance } = await import('../jewel-ledger.js');
+const { issueRefund, initializeRefundNotifier } = await import('../refund-policy.js');
+const { executeWithBalanceCheck } = await import('../balance-middleware.js');
+const { processOptimization, initializeProcessor } = await import('../optimization-processor.js');
+const { ScriptedProvider, setProviderOverride, chat } = await import('../src/services/llmProvider.js');
+const { getMarginAnalytics } = await import('../analytics.js');
+const { updateSpendSettings } = await import('../spend-controls.js');
+const { pushSchema } = await import('./push-schema.ts');
+
+// Runs against DATABASE_URL: refunds are posted through the real ledger. Only the
+// chain reads of the garden processor (wallet analysis, pool cache) are stubbed.
+await pushSchema();
+await db.insert(pricingConfig).values({ configKey: 'modifiers', configValue: { peak_hours: [] } });
+
+const dms: Array<{ discordId: string; text: string }> = [];
+const discord = {
+  users: { fetch: async (discordId: string) => ({ send: async (text: string) => { dms.push({ discordId, text }); } }) },
+};
+initializeRefundNotifier(discord);
+initializeProcessor(discord);
+
+const balanceOf = async (playerId: number) => (await getLedgerBalance(playerId)).balanceJewel;
+const refundsFor = (ref: string) => db.execute(sql`
+  SELECT e.metadata, p.amount_jewel FROM ledger_entries e
+  JOIN ledger_postings p ON p.entry_id = e.id AND p.direction = 'credit' AND p.account LIKE 'player:%'
+  WHERE e.entry_type = 'refund' AND e.external_ref = ${ref}
+`) as Promise<any[]>;
+
+// ----------------------------------------------------------------------------
+// issueRefund: one refund per charge, keyed by externalRef
+// ----------------------------------------------------------------------------
+
+const [player] = await db.insert(players).values({ discordId: 'd-300', discordUsername: 'refundee' }).returning();
+await recordDeposit({ playerId: player.id, amountJewel: '200', txHash: '0x' + 'c3'.repeat(32), source: 'test' });
+await recordQueryCharge({ playerId: player.id, amountJewel: '20', queryType: 'hero_lookup', externalRef: 'query:1' });
+assert.equal(await balanceOf(player.id), '180.000000000000000000');
+
+const first = await issueRefund({
+  playerId: player.id, chargedJewel: '20', outcome: 'failed', source: 'hero_lookup', externalRef: 'query:1',
+});
+assert.equal(first.refunded, true);
+assert.equal(first.refundJewel, '20');
+assert.equal(first.notified, true);
+assert.equal(await balanceOf(player.id), '200.000000000000000000');
+assert.equal(dms.length, 1);
+assert.match(dms[0].text, /Refund: 20\.00 JEWEL\*\* \(100% of your hero lookup\)/);
+
+// A retry - even one that judges the outcome differently - refunds nothing and sends no DM
+const retry = await issueRefund({
+  playerId: player.id, chargedJewel: '20', outcome: 'degraded', severity: 'major', source: 'hero_lookup', externalRef: 'query:1',
+});
+assert.equal(retry.refunded, false);
+assert.equal(retry.duplicate, true);
+assert.equal(retry.entryId, first.entryId);
+assert.equal(await balanceOf(player.id), '200.000000000000000000');
+assert.equal(dms.length, 1);
+assert.equal((await refundsFor('query:1')).length, 1);
+
+// Nothing charged, nothing posted
+const free = await issueRefund({ playerId: player.id, chargedJewel: '0', outcome: 'failed', source: 'x', externalRef: 'query:2' });
+assert.equal(free.refunded, false);
+assert.equal((await refundsFor('query:2')).length, 0);
+
+// ----------------------------------------------------------------------------
+// Balance middleware: a degraded paid result is charged, then partially refunded
+// ----------------------------------------------------------------------------
+
+const degraded = await executeWithBalanceCheck('d-300', 'get_garden_pools_premium', async () => ({
+  result: [],
+  toolsUsed: ['get_garden_pools_premium'],
+  degraded: { severity: 'major', reason: 'Garden pool data was 150 minutes old.' },
+}), { basePriceJewel: 10 });
+assert.equal(degraded.success, true);
+assert.equal(Number(degraded.cost), 10);
+assert.equal(Number(degraded.refund.refundJewel), 5);
+assert.equal(degraded.newBalance, '195.000000000000000000');
+const [queryRefund] = await refundsFor(`query_charge:${degraded.ledgerEntryId}`);
+assert.equal(queryRefund.metadata.outcome, 'degraded');
+assert.equal(queryRefund.metadata.severity, 'major');
+assert.match(dms.at(-1)!.text, /50% of your get_garden_pools_premium query/);
+
+// ----------------------------------------------------------------------------
+// Garden optimization processor: fail, timeout and stale-data paths
+// ----------------------------------------------------------------------------
+
+const [gardener] = await db.insert(players).values({ discordId: 'd-400', discordUsername: 'gardener' }).returning();
+let optimizationCount = 0;
+async function verifiedOptimization() {
+  optimizationCount++;
+  const [row] = await db.insert(gardenOptimizations).values({
+    playerId: gardener.id,
+    status: 'payment_verified',
+    expiresAt: new Date(Date.now() + 3600_000),
+    expectedAmountJewel: '25',
+    paidAmountJewel: '25',
+    fromWallet: '0x00000000000000000000000000000000000a11ce',
+    txHash: '0x' + String(optimizationCount).padStart(64, '0'),
+  }).returning();
+  return row;
+}
+
+const emptyWallet = async () => ({
+  heroes: [], pets: [], assignments: [], totalHeroes: 0, totalPets: 0, activeGardeningHeroes: 0, totalCurrentAPR: 0,
+});
+const POOL = { pid: 0, pairName: 'wJEWEL-xJEWEL', totalTVL: 1000, totalAPR: '10%', gardeningQuestAPR: { worst: '1%', best: '5%' } };
+const poolsAged = (minutes: number) => () => ({ data: [POOL], lastUpdated: Date.now() - minutes * 60_000 });
+const statusOf = async (id: number) => (await db.select().from(gardenOptimizations).where(eq(gardenOptimizations.id, id)))[0];
+
+// Each optimization deposits its 25 JEWEL payment and charges it: net zero before refunds
+// Failed: full refund, status failed
+const failing = await verifiedOptimization();
+await processOptimization(failing, { analyze: async () => { throw new Error('hero RPC down'); }, getPools: poolsAged(1) });
+assert.equal((await statusOf(failing.id)).status, 'failed');
+assert.equal((await statusOf(failing.id)).errorMessage, 'hero RPC down');
+const [failedRefund] = await refundsFor(`garden_optimization:${failing.id}`);
+assert.equal(failedRefund.metadata.outcome, 'failed');
+assert.equal(Number(failedRefund.amount_jewel), 25);
+assert.equal(await balanceOf(gardener.id), '25.000000000000000000');
+
+// Timed out: full refund, labelled timeout
+const slow = await verifiedOptimization();
+await processOptimization(slow, { analyze: () => new Promise(() => {}), getPools: poolsAged(1), timeoutMs: 50 });
+assert.match((await statusOf(slow.id)).errorMessage, /Wallet analysis timed out/);
+const [timeoutRefund] = await refundsFor(`garden_optimization:${slow.id}`);
+assert.equal(timeoutRefund.metadata.outcome, 'timeout');
+assert.equal(await balanceOf(gardener.id), '50.000000000000000000');
+
+// Fresh pool data: report delivered, charge kept
+const fresh = await verifiedOptimization();
+await processOptimization(fresh, { analyze: emptyWallet, getPools: poolsAged(5) });
+assert.equal((await statusOf(fresh.id)).status, 'completed');
+assert.equal((await refundsFor(`garden_optimization:${fresh.id}`)).length, 0);
+assert.equal(await balanceOf(gardener.id), '50.000000000000000000');
+assert.ok(dms.some(dm => dm.discordId === 'd-400' && /Payment confirmed!/.test(dm.text)));
+
+// Stale (45 min) and very stale (3 h) pool data: report delivered, 25% / 50% back
+const stale = await verifiedOptimization();
+await processOptimization(stale, { analyze: emptyWallet, getPools: poolsAged(45) });
+assert.equal((await statusOf(stale.id)).status, 'completed');
+const [minor] = await refundsFor(`garden_optimization:${stale.id}`);
+assert.equal(minor.metadata.severity, 'minor');
+assert.equal(Number(minor.amount_jewel), 6.25);
+assert.match(minor.metadata.detail, /45 minutes old/);
+
+const veryStale = await verifiedOptimization();
+await processOptimization(veryStale, { analyze: emptyWallet, getPools: poolsAged(180) });
+const [major] = await refundsFor(`garden_optimization:${veryStale.id}`);
+assert.equal(major.metadata.severity, 'major');
+assert.equal(Number(major.amount_jewel), 12.5);
+assert.equal(await balanceOf(gardener.id), '68.750000000000000000');
+
+// Processing the same row again is a no-op: no second charge or refund
+await processOptimization(veryStale, { analyze: emptyWallet, getPools: poolsAged(180) });
+assert.equal((await refundsFor(`garden_optimization:${veryStale.id}`)).length, 1);
+assert.equal(await balanceOf(gardener.id), '68.750000000000000000');
+
+// A charge past the player's daily cap is not made: failed, deposit kept, player told why
+await updateSpendSettings(gardener.id, { dailySpendCapJewel: '30' });
+const capped = await verifiedOptimization();
+let analyzed = false;
+await processOptimization(capped, { analyze: async () => { analyzed = true; return emptyWallet(); }, getPools: poolsAged(1) });
+assert.equal((await statusOf(capped.id)).status, 'failed');
+assert.match((await statusOf(capped.id)).errorMessage, /daily spend cap of 30 JEWEL/);
+assert.equal(analyzed, false);
+assert.equal((await refundsFor(`garden_optimization:${capped.id}`)).length, 0);
+assert.equal(await balanceOf(gardener.id), '93.750000000000000000');
+assert.match(dms.at(-1)!.text, /didn't run your garden optimization.*daily spend cap/);
+await updateSpendSettings(gardener.id, { dailySpendCapJewel: null });
+
+// ----------------------------------------------------------------------------
+// Margin: delivered reports are logged to query_costs under the charge's ref,
+// with the model calls made while processing (scripted here) counted against them
+// ----------------------------------------------------------------------------
+
+setProviderOverride(new ScriptedProvider());
+const summarized = await verifiedOptimization();
+await processOptimization(summarized, {
+  analyze: async (wallet: string) => {
+    await chat('persona_chat', { messages: [{ role: 'user', content: `Summarize the gardens of ${wallet}` }] });
+    return emptyWallet();
+  },
+  getPools: poolsAged(1),
+});
+setProviderOverride(null);
+
+const gardenCosts = await db.execute(sql`
+  SELECT query_ref, price_charged_jewel, tokens_used, tier FROM query_costs WHERE query_type = 'garden_optimization' ORDER BY id
+`) as any[];
+assert.deepEqual(gardenCosts.map(row => row.query_ref), [fresh, stale, veryStale, summarized].map(o => `garden_optimization:${o.id}`));
+assert.ok(gardenCosts.every(row => Number(row.price_charged_jewel) === 25 && row.tier));
+assert.equal(gardenCosts[2].tokens_used, 0);
+assert.ok(gardenCosts[3].tokens_used > 0);
+
+const margin = await getMarginAnalytics();
+const gardenMargin = margin.byQueryType.find((row: any) => row.key === 'garden_optimization');
+assert.equal(gardenMargin.queries, 4);
+assert.equal(Number(gardenMargin.revenueUsd), 50); // 4 x 25 JEWEL at the 0.5 USD fallback price
+
+console.log('refund-flows test passed');
+process.exit(0);
@@ -0,0 +1,23 @@
+import assert from 'assert';
+import { evaluateRefund } from '../refund-policy.js';
+
+// Failures and timeouts refund the full charge
+assert.deepEqual(evaluateRefund({ outcome: 'failed', chargedJewel: '25' }), {
+  refundJewel: '25', percent: 100, outcome: 'failed', severity: null,
+});
+assert.equal(evaluateRefund({ outcome: 'timeout', chargedJewel: '0.005' }).refundJewel, '0.005');
+
+// Degraded results refund part of the charge, scaled by severity
+assert.equal(evaluateRefund({ outcome: 'degraded', chargedJewel: '25' }).refundJewel, '6.25');
+const major = evaluateRefund({ outcome: 'degraded', chargedJewel: '25', severity: 'major' });
+assert.equal(major.refundJewel, '12.5');
+assert.equal(major.percent, 50);
+assert.equal(major.severity, 'major');
+
+// Nothing charged, nothing refunded
+assert.equal(evaluateRefund({ outcome: 'failed', chargedJewel: '0' }).refundJewel, '0');
+
+assert.throws(() => evaluateRefund({ outcome: 'unhappy', chargedJewel: '1' }), /Unknown refund outcome/);
+assert.throws(() => evaluateRefund({ outcome: 'degraded', chargedJewel: '1', severity: 'total' }), /Unknown degradation severity/);
+
+console.log('refund-policy test passed');
@@ -0,0 +1,193 @@
+import assert from 'assert';
+import { ethers } from 'ethers';
+import { sql } from 'drizzle-orm';
+import { db } from '../server/db.js';
+import { bridgeEvents } from '../shared/schema.ts';
+import { defineIndexer } from '../src/etl/ingestion/indexerRuntime.js';
+import { findReorgPoint, recordBlockHashes, getRecentReorgIncidents, rollbackEventTables, checkAndRollback } from '../src/etl/ingestion/reorgGuard.js';
+import { getPVEIndexer } from '../src/etl/ingestion/huntsPatrolIndexer.js';
+import { bridgeIndexer } from '../bridge-tracker/bridge-indexer.js';
+import { pushSchema } from './push-schema.ts';
+
+// Runs against DATABASE_URL.
+await pushSchema();
+const PING = ethers.id('Ping(uint256)');
+const ADDRESS = '0x00000000000000000000000000000000000000cc';
+
+/** Hash of block n on chain version v; versions share every block below their fork. */
+function hashOf(n: number, forkAt: number | null, version: string) {
+  return ethers.id(`${forkAt !== null && n >= forkAt ? version : 'canonical'}:${n}`);
+}
+
+function makeChain(head: number, forkAt: number | null = null, version = 'canonical') {
+  return {
+    head,
+    forkAt,
+    version,
+    eventBlocks: [] as number[],
+    async getBlockNumber() {
+      return this.head;
+    },
+    async getBlock(n: number) {
+      return { number: n, hash: hashOf(n, this.forkAt, this.version), timestamp: 1700000000 + n };
+    },
+    async getLogs(filter: any) {
+      return this.eventBlocks
+        .filter(n => n >= filter.fromBlock && n <= filter.toBlock)
+        .map(n => ({
+          address: ADDRESS,
+          blockNumber: n,
+          blockHash: hashOf(n, this.forkAt, this.version),
+          transactionHash: ethers.id(`${this.version}:tx:${n}`),
+          index: 0,
+          topics: [PING],
+          data: '0x',
+        }));
+    },
+  };
+}
+
+// ----------------------------------------------------------------------------
+// findReorgPoint: sparse hashes rewind to just after the last matching one
+// ----------------------------------------------------------------------------
+
+await recordBlockHashes('reorg_test_sparse', 'dfk', [100, 110, 120, 130].map(n => ({
+  blockNumber: n,
+  blockHash: hashOf(n, null, 'canonical'),
+})));
+
+assert.equal(await findReorgPoint({ indexerName: 'reorg_test_sparse', provider: makeChain(140), headBlock: 140 }), null);
+
+// Fork at 115: 110 still matches, 120 does not, and 111-119 may hold new-chain events
+let reorg = await findReorgPoint({ indexerName: 'reorg_test_sparse', provider: makeChain(140, 115, 'fork'), headBlock: 140 });
+assert.equal(reorg.forkBlock, 111);
+assert.equal(reorg.storedHash, hashOf(120, null, 'canonical'));
+assert.equal(reorg.chainHash, hashOf(120, 115, 'fork'));
+
+// Nothing matches: rewind to the oldest block a stored hash could cover
+reorg = await findReorgPoint({ indexerName: 'reorg_test_sparse', provider: makeChain(140, 50, 'deep'), headBlock: 140 });
+assert.equal(reorg.forkBlock, 140 - 64 * 2);
+
+// ----------------------------------------------------------------------------
+// Runtime: detect, roll back event rows, rewind the checkpoint, re-index the gap
+// ----------------------------------------------------------------------------
+
+await db.execute(sql`
+  CREATE TABLE IF NOT EXISTS reorg_test_events (
+    tx_hash TEXT PRIMARY KEY,
+    block_number BIGINT NOT NULL,
+    block_hash TEXT NOT NULL
+  )
+`);
+
+const chain = makeChain(1000);
+chain.eventBlocks = [950, 980, 990];
+
+const indexer = defineIndexer({
+  name: 'reorg_test_runtime',
+  getProvider: () => chain,
+  address: ADDRESS,
+  topics: [[PING]],
+  genesisBlock: 900,
+  blocksPerQuery: 50,
+  queryDelayMs: 0,
+  baseRetryDelayMs: 1,
+  eventTables: [{ table: 'reorg_test_events' }],
+  decode: (_parsed: any, log: any) => log,
+  sink: async (logs: any[]) => {
+    for (const log of logs) {
+      await db.execute(sql`
+        INSERT INTO reorg_test_events (tx_hash, block_number, block_hash)
+        VALUES (${log.transactionHash}, ${log.blockNumber}, ${log.blockHash})
+        ON CONFLICT DO NOTHING
+      `);
+    }
+  },
+});
+
+const storedRows = async () => {
+  const rows = await db.execute(sql`SELECT block_number, block_hash FROM reorg_test_events ORDER BY block_number`);
+  return rows.map((r: any) => [Number(r.block_number), r.block_hash]);
+};
+
+let result = await indexer.runIncremental();
+assert.equal(result.success, true);
+assert.equal(result.eventsFound, 3);
+assert.deepEqual((await storedRows()).map(r => r[0]), [950, 980, 990]);
+assert.equal((await indexer.getCheckpoint('reorg_test_runtime')).lastIndexedBlockHash, hashOf(1000, null, 'canonical'));
+
+// The chain reorgs from block 985: the event at 990 is gone, a new one lands at 987,
+// between the last matching stored hash (980) and the first divergent one (990)
+chain.head = 1005;
+chain.forkAt = 985;
+chain.version = 'fork';
+chain.eventBlocks = [950, 980, 987];
+
+result = await indexer.runIncremental();
+assert.equal(result.success, true);
+assert.deepEqual(await storedRows(), [
+  [950, hashOf(950, null, 'canonical')],
+  [980, hashOf(980, null, 'canonical')],
+  [987, hashOf(987, 985, 'fork')],
+]);
+
+const [incident] = await getRecentReorgIncidents({ indexerName: 'reorg_test_runtime' });
+assert.equal(Number(incident.fork_block), 981);
+assert.equal(Number(incident.head_block), 1005);
+assert.equal(incident.rows_rolled_back, 1);
+
+const checkpoint = await indexer.getCheckpoint('reorg_test_runtime');
+assert.equal(checkpoint.lastIndexedBlock, 1005);
+assert.equal(checkpoint.lastIndexedBlockHash, hashOf(1005, 985, 'fork'));
+
+const status = await indexer.getStatus();
+assert.equal(status.recentReorgs.length, 1);
+
+// A second run on the same chain finds nothing to roll back
+chain.head = 1010;
+result = await indexer.runIncremental();
+assert.equal(result.success, true);
+assert.equal((await getRecentReorgIncidents({ indexerName: 'reorg_test_runtime' })).length, 1);
+
+// A failed rewind undoes the rollback: rows, hashes and checkpoints stay consistent
+await recordBlockHashes('reorg_test_atomic', 'dfk', [980, 990].map(n => ({ blockNumber: n, blockHash: hashOf(n, null, 'canonical') })));
+const storedHashes = () => db.execute(sql`SELECT block_number FROM indexer_block_hashes WHERE indexer_name = 'reorg_test_atomic'`);
+await assert.rejects(checkAndRollback({
+  indexerName: 'reorg_test_atomic',
+  chain: 'dfk',
+  provider: makeChain(1001, 985, 'fork'),
+  headBlock: 1001,
+  eventTables: [{ table: 'reorg_test_events' }],
+  rewind: async () => { throw new Error('checkpoint update failed'); },
+}), /checkpoint update failed/);
+assert.deepEqual((await storedRows()).map(r => r[0]), [950, 980, 987]);
+assert.equal((await storedHashes()).length, 2);
+
+// ----------------------------------------------------------------------------
+// Head-following indexers roll back their own event tables
+// ----------------------------------------------------------------------------
+
+for (const handle of [getPVEIndexer('dfk'), getPVEIndexer('metis'), bridgeIndexer]) {
+  assert.ok(handle.config.reorgWindow > 0, `${handle.name} tracks block hashes`);
+  assert.ok(handle.config.eventTables.length > 0, `${handle.name} rolls back event rows`);
+}
+assert.deepEqual(getPVEIndexer('dfk').config.eventTables.map((t: any) => t.table), ['pve_completions', 'pve_reward_events']);
+
+// The Synapse indexer shares bridge_events: a DFK reorg leaves other bridges' rows
+// (LayerZero on Kaia sits at far higher block numbers) and admin imports alone
+const bridgeRow = (txHash: string, blockNumber: number, srcChainId: number, dstChainId: number, blockHash: string | null) => ({
+  txHash, blockNumber, srcChainId, dstChainId, blockHash,
+  wallet: '0xabc', bridgeType: 'token', direction: 'out', blockTimestamp: new Date('2026-01-01T00:00:00Z'),
+});
+await db.insert(bridgeEvents).values([
+  bridgeRow('0xsynapse-old', 4_000_000, 53935, 1088, '0x01'),
+  bridgeRow('0xsynapse-new', 5_000_000, 53935, 1088, '0x02'),
+  bridgeRow('0xlayerzero-kaia', 170_000_000, 8217, 53935, null),
+  bridgeRow('0xadmin-import', 5_000_000, 53935, 8217, null),
+]);
+assert.equal(await rollbackEventTables(bridgeIndexer.config.eventTables, 4_500_000), 1);
+const bridgeRows = await db.execute(sql`SELECT tx_hash FROM bridge_events ORDER BY tx_hash`);
+assert.deepEqual(bridgeRows.map((r: any) => r.tx_hash), ['0xadmin-import', '0xlayerzero-kaia', '0xsynapse-old']);
+
+console.log('reorg-guard test passed');
+process.exit(0);
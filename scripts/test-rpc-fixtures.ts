@@ -0,0 +1,79 @@
+import assert from 'assert';
+import { ethers } from 'ethers';
+import {
+  RpcFixture,
+  FixtureJsonRpcProvider,
+  fixtureKey,
+  sendRpcRequest,
+  setActiveFixture,
+} from '../src/etl/ingestion/rpcFixtures.js';
+
+const fixturePath = new URL('../server/fixtures/rpc-gardening-reward.json', import.meta.url).pathname;
+const QUEST_REWARD_CONTRACT = '0x39a06d3e1b6b1b24c477d90770f317abb4b8f928';
+const CRYSTAL_ADDRESS = '0x04b9dA42306B023f3572e106B11D82aAd9D32EBb';
+const rewardIface = new ethers.Interface([
+  'event RewardMinted(uint256 indexed questId, address indexed player, uint256 heroId, address indexed reward, uint256 amount, uint256 data)',
+]);
+const rewardTopic = ethers.id('RewardMinted(uint256,address,uint256,address,uint256,uint256)');
+
+// Keys ignore param ordering of object fields
+assert.equal(
+  fixtureKey('eth_getLogs', [{ toBlock: '0x2', fromBlock: '0x1' }]),
+  fixtureKey('eth_getLogs', [{ fromBlock: '0x1', toBlock: '0x2' }]),
+);
+
+// Replay through an ethers provider, fully offline
+const fixture = RpcFixture.load(fixturePath, 'replay');
+const provider = new FixtureJsonRpcProvider('http://replay.invalid', undefined, { staticNetwork: true }, fixture);
+
+assert.equal(await provider.getBlockNumber(), 3000010);
+
+const logs = await provider.getLogs({
+  address: QUEST_REWARD_CONTRACT,
+  topics: [rewardTopic],
+  fromBlock: 3000000,
+  toBlock: 3000010,
+});
+assert.equal(logs.length, 1);
+assert.equal(logs[0].blockHash, '0x' + 'ab'.repeat(32));
+
+const parsed = rewardIface.parseLog(logs[0])!;
+assert.equal(parsed.args.questId, 123456n);
+assert.equal(parsed.args.heroId, 98765n);
+assert.equal(parsed.args.reward.toLowerCase(), CRYSTAL_ADDRESS.toLowerCase());
+assert.equal(ethers.formatEther(parsed.args.amount), '1.25');
+
+// Repeated calls replay in recorded order, then stick on the last response
+assert.equal(fixture.replay(fixtureKey('eth_blockNumber', [])).result, '0x2dc6cb');
+assert.equal(fixture.replay(fixtureKey('eth_blockNumber', [])).result, '0x2dc6cb');
+
+// Unrecorded calls fail instead of reaching the network
+await assert.rejects(
+  provider.getLogs({ address: QUEST_REWARD_CONTRACT, topics: [rewardTopic], fromBlock: 1, toBlock: 2 }),
+  /no recorded response/,
+);
+
+// Raw fetch path: record from a stubbed transport, then replay the same envelope
+const realFetch = globalThis.fetch;
+let fetchCalls = 0;
+globalThis.fetch = (async () => {
+  fetchCalls++;
+  return new Response(JSON.stringify({ jsonrpc: '2.0', id: 1, result: ['0xlog'] }), { status: 200 });
+}) as typeof fetch;
+
+try {
+  const recorder = setActiveFixture(new RpcFixture({ mode: 'record' }));
+  const params = [{ address: QUEST_REWARD_CONTRACT, fromBlock: '0x1', toBlock: '0x2' }];
+  const recorded = await sendRpcRequest('http://live.invalid', 'eth_getLogs', params);
+  assert.deepEqual(recorded, { result: ['0xlog'] });
+
+  setActiveFixture(new RpcFixture({ mode: 'replay', calls: recorder!.toJSON().calls }));
+  const replayed = await sendRpcRequest('http://other-endpoint.invalid', 'eth_getLogs', params);
+  assert.deepEqual(replayed, recorded);
+  assert.equal(fetchCalls, 1);
+} finally {
+  globalThis.fetch = realFetch;
+  setActiveFixture(null);
+}
+
+console.log('rpc-fixtures test passed');
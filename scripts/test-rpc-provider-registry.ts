@@ -0,0 +1,173 @@
+import assert from 'assert';
+import http from 'http';
+import type { AddressInfo } from 'net';
+import {
+  PooledJsonRpcProvider,
+  getChainProvider,
+  getRpcRegistryHealth,
+} from '../src/services/rpcProviderRegistry.js';
+
+/** Local JSON-RPC endpoint whose behaviour can be switched per test. */
+async function startEndpoint(blockNumber: number) {
+  const state = {
+    hits: 0,
+    mode: 'ok' as 'ok' | 'http500' | 'rateLimited',
+    delayMs: 0,
+    url: '',
+    close: () => {},
+  };
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', async () => {
+      state.hits++;
+      if (state.delayMs) await new Promise(r => setTimeout(r, state.delayMs));
+      if (state.mode === 'http500') {
+        res.writeHead(500);
+        return res.end('upstream down');
+      }
+      if (state.mode === 'rateLimited') {
+        res.writeHead(429, { 'Retry-After': '7' });
+        return res.end('too many requests');
+      }
+      const request = JSON.parse(body);
+      const reply = request.method === 'eth_call'
+        ? { error: { code: 3, message: 'execution reverted', data: '0x' } }
+        : { result: '0x' + blockNumber.toString(16) };
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify({ jsonrpc: '2.0', id: request.id, ...reply }));
+    });
+  });
+  await new Promise<void>(resolve => server.listen(0, '127.0.0.1', resolve));
+  state.url = `http://127.0.0.1:${(server.address() as AddressInfo).port}`;
+  state.close = () => server.close();
+  return state;
+}
+
+const health = (pool: any, url: string) => pool.getHealth().endpoints.find((e: any) => e.url === url);
+
+// ----------------------------------------------------------------------------
+// Scoring: measured latency, inflated by the recent error rate
+// ----------------------------------------------------------------------------
+
+const scored = new PooledJsonRpcProvider('dfk', ['http://a.invalid', 'http://b.invalid'], 53935);
+const [a, b] = scored.endpoints;
+assert.equal(a.score(), 1000, 'unmeasured endpoints score as 1s');
+a.recordSuccess(40);
+b.recordSuccess(60);
+assert.deepEqual(scored.rankedEndpoints().map((e: any) => e.url), ['http://a.invalid', 'http://b.invalid']);
+a.recordFailure(new Error('socket hang up'), Date.now());
+assert.ok(a.score() > 40 && a.score() < 60);
+a.recordFailure(new Error('socket hang up'), Date.now());
+assert.ok(a.score() > 60, 'two failures push the faster endpoint behind the slower one');
+assert.deepEqual(scored.rankedEndpoints().map((e: any) => e.url), ['http://b.invalid', 'http://a.invalid']);
+assert.equal(health(scored, 'http://a.invalid').state, 'degraded');
+
+// ----------------------------------------------------------------------------
+// Failover: a dead endpoint fails over to the next one in the same request
+// ----------------------------------------------------------------------------
+
+const primary = await startEndpoint(100);
+const backup = await startEndpoint(100);
+backup.delayMs = 50;
+
+const pool = new PooledJsonRpcProvider('dfk', [primary.url, backup.url], 53935);
+assert.equal(await pool.getBlockNumber(), 100);
+assert.equal(primary.hits, 1);
+assert.equal(backup.hits, 0);
+
+primary.mode = 'http500';
+for (let i = 0; i < 2; i++) {
+  assert.equal(await pool.send('eth_blockNumber', []), '0x64');
+}
+assert.equal(primary.hits, 3);
+assert.equal(backup.hits, 2);
+assert.equal(health(pool, primary.url).state, 'degraded');
+assert.equal(health(pool, primary.url).consecutiveFailures, 2);
+
+// ----------------------------------------------------------------------------
+// Circuit breaker: the third consecutive failure opens it; traffic skips the endpoint
+// ----------------------------------------------------------------------------
+
+await pool.send('eth_blockNumber', []);
+assert.equal(primary.hits, 4);
+assert.equal(health(pool, primary.url).state, 'circuit_open');
+const openUntil = pool.endpoints[0].circuitOpenUntil;
+assert.ok(openUntil - Date.now() > 14000 && openUntil - Date.now() <= 15000);
+
+await pool.send('eth_blockNumber', []);
+assert.equal(primary.hits, 4, 'an open circuit receives no requests');
+assert.equal(backup.hits, 4);
+
+// Cooldown over: one probe is let through and a success closes the circuit
+primary.mode = 'ok';
+pool.endpoints[0].circuitOpenUntil = Date.now() - 1;
+assert.equal(health(pool, primary.url).state, 'half_open');
+await pool.send('eth_blockNumber', []);
+assert.equal(primary.hits, 5);
+assert.equal(health(pool, primary.url).state, 'healthy');
+assert.equal(pool.endpoints[0].consecutiveFailures, 0);
+
+// A failed probe re-opens it with a doubled cooldown
+primary.mode = 'http500';
+pool.endpoints[0].consecutiveFailures = 3;
+pool.endpoints[0].circuitOpenUntil = Date.now() - 1;
+await pool.send('eth_blockNumber', []);
+const reopened = pool.endpoints[0].circuitOpenUntil - Date.now();
+assert.ok(reopened > 29000 && reopened <= 30000, `cooldown doubles (${reopened}ms)`);
+
+// ----------------------------------------------------------------------------
+// Rate limits back off without counting towards the circuit
+// ----------------------------------------------------------------------------
+
+const limited = await startEndpoint(200);
+const spare = await startEndpoint(200);
+spare.delayMs = 50;
+limited.mode = 'rateLimited';
+
+const rlPool = new PooledJsonRpcProvider('metis', [limited.url, spare.url], 1088);
+assert.equal(await rlPool.send('eth_blockNumber', []), '0xc8');
+assert.equal(health(rlPool, limited.url).state, 'rate_limited');
+assert.equal(rlPool.endpoints[0].consecutiveFailures, 0);
+const backoff = rlPool.endpoints[0].rateLimitedUntil - Date.now();
+assert.ok(backoff > 6000 && backoff <= 7000, `honours Retry-After (${backoff}ms)`);
+
+await rlPool.send('eth_blockNumber', []);
+assert.equal(limited.hits, 1, 'rate-limited endpoints are skipped until the backoff ends');
+
+// Everything backing off: the request still goes to whichever endpoint recovers first
+spare.mode = 'http500';
+for (let i = 0; i < 3; i++) {
+  await assert.rejects(rlPool.send('eth_blockNumber', []));
+}
+assert.equal(health(rlPool, spare.url).state, 'circuit_open');
+limited.mode = 'ok';
+rlPool.endpoints[0].rateLimitedUntil = Date.now() + 1000;
+assert.equal(await rlPool.send('eth_blockNumber', []), '0xc8');
+
+// ----------------------------------------------------------------------------
+// JSON-RPC errors (reverts) are answers, not endpoint failures
+// ----------------------------------------------------------------------------
+
+const revertPool = new PooledJsonRpcProvider('dfk', [primary.url], 53935);
+primary.mode = 'ok';
+await assert.rejects(revertPool.call({ to: '0x0000000000000000000000000000000000000001', data: '0x12345678' }));
+assert.equal(revertPool.endpoints[0].totalErrors, 0);
+assert.equal(health(revertPool, primary.url).state, 'healthy');
+
+// ----------------------------------------------------------------------------
+// Shared pools: env overrides, chain aliases, health listing
+// ----------------------------------------------------------------------------
+
+process.env.HARMONY_RPC_URLS = `${primary.url}, ${backup.url}`;
+const harmony = getChainProvider('harmony');
+assert.equal(getChainProvider(1666600000), harmony);
+assert.notEqual(getChainProvider('harmony', { archive: true }), harmony);
+assert.deepEqual(harmony.endpoints.map((e: any) => e.url), [primary.url, backup.url]);
+assert.equal(await harmony.getBlockNumber(), 100);
+assert.ok(getRpcRegistryHealth().some((p: any) => p.chain === 'harmony' && !p.archive && p.chainId === 1666600000));
+assert.throws(() => getChainProvider('solana'), /Unknown RPC chain/);
+
+for (const endpoint of [primary, backup, limited, spare]) endpoint.close();
+console.log('rpc-provider-registry test passed');
+process.exit(0);
@@ -0,0 +1,87 @@
+import assert from 'assert';
+import {
+  spendWindowStarts,
+  normalizeSpendSettings,
+  evaluateSpend,
+  crossedLowBalance,
+  dueStatementPeriod,
+  periodBounds,
+  buildMonthlyStatement,
+  formatStatementMessage,
+} from '../spend-controls.js';
+
+// Windows: UTC day and Monday-start UTC week
+const { dayStart, weekStart } = spendWindowStarts(new Date('2026-03-05T15:30:00Z')); // a Thursday
+assert.equal(dayStart.toISOString(), '2026-03-05T00:00:00.000Z');
+assert.equal(weekStart.toISOString(), '2026-03-02T00:00:00.000Z');
+assert.equal(spendWindowStarts(new Date('2026-03-08T23:00:00Z')).weekStart.toISOString(), '2026-03-02T00:00:00.000Z'); // Sunday
+assert.equal(spendWindowStarts(new Date('2026-03-09T01:00:00Z')).weekStart.toISOString(), '2026-03-09T00:00:00.000Z'); // Monday
+
+// Settings validation
+assert.deepEqual(normalizeSpendSettings({ dailySpendCapJewel: 5, weeklySpendCapJewel: null, monthlyStatement: false }), {
+  dailySpendCapJewel: '5.000000000000000000',
+  weeklySpendCapJewel: null,
+  monthlyStatement: false,
+});
+assert.deepEqual(normalizeSpendSettings({ confirmAboveJewel: '' }), { confirmAboveJewel: null });
+assert.deepEqual(normalizeSpendSettings({ notifyOnAprDrop: true }), {});
+assert.throws(() => normalizeSpendSettings({ dailySpendCapJewel: 0 }), /greater than 0/);
+assert.throws(() => normalizeSpendSettings({ dailySpendCapJewel: 'lots' }), /JEWEL amount/);
+assert.throws(() => normalizeSpendSettings({ monthlyStatement: 'yes' }), /boolean/);
+
+// Caps and confirmation
+const settings = { dailySpendCapJewel: '1', weeklySpendCapJewel: '3', confirmAboveJewel: '0.5' };
+const spend = (costJewel: string, spentTodayJewel: string, spentThisWeekJewel: string, confirmed = false) =>
+  evaluateSpend({ costJewel, spentTodayJewel, spentThisWeekJewel, settings, confirmed });
+
+assert.deepEqual(spend('0.2', '0.5', '1'), { allowed: true });
+assert.deepEqual(spend('0.5', '0.5', '1'), { allowed: true }); // exactly reaching the cap is fine
+assert.equal(spend('0.2', '0.9', '1').cap, 'daily');
+assert.equal(spend('0.2', '0', '2.9').cap, 'weekly');
+assert.ok(spend('0.2', '0.9', '1').reason.includes('0.1 left'));
+
+const big = spend('0.8', '0', '0');
+assert.equal(big.allowed, false);
+assert.equal(big.requiresConfirmation, true);
+assert.deepEqual(spend('0.8', '0', '0', true), { allowed: true });
+assert.equal(spend('1.2', '0', '0', true).cap, 'daily'); // confirming doesn't lift a cap
+assert.deepEqual(evaluateSpend({ costJewel: '100', spentTodayJewel: '0', spentThisWeekJewel: '0', settings: {} }), { allowed: true });
+
+// Low-balance alert fires once per crossing
+assert.equal(crossedLowBalance('2', '0.5', '1'), true);
+assert.equal(crossedLowBalance('1', '0.9', '1'), true);
+assert.equal(crossedLowBalance('0.9', '0.8', '1'), false); // already below
+assert.equal(crossedLowBalance('2', '1.5', '1'), false);
+assert.equal(crossedLowBalance('2', '0.5', null), false);
+
+// Statement period
+assert.equal(dueStatementPeriod(new Date('2026-03-02T08:00:00Z')), '2026-02');
+assert.equal(dueStatementPeriod(new Date('2026-01-01T00:30:00Z')), '2025-12');
+assert.equal(dueStatementPeriod(new Date('2026-03-15T08:00:00Z')), null);
+assert.deepEqual(periodBounds('2025-12'), { start: new Date('2025-12-01T00:00:00Z'), end: new Date('2026-01-01T00:00:00Z') });
+
+// Statement
+const statement = buildMonthlyStatement([
+  { entry_type: 'query_charge', query_type: 'hero', entries: '4', net_jewel: '-0.4' },
+  { entry_type: 'query_charge', query_type: 'garden_optimization', entries: '1', net_jewel: '-25' },
+  { entry_type: 'query_charge', query_type: null, entries: '2', net_jewel: '-0.1' },
+  { entry_type: 'subscription_charge', query_type: null, entries: '1', net_jewel: '-10' },
+  { entry_type: 'refund', query_type: null, entries: '1', net_jewel: '0.2' },
+  { entry_type: 'deposit', query_type: null, entries: '2', net_jewel: '50' },
+  { entry_type: 'promo_credit', query_type: null, entries: '1', net_jewel: '5' },
+]);
+assert.deepEqual(statement.spendByQueryType.map(t => t.queryType), ['garden_optimization', 'hero', 'other']);
+assert.equal(statement.queries, 7);
+assert.equal(statement.querySpendJewel, '25.5');
+assert.equal(statement.subscriptionJewel, '10');
+assert.equal(statement.refundsJewel, '0.2');
+assert.equal(statement.depositsJewel, '50');
+assert.equal(statement.creditsJewel, '5');
+assert.equal(statement.netSpendJewel, '35.3');
+
+const message = formatStatementMessage('2026-02', statement, '12.5');
+assert.ok(message.includes('February 2026'));
+assert.ok(message.includes('hero: 4 queries, **0.40 JEWEL**'));
+assert.ok(message.includes('**Net spend:** 35.30 JEWEL'));
+
+console.log('spend-controls test passed');
@@ -0,0 +1,43 @@
+import assert from 'assert';
+import { computePeriodEnd, dueReminderStage, highestTier } from '../subscription-billing.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+const start = new Date('2026-03-01T00:00:00Z');
+const monthly = { period: 'monthly', durationDays: 30 };
+const seasonal = { period: 'seasonal', durationDays: 90 };
+
+// Monthly plans run for their duration; seasonal plans follow the active season
+assert.equal(computePeriodEnd(monthly, start).getTime(), start.getTime() + 30 * DAY);
+const seasonEnd = new Date('2026-04-15T00:00:00Z');
+assert.equal(computePeriodEnd(seasonal, start, seasonEnd).getTime(), seasonEnd.getTime());
+// No season, or a season already over, falls back to durationDays
+assert.equal(computePeriodEnd(seasonal, start).getTime(), start.getTime() + 90 * DAY);
+assert.equal(computePeriodEnd(seasonal, start, new Date('2026-02-01T00:00:00Z')).getTime(), start.getTime() + 90 * DAY);
+// So does a season about to end: a few days left would not be worth the seasonal price
+assert.equal(computePeriodEnd(seasonal, start, new Date(start.getTime() + 3 * DAY)).getTime(), start.getTime() + 90 * DAY);
+assert.equal(computePeriodEnd(seasonal, start, new Date(start.getTime() + 14 * DAY)).getTime(), start.getTime() + 14 * DAY);
+
+// Reminders: 3 days out, then 1 day out, each sent once
+const end = new Date(start.getTime() + 30 * DAY);
+assert.equal(dueReminderStage(end, new Date(end.getTime() - 10 * DAY)), null);
+assert.equal(dueReminderStage(end, new Date(end.getTime() - 2.5 * DAY)), '3d');
+assert.equal(dueReminderStage(end, new Date(end.getTime() - 2.5 * DAY), '3d'), null);
+assert.equal(dueReminderStage(end, new Date(end.getTime() - 12 * 60 * 60 * 1000), '3d'), '1d');
+assert.equal(dueReminderStage(end, new Date(end.getTime() - 12 * 60 * 60 * 1000), '1d'), null);
+// Missed the 3-day window entirely: jump straight to the 1-day reminder
+assert.equal(dueReminderStage(end, new Date(end.getTime() - 60 * 60 * 1000)), '1d');
+assert.equal(dueReminderStage(end, new Date(end.getTime() + 1)), null);
+
+// Entitlement tier is the best live subscription
+assert.equal(highestTier([]), 'free');
+assert.equal(highestTier([
+  { status: 'active', tierId: 'premium' },
+  { status: 'grace', tierId: 'premium_plus' },
+]), 'premium_plus');
+assert.equal(highestTier([
+  { status: 'expired', tierId: 'premium_plus' },
+  { status: 'active', tierId: 'premium' },
+]), 'premium');
+assert.equal(highestTier([{ status: 'cancelled', tierId: 'premium' }]), 'free');
+
+console.log('subscription-billing test passed');
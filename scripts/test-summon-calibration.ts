@@ -0,0 +1,100 @@
+import assert from 'assert';
+import { buildOutcomeCheck, buildCalibrationReport, mutationTier } from '../summon-calibration.js';
+
+const VISUALS = [
+  'gender', 'headAppendage', 'backAppendage', 'background', 'hairStyle', 'hairColor',
+  'eyeColor', 'skinColor', 'appendageColor', 'backAppendageColor', 'visualUnknown1', 'visualUnknown2',
+];
+
+function genes(dominant: string, r1 = dominant, r2 = dominant, r3 = dominant) {
+  return { dominant, R1: r1, R2: r2, R3: r3 };
+}
+
+function genetics(mainClass: ReturnType<typeof genes>, extra: Record<string, any> = {}) {
+  return {
+    mainClass,
+    subClass: genes('Warrior', 'Knight', 'Archer', 'Priest'),
+    profession: genes('Mining', 'Gardening', 'Fishing', 'Foraging'),
+    active1: genes('Heal', 'Poisoned Blade', 'Stun', 'Daze'),
+    active2: genes('Exhaust', 'Heal', 'Blinding Winds', 'Speed'),
+    passive1: genes('Duelist', 'Foresight', 'Clutch', 'Headstrong'),
+    passive2: genes('Foresight', 'Duelist', 'Fearless', 'Chatterbox'),
+    statBoost1: genes('STR', 'DEX', 'AGI', 'VIT'),
+    statBoost2: genes('INT', 'WIS', 'LCK', 'END'),
+    element: genes('fire', 'water', 'earth', 'wind'),
+    crafting1: genes('Blacksmithing', 'Goldsmithing', 'Armorsmithing', 'Woodworking'),
+    crafting2: genes('Tailoring', 'Leatherworking', 'Alchemy', 'Enchanting'),
+    visual: Object.fromEntries(VISUALS.map(trait => [trait, genes('1', '2', '16', '3')])),
+    ...extra,
+  };
+}
+
+const near = (a: number, b: number, eps = 1e-9) => Math.abs(a - b) < eps;
+
+// Tiers follow the gene ID bands for classes, skills and visual gene IDs
+assert.equal(mutationTier('class', 'Warrior'), 'basic');
+assert.equal(mutationTier('class', 'Paladin'), 'advanced');
+assert.equal(mutationTier('class', 'DreadKnight'), 'exalted');
+assert.equal(mutationTier('hairStyle', 17), 'advanced');
+assert.equal(mutationTier('hairStyle', '26'), 'elite');
+assert.equal(mutationTier('active1', 'Heal'), 'basic');
+
+// A check stores the engine's distribution next to what the child rolled
+const p1 = { genetics: genetics(genes('Thief', 'Knight', 'Warrior', 'Priest')), rarity: 0 };
+const p2 = { genetics: genetics(genes('Knight', 'Thief', 'Archer', 'Warrior')), rarity: 2 };
+const child = { genetics: genetics(genes('Knight', 'Thief', 'Warrior', 'Priest')), rarity: 1 };
+const check = buildOutcomeCheck(p1, p2, child);
+assert.equal(check.class.observed, 'Knight');
+assert.ok(check.class.distribution.Knight > 0);
+assert.ok(check.class.mutations.includes('Paladin'));
+assert.equal(check.rarity.observed, 'Uncommon');
+assert.ok(near(Object.values(check.class.distribution).reduce((s: number, p: any) => s + p, 0), 100, 0.1));
+
+// A perfectly calibrated forecast: 25% outcomes that happen one time in four
+const coin = (observed: string) => ({
+  predictions: { class: { observed, distribution: { Warrior: 25, Knight: 75 }, mutations: [] } },
+});
+const calibrated = buildCalibrationReport([coin('Warrior'), coin('Knight'), coin('Knight'), coin('Knight')]);
+assert.equal(calibrated.samples, 4);
+const classStats = calibrated.byTrait.find(t => t.trait === 'class')!;
+assert.equal(classStats.samples, 4);
+assert.equal(classStats.impossible, 0);
+assert.ok(near(classStats.topConfidence, 0.75));
+assert.ok(near(classStats.topAccuracy, 0.75));
+assert.ok(near(classStats.brier, (2 * 0.75 ** 2 + 3 * 2 * 0.25 ** 2) / 4));
+for (const bin of classStats.bins) {
+  assert.ok(near(bin.predictedRate, bin.observedRate), `${bin.from}-${bin.to}`);
+  assert.ok(near(bin.z, 0));
+}
+
+// Outcomes the engine ruled out are counted, and stored JSON strings are accepted
+const report = buildCalibrationReport([
+  { predictions: JSON.stringify({ class: { observed: 'Ninja', distribution: { Warrior: 100 }, mutations: [] } }) },
+]);
+const ninja = report.byTrait[0];
+assert.equal(ninja.impossible, 1);
+assert.equal(ninja.brier, 2);
+assert.ok(ninja.bins.find(b => b.from === 0)!.observedHits === 1);
+
+// Mutation opportunities are grouped by the tier of the mutated value
+const mutated = buildCalibrationReport([
+  { predictions: { class: { observed: 'Paladin', distribution: { Warrior: 90, Paladin: 10 }, mutations: ['Paladin'] } } },
+  { predictions: { class: { observed: 'Warrior', distribution: { Warrior: 90, Paladin: 10 }, mutations: ['Paladin'] } } },
+]);
+assert.equal(mutated.byMutationTier.length, 1);
+const advanced = mutated.byMutationTier[0];
+assert.equal(advanced.tier, 'advanced');
+assert.equal(advanced.opportunities, 2);
+assert.equal(advanced.observed, 1);
+assert.ok(near(advanced.expected, 0.2));
+assert.ok(near(advanced.ratio!, 5));
+assert.ok(near(advanced.z, 0.8 / Math.sqrt(0.18)));
+assert.equal(advanced.traits[0].trait, 'class');
+
+// The real engine output feeds straight into the report
+const real = buildCalibrationReport([{ predictions: check }]);
+assert.equal(real.samples, 1);
+assert.ok(real.byTrait.some(t => t.trait === 'rarity'));
+assert.ok(real.byMutationTier.some(t => t.tier === 'advanced'));
+
+console.log('summon calibration tests passed');
@@ -0,0 +1,89 @@
+import assert from 'assert';
+import {
+  calculateSummonFee,
+  getTearCount,
+  resolveStone,
+  parseStone,
+  calculateSummonCost,
+  estimateCostPerOutcome,
+  summonOutcomes,
+  toJewel,
+} from '../summon-costs.js';
+import { planBreeding, normalizeTarget } from '../breeding-planner.js';
+
+const near = (a: number, b: number, eps = 1e-9) => Math.abs(a - b) < eps;
+
+// Fees grow with generation and summons; gen 0 is capped; dark pays a quarter
+assert.equal(calculateSummonFee(1, 2), 6 + 4 + 10);
+assert.equal(calculateSummonFee(0, 20), 30);
+assert.equal(calculateSummonFee(1, 2, { dark: true }), 5);
+
+// Tears follow class tier and are skipped on dark summons
+assert.equal(getTearCount('Warrior'), 10);
+assert.equal(getTearCount('Paladin'), 40);
+assert.equal(getTearCount('Sage'), 70);
+assert.equal(getTearCount('DreadKnight'), 100);
+assert.equal(getTearCount('Paladin', { dark: true }), 0);
+
+// Stones resolve by typed name or { type, tier }
+assert.deepEqual(parseStone('greater might'), { type: 'might', tier: 'greater' });
+assert.deepEqual(parseStone('Vigor Stone'), { type: 'vigor', tier: 'normal' });
+assert.equal(parseStone(''), null);
+assert.equal(resolveStone(parseStone('lesser wit'))!.displayName, 'Lesser Wit Stone');
+assert.throws(() => resolveStone({ type: 'luck' }), /Unknown enhancement stone type/);
+
+const warrior = { generation: 1, summons: 0, maxSummons: 3, mainClass: 'Warrior', price: 40 };
+const knight = { generation: 1, summons: 1, maxSummons: 3, mainClass: 'Knight', price: 60 };
+
+const regular = calculateSummonCost(warrior, knight, { tearPrice: 0.1, stone: { type: 'might' }, stonePrice: 2 });
+assert.deepEqual(regular.fees, [16, 18]);
+assert.equal(regular.tearCount, 20);
+assert.ok(near(regular.tearCost, 2));
+assert.equal(regular.stoneCost, 2);
+assert.equal(regular.stone!.priced, true);
+assert.equal(regular.purchaseCost, 100);
+assert.ok(near(regular.totalCost, 100 + 34 + 2 + 2));
+
+const dark = calculateSummonCost(warrior, knight, { summonType: 'dark', stone: { type: 'might' } });
+assert.equal(dark.parentsBurned, true);
+assert.equal(dark.tearCount, 0);
+assert.deepEqual(dark.fees, [4, 4.5]);
+assert.equal(dark.stone!.priced, false);
+assert.equal(dark.stoneCost, 0);
+assert.throws(() => calculateSummonCost(warrior, knight, { summonType: 'light' }), /Unknown summon type/);
+
+// Regular summons retry until a parent runs out; each retry pays the next fee
+const retry = estimateCostPerOutcome(0.5, { ...warrior, owned: true }, { ...knight, owned: true }, { tearPrice: 0 })!;
+assert.equal(retry.attempts, 2);
+assert.ok(near(retry.expectedAttempts, 1.5));
+assert.ok(near(retry.successProbability, 0.75));
+assert.ok(near(retry.expectedSummonCost, 34 + 0.5 * 38));
+assert.ok(near(retry.costPerOutcome, (34 + 19) / 0.75));
+
+// Dark summons roll once, even with parents that have no summons left
+const spent = { ...warrior, summons: 3 };
+assert.equal(estimateCostPerOutcome(0.5, spent, knight), null);
+const once = estimateCostPerOutcome(0.5, spent, knight, { summonType: 'dark' })!;
+assert.equal(once.attempts, 1);
+assert.ok(near(once.costPerOutcome, (100 + 0.25 * (22 + 18)) / 0.5));
+
+// Top classes first, then every reachable rarity floor
+const outcomes = summonOutcomes({
+  class: { Warrior: 50, Knight: 30, Paladin: 15, Thief: 5 },
+  rarity: { Common: 60, Uncommon: 30, Rare: 10, Legendary: 0, Mythic: 0 },
+});
+assert.deepEqual(outcomes.map(o => o.label), ['Warrior', 'Knight', 'Paladin', 'Uncommon+', 'Rare+']);
+assert.ok(near(outcomes[3].probability, 0.4));
+
+// JEWEL conversion passes JEWEL through and prices CRYSTAL via USD
+assert.equal(toJewel(10, 'JEWEL'), 10);
+assert.equal(toJewel(10, 'CRYSTAL'), null);
+assert.ok(near(toJewel(10, 'CRYSTAL', { crystalPriceUsd: 0.02, jewelPriceUsd: 0.1 })!, 2));
+
+// The planner scores rarity floors over the rarity distribution
+const rarityReq = normalizeTarget({ minRarity: 2 });
+assert.deepEqual(rarityReq[0].values, ['Rare', 'Legendary', 'Mythic']);
+assert.throws(() => normalizeTarget({ minRarity: 7 }), /Unknown rarity/);
+assert.equal(planBreeding({ target: { minRarity: 3 }, heroes: [], summonType: 'dark' }).plans.length, 0);
+
+console.log('summon cost tests passed');
@@ -0,0 +1,143 @@
+import assert from 'assert';
+import { fitTraitWeights, predictLogPrice, learnTraitWeights } from '../fve-engine.js';
+import { db } from '../server/db.js';
+import { tavernSales } from '../shared/schema.ts';
+import { pushSchema } from './push-schema.ts';
+import {
+  traitScoreDistribution,
+  offspringBuckets,
+  buildValueModel,
+  valueBucket,
+  valueOffspring,
+  childProfile,
+  estimateProfit,
+  loadValueModel,
+} from '../summon-value.js';
+
+const near = (a: number, b: number, eps = 1e-9) => Math.abs(a - b) < eps;
+
+// Trait weights recover a known log-price model from clean sales
+const sales: any[] = [];
+for (const mainClass of ['Warrior', 'Knight', 'Paladin']) {
+  for (const rarity of [0, 1, 2]) {
+    for (const traitScore of [0, 1, 2, 3]) {
+      for (let copy = 0; copy < 20; copy++) {
+        const logPrice = 3 + (mainClass === 'Paladin' ? 1 : 0) + 0.5 * rarity + 0.2 * traitScore;
+        sales.push({ mainClass, profession: 'mining', rarity, traitScore, generation: 1, summonsLeft: 5, level: 1, price: Math.exp(logPrice) });
+      }
+    }
+  }
+}
+const fit = fitTraitWeights(sales, { lambda: 1e-6 })!;
+assert.equal(fit.trainingSamples, sales.length);
+assert.ok(fit.rSquared > 0.999);
+const paladin = { mainClass: 'Paladin', profession: 'mining', rarity: 2, traitScore: 3, generation: 1, summonsLeft: 5, level: 1 };
+assert.ok(near(predictLogPrice(fit.weights, paladin), 3 + 1 + 1 + 0.6, 1e-4));
+assert.equal(fitTraitWeights([]), null);
+
+// Skill tiers add up across the four slots
+const probabilities = {
+  class: { Warrior: 75, Paladin: 25 },
+  rarity: { Common: 80, Uncommon: 20, Rare: 0, Legendary: 0, Mythic: 0 },
+  profession: { mining: 100 },
+  active1: { Heal: 50, Exhaust: 50 },
+  active2: { Heal: 100 },
+  passive1: { Duelist: 100 },
+  passive2: { Duelist: 100 },
+};
+const scores = traitScoreDistribution(probabilities);
+assert.ok(near(scores.get(0)!, 0.5));
+assert.ok(near(scores.get(1)!, 0.5));
+
+const buckets = offspringBuckets(probabilities);
+assert.equal(buckets.length, 2 * 2 * 1 * 2);
+assert.ok(near(buckets.reduce((sum, b) => sum + b.probability, 0), 1));
+
+// Bucket values shrink the trait-weight prediction toward the bucket's own sales
+const model = buildValueModel(sales, { weights: fit.weights })!;
+assert.equal(model.storedWeights, true);
+assert.ok(model.residualStd < 1e-3);
+const warrior = { mainClass: 'Warrior', profession: 'mining', rarity: 0, traitScore: 0, generation: 1, summonsLeft: 5 };
+const comped = valueBucket(model, warrior);
+assert.equal(comped.comps, 20);
+assert.ok(near(comped.value, Math.exp(3), 1e-2));
+const unseen = valueBucket(model, { ...warrior, mainClass: 'Dragoon' });
+assert.equal(unseen.comps, 0);
+assert.ok(unseen.logSe > comped.logSe);
+
+// Noisy sales: the bucket value is the lognormal mean, above the median by exp(σ²/2)
+const noisy = buildValueModel(sales.map((s, i) => ({ ...s, price: s.price * Math.exp(i % 2 ? 0.4 : -0.4) })), { weights: fit.weights })!;
+const spread = valueBucket(noisy, warrior);
+const logVar = noisy.residualStd ** 2 + spread.logSe ** 2;
+assert.ok(noisy.residualStd > 0.3);
+assert.ok(near(spread.median, Math.exp(spread.logMean)));
+assert.ok(near(spread.value, spread.median * Math.exp(logVar / 2), 1e-9));
+assert.ok(spread.value > spread.median * 1.08);
+
+// A sold-out bucket moves the estimate away from the model
+const hot = buildValueModel([...sales, ...Array.from({ length: 5 }, () => ({ ...warrior, level: 1, price: Math.exp(5) }))], { weights: fit.weights })!;
+assert.ok(valueBucket(hot, warrior).value > comped.value);
+
+// Expected value weights bucket values by the summoning odds
+const valuation = valueOffspring(probabilities, model, { generation: 1, summonsLeft: 5 });
+const manual = buckets.reduce((sum, b) => sum + b.probability * valueBucket(model, { ...b, generation: 1, summonsLeft: 5 }).value, 0);
+assert.ok(near(valuation.expectedValue, manual, 1e-6));
+const manualSe = buckets.reduce((sum, b) => {
+  const { value, logSe } = valueBucket(model, { ...b, generation: 1, summonsLeft: 5 });
+  return sum + b.probability * value * logSe;
+}, 0);
+assert.ok(near(valuation.standardError, manualSe, 1e-9));
+assert.ok(valuation.interval[0] <= valuation.expectedValue && valuation.expectedValue <= valuation.interval[1]);
+assert.ok(near(valuation.compCoverage, 1));
+assert.equal(valuation.buckets[0].mainClass, 'Warrior');
+
+assert.deepEqual(childProfile({ generation: 1, maxSummons: 6 }, { generation: 3, maxSummons: 4 }), { generation: 4, summonsLeft: 3 });
+
+// Profit subtracts one summon's cost, or every summon plus purchase for the pair
+const parentA = { generation: 1, summons: 0, maxSummons: 2, mainClass: 'Warrior', price: 40 };
+const parentB = { generation: 1, summons: 0, maxSummons: 2, mainClass: 'Warrior', price: 60 };
+const flat = { expectedValue: 100, standardError: 10 };
+const regular = estimateProfit(flat, parentA, parentB, { tearPrice: 0 });
+assert.equal(regular.attempts, 2);
+assert.ok(near(regular.perSummon.expected, 100 - 32));
+assert.ok(near(regular.perSummon.low, 68 - 19.6));
+assert.ok(near(regular.pair.expected, 200 - 32 - 36 - 100));
+assert.ok(near(regular.pair.high - regular.pair.expected, 2 * 19.6));
+const dark = estimateProfit(flat, { ...parentA, summons: 2 }, parentB, { summonType: 'dark' });
+assert.equal(dark.attempts, 1);
+assert.ok(near(dark.pair.expected, 100 - 0.25 * (20 + 16) - 100));
+
+// ----------------------------------------------------------------------------
+// loadValueModel: recent sales of the realm from tavern_sales (runs against DATABASE_URL)
+// ----------------------------------------------------------------------------
+
+await pushSchema();
+const DAY = 24 * 60 * 60 * 1000;
+const saleRow = (i: number, realm: string, daysAgo: number, price: number) => {
+  const saleTimestamp = new Date(Date.now() - daysAgo * DAY - i * 1000);
+  return {
+    heroId: 100000 + i, realm, saleTimestamp, asOfDate: saleTimestamp, tokenAddress: '0x0', tokenSymbol: 'CRYSTAL',
+    priceAmount: String(price), mainClass: i % 2 ? 'Warrior' : 'Paladin', profession: 'mining', rarity: i % 3,
+    traitScore: i % 4, generation: 1, summons: 0, maxSummons: 5, level: 1,
+  };
+};
+await db.insert(tavernSales).values([
+  ...Array.from({ length: 60 }, (_, i) => saleRow(i, 'cv', 1 + (i % 10), 20 + i)),
+  // Outside the window, and another realm
+  saleRow(60, 'cv', 45, 5000),
+  saleRow(61, 'sd', 2, 5000),
+]);
+
+const loaded = (await loadValueModel('cv'))!;
+assert.equal(loaded.samples, 60);
+assert.equal(loaded.storedWeights, false);
+assert.equal(await loadValueModel('sd', { lookbackDays: 1 }), null);
+
+// Learned weights are picked up by the next model
+assert.equal((await learnTraitWeights(new Date(), 'cv'))!.trainingSamples, 60);
+const withWeights = (await loadValueModel('cv', { lookbackDays: 29 }))!;
+assert.equal(withWeights.storedWeights, true);
+assert.equal(withWeights.samples, 60);
+
+console.log('summon value tests passed');
+process.exit(0);
@@ -0,0 +1,174 @@
+import assert from 'assert';
+import { ethers } from 'ethers';
+import { eq } from 'drizzle-orm';
+import {
+  QUEST_REWARD_FUND,
+  categorizeInflow,
+  summarizeTreasury,
+  parseTokenReward,
+  buildPayoutTransactions,
+  exportedNonces,
+  payoutTransactionMismatch,
+  validatePayoutHashes,
+  rejectPayoutBatch,
+  cancelPayoutItem,
+  settlePayoutItem,
+  voidPayoutItem,
+  markPayoutBatchPaid,
+  draftPayoutBatch,
+  getPayoutBatch,
+} from '../treasury.js';
+import { classifyTransfer } from '../wallet-deposits.js';
+import { HEDGE_WALLET } from '../deposit-flow.js';
+import { db } from '../server/db.js';
+import { payoutBatches, payoutItems } from '../shared/schema.ts';
+import { pushSchema } from './push-schema.ts';
+
+const HASH_A = '0x' + 'a'.repeat(64);
+const HASH_B = '0x' + 'b'.repeat(64);
+const PLAYER = '0x1111111111111111111111111111111111111111';
+const WINNER = '0x2222222222222222222222222222222222222222';
+
+// Inflow categories: ledger deposit (by ref or legacy hash) > Quest Reward Fund > other
+const depositRefs = new Set([`${HASH_A}:3`, HASH_B]);
+assert.equal(categorizeInflow({ transferRef: `${HASH_A}:3`, txHash: HASH_A, fromWallet: PLAYER }, depositRefs), 'deposit');
+assert.equal(categorizeInflow({ transferRef: `${HASH_B}:1`, txHash: HASH_B, fromWallet: PLAYER }, depositRefs), 'deposit');
+assert.equal(categorizeInflow({ transferRef: '0xc', txHash: '0xc', fromWallet: QUEST_REWARD_FUND.toLowerCase() }, depositRefs), 'quest_reward_fund');
+assert.equal(categorizeInflow({ transferRef: '0xd', txHash: '0xd', fromWallet: PLAYER }, depositRefs), 'other');
+
+const summary = summarizeTreasury({
+  inflows: [
+    { transferRef: HASH_B, txHash: HASH_B, fromWallet: PLAYER, amountJewel: '10.5' },
+    { transferRef: '0xc', txHash: '0xc', fromWallet: QUEST_REWARD_FUND.toLowerCase(), amountJewel: '100' },
+    { transferRef: '0xd', txHash: '0xd', fromWallet: PLAYER, amountJewel: null }, // not priced yet
+  ],
+  depositRefs,
+  paidItems: [{ kind: 'level_racer_prize', amountJewel: '200' }, { kind: 'refund', amountJewel: '1.5' }],
+  openItems: [{ kind: 'season_reward', amountJewel: '50' }],
+});
+assert.deepEqual(summary.inflows.deposit, { count: 1, amountJewel: '10.5' });
+assert.deepEqual(summary.inflows.quest_reward_fund, { count: 1, amountJewel: '100' });
+assert.equal(summary.inflows.other.count, 0);
+assert.equal(summary.unpricedInflows, 1);
+assert.equal(summary.totalInflowJewel, '110.5');
+assert.equal(summary.totalOutflowJewel, '201.5');
+assert.equal(summary.netJewel, '-91');
+assert.equal(summary.outstandingJewel, '50');
+
+// Quest Reward Fund transfers are treasury income, never queued for deposit review
+const context = { walletOwners: new Map(), seenRefs: new Set(), jobWallets: new Set(), now: new Date() };
+assert.equal(classifyTransfer({ hash: HASH_A, logIndex: null, from: QUEST_REWARD_FUND, timestamp: new Date() }, context).reason, 'treasury_inflow');
+assert.equal(classifyTransfer({ hash: HASH_A, logIndex: null, from: PLAYER, timestamp: new Date() }, context).action, 'queue');
+
+// Season reward meta
+assert.deepEqual(parseTokenReward('{"amount": 50}'), { token: 'JEWEL', amount: '50' });
+assert.deepEqual(parseTokenReward({ tokenAmount: '12.5', token: 'crystal' }), { token: 'CRYSTAL', amount: '12.5' });
+assert.equal(parseTokenReward('{}'), null);
+assert.equal(parseTokenReward('{"amount": 0}'), null);
+assert.equal(parseTokenReward('not json'), null);
+
+// Unsigned transactions: nonces count up per chain in item order
+const fees = {
+  53935: { maxFeePerGas: 30000000000n, maxPriorityFeePerGas: 1000000000n },
+  1088: { maxFeePerGas: '2000000000', maxPriorityFeePerGas: '0' },
+};
+const items = [
+  { id: 7, kind: 'season_reward', recipientWallet: WINNER, chain: 'DFK Chain', token: 'CRYSTAL', amount: '12.5' },
+  { id: 3, kind: 'level_racer_prize', recipientWallet: WINNER, chain: 'DFK Chain', token: 'JEWEL', amount: '200' },
+  { id: 9, kind: 'refund', recipientWallet: PLAYER, chain: 'Metis Andromeda', token: 'JEWEL', amount: '1.000000000000000001' },
+];
+const txs = buildPayoutTransactions(items, { nonces: { 53935: 40, 1088: 5 }, fees });
+assert.deepEqual(txs.map(t => [t.itemId, t.chainId, t.nonce]), [[3, 53935, 40], [7, 53935, 41], [9, 1088, 5]]);
+
+const prize = txs[0];
+assert.equal(prize.to, ethers.getAddress(WINNER));
+assert.equal(prize.value, ethers.parseEther('200').toString());
+assert.equal(prize.data, '0x');
+assert.equal(prize.gasLimit, '21000');
+const decoded = ethers.Transaction.from(prize.unsignedSerialized);
+assert.equal(decoded.chainId, 53935n);
+assert.equal(decoded.nonce, 40);
+assert.equal(decoded.maxFeePerGas, 30000000000n);
+
+const tokenPayout = txs[1];
+assert.equal(tokenPayout.value, '0');
+assert.equal(tokenPayout.to.toLowerCase(), '0x04b9da42306b023f3572e106b11d82aad9d32ebb'); // CRYSTAL contract
+const [to, amount] = new ethers.Interface(['function transfer(address to, uint256 amount)']).decodeFunctionData('transfer', tokenPayout.data);
+assert.equal(to, ethers.getAddress(WINNER));
+assert.equal(amount, ethers.parseEther('12.5'));
+assert.equal(txs[2].value, '1000000000000000001');
+
+assert.throws(() => buildPayoutTransactions([{ ...items[1], token: 'USDC', chain: 'Metis Andromeda' }], { nonces: { 1088: 0 }, fees }), /not a token Hedge can send/);
+assert.throws(() => buildPayoutTransactions([items[2]], { nonces: { 53935: 1 }, fees }), /Missing nonce/);
+
+// Re-export keeps each item's first nonce, whatever the wallet's next nonce is by then
+const again = buildPayoutTransactions(items, { itemNonces: exportedNonces({ transactions: txs }), fees });
+assert.deepEqual(again.map(t => [t.itemId, t.nonce]), [[3, 40], [7, 41], [9, 5]]);
+assert.throws(() => buildPayoutTransactions(items, { itemNonces: { 3: 40 }, fees }), /#7 has no nonce/);
+assert.equal(exportedNonces(null), null);
+
+// A mined tx only pays its item: from the Hedge wallet, exported nonce, token, recipient and amount
+const mined = (t: any) => ({ from: HEDGE_WALLET, to: t.to, value: t.value, data: t.data, nonce: t.nonce });
+assert.equal(payoutTransactionMismatch(items[1], mined(prize), 40), null);
+assert.equal(payoutTransactionMismatch(items[0], mined(tokenPayout), 41), null);
+assert.match(payoutTransactionMismatch(items[1], { ...mined(prize), from: PLAYER })!, /not sent from the Hedge wallet/);
+assert.match(payoutTransactionMismatch(items[1], mined(prize), 39)!, /not the exported nonce 39/);
+assert.match(payoutTransactionMismatch(items[1], { ...mined(prize), to: PLAYER })!, /does not pay/);
+assert.match(payoutTransactionMismatch(items[1], { ...mined(prize), value: ethers.parseEther('199') })!, /sends 199\.0 JEWEL, not 200/);
+assert.match(payoutTransactionMismatch(items[0], mined(prize))!, /not a CRYSTAL transfer/);
+const toSomeoneElse = new ethers.Interface(['function transfer(address to, uint256 amount)'])
+  .encodeFunctionData('transfer', [PLAYER, ethers.parseEther('12.5')]);
+assert.match(payoutTransactionMismatch(items[0], { ...mined(tokenPayout), data: toSomeoneElse })!, /does not pay/);
+assert.match(payoutTransactionMismatch(items[0], { ...mined(tokenPayout), data: '0x' })!, /not a CRYSTAL transfer/);
+
+// Paid hashes: one distinct, well-formed hash per item
+const hashes = validatePayoutHashes([{ id: 3 }, { id: 7 }], { 3: HASH_A.toUpperCase().replace('0X', '0x'), '7': HASH_B });
+assert.equal(hashes.get(3), HASH_A);
+assert.equal(hashes.get(7), HASH_B);
+assert.throws(() => validatePayoutHashes([{ id: 3 }, { id: 7 }], { 3: HASH_A }), /#7 needs a valid/);
+assert.throws(() => validatePayoutHashes([{ id: 3 }, { id: 7 }], { 3: HASH_A, 7: HASH_A }), /more than one payout/);
+assert.throws(() => validatePayoutHashes([{ id: 3 }], { 3: '0x1234' }), /valid transaction hash/);
+
+// ----------------------------------------------------------------------------
+// Rejected exports and reused hashes (runs against DATABASE_URL; the RPC checks are skipped)
+// ----------------------------------------------------------------------------
+
+await pushSchema();
+const exportedBatch = async (refs: string[]) => {
+  const [batch] = await db.insert(payoutBatches).values({ status: 'exported', createdBy: 'test' }).returning();
+  const rows = await db.insert(payoutItems).values(refs.map(sourceRef => ({
+    batchId: batch.id, kind: 'refund', sourceRef, recipientWallet: PLAYER, amount: '1', amountJewel: '1', status: 'batched',
+  }))).returning();
+  const bundle = { batchId: batch.id, transactions: buildPayoutTransactions(rows, { nonces: { 53935: 70 }, fees }) };
+  await db.update(payoutBatches).set({ export: bundle }).where(eq(payoutBatches.id, batch.id));
+  return { batch, rows };
+};
+
+// Rejecting an exported batch keeps its payouts out of the queue until each is resolved
+const rejected = await exportedBatch(['test:1', 'test:2']);
+await rejectPayoutBatch(rejected.batch.id, { adminId: 'admin' });
+const afterReject = await getPayoutBatch(rejected.batch.id);
+assert.equal(afterReject.status, 'rejected');
+assert.deepEqual(afterReject.items.map(item => [item.status, item.batchId]), [['unsettled', rejected.batch.id], ['unsettled', rejected.batch.id]]);
+assert.equal(await draftPayoutBatch(), null);
+await assert.rejects(cancelPayoutItem(rejected.rows[0].id, { adminId: 'admin' }), /settle or void it first/);
+
+// One signed tx went out (settled as paid), the other never did (voided back to the queue)
+const settled = await settlePayoutItem(rejected.rows[0].id, { txHash: HASH_A, adminId: 'admin', verify: false });
+assert.deepEqual([settled.status, settled.txHash], ['paid', HASH_A]);
+const voided = await voidPayoutItem(rejected.rows[1].id, { adminId: 'admin', verify: false });
+assert.deepEqual([voided.status, voided.batchId], ['queued', null]);
+await assert.rejects(voidPayoutItem(rejected.rows[1].id, { adminId: 'admin', verify: false }), /is queued, not unsettled/);
+assert.equal((await draftPayoutBatch())!.added, 1);
+
+// A hash that already paid one payout can't pay another, in any batch
+const next = await exportedBatch(['test:3']);
+await assert.rejects(
+  markPayoutBatchPaid(next.batch.id, { txHashes: { [next.rows[0].id]: HASH_A }, adminId: 'admin', verify: false }),
+  new RegExp(`already paid payout #${rejected.rows[0].id}`)
+);
+await markPayoutBatchPaid(next.batch.id, { txHashes: { [next.rows[0].id]: HASH_B }, adminId: 'admin', verify: false });
+assert.equal((await getPayoutBatch(next.batch.id)).status, 'paid');
+
+console.log('treasury test passed');
+process.exit(0);
@@ -0,0 +1,101 @@
+import assert from 'assert';
+import { Wallet } from 'ethers';
+import { sql } from 'drizzle-orm';
+import { normalizeAddress, buildLinkMessage, recoverSigner, classifyTransfer, processIncomingTransfers } from '../wallet-deposits.js';
+import { db } from '../server/db.js';
+import { pushSchema } from './push-schema.ts';
+
+// Signed link messages recover to the signing wallet
+const wallet = Wallet.createRandom();
+const address = normalizeAddress(wallet.address);
+assert.equal(address, wallet.address.toLowerCase());
+assert.throws(() => normalizeAddress('0x1234'), /Invalid wallet address/);
+
+const message = buildLinkMessage({ discordId: '123', address, nonce: 'abc', issuedAt: new Date('2026-01-01T00:00:00Z') });
+assert.ok(message.includes(wallet.address)); // checksummed in the text the user reads
+assert.ok(message.includes('Nonce: abc'));
+
+const signature = await wallet.signMessage(message);
+assert.equal(recoverSigner(message, signature), address);
+assert.notEqual(recoverSigner(message + ' ', signature), address);
+assert.throws(() => recoverSigner(message, '0xdeadbeef'), /Signature could not be read/);
+
+// Transfer classification
+const now = new Date('2026-03-01T12:00:00Z');
+const verifiedAt = new Date('2026-03-01T00:00:00Z');
+const context = {
+  walletOwners: new Map([[address, { playerId: 7, verifiedAt }]]),
+  seenRefs: new Set(['0xseen']),
+  jobWallets: new Set(['0xjob']),
+  now,
+};
+const transfer = (overrides: Record<string, unknown>) => ({
+  hash: '0xAA', from: wallet.address, chain: 'DFK Chain', timestamp: new Date('2026-03-01T06:00:00Z'), ...overrides,
+});
+
+assert.deepEqual(classifyTransfer(transfer({}), context), { action: 'credit', reason: 'verified_wallet', playerId: 7 });
+assert.equal(classifyTransfer(transfer({ timestamp: new Date('2026-02-28T23:00:00Z') }), context).reason, 'before_verification');
+assert.equal(classifyTransfer(transfer({ hash: '0xSEEN' }), context).reason, 'already_processed');
+// Token transfers are keyed by hash and log index: another log in a credited tx is still new
+const tokenContext = { ...context, seenRefs: new Set(['0xbb:3']) };
+assert.equal(classifyTransfer(transfer({ hash: '0xBB', logIndex: 3 }), tokenContext).reason, 'already_processed');
+assert.equal(classifyTransfer(transfer({ hash: '0xBB', logIndex: 4 }), tokenContext).action, 'credit');
+assert.equal(classifyTransfer(transfer({ hash: '0xBB', logIndex: 4, from: '0xstranger' }), tokenContext).action, 'queue');
+assert.equal(classifyTransfer(transfer({ from: '0xJOB' }), context).reason, 'payment_job');
+assert.equal(classifyTransfer(transfer({ from: '0xstranger' }), context).action, 'queue');
+assert.equal(classifyTransfer(transfer({ from: '0xstranger', timestamp: new Date('2026-02-27T00:00:00Z') }), context).reason, 'too_old');
+
+// ----------------------------------------------------------------------------
+// Review queue (runs against DATABASE_URL): every token log of a tx is queued on its
+// own. The queue starts in its old tx_hash-keyed shape to exercise the migration.
+// ----------------------------------------------------------------------------
+
+await pushSchema();
+await db.execute(sql`DROP TABLE unmatched_transfers`);
+await db.execute(sql`
+  CREATE TABLE unmatched_transfers (
+    id SERIAL PRIMARY KEY,
+    tx_hash TEXT NOT NULL UNIQUE,
+    chain TEXT NOT NULL,
+    from_wallet TEXT NOT NULL,
+    amount_jewel NUMERIC(30, 18) NOT NULL,
+    block_number BIGINT,
+    transferred_at TIMESTAMPTZ NOT NULL,
+    status TEXT NOT NULL DEFAULT 'pending',
+    resolved_player_id INTEGER,
+    resolved_by TEXT,
+    resolution_note TEXT,
+    ledger_entry_id INTEGER,
+    resolved_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP NOT NULL
+  )
+`);
+// Queued before transfers carried a log index: stands for the first transfer of 0xcc
+const LEGACY = '0x' + 'cc'.repeat(32);
+await db.execute(sql`
+  INSERT INTO unmatched_transfers (tx_hash, chain, from_wallet, amount_jewel, transferred_at)
+  VALUES (${LEGACY}, 'DFK Chain', '0xstranger', 1, NOW())
+`);
+
+const SPLIT = '0x' + 'dd'.repeat(32);
+const incoming = (hash: string, logIndex: number, amount: string) => ({
+  hash, logIndex, from: '0x00000000000000000000000000000000000b0b00', token: 'JEWEL', amount, chain: 'DFK Chain',
+  timestamp: new Date(), blockNumber: 100,
+});
+const batch = [incoming(LEGACY, 0, '1'), incoming(LEGACY, 1, '2'), incoming(SPLIT, 2, '3'), incoming(SPLIT, 5, '4')];
+
+assert.deepEqual(await processIncomingTransfers(batch), { credited: 0, queued: 3, skipped: 1 });
+const queue = await db.execute(sql`SELECT transfer_ref, tx_hash, log_index, amount_jewel FROM unmatched_transfers ORDER BY id`) as any[];
+assert.deepEqual(queue.map(r => [r.transfer_ref, Number(r.amount_jewel)]), [
+  [LEGACY, 1],
+  [`${LEGACY}:1`, 2],
+  [`${SPLIT}:2`, 3],
+  [`${SPLIT}:5`, 4],
+]);
+assert.equal(queue[3].tx_hash, SPLIT);
+
+// The next sweep sees the same logs again and queues nothing
+assert.deepEqual(await processIncomingTransfers(batch), { credited: 0, queued: 0, skipped: 4 });
+
+console.log('wallet-deposits test passed');
+process.exit(0);
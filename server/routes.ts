@@ -2512,16 +2512,19 @@ export async function registerRoutes(app: Express): Promise<Server> {
 
   app.post("/api/admin/hedge/entitlements/preview", isAdmin, async (req: any, res: any) => {
     try {
-      const { domain, resource, tier_id, sample } = req.body || {};
-      if (!domain || !resource || !tier_id || !sample) {
-        return res.status(400).json({ ok: false, error: 'domain, resource, tier_id, sample required' });
+      // player_id previews what that player's subscription currently unlocks
+      const { domain, resource, tier_id, player_id, sample } = req.body || {};
+      if (!domain || !resource || !(tier_id || player_id) || !sample) {
+        return res.status(400).json({ ok: false, error: 'domain, resource, tier_id or player_id, sample required' });
       }
-      const { getEntitlements, shapeObjectByAllowlist } = await import('../src/entitlements/entitlements.js');
+      const { getEntitlements, getPlayerEntitlements, shapeObjectByAllowlist } = await import('../src/entitlements/entitlements.js');
 
-      const ent = await getEntitlements(domain, resource, tier_id);
+      const ent = player_id
+        ? await getPlayerEntitlements(domain, resource, Number(player_id))
+        : await getEntitlements(domain, resource, tier_id);
       const shaped = shapeObjectByAllowlist(sample, ent.allowFields);
 
-      res.json({ ok: true, tier: tier_id, features: ent.flags, result: shaped });
+      res.json({ ok: true, tier: ent.tier, features: ent.flags, result: shaped });
     } catch (error: any) {
       console.error('[HedgeProxy] Error previewing entitlements:', error);
       res.status(500).json({ ok: false, error: error?.message ?? String(error) });
@@ -2955,13 +2958,10 @@ export async function registerRoutes(app: Express): Promise<Server> {
       }
 
       const realm = encounter.realm || 'dfk';
-      const { COMBAT_CONTRACTS } = await import('../src/config/combatContracts.js');
-      const rpcUrl = realm === 'klaytn'
-        ? COMBAT_CONTRACTS.klaytn.rpcUrl
-        : COMBAT_CONTRACTS.dfk.rpcUrl;
+      const { getChainProvider } = await import('../src/services/rpcProviderRegistry.js');
+      const provider = getChainProvider(realm === 'klaytn' ? 'klaytn' : 'dfk');
 
       const { ethers } = await import('ethers');
-      const provider = new ethers.JsonRpcProvider(rpcUrl);
 
       let receipt;
       try {
@@ -4,7 +4,7 @@ import { combatSources, entitlementTiers, entitlementRules, combatKeywords, comb
 import { eq, desc, sql, and } from 'drizzle-orm';
 import { ingestCombatCodex } from '../../src/dfk/combatCodexIngestor';
 import { CombatSkillFields } from '../../src/schema/combatSchemas';
-import { getEntitlements, shapeObjectByAllowlist, UserTier } from '../../src/entitlements/entitlements';
+import { getEntitlements, getPlayerEntitlements, shapeObjectByAllowlist, UserTier } from '../../src/entitlements/entitlements';
 
 export function registerHedgeAdminRoutes(router: Router) {
   
@@ -416,15 +416,18 @@ export function registerHedgeAdminRoutes(router: Router) {
 
   router.post('/entitlements/preview', async (req: Request, res: Response) => {
     try {
-      const { domain, resource, tier_id, sample } = req.body || {};
-      if (!domain || !resource || !tier_id || !sample) {
-        return res.status(400).json({ ok: false, error: 'domain, resource, tier_id, sample required' });
+      // player_id previews what that player's subscription currently unlocks
+      const { domain, resource, tier_id, player_id, sample } = req.body || {};
+      if (!domain || !resource || !(tier_id || player_id) || !sample) {
+        return res.status(400).json({ ok: false, error: 'domain, resource, tier_id or player_id, sample required' });
       }
 
-      const ent = await getEntitlements(domain, resource, tier_id as UserTier);
+      const ent = player_id
+        ? await getPlayerEntitlements(domain, resource, Number(player_id))
+        : await getEntitlements(domain, resource, tier_id as UserTier);
       const shaped = shapeObjectByAllowlist(sample, ent.allowFields);
 
-      res.json({ ok: true, tier: tier_id, features: ent.flags, result: shaped });
+      res.json({ ok: true, tier: ent.tier, features: ent.flags, result: shaped });
     } catch (error: any) {
       console.error('[HedgeAdmin] Error previewing entitlements:', error);
       res.status(500).json({ ok: false, error: error?.message ?? String(error) });
@@ -93,7 +93,7 @@ publicCombatRouter.get('/keywords', async (_req: Request, res: Response) => {
 
 publicCombatRouter.get('/skills/search', async (req: Request, res: Response) => {
   try {
-    const tier = resolveTier(req);
+    const tier = await resolveTier(req);
     const ent = await getEntitlements('combat', 'skills.search', tier);
 
     const className = typeof req.query.class === 'string' ? req.query.class : undefined;
@@ -402,6 +402,13 @@ export const userSettings = pgTable("user_settings", {
   playerId: integer("player_id").notNull().references(() => players.id),
   notifyOnAprDrop: boolean("notify_on_apr_drop").default(false).notNull(),
   notifyOnNewOptimization: boolean("notify_on_new_optimization").default(true).notNull(),
+  // Spend controls (spend-controls.js); null = off
+  dailySpendCapJewel: numeric("daily_spend_cap_jewel", { precision: 30, scale: 18 }),
+  weeklySpendCapJewel: numeric("weekly_spend_cap_jewel", { precision: 30, scale: 18 }),
+  confirmAboveJewel: numeric("confirm_above_jewel", { precision: 30, scale: 18 }), // Paid queries above this need confirmation
+  lowBalanceAlertJewel: numeric("low_balance_alert_jewel", { precision: 30, scale: 18 }),
+  monthlyStatement: boolean("monthly_statement").default(true).notNull(),
+  lastStatementPeriod: text("last_statement_period"), // 'YYYY-MM' of the last statement DM sent
   createdAt: timestamp("created_at", { withTimezone: true }).default(sql`CURRENT_TIMESTAMP`).notNull(),
   updatedAt: timestamp("updated_at", { withTimezone: true }).default(sql`CURRENT_TIMESTAMP`).notNull(),
 }, (table) => ({
@@ -434,6 +441,10 @@ export const interactionSessions = pgTable("interaction_sessions", {
   commandsUsed: json("commands_used").$type<string[]>().default(sql`'[]'::json`), // ['hero', 'garden', 'market']
   blockchainQueriesMade: integer("blockchain_queries_made").default(0).notNull(),
   
+  // Conversation memory: rolling summary of turns older than the token budget
+  memorySummary: text("memory_summary"),
+  summarizedThroughMessageId: integer("summarized_through_message_id"),
+  
   createdAt: timestamp("created_at", { withTimezone: true }).default(sql`CURRENT_TIMESTAMP`).notNull(),
 }, (table) => ({
   playerIdIdx: index("interaction_sessions_player_id_idx").on(table.playerId),
@@ -459,6 +470,10 @@ export const interactionMessages = pgTable("interaction_messages", {
   heroIdQueried: bigint("hero_id_queried", { mode: "number" }),
   walletQueried: text("wallet_queried"),
   
+  // Message text kept for conversation memory (nulled by /forget)
+  content: text("content"),
+  tokenCount: integer("token_count"),
+  
   createdAt: timestamp("created_at", { withTimezone: true }).default(sql`CURRENT_TIMESTAMP`).notNull(),
 }, (table) => ({
   sessionIdIdx: index("interaction_messages_session_id_idx").on(table.sessionId),
@@ -634,8 +649,258 @@ export const queryCosts = pgTable("query_costs", {
   queryType: text("query_type").notNull(),
   costJewel: numeric("cost_jewel", { precision: 30, scale: 18 }).notNull(),
   createdAt: timestamp("created_at", { withTimezone: true }).default(sql`CURRENT_TIMESTAMP`).notNull(),
+  // Per-query economics (balance-middleware.js logQueryCost)
+  playerId: integer("player_id").references(() => players.id),
+  queryRef: text("query_ref"), // links llm_usage rows made while the query ran
+  tier: text("tier"), // player's ledger tier when charged
+  toolsUsed: json("tools_used").$type<string[]>().default(sql`'[]'::json`),
+  timestamp: timestamp("timestamp", { withTimezone: true }).default(sql`CURRENT_TIMESTAMP`).notNull(),
+  tokensUsed: integer("tokens_used").default(0),
+  openaiCostUsd: numeric("openai_cost_usd", { precision: 20, scale: 8 }).default('0'),
+  replitCostUsd: numeric("replit_cost_usd", { precision: 20, scale: 8 }).default('0'),
+  totalCostUsd: numeric("total_cost_usd", { precision: 20, scale: 8 }).default('0'),
+  priceChargedJewel: numeric("price_charged_jewel", { precision: 30, scale: 18 }).default('0'),
+  jewelPriceUsd: numeric("jewel_price_usd", { precision: 20, scale: 8 }),
+  revenueUsd: numeric("revenue_usd", { precision: 20, scale: 8 }).default('0'),
+  profitUsd: numeric("profit_usd", { precision: 20, scale: 8 }).default('0'),
+  profitMargin: numeric("profit_margin", { precision: 12, scale: 2 }),
+  userMessage: text("user_message"),
+  freeTierUsed: boolean("free_tier_used").default(false).notNull(),
+  discountApplied: text("discount_applied"),
+}, (table) => ({
+  timestampIdx: index("query_costs_timestamp_idx").on(table.timestamp),
+  queryRefIdx: index("query_costs_query_ref_idx").on(table.queryRef),
+}));
+
+/**
+ * LLM usage - one row per model call with its token counts and USD cost.
+ * Calls made inside a paid query carry its query_ref, player and query type.
+ */
+export const llmUsage = pgTable("llm_usage", {
+  id: serial("id").primaryKey(),
+  feature: text("feature").notNull(), // llmProvider LLM_FEATURES key
+  provider: text("provider").notNull(), // 'openai', 'local'
+  model: text("model").notNull(),
+  promptTokens: integer("prompt_tokens").notNull().default(0),
+  completionTokens: integer("completion_tokens").notNull().default(0),
+  costUsd: numeric("cost_usd", { precision: 20, scale: 8 }), // null when the model has no known price
+  playerId: integer("player_id").references(() => players.id),
+  queryType: text("query_type"),
+  queryRef: text("query_ref"),
+  createdAt: timestamp("created_at", { withTimezone: true }).default(sql`CURRENT_TIMESTAMP`).notNull(),
+}, (table) => ({
+  createdIdx: index("llm_usage_created_idx").on(table.createdAt),
+  queryRefIdx: index("llm_usage_query_ref_idx").on(table.queryRef),
+  playerIdx: index("llm_usage_player_idx").on(table.playerId),
+}));
+
+export type QueryCost = typeof queryCosts.$inferSelect;
+export type LlmUsage = typeof llmUsage.$inferSelect;
+
+/**
+ * JEWEL ledger - append-only double-entry journal.
+ * Every balance change is one entry whose postings' debits equal its credits.
+ * A player's balance is the credit balance of their `player:<id>` account;
+ * jewel_balances is a cache of it.
+ */
+export const ledgerEntries = pgTable("ledger_entries", {
+  id: serial("id").primaryKey(),
+  entryType: text("entry_type").notNull(), // 'deposit', 'query_charge', 'subscription_charge', 'refund', 'promo_credit', 'admin_adjustment', 'opening_balance'
+  playerId: integer("player_id").references(() => players.id),
+  externalRef: text("external_ref"), // tx hash, query id, promo code... (unique per entry type, makes posting idempotent)
+  description: text("description"),
+  metadata: json("metadata").$type<Record<string, unknown>>().default(sql`'{}'::json`),
+  createdBy: text("created_by"), // 'system' or admin Discord ID
+  createdAt: timestamp("created_at", { withTimezone: true }).default(sql`CURRENT_TIMESTAMP`).notNull(),
+}, (table) => ({
+  typeRefIdx: uniqueIndex("ledger_entries_type_ref_idx").on(table.entryType, table.externalRef),
+  playerIdx: index("ledger_entries_player_idx").on(table.playerId, table.createdAt),
+}));
+
+export const ledgerPostings = pgTable("ledger_postings", {
+  id: serial("id").primaryKey(),
+  entryId: integer("entry_id").notNull().references(() => ledgerEntries.id),
+  account: text("account").notNull(), // 'player:42', 'asset:hedge_wallet', 'revenue:queries', ...
+  direction: text("direction").notNull(), // 'debit' or 'credit'
+  amountJewel: numeric("amount_jewel", { precision: 30, scale: 18 }).notNull(), // always positive
+  createdAt: timestamp("created_at", { withTimezone: true }).default(sql`CURRENT_TIMESTAMP`).notNull(),
+}, (table) => ({
+  entryIdx: index("ledger_postings_entry_idx").on(table.entryId),
+  accountIdx: index("ledger_postings_account_idx").on(table.account),
+}));
+
+export type LedgerEntry = typeof ledgerEntries.$inferSelect;
+export type LedgerPosting = typeof ledgerPostings.$inferSelect;
+
+/**
+ * Subscription plans - a paid, time-bound entitlement tier (monthly or seasonal)
+ */
+export const subscriptionPlans = pgTable("subscription_plans", {
+  planId: text("plan_id").primaryKey(), // e.g. 'premium_monthly'
+  tierId: text("tier_id").notNull(), // entitlement_tiers.tier_id granted while active
+  displayName: text("display_name").notNull(),
+  period: text("period").notNull(), // 'monthly' or 'seasonal'
+  durationDays: integer("duration_days").notNull(), // seasonal plans run to the active season's end when there is one
+  priceJewel: numeric("price_jewel", { precision: 30, scale: 18 }).notNull(),
+  graceDays: integer("grace_days").notNull().default(3),
+  enabled: boolean("enabled").notNull().default(true),
+  sortOrder: integer("sort_order").notNull().default(0),
+  updatedAt: timestamp("updated_at", { withTimezone: true }).default(sql`CURRENT_TIMESTAMP`).notNull(),
+});
+
+export type SubscriptionPlan = typeof subscriptionPlans.$inferSelect;
+
+/**
+ * Player subscriptions - one row per subscription, renewed in place each period
+ */
+export const playerSubscriptions = pgTable("player_subscriptions", {
+  id: serial("id").primaryKey(),
+  playerId: integer("player_id").notNull().references(() => players.id),
+  planId: text("plan_id").notNull().references(() => subscriptionPlans.planId),
+  tierId: text("tier_id").notNull(),
+  status: text("status").notNull().default('active'), // 'active', 'grace', 'expired', 'cancelled'
+  autoRenew: boolean("auto_renew").notNull().default(true),
+  fundingSource: text("funding_source").notNull().default('balance'), // 'balance' or 'deposit'
+  currentPeriodStart: timestamp("current_period_start", { withTimezone: true }).notNull(),
+  currentPeriodEnd: timestamp("current_period_end", { withTimezone: true }).notNull(),
+  graceEndsAt: timestamp("grace_ends_at", { withTimezone: true }),
+  renewalCount: integer("renewal_count").notNull().default(0),
+  lastReminderStage: text("last_reminder_stage"), // '3d', '1d', 'grace' - avoids repeat DMs within a period
+  cancelledAt: timestamp("cancelled_at", { withTimezone: true }),
+  endedAt: timestamp("ended_at", { withTimezone: true }),
+  createdAt: timestamp("created_at", { withTimezone: true }).default(sql`CURRENT_TIMESTAMP`).notNull(),
+  updatedAt: timestamp("updated_at", { withTimezone: true }).default(sql`CURRENT_TIMESTAMP`).notNull(),
+}, (table) => ({
+  playerIdx: index("player_subscriptions_player_idx").on(table.playerId),
+  statusEndIdx: index("player_subscriptions_status_end_idx").on(table.status, table.currentPeriodEnd),
+}));
+
+export type PlayerSubscription = typeof playerSubscriptions.$inferSelect;
+
+/**
+ * Wallet link challenges - one-time EIP-191 messages a player signs to prove
+ * they own a wallet
+ */
+export const walletLinkChallenges = pgTable("wallet_link_challenges", {
+  id: serial("id").primaryKey(),
+  playerId: integer("player_id").notNull().references(() => players.id),
+  address: text("address").notNull(), // lowercased
+  nonce: text("nonce").notNull().unique(),
+  message: text("message").notNull(), // exact text the player must sign
+  expiresAt: timestamp("expires_at", { withTimezone: true }).notNull(),
+  usedAt: timestamp("used_at", { withTimezone: true }),
+  createdAt: timestamp("created_at", { withTimezone: true }).default(sql`CURRENT_TIMESTAMP`).notNull(),
+}, (table) => ({
+  playerAddressIdx: index("wallet_link_challenges_player_address_idx").on(table.playerId, table.address),
+}));
+
+export type WalletLinkChallenge = typeof walletLinkChallenges.$inferSelect;
+
+/**
+ * Verified wallets - addresses a player has proven they own.
+ * Payments sent from an active verified wallet to Hedge are credited to that player.
+ */
+export const verifiedWallets = pgTable("verified_wallets", {
+  id: serial("id").primaryKey(),
+  playerId: integer("player_id").notNull().references(() => players.id),
+  address: text("address").notNull().unique(), // lowercased; a wallet belongs to one player at a time
+  signature: text("signature").notNull(),
+  message: text("message").notNull(),
+  isActive: boolean("is_active").notNull().default(true),
+  verifiedAt: timestamp("verified_at", { withTimezone: true }).default(sql`CURRENT_TIMESTAMP`).notNull(),
+  unlinkedAt: timestamp("unlinked_at", { withTimezone: true }),
+}, (table) => ({
+  playerIdx: index("verified_wallets_player_idx").on(table.playerId),
+}));
+
+export type VerifiedWallet = typeof verifiedWallets.$inferSelect;
+
+/**
+ * Unmatched transfers - payments that reached Hedge's wallet from an address no
+ * player has verified, held for admin review (credit to a player or dismiss)
+ */
+export const unmatchedTransfers = pgTable("unmatched_transfers", {
+  id: serial("id").primaryKey(),
+  transferRef: text("transfer_ref").notNull().unique(), // tx hash, plus ":<log index>" for token transfers (jewel-ledger transferRef)
+  txHash: text("tx_hash").notNull(), // lowercased
+  logIndex: integer("log_index"), // token transfers only
+  chain: text("chain").notNull(),
+  fromWallet: text("from_wallet").notNull(),
+  amountJewel: numeric("amount_jewel", { precision: 30, scale: 18 }).notNull(), // JEWEL-equivalent at transfer time
+  token: text("token").notNull().default('JEWEL'), // 'JEWEL', 'CRYSTAL', 'USDC'
+  tokenAmount: numeric("token_amount", { precision: 30, scale: 18 }),
+  conversion: json("conversion"), // payment-tokens.js rate and prices for non-JEWEL transfers
+  blockNumber: bigint("block_number", { mode: "number" }),
+  transferredAt: timestamp("transferred_at", { withTimezone: true }).notNull(),
+  status: text("status").notNull().default('pending'), // 'pending', 'credited', 'dismissed', 'refunded'
+  resolvedPlayerId: integer("resolved_player_id").references(() => players.id),
+  resolvedBy: text("resolved_by"), // admin Discord ID
+  resolutionNote: text("resolution_note"),
+  ledgerEntryId: integer("ledger_entry_id"),
+  resolvedAt: timestamp("resolved_at", { withTimezone: true }),
+  createdAt: timestamp("created_at", { withTimezone: true }).default(sql`CURRENT_TIMESTAMP`).notNull(),
+}, (table) => ({
+  statusIdx: index("unmatched_transfers_status_idx").on(table.status, table.createdAt),
+}));
+
+export type UnmatchedTransfer = typeof unmatchedTransfers.$inferSelect;
+
+/**
+ * Promo codes - redeemable for JEWEL credit and/or a free subscription trial
+ */
+export const promoCodes = pgTable("promo_codes", {
+  code: text("code").primaryKey(), // uppercase
+  description: text("description"),
+  amountJewel: numeric("amount_jewel", { precision: 30, scale: 18 }), // balance credit, if any
+  planId: text("plan_id").references(() => subscriptionPlans.planId), // trial plan, if any
+  trialDays: integer("trial_days"),
+  maxRedemptions: integer("max_redemptions"), // null = unlimited
+  perUserLimit: integer("per_user_limit").notNull().default(1), // counted across linked accounts
+  redemptionCount: integer("redemption_count").notNull().default(0),
+  targetTiers: json("target_tiers").$type<string[]>(), // entitlement tiers allowed to redeem; null = all
+  startsAt: timestamp("starts_at", { withTimezone: true }),
+  expiresAt: timestamp("expires_at", { withTimezone: true }),
+  enabled: boolean("enabled").notNull().default(true),
+  createdBy: text("created_by"),
+  createdAt: timestamp("created_at", { withTimezone: true }).default(sql`CURRENT_TIMESTAMP`).notNull(),
 });
 
+export type PromoCode = typeof promoCodes.$inferSelect;
+
+export const promoRedemptions = pgTable("promo_redemptions", {
+  id: serial("id").primaryKey(),
+  code: text("code").notNull().references(() => promoCodes.code),
+  playerId: integer("player_id").notNull().references(() => players.id),
+  amountJewel: numeric("amount_jewel", { precision: 30, scale: 18 }),
+  ledgerEntryId: integer("ledger_entry_id"),
+  subscriptionId: integer("subscription_id"),
+  createdAt: timestamp("created_at", { withTimezone: true }).default(sql`CURRENT_TIMESTAMP`).notNull(),
+}, (table) => ({
+  codePlayerIdx: index("promo_redemptions_code_player_idx").on(table.code, table.playerId),
+}));
+
+export type PromoRedemption = typeof promoRedemptions.$inferSelect;
+
+/**
+ * Referrals - inviter is credited once the invitee's deposits reach the minimum
+ */
+export const referrals = pgTable("referrals", {
+  id: serial("id").primaryKey(),
+  inviterPlayerId: integer("inviter_player_id").notNull().references(() => players.id),
+  inviteePlayerId: integer("invitee_player_id").notNull().references(() => players.id).unique(), // one inviter per player
+  status: text("status").notNull().default('pending'), // 'pending', 'credited', 'rejected'
+  rewardJewel: numeric("reward_jewel", { precision: 30, scale: 18 }),
+  ledgerEntryId: integer("ledger_entry_id"),
+  rejectReason: text("reject_reason"),
+  settledAt: timestamp("settled_at", { withTimezone: true }),
+  createdAt: timestamp("created_at", { withTimezone: true }).default(sql`CURRENT_TIMESTAMP`).notNull(),
+}, (table) => ({
+  inviterIdx: index("referrals_inviter_idx").on(table.inviterPlayerId),
+  statusIdx: index("referrals_status_idx").on(table.status),
+}));
+
+export type Referral = typeof referrals.$inferSelect;
+
 export const gardenOptimizations = pgTable("garden_optimizations", {
   id: serial("id").primaryKey(),
   playerId: integer("player_id").notNull().references(() => players.id),
@@ -652,10 +917,139 @@ export const gardenOptimizations = pgTable("garden_optimizations", {
   createdAt: timestamp("created_at", { withTimezone: true }).default(sql`CURRENT_TIMESTAMP`).notNull(),
   updatedAt: timestamp("updated_at", { withTimezone: true }).default(sql`CURRENT_TIMESTAMP`).notNull(),
   paymentVerifiedAt: timestamp("payment_verified_at", { withTimezone: true }),
+  paidAmountJewel: numeric("paid_amount_jewel", { precision: 30, scale: 18 }),
+  paidAt: timestamp("paid_at", { withTimezone: true }),
   startBlock: bigint("start_block", { mode: "number" }),
   lastScannedBlock: bigint("last_scanned_block", { mode: "number" }),
 });
 
+/**
+ * Payment jobs - durable state for an on-chain payment Hedge is waiting for
+ *
+ * pending → seen (matching transfer claimed) → confirmed (enough blocks on top)
+ * → credited (ledger deposit posted); pending → expired when nothing arrived in time;
+ * confirmed → conflict when the transfer was already credited to another player.
+ * transfer_ref is the ledger deposit key (tx hash, plus log index for token
+ * transfers), unique so one transfer can only ever pay for one job.
+ */
+export const paymentJobs = pgTable("payment_jobs", {
+  id: serial("id").primaryKey(),
+  jobType: text("job_type").notNull().default('garden_optimization'),
+  optimizationId: integer("optimization_id").notNull().unique().references(() => gardenOptimizations.id),
+  playerId: integer("player_id").notNull().references(() => players.id),
+  fromWallet: text("from_wallet").notNull(), // lowercased
+  expectedAmountJewel: numeric("expected_amount_jewel", { precision: 30, scale: 18 }).notNull(),
+  state: text("state").notNull().default('pending'), // 'pending', 'seen', 'confirmed', 'credited', 'expired', 'conflict'
+  transferRef: text("transfer_ref").unique(),
+  txHash: text("tx_hash"),
+  logIndex: integer("log_index"), // null for native JEWEL transfers
+  chain: text("chain"),
+  blockNumber: bigint("block_number", { mode: "number" }),
+  amountJewel: numeric("amount_jewel", { precision: 30, scale: 18 }),
+  token: text("token"),
+  tokenAmount: numeric("token_amount", { precision: 30, scale: 18 }),
+  conversion: json("conversion"),
+  transferredAt: timestamp("transferred_at", { withTimezone: true }),
+  confirmations: integer("confirmations").notNull().default(0),
+  ledgerEntryId: integer("ledger_entry_id"),
+  requestedAt: timestamp("requested_at", { withTimezone: true }).notNull(),
+  expiresAt: timestamp("expires_at", { withTimezone: true }).notNull(),
+  seenAt: timestamp("seen_at", { withTimezone: true }),
+  confirmedAt: timestamp("confirmed_at", { withTimezone: true }),
+  creditedAt: timestamp("credited_at", { withTimezone: true }),
+  expiredAt: timestamp("expired_at", { withTimezone: true }),
+  conflictReason: text("conflict_reason"), // set when the transfer was already credited to another player
+  conflictedAt: timestamp("conflicted_at", { withTimezone: true }),
+  createdAt: timestamp("created_at", { withTimezone: true }).default(sql`CURRENT_TIMESTAMP`).notNull(),
+  updatedAt: timestamp("updated_at", { withTimezone: true }).default(sql`CURRENT_TIMESTAMP`).notNull(),
+}, (table) => ({
+  stateIdx: index("payment_jobs_state_idx").on(table.state),
+}));
+
+export type PaymentJob = typeof paymentJobs.$inferSelect;
+
+/**
+ * Treasury inflows - every transfer into the Hedge wallet seen by the deposit sweep,
+ * categorized at report time (player deposit, Quest Reward Fund, other)
+ */
+export const treasuryInflows = pgTable("treasury_inflows", {
+  id: serial("id").primaryKey(),
+  transferRef: text("transfer_ref").notNull().unique(), // tx hash, plus log index for token transfers
+  txHash: text("tx_hash").notNull(), // lowercased
+  logIndex: integer("log_index"),
+  chain: text("chain").notNull(),
+  fromWallet: text("from_wallet").notNull(), // lowercased
+  token: text("token").notNull().default('JEWEL'),
+  tokenAmount: numeric("token_amount", { precision: 30, scale: 18 }).notNull(),
+  amountJewel: numeric("amount_jewel", { precision: 30, scale: 18 }), // null when the token couldn't be priced
+  blockNumber: bigint("block_number", { mode: "number" }),
+  transferredAt: timestamp("transferred_at", { withTimezone: true }).notNull(),
+  createdAt: timestamp("created_at", { withTimezone: true }).default(sql`CURRENT_TIMESTAMP`).notNull(),
+}, (table) => ({
+  transferredAtIdx: index("treasury_inflows_transferred_at_idx").on(table.transferredAt),
+}));
+
+export type TreasuryInflow = typeof treasuryInflows.$inferSelect;
+
+/**
+ * Payout batches - outgoing treasury payments grouped for admin approval
+ *
+ * draft → approved → exported (unsigned transactions handed out for offline
+ * signing) → paid; draft/approved → rejected returns the items to the queue.
+ */
+export const payoutBatches = pgTable("payout_batches", {
+  id: serial("id").primaryKey(),
+  status: text("status").notNull().default('draft'), // 'draft', 'approved', 'exported', 'paid', 'rejected'
+  totalJewel: numeric("total_jewel", { precision: 30, scale: 18 }).notNull().default('0'),
+  createdBy: text("created_by").notNull(), // admin Discord ID, or 'system' for the payout sweep
+  approvedBy: text("approved_by"),
+  rejectedBy: text("rejected_by"),
+  note: text("note"),
+  export: json("export"), // last signing bundle (from, chainId, nonce, transactions)
+  approvedAt: timestamp("approved_at", { withTimezone: true }),
+  exportedAt: timestamp("exported_at", { withTimezone: true }),
+  paidAt: timestamp("paid_at", { withTimezone: true }),
+  rejectedAt: timestamp("rejected_at", { withTimezone: true }),
+  createdAt: timestamp("created_at", { withTimezone: true }).default(sql`CURRENT_TIMESTAMP`).notNull(),
+  updatedAt: timestamp("updated_at", { withTimezone: true }).default(sql`CURRENT_TIMESTAMP`).notNull(),
+}, (table) => ({
+  statusIdx: index("payout_batches_status_idx").on(table.status),
+}));
+
+export type PayoutBatch = typeof payoutBatches.$inferSelect;
+
+/**
+ * Payout items - one outgoing payment (Level Racer prize, season reward, refund)
+ *
+ * source_ref identifies what is being paid (class_pool:<id>, season_claim:<id>,
+ * unmatched_transfer:<id>) and is unique, so a prize can't be queued twice,
+ * even after it is cancelled. Items wait in the queue (no batch) until the
+ * next batch is drafted.
+ */
+export const payoutItems = pgTable("payout_items", {
+  id: serial("id").primaryKey(),
+  batchId: integer("batch_id").references(() => payoutBatches.id),
+  kind: text("kind").notNull(), // 'level_racer_prize', 'season_reward', 'refund'
+  sourceRef: text("source_ref").notNull().unique(),
+  recipientWallet: text("recipient_wallet").notNull(), // lowercased
+  chain: text("chain").notNull().default('DFK Chain'), // payment-tokens.js chain name
+  token: text("token").notNull().default('JEWEL'),
+  amount: numeric("amount", { precision: 30, scale: 18 }).notNull(), // in `token`
+  amountJewel: numeric("amount_jewel", { precision: 30, scale: 18 }).notNull(),
+  description: text("description"),
+  status: text("status").notNull().default('queued'), // 'queued', 'batched', 'unsettled' (in a rejected exported batch), 'paid', 'cancelled'
+  txHash: text("tx_hash"), // unique: a tx pays one payout
+  createdBy: text("created_by"),
+  paidAt: timestamp("paid_at", { withTimezone: true }),
+  createdAt: timestamp("created_at", { withTimezone: true }).default(sql`CURRENT_TIMESTAMP`).notNull(),
+}, (table) => ({
+  batchIdx: index("payout_items_batch_idx").on(table.batchId),
+  statusIdx: index("payout_items_status_idx").on(table.status),
+  txHashIdx: uniqueIndex("payout_items_tx_hash_idx").on(table.txHash),
+}));
+
+export type PayoutItem = typeof payoutItems.$inferSelect;
+
 export const walletSnapshots = pgTable("wallet_snapshots", {
   id: serial("id").primaryKey(),
   playerId: integer("player_id").notNull().references(() => players.id),
@@ -703,6 +1097,7 @@ export const bridgeEvents = pgTable("bridge_events", {
   // Transaction details
   txHash: text("tx_hash").notNull(),
   blockNumber: bigint("block_number", { mode: "number" }).notNull(),
+  blockHash: text("block_hash"), // for reorg detection (null for rows indexed before tracking)
   blockTimestamp: timestamp("block_timestamp", { withTimezone: true }).notNull(),
   
   createdAt: timestamp("created_at", { withTimezone: true }).default(sql`CURRENT_TIMESTAMP`).notNull(),
@@ -823,6 +1218,7 @@ export const bridgeIndexerProgress = pgTable("bridge_indexer_progress", {
   id: serial("id").primaryKey(),
   indexerName: text("indexer_name").notNull().unique(), // 'synapse_main', 'synapse_backfill', etc.
   lastIndexedBlock: bigint("last_indexed_block", { mode: "number" }).notNull().default(0),
+  lastIndexedBlockHash: text("last_indexed_block_hash"), // for reorg detection
   genesisBlock: bigint("genesis_block", { mode: "number" }).notNull().default(0), // first block to index from
   targetBlock: bigint("target_block", { mode: "number" }), // optional end block for backfill
   status: text("status").notNull().default('idle'), // 'idle', 'running', 'completed', 'error'
@@ -2005,6 +2401,7 @@ export const poolSwapEvents = pgTable("pool_swap_events", {
   pid: integer("pid").notNull(), // pool ID (maps to lpToken)
   lpToken: text("lp_token").notNull(), // LP token contract address
   blockNumber: bigint("block_number", { mode: "number" }).notNull(),
+  blockHash: text("block_hash"), // for reorg detection
   txHash: text("tx_hash").notNull(),
   logIndex: integer("log_index").notNull(), // to ensure uniqueness within a tx
   sender: text("sender").notNull(),
@@ -2104,6 +2501,8 @@ export const poolEventIndexerProgress = pgTable("pool_event_indexer_progress", {
   lpToken: text("lp_token"), // LP token address for swap indexers
   lastIndexedBlock: bigint("last_indexed_block", { mode: "number" }).notNull(),
   genesisBlock: bigint("genesis_block", { mode: "number" }).notNull(),
+  lastIndexedBlockHash: text("last_indexed_block_hash"),
+  rangeStart: bigint("range_start", { mode: "number" }),
   rangeEnd: bigint("range_end", { mode: "number" }), // Worker's assigned end block (null = track to latest)
   status: text("status").notNull().default("idle"), // 'idle', 'running', 'complete', 'error'
   totalEventsIndexed: integer("total_events_indexed").notNull().default(0),
@@ -2240,6 +2639,8 @@ export const poolEventIndexerProgressHarmony = pgTable("pool_event_indexer_progr
   lpToken: text("lp_token"),
   lastIndexedBlock: bigint("last_indexed_block", { mode: "number" }).notNull(),
   genesisBlock: bigint("genesis_block", { mode: "number" }).notNull(),
+  lastIndexedBlockHash: text("last_indexed_block_hash"),
+  rangeStart: bigint("range_start", { mode: "number" }),
   rangeEnd: bigint("range_end", { mode: "number" }),
   status: text("status").notNull().default("idle"),
   totalEventsIndexed: integer("total_events_indexed").notNull().default(0),
@@ -2292,6 +2693,7 @@ export type JewelerStaker = typeof jewelerStakers.$inferSelect;
 export const jewelerEvents = pgTable("jeweler_events", {
   id: serial("id").primaryKey(),
   blockNumber: bigint("block_number", { mode: "number" }).notNull(),
+  blockHash: text("block_hash"),
   txHash: text("tx_hash").notNull(),
   logIndex: integer("log_index").notNull(),
   eventType: text("event_type").notNull(),
@@ -2338,6 +2740,7 @@ export const jewelerIndexerProgress = pgTable("jeweler_indexer_progress", {
   id: serial("id").primaryKey(),
   indexerName: text("indexer_name").notNull().unique(),
   lastIndexedBlock: bigint("last_indexed_block", { mode: "number" }).notNull(),
+  lastIndexedBlockHash: text("last_indexed_block_hash"),
   genesisBlock: bigint("genesis_block", { mode: "number" }).notNull(),
   rangeStart: bigint("range_start", { mode: "number" }),
   rangeEnd: bigint("range_end", { mode: "number" }),
@@ -2381,6 +2784,7 @@ export const gardeningQuestRewards = pgTable("gardening_quest_rewards", {
   crystalFundBalance: numeric("crystal_fund_balance", { precision: 38, scale: 18 }), // CRYSTAL pool balance at quest time
   jewelFundBalance: numeric("jewel_fund_balance", { precision: 38, scale: 18 }), // wJEWEL pool balance at quest time
   blockNumber: bigint("block_number", { mode: "number" }).notNull(),
+  blockHash: text("block_hash"), // for reorg detection
   txHash: text("tx_hash").notNull(),
   logIndex: integer("log_index").notNull(),
   timestamp: timestamp("timestamp", { withTimezone: true }).notNull(),
@@ -2407,6 +2811,7 @@ export const gardeningQuestIndexerProgress = pgTable("gardening_quest_indexer_pr
   id: serial("id").primaryKey(),
   indexerName: text("indexer_name").notNull().unique(),
   lastIndexedBlock: bigint("last_indexed_block", { mode: "number" }).notNull(),
+  lastIndexedBlockHash: text("last_indexed_block_hash"),
   genesisBlock: bigint("genesis_block", { mode: "number" }).notNull(),
   rangeStart: bigint("range_start", { mode: "number" }),
   rangeEnd: bigint("range_end", { mode: "number" }),
@@ -2421,6 +2826,35 @@ export const insertGardeningQuestIndexerProgressSchema = createInsertSchema(gard
 export type InsertGardeningQuestIndexerProgress = z.infer<typeof insertGardeningQuestIndexerProgressSchema>;
 export type GardeningQuestIndexerProgress = typeof gardeningQuestIndexerProgress.$inferSelect;
 
+// ============================================================================
+// INDEXER RUNTIME CHECKPOINTS
+// Shared checkpoint table for indexers built on src/etl/ingestion/indexerRuntime.js
+// ============================================================================
+
+/**
+ * Indexer checkpoints - one row per indexer (or per indexer worker, e.g. "foo_w2")
+ * Legacy indexers may keep their own *_indexer_progress table with the same columns
+ */
+export const indexerCheckpoints = pgTable("indexer_checkpoints", {
+  id: serial("id").primaryKey(),
+  indexerName: text("indexer_name").notNull().unique(),
+  chain: text("chain"),
+  lastIndexedBlock: bigint("last_indexed_block", { mode: "number" }).notNull(),
+  lastIndexedBlockHash: text("last_indexed_block_hash"),
+  genesisBlock: bigint("genesis_block", { mode: "number" }).notNull(),
+  rangeStart: bigint("range_start", { mode: "number" }),
+  rangeEnd: bigint("range_end", { mode: "number" }),
+  status: text("status").notNull().default("idle"),
+  totalEventsIndexed: integer("total_events_indexed").notNull().default(0),
+  lastError: text("last_error"),
+  updatedAt: timestamp("updated_at", { withTimezone: true }).default(sql`CURRENT_TIMESTAMP`).notNull(),
+  createdAt: timestamp("created_at", { withTimezone: true }).default(sql`CURRENT_TIMESTAMP`).notNull(),
+});
+
+export const insertIndexerCheckpointSchema = createInsertSchema(indexerCheckpoints).omit({ id: true, createdAt: true, updatedAt: true });
+export type InsertIndexerCheckpoint = z.infer<typeof insertIndexerCheckpointSchema>;
+export type IndexerCheckpoint = typeof indexerCheckpoints.$inferSelect;
+
 // ============================================================================
 // COMBAT CODEX TABLES
 // Knowledge base for DFK combat mechanics, skills, and class information
@@ -2593,6 +3027,30 @@ export const insertSyncRunItemSchema = createInsertSchema(syncRunItems).omit({ i
 export type InsertSyncRunItem = z.infer<typeof insertSyncRunItemSchema>;
 export type SyncRunItem = typeof syncRunItems.$inferSelect;
 
+/**
+ * Knowledge chunks - retrieval index over knowledge/*.md and the combat codex
+ * Each chunk is embedded once; content_hash lets re-indexing skip unchanged chunks.
+ */
+export const knowledgeChunks = pgTable("knowledge_chunks", {
+  id: serial("id").primaryKey(),
+  sourceType: text("source_type").notNull(), // 'markdown', 'combat_skill', 'combat_keyword'
+  sourceKey: text("source_key").notNull(), // file path, or 'Paladin' / 'keywords' for codex rows
+  chunkKey: text("chunk_key").notNull(), // stable id within the source
+  title: text("title").notNull(), // citation label, e.g. 'gardens.md › Staking LP Tokens'
+  content: text("content").notNull(),
+  contentHash: text("content_hash").notNull(),
+  metadata: json("metadata").$type<Record<string, unknown>>().default(sql`'{}'::json`),
+  embedding: json("embedding").$type<number[]>().notNull(),
+  embeddingModel: text("embedding_model").notNull(),
+  tokenCount: integer("token_count").notNull().default(0),
+  updatedAt: timestamp("updated_at", { withTimezone: true }).default(sql`CURRENT_TIMESTAMP`).notNull(),
+}, (table) => ({
+  chunkKeyIdx: uniqueIndex("knowledge_chunks_chunk_key_idx").on(table.sourceType, table.chunkKey),
+  sourceIdx: index("knowledge_chunks_source_idx").on(table.sourceType, table.sourceKey),
+}));
+
+export type KnowledgeChunk = typeof knowledgeChunks.$inferSelect;
+
 // ============================================================================
 // PVE DROP RATE TRACKING
 // Tracks Hunts (DFK Chain) and Patrols (Metis) drop events for rate analysis
@@ -3456,6 +3914,44 @@ export const insertSummonSalesOutcomeSchema = createInsertSchema(summonSalesOutc
 export type InsertSummonSalesOutcome = z.infer<typeof insertSummonSalesOutcomeSchema>;
 export type SummonSalesOutcome = typeof summonSalesOutcomes.$inferSelect;
 
+/**
+ * Summon Outcome Checks - Engine prediction vs. actual offspring for every indexed summon
+ * (calibration data; rows for tracked sessions also carry session_id)
+ */
+export const summonOutcomeChecks = pgTable("summon_outcome_checks", {
+  id: serial("id").primaryKey(),
+  realm: text("realm").notNull(),
+  offspringHeroId: text("offspring_hero_id").notNull(),
+  crystalId: text("crystal_id"),
+  ownerAddress: text("owner_address").notNull(),
+  parent1HeroId: text("parent1_hero_id").notNull(), // summoner
+  parent2HeroId: text("parent2_hero_id").notNull(), // assistant
+  parent1Rarity: integer("parent1_rarity"),
+  parent2Rarity: integer("parent2_rarity"),
+  offspringRarity: integer("offspring_rarity").notNull(),
+  offspringGeneration: integer("offspring_generation").notNull(),
+  
+  // trait -> { observed, distribution (percent by value), mutations }
+  predictions: json("predictions").$type<Record<string, {
+    observed: string;
+    distribution: Record<string, number>;
+    mutations: string[];
+  }>>().notNull(),
+  
+  sessionId: integer("session_id").references(() => summonSessions.id),
+  blockNumber: bigint("block_number", { mode: "number" }).notNull(),
+  txHash: text("tx_hash").notNull(),
+  logIndex: integer("log_index").notNull(),
+  summonedAt: timestamp("summoned_at", { withTimezone: true }),
+  createdAt: timestamp("created_at", { withTimezone: true }).default(sql`CURRENT_TIMESTAMP`).notNull(),
+}, (table) => ({
+  offspringIdx: uniqueIndex("summon_outcome_checks_offspring_hero_id_key").on(table.offspringHeroId),
+  blockIdx: index("summon_outcome_checks_block_idx").on(table.blockNumber),
+  summonedAtIdx: index("summon_outcome_checks_summoned_at_idx").on(table.summonedAt),
+}));
+
+export type SummonOutcomeCheck = typeof summonOutcomeChecks.$inferSelect;
+
 /**
  * Summon Conversion Metrics - Per-cohort conversion rates and profit stats
  */
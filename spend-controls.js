@@ -0,0 +1,501 @@
+/**
+ * Spend Controls - budget caps, confirmations and spend alerts
+ *
+ * Per-player limits on what paid commands (executeWithBalanceCheck) can
+ * charge, kept in user_settings and edited via /api/user/settings/:discordId:
+ * - Daily / weekly caps: a query is refused if its cost would take the player's
+ *   query charges for the UTC day (or UTC week, from Monday) past the cap
+ * - Confirmation threshold: a query costing more than this is refused until
+ *   it is re-run with `confirmed: true`
+ * - Low-balance alert: a DM when a charge takes the balance below the
+ *   player's threshold (once per crossing, so topping up re-arms it)
+ * - Monthly statement: a DM early each month summarizing last month's spend
+ *   by query type, refunds, subscriptions and deposits (on by default, only
+ *   sent to players who spent something)
+ *
+ * Spend is read from the JEWEL ledger: every query_charge counts, including
+ * prepaid garden optimizations. Unset limits (null) are off.
+ */
+
+import Decimal from 'decimal.js';
+import { db } from './server/db.js';
+import { userSettings } from './shared/schema.ts';
+import { eq, sql } from 'drizzle-orm';
+import { playerAccount, getLedgerBalance, ensureLedgerTables } from './jewel-ledger.js';
+
+const STATEMENT_SWEEP_INTERVAL_MS = 60 * 60 * 1000;
+const STATEMENT_SEND_DAYS = 3; // Statements for last month go out during the first days of the month
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Settings that hold a JEWEL amount (null turns them off)
+const AMOUNT_SETTINGS = ['dailySpendCapJewel', 'weeklySpendCapJewel', 'confirmAboveJewel', 'lowBalanceAlertJewel'];
+
+let tablesReady = false;
+let statementTimer = null;
+let discordClient = null; // Set by bot.js
+
+// --------------------------
+// Pure helpers
+// --------------------------
+
+/**
+ * Start of the UTC day and UTC week (Monday) containing `now` (pure)
+ */
+export function spendWindowStarts(now = new Date()) {
+  const dayStart = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+  const daysSinceMonday = (dayStart.getUTCDay() + 6) % 7;
+  return { dayStart, weekStart: new Date(dayStart.getTime() - daysSinceMonday * DAY_MS) };
+}
+
+/**
+ * Validate a settings update (pure). Amounts may be numbers or strings,
+ * null clears them. Throws on anything invalid.
+ *
+ * @returns {object} - Only the fields present in `input`, normalized
+ */
+export function normalizeSpendSettings(input = {}) {
+  const updates = {};
+
+  for (const key of AMOUNT_SETTINGS) {
+    if (typeof input[key] === 'undefined') continue;
+    if (input[key] === null || input[key] === '') {
+      updates[key] = null;
+      continue;
+    }
+    let amount;
+    try {
+      amount = new Decimal(input[key]);
+    } catch {
+      throw new Error(`${key} must be a JEWEL amount`);
+    }
+    if (!amount.isFinite() || amount.lessThanOrEqualTo(0)) {
+      throw new Error(`${key} must be greater than 0`);
+    }
+    updates[key] = amount.toFixed(18);
+  }
+
+  if (typeof input.monthlyStatement !== 'undefined') {
+    if (typeof input.monthlyStatement !== 'boolean') {
+      throw new Error('monthlyStatement must be a boolean');
+    }
+    updates.monthlyStatement = input.monthlyStatement;
+  }
+
+  return updates;
+}
+
+/**
+ * Decide whether a paid query may run under the player's limits (pure).
+ * Caps are checked before the confirmation threshold, so a player is never
+ * asked to confirm a query that would be refused anyway.
+ *
+ * @param {object} params
+ * @param {string} params.costJewel
+ * @param {string} params.spentTodayJewel - Query charges since the UTC day started
+ * @param {string} params.spentThisWeekJewel - Query charges since the UTC week started
+ * @param {object} params.settings - { dailySpendCapJewel, weeklySpendCapJewel, confirmAboveJewel }
+ * @param {boolean} [params.confirmed=false] - The player already confirmed this query
+ * @returns {object} - { allowed, reason?, cap?: 'daily'|'weekly', requiresConfirmation? }
+ */
+export function evaluateSpend({ costJewel, spentTodayJewel, spentThisWeekJewel, settings, confirmed = false }) {
+  const cost = new Decimal(costJewel);
+
+  const caps = [
+    { cap: 'daily', limit: settings?.dailySpendCapJewel, spent: spentTodayJewel, label: 'daily', resets: 'at 00:00 UTC' },
+    { cap: 'weekly', limit: settings?.weeklySpendCapJewel, spent: spentThisWeekJewel, label: 'weekly', resets: 'on Monday 00:00 UTC' }
+  ];
+  for (const { cap, limit, spent, label, resets } of caps) {
+    if (limit == null) continue;
+    const remaining = new Decimal(limit).minus(spent || 0);
+    if (cost.greaterThan(remaining)) {
+      return {
+        allowed: false,
+        cap,
+        reason: `This query costs ${cost.toString()} JEWEL, which would pass your ${label} spend cap of ` +
+          `${new Decimal(limit).toString()} JEWEL (${Decimal.max(remaining, 0).toString()} left, resets ${resets})`
+      };
+    }
+  }
+
+  if (settings?.confirmAboveJewel != null && !confirmed && cost.greaterThan(settings.confirmAboveJewel)) {
+    return {
+      allowed: false,
+      requiresConfirmation: true,
+      reason: `This query costs ${cost.toString()} JEWEL, above your confirmation threshold of ` +
+        `${new Decimal(settings.confirmAboveJewel).toString()} JEWEL - confirm to run it`
+    };
+  }
+
+  return { allowed: true };
+}
+
+/**
+ * Whether a charge took the balance from at/above the alert threshold to below it (pure)
+ */
+export function crossedLowBalance(balanceBefore, balanceAfter, thresholdJewel) {
+  if (thresholdJewel == null || balanceBefore == null || balanceAfter == null) return false;
+  return new Decimal(balanceBefore).greaterThanOrEqualTo(thresholdJewel)
+    && new Decimal(balanceAfter).lessThan(thresholdJewel);
+}
+
+/**
+ * The statement period ('YYYY-MM') due at `now`: last month, during the
+ * first STATEMENT_SEND_DAYS days of this one (pure). Null otherwise.
+ */
+export function dueStatementPeriod(now = new Date()) {
+  if (now.getUTCDate() > STATEMENT_SEND_DAYS) return null;
+  const lastMonth = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - 1, 1));
+  return `${lastMonth.getUTCFullYear()}-${String(lastMonth.getUTCMonth() + 1).padStart(2, '0')}`;
+}
+
+/**
+ * [start, end) of a 'YYYY-MM' period in UTC (pure)
+ */
+export function periodBounds(period) {
+  const [year, month] = period.split('-').map(Number);
+  return { start: new Date(Date.UTC(year, month - 1, 1)), end: new Date(Date.UTC(year, month, 1)) };
+}
+
+/**
+ * Summarize a month of ledger activity (pure)
+ *
+ * @param {Array<{entry_type, query_type, entries, net_jewel}>} rows - Player-account
+ *   totals grouped by entry type and query type (net_jewel is signed: credits positive)
+ * @returns {object} - { spendByQueryType, queries, querySpendJewel, subscriptionJewel, refundsJewel, depositsJewel, creditsJewel, netSpendJewel }
+ */
+export function buildMonthlyStatement(rows) {
+  const byType = new Map();
+  let queries = 0;
+  let querySpend = new Decimal(0);
+  let subscriptions = new Decimal(0);
+  let refunds = new Decimal(0);
+  let deposits = new Decimal(0);
+  let credits = new Decimal(0);
+
+  for (const row of rows) {
+    const net = new Decimal(row.net_jewel || 0);
+    const count = Number(row.entries) || 0;
+    switch (row.entry_type) {
+      case 'query_charge': {
+        const key = row.query_type || 'other';
+        const current = byType.get(key) || { queryType: key, queries: 0, jewel: new Decimal(0) };
+        current.queries += count;
+        current.jewel = current.jewel.plus(net.negated());
+        byType.set(key, current);
+        queries += count;
+        querySpend = querySpend.plus(net.negated());
+        break;
+      }
+      case 'subscription_charge':
+        subscriptions = subscriptions.plus(net.negated());
+        break;
+      case 'refund':
+        refunds = refunds.plus(net);
+        break;
+      case 'deposit':
+        deposits = deposits.plus(net);
+        break;
+      case 'promo_credit':
+      case 'admin_adjustment':
+        credits = credits.plus(net);
+        break;
+      default:
+        break;
+    }
+  }
+
+  const spendByQueryType = [...byType.values()]
+    .sort((a, b) => b.jewel.comparedTo(a.jewel))
+    .map(t => ({ queryType: t.queryType, queries: t.queries, jewel: t.jewel.toString() }));
+
+  return {
+    spendByQueryType,
+    queries,
+    querySpendJewel: querySpend.toString(),
+    subscriptionJewel: subscriptions.toString(),
+    refundsJewel: refunds.toString(),
+    depositsJewel: deposits.toString(),
+    creditsJewel: credits.toString(),
+    netSpendJewel: querySpend.plus(subscriptions).minus(refunds).toString()
+  };
+}
+
+/**
+ * Statement DM text (pure)
+ */
+export function formatStatementMessage(period, statement, balanceJewel) {
+  const { start } = periodBounds(period);
+  const monthName = start.toLocaleString('en-US', { month: 'long', year: 'numeric', timeZone: 'UTC' });
+  const fmt = (value) => new Decimal(value).toFixed(2);
+
+  const lines = [`🧾 **Your Hedge statement for ${monthName}**`, ''];
+  if (statement.spendByQueryType.length > 0) {
+    lines.push(`**Queries** (${statement.queries}):`);
+    for (const type of statement.spendByQueryType) {
+      lines.push(`• ${type.queryType}: ${type.queries} quer${type.queries === 1 ? 'y' : 'ies'}, **${fmt(type.jewel)} JEWEL**`);
+    }
+  }
+  if (!new Decimal(statement.subscriptionJewel).isZero()) lines.push(`**Subscriptions:** ${fmt(statement.subscriptionJewel)} JEWEL`);
+  if (!new Decimal(statement.refundsJewel).isZero()) lines.push(`**Refunds:** -${fmt(statement.refundsJewel)} JEWEL`);
+  lines.push(`**Net spend:** ${fmt(statement.netSpendJewel)} JEWEL`);
+  lines.push('');
+  if (!new Decimal(statement.depositsJewel).isZero()) lines.push(`Deposited: ${fmt(statement.depositsJewel)} JEWEL`);
+  if (!new Decimal(statement.creditsJewel).isZero()) lines.push(`Credits received: ${fmt(statement.creditsJewel)} JEWEL`);
+  lines.push(`Current balance: **${fmt(balanceJewel)} JEWEL**`);
+  lines.push('', '_Turn these off or set spend caps from your account page._');
+  return lines.join('\n');
+}
+
+// --------------------------
+// Tables
+// --------------------------
+
+/**
+ * Add the spend-control columns to user_settings on databases that predate them
+ */
+export async function ensureSpendControlTables() {
+  if (tablesReady) return;
+  await ensureLedgerTables();
+
+  await db.execute(sql`
+    CREATE TABLE IF NOT EXISTS user_settings (
+      id SERIAL PRIMARY KEY,
+      player_id INTEGER NOT NULL REFERENCES players(id),
+      notify_on_apr_drop BOOLEAN NOT NULL DEFAULT false,
+      notify_on_new_optimization BOOLEAN NOT NULL DEFAULT true,
+      created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP NOT NULL,
+      updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP NOT NULL
+    )
+  `);
+  await db.execute(sql`CREATE UNIQUE INDEX IF NOT EXISTS user_settings_player_id_idx ON user_settings (player_id)`);
+  await db.execute(sql`
+    ALTER TABLE user_settings
+      ADD COLUMN IF NOT EXISTS daily_spend_cap_jewel NUMERIC(30, 18),
+      ADD COLUMN IF NOT EXISTS weekly_spend_cap_jewel NUMERIC(30, 18),
+      ADD COLUMN IF NOT EXISTS confirm_above_jewel NUMERIC(30, 18),
+      ADD COLUMN IF NOT EXISTS low_balance_alert_jewel NUMERIC(30, 18),
+      ADD COLUMN IF NOT EXISTS monthly_statement BOOLEAN NOT NULL DEFAULT true,
+      ADD COLUMN IF NOT EXISTS last_statement_period TEXT
+  `);
+
+  tablesReady = true;
+}
+
+// --------------------------
+// Settings
+// --------------------------
+
+function toSpendSettings(row) {
+  return {
+    dailySpendCapJewel: row?.dailySpendCapJewel ?? null,
+    weeklySpendCapJewel: row?.weeklySpendCapJewel ?? null,
+    confirmAboveJewel: row?.confirmAboveJewel ?? null,
+    lowBalanceAlertJewel: row?.lowBalanceAlertJewel ?? null,
+    monthlyStatement: row?.monthlyStatement ?? true
+  };
+}
+
+/**
+ * A player's spend settings (defaults if they never saved any)
+ */
+export async function getSpendSettings(playerId) {
+  await ensureSpendControlTables();
+  const [row] = await db.select().from(userSettings).where(eq(userSettings.playerId, playerId)).limit(1);
+  return toSpendSettings(row);
+}
+
+/**
+ * Save spend settings from an API body; only fields present are changed
+ *
+ * @returns {object} - The player's spend settings after the update
+ */
+export async function updateSpendSettings(playerId, input) {
+  await ensureSpendControlTables();
+  const updates = normalizeSpendSettings(input);
+  if (Object.keys(updates).length === 0) return getSpendSettings(playerId);
+
+  const next = { ...(await getSpendSettings(playerId)), ...updates };
+  if (next.dailySpendCapJewel != null && next.weeklySpendCapJewel != null
+    && new Decimal(next.weeklySpendCapJewel).lessThan(next.dailySpendCapJewel)) {
+    throw new Error('weeklySpendCapJewel cannot be lower than dailySpendCapJewel');
+  }
+
+  const [saved] = await db
+    .insert(userSettings)
+    .values({ playerId, ...updates })
+    .onConflictDoUpdate({ target: userSettings.playerId, set: { ...updates, updatedAt: new Date() } })
+    .returning();
+  return toSpendSettings(saved);
+}
+
+// --------------------------
+// Spend
+// --------------------------
+
+/**
+ * Query charges since the UTC day and UTC week started
+ *
+ * @returns {object} - { spentTodayJewel, spentThisWeekJewel }
+ */
+export async function getCurrentSpend(playerId, now = new Date()) {
+  await ensureLedgerTables();
+  const { dayStart, weekStart } = spendWindowStarts(now);
+  const result = await db.execute(sql`
+    SELECT COALESCE(SUM(p.amount_jewel) FILTER (WHERE e.created_at >= ${dayStart.toISOString()}), 0) AS spent_today,
+           COALESCE(SUM(p.amount_jewel), 0) AS spent_week
+    FROM ledger_entries e
+    JOIN ledger_postings p ON p.entry_id = e.id AND p.account = ${playerAccount(playerId)} AND p.direction = 'debit'
+    WHERE e.player_id = ${playerId} AND e.entry_type = 'query_charge' AND e.created_at >= ${weekStart.toISOString()}
+  `);
+  const [row] = Array.isArray(result) ? result : (result.rows || []);
+  return {
+    spentTodayJewel: new Decimal(row?.spent_today || 0).toString(),
+    spentThisWeekJewel: new Decimal(row?.spent_week || 0).toString()
+  };
+}
+
+/**
+ * Check a paid query against the player's caps and confirmation threshold
+ *
+ * @param {object} [options]
+ * @param {boolean} [options.confirmed] - The player confirmed this query
+ * @returns {object} - evaluateSpend() result plus current spend
+ */
+export async function checkSpendControls(playerId, costJewel, { confirmed = false } = {}) {
+  const settings = await getSpendSettings(playerId);
+  if (settings.dailySpendCapJewel == null && settings.weeklySpendCapJewel == null && settings.confirmAboveJewel == null) {
+    return { allowed: true };
+  }
+  const spend = await getCurrentSpend(playerId);
+  return { ...evaluateSpend({ costJewel, ...spend, settings, confirmed }), ...spend };
+}
+
+/**
+ * Everything the account page shows: settings plus this day's and week's spend
+ */
+export async function getSpendOverview(playerId) {
+  const [settings, spend, balance] = await Promise.all([
+    getSpendSettings(playerId),
+    getCurrentSpend(playerId),
+    getLedgerBalance(playerId)
+  ]);
+  return { ...settings, ...spend, balanceJewel: balance.balanceJewel };
+}
+
+// --------------------------
+// Alerts
+// --------------------------
+
+/**
+ * DM the player if this charge took them below their low-balance threshold (never throws)
+ */
+export async function notifyIfLowBalance(playerId, discordId, balanceBefore, balanceAfter) {
+  if (!discordClient) return false;
+  try {
+    const { lowBalanceAlertJewel } = await getSpendSettings(playerId);
+    if (!crossedLowBalance(balanceBefore, balanceAfter, lowBalanceAlertJewel)) return false;
+
+    const user = await discordClient.users.fetch(discordId);
+    await user.send(
+      `⚠️ Your Hedge balance is down to **${new Decimal(balanceAfter).toFixed(2)} JEWEL**, ` +
+      `below your alert level of ${new Decimal(lowBalanceAlertJewel).toFixed(2)} JEWEL.\n` +
+      `Use \`/deposit\` to top up before your next paid query.`
+    );
+    return true;
+  } catch (err) {
+    console.error(`[SpendControls] Low-balance alert failed for player #${playerId}:`, err.message);
+    return false;
+  }
+}
+
+/**
+ * Ledger activity for one player in a statement period, grouped for buildMonthlyStatement()
+ */
+async function getStatementRows(playerId, period) {
+  const { start, end } = periodBounds(period);
+  const result = await db.execute(sql`
+    SELECT e.entry_type,
+           e.metadata->>'queryType' AS query_type,
+           COUNT(*) AS entries,
+           SUM(CASE WHEN p.direction = 'credit' THEN p.amount_jewel ELSE -p.amount_jewel END) AS net_jewel
+    FROM ledger_entries e
+    JOIN ledger_postings p ON p.entry_id = e.id AND p.account = ${playerAccount(playerId)}
+    WHERE e.player_id = ${playerId} AND e.created_at >= ${start.toISOString()} AND e.created_at < ${end.toISOString()}
+    GROUP BY e.entry_type, e.metadata->>'queryType'
+  `);
+  return Array.isArray(result) ? result : (result.rows || []);
+}
+
+/**
+ * Send last month's statement to every player who spent something and
+ * hasn't received it yet. Each player is claimed (last_statement_period)
+ * before the DM, so overlapping sweeps or restarts never send it twice.
+ *
+ * @returns {object} - { period, sent }
+ */
+export async function sendMonthlyStatements(now = new Date()) {
+  const period = dueStatementPeriod(now);
+  if (!period || !discordClient) return { period, sent: 0 };
+  await ensureSpendControlTables();
+
+  const { start, end } = periodBounds(period);
+  const result = await db.execute(sql`
+    SELECT DISTINCT e.player_id, pl.discord_id
+    FROM ledger_entries e
+    JOIN players pl ON pl.id = e.player_id
+    LEFT JOIN user_settings us ON us.player_id = e.player_id
+    WHERE e.entry_type IN ('query_charge', 'subscription_charge')
+      AND e.created_at >= ${start.toISOString()} AND e.created_at < ${end.toISOString()}
+      AND COALESCE(us.monthly_statement, true)
+      AND us.last_statement_period IS DISTINCT FROM ${period}
+  `);
+  const recipients = Array.isArray(result) ? result : (result.rows || []);
+
+  let sent = 0;
+  for (const { player_id: playerId, discord_id: discordId } of recipients) {
+    const claimed = await db.execute(sql`
+      INSERT INTO user_settings (player_id, last_statement_period)
+      VALUES (${playerId}, ${period})
+      ON CONFLICT (player_id) DO UPDATE SET last_statement_period = EXCLUDED.last_statement_period, updated_at = CURRENT_TIMESTAMP
+      WHERE user_settings.last_statement_period IS DISTINCT FROM EXCLUDED.last_statement_period
+      RETURNING id
+    `);
+    if ((Array.isArray(claimed) ? claimed : (claimed.rows || [])).length === 0) continue;
+
+    try {
+      const statement = buildMonthlyStatement(await getStatementRows(playerId, period));
+      const { balanceJewel } = await getLedgerBalance(playerId);
+      const user = await discordClient.users.fetch(discordId);
+      await user.send(formatStatementMessage(period, statement, balanceJewel));
+      sent++;
+    } catch (err) {
+      console.error(`[SpendControls] Statement ${period} failed for player #${playerId}:`, err.message);
+    }
+  }
+
+  if (sent > 0) {
+    console.log(`[SpendControls] Sent ${sent} monthly statement(s) for ${period}`);
+  }
+  return { period, sent };
+}
+
+/**
+ * Start the monthly statement sweep and enable low-balance DMs
+ */
+export async function startSpendControls(client) {
+  discordClient = client;
+  await ensureSpendControlTables();
+  if (statementTimer) return;
+
+  const sweep = () => sendMonthlyStatements().catch(err => console.error('[SpendControls] Statement sweep failed:', err.message));
+  statementTimer = setInterval(sweep, STATEMENT_SWEEP_INTERVAL_MS);
+  sweep();
+  console.log('✅ Spend controls started (monthly statements, low-balance alerts)');
+}
+
+export function stopSpendControls() {
+  if (statementTimer) {
+    clearInterval(statementTimer);
+    statementTimer = null;
+  }
+}
@@ -1,12 +1,7 @@
 import { ethers } from 'ethers';
 import { getTokenMetadataMap } from '../services/tokenRegistryService.js';
 import { getCachedPool } from '../../pool-cache.js';
-
-const DFK_CHAIN_RPC = 'https://subnets.avax.network/defi-kingdoms/dfk-chain/rpc';
-const HARMONY_RPC = 'https://api.harmony.one';
-const KAIA_RPC = 'https://public-en.node.kaia.io';
-const METIS_RPC = 'https://andromeda.metis.io/?owner=1088';
-const AVALANCHE_RPC = 'https://api.avax.network/ext/bc/C/rpc';
+import { getChainProvider, getChainRpcUrls } from '../services/rpcProviderRegistry.js';
 
 // Multi-chain JEWEL token addresses
 const JEWEL_TOKENS = {
@@ -665,7 +660,7 @@ async function getStakedTokenSupply(
 async function getChainJewelBalances(
   chainName: string,
   chainId: string,
-  rpcUrl: string,
+  rpcChain: string,
   jewelTokenAddress: string,
   bridgeContracts: Record<string, string>
 ): Promise<ChainBalance> {
@@ -675,7 +670,7 @@ async function getChainJewelBalances(
   const result: ChainBalance = {
     chain: chainName,
     chainId,
-    rpc: rpcUrl,
+    rpc: getChainRpcUrls(rpcChain)[0],
     tokenAddress: normalizedJewelAddress,
     contracts: [],
     bridgeBalances: [],
@@ -685,9 +680,7 @@ async function getChainJewelBalances(
   };
 
   try {
-    const provider = new ethers.JsonRpcProvider(rpcUrl, undefined, {
-      staticNetwork: true,
-    });
+    const provider = getChainProvider(rpcChain);
     
     const timeout = 10000; // 10 seconds
     
@@ -757,9 +750,7 @@ async function getHarmonyLPReserves(): Promise<HarmonyLPReserves[]> {
   const results: HarmonyLPReserves[] = [];
   
   try {
-    const provider = new ethers.JsonRpcProvider(HARMONY_RPC, undefined, {
-      staticNetwork: true,
-    });
+    const provider = getChainProvider('harmony');
     
     const timeout = 10000;
     const jewelTokenLower = JEWEL_TOKENS.HARMONY.toLowerCase();
@@ -845,9 +836,7 @@ async function getMetisLPReserves(): Promise<MultiChainLPReserves[]> {
   const results: MultiChainLPReserves[] = [];
   
   try {
-    const provider = new ethers.JsonRpcProvider(METIS_RPC, undefined, {
-      staticNetwork: true,
-    });
+    const provider = getChainProvider('metis');
     
     const timeout = 10000;
     const jewelAddress = JEWEL_TOKENS.METIS;
@@ -911,9 +900,7 @@ async function getMetisLPReserves(): Promise<MultiChainLPReserves[]> {
 // Fetch sJEWEL supply from Kaia (staked JEWEL on Serendale)
 async function getSJewelSupply(): Promise<number> {
   try {
-    const provider = new ethers.JsonRpcProvider(KAIA_RPC, undefined, {
-      staticNetwork: true,
-    });
+    const provider = getChainProvider('kaia');
     
     const timeout = 10000;
     const sJewelContract = new ethers.Contract(
@@ -941,9 +928,7 @@ async function getKaiaLPReserves(): Promise<MultiChainLPReserves[]> {
   const results: MultiChainLPReserves[] = [];
   
   try {
-    const provider = new ethers.JsonRpcProvider(KAIA_RPC, undefined, {
-      staticNetwork: true,
-    });
+    const provider = getChainProvider('kaia');
     
     const timeout = 10000;
     const jewelTokenLower = JEWEL_TOKENS.KAIA.toLowerCase();
@@ -1017,10 +1002,10 @@ async function getMultiChainJewelBalances(): Promise<ChainBalance[]> {
 
   // Fetch from each chain in parallel (with error handling per chain)
   const chainPromises = [
-    getChainJewelBalances('Harmony', '1666600000', HARMONY_RPC, JEWEL_TOKENS.HARMONY, MULTI_CHAIN_BRIDGES.HARMONY),
-    getChainJewelBalances('Kaia', '8217', KAIA_RPC, JEWEL_TOKENS.KAIA, MULTI_CHAIN_BRIDGES.KAIA),
-    getChainJewelBalances('Metis', '1088', METIS_RPC, JEWEL_TOKENS.METIS, MULTI_CHAIN_BRIDGES.METIS),
-    getChainJewelBalances('Avalanche', '43114', AVALANCHE_RPC, JEWEL_TOKENS.AVALANCHE, MULTI_CHAIN_BRIDGES.AVALANCHE),
+    getChainJewelBalances('Harmony', '1666600000', 'harmony', JEWEL_TOKENS.HARMONY, MULTI_CHAIN_BRIDGES.HARMONY),
+    getChainJewelBalances('Kaia', '8217', 'kaia', JEWEL_TOKENS.KAIA, MULTI_CHAIN_BRIDGES.KAIA),
+    getChainJewelBalances('Metis', '1088', 'metis', JEWEL_TOKENS.METIS, MULTI_CHAIN_BRIDGES.METIS),
+    getChainJewelBalances('Avalanche', '43114', 'avalanche', JEWEL_TOKENS.AVALANCHE, MULTI_CHAIN_BRIDGES.AVALANCHE),
   ];
 
   const chainResults = await Promise.allSettled(chainPromises);
@@ -1169,7 +1154,7 @@ async function fetchBurnedJewel(dfkProvider: ethers.JsonRpcProvider): Promise<Bu
   
   // Check Harmony burn addresses (original JEWEL burned before migration)
   try {
-    const harmonyProvider = new ethers.JsonRpcProvider(HARMONY_RPC, undefined, { staticNetwork: true });
+    const harmonyProvider = getChainProvider('harmony');
     const jewelContract = new ethers.Contract(JEWEL_TOKENS.HARMONY, ERC20_ABI, harmonyProvider);
     
     for (const address of BURN_ADDRESSES) {
@@ -1244,7 +1229,7 @@ async function fetchTeamWalletBalances(dfkProvider: ethers.JsonRpcProvider): Pro
 }
 
 export async function getValueBreakdown(): Promise<ValueBreakdownResult> {
-  const provider = new ethers.JsonRpcProvider(DFK_CHAIN_RPC);
+  const provider = getChainProvider('dfk');
   
   const [allPrices, tokenMetadataMap] = await Promise.all([
     getAllTokenPrices(),
@@ -7,11 +7,10 @@
 
 import { ethers } from 'ethers';
 
+// RPC endpoints (including archive pools) live in src/services/rpcProviderRegistry.js;
+// use getChainProvider(chain) / getChainProvider(chain, { archive: true })
 export const COMBAT_CONTRACTS = {
   dfk: {
-    rpcUrl: 'https://subnets.avax.network/defi-kingdoms/dfk-chain/rpc',
-    // Archive RPC using public endpoint (limited historical state but works)
-    archiveRpcUrl: 'https://subnets.avax.network/defi-kingdoms/dfk-chain/rpc',
     chainId: 53935,
     // HuntsDiamond - Void Hunts contract on DFK Chain
     huntingContract: '0xEaC69796Cff468ED1694A6FfAc4cbC23bbe33aFa',
@@ -23,15 +22,11 @@ export const COMBAT_CONTRACTS = {
     petContract: '0x1990F87d6BC9D9385917E3EDa0A7674411C3Cd7F',
   },
   klaytn: {
-    rpcUrl: 'https://klaytn.drpc.org',
     chainId: 8217,
     // DFK Duel S6 - PvP combat contract on Klaytn (Serendale)
     pvpContract: '0x1207b51994c7A21cC0C78Ad1B12f2A3E203afC85',
   },
   metis: {
-    rpcUrl: 'https://andromeda.metis.io/?owner=1088',
-    // Ankr archive RPC for historical state queries on Metis
-    archiveRpcUrl: 'https://rpc.ankr.com/metis',
     chainId: 1088,
     // PVPDiamond - Combined contract for PvP, Patrols, and Heroes on Metis
     pvpDiamond: '0xc7681698B14a2381d9f1eD69FC3D27F33965b53B',
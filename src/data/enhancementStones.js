@@ -184,6 +184,12 @@ export function lookupStone(address) {
   };
 }
 
+export function findStone(type, tier, chain = 'dfk') {
+  const entry = Object.entries(ENHANCEMENT_STONES)
+    .find(([, stone]) => stone.type === type && stone.tier === tier && stone.chain === chain);
+  return entry ? lookupStone(entry[0]) : null;
+}
+
 function capitalize(str) {
   if (!str) return '';
   return str.charAt(0).toUpperCase() + str.slice(1);
@@ -4,6 +4,7 @@ import puppeteer, { Browser } from "puppeteer";
 import { db } from "../../server/db";
 import { combatSources, combatKeywords, combatClassMeta, combatSkills, syncRuns, syncRunItems } from "@shared/schema";
 import { eq, sql } from "drizzle-orm";
+import { syncCombatCodexKnowledge } from "../services/knowledgeIndex.js";
 
 type RunStatus = "running" | "success" | "failed";
 type ItemStatus = "success" | "skipped" | "failed";
@@ -779,9 +780,19 @@ export async function ingestCombatCodex(opts?: { discover?: boolean; concurrency
       )
     );
 
+    // Re-embed changed skills/keywords so Hedge retrieves the fresh codex
+    let ragDocsUpserted = 0;
+    try {
+      const indexed = await syncCombatCodexKnowledge();
+      ragDocsUpserted = indexed.added + indexed.updated;
+    } catch (e: any) {
+      console.error("[CombatCodex] Knowledge index sync failed:", e?.message ?? String(e));
+    }
+
     await updateRun({
       classesIngested,
       skillsUpserted,
+      ragDocsUpserted,
       status: "success",
       log: { note: "Combat codex ingest completed" },
     });
@@ -790,7 +801,7 @@ export async function ingestCombatCodex(opts?: { discover?: boolean; concurrency
     await closeBrowser();
     console.log("[CombatCodex] Browser closed, ingestion complete");
 
-    return { ok: true, runId, discoveredUrls: discoveredUrls.length, keywords: keywords.length, classesAttempted: classUrls.length, classesIngested, skillsUpserted };
+    return { ok: true, runId, discoveredUrls: discoveredUrls.length, keywords: keywords.length, classesAttempted: classUrls.length, classesIngested, skillsUpserted, ragDocsUpserted };
   } catch (e: any) {
     await closeBrowser();
     await updateRun({ status: "failed", error: e?.message ?? String(e) });
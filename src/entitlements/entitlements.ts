@@ -1,6 +1,7 @@
 import { db } from "../../server/db";
 import { entitlementRules } from "@shared/schema";
 import { and, eq } from "drizzle-orm";
+import { resolveDiscordUserTier, resolvePlayerTier } from "./tierResolver";
 
 export type UserTier = "free" | "premium" | "premium_plus";
 
@@ -54,6 +55,28 @@ export async function getEntitlements(
   return { tier, allowFields, flags };
 }
 
+/**
+ * Entitlements for a player, at the tier their subscription currently grants
+ */
+export async function getPlayerEntitlements(
+  domain: string,
+  resource: string,
+  playerId: number
+): Promise<EntitlementResult> {
+  return getEntitlements(domain, resource, await resolvePlayerTier(playerId));
+}
+
+/**
+ * Entitlements for a Discord user (bot commands), at their subscription tier
+ */
+export async function getDiscordUserEntitlements(
+  domain: string,
+  resource: string,
+  discordId: string
+): Promise<EntitlementResult> {
+  return getEntitlements(domain, resource, await resolveDiscordUserTier(discordId));
+}
+
 export function shapeObjectByAllowlist(
   obj: Record<string, unknown>,
   allowFields: Set<string>
@@ -1,17 +1,77 @@
 import type { Request } from "express";
 import type { UserTier } from "./entitlements";
+import { db } from "../../server/db";
+import { adminSessions, playerSubscriptions, players } from "@shared/schema";
+import { and, eq, gt, inArray, or } from "drizzle-orm";
 
-export function resolveTier(req: Request): UserTier {
-  let tier: UserTier = "free";
+const TIER_RANK: Record<UserTier, number> = { free: 0, premium: 1, premium_plus: 2 };
 
+/**
+ * Tier for an API request: the subscription tier of the Discord user behind it.
+ * The user is the signed-in session (session_token cookie) or, for API-key callers
+ * acting for a user, the x-hedge-discord-id header. Outside production an
+ * x-hedge-tier header overrides the tier for testing.
+ */
+export async function resolveTier(req: Request): Promise<UserTier> {
   const headerTier = (req.headers["x-hedge-tier"] as string | undefined)?.toLowerCase();
   const env = (process.env.NODE_ENV || "development").toLowerCase();
 
   if (env !== "production" && headerTier) {
     if (headerTier === "free" || headerTier === "premium" || headerTier === "premium_plus") {
-      tier = headerTier;
+      return headerTier;
     }
   }
 
+  const discordId = (await sessionDiscordId(req)) || (req.headers["x-hedge-discord-id"] as string | undefined);
+  return discordId ? resolveDiscordUserTier(discordId) : "free";
+}
+
+async function sessionDiscordId(req: Request): Promise<string | null> {
+  const sessionToken = (req as any).cookies?.session_token as string | undefined;
+  if (!sessionToken) return null;
+  const [session] = await db
+    .select({ discordId: adminSessions.discordId })
+    .from(adminSessions)
+    .where(and(eq(adminSessions.sessionToken, sessionToken), gt(adminSessions.expiresAt, new Date())))
+    .limit(1);
+  return session?.discordId ?? null;
+}
+
+/**
+ * Tier granted by a player's subscription (subscription-billing.js).
+ * Active subscriptions count until their period ends, grace subscriptions until grace ends;
+ * the billing cycle downgrades them, this check just doesn't wait for it.
+ */
+export async function resolvePlayerTier(playerId: number): Promise<UserTier> {
+  const now = new Date();
+  const rows = await db
+    .select({ tierId: playerSubscriptions.tierId })
+    .from(playerSubscriptions)
+    .where(
+      and(
+        eq(playerSubscriptions.playerId, playerId),
+        inArray(playerSubscriptions.status, ["active", "grace"]),
+        or(
+          and(eq(playerSubscriptions.status, "active"), gt(playerSubscriptions.currentPeriodEnd, now)),
+          and(eq(playerSubscriptions.status, "grace"), gt(playerSubscriptions.graceEndsAt, now))
+        )
+      )
+    )
+    .catch(() => []); // subscription tables not created yet = everyone is free
+
+  let tier: UserTier = "free";
+  for (const r of rows) {
+    const t = r.tierId as UserTier;
+    if ((TIER_RANK[t] ?? 0) > TIER_RANK[tier]) tier = t;
+  }
   return tier;
 }
+
+export async function resolveDiscordUserTier(discordId: string): Promise<UserTier> {
+  const [player] = await db
+    .select({ id: players.id })
+    .from(players)
+    .where(eq(players.discordId, discordId))
+    .limit(1);
+  return player ? resolvePlayerTier(player.id) : "free";
+}
@@ -2,8 +2,8 @@ import { db } from '../../../server/db.js';
 import { poolSwapEvents, poolRewardEvents, poolDailyAggregates } from '../../../shared/schema.js';
 import { eq, and, sql, gte, lt } from 'drizzle-orm';
 import { ethers } from 'ethers';
+import { getChainProvider } from '../../services/rpcProviderRegistry.js';
 
-const DFK_CHAIN_RPC = 'https://subnets.avax.network/defi-kingdoms/dfk-chain/rpc';
 const MASTER_GARDENER_V2 = '0xB04e8D6aED037904B77A9F0b08002592925833b7';
 
 const LP_STAKING_ABI = [
@@ -22,7 +22,7 @@ let stakingContractInstance = null;
 
 function getProvider() {
   if (!providerInstance) {
-    providerInstance = new ethers.JsonRpcProvider(DFK_CHAIN_RPC);
+    providerInstance = getChainProvider('dfk');
   }
   return providerInstance;
 }
@@ -102,6 +102,9 @@ async function scorePairsForCache(summonType = 'regular', limit = 1000) {
   const { rawPg } = await import('../../../server/db.js');
   const { decodeStatGenes } = await import('../../../gene-decoder.js');
   const { calculateSummoningProbabilities, calculateTSProbabilities, calculateEliteExaltedChances } = await import('../../../summoning-engine.js');
+  const { jointProbability } = await import('../../../offspring-distribution.js');
+  const { calculateSummonCost } = await import('../../../summon-costs.js');
+  const { loadValueModel, valueSummon, summarizeValue } = await import('../../../summon-value.js');
   
   const isDarkSummon = summonType === 'dark';
   const prices = await getTokenPrices();
@@ -468,40 +471,6 @@ async function scorePairsForCache(summonType = 'regular', limit = 1000) {
   let skippedProbError = 0;
   const RARITY_NAMES = ['Common', 'Uncommon', 'Rare', 'Legendary', 'Mythic'];
   
-  // Summon cost formulas - matching bot.js for consistency
-  // Each hero pays: baseCost + (perChildIncrease * summonsDone) + (generationIncrease * generation)
-  function calculateSummonTokenCost(generation, totalSummoned, useDarkSummon = false) {
-    const baseCost = 6;
-    const perChildIncrease = 2;
-    const generationIncrease = 10;
-    let cost = baseCost + (perChildIncrease * totalSummoned) + (generationIncrease * generation);
-    if (generation === 0 && cost > 30) cost = 30;
-    if (useDarkSummon) cost = cost / 4;
-    return cost;
-  }
-  
-  // Class tier determines tear requirements - each hero contributes tears based on their class
-  const CLASS_TIERS = {
-    // Basic classes
-    'Warrior': 'basic', 'Knight': 'basic', 'Thief': 'basic', 'Archer': 'basic',
-    'Priest': 'basic', 'Wizard': 'basic', 'Monk': 'basic', 'Pirate': 'basic',
-    // Advanced classes
-    'Paladin': 'advanced', 'DarkKnight': 'advanced', 'Summoner': 'advanced', 'Ninja': 'advanced',
-    'Shapeshifter': 'advanced', 'Bard': 'advanced', 'Seer': 'advanced', 'Berserker': 'advanced',
-    // Elite classes
-    'Legionnaire': 'elite', 'SpellBow': 'elite', 'Scholar': 'elite',
-    // Exalted classes
-    'DreadKnight': 'exalted', 'Dragoon': 'exalted', 'Sage': 'exalted'
-  };
-  const TEAR_BY_TIER = { basic: 10, advanced: 40, elite: 70, exalted: 100 };
-  
-  function getClassTier(className) {
-    return CLASS_TIERS[className] || 'basic';
-  }
-  function getTearCountForClass(className) {
-    const tier = getClassTier(className);
-    return TEAR_BY_TIER[tier] || 10;
-  }
   const tearPriceNative = 0.05;
   
   for (const realm of ['cv', 'sd']) {
@@ -522,18 +491,12 @@ async function scorePairsForCache(summonType = 'regular', limit = 1000) {
         const summons1 = hero1.summons || 0;
         const summons2 = hero2.summons || 0;
         
-        // Calculate costs - BOTH heroes pay fees (matching bot.js)
-        const purchaseCost = (parseFloat(hero1.price_native) || 0) + (parseFloat(hero2.price_native) || 0);
-        const summonCost1 = calculateSummonTokenCost(gen1, summons1, isDarkSummon);
-        const summonCost2 = calculateSummonTokenCost(gen2, summons2, isDarkSummon);
-        const summonTokenCost = summonCost1 + summonCost2;
-        
-        // Tears - BOTH heroes contribute based on their class tier (dark summon = 0 tears)
-        const tearCount1 = isDarkSummon ? 0 : getTearCountForClass(hero1.main_class);
-        const tearCount2 = isDarkSummon ? 0 : getTearCountForClass(hero2.main_class);
-        const tearCount = tearCount1 + tearCount2;
-        const tearCost = tearCount * tearPriceNative;
-        const totalCost = purchaseCost + summonTokenCost + tearCost;
+        // Calculate costs - BOTH heroes pay fees and tears (dark summon: 1/4 fee, no tears)
+        const { purchaseCost, summonTokenCost, tearCount, tearCost, totalCost } = calculateSummonCost(
+          { generation: gen1, summons: summons1, mainClass: hero1.main_class, price: hero1.price_native },
+          { generation: gen2, summons: summons2, mainClass: hero2.main_class, price: hero2.price_native },
+          { summonType, tearPrice: tearPriceNative }
+        );
         const totalCostUsd = totalCost * tokenPrice;
         
         // Get genetics
@@ -639,6 +602,68 @@ async function scorePairsForCache(summonType = 'regular', limit = 1000) {
     console.log(`[BargainCache] Rarity ${RARITY_NAMES[rarity]}: kept top ${rarityPairs.length} pairs`);
   }
   
+  // Joint scoring for the kept pairs only: chance the child carries an Elite/Exalted
+  // skill gene in ANY slot (recessives included), i.e. its value as a future parent.
+  // Skill traits are independent, so "none anywhere" is an exact product of four terms.
+  const SKILL_TRAITS = ['active1', 'active2', 'passive1', 'passive2'];
+  const carrierChance = (genetics1, genetics2, values) => {
+    const none = jointProbability(genetics1, genetics2,
+      SKILL_TRAITS.map(trait => ({ trait, slot: 'any', values, not: true })),
+      { method: 'exact' });
+    return Math.round((1 - none.probability) * 10000) / 100;
+  };
+  let jointErrors = 0;
+  for (const pair of topPairs) {
+    const genetics1 = geneticsCache.get(pair.hero1.id);
+    const genetics2 = geneticsCache.get(pair.hero2.id);
+    try {
+      pair.eliteGeneChance = carrierChance(genetics1, genetics2, ELITE_SKILLS);
+      pair.exaltedGeneChance = carrierChance(genetics1, genetics2, EXALTED_SKILLS);
+    } catch (err) {
+      jointErrors++;
+      pair.eliteGeneChance = 0;
+      pair.exaltedGeneChance = 0;
+    }
+  }
+  if (jointErrors > 0) {
+    console.log(`[BargainCache] Joint gene scoring failed for ${jointErrors} pairs`);
+  }
+  
+  // Expected resale value of the child and profit after summon costs (native token)
+  const valueModels = {};
+  for (const realm of ['cv', 'sd']) {
+    try {
+      valueModels[realm] = await loadValueModel(realm);
+    } catch (err) {
+      console.log(`[BargainCache] No ${realm} value model: ${err.message}`);
+    }
+  }
+  const costParent = (hero) => ({
+    generation: hero.generation,
+    summons: hero.summons,
+    maxSummons: hero.summons + hero.summonsRemaining,
+    mainClass: hero.mainClass,
+    price: hero.price
+  });
+  let valueErrors = 0;
+  for (const pair of topPairs) {
+    try {
+      const probs = calculateSummoningProbabilities(
+        geneticsCache.get(pair.hero1.id), geneticsCache.get(pair.hero2.id),
+        RARITY_NAMES[pair.hero1.rarity] || 'Common', RARITY_NAMES[pair.hero2.rarity] || 'Common',
+        { skipVisuals: true, summonType }
+      );
+      const valued = valueSummon(probs, costParent(pair.hero1), costParent(pair.hero2), valueModels[pair.realm], { summonType, tearPrice: tearPriceNative });
+      Object.assign(pair, summarizeValue(valued));
+    } catch (err) {
+      valueErrors++;
+      Object.assign(pair, summarizeValue(null));
+    }
+  }
+  if (valueErrors > 0) {
+    console.log(`[BargainCache] Value scoring failed for ${valueErrors} pairs`);
+  }
+  
   // Final sort by efficiency for overall display
   topPairs.sort((a, b) => b.efficiency - a.efficiency);
   
@@ -2,6 +2,9 @@ import { ethers } from 'ethers';
 import { db } from '../../../server/db.js';
 import { gardeningQuestRewards, gardeningQuestIndexerProgress } from '../../../shared/schema.js';
 import { eq, sql, desc, inArray } from 'drizzle-orm';
+import { ensureReorgTables } from './reorgGuard.js';
+import { defineIndexer } from './indexerRuntime.js';
+import { getChainProvider } from '../../services/rpcProviderRegistry.js';
 
 // Hero ID format constants - DFK uses realm prefixes
 const CV_PREFIX = 1000000000000n; // Crystalvale: 1 trillion
@@ -32,8 +35,6 @@ function getHeroIdVariants(heroId) {
 }
 
 // Primary and fallback DFK Chain RPC endpoints
-const DFK_CHAIN_RPC = 'https://subnets.avax.network/defi-kingdoms/dfk-chain/rpc';
-const DFK_CHAIN_RPC_FALLBACK = 'https://lb.nodies.app/v1/105f8099e80f4123976b59df1ebfb433/ext/bc/q2aTwKuyzgs8pynF7UXBZCU7DejbZbZ6EUyHr3JQzYgwNPUPi/rpc';
 const QUEST_CORE_V3 = '0x530fff22987E137e7C8D2aDcC4c15eb45b4FA752';
 // RewardMinted events are emitted from the QuestReward contract, NOT Quest Core V3
 const QUEST_REWARD_CONTRACT = '0x39a06d3e1b6b1b24c477d90770f317abb4b8f928';
@@ -88,7 +89,7 @@ let gardenerContract = null;
 
 function getGardenerContract() {
   if (!gardenerContract) {
-    const provider = new ethers.JsonRpcProvider(DFK_CHAIN_RPC);
+    const provider = getProvider();
     gardenerContract = new ethers.Contract(MASTER_GARDENER_V2, MASTER_GARDENER_ABI, provider);
   }
   return gardenerContract;
@@ -121,7 +122,7 @@ async function getPoolValueSnapshot(poolId, playerAddress, blockNumber = 'latest
   
   try {
     const contract = getGardenerContract();
-    const provider = contract.runner?.provider || new ethers.JsonRpcProvider(DFK_CHAIN_RPC);
+    const provider = contract.runner?.provider || getProvider();
     const options = blockNumber === 'latest' ? {} : { blockTag: blockNumber };
     
     const [userInfoResult, poolInfoResult] = await Promise.all([
@@ -207,94 +208,6 @@ const QUEST_CORE_ABI = [
 
 const questTypeCache = new Map();
 
-const liveProgress = new Map();
-const workerLiveProgress = new Map();
-const autoRunIntervals = new Map();
-const runningWorkers = new Map();
-const donorReservations = new Map();
-
-let activeWorkerCount = 0;
-
-export function getGardeningQuestLiveProgress() {
-  return liveProgress.get('gardening_quest') || null;
-}
-
-function updateLiveProgress(updates) {
-  const current = liveProgress.get('gardening_quest') || {
-    isRunning: false,
-    currentBlock: 0,
-    targetBlock: 0,
-    genesisBlock: 0,
-    eventsFound: 0,
-    batchesCompleted: 0,
-    startedAt: null,
-    lastBatchAt: null,
-    percentComplete: 0,
-    completedAt: null,
-  };
-  const updated = { ...current, ...updates };
-  if (updates.percentComplete === undefined && updated.targetBlock > updated.genesisBlock) {
-    const totalBlocks = updated.targetBlock - updated.genesisBlock;
-    const indexedBlocks = updated.currentBlock - updated.genesisBlock;
-    updated.percentComplete = Math.min(100, Math.max(0, (indexedBlocks / totalBlocks) * 100));
-  }
-  liveProgress.set('gardening_quest', updated);
-  return updated;
-}
-
-function clearLiveProgress() {
-  liveProgress.delete('gardening_quest');
-}
-
-function getWorkerKey(workerId) {
-  return `gardening_quest_worker_${workerId}`;
-}
-
-function getWorkerIndexerName(workerId) {
-  return `gardening_quest_worker_${workerId}`;
-}
-
-function updateWorkerLiveProgress(workerId, updates) {
-  const key = getWorkerKey(workerId);
-  const current = workerLiveProgress.get(key) || {
-    workerId,
-    isRunning: false,
-    currentBlock: 0,
-    targetBlock: 0,
-    rangeStart: 0,
-    rangeEnd: null,
-    eventsFound: 0,
-    batchesCompleted: 0,
-    startedAt: null,
-    lastBatchAt: null,
-    percentComplete: 0,
-    completedAt: null,
-  };
-  const updated = { ...current, ...updates };
-  if (updates.percentComplete === undefined && updated.targetBlock > updated.rangeStart) {
-    const totalBlocks = updated.targetBlock - updated.rangeStart;
-    const indexedBlocks = updated.currentBlock - updated.rangeStart;
-    updated.percentComplete = Math.min(100, Math.max(0, (indexedBlocks / totalBlocks) * 100));
-  }
-  workerLiveProgress.set(key, updated);
-  return updated;
-}
-
-function clearWorkerLiveProgress(workerId) {
-  workerLiveProgress.delete(getWorkerKey(workerId));
-}
-
-export function getGardeningWorkersLiveProgress() {
-  const workers = [];
-  for (let w = 0; w < GARDENING_WORKERS; w++) {
-    const progress = workerLiveProgress.get(getWorkerKey(w));
-    if (progress) {
-      workers.push({ workerId: w, ...progress });
-    }
-  }
-  return workers;
-}
-
 let providerInstance = null;
 let questContractInstance = null;
 let rewardContractInstance = null;
@@ -304,122 +217,14 @@ const QUEST_REWARD_ABI = [
   'event RewardMinted(uint256 indexed questId, address indexed player, uint256 heroId, address indexed reward, uint256 amount, uint256 data)',
 ];
 
-// Provider pool for fallback
-const RPC_ENDPOINTS = [DFK_CHAIN_RPC, DFK_CHAIN_RPC_FALLBACK];
-let currentRpcIndex = 0;
-
+// Pooled DFK Chain provider - endpoint failover is handled by the RPC registry
 export function getProvider() {
   if (!providerInstance) {
-    // Use primary RPC with static network to avoid chain detection delays
-    providerInstance = new ethers.JsonRpcProvider(DFK_CHAIN_RPC, undefined, {
-      staticNetwork: true,
-      batchMaxCount: 1,
-    });
+    providerInstance = getChainProvider('dfk');
   }
   return providerInstance;
 }
 
-// Create a fresh provider for retry attempts using different endpoints
-function createFreshProvider(rpcIndex = 0) {
-  const endpoint = RPC_ENDPOINTS[rpcIndex % RPC_ENDPOINTS.length];
-  return new ethers.JsonRpcProvider(endpoint, undefined, {
-    staticNetwork: true,
-    batchMaxCount: 1,
-  });
-}
-
-// Helper function for RPC calls with timeout and retry logic
-async function rpcWithRetry(fn, label = 'RPC call') {
-  let lastError;
-  
-  for (let attempt = 0; attempt < MAX_RETRIES; attempt++) {
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), RPC_TIMEOUT_MS);
-    
-    try {
-      // Create a fresh provider for each retry to avoid stale connections
-      const provider = attempt === 0 ? getProvider() : createFreshProvider(currentRpcIndex + attempt);
-      const result = await fn(provider);
-      clearTimeout(timeoutId);
-      return result;
-    } catch (error) {
-      clearTimeout(timeoutId);
-      lastError = error;
-      
-      // Log timeout/error
-      const isTimeout = error.name === 'AbortError' || error.message?.includes('timeout');
-      console.log(`[GardeningQuest] ${label} attempt ${attempt + 1}/${MAX_RETRIES} failed: ${isTimeout ? 'timeout' : error.message}`);
-      
-      if (attempt < MAX_RETRIES - 1) {
-        // Exponential backoff with jitter
-        const delay = BASE_RETRY_DELAY_MS * Math.pow(2, attempt) + Math.random() * 500;
-        await new Promise(resolve => setTimeout(resolve, delay));
-        // Rotate to next RPC endpoint
-        currentRpcIndex = (currentRpcIndex + 1) % RPC_ENDPOINTS.length;
-      }
-    }
-  }
-  
-  throw lastError;
-}
-
-// Get logs using direct fetch with timeout
-async function getLogsWithRetry(fromBlock, toBlock, topics, label = 'getLogs', contractAddress = QUEST_REWARD_CONTRACT) {
-  let lastError;
-  
-  for (let attempt = 0; attempt < MAX_RETRIES; attempt++) {
-    const rpcUrl = RPC_ENDPOINTS[(currentRpcIndex + attempt) % RPC_ENDPOINTS.length];
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), RPC_TIMEOUT_MS);
-    
-    try {
-      const response = await fetch(rpcUrl, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          jsonrpc: '2.0',
-          method: 'eth_getLogs',
-          params: [{
-            address: contractAddress,
-            topics,
-            fromBlock: '0x' + fromBlock.toString(16),
-            toBlock: '0x' + toBlock.toString(16),
-          }],
-          id: 1,
-        }),
-        signal: controller.signal,
-      });
-      
-      clearTimeout(timeoutId);
-      
-      if (!response.ok) {
-        throw new Error(`HTTP ${response.status}`);
-      }
-      
-      const data = await response.json();
-      if (data.error) {
-        throw new Error(data.error.message || 'RPC error');
-      }
-      
-      return data.result || [];
-    } catch (error) {
-      clearTimeout(timeoutId);
-      lastError = error;
-      
-      const isTimeout = error.name === 'AbortError';
-      console.log(`[GardeningQuest] ${label} attempt ${attempt + 1}/${MAX_RETRIES} failed: ${isTimeout ? 'timeout' : error.message}`);
-      
-      if (attempt < MAX_RETRIES - 1) {
-        const delay = BASE_RETRY_DELAY_MS * Math.pow(2, attempt) + Math.random() * 500;
-        await new Promise(resolve => setTimeout(resolve, delay));
-        currentRpcIndex = (currentRpcIndex + 1) % RPC_ENDPOINTS.length;
-      }
-    }
-  }
-  
-  throw lastError;
-}
-
 export function getQuestContract() {
   if (!questContractInstance) {
     questContractInstance = new ethers.Contract(QUEST_CORE_V3, QUEST_CORE_ABI, getProvider());
@@ -496,6 +301,8 @@ async function ensureTablesExist() {
     // Quest Reward Fund snapshot columns for yield formula validation
     await db.execute(sql`ALTER TABLE gardening_quest_rewards ADD COLUMN IF NOT EXISTS crystal_fund_balance NUMERIC(38, 18)`);
     await db.execute(sql`ALTER TABLE gardening_quest_rewards ADD COLUMN IF NOT EXISTS jewel_fund_balance NUMERIC(38, 18)`);
+    // Block hash columns for reorg detection (plus the shared reorg tables)
+    await ensureReorgTables();
     
     await db.execute(sql`CREATE INDEX IF NOT EXISTS gardening_quest_rewards_hero_idx ON gardening_quest_rewards(hero_id)`);
     await db.execute(sql`CREATE INDEX IF NOT EXISTS gardening_quest_rewards_player_idx ON gardening_quest_rewards(player)`);
@@ -521,62 +328,16 @@ async function ensureTablesExist() {
 }
 
 export async function getIndexerProgress(indexerName) {
-  await ensureTablesExist();
-  const [progress] = await db.select()
-    .from(gardeningQuestIndexerProgress)
-    .where(eq(gardeningQuestIndexerProgress.indexerName, indexerName))
-    .limit(1);
-  return progress;
+  return gardeningQuestIndexer.getCheckpoint(indexerName);
 }
 
 export async function initIndexerProgress(indexerName, genesisBlock = DFK_GENESIS_BLOCK) {
-  const existing = await getIndexerProgress(indexerName);
-  if (existing) return existing;
-  
-  await db.insert(gardeningQuestIndexerProgress).values({
-    indexerName,
-    lastIndexedBlock: genesisBlock,
-    genesisBlock,
-    status: 'idle',
-    totalEventsIndexed: 0,
-  });
-  
-  return getIndexerProgress(indexerName);
-}
-
-async function initWorkerProgress(workerId, rangeStart, rangeEnd) {
-  const indexerName = getWorkerIndexerName(workerId);
-  const existing = await getIndexerProgress(indexerName);
-  
-  console.log(`[GardeningQuest] initWorkerProgress(${workerId}): rangeStart=${rangeStart?.toLocaleString()}, rangeEnd=${rangeEnd?.toLocaleString()}, existing=${!!existing}`);
-  
-  if (existing) {
-    await db.update(gardeningQuestIndexerProgress)
-      .set({
-        rangeStart,
-        rangeEnd,
-        status: 'idle',
-        updatedAt: sql`CURRENT_TIMESTAMP`,
-      })
-      .where(eq(gardeningQuestIndexerProgress.indexerName, indexerName));
-    return;
-  }
-  
-  await db.insert(gardeningQuestIndexerProgress).values({
-    indexerName,
-    lastIndexedBlock: rangeStart,
-    genesisBlock: rangeStart,
-    rangeStart,
-    rangeEnd,
-    status: 'idle',
-    totalEventsIndexed: 0,
-  });
+  return (await getIndexerProgress(indexerName))
+    || gardeningQuestIndexer.initCheckpoint(indexerName, genesisBlock);
 }
 
 export async function updateIndexerProgress(indexerName, updates) {
-  await db.update(gardeningQuestIndexerProgress)
-    .set({ ...updates, updatedAt: new Date() })
-    .where(eq(gardeningQuestIndexerProgress.indexerName, indexerName));
+  await gardeningQuestIndexer.updateCheckpoint(indexerName, updates);
 }
 
 // Fetch quest type from on-chain if not available in logs
@@ -708,889 +469,310 @@ async function getQuestInfoMapFromTx(txHash) {
   }
 }
 
-async function indexBlockRange(fromBlock, toBlock, indexerName, workerId = null) {
-  // Use the reward contract interface for decoding (not for querying - we use getLogs directly)
-  const rewardContract = getRewardContract();
-  const provider = getProvider();
-  
-  let currentBlock = fromBlock;
-  let totalEventsFound = 0;
-  let batchCount = 0;
-  
-  // Build topic filter for RewardMinted(uint256 indexed questId, address indexed player, uint256 heroId, address indexed reward, uint256 amount, uint256 data)
-  // Filter by reward address (topics[3]) to only get CRYSTAL or JEWEL rewards (gardening rewards)
-  const rewardMintedTopic = ethers.id('RewardMinted(uint256,address,uint256,address,uint256,uint256)');
-  
-  // ExpeditionIterationProcessed event topic for fetching heroIds for expedition rewards
-  // event ExpeditionIterationProcessed(uint256 indexed expeditionId, uint256 indexed questId, address indexed player, uint256[] heroIds, ...)
-  const expeditionIterationTopic = ethers.id('ExpeditionIterationProcessed(uint256,uint256,address,uint256[],uint256,uint256,uint40,uint16,uint16)');
-  
-  // Pad addresses to 32 bytes for topic filter
-  const crystalTopic = '0x' + CRYSTAL_ADDRESS.slice(2).padStart(64, '0');
-  const jewelTopic = '0x' + JEWEL_ADDRESS.slice(2).padStart(64, '0');
-  
-  const prefix = workerId !== null ? `[GardeningQuest W${workerId}]` : '[GardeningQuest]';
-  console.log(`${prefix} Starting block range ${fromBlock.toLocaleString()}-${toBlock.toLocaleString()}`);
-  
-  // Update latestKnownBlock for pool snapshot cutoff logic
-  try {
-    latestKnownBlock = await getLatestBlock();
-  } catch (e) {
-    // Use toBlock as fallback if we can't get latest
-    latestKnownBlock = toBlock;
-  }
-  
-  while (currentBlock <= toBlock) {
-    const endBlock = Math.min(currentBlock + BLOCKS_PER_QUERY - 1, toBlock);
-    
+// RewardMinted(uint256 indexed questId, address indexed player, uint256 heroId, address indexed reward, uint256 amount, uint256 data)
+const REWARD_MINTED_TOPIC = ethers.id('RewardMinted(uint256,address,uint256,address,uint256,uint256)');
+// ExpeditionIterationProcessed carries the heroIds for expedition rewards (RewardMinted reports heroId=0)
+const EXPEDITION_ITERATION_TOPIC = ethers.id('ExpeditionIterationProcessed(uint256,uint256,address,uint256[],uint256,uint256,uint40,uint16,uint16)');
+
+// Pad addresses to 32 bytes for topic filter
+const CRYSTAL_TOPIC = '0x' + CRYSTAL_ADDRESS.slice(2).padStart(64, '0');
+const JEWEL_TOPIC = '0x' + JEWEL_ADDRESS.slice(2).padStart(64, '0');
+
+// Decode raw logs manually (avoids the ethers parseLog stack overflow on the QuestCompleted tuple)
+function decodeQuestLog(_parsed, log) {
+  if (log.topics[0] === EXPEDITION_ITERATION_TOPIC) {
     try {
-      if (batchCount === 0 || batchCount % 10 === 0) {
-        console.log(`${prefix} Querying blocks ${currentBlock.toLocaleString()}-${endBlock.toLocaleString()}...`);
-      }
-      
-      // Query CRYSTAL and JEWEL rewards separately, plus ExpeditionIterationProcessed events for heroIds
-      const [crystalLogs, jewelLogs, expeditionLogs] = await Promise.all([
-        getLogsWithRetry(currentBlock, endBlock, [rewardMintedTopic, null, null, crystalTopic], `W${workerId} CRYSTAL ${currentBlock}-${endBlock}`),
-        getLogsWithRetry(currentBlock, endBlock, [rewardMintedTopic, null, null, jewelTopic], `W${workerId} JEWEL ${currentBlock}-${endBlock}`),
-        getLogsWithRetry(currentBlock, endBlock, [expeditionIterationTopic], `W${workerId} ExpeditionIteration ${currentBlock}-${endBlock}`, QUEST_CORE_V3),
-      ]);
-      
-      // Build a map of txHash+questId -> heroIds from ExpeditionIterationProcessed events
-      // event ExpeditionIterationProcessed(uint256 indexed expeditionId, uint256 indexed questId, address indexed player, uint256[] heroIds, uint256 iterationsProcessed, uint256 totalFee, uint40 lastClaimedAt, uint16 staminaPotions, uint16 petTreats)
-      const expeditionHeroMap = new Map(); // key: txHash:questId, value: { heroIds, expeditionId }
-      for (const expLog of expeditionLogs) {
-        try {
-          const txHash = expLog.transactionHash;
-          const questId = BigInt(expLog.topics[2]); // topics[2] = questId (indexed)
-          const expeditionId = BigInt(expLog.topics[1]); // topics[1] = expeditionId (indexed)
-          
-          // Use ethers AbiCoder to properly decode the non-indexed params
-          // Data layout: uint256[] heroIds, uint256 iterationsProcessed, uint256 totalFee, uint40 lastClaimedAt, uint16 staminaPotions, uint16 petTreats
-          const abiCoder = ethers.AbiCoder.defaultAbiCoder();
-          const decoded = abiCoder.decode(
-            ['uint256[]', 'uint256', 'uint256', 'uint40', 'uint16', 'uint16'],
-            expLog.data
-          );
-          
-          const heroIds = decoded[0].map(h => Number(h));
-          
-          if (heroIds.length > 0) {
-            const key = `${txHash}:${questId}`;
-            expeditionHeroMap.set(key, { heroIds, expeditionId: Number(expeditionId) });
-          }
-        } catch (e) {
-          // Log decoding errors for debugging
-          console.log(`${prefix} Failed to decode ExpeditionIterationProcessed: ${e.message}`);
-        }
-      }
-      
-      const rawLogs = [...crystalLogs, ...jewelLogs];
-      if (expeditionLogs.length > 0) {
-        console.log(`${prefix} Got ${rawLogs.length} CRYSTAL/JEWEL logs (${crystalLogs.length} CRYSTAL, ${jewelLogs.length} JEWEL), ${expeditionLogs.length} expedition events, ${expeditionHeroMap.size} decoded entries`);
-        // Debug: show first expedition entry
-        if (expeditionHeroMap.size > 0) {
-          const firstKey = expeditionHeroMap.keys().next().value;
-          const firstVal = expeditionHeroMap.get(firstKey);
-          console.log(`${prefix} Sample expedition key: ${firstKey} -> heroIds: [${firstVal.heroIds.join(',')}]`);
-        }
-      } else {
-        console.log(`${prefix} Got ${rawLogs.length} CRYSTAL/JEWEL logs (${crystalLogs.length} CRYSTAL, ${jewelLogs.length} JEWEL)`);
-      }
-      
-      // Parse raw RPC logs manually (avoid ethers parseLog stack overflow)
-      // RewardMinted(uint256 indexed questId, address indexed player, uint256 heroId, address indexed reward, uint256 amount, uint256 data)
-      // topics[0] = event signature
-      // topics[1] = questId (indexed)
-      // topics[2] = player (indexed)  
-      // topics[3] = reward (indexed)
-      // data = abi.encode(heroId, amount, data)
-      const logs = rawLogs.map(rawLog => {
-        try {
-          const blockNumber = parseInt(rawLog.blockNumber, 16);
-          const logIndex = parseInt(rawLog.logIndex, 16);
-          
-          // Decode indexed params from topics
-          const questId = BigInt(rawLog.topics[1]);
-          const player = '0x' + rawLog.topics[2].slice(26); // Remove padding
-          const reward = '0x' + rawLog.topics[3].slice(26);
-          
-          // Decode non-indexed params from data (heroId, amount, data)
-          const data = rawLog.data;
-          const heroId = BigInt('0x' + data.slice(2, 66));
-          const amount = BigInt('0x' + data.slice(66, 130));
-          // const eventData = BigInt('0x' + data.slice(130, 194)); // Unused
-          
-          return {
-            blockNumber,
-            transactionHash: rawLog.transactionHash,
-            index: logIndex,
-            args: { questId, player, heroId, reward, amount },
-          };
-        } catch (e) {
-          console.log(`${prefix} Failed to parse log: ${e.message}`);
-          return null;
-        }
-      }).filter(Boolean);
-      
-      let eventsInBatch = 0;
-      if (logs.length > 0) {
-        const events = [];
-        const txQuestInfoMaps = new Map(); // txHash -> Map<questId, questInfo>
-        const blockCache = new Map(); // blockNumber -> block for timestamp lookups
-        const fundBalanceCache = new Map(); // blockNumber -> { crystalFundBalance, jewelFundBalance }
-        
-        for (const log of logs) {
-          const txHash = log.transactionHash;
-          const questIdBigInt = log.args.questId; // Keep as BigInt to preserve full precision
-          const questIdNum = Number(questIdBigInt); // Number for questInfoMap lookup
-          const heroIdFromEvent = Number(log.args.heroId);
-          
-          // Get quest info map for this transaction (cached)
-          if (!txQuestInfoMaps.has(txHash)) {
-            const questInfoMap = await getQuestInfoMapFromTx(txHash);
-            txQuestInfoMaps.set(txHash, questInfoMap);
-          }
-          
-          const questInfoMap = txQuestInfoMaps.get(txHash);
-          const questInfo = questInfoMap.get(questIdNum);
-          
-          // Include gardening quests (types 0-14 for regular pools, 255 for unlimited expedition pool)
-          const isGardeningQuest = questInfo && questInfo.questType !== null && 
-            ((questInfo.questType >= 0 && questInfo.questType <= 14) || questInfo.questType === POOL_ID_UNLIMITED);
-          
-          if (questInfo && questInfo.source === 'expedition' && heroIdFromEvent === 0) {
-            console.log(`${prefix} Found expedition reward: questId=${questIdNum}, heroIdFromEvent=${heroIdFromEvent}, questType=${questInfo.questType}`);
-          }
-          if (isGardeningQuest) {
-            // Cache block lookup for timestamp
-            if (!blockCache.has(log.blockNumber)) {
-              const block = await provider.getBlock(log.blockNumber);
-              blockCache.set(log.blockNumber, block);
-            }
-            const block = blockCache.get(log.blockNumber);
-            const rewardAddress = log.args.reward.toLowerCase();
-            const rewardSymbol = TOKEN_SYMBOLS[rewardAddress] || 'ITEM';
-            const playerAddress = log.args.player.toLowerCase();
-            
-            // Fetch pool value snapshot at reward block for yield validation
-            const poolSnapshot = await getPoolValueSnapshot(questInfo.questType, playerAddress, log.blockNumber);
-            
-            // Fetch Quest Reward Fund snapshot at reward block (cached per block)
-            if (!fundBalanceCache.has(log.blockNumber)) {
-              const fundSnapshot = await getQuestRewardFundSnapshot(log.blockNumber);
-              fundBalanceCache.set(log.blockNumber, fundSnapshot);
-            }
-            const fundSnapshot = fundBalanceCache.get(log.blockNumber);
-            
-            // Check if this is an expedition reward (heroId=0) - need to distribute across heroes
-            if (questInfo.source === 'expedition' && heroIdFromEvent === 0) {
-              // Look up heroIds from ExpeditionIterationProcessed event
-              // Use original BigInt questId for consistent key format (preserves full precision)
-              const expeditionKey = `${txHash}:${questIdBigInt}`;
-              const expeditionData = expeditionHeroMap.get(expeditionKey);
-              
-              // Debug: Log expedition matching attempts
-              if (expeditionHeroMap.size > 0) {
-                console.log(`${prefix} Checking expedition key: ${expeditionKey}, found: ${!!expeditionData}`);
-              }
-              
-              if (expeditionData && expeditionData.heroIds.length > 0) {
-                // Expedition rewards work like manual quests:
-                // - CRYSTAL reward goes to first hero (index 0)
-                // - JEWEL reward goes to second hero (index 1) if exists, otherwise first hero
-                const totalAmount = BigInt(log.args.amount);
-                const isCrystal = rewardAddress === CRYSTAL_ADDRESS;
-                const isJewel = rewardAddress === JEWEL_ADDRESS;
-                
-                let recipientHeroId;
-                if (isCrystal) {
-                  // CRYSTAL always goes to first hero
-                  recipientHeroId = expeditionData.heroIds[0];
-                } else if (isJewel) {
-                  // JEWEL goes to second hero if exists, otherwise first hero
-                  recipientHeroId = expeditionData.heroIds.length > 1 
-                    ? expeditionData.heroIds[1] 
-                    : expeditionData.heroIds[0];
-                } else {
-                  // Unknown token type - default to first hero
-                  recipientHeroId = expeditionData.heroIds[0];
-                }
-                
-                events.push({
-                  questId: questIdNum,
-                  heroId: recipientHeroId,
-                  player: playerAddress,
-                  poolId: questInfo.questType,
-                  rewardToken: rewardAddress,
-                  rewardSymbol,
-                  rewardAmount: ethers.formatEther(totalAmount),
-                  source: 'expedition',
-                  expeditionId: expeditionData.expeditionId,
-                  heroLpStake: poolSnapshot.heroLpStake,
-                  poolTotalLp: poolSnapshot.poolTotalLp,
-                  lpTokenPrice: poolSnapshot.lpTokenPrice,
-                  crystalFundBalance: fundSnapshot.crystalFundBalance,
-                  jewelFundBalance: fundSnapshot.jewelFundBalance,
-                  blockNumber: log.blockNumber,
-                  txHash: log.transactionHash,
-                  logIndex: log.index,
-                  timestamp: new Date(block.timestamp * 1000),
-                });
-                
-                console.log(`${prefix} Expedition ${isCrystal ? 'CRYSTAL' : 'JEWEL'} reward assigned to hero ${recipientHeroId} (from heroes: ${expeditionData.heroIds.join(', ')})`);
-              } else {
-                // Expedition data not found - store with heroId=0 as fallback
-                events.push({
-                  questId: questIdNum,
-                  heroId: 0,
-                  player: playerAddress,
-                  poolId: questInfo.questType,
-                  rewardToken: rewardAddress,
-                  rewardSymbol,
-                  rewardAmount: ethers.formatEther(log.args.amount),
-                  source: 'expedition',
-                  expeditionId: questInfo.expeditionId,
-                  heroLpStake: poolSnapshot.heroLpStake,
-                  poolTotalLp: poolSnapshot.poolTotalLp,
-                  lpTokenPrice: poolSnapshot.lpTokenPrice,
-                  crystalFundBalance: fundSnapshot.crystalFundBalance,
-                  jewelFundBalance: fundSnapshot.jewelFundBalance,
-                  blockNumber: log.blockNumber,
-                  txHash: log.transactionHash,
-                  logIndex: log.index,
-                  timestamp: new Date(block.timestamp * 1000),
-                });
-              }
-            } else {
-              // Manual quest or expedition with non-zero heroId - store as-is
-              events.push({
-                questId: questIdNum,
-                heroId: heroIdFromEvent,
-                player: playerAddress,
-                poolId: questInfo.questType,
-                rewardToken: rewardAddress,
-                rewardSymbol,
-                rewardAmount: ethers.formatEther(log.args.amount),
-                source: questInfo.source,
-                expeditionId: questInfo.expeditionId,
-                heroLpStake: poolSnapshot.heroLpStake,
-                poolTotalLp: poolSnapshot.poolTotalLp,
-                lpTokenPrice: poolSnapshot.lpTokenPrice,
-                crystalFundBalance: fundSnapshot.crystalFundBalance,
-                jewelFundBalance: fundSnapshot.jewelFundBalance,
-                blockNumber: log.blockNumber,
-                txHash: log.transactionHash,
-                logIndex: log.index,
-                timestamp: new Date(block.timestamp * 1000),
-              });
-            }
-          }
-        }
-        
-        if (events.length > 0) {
-          const CHUNK_SIZE = 500;
-          for (let ci = 0; ci < events.length; ci += CHUNK_SIZE) {
-            await db.insert(gardeningQuestRewards)
-              .values(events.slice(ci, ci + CHUNK_SIZE))
-              .onConflictDoNothing();
-          }
-          totalEventsFound += events.length;
-          eventsInBatch = events.length;
-        }
-      }
-      
-      batchCount++;
-      currentBlock = endBlock + 1;
-      
-      if (workerId !== null) {
-        updateWorkerLiveProgress(workerId, {
-          currentBlock: endBlock,
-          eventsFound: totalEventsFound,
-          batchesCompleted: batchCount,
-          lastBatchAt: new Date().toISOString(),
-        });
-      } else {
-        updateLiveProgress({
-          currentBlock: endBlock,
-          eventsFound: totalEventsFound,
-          batchesCompleted: batchCount,
-          lastBatchAt: new Date().toISOString(),
-        });
-      }
-      
-      await updateIndexerProgress(indexerName, {
-        lastIndexedBlock: endBlock,
-        totalEventsIndexed: sql`${gardeningQuestIndexerProgress.totalEventsIndexed} + ${eventsInBatch}`,
-      });
-      
-      if (batchCount % 50 === 0) {
-        const prefix = workerId !== null ? `[GardeningQuest W${workerId}]` : '[GardeningQuest]';
-        console.log(`${prefix} Block ${endBlock}/${toBlock} (${((endBlock - fromBlock) / (toBlock - fromBlock) * 100).toFixed(1)}%) - ${totalEventsFound} rewards found`);
-      }
-      
-    } catch (error) {
-      const prefix = workerId !== null ? `[GardeningQuest W${workerId}]` : '[GardeningQuest]';
-      console.error(`${prefix} Error indexing blocks ${currentBlock}-${endBlock}:`, error.message);
-      await updateIndexerProgress(indexerName, {
-        status: 'error',
-        lastError: error.message,
-      });
-      throw error;
+      // Data layout: uint256[] heroIds, uint256 iterationsProcessed, uint256 totalFee, uint40 lastClaimedAt, uint16 staminaPotions, uint16 petTreats
+      const decoded = ethers.AbiCoder.defaultAbiCoder().decode(
+        ['uint256[]', 'uint256', 'uint256', 'uint40', 'uint16', 'uint16'],
+        log.data
+      );
+      const heroIds = decoded[0].map(h => Number(h));
+      if (heroIds.length === 0) return null;
+      return {
+        kind: 'expedition',
+        key: `${log.transactionHash}:${BigInt(log.topics[2])}`,
+        heroIds,
+        expeditionId: Number(BigInt(log.topics[1])),
+      };
+    } catch (e) {
+      console.log(`[GardeningQuest] Failed to decode ExpeditionIterationProcessed: ${e.message}`);
+      return null;
     }
   }
-  
-  return { totalEventsFound, batchCount };
-}
 
-async function runGardeningWorkerBatch(workerId) {
-  const indexerName = getWorkerIndexerName(workerId);
-  
-  if (runningWorkers.get(indexerName)) {
-    return { status: 'already_running' };
-  }
-  
-  runningWorkers.set(indexerName, true);
-  
-  const progress = await getIndexerProgress(indexerName);
-  if (!progress) {
-    runningWorkers.set(indexerName, false);
-    return { status: 'no_progress_record' };
-  }
-  
-  const workerInfo = autoRunIntervals.get(getWorkerKey(workerId));
-  const workerTargetBlock = workerInfo?.rangeEnd || progress.rangeEnd || await getLatestBlock();
-  
-  // Log DB values for debugging range issues
-  console.log(`[GardeningQuest W${workerId}] DB progress: rangeStart=${progress.rangeStart ?? 'null'} (${typeof progress.rangeStart}), rangeEnd=${progress.rangeEnd ?? 'null'}, lastIndexed=${progress.lastIndexedBlock?.toLocaleString()}, genesis=${progress.genesisBlock ?? 'null'}`);
-  
-  // Use the greater of lastIndexedBlock+1 or rangeStart to ensure we don't go backwards
-  // when workers are reassigned new ranges after restart
-  const rawStartBlock = progress.lastIndexedBlock + 1;
-  const startBlock = Math.max(rawStartBlock, progress.rangeStart || 0);
-  if (startBlock > rawStartBlock) {
-    console.log(`[GardeningQuest W${workerId}] Adjusting start block from ${rawStartBlock.toLocaleString()} to ${startBlock.toLocaleString()} (rangeStart: ${progress.rangeStart?.toLocaleString()})`);
-  }
-  const endBlock = Math.min(startBlock + INCREMENTAL_BATCH_SIZE - 1, workerTargetBlock);
-  
-  if (startBlock > workerTargetBlock) {
-    runningWorkers.set(indexerName, false);
-    updateWorkerLiveProgress(workerId, { completedAt: new Date().toISOString(), percentComplete: 100 });
-    return { status: 'completed' };
-  }
-  
-  await updateIndexerProgress(indexerName, { status: 'running' });
-  
-  // Use nullish coalescing (??) to handle 0 correctly (0 is a valid rangeStart)
-  const effectiveRangeStart = progress.rangeStart ?? progress.genesisBlock ?? 0;
-  
-  updateWorkerLiveProgress(workerId, {
-    isRunning: true,
-    currentBlock: startBlock,
-    targetBlock: workerTargetBlock,
-    rangeStart: effectiveRangeStart,
-    rangeEnd: workerTargetBlock,
-    startedAt: new Date().toISOString(),
-  });
-  
+  // topics[1] = questId, topics[2] = player, topics[3] = reward; data = abi.encode(heroId, amount, data)
   try {
-    const result = await indexBlockRange(startBlock, endBlock, indexerName, workerId);
-    
-    const isComplete = endBlock >= workerTargetBlock;
-    
-    await db.update(gardeningQuestIndexerProgress)
-      .set({
-        status: isComplete ? 'complete' : 'idle',
-        updatedAt: sql`CURRENT_TIMESTAMP`,
-      })
-      .where(eq(gardeningQuestIndexerProgress.indexerName, indexerName));
-    
-    updateWorkerLiveProgress(workerId, {
-      isRunning: false,
-      currentBlock: endBlock,
-      completedAt: isComplete ? new Date().toISOString() : null,
-      percentComplete: isComplete ? 100 : undefined,
-    });
-    
-    runningWorkers.set(indexerName, false);
-    
-    console.log(`[GardeningQuest W${workerId}] Batch done: ${result.totalEventsFound} events in ${result.batchCount} batches`);
-    
     return {
-      status: isComplete ? 'completed' : 'batch_done',
-      eventsFound: result.totalEventsFound,
-      blocksIndexed: endBlock - startBlock,
-      currentBlock: endBlock,
-      targetBlock: workerTargetBlock,
+      kind: 'reward',
+      blockNumber: log.blockNumber,
+      blockHash: log.blockHash,
+      transactionHash: log.transactionHash,
+      index: log.index,
+      args: {
+        questId: BigInt(log.topics[1]),
+        player: '0x' + log.topics[2].slice(26),
+        reward: '0x' + log.topics[3].slice(26),
+        heroId: BigInt('0x' + log.data.slice(2, 66)),
+        amount: BigInt('0x' + log.data.slice(66, 130)),
+      },
     };
-  } catch (err) {
-    console.error(`[GardeningQuest W${workerId}] Error:`, err.message);
-    runningWorkers.set(indexerName, false);
-    updateWorkerLiveProgress(workerId, { isRunning: false });
-    return { status: 'error', error: err.message };
-  }
-}
-
-function findWorkToSteal(thiefWorkerId) {
-  const MIN_BLOCKS_TO_STEAL = 500000;
-  const RESERVATION_TIMEOUT_MS = 60000;
-  
-  let bestDonor = null;
-  let maxRemainingBlocks = 0;
-  const now = Date.now();
-  
-  for (let w = 0; w < activeWorkerCount; w++) {
-    if (w === thiefWorkerId) continue;
-    
-    const key = getWorkerKey(w);
-    const workerInfo = autoRunIntervals.get(key);
-    if (!workerInfo) continue;
-    
-    const reservationKey = `gardening_${w}`;
-    const reservedAt = donorReservations.get(reservationKey);
-    if (reservedAt && (now - reservedAt) < RESERVATION_TIMEOUT_MS) {
-      continue;
-    }
-    
-    const progress = workerLiveProgress.get(key);
-    if (!progress || progress.completedAt) continue;
-    
-    const currentBlock = progress.currentBlock || workerInfo.rangeStart || 0;
-    const targetBlock = progress.targetBlock || workerInfo.rangeEnd;
-    
-    if (!targetBlock) continue;
-    
-    const remainingBlocks = targetBlock - currentBlock;
-    
-    if (remainingBlocks > maxRemainingBlocks && remainingBlocks > MIN_BLOCKS_TO_STEAL * 2) {
-      maxRemainingBlocks = remainingBlocks;
-      bestDonor = {
-        workerId: w,
-        currentBlock,
-        targetBlock,
-        remainingBlocks,
-      };
-    }
-  }
-  
-  if (!bestDonor) return null;
-  
-  const reservationKey = `gardening_${bestDonor.workerId}`;
-  donorReservations.set(reservationKey, now);
-  
-  const blocksToSteal = Math.floor(bestDonor.remainingBlocks / 2);
-  if (blocksToSteal < MIN_BLOCKS_TO_STEAL) {
-    donorReservations.delete(reservationKey);
+  } catch (e) {
+    console.log(`[GardeningQuest] Failed to parse log: ${e.message}`);
     return null;
   }
-  
-  const newRangeStart = bestDonor.targetBlock - blocksToSteal;
-  const newRangeEnd = bestDonor.targetBlock;
-  
-  return {
-    donorWorkerId: bestDonor.workerId,
-    donorCurrentBlock: bestDonor.currentBlock,
-    newDonorRangeEnd: newRangeStart,
-    newRangeStart,
-    newRangeEnd,
-    blocksStolen: blocksToSteal,
-    reservationKey,
-  };
 }
 
-async function applyWorkSteal(thiefWorkerId, stealInfo) {
-  const donorIndexerName = getWorkerIndexerName(stealInfo.donorWorkerId);
-  const thiefIndexerName = getWorkerIndexerName(thiefWorkerId);
-  
-  await db.update(gardeningQuestIndexerProgress)
-    .set({
-      rangeEnd: stealInfo.newDonorRangeEnd,
-      updatedAt: sql`CURRENT_TIMESTAMP`,
-    })
-    .where(eq(gardeningQuestIndexerProgress.indexerName, donorIndexerName));
-  
-  const donorKey = getWorkerKey(stealInfo.donorWorkerId);
-  const donorWorkerInfo = autoRunIntervals.get(donorKey);
-  if (donorWorkerInfo) {
-    donorWorkerInfo.rangeEnd = stealInfo.newDonorRangeEnd;
+// Expedition rewards work like manual quests: CRYSTAL goes to the first hero,
+// JEWEL to the second hero if there is one, otherwise the first
+function expeditionRecipient(heroIds, rewardAddress) {
+  if (rewardAddress === JEWEL_ADDRESS && heroIds.length > 1) {
+    return heroIds[1];
   }
-  
-  await db.update(gardeningQuestIndexerProgress)
-    .set({
-      rangeStart: stealInfo.newRangeStart,
-      rangeEnd: stealInfo.newRangeEnd,
-      lastIndexedBlock: stealInfo.newRangeStart,
-      genesisBlock: stealInfo.newRangeStart,
-      status: 'idle',
-      updatedAt: sql`CURRENT_TIMESTAMP`,
-    })
-    .where(eq(gardeningQuestIndexerProgress.indexerName, thiefIndexerName));
-  
-  const thiefKey = getWorkerKey(thiefWorkerId);
-  const thiefWorkerInfo = autoRunIntervals.get(thiefKey);
-  if (thiefWorkerInfo) {
-    thiefWorkerInfo.rangeStart = stealInfo.newRangeStart;
-    thiefWorkerInfo.rangeEnd = stealInfo.newRangeEnd;
-  }
-  
-  updateWorkerLiveProgress(thiefWorkerId, {
-    rangeStart: stealInfo.newRangeStart,
-    rangeEnd: stealInfo.newRangeEnd,
-    currentBlock: stealInfo.newRangeStart,
-    targetBlock: stealInfo.newRangeEnd,
-    completedAt: null,
-    percentComplete: 0,
-  });
-  
-  donorReservations.delete(stealInfo.reservationKey);
-  
-  console.log(`[GardeningQuest] Worker ${thiefWorkerId} stole ${stealInfo.blocksStolen.toLocaleString()} blocks from worker ${stealInfo.donorWorkerId}`);
+  return heroIds[0];
 }
 
-async function startGardeningWorkerAutoRun(workerId, rangeStart, rangeEnd, intervalMs = AUTO_RUN_INTERVAL_MS) {
-  const key = getWorkerKey(workerId);
-  if (autoRunIntervals.has(key)) {
-    console.log(`[GardeningQuest] Worker ${workerId} already running`);
-    return { status: 'already_running', workerId };
-  }
-  
-  console.log(`[GardeningQuest] Starting worker ${workerId} (blocks ${rangeStart.toLocaleString()}-${rangeEnd ? rangeEnd.toLocaleString() : 'latest'}, interval: ${intervalMs / 1000}s)`);
-  
-  clearWorkerLiveProgress(workerId);
-  await initWorkerProgress(workerId, rangeStart, rangeEnd);
-  
-  updateWorkerLiveProgress(workerId, {
-    isRunning: false,
-    currentBlock: rangeStart,
-    targetBlock: rangeEnd || rangeStart,
-    rangeStart,
-    rangeEnd,
-    eventsFound: 0,
-    batchesCompleted: 0,
-    percentComplete: 0,
-    completedAt: null,
-  });
-  
-  const info = {
-    intervalMs,
-    workerId,
-    rangeStart,
-    rangeEnd,
-    startedAt: new Date().toISOString(),
-    lastRunAt: null,
-    runsCompleted: 0,
-    interval: null,
-  };
-  
-  autoRunIntervals.set(key, info);
-  
-  const offsetMs = Math.floor((workerId / GARDENING_WORKERS) * intervalMs);
-  
-  (async () => {
-    try {
-      if (offsetMs > 0) {
-        await new Promise(r => setTimeout(r, offsetMs));
-      }
-      console.log(`[GardeningQuest] Initial batch for worker ${workerId} (offset ${(offsetMs / 1000).toFixed(1)}s)`);
-      await runGardeningWorkerBatch(workerId);
-      info.lastRunAt = new Date().toISOString();
-      info.runsCompleted++;
-    } catch (err) {
-      console.error(`[GardeningQuest] Initial error for worker ${workerId}:`, err.message);
-    }
-  })();
-  
-  info.interval = setInterval(async () => {
-    if (!autoRunIntervals.has(key)) return;
-    
-    try {
-      const result = await runGardeningWorkerBatch(workerId);
-      info.lastRunAt = new Date().toISOString();
-      info.runsCompleted++;
-      
-      if (result.status === 'completed') {
-        const stealInfo = findWorkToSteal(workerId);
-        if (stealInfo) {
-          await applyWorkSteal(workerId, stealInfo);
-          console.log(`[GardeningQuest] Worker ${workerId} continuing with stolen work`);
-        } else {
-          console.log(`[GardeningQuest] Worker ${workerId} completed, no work to steal`);
-        }
-      }
-    } catch (err) {
-      console.error(`[GardeningQuest] Worker ${workerId} error:`, err.message);
+async function buildRewardRows(rewards, expeditionHeroMap, ctx, prefix) {
+  const rows = [];
+  const txQuestInfoMaps = new Map(); // txHash -> Map<questId, questInfo>
+  const fundBalanceCache = new Map(); // blockNumber -> { crystalFundBalance, jewelFundBalance }
+
+  for (const log of rewards) {
+    const txHash = log.transactionHash;
+    const questIdBigInt = log.args.questId; // Keep as BigInt to preserve full precision
+    const questIdNum = Number(questIdBigInt);
+    const heroIdFromEvent = Number(log.args.heroId);
+
+    if (!txQuestInfoMaps.has(txHash)) {
+      txQuestInfoMaps.set(txHash, await getQuestInfoMapFromTx(txHash));
     }
-  }, intervalMs);
-  
-  return { status: 'started', workerId, rangeStart, rangeEnd };
-}
+    const questInfo = txQuestInfoMaps.get(txHash).get(questIdNum);
 
-export async function startGardeningWorkersAutoRun(intervalMs = AUTO_RUN_INTERVAL_MS, targetWorkers = GARDENING_WORKERS) {
-  let workerCount = Math.min(targetWorkers, GARDENING_WORKERS);
-  let latestBlock;
-  
-  try {
-    latestBlock = await getLatestBlock();
-    latestKnownBlock = latestBlock;
-  } catch (err) {
-    console.error('[GardeningQuest] Failed to get latest block:', err.message);
-    await new Promise(r => setTimeout(r, 2000));
-    try {
-      latestBlock = await getLatestBlock();
-      latestKnownBlock = latestBlock;
-    } catch (err2) {
-      console.error('[GardeningQuest] RPC unavailable, cannot start workers');
-      return { status: 'rpc_failed', error: err2.message };
+    // Include gardening quests (types 0-14 for regular pools, 255 for unlimited expedition pool)
+    const isGardeningQuest = questInfo && questInfo.questType !== null &&
+      ((questInfo.questType >= 0 && questInfo.questType <= 14) || questInfo.questType === POOL_ID_UNLIMITED);
+    if (!isGardeningQuest) continue;
+
+    const rewardAddress = log.args.reward.toLowerCase();
+    const playerAddress = log.args.player.toLowerCase();
+
+    // Pool value snapshot at reward block for yield validation
+    const poolSnapshot = await getPoolValueSnapshot(questInfo.questType, playerAddress, log.blockNumber);
+
+    // Quest Reward Fund snapshot at reward block (cached per block)
+    if (!fundBalanceCache.has(log.blockNumber)) {
+      fundBalanceCache.set(log.blockNumber, await getQuestRewardFundSnapshot(log.blockNumber));
     }
-  }
-  
-  // Load worker ranges from database if they exist (from reset-to-block)
-  const existingWorkerRanges = new Map();
-  for (let w = 0; w < workerCount; w++) {
-    const indexerName = getWorkerIndexerName(w);
-    const workerProgress = await db.select().from(gardeningQuestIndexerProgress).where(eq(gardeningQuestIndexerProgress.indexerName, indexerName)).limit(1);
-    if (workerProgress.length > 0 && workerProgress[0].rangeStart !== null) {
-      existingWorkerRanges.set(w, {
-        rangeStart: workerProgress[0].rangeStart,
-        rangeEnd: workerProgress[0].rangeEnd,
-        lastIndexedBlock: workerProgress[0].lastIndexedBlock,
-      });
+    const fundSnapshot = fundBalanceCache.get(log.blockNumber);
+
+    let heroId = heroIdFromEvent;
+    let expeditionId = questInfo.expeditionId;
+    if (questInfo.source === 'expedition' && heroIdFromEvent === 0) {
+      const expeditionData = expeditionHeroMap.get(`${txHash}:${questIdBigInt}`);
+      if (expeditionData) {
+        heroId = expeditionRecipient(expeditionData.heroIds, rewardAddress);
+        expeditionId = expeditionData.expeditionId;
+        console.log(`${prefix} Expedition ${rewardAddress === CRYSTAL_ADDRESS ? 'CRYSTAL' : 'JEWEL'} reward assigned to hero ${heroId} (from heroes: ${expeditionData.heroIds.join(', ')})`);
+      }
+      // Otherwise the expedition data was not found - store with heroId=0 as fallback
     }
+
+    rows.push({
+      questId: questIdNum,
+      heroId,
+      player: playerAddress,
+      poolId: questInfo.questType,
+      rewardToken: rewardAddress,
+      rewardSymbol: TOKEN_SYMBOLS[rewardAddress] || 'ITEM',
+      rewardAmount: ethers.formatEther(log.args.amount),
+      source: questInfo.source,
+      expeditionId,
+      heroLpStake: poolSnapshot.heroLpStake,
+      poolTotalLp: poolSnapshot.poolTotalLp,
+      lpTokenPrice: poolSnapshot.lpTokenPrice,
+      crystalFundBalance: fundSnapshot.crystalFundBalance,
+      jewelFundBalance: fundSnapshot.jewelFundBalance,
+      blockNumber: log.blockNumber,
+      blockHash: log.blockHash,
+      txHash,
+      logIndex: log.index,
+      timestamp: await ctx.getBlockTimestamp(log.blockNumber),
+    });
   }
-  
-  const hasDbRanges = existingWorkerRanges.size > 0;
-  
-  // When using DB ranges, ALL workers should scan from the highest indexed point to latest
-  // This ensures no gaps - workers start from a common point and divide remaining work
-  let globalStart, blocksPerWorker;
-  if (hasDbRanges) {
-    // All workers should start from the highest point any worker has reached
-    // This avoids gaps between divergent worker positions
-    globalStart = Math.max(...Array.from(existingWorkerRanges.values()).map(r => r.lastIndexedBlock || r.rangeStart));
-    const blocksToScan = latestBlock - globalStart;
-    blocksPerWorker = blocksToScan > 0 ? Math.ceil(blocksToScan / workerCount) : 0;
-    console.log(`[GardeningQuest] Workers catching up from ${globalStart.toLocaleString()} to ${latestBlock.toLocaleString()} (${blocksToScan.toLocaleString()} blocks, ${blocksPerWorker.toLocaleString()} each)`);
-  } else {
-    globalStart = 0;
-    blocksPerWorker = Math.ceil(latestBlock / workerCount);
-  }
-  
-  console.log(`[GardeningQuest] Starting ${workerCount} workers (${hasDbRanges ? 'catching up to latest' : blocksPerWorker.toLocaleString() + ' blocks each'}, latest: ${latestBlock.toLocaleString()})`);
-  
-  const results = [];
-  let consecutiveFailures = 0;
-  const MAX_CONSECUTIVE_FAILURES = 2;
-  
-  for (let w = 0; w < workerCount; w++) {
-    let rangeStart, rangeEnd;
-    
-    if (hasDbRanges) {
-      // All workers start from global highest point and divide the remaining work
-      rangeStart = globalStart + (w * blocksPerWorker);
-      // Last worker scans to latest (null), others get their fair share
-      rangeEnd = (w === workerCount - 1) ? null : globalStart + ((w + 1) * blocksPerWorker);
-      // Ensure rangeStart doesn't exceed latest block
-      if (rangeStart > latestBlock) {
-        rangeStart = latestBlock;
-        rangeEnd = null;
+
+  return rows;
+}
+
+// CRYSTAL and JEWEL RewardMinted logs are queried separately (filtered by reward
+// token), plus ExpeditionIterationProcessed for the heroIds behind expedition rewards
+export const gardeningQuestIndexer = defineIndexer({
+  name: 'gardening_quest',
+  label: 'Gardening Quest Rewards',
+  chain: 'dfk',
+  getProvider,
+  filters: [
+    { address: QUEST_REWARD_CONTRACT, topics: [REWARD_MINTED_TOPIC, null, null, CRYSTAL_TOPIC] },
+    { address: QUEST_REWARD_CONTRACT, topics: [REWARD_MINTED_TOPIC, null, null, JEWEL_TOPIC] },
+    { address: QUEST_CORE_V3, topics: [EXPEDITION_ITERATION_TOPIC] },
+  ],
+  genesisBlock: DFK_GENESIS_BLOCK,
+  blocksPerQuery: BLOCKS_PER_QUERY,
+  batchSize: INCREMENTAL_BATCH_SIZE,
+  intervalMs: AUTO_RUN_INTERVAL_MS,
+  rpcTimeoutMs: RPC_TIMEOUT_MS,
+  maxRetries: MAX_RETRIES,
+  baseRetryDelayMs: BASE_RETRY_DELAY_MS,
+  workers: GARDENING_WORKERS,
+  minWorkers: MIN_GARDENING_WORKERS,
+  workerPrefix: 'gardening_quest_worker_',
+  checkpointTable: gardeningQuestIndexerProgress,
+  eventTables: [{ table: 'gardening_quest_rewards' }],
+  setup: ensureTablesExist,
+  logTag: '[GardeningQuest]',
+  decode: decodeQuestLog,
+  async sink(records, ctx) {
+    const prefix = ctx.workerId !== null ? `[GardeningQuest W${ctx.workerId}]` : '[GardeningQuest]';
+    // Pool snapshots fall back to 'latest' for blocks too old for the archive cutoff
+    if (ctx.headBlock) latestKnownBlock = ctx.headBlock;
+
+    const expeditionHeroMap = new Map(); // key: txHash:questId, value: { heroIds, expeditionId }
+    const rewards = [];
+    for (const record of records) {
+      if (record.kind === 'expedition') {
+        expeditionHeroMap.set(record.key, { heroIds: record.heroIds, expeditionId: record.expeditionId });
+      } else {
+        rewards.push(record);
       }
-    } else {
-      rangeStart = w * blocksPerWorker;
-      rangeEnd = (w === workerCount - 1) ? null : (w + 1) * blocksPerWorker;
     }
-    
-    console.log(`[GardeningQuest] Worker ${w} range assignment: ${rangeStart?.toLocaleString()} - ${rangeEnd?.toLocaleString() || 'latest'} (hasDbRanges=${hasDbRanges})`);
-    
-    await new Promise(r => setTimeout(r, 500));
-    
-    try {
-      const result = await startGardeningWorkerAutoRun(w, rangeStart, rangeEnd, intervalMs);
-      results.push(result);
-      consecutiveFailures = 0;
-    } catch (err) {
-      consecutiveFailures++;
-      console.error(`[GardeningQuest] Worker ${w} failed to start:`, err.message);
-      
-      if (consecutiveFailures >= MAX_CONSECUTIVE_FAILURES && workerCount > MIN_GARDENING_WORKERS) {
-        const newWorkerCount = workerCount - 1;
-        console.warn(`[GardeningQuest] RPC failsafe: Reducing from ${workerCount} to ${newWorkerCount} workers`);
-        
-        stopGardeningWorkersAutoRun();
-        
-        await new Promise(r => setTimeout(r, 3000));
-        return startGardeningWorkersAutoRun(intervalMs, newWorkerCount);
-      }
-      
-      results.push({ status: 'failed', workerId: w, error: err.message });
+
+    const rows = await buildRewardRows(rewards, expeditionHeroMap, ctx, prefix);
+
+    const CHUNK_SIZE = 500;
+    for (let ci = 0; ci < rows.length; ci += CHUNK_SIZE) {
+      await db.insert(gardeningQuestRewards)
+        .values(rows.slice(ci, ci + CHUNK_SIZE))
+        .onConflictDoNothing();
     }
-  }
-  
-  const started = results.filter(r => r.status === 'started').length;
-  activeWorkerCount = started;
-  
-  return { status: 'workers_started', workersStarted: started, targetWorkers: workerCount, results };
-}
 
-export function stopGardeningWorkersAutoRun() {
-  let stopped = 0;
-  for (let w = 0; w < GARDENING_WORKERS; w++) {
-    const key = getWorkerKey(w);
-    const info = autoRunIntervals.get(key);
-    if (info) {
-      if (info.interval) {
-        clearInterval(info.interval);
-      }
-      autoRunIntervals.delete(key);
-      clearWorkerLiveProgress(w);
-      stopped++;
+    if (rows.length > 0) {
+      console.log(`${prefix} Blocks ${ctx.fromBlock.toLocaleString()}-${ctx.toBlock.toLocaleString()}: ${rows.length} rewards (${expeditionHeroMap.size} expedition entries)`);
     }
-    const indexerName = getWorkerIndexerName(w);
-    runningWorkers.delete(indexerName);
-  }
-  activeWorkerCount = 0;
-  donorReservations.clear();
-  console.log(`[GardeningQuest] Stopped ${stopped} workers`);
-  return stopped;
-}
 
-export async function runGardeningQuestIndexer() {
-  const indexerName = getIndexerName();
-  
-  const progress = await initIndexerProgress(indexerName);
-  if (progress.status === 'running') {
-    console.log('[GardeningQuest] Indexer already running');
-    return { status: 'already_running' };
-  }
-  
-  const latestBlock = await getLatestBlock();
-  const startBlock = progress.lastIndexedBlock + 1;
-  const targetBlock = Math.min(startBlock + INCREMENTAL_BATCH_SIZE, latestBlock);
-  
-  if (startBlock >= latestBlock) {
-    console.log('[GardeningQuest] Already at latest block');
-    return { status: 'up_to_date', lastBlock: progress.lastIndexedBlock };
+    return { entities: rows.map(r => String(r.heroId)), events: rows.length };
+  },
+});
+
+/**
+ * Index [fromBlock, toBlock] and checkpoint `indexerName` after each chunk.
+ * Used by the replay tooling; auto-runs go through the runtime's own loops.
+ */
+export async function indexBlockRange(fromBlock, toBlock, indexerName = getIndexerName(), workerId = null) {
+  const prefix = workerId !== null ? `[GardeningQuest W${workerId}]` : '[GardeningQuest]';
+  console.log(`${prefix} Starting block range ${fromBlock.toLocaleString()}-${toBlock.toLocaleString()}`);
+
+  // The head drives the reorg window and the pool snapshot cutoff
+  try {
+    latestKnownBlock = await gardeningQuestIndexer.getLatestBlock();
+  } catch (e) {
+    latestKnownBlock = toBlock;
   }
-  
-  console.log(`[GardeningQuest] Starting indexer from block ${startBlock} to ${targetBlock}`);
-  
-  await updateIndexerProgress(indexerName, { status: 'running' });
-  
-  updateLiveProgress({
-    isRunning: true,
-    currentBlock: startBlock,
-    targetBlock,
-    genesisBlock: progress.genesisBlock,
-    eventsFound: 0,
-    batchesCompleted: 0,
-    startedAt: new Date().toISOString(),
-  });
-  
+
   try {
-    const result = await indexBlockRange(startBlock, targetBlock, indexerName);
-    
-    await updateIndexerProgress(indexerName, {
-      status: 'idle',
-      lastIndexedBlock: targetBlock,
-    });
-    
-    updateLiveProgress({
-      isRunning: false,
-      completedAt: new Date().toISOString(),
-      percentComplete: 100,
+    const result = await gardeningQuestIndexer.indexRange(fromBlock, toBlock, {
+      workerId,
+      onChunk: async (chunkTo, stats) => {
+        await updateIndexerProgress(indexerName, {
+          lastIndexedBlock: chunkTo,
+          lastIndexedBlockHash: stats.chunkHash,
+          totalEventsIndexed: sql`${gardeningQuestIndexerProgress.totalEventsIndexed} + ${stats.chunkEvents}`,
+        });
+      },
     });
-    
-    console.log(`[GardeningQuest] Completed: ${result.totalEventsFound} rewards indexed in ${result.batchCount} batches`);
-    
-    return {
-      status: 'completed',
-      eventsIndexed: result.totalEventsFound,
-      blocksProcessed: targetBlock - startBlock + 1,
-      lastBlock: targetBlock,
-    };
-    
+    return { totalEventsFound: result.eventsFound, batchCount: result.batchesCompleted };
   } catch (error) {
-    updateLiveProgress({ isRunning: false });
+    console.error(`${prefix} Error indexing blocks ${fromBlock}-${toBlock}:`, error.message);
+    await updateIndexerProgress(indexerName, { status: 'error', lastError: error.message });
     throw error;
   }
 }
 
+export function getGardeningQuestLiveProgress() {
+  return gardeningQuestIndexer.getLiveProgress();
+}
+
+export function getGardeningWorkersLiveProgress() {
+  return gardeningQuestIndexer.getAllWorkersProgress();
+}
+
+export async function startGardeningWorkersAutoRun(intervalMs = AUTO_RUN_INTERVAL_MS, targetWorkers = GARDENING_WORKERS) {
+  return gardeningQuestIndexer.startWorkers({ intervalMs, targetWorkers });
+}
+
+export function stopGardeningWorkersAutoRun() {
+  return gardeningQuestIndexer.stopWorkers();
+}
+
+export async function runGardeningQuestIndexer() {
+  const result = await gardeningQuestIndexer.runIncremental();
+
+  if (!result.success) {
+    if (result.message === 'Already running') {
+      console.log('[GardeningQuest] Indexer already running');
+      return { status: 'already_running' };
+    }
+    return { status: 'error', error: result.error };
+  }
+
+  if (!result.targetBlock) {
+    const progress = await getIndexerProgress(getIndexerName());
+    return { status: 'up_to_date', lastBlock: progress?.lastIndexedBlock ?? null };
+  }
+
+  return {
+    status: 'completed',
+    eventsIndexed: result.eventsFound,
+    blocksProcessed: result.blocksIndexed,
+    lastBlock: result.targetBlock,
+  };
+}
+
 export function startGardeningQuestAutoRun(useParallelWorkers = true) {
   if (useParallelWorkers) {
     return startGardeningWorkersAutoRun();
   }
-  
-  if (autoRunIntervals.has('gardening_quest')) {
+  if (!gardeningQuestIndexer.startSingleAutoRun(AUTO_RUN_INTERVAL_MS)) {
     return { status: 'already_running' };
   }
-  
-  const intervalId = setInterval(async () => {
-    try {
-      const progress = getGardeningQuestLiveProgress();
-      if (progress?.isRunning) {
-        return;
-      }
-      await runGardeningQuestIndexer();
-    } catch (err) {
-      console.error('[GardeningQuest] Auto-run error:', err.message);
-    }
-  }, AUTO_RUN_INTERVAL_MS);
-  
-  autoRunIntervals.set('gardening_quest', intervalId);
-  runGardeningQuestIndexer().catch(e => console.error('[GardeningQuest] Initial run error:', e.message));
-  
   return { status: 'started', interval: AUTO_RUN_INTERVAL_MS };
 }
 
 export function stopGardeningQuestAutoRun() {
-  let stoppedAny = false;
-  
-  const singleInterval = autoRunIntervals.get('gardening_quest');
-  if (singleInterval) {
-    clearInterval(singleInterval);
-    autoRunIntervals.delete('gardening_quest');
-    console.log('[GardeningQuest] Single auto-run stopped');
-    stoppedAny = true;
-  }
-  
-  const workersStoppedCount = stopGardeningWorkersAutoRun();
-  if (workersStoppedCount > 0) {
-    stoppedAny = true;
-  }
-  
-  return stoppedAny;
+  return gardeningQuestIndexer.stopAutoRun();
 }
 
 export function isGardeningQuestAutoRunning() {
-  if (autoRunIntervals.has('gardening_quest')) return true;
-  for (let w = 0; w < GARDENING_WORKERS; w++) {
-    if (autoRunIntervals.has(getWorkerKey(w))) return true;
-  }
-  return false;
+  return gardeningQuestIndexer.isAutoRunning();
 }
 
 export function getGardeningWorkersStatus() {
-  const workers = [];
-  for (let w = 0; w < GARDENING_WORKERS; w++) {
-    const key = getWorkerKey(w);
-    const info = autoRunIntervals.get(key);
-    const progress = workerLiveProgress.get(key);
-    if (info || progress) {
-      workers.push({
-        workerId: w,
-        isActive: !!info,
-        ...progress,
-        runsCompleted: info?.runsCompleted || 0,
-        lastRunAt: info?.lastRunAt,
-      });
-    }
-  }
+  const status = gardeningQuestIndexer.getWorkersStatus();
   return {
-    activeWorkers: activeWorkerCount,
-    maxWorkers: GARDENING_WORKERS,
-    minWorkers: MIN_GARDENING_WORKERS,
-    workers,
+    ...status,
+    workers: status.workers.map(w => ({
+      workerId: w.workerId,
+      isActive: w.isRunning,
+      ...w.progress,
+      runsCompleted: w.runsCompleted || 0,
+      lastRunAt: w.lastRunAt,
+    })),
   };
 }
 
+function hasRunningBatches() {
+  return !!gardeningQuestIndexer.getLiveProgress()?.isRunning
+    || gardeningQuestIndexer.getAllWorkersProgress().some(p => p.isRunning);
+}
+
 export async function getGardeningQuestStatus() {
   const indexerName = getIndexerName();
   const progress = await getIndexerProgress(indexerName);
@@ -1642,6 +824,7 @@ export async function getGardeningQuestStatus() {
       totalJewel: parseFloat(stats.totalJewel),
     },
     poolBreakdown: poolsWithNames,
+    indexer: await gardeningQuestIndexer.getStatus(),
   };
 }
 
@@ -1748,8 +931,7 @@ export async function resetGardeningQuestIndexer(clearRewards = true) {
   
   stopGardeningWorkersAutoRun();
   
-  const hasActiveWorkers = Array.from(runningWorkers.values()).some(v => v === true);
-  if (hasActiveWorkers) {
+  if (hasRunningBatches()) {
     console.log('[GardeningQuest] Waiting for active batches to complete...');
     await new Promise(resolve => setTimeout(resolve, 5000));
   }
@@ -1762,8 +944,6 @@ export async function resetGardeningQuestIndexer(clearRewards = true) {
     console.log('[GardeningQuest] ✓ Cleared rewards data');
   }
   
-  clearLiveProgress();
-  
   console.log('[GardeningQuest] ✓ Reset complete - ready for fresh scan');
   return { success: true, clearedRewards: clearRewards };
 }
@@ -1786,8 +966,7 @@ export async function resetGardeningQuestToBlock(startBlock, clearRewards = true
   
   stopGardeningWorkersAutoRun();
   
-  const hasActiveWorkers = Array.from(runningWorkers.values()).some(v => v === true);
-  if (hasActiveWorkers) {
+  if (hasRunningBatches()) {
     console.log('[GardeningQuest] Waiting for active batches to complete...');
     await new Promise(resolve => setTimeout(resolve, 5000));
   }
@@ -1814,21 +993,13 @@ export async function resetGardeningQuestToBlock(startBlock, clearRewards = true
     }
     const workerEnd = Math.min(workerStart + blocksPerWorker - 1, latestBlock);
     
-    await initWorkerProgress(w, workerStart, workerEnd);
+    await gardeningQuestIndexer.initCheckpoint(`gardening_quest_worker_${w}`, workerStart, workerEnd);
     console.log(`[GardeningQuest] Worker ${w}: blocks ${workerStart} - ${workerEnd}`);
     workersCreated++;
   }
   
   // Also init the main indexer progress
-  await db.insert(gardeningQuestIndexerProgress).values({
-    indexerName: 'gardening_quest',
-    lastIndexedBlock: startBlock,
-    genesisBlock: startBlock,
-    status: 'idle',
-    totalEventsIndexed: 0,
-  }).onConflictDoNothing();
-  
-  clearLiveProgress();
+  await gardeningQuestIndexer.initCheckpoint(getIndexerName(), startBlock);
   
   console.log(`[GardeningQuest] ✓ Reset complete - ${workersCreated} workers ready to index from block ${startBlock}`);
   return { 
@@ -4,6 +4,7 @@
 // Source: https://devs.defikingdoms.com/contracts/void-hunts
 
 import { ethers } from 'ethers';
+import { getChainProvider } from '../../services/rpcProviderRegistry.js';
 import { db } from '../../../server/db.js';
 import { huntingEncounters, ingestionState, walletLinks } from '../../../shared/schema.js';
 import { eq, sql } from 'drizzle-orm';
@@ -21,7 +22,7 @@ let providerInstance: ethers.JsonRpcProvider | null = null;
 
 function getProvider(): ethers.JsonRpcProvider {
   if (!providerInstance) {
-    providerInstance = new ethers.JsonRpcProvider(COMBAT_CONTRACTS.dfk.rpcUrl);
+    providerInstance = getChainProvider('dfk');
   }
   return providerInstance;
 }
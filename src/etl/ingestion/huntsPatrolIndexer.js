@@ -8,6 +8,9 @@ import { ethers } from 'ethers';
 import { sql } from 'drizzle-orm';
 import { db, rawPg, rawTextPg, execRawSQL } from '../../../server/db.js';
 import { isScavengerBonus, getScavengerLootBonus } from '../../../pet-data.js';
+import { fetchJson } from './rpcFixtures.js';
+import { getChainProvider } from '../../services/rpcProviderRegistry.js';
+import { defineIndexer } from './indexerRuntime.js';
 
 // Configuration
 const BLOCKS_PER_QUERY = 2000;
@@ -19,13 +22,8 @@ export const PVE_WORKERS = 5;
 export const MIN_PVE_WORKERS = 1;
 const MIN_BLOCKS_TO_STEAL = 500000;
 
-// Contract addresses and RPC URLs
-const DFK_CHAIN_RPC = 'https://subnets.avax.network/defi-kingdoms/dfk-chain/rpc';
-// Note: Archive RPC using same public endpoint (limited historical data but works)
-const DFK_ARCHIVE_RPC = 'https://subnets.avax.network/defi-kingdoms/dfk-chain/rpc';
-const METIS_RPC = 'https://andromeda.metis.io/?owner=1088';
-// Note: Using same endpoint for archive since free archive RPCs are unavailable
-const METIS_ARCHIVE_RPC = 'https://andromeda.metis.io/?owner=1088';
+// RPC endpoints (including archive pools for historical hero/pet state) live in
+// src/services/rpcProviderRegistry.js
 
 // DFK Chain contracts
 const HUNTS_DIAMOND = '0xEaC69796Cff468ED1694A6FfAc4cbC23bbe33aFa';
@@ -76,23 +74,21 @@ const PET_CORE_ABI = [
 const CHAIN_CONFIGS = {
   dfk: {
     chainId: 53935,
-    rpcUrl: DFK_CHAIN_RPC,
-    archiveRpcUrl: DFK_ARCHIVE_RPC,
     contractAddress: HUNTS_DIAMOND,
     heroContract: HERO_CONTRACT_DFK,
     petContract: PET_CONTRACT_DFK,
     activityType: 'hunt',
     abi: HUNTS_DIAMOND_ABI,
+    startBlock: 50000000,
   },
   metis: {
     chainId: 1088,
-    rpcUrl: METIS_RPC,
-    archiveRpcUrl: METIS_ARCHIVE_RPC,
     contractAddress: PVP_DIAMOND_METIS,
     heroContract: PVP_DIAMOND_METIS, // Same contract (Diamond pattern)
     petContract: PET_CONTRACT_METIS,
     activityType: 'patrol',
     abi: PVP_DIAMOND_ABI,
+    startBlock: 18000000,
   },
 };
 
@@ -103,9 +99,8 @@ const CHAIN_CONFIGS = {
 async function getMetisGasRefund(txHash, playerAddress) {
   try {
     const url = `https://andromeda-explorer.metis.io/api/v2/transactions/${txHash}/internal-transactions`;
-    const res = await fetch(url);
-    if (!res.ok) return '0';
-    const data = await res.json();
+    const data = await fetchJson(url);
+    if (!data) return '0';
     const pvpDiamond = PVP_DIAMOND_METIS.toLowerCase();
     const refundCall = (data.items || []).find(item =>
       item.type === 'call' &&
@@ -120,84 +115,11 @@ async function getMetisGasRefund(txHash, playerAddress) {
   }
 }
 
-// Live progress tracking
-const liveProgress = new Map();
-const runningIndexers = new Map();
-const autoRunIntervals = new Map();
+// Auto-run timing for the dashboard countdown
 const autoRunTiming = new Map(); // Tracks { startedAt, lastRunAt, intervalMs }
 
-// Worker tracking
-const workerLiveProgress = new Map(); // Per-worker progress
-const runningWorkers = new Map(); // Which workers are currently running
-const donorReservations = new Map(); // Work-stealing reservations
-let activeWorkerCount = {}; // { dfk: 5, metis: 5 }
-
-// Retry wrapper with exponential backoff for RPC calls
+// RPC retries (exponential backoff) are handled by the indexer runtime
 const MAX_RETRIES = 5;
-const INITIAL_RETRY_DELAY_MS = 1000;
-
-async function withRetry(fn, context = 'RPC call', chain = 'unknown') {
-  let lastError;
-  for (let attempt = 0; attempt < MAX_RETRIES; attempt++) {
-    try {
-      return await fn();
-    } catch (error) {
-      lastError = error;
-      const isRetryable = 
-        error.message?.includes('socket hang up') ||
-        error.message?.includes('ECONNRESET') ||
-        error.message?.includes('ETIMEDOUT') ||
-        error.message?.includes('ENOTFOUND') ||
-        error.message?.includes('network') ||
-        error.code === 'ECONNRESET' ||
-        error.code === 'ETIMEDOUT' ||
-        error.code === 'UND_ERR_SOCKET';
-      
-      if (!isRetryable || attempt === MAX_RETRIES - 1) {
-        throw error;
-      }
-      
-      const delay = INITIAL_RETRY_DELAY_MS * Math.pow(2, attempt);
-      console.warn(`[PVE ${chain}] ${context} failed (attempt ${attempt + 1}/${MAX_RETRIES}): ${error.message}. Retrying in ${delay}ms...`);
-      await new Promise(resolve => setTimeout(resolve, delay));
-    }
-  }
-  throw lastError;
-}
-
-// Worker helpers
-function getWorkerKey(chain, workerId) {
-  return `pve_${chain}_w${workerId}`;
-}
-
-function getWorkerIndexerName(chain, workerId) {
-  return `pve_${chain}_worker_${workerId}`;
-}
-
-function updateWorkerLiveProgress(chain, workerId, updates) {
-  const key = getWorkerKey(chain, workerId);
-  const current = workerLiveProgress.get(key) || {};
-  workerLiveProgress.set(key, { ...current, ...updates });
-}
-
-function clearWorkerLiveProgress(chain, workerId) {
-  workerLiveProgress.delete(getWorkerKey(chain, workerId));
-}
-
-// Get all worker progress for a chain
-export function getAllWorkerProgress(chain) {
-  const workers = [];
-  const count = activeWorkerCount[chain] || PVE_WORKERS;
-  for (let w = 0; w < count; w++) {
-    const key = getWorkerKey(chain, w);
-    workers.push({
-      workerId: w,
-      progress: workerLiveProgress.get(key) || null,
-      isRunning: runningWorkers.get(getWorkerIndexerName(chain, w)) || false,
-    });
-  }
-  return workers;
-}
 
 // Known DFK item addresses to names (for drop rate display)
 const KNOWN_ITEMS = {
@@ -258,14 +180,14 @@ const contracts = new Map();
 
 export function getProvider(chain) {
   if (!providers.has(chain)) {
-    providers.set(chain, new ethers.JsonRpcProvider(CHAIN_CONFIGS[chain].rpcUrl));
+    providers.set(chain, getChainProvider(chain));
   }
   return providers.get(chain);
 }
 
 export function getArchiveProvider(chain) {
   if (!archiveProviders.has(chain)) {
-    archiveProviders.set(chain, new ethers.JsonRpcProvider(CHAIN_CONFIGS[chain].archiveRpcUrl));
+    archiveProviders.set(chain, getChainProvider(chain, { archive: true }));
   }
   return archiveProviders.get(chain);
 }
@@ -297,48 +219,10 @@ export function getPetContract(chain) {
   return contracts.get(key);
 }
 
-// Get live progress for a chain
-export function getPVEIndexerLiveProgress(chain) {
-  if (chain) {
-    return liveProgress.get(chain) || null;
-  }
-  const result = {};
-  for (const [key, value] of liveProgress) {
-    result[key] = value;
-  }
-  return result;
-}
-
-function updateLiveProgress(chain, updates) {
-  const current = liveProgress.get(chain) || {
-    chain,
-    isRunning: false,
-    currentBlock: 0,
-    targetBlock: 0,
-    startBlock: 0,
-    eventsFound: 0,
-    completionsFound: 0,
-    batchesCompleted: 0,
-    startedAt: null,
-    lastBatchAt: null,
-    percentComplete: 0,
-    completedAt: null,
-    lastError: null,
-  };
-  const updated = { ...current, ...updates };
-  if (updates.percentComplete === undefined && updated.targetBlock > updated.startBlock) {
-    const totalBlocks = updated.targetBlock - updated.startBlock;
-    const indexedBlocks = updated.currentBlock - updated.startBlock;
-    updated.percentComplete = Math.min(100, Math.max(0, (indexedBlocks / totalBlocks) * 100));
-  }
-  liveProgress.set(chain, updated);
-  return updated;
-}
-
 // Initialize PVE tables if they don't exist
 let tablesInitialized = false;
 
-async function initializePVETables() {
+export async function initializePVETables() {
   if (tablesInitialized) return;
   
   try {
@@ -371,6 +255,7 @@ async function initializePVETables() {
         id SERIAL PRIMARY KEY,
         tx_hash VARCHAR(66) UNIQUE NOT NULL,
         block_number BIGINT NOT NULL,
+        block_hash TEXT,
         chain_id INTEGER NOT NULL,
         activity_id INTEGER REFERENCES pve_activities(id),
         player_address VARCHAR(42) NOT NULL,
@@ -387,6 +272,7 @@ async function initializePVETables() {
         tx_hash VARCHAR(66) NOT NULL,
         log_index INTEGER NOT NULL,
         block_number BIGINT NOT NULL,
+        block_hash TEXT,
         chain_id INTEGER NOT NULL,
         activity_id INTEGER REFERENCES pve_activities(id),
         item_id INTEGER REFERENCES pve_loot_items(id),
@@ -489,6 +375,10 @@ async function initializePVETables() {
     } catch (e) {
       // Column may already exist
     }
+
+    // Schema migration: block hashes for reorg detection
+    await db.execute(sql`ALTER TABLE pve_completions ADD COLUMN IF NOT EXISTS block_hash TEXT`);
+    await db.execute(sql`ALTER TABLE pve_reward_events ADD COLUMN IF NOT EXISTS block_hash TEXT`);
     
     // Create equipment stats table for enriched data (fetched from NFT contracts)
     await db.execute(sql`
@@ -707,1085 +597,492 @@ async function getScavengerBonusPct(chain, petId, blockNumber) {
   }
 }
 
-// Index block range for a specific chain
-async function indexBlockRange(chain, fromBlock, toBlock) {
+const ACTIVITY_TOPICS = {
+  hunt: {
+    completed: HUNT_REWARD_EVENTS.HuntCompleted,
+    reward: HUNT_REWARD_EVENTS.HuntRewardMinted,
+    equipment: HUNT_REWARD_EVENTS.HuntEquipmentMinted,
+    petBonus: HUNT_REWARD_EVENTS.HuntPetBonusReceived,
+  },
+  patrol: {
+    completed: PATROL_REWARD_EVENTS.PatrolCompleted,
+    reward: PATROL_REWARD_EVENTS.PatrolRewardMinted,
+    equipment: PATROL_REWARD_EVENTS.PatrolEquipmentMinted,
+    petBonus: null,
+  },
+};
+
+// Write one won hunt/patrol (completion + reward + equipment rows) from the logs of its tx.
+// Party luck and Scavenger bonuses need archive state reads per hero/pet, so parallel
+// backfill workers skip them (enrich = false) to keep historical scans cheap.
+// Returns null when the tx has no won completion.
+async function processActivityTx(chain, txHash, logsInTx, { enrich, getBlockTimestamp, tag }) {
   const config = CHAIN_CONFIGS[chain];
-  const contract = getContract(chain);
-  const provider = getProvider(chain);
-  
-  let currentBlock = fromBlock;
-  let totalRewardsFound = 0;
-  let totalCompletionsFound = 0;
-  let batchCount = 0;
-  
-  // Get event topics based on chain
-  const completedTopic = config.activityType === 'hunt' 
-    ? HUNT_REWARD_EVENTS.HuntCompleted 
-    : PATROL_REWARD_EVENTS.PatrolCompleted;
-  const rewardTopic = config.activityType === 'hunt'
-    ? HUNT_REWARD_EVENTS.HuntRewardMinted
-    : PATROL_REWARD_EVENTS.PatrolRewardMinted;
-  const equipmentTopic = config.activityType === 'hunt'
-    ? HUNT_REWARD_EVENTS.HuntEquipmentMinted
-    : PATROL_REWARD_EVENTS.PatrolEquipmentMinted;
-  const petBonusTopic = config.activityType === 'hunt'
-    ? HUNT_REWARD_EVENTS.HuntPetBonusReceived
-    : null;
-  
-  while (currentBlock <= toBlock) {
-    const endBlock = Math.min(currentBlock + BLOCKS_PER_QUERY - 1, toBlock);
-    
-    try {
-      // Fetch all relevant logs in one query
-      const topicsToQuery = [completedTopic, rewardTopic, equipmentTopic].filter(Boolean);
-      
-      const logs = await withRetry(() => provider.getLogs({
-        address: config.contractAddress,
-        topics: [topicsToQuery],
-        fromBlock: currentBlock,
-        toBlock: endBlock,
-      }), `getLogs ${currentBlock}-${endBlock}`, chain);
-      
-      // Group logs by transaction
-      const txLogs = new Map();
-      for (const log of logs) {
-        const txHash = log.transactionHash;
-        if (!txLogs.has(txHash)) {
-          txLogs.set(txHash, []);
-        }
-        txLogs.get(txHash).push(log);
-      }
-      
-      // Process each transaction
-      for (const [txHash, logsInTx] of txLogs) {
-        // Find completion event
-        const completionLog = logsInTx.find(log => log.topics[0] === completedTopic);
-        if (!completionLog) continue;
-        
-        try {
-          const iface = contract.interface;
-          let activityId;
-          let playerAddress;
-          let heroIds = [];
-          let fightsCompleted = 0;
-          
-          if (config.activityType === 'hunt') {
-            // Parse HuntCompleted event
-            const parsed = iface.parseLog({
-              topics: completionLog.topics,
-              data: completionLog.data,
-            });
-            if (!parsed) continue;
-            
-            const huntData = parsed.args.hunt || parsed.args[1];
-            
-            // NOTE: The ABI tuple field names are swapped in ethers parsing:
-            // huntData[0] / huntData.huntDataId = actual huntId (instance ID)
-            // huntData[1] / huntData.huntId = actual huntDataId (activity type: 1=Mad Boar, 2=Bad Motherclucker)
-            // So we use index 1 to get the activity type
-            activityId = Number(huntData[1] || huntData.huntId);
-            playerAddress = (huntData[4] || huntData.player).toLowerCase();
-            heroIds = (huntData[3] || huntData.heroIds || []).map(h => BigInt(h));
-            
-            const huntWon = parsed.args.huntWon ?? parsed.args[2];
-            if (!huntWon) {
-              continue; // Hunt was lost
-            }
-          } else {
-            // Parse PatrolCompleted event
-            const parsed = iface.parseLog({
-              topics: completionLog.topics,
-              data: completionLog.data,
-            });
-            if (!parsed) continue;
-            
-            activityId = Number(parsed.args[0] ?? parsed.args.patrolId);
-            playerAddress = (parsed.args.player || parsed.args[1]).toLowerCase();
-            fightsCompleted = Number(parsed.args[2] ?? parsed.args.fightsCompleted ?? 0);
-            
-            if (parsed.args[3] === false || parsed.args.patrolWon === false) {
-              continue; // Patrol was lost
-            }
-          }
-          
-          // Get activity database ID
-          const activityIdInDb = await getActivityDbId(config.chainId, config.activityType, activityId);
-          if (!activityIdInDb) {
-            console.warn(`[PVE ${chain}] Unknown activity: ${config.activityType} ${activityId}`);
-            continue;
-          }
-          
-          // Calculate party luck (expensive - needs archive RPC)
-          let partyLuck = null;
-          if (heroIds.length > 0) {
-            partyLuck = await calculatePartyLuck(chain, heroIds, completionLog.blockNumber);
-          }
-          
-          // Find pet bonus events in this tx (for hunts)
-          const petBonusLogs = petBonusTopic 
-            ? logsInTx.filter(log => log.topics[0] === petBonusTopic)
-            : [];
-          const petIds = petBonusLogs.map(log => {
-            const parsed = iface.parseLog({ topics: log.topics, data: log.data });
-            return parsed ? BigInt(parsed.args.petId || parsed.args[3]) : 0n;
-          }).filter(p => p > 0n);
-          
-          let scavengerBonusPct = null;
-          if (petIds.length > 0) {
-            for (const petId of petIds) {
-              const bonusPct = await getScavengerBonusPct(chain, petId, completionLog.blockNumber);
-              if (bonusPct > (scavengerBonusPct || 0)) {
-                scavengerBonusPct = bonusPct;
-              }
-            }
-          }
-          
-          // Get block timestamp
-          const block = await provider.getBlock(completionLog.blockNumber);
-          const completedAt = block ? new Date(block.timestamp * 1000) : new Date();
-          
-          // Insert completion record
-          // Convert hero/pet IDs to strings for BIGINT array (avoids JS number precision loss)
-          const heroIdStrs = heroIds.map(h => String(h));
-          const petIdStrs = petIds.map(p => String(p));
-          const safePartyLuck = partyLuck ?? 0;
-          const safeScavengerBonus = scavengerBonusPct ?? 0;
-          const completedAtIso = completedAt.toISOString();
-
-          // Fetch native METIS gas refund for 3-stage Metis patrol completions.
-          // Refund is delivered as an internal call (invisible to getLogs) from
-          // the PVP Diamond to the player — requires Blockscout v2 API to read.
-          let nativeGasRefund = '0';
-          if (chain === 'metis' && fightsCompleted === 3) {
-            await new Promise(r => setTimeout(r, 200)); // rate-limit courtesy
-            nativeGasRefund = await getMetisGasRefund(txHash, playerAddress);
-            if (nativeGasRefund !== '0') {
-              console.log(`[PVE ${chain}] Gas refund detected tx=${txHash.slice(0,10)}... amount=${nativeGasRefund} METIS`);
-            }
-          }
-          
-          try {
-            // Store hero/pet IDs as JSON strings (TEXT column)
-            // Escape single quotes for SQL safety
-            const heroIdsJson = JSON.stringify(heroIds.map(h => String(h))).replace(/'/g, "''");
-            const petIdsJson = JSON.stringify(petIds.map(p => String(p))).replace(/'/g, "''");
-            
-            // Use execRawSQL with .unsafe() - completely bypass all type inference
-            // Omit hero/pet columns to avoid Neon pooler type caching issues
-            const insertSQL = `
-              INSERT INTO pve_completions (
-                tx_hash, block_number, chain_id, activity_id, player_address, 
-                party_luck, scavenger_bonus_pct, completed_at, fights_completed,
-                native_gas_refund
-              ) VALUES (
-                '${txHash}', ${completionLog.blockNumber}, ${config.chainId}, ${activityIdInDb},
-                '${playerAddress}', ${safePartyLuck}, ${safeScavengerBonus}, '${completedAtIso}',
-                ${fightsCompleted}, ${nativeGasRefund}
-              )
-              ON CONFLICT (tx_hash) DO UPDATE SET
-                fights_completed = EXCLUDED.fights_completed,
-                native_gas_refund = EXCLUDED.native_gas_refund
-              RETURNING id
-            `;
-            const result = await execRawSQL(insertSQL);
-            console.log(`[PVE ${chain}] Inserted completion tx=${txHash.slice(0,10)}... result=`, result?.length > 0 ? `id=${result[0].id}` : 'conflict/skipped');
-            totalCompletionsFound++;
-          } catch (insertError) {
-            console.error(`[PVE ${chain}] Completion insert error:`, insertError);
-            console.error(`[PVE ${chain}] Error code:`, insertError?.code, 'Detail:', insertError?.detail);
-            continue;
-          }
-          
-          // Process reward events
-          const rewardLogs = logsInTx.filter(log => log.topics[0] === rewardTopic);
-          for (const rewardLog of rewardLogs) {
-            const parsed = iface.parseLog({
-              topics: rewardLog.topics,
-              data: rewardLog.data,
-            });
-            if (!parsed) continue;
-            
-            const itemAddress = (parsed.args.item || parsed.args[2]).toLowerCase();
-            const amount = Number(parsed.args.amount || parsed.args[3] || 1);
-            
-            const itemId = await getOrCreateLootItem(config.chainId, itemAddress);
-            
-            // Use execRawSQL with .unsafe() - completely bypass all type inference
-            // Omit hero/pet columns to avoid Neon pooler type caching issues
-            const rewardSQL = `
-              INSERT INTO pve_reward_events (
-                tx_hash, log_index, block_number, chain_id, activity_id, item_id,
-                amount, player_address, party_luck, pet_bonus_active, scavenger_bonus_pct
-              ) VALUES (
-                '${txHash}', ${rewardLog.index}, ${rewardLog.blockNumber}, ${config.chainId},
-                ${activityIdInDb}, ${itemId}, ${amount}, '${playerAddress}',
-                ${partyLuck || 0}, ${petIds.length > 0}, ${scavengerBonusPct || 0}
-              )
-              ON CONFLICT (tx_hash, log_index) DO NOTHING
-            `;
-            await execRawSQL(rewardSQL);
-            totalRewardsFound++;
-          }
-          
-          // Process equipment minted events
-          const equipmentLogs = logsInTx.filter(log => log.topics[0] === equipmentTopic);
-          for (const eqLog of equipmentLogs) {
-            const parsed = iface.parseLog({
-              topics: eqLog.topics,
-              data: eqLog.data,
-            });
-            if (!parsed) continue;
-            
-            // Use the canonical equipment item for this chain instead of the event's item address
-            // The event's item address may be wrong; variants are identified by equipment_type + display_id
-            const itemId = await getOrCreateEquipmentItem(config.chainId);
-            
-            // Extract equipment metadata from event
-            // HuntEquipmentMinted(huntId, item, player, equipmentType, displayId, rarity, nftId)
-            // PatrolEquipmentMinted(huntId, item, player, equipmentType, displayId, rarity, nftId)
-            const equipmentType = Number(parsed.args.equipmentType ?? parsed.args[3] ?? 0);
-            const displayId = Number(parsed.args.displayId ?? parsed.args[4] ?? 0);
-            const rarityTier = Number(parsed.args.rarity ?? parsed.args[5] ?? 0);
-            const nftId = BigInt(parsed.args.nftId ?? parsed.args[6] ?? 0);
-            
-            // Use execRawSQL with .unsafe() - completely bypass all type inference
-            // Include equipment metadata columns
-            const eqSQL = `
-              INSERT INTO pve_reward_events (
-                tx_hash, log_index, block_number, chain_id, activity_id, item_id,
-                amount, player_address, party_luck, pet_bonus_active, scavenger_bonus_pct,
-                is_equipment, nft_id, equipment_type, display_id, rarity_tier
-              ) VALUES (
-                '${txHash}', ${eqLog.index}, ${eqLog.blockNumber}, ${config.chainId},
-                ${activityIdInDb}, ${itemId}, 1, '${playerAddress}',
-                ${partyLuck || 0}, ${petIds.length > 0}, ${scavengerBonusPct || 0},
-                TRUE, ${nftId.toString()}, ${equipmentType}, ${displayId}, ${rarityTier}
-              )
-              ON CONFLICT (tx_hash, log_index) DO NOTHING
-            `;
-            await execRawSQL(eqSQL);
-            totalRewardsFound++;
-          }
-          
-        } catch (parseError) {
-          console.error(`[PVE ${chain}] Error parsing tx ${txHash}:`, parseError.message);
-          continue;
-        }
-      }
-      
-      batchCount++;
-      currentBlock = endBlock + 1;
-      
-      updateLiveProgress(chain, {
-        currentBlock: endBlock,
-        eventsFound: totalRewardsFound,
-        completionsFound: totalCompletionsFound,
-        batchesCompleted: batchCount,
-        lastBatchAt: new Date().toISOString(),
-      });
-      
-      // Update checkpoint in DB
-      await db.execute(sql`
-        UPDATE pve_indexer_checkpoints 
-        SET last_indexed_block = ${endBlock},
-            total_completions = total_completions + ${totalCompletionsFound},
-            total_rewards = total_rewards + ${totalRewardsFound},
-            last_indexed_at = NOW()
-        WHERE chain_id = ${config.chainId}
-      `);
-      
-      if (batchCount % 25 === 0) {
-        console.log(`[PVE ${chain}] Block ${endBlock}/${toBlock} (${((endBlock - fromBlock) / (toBlock - fromBlock) * 100).toFixed(1)}%) - ${totalCompletionsFound} completions, ${totalRewardsFound} rewards`);
+  const topics = ACTIVITY_TOPICS[config.activityType];
+
+  const completion = logsInTx.find(r => r.topic === topics.completed);
+  if (!completion) return null;
+  const completionLog = completion.log;
+  const args = completion.args;
+
+  let activityId;
+  let playerAddress;
+  let heroIds = [];
+  let fightsCompleted = 0;
+
+  if (config.activityType === 'hunt') {
+    const huntData = args.hunt || args[1];
+
+    // NOTE: The ABI tuple field names are swapped in ethers parsing:
+    // huntData[0] / huntData.huntDataId = actual huntId (instance ID)
+    // huntData[1] / huntData.huntId = actual huntDataId (activity type: 1=Mad Boar, 2=Bad Motherclucker)
+    // So we use index 1 to get the activity type
+    activityId = Number(huntData[1] || huntData.huntId);
+    playerAddress = (huntData[4] || huntData.player).toLowerCase();
+    heroIds = (huntData[3] || huntData.heroIds || []).map(h => BigInt(h));
+
+    const huntWon = args.huntWon ?? args[2];
+    if (!huntWon) return null;
+  } else {
+    activityId = Number(args[0] ?? args.patrolId);
+    playerAddress = (args.player || args[1]).toLowerCase();
+    fightsCompleted = Number(args[2] ?? args.fightsCompleted ?? 0);
+
+    if (args[3] === false || args.patrolWon === false) return null;
+  }
+
+  const activityIdInDb = await getActivityDbId(config.chainId, config.activityType, activityId);
+  if (!activityIdInDb) {
+    console.warn(`${tag} Unknown activity: ${config.activityType} ${activityId}`);
+    return null;
+  }
+
+  // Pet bonus events in this tx (hunts only)
+  const petIds = topics.petBonus
+    ? logsInTx
+      .filter(r => r.topic === topics.petBonus)
+      .map(r => BigInt(r.args.petId ?? r.args[3]))
+      .filter(p => p > 0n)
+    : [];
+
+  let partyLuck = null;
+  let scavengerBonusPct = null;
+  if (enrich) {
+    if (heroIds.length > 0) {
+      partyLuck = await calculatePartyLuck(chain, heroIds, completionLog.blockNumber);
+    }
+    for (const petId of petIds) {
+      const bonusPct = await getScavengerBonusPct(chain, petId, completionLog.blockNumber);
+      if (bonusPct > (scavengerBonusPct || 0)) {
+        scavengerBonusPct = bonusPct;
       }
-      
-    } catch (error) {
-      console.error(`[PVE ${chain}] Error indexing blocks ${currentBlock}-${endBlock}:`, error.message);
-      updateLiveProgress(chain, { lastError: error.message });
-      await db.execute(sql`
-        UPDATE pve_indexer_checkpoints 
-        SET status = 'error', last_error = ${error.message}
-        WHERE chain_id = ${config.chainId}
-      `);
-      throw error;
     }
   }
-  
-  return { totalRewardsFound, totalCompletionsFound, batchCount };
+
+  const completedAtIso = (await getBlockTimestamp(completionLog.blockNumber)).toISOString();
+
+  // Fetch native METIS gas refund for 3-stage Metis patrol completions.
+  // Refund is delivered as an internal call (invisible to getLogs) from
+  // the PVP Diamond to the player — requires Blockscout v2 API to read.
+  let nativeGasRefund = '0';
+  if (chain === 'metis' && fightsCompleted === 3) {
+    await new Promise(r => setTimeout(r, 200)); // rate-limit courtesy
+    nativeGasRefund = await getMetisGasRefund(txHash, playerAddress);
+    if (nativeGasRefund !== '0') {
+      console.log(`${tag} Gas refund detected tx=${txHash.slice(0,10)}... amount=${nativeGasRefund} METIS`);
+    }
+  }
+
+  try {
+    // Use execRawSQL with .unsafe() - completely bypass all type inference
+    // Omit hero/pet columns to avoid Neon pooler type caching issues
+    const insertSQL = `
+      INSERT INTO pve_completions (
+        tx_hash, block_number, block_hash, chain_id, activity_id, player_address, 
+        party_luck, scavenger_bonus_pct, completed_at, fights_completed,
+        native_gas_refund
+      ) VALUES (
+        '${txHash}', ${completionLog.blockNumber}, '${completionLog.blockHash}', ${config.chainId}, ${activityIdInDb},
+        '${playerAddress}', ${partyLuck ?? 0}, ${scavengerBonusPct ?? 0}, '${completedAtIso}',
+        ${fightsCompleted}, ${nativeGasRefund}
+      )
+      ON CONFLICT (tx_hash) DO UPDATE SET
+        block_hash = EXCLUDED.block_hash,
+        fights_completed = EXCLUDED.fights_completed,
+        native_gas_refund = EXCLUDED.native_gas_refund
+      RETURNING id
+    `;
+    await execRawSQL(insertSQL);
+  } catch (insertError) {
+    console.error(`${tag} Completion insert error:`, insertError);
+    console.error(`${tag} Error code:`, insertError?.code, 'Detail:', insertError?.detail);
+    return null;
+  }
+
+  let rewardsFound = 0;
+
+  for (const reward of logsInTx.filter(r => r.topic === topics.reward)) {
+    const itemAddress = (reward.args.item || reward.args[2]).toLowerCase();
+    const amount = Number(reward.args.amount || reward.args[3] || 1);
+    const itemId = await getOrCreateLootItem(config.chainId, itemAddress);
+
+    const rewardSQL = `
+      INSERT INTO pve_reward_events (
+        tx_hash, log_index, block_number, block_hash, chain_id, activity_id, item_id,
+        amount, player_address, party_luck, pet_bonus_active, scavenger_bonus_pct
+      ) VALUES (
+        '${txHash}', ${reward.log.index}, ${reward.log.blockNumber}, '${reward.log.blockHash}', ${config.chainId},
+        ${activityIdInDb}, ${itemId}, ${amount}, '${playerAddress}',
+        ${partyLuck || 0}, ${petIds.length > 0}, ${scavengerBonusPct || 0}
+      )
+      ON CONFLICT (tx_hash, log_index) DO NOTHING
+    `;
+    await execRawSQL(rewardSQL);
+    rewardsFound++;
+  }
+
+  for (const equipment of logsInTx.filter(r => r.topic === topics.equipment)) {
+    // Use the canonical equipment item for this chain instead of the event's item address
+    // The event's item address may be wrong; variants are identified by equipment_type + display_id
+    const itemId = await getOrCreateEquipmentItem(config.chainId);
+
+    // HuntEquipmentMinted(huntId, item, player, equipmentType, displayId, rarity, nftId)
+    // PatrolEquipmentMinted(huntId, item, player, equipmentType, displayId, rarity, nftId)
+    const equipmentType = Number(equipment.args.equipmentType ?? equipment.args[3] ?? 0);
+    const displayId = Number(equipment.args.displayId ?? equipment.args[4] ?? 0);
+    const rarityTier = Number(equipment.args.rarity ?? equipment.args[5] ?? 0);
+    const nftId = BigInt(equipment.args.nftId ?? equipment.args[6] ?? 0);
+
+    const eqSQL = `
+      INSERT INTO pve_reward_events (
+        tx_hash, log_index, block_number, block_hash, chain_id, activity_id, item_id,
+        amount, player_address, party_luck, pet_bonus_active, scavenger_bonus_pct,
+        is_equipment, nft_id, equipment_type, display_id, rarity_tier
+      ) VALUES (
+        '${txHash}', ${equipment.log.index}, ${equipment.log.blockNumber}, '${equipment.log.blockHash}', ${config.chainId},
+        ${activityIdInDb}, ${itemId}, 1, '${playerAddress}',
+        ${partyLuck || 0}, ${petIds.length > 0}, ${scavengerBonusPct || 0},
+        TRUE, ${nftId.toString()}, ${equipmentType}, ${displayId}, ${rarityTier}
+      )
+      ON CONFLICT (tx_hash, log_index) DO NOTHING
+    `;
+    await execRawSQL(eqSQL);
+    rewardsFound++;
+  }
+
+  return { rewardsFound };
 }
 
-// Worker-based batch indexing (processes a range assigned to a worker)
-async function indexWorkerBlockRange(chain, workerId, fromBlock, toBlock) {
+// One runtime indexer per chain. Checkpoints live in indexer_checkpoints
+// (pve_<chain> plus pve_<chain>_worker_N); pve_indexer_checkpoints keeps the
+// per-chain totals shown on the drop-rate dashboard.
+function definePVEIndexer(chain) {
   const config = CHAIN_CONFIGS[chain];
-  const provider = getArchiveProvider(chain);
-  
-  let totalRewardsFound = 0;
-  let totalCompletionsFound = 0;
-  let batchCount = 0;
-  let currentBlock = fromBlock;
-  
-  while (currentBlock <= toBlock) {
-    const endBlock = Math.min(currentBlock + BLOCKS_PER_QUERY - 1, toBlock);
-    
-    try {
-      // Same indexing logic as indexBlockRange
-      const logs = await withRetry(() => provider.getLogs({
-        address: config.contractAddress,
-        fromBlock: currentBlock,
-        toBlock: endBlock,
-      }), `getLogs ${currentBlock}-${endBlock}`, chain);
-      
-      // Group by tx
-      const byTx = new Map();
-      for (const log of logs) {
-        const key = log.transactionHash;
-        if (!byTx.has(key)) byTx.set(key, []);
-        byTx.get(key).push(log);
+  const topics = ACTIVITY_TOPICS[config.activityType];
+  const name = `pve_${chain}`;
+
+  return defineIndexer({
+    name,
+    label: `PVE ${config.activityType === 'hunt' ? 'Hunts' : 'Patrols'} (${chain})`,
+    chain,
+    getProvider: () => getProvider(chain),
+    address: config.contractAddress,
+    abi: config.abi,
+    topics: [[topics.completed, topics.reward, topics.equipment, topics.petBonus].filter(Boolean)],
+    genesisBlock: config.startBlock,
+    blocksPerQuery: BLOCKS_PER_QUERY,
+    batchSize: BATCH_SIZE,
+    intervalMs: AUTO_RUN_INTERVAL_MS,
+    maxRetries: MAX_RETRIES,
+    workers: PVE_WORKERS,
+    minWorkers: MIN_PVE_WORKERS,
+    minBlocksToSteal: MIN_BLOCKS_TO_STEAL,
+    workerPrefix: `pve_${chain}_worker_`,
+    eventTables: [
+      { table: 'pve_completions', where: sql`chain_id = ${config.chainId}` },
+      { table: 'pve_reward_events', where: sql`chain_id = ${config.chainId}` },
+    ],
+    logTag: `[PVE ${chain}]`,
+    async setup() {
+      await initializePVETables();
+      // Carry the pre-runtime checkpoint over so the single-run indexer resumes where it stopped
+      await db.execute(sql`
+        INSERT INTO indexer_checkpoints (indexer_name, chain, last_indexed_block, genesis_block, range_start, status)
+        SELECT ${name}, ${chain}, last_indexed_block, ${config.startBlock}, ${config.startBlock}, 'idle'
+        FROM pve_indexer_checkpoints WHERE chain_id = ${config.chainId}
+        ON CONFLICT (indexer_name) DO NOTHING
+      `);
+    },
+    decode(event, log) {
+      return { topic: log.topics[0], args: event.args, log };
+    },
+    async sink(records, ctx) {
+      const tag = ctx.workerId !== null ? `[PVE ${chain} W${ctx.workerId}]` : `[PVE ${chain}]`;
+
+      const txLogs = new Map();
+      for (const record of records) {
+        const txHash = record.log.transactionHash;
+        if (!txLogs.has(txHash)) txLogs.set(txHash, []);
+        txLogs.get(txHash).push(record);
       }
-      
-      const completedTopic = config.activityType === 'hunt' 
-        ? HUNT_REWARD_EVENTS.HuntCompleted 
-        : PATROL_REWARD_EVENTS.PatrolCompleted;
-      const rewardTopic = config.activityType === 'hunt'
-        ? HUNT_REWARD_EVENTS.HuntRewardMinted
-        : PATROL_REWARD_EVENTS.PatrolRewardMinted;
-      const equipmentTopic = config.activityType === 'hunt'
-        ? HUNT_REWARD_EVENTS.HuntEquipmentMinted
-        : PATROL_REWARD_EVENTS.PatrolEquipmentMinted;
-      
-      const iface = new ethers.Interface(config.abi);
-      
-      for (const [txHash, logsInTx] of byTx) {
-        const completionLog = logsInTx.find(l => l.topics[0] === completedTopic);
-        if (!completionLog) continue;
-        
+
+      const completedTxs = [];
+      let rewardsFound = 0;
+      for (const [txHash, logsInTx] of txLogs) {
         try {
-          const parsed = iface.parseLog({
-            topics: completionLog.topics,
-            data: completionLog.data,
+          const result = await processActivityTx(chain, txHash, logsInTx, {
+            enrich: ctx.workerId === null,
+            getBlockTimestamp: ctx.getBlockTimestamp,
+            tag,
           });
-          if (!parsed) continue;
-          
-          let activityIdOnChain, playerAddress, heroIds, petIds, partyLuck, victory, fightsCompletedW = 0;
-          
-          if (config.activityType === 'hunt') {
-            const huntTuple = parsed.args[1] || parsed.args.hunt;
-            // NOTE: The ABI tuple field names are swapped in ethers parsing:
-            // huntTuple[0] / huntTuple.huntDataId = actual huntId (instance ID)
-            // huntTuple[1] / huntTuple.huntId = actual huntDataId (activity type: 1=Mad Boar, 2=Bad Motherclucker)
-            // So we use index 1 to get the activity type
-            activityIdOnChain = (huntTuple[1] || huntTuple.huntId).toString();
-            playerAddress = (huntTuple[4] || huntTuple.player).toLowerCase();
-            heroIds = Array.from(huntTuple[3] || huntTuple.heroIds || []).map(h => h.toString());
-            const victory = parsed.args[2] || parsed.args.huntWon;
-            if (!victory) continue; // Skip lost hunts
-            petIds = [];
-            partyLuck = 0;
-          } else {
-            activityIdOnChain = (parsed.args[0] ?? parsed.args.patrolId).toString();
-            playerAddress = (parsed.args[1] || parsed.args.player).toLowerCase();
-            fightsCompletedW = Number(parsed.args[2] ?? parsed.args.fightsCompleted ?? 0);
-            victory = parsed.args[3] ?? parsed.args.patrolWon;
-            if (!victory) continue; // Skip lost patrols
-            heroIds = [];
-            petIds = [];
-            partyLuck = 0;
-          }
-          
-          const heroIdNums = heroIds.map(h => parseInt(h));
-          const petIdNums = petIds.map(p => parseInt(p));
-          
-          let scavengerBonusPct = 0;
-          
-          const activityIdInDb = await getActivityDbId(config.chainId, config.activityType, parseInt(activityIdOnChain));
-          if (!activityIdInDb) {
-            console.warn(`[PVE ${chain} W${workerId}] Unknown activity: ${config.activityType} ${activityIdOnChain}`);
-            continue;
-          }
-          
-          // Get block timestamp for completed_at
-          const block = await provider.getBlock(completionLog.blockNumber);
-          const completedAt = block ? new Date(Number(block.timestamp) * 1000) : new Date();
-          
-          // Use execRawSQL with .unsafe() - completely bypass all type inference
-          // Omit hero/pet columns to avoid Neon pooler type caching issues
-          const completedAtIsoW = completedAt.toISOString();
-
-          // Fetch native METIS gas refund for 3-stage Metis patrol completions.
-          // Refund is an internal native-value call from PVP Diamond to player —
-          // invisible to getLogs, captured via Blockscout v2 API.
-          let nativeGasRefundW = '0';
-          if (chain === 'metis' && fightsCompletedW === 3) {
-            await new Promise(r => setTimeout(r, 200)); // rate-limit courtesy
-            nativeGasRefundW = await getMetisGasRefund(txHash, playerAddress);
-            if (nativeGasRefundW !== '0') {
-              console.log(`[PVE ${chain} W${workerId}] Gas refund detected tx=${txHash.slice(0,10)}... amount=${nativeGasRefundW} METIS`);
-            }
-          }
-          
-          const completionSQLW = `
-            INSERT INTO pve_completions (
-              tx_hash, block_number, chain_id, activity_id, player_address,
-              party_luck, scavenger_bonus_pct, completed_at, fights_completed,
-              native_gas_refund
-            ) VALUES (
-              '${txHash}', ${completionLog.blockNumber}, ${config.chainId},
-              ${activityIdInDb}, '${playerAddress}',
-              ${partyLuck}, ${scavengerBonusPct}, '${completedAtIsoW}',
-              ${fightsCompletedW}, ${nativeGasRefundW}
-            )
-            ON CONFLICT (tx_hash) DO UPDATE SET
-              fights_completed = EXCLUDED.fights_completed,
-              native_gas_refund = EXCLUDED.native_gas_refund
-          `;
-          await execRawSQL(completionSQLW);
-          totalCompletionsFound++;
-          
-          // Process reward events
-          const rewardLogs = logsInTx.filter(log => log.topics[0] === rewardTopic);
-          for (const rLog of rewardLogs) {
-            const rParsed = iface.parseLog({ topics: rLog.topics, data: rLog.data });
-            if (!rParsed) continue;
-            
-            const itemAddress = (rParsed.args.item || rParsed.args[2]).toLowerCase();
-            const amount = parseInt((rParsed.args.amount || rParsed.args[3]).toString());
-            const itemId = await getOrCreateLootItem(config.chainId, itemAddress);
-            
-            // Use execRawSQL with .unsafe() - completely bypass all type inference
-            // Omit hero/pet columns to avoid Neon pooler type caching issues
-            const rewardSQLW = `
-              INSERT INTO pve_reward_events (
-                tx_hash, log_index, block_number, chain_id, activity_id, item_id,
-                amount, player_address, party_luck, pet_bonus_active, scavenger_bonus_pct
-              ) VALUES (
-                '${txHash}', ${rLog.index}, ${rLog.blockNumber}, ${config.chainId},
-                ${activityIdInDb}, ${itemId}, ${amount}, '${playerAddress}',
-                ${partyLuck}, ${petIds.length > 0}, ${scavengerBonusPct}
-              )
-              ON CONFLICT (tx_hash, log_index) DO NOTHING
-            `;
-            await execRawSQL(rewardSQLW);
-            totalRewardsFound++;
-          }
-          
-          // Process equipment events
-          const equipLogs = logsInTx.filter(log => log.topics[0] === equipmentTopic);
-          for (const eLog of equipLogs) {
-            const eParsed = iface.parseLog({ topics: eLog.topics, data: eLog.data });
-            if (!eParsed) continue;
-            
-            // Use the canonical equipment item for this chain instead of the event's item address
-            // The event's item address may be wrong; variants are identified by equipment_type + display_id
-            const itemId = await getOrCreateEquipmentItem(config.chainId);
-            
-            // Extract equipment metadata from event
-            // HuntEquipmentMinted(huntId, item, player, equipmentType, displayId, rarity, nftId)
-            // PatrolEquipmentMinted(huntId, item, player, equipmentType, displayId, rarity, nftId)
-            const eqType = Number(eParsed.args.equipmentType ?? eParsed.args[3] ?? 0);
-            const dispId = Number(eParsed.args.displayId ?? eParsed.args[4] ?? 0);
-            const rarTier = Number(eParsed.args.rarity ?? eParsed.args[5] ?? 0);
-            const eqNftId = BigInt(eParsed.args.nftId ?? eParsed.args[6] ?? 0);
-            
-            // Use execRawSQL with .unsafe() - completely bypass all type inference
-            // Include equipment metadata columns
-            const eqSQLW = `
-              INSERT INTO pve_reward_events (
-                tx_hash, log_index, block_number, chain_id, activity_id, item_id,
-                amount, player_address, party_luck, pet_bonus_active, scavenger_bonus_pct,
-                is_equipment, nft_id, equipment_type, display_id, rarity_tier
-              ) VALUES (
-                '${txHash}', ${eLog.index}, ${eLog.blockNumber}, ${config.chainId},
-                ${activityIdInDb}, ${itemId}, 1, '${playerAddress}',
-                ${partyLuck}, ${petIds.length > 0}, ${scavengerBonusPct},
-                TRUE, ${eqNftId.toString()}, ${eqType}, ${dispId}, ${rarTier}
-              )
-              ON CONFLICT (tx_hash, log_index) DO NOTHING
-            `;
-            await execRawSQL(eqSQLW);
-            totalRewardsFound++;
+          if (result) {
+            completedTxs.push(txHash);
+            rewardsFound += result.rewardsFound;
           }
         } catch (parseError) {
-          console.error(`[PVE ${chain} W${workerId}] Parse/insert error for tx ${txHash}:`, parseError.message);
-          continue;
+          console.error(`${tag} Error parsing tx ${txHash}:`, parseError.message);
         }
       }
-      
-      batchCount++;
-      currentBlock = endBlock + 1;
-      
-      // Update worker progress
-      updateWorkerLiveProgress(chain, workerId, {
-        currentBlock: endBlock,
-        eventsFound: totalRewardsFound,
-        completionsFound: totalCompletionsFound,
-        batchesCompleted: batchCount,
-        lastBatchAt: new Date().toISOString(),
-      });
-      
-      // Update checkpoint in DB
+
       await db.execute(sql`
         UPDATE pve_indexer_checkpoints 
-        SET last_indexed_block = ${endBlock},
-            total_completions = total_completions + ${totalCompletionsFound},
-            total_rewards = total_rewards + ${totalRewardsFound},
+        SET total_completions = total_completions + ${completedTxs.length},
+            total_rewards = total_rewards + ${rewardsFound},
             last_indexed_at = NOW()
         WHERE chain_id = ${config.chainId}
       `);
-      
-      if (batchCount % 25 === 0) {
-        console.log(`[PVE ${chain} W${workerId}] Block ${endBlock}/${toBlock} - ${totalCompletionsFound} completions, ${totalRewardsFound} rewards`);
-      }
-      
-    } catch (error) {
-      console.error(`[PVE ${chain} W${workerId}] Error at block ${currentBlock}:`, error.message);
-      throw error;
-    }
-  }
-  
-  return { totalRewardsFound, totalCompletionsFound, batchCount };
+
+      // Completions are the runtime's "entities"; reward rows are its events
+      return { entities: completedTxs, events: rewardsFound };
+    },
+  });
 }
 
-// Run a single batch for a worker
-async function runPVEWorkerBatch(chain, workerId) {
-  const config = CHAIN_CONFIGS[chain];
-  const indexerName = getWorkerIndexerName(chain, workerId);
-  
-  if (runningWorkers.get(indexerName)) {
-    return { status: 'already_running' };
-  }
-  
-  runningWorkers.set(indexerName, true);
-  
-  try {
-    const workerInfo = autoRunIntervals.get(getWorkerKey(chain, workerId));
-    if (!workerInfo) {
-      runningWorkers.set(indexerName, false);
-      return { status: 'no_worker_info' };
-    }
-    
-    const provider = getProvider(chain);
-    const latestBlock = await withRetry(() => provider.getBlockNumber(), 'getBlockNumber', chain);
-    const workerTargetBlock = workerInfo.rangeEnd || latestBlock;
-    
-    const startBlock = workerInfo.currentBlock + 1;
-    const endBlock = Math.min(startBlock + BATCH_SIZE - 1, workerTargetBlock);
-    
-    if (startBlock > workerTargetBlock) {
-      runningWorkers.set(indexerName, false);
-      updateWorkerLiveProgress(chain, workerId, { completedAt: new Date().toISOString(), percentComplete: 100 });
-      return { status: 'completed' };
-    }
-    
-    updateWorkerLiveProgress(chain, workerId, {
-      isRunning: true,
-      currentBlock: startBlock,
-      targetBlock: workerTargetBlock,
-      startedAt: new Date().toISOString(),
-    });
-    
-    const result = await indexWorkerBlockRange(chain, workerId, startBlock, endBlock);
-    
-    // Update worker's current block
-    workerInfo.currentBlock = endBlock;
-    
-    const isComplete = endBlock >= workerTargetBlock;
-    
-    updateWorkerLiveProgress(chain, workerId, {
-      isRunning: false,
-      currentBlock: endBlock,
-      completedAt: isComplete ? new Date().toISOString() : null,
-      percentComplete: isComplete ? 100 : ((endBlock - workerInfo.rangeStart) / (workerTargetBlock - workerInfo.rangeStart) * 100),
-    });
-    
-    runningWorkers.set(indexerName, false);
-    
-    console.log(`[PVE ${chain} W${workerId}] Batch done: ${result.totalCompletionsFound} completions, ${result.totalRewardsFound} rewards`);
-    
-    return {
-      status: isComplete ? 'completed' : 'batch_done',
-      completionsFound: result.totalCompletionsFound,
-      rewardsFound: result.totalRewardsFound,
-      blocksIndexed: endBlock - startBlock + 1,
-      currentBlock: endBlock,
-      targetBlock: workerTargetBlock,
-    };
-    
-  } catch (error) {
-    console.error(`[PVE ${chain} W${workerId}] Batch error:`, error.message);
-    runningWorkers.set(indexerName, false);
-    updateWorkerLiveProgress(chain, workerId, { isRunning: false, lastError: error.message });
-    return { status: 'error', error: error.message };
+const pveIndexers = {
+  dfk: definePVEIndexer('dfk'),
+  metis: definePVEIndexer('metis'),
+};
+
+export function getPVEIndexer(chain) {
+  const indexer = pveIndexers[chain];
+  if (!indexer) {
+    throw new Error(`Unknown PVE chain: ${chain}`);
   }
+  return indexer;
 }
 
-// Work-stealing: Find work from another worker
-function findWorkToSteal(chain, thiefWorkerId) {
-  const RESERVATION_TIMEOUT_MS = 60000;
-  
-  let bestDonor = null;
-  let maxRemainingBlocks = 0;
-  const now = Date.now();
-  const count = activeWorkerCount[chain] || PVE_WORKERS;
-  
-  for (let w = 0; w < count; w++) {
-    if (w === thiefWorkerId) continue;
-    
-    const key = getWorkerKey(chain, w);
-    const workerInfo = autoRunIntervals.get(key);
-    if (!workerInfo) continue;
-    
-    const reservationKey = `pve_${chain}_${w}`;
-    const reservedAt = donorReservations.get(reservationKey);
-    if (reservedAt && (now - reservedAt) < RESERVATION_TIMEOUT_MS) {
-      continue;
-    }
-    
-    const progress = workerLiveProgress.get(key);
-    if (!progress || progress.completedAt) continue;
-    
-    const currentBlock = workerInfo.currentBlock || workerInfo.rangeStart || 0;
-    const targetBlock = workerInfo.rangeEnd;
-    
-    if (!targetBlock) continue;
-    
-    const remainingBlocks = targetBlock - currentBlock;
-    
-    if (remainingBlocks > maxRemainingBlocks && remainingBlocks > MIN_BLOCKS_TO_STEAL * 2) {
-      maxRemainingBlocks = remainingBlocks;
-      bestDonor = {
-        workerId: w,
-        currentBlock,
-        targetBlock,
-        remainingBlocks,
-      };
-    }
-  }
-  
-  if (!bestDonor) return null;
-  
-  const reservationKey = `pve_${chain}_${bestDonor.workerId}`;
-  donorReservations.set(reservationKey, now);
-  
-  const blocksToSteal = Math.floor(bestDonor.remainingBlocks / 2);
-  if (blocksToSteal < MIN_BLOCKS_TO_STEAL) {
-    donorReservations.delete(reservationKey);
-    return null;
-  }
-  
-  const newRangeStart = bestDonor.targetBlock - blocksToSteal;
-  const newRangeEnd = bestDonor.targetBlock;
-  
+// Runtime progress counts "entities"; the PVE dashboard calls them completions
+function withCompletionCount(progress) {
+  return progress ? { ...progress, completionsFound: progress.entitiesFound } : null;
+}
+
+// Index a block range for a specific chain
+export async function indexBlockRange(chain, fromBlock, toBlock) {
+  const indexer = getPVEIndexer(chain);
+  await initializePVETables();
+  // The head decides which block hashes are kept for reorg checks
+  await indexer.getLatestBlock().catch(() => null);
+
+  const result = await indexer.indexRange(fromBlock, toBlock);
   return {
-    donorWorkerId: bestDonor.workerId,
-    donorCurrentBlock: bestDonor.currentBlock,
-    newDonorRangeEnd: newRangeStart,
-    newRangeStart,
-    newRangeEnd,
-    blocksStolen: blocksToSteal,
-    reservationKey,
+    totalRewardsFound: result.eventsFound,
+    totalCompletionsFound: result.entitiesFound,
+    batchCount: result.batchesCompleted,
   };
 }
 
-// Apply work-stealing
-async function applyWorkSteal(chain, thiefWorkerId, stealInfo) {
-  // Update donor's range
-  const donorKey = getWorkerKey(chain, stealInfo.donorWorkerId);
-  const donorWorkerInfo = autoRunIntervals.get(donorKey);
-  if (donorWorkerInfo) {
-    donorWorkerInfo.rangeEnd = stealInfo.newDonorRangeEnd;
+// Get live progress for a chain
+export function getPVEIndexerLiveProgress(chain) {
+  if (chain) {
+    return withCompletionCount(getPVEIndexer(chain).getLiveProgress());
   }
-  
-  // Update thief's range
-  const thiefKey = getWorkerKey(chain, thiefWorkerId);
-  const thiefWorkerInfo = autoRunIntervals.get(thiefKey);
-  if (thiefWorkerInfo) {
-    thiefWorkerInfo.rangeStart = stealInfo.newRangeStart;
-    thiefWorkerInfo.rangeEnd = stealInfo.newRangeEnd;
-    thiefWorkerInfo.currentBlock = stealInfo.newRangeStart;
+  const result = {};
+  for (const [key, indexer] of Object.entries(pveIndexers)) {
+    const progress = indexer.getLiveProgress();
+    if (progress) result[key] = { chain: key, ...withCompletionCount(progress) };
   }
-  
-  updateWorkerLiveProgress(chain, thiefWorkerId, {
-    rangeStart: stealInfo.newRangeStart,
-    rangeEnd: stealInfo.newRangeEnd,
-    currentBlock: stealInfo.newRangeStart,
-    targetBlock: stealInfo.newRangeEnd,
-    completedAt: null,
-    percentComplete: 0,
-  });
-  
-  donorReservations.delete(stealInfo.reservationKey);
-  
-  console.log(`[PVE ${chain}] Worker ${thiefWorkerId} stole ${stealInfo.blocksStolen.toLocaleString()} blocks from worker ${stealInfo.donorWorkerId}`);
+  return result;
 }
 
-// Start a single worker's auto-run
-async function startPVEWorkerAutoRun(chain, workerId, rangeStart, rangeEnd, intervalMs = AUTO_RUN_INTERVAL_MS) {
-  const key = getWorkerKey(chain, workerId);
-  if (autoRunIntervals.has(key)) {
-    console.log(`[PVE ${chain}] Worker ${workerId} already running`);
-    return { status: 'already_running', workerId };
-  }
-  
-  console.log(`[PVE ${chain}] Starting worker ${workerId} (blocks ${rangeStart.toLocaleString()}-${rangeEnd ? rangeEnd.toLocaleString() : 'latest'}, interval: ${intervalMs / 1000}s)`);
-  
-  clearWorkerLiveProgress(chain, workerId);
-  
-  updateWorkerLiveProgress(chain, workerId, {
-    isRunning: false,
-    currentBlock: rangeStart,
-    targetBlock: rangeEnd || rangeStart,
-    rangeStart,
-    rangeEnd,
-    eventsFound: 0,
-    batchesCompleted: 0,
-    percentComplete: 0,
-    completedAt: null,
-  });
-  
-  const info = {
-    intervalMs,
-    workerId,
-    rangeStart,
-    rangeEnd,
-    currentBlock: rangeStart,
-    startedAt: new Date().toISOString(),
-    lastRunAt: null,
-    runsCompleted: 0,
-    interval: null,
-  };
-  
-  autoRunIntervals.set(key, info);
-  
-  // Stagger worker starts
-  const offsetMs = Math.floor((workerId / PVE_WORKERS) * intervalMs);
-  
-  (async () => {
-    try {
-      if (offsetMs > 0) {
-        await new Promise(r => setTimeout(r, offsetMs));
-      }
-      console.log(`[PVE ${chain}] Initial batch for worker ${workerId} (offset ${(offsetMs / 1000).toFixed(1)}s)`);
-      await runPVEWorkerBatch(chain, workerId);
-      info.lastRunAt = new Date().toISOString();
-      info.runsCompleted++;
-    } catch (err) {
-      console.error(`[PVE ${chain}] Initial error for worker ${workerId}:`, err.message);
-    }
-  })();
-  
-  info.interval = setInterval(async () => {
-    if (!autoRunIntervals.has(key)) return;
-    
-    try {
-      const result = await runPVEWorkerBatch(chain, workerId);
-      info.lastRunAt = new Date().toISOString();
-      info.runsCompleted++;
-      
-      // Work-stealing when completed
-      if (result.status === 'completed') {
-        const stealInfo = findWorkToSteal(chain, workerId);
-        if (stealInfo) {
-          await applyWorkSteal(chain, workerId, stealInfo);
-          console.log(`[PVE ${chain}] Worker ${workerId} continuing with stolen work`);
-        } else {
-          console.log(`[PVE ${chain}] Worker ${workerId} completed, no work to steal`);
-        }
-      }
-    } catch (err) {
-      console.error(`[PVE ${chain}] Worker ${workerId} error:`, err.message);
-    }
-  }, intervalMs);
-  
-  return { status: 'started', workerId, rangeStart, rangeEnd };
+// Get all worker progress for a chain
+export function getAllWorkerProgress(chain) {
+  return getPVEIndexer(chain).getWorkersStatus().workers.map(w => ({
+    workerId: w.workerId,
+    progress: withCompletionCount(w.progress),
+    isRunning: !!w.progress?.isRunning,
+  }));
 }
 
-// Start all workers for a chain (new parallel auto-run)
+// Start all workers for a chain
 export async function startPVEWorkersAutoRun(chain, intervalMs = AUTO_RUN_INTERVAL_MS, targetWorkers = PVE_WORKERS) {
-  const config = CHAIN_CONFIGS[chain];
-  let workerCount = Math.min(targetWorkers, PVE_WORKERS);
-  let latestBlock;
-  
-  try {
-    const provider = getProvider(chain);
-    latestBlock = await withRetry(() => provider.getBlockNumber(), 'getBlockNumber (init)', chain);
-  } catch (err) {
-    console.error(`[PVE ${chain}] RPC unavailable, cannot start workers`);
-    return { status: 'rpc_failed', error: err.message };
+  const result = await getPVEIndexer(chain).startWorkers({ intervalMs, targetWorkers });
+  if (result.status !== 'workers_started') {
+    return result;
   }
-  
-  // Get checkpoint to know where to start from
-  const checkpoint = await getCheckpoint(config.chainId);
-  const startFromBlock = parseInt(checkpoint?.last_indexed_block) || 0;
-  const totalBlocks = latestBlock - startFromBlock;
-  const blocksPerWorker = Math.ceil(totalBlocks / workerCount);
-  
-  console.log(`[PVE ${chain}] Starting ${workerCount} workers (${blocksPerWorker.toLocaleString()} blocks each, from ${startFromBlock.toLocaleString()} to ${latestBlock.toLocaleString()})`);
-  
-  activeWorkerCount[chain] = workerCount;
-  
-  // Set timing for countdown
+
   const now = Date.now();
   autoRunTiming.set(`pve_${chain}`, {
     startedAt: now,
     lastRunAt: now,
     intervalMs,
-    workerCount,
+    workerCount: result.workersStarted,
   });
-  
-  const results = [];
-  
-  for (let w = 0; w < workerCount; w++) {
-    const rangeStart = startFromBlock + (w * blocksPerWorker);
-    const rangeEnd = (w === workerCount - 1) ? latestBlock : (startFromBlock + ((w + 1) * blocksPerWorker) - 1);
-    
-    await new Promise(r => setTimeout(r, 500));
-    
-    try {
-      const result = await startPVEWorkerAutoRun(chain, w, rangeStart, rangeEnd, intervalMs);
-      results.push(result);
-    } catch (err) {
-      console.error(`[PVE ${chain}] Worker ${w} failed to start:`, err.message);
-    }
-  }
-  
+
   return {
     status: 'started',
     chain,
-    workerCount,
-    blocksPerWorker,
-    totalBlocks,
-    workers: results,
+    workerCount: result.workersStarted,
+    workers: result.results,
   };
 }
 
 // Stop all workers for a chain
 export function stopPVEWorkersAutoRun(chain) {
-  const count = activeWorkerCount[chain] || PVE_WORKERS;
-  let stoppedCount = 0;
-  
-  for (let w = 0; w < count; w++) {
-    const key = getWorkerKey(chain, w);
-    const workerInfo = autoRunIntervals.get(key);
-    if (workerInfo && workerInfo.interval) {
-      clearInterval(workerInfo.interval);
-      autoRunIntervals.delete(key);
-      clearWorkerLiveProgress(chain, w);
-      stoppedCount++;
-    }
-  }
-  
+  const stoppedCount = getPVEIndexer(chain).stopWorkers();
   autoRunTiming.delete(`pve_${chain}`);
-  activeWorkerCount[chain] = 0;
-  
-  console.log(`[PVE ${chain}] Stopped ${stoppedCount} workers`);
-  
   return { status: 'stopped', stoppedCount };
 }
 
-// Run a single batch for a chain (legacy single-threaded, kept for compatibility)
+// Run a single batch for a chain (single checkpoint, no worker partitioning)
 export async function runPVEIndexerBatch(chain) {
-  const config = CHAIN_CONFIGS[chain];
-  
-  if (runningIndexers.get(chain)) {
-    return { status: 'already_running' };
-  }
-  
-  runningIndexers.set(chain, true);
-  
-  try {
-    const checkpoint = await getCheckpoint(config.chainId);
-    if (!checkpoint) {
-      runningIndexers.set(chain, false);
-      return { status: 'no_checkpoint' };
-    }
-    
-    const provider = getProvider(chain);
-    const latestBlock = await withRetry(() => provider.getBlockNumber(), 'getBlockNumber', chain);
-    
-    const lastIndexedBlock = parseInt(checkpoint.last_indexed_block) || 0;
-    const startBlock = lastIndexedBlock + 1;
-    const endBlock = Math.min(startBlock + BATCH_SIZE - 1, latestBlock);
-    
-    if (startBlock > latestBlock) {
-      runningIndexers.set(chain, false);
-      return { status: 'up_to_date', currentBlock: checkpoint.last_indexed_block };
+  const result = await getPVEIndexer(chain).runIncremental();
+
+  if (!result.success) {
+    if (result.message === 'Already running') {
+      return { status: 'already_running' };
     }
-    
-    await db.execute(sql`
-      UPDATE pve_indexer_checkpoints SET status = 'running' WHERE chain_id = ${config.chainId}
-    `);
-    
-    updateLiveProgress(chain, {
-      isRunning: true,
-      currentBlock: startBlock,
-      targetBlock: endBlock,
-      startBlock: checkpoint.last_indexed_block,
-      startedAt: new Date().toISOString(),
-    });
-    
-    console.log(`[PVE ${chain}] Starting batch from block ${startBlock} to ${endBlock}`);
-    
-    const result = await indexBlockRange(chain, startBlock, endBlock);
-    
-    const isComplete = endBlock >= latestBlock;
-    
-    await db.execute(sql`
-      UPDATE pve_indexer_checkpoints 
-      SET status = ${isComplete ? 'complete' : 'idle'}
-      WHERE chain_id = ${config.chainId}
-    `);
-    
-    updateLiveProgress(chain, {
-      isRunning: false,
-      currentBlock: endBlock,
-      completedAt: isComplete ? new Date().toISOString() : null,
-      percentComplete: isComplete ? 100 : undefined,
-    });
-    
-    runningIndexers.set(chain, false);
-    
-    console.log(`[PVE ${chain}] Batch complete: ${result.totalCompletionsFound} completions, ${result.totalRewardsFound} rewards in ${result.batchCount} batches`);
-    
-    return {
-      status: isComplete ? 'completed' : 'batch_done',
-      completionsFound: result.totalCompletionsFound,
-      rewardsFound: result.totalRewardsFound,
-      blocksIndexed: endBlock - startBlock + 1,
-      currentBlock: endBlock,
-      targetBlock: latestBlock,
-    };
-    
-  } catch (error) {
-    console.error(`[PVE ${chain}] Batch error:`, error.message);
-    runningIndexers.set(chain, false);
-    updateLiveProgress(chain, { isRunning: false, lastError: error.message });
-    return { status: 'error', error: error.message };
+    return { status: 'error', error: result.error };
   }
+
+  if (!result.targetBlock) {
+    const checkpoint = await getPVEIndexer(chain).getCheckpoint(`pve_${chain}`);
+    return { status: 'up_to_date', currentBlock: checkpoint?.lastIndexedBlock ?? null };
+  }
+
+  const isComplete = result.targetBlock >= result.safeBlock;
+  console.log(`[PVE ${chain}] Batch complete: ${result.entitiesFound} completions, ${result.eventsFound} rewards in ${result.batchesCompleted} batches`);
+
+  return {
+    status: isComplete ? 'completed' : 'batch_done',
+    completionsFound: result.entitiesFound,
+    rewardsFound: result.eventsFound,
+    blocksIndexed: result.blocksIndexed,
+    currentBlock: result.targetBlock,
+    targetBlock: result.safeBlock,
+  };
 }
 
 // Start auto-run for a chain
 export function startPVEIndexerAutoRun(chain) {
   const key = `pve_${chain}`;
-  
-  if (autoRunIntervals.has(key)) {
+
+  if (!getPVEIndexer(chain).startSingleAutoRun(AUTO_RUN_INTERVAL_MS)) {
     console.log(`[PVE ${chain}] Auto-run already active`);
     return { status: 'already_running' };
   }
-  
-  console.log(`[PVE ${chain}] Starting auto-run with ${AUTO_RUN_INTERVAL_MS / 1000}s interval`);
-  
+
   const now = Date.now();
   autoRunTiming.set(key, {
     startedAt: now,
     lastRunAt: now,
     intervalMs: AUTO_RUN_INTERVAL_MS,
   });
-  
-  const interval = setInterval(async () => {
-    try {
-      // Update lastRunAt when batch starts
-      const timing = autoRunTiming.get(key);
-      if (timing) {
-        timing.lastRunAt = Date.now();
-        autoRunTiming.set(key, timing);
-      }
-      await runPVEIndexerBatch(chain);
-    } catch (error) {
-      console.error(`[PVE ${chain}] Auto-run error:`, error.message);
-    }
-  }, AUTO_RUN_INTERVAL_MS);
-  
-  autoRunIntervals.set(key, interval);
-  
-  // Run immediately
-  runPVEIndexerBatch(chain).catch(console.error);
-  
+
   return { status: 'started' };
 }
 
 // Stop auto-run for a chain
 export function stopPVEIndexerAutoRun(chain) {
-  const key = `pve_${chain}`;
-  
-  const interval = autoRunIntervals.get(key);
-  if (interval) {
-    clearInterval(interval);
-    autoRunIntervals.delete(key);
-    autoRunTiming.delete(key);
+  if (getPVEIndexer(chain).stopAutoRun()) {
+    autoRunTiming.delete(`pve_${chain}`);
     console.log(`[PVE ${chain}] Auto-run stopped`);
     return { status: 'stopped' };
   }
-  
+
   return { status: 'not_running' };
 }
 
 // Helper to calculate next run time
 function getTimingInfo(chain) {
-  const key = `pve_${chain}`;
-  const timing = autoRunTiming.get(key);
+  const timing = autoRunTiming.get(`pve_${chain}`);
   if (!timing) return null;
-  
-  const nextRunAt = timing.lastRunAt + timing.intervalMs;
+
+  // The runtime starts a batch every interval; the latest start shows in live progress
+  const liveStartedAt = Date.parse(getPVEIndexer(chain).getLiveProgress()?.startedAt || '') || 0;
+  const lastRunAt = Math.max(timing.lastRunAt, liveStartedAt);
   return {
-    lastRunAt: timing.lastRunAt,
-    nextRunAt,
+    lastRunAt,
+    nextRunAt: lastRunAt + timing.intervalMs,
     intervalMs: timing.intervalMs,
   };
 }
 
-// Check if workers are running for a chain
-function isWorkersRunning(chain) {
-  const count = activeWorkerCount[chain] || 0;
-  if (count === 0) return false;
-  for (let w = 0; w < count; w++) {
-    if (autoRunIntervals.has(getWorkerKey(chain, w))) return true;
-  }
-  return false;
+async function getChainStatus(chain) {
+  const config = CHAIN_CONFIGS[chain];
+  const indexer = getPVEIndexer(chain);
+  const totals = await getCheckpoint(config.chainId);
+  const checkpoints = await indexer.getAllCheckpoints();
+  const main = checkpoints.find(c => c.indexerName === indexer.name);
+
+  // Dashboard checkpoint shape: totals from pve_indexer_checkpoints, position from the runtime
+  const checkpoint = totals && {
+    ...totals,
+    last_indexed_block: checkpoints.length > 0
+      ? Math.max(...checkpoints.map(c => c.lastIndexedBlock))
+      : totals.last_indexed_block,
+    status: main?.status ?? totals.status,
+    last_error: main?.lastError ?? totals.last_error,
+  };
+
+  return {
+    chainId: config.chainId,
+    checkpoint,
+    liveProgress: withCompletionCount(indexer.getLiveProgress()),
+    isAutoRunning: indexer.isAutoRunning(),
+    timing: getTimingInfo(chain),
+    workerCount: indexer.getWorkersStatus().activeWorkers,
+    workers: getAllWorkerProgress(chain),
+    indexer: await indexer.getStatus(),
+  };
 }
 
 // Get indexer status for all chains
 export async function getPVEIndexerStatus() {
-  const dfkCheckpoint = await getCheckpoint(CHAIN_CONFIGS.dfk.chainId);
-  const metisCheckpoint = await getCheckpoint(CHAIN_CONFIGS.metis.chainId);
-  
-  // Check for worker-based auto-run OR legacy single-threaded
-  const dfkAutoRunning = isWorkersRunning('dfk') || autoRunIntervals.has('pve_dfk');
-  const metisAutoRunning = isWorkersRunning('metis') || autoRunIntervals.has('pve_metis');
-  
   return {
-    dfk: {
-      chainId: CHAIN_CONFIGS.dfk.chainId,
-      checkpoint: dfkCheckpoint,
-      liveProgress: liveProgress.get('dfk'),
-      isAutoRunning: dfkAutoRunning,
-      timing: getTimingInfo('dfk'),
-      workerCount: activeWorkerCount['dfk'] || 0,
-      workers: getAllWorkerProgress('dfk'),
-    },
-    metis: {
-      chainId: CHAIN_CONFIGS.metis.chainId,
-      checkpoint: metisCheckpoint,
-      liveProgress: liveProgress.get('metis'),
-      isAutoRunning: metisAutoRunning,
-      timing: getTimingInfo('metis'),
-      workerCount: activeWorkerCount['metis'] || 0,
-      workers: getAllWorkerProgress('metis'),
-    },
+    dfk: await getChainStatus('dfk'),
+    metis: await getChainStatus('metis'),
   };
 }
 
 // Reset indexer to a specific block
 export async function resetPVEIndexer(chain, toBlock) {
   const config = CHAIN_CONFIGS[chain];
-  
+  const indexer = getPVEIndexer(chain);
+
   // Stop auto-run if active
   stopPVEIndexerAutoRun(chain);
-  
+
   // Wait for any running batch to complete
-  while (runningIndexers.get(chain)) {
+  while (indexer.getLiveProgress()?.isRunning) {
     await new Promise(resolve => setTimeout(resolve, 1000));
   }
-  
-  // Reset checkpoint
+
+  // Worker ranges are re-planned from the reset block on the next start
+  await indexer.getCheckpoint(indexer.name);
+  await db.execute(sql`
+    DELETE FROM indexer_checkpoints WHERE indexer_name LIKE ${`pve_${chain}_worker_%`}
+  `);
+  if (!(await indexer.getCheckpoint(indexer.name))) {
+    await indexer.initCheckpoint(indexer.name, config.startBlock);
+  }
+  await indexer.updateCheckpoint(indexer.name, {
+    lastIndexedBlock: toBlock,
+    lastIndexedBlockHash: null,
+    totalEventsIndexed: 0,
+    status: 'idle',
+    lastError: null,
+  });
+
   await db.execute(sql`
     UPDATE pve_indexer_checkpoints 
     SET last_indexed_block = ${toBlock}, 
@@ -1795,12 +1092,9 @@ export async function resetPVEIndexer(chain, toBlock) {
         last_error = NULL
     WHERE chain_id = ${config.chainId}
   `);
-  
-  // Clear live progress
-  liveProgress.delete(chain);
-  
+
   console.log(`[PVE ${chain}] Reset to block ${toBlock}`);
-  
+
   return { status: 'reset', toBlock };
 }
 
@@ -0,0 +1,1082 @@
+// src/etl/ingestion/indexerRuntime.js
+// Shared block-range indexer runtime for on-chain ETL indexers.
+//
+// Each indexer is described by a declarative spec (contract, event topics,
+// decode function, sink) and gets checkpointing, N-worker range partitioning
+// with work stealing, confirmation-depth safe heads, getLogs retries and a
+// uniform status shape for the /api/admin/*/status routes.
+//
+// Sinks must be idempotent (onConflictDoNothing on txHash/logIndex): a worker
+// resumes from its last checkpointed block, so the boundary block can be seen twice.
+//
+// Block hashes within reorgWindow of the head are recorded as chunks complete;
+// runs that follow the head check them first and roll back spec.eventTables on divergence.
+
+import { ethers } from 'ethers';
+import { db } from '../../../server/db.js';
+import { indexerCheckpoints } from '../../../shared/schema.js';
+import { eq, sql, like, or } from 'drizzle-orm';
+import { getChainProvider } from '../../services/rpcProviderRegistry.js';
+import { createRpcProvider } from './rpcFixtures.js';
+import { DEFAULT_REORG_WINDOW, ensureReorgTables, recordBlockHashes, pruneBlockHashes, checkAndRollback, getRecentReorgIncidents } from './reorgGuard.js';
+
+const DEFAULTS = {
+  chain: 'dfk',
+  genesisBlock: 0,
+  blocksPerQuery: 2000,
+  batchSize: 200000,
+  intervalMs: 60 * 1000,
+  workers: 1,
+  minWorkers: 1,
+  confirmations: 0,
+  minBlocksToSteal: 500000,
+  maxRetries: 3,
+  baseRetryDelayMs: 1000,
+  queryDelayMs: 100,
+  reorgWindow: DEFAULT_REORG_WINDOW,
+  eventTables: [],
+};
+
+const RESERVATION_TIMEOUT_MS = 60000;
+const MAX_CONSECUTIVE_START_FAILURES = 2;
+
+const registry = new Map();
+let checkpointTableReady = false;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+async function ensureCheckpointTable() {
+  if (checkpointTableReady) return;
+  await db.execute(sql`
+    CREATE TABLE IF NOT EXISTS indexer_checkpoints (
+      id SERIAL PRIMARY KEY,
+      indexer_name TEXT NOT NULL UNIQUE,
+      chain TEXT,
+      last_indexed_block BIGINT NOT NULL DEFAULT 0,
+      genesis_block BIGINT NOT NULL DEFAULT 0,
+      range_start BIGINT,
+      range_end BIGINT,
+      status TEXT NOT NULL DEFAULT 'idle',
+      total_events_indexed INTEGER NOT NULL DEFAULT 0,
+      last_indexed_block_hash TEXT,
+      last_error TEXT,
+      updated_at TIMESTAMPTZ DEFAULT NOW() NOT NULL,
+      created_at TIMESTAMPTZ DEFAULT NOW() NOT NULL
+    )
+  `);
+  checkpointTableReady = true;
+}
+
+function emptyProgress() {
+  return {
+    isRunning: false,
+    currentBlock: 0,
+    targetBlock: 0,
+    rangeStart: 0,
+    rangeEnd: null,
+    eventsFound: 0,
+    entitiesFound: 0,
+    batchesCompleted: 0,
+    startedAt: null,
+    lastBatchAt: null,
+    percentComplete: 0,
+    completedAt: null,
+  };
+}
+
+/**
+ * Define (and register) an indexer.
+ *
+ * @param {Object} spec
+ * @param {string} spec.name - Unique indexer name, also the checkpoint row prefix
+ * @param {string} [spec.label] - Human readable name for the admin dashboard
+ * @param {string} [spec.chain] - Chain key reported in status ('dfk', 'metis', 'harmony', ...)
+ * @param {string} [spec.rpcUrl] - Pin a single RPC endpoint instead of the chain's registry pool
+ * @param {Function} [spec.getProvider] - Returns an ethers provider
+ * @param {string|string[]} spec.address - Contract address(es) to pull logs from
+ * @param {Array} [spec.abi] - Event ABI used to parse logs before decode()
+ * @param {string[]} [spec.events] - Event names from the ABI, turned into topic0 filters
+ * @param {Array} [spec.topics] - Raw topics filter (overrides spec.events)
+ * @param {Array|Function} [spec.filters] - [{ address, topics }] (or async fn returning one) queried per chunk
+ *   and merged in log order; overrides address/topics for indexers that watch several contracts or topic sets
+ * @param {number} [spec.rpcTimeoutMs] - Per-attempt timeout for RPC calls made by the runtime
+ * @param {string} [spec.workerPrefix] - Worker checkpoint name prefix (default `${name}_w`)
+ * @param {number|Function} [spec.genesisBlock] - First block to index, or async (provider) => number resolved
+ *   once before the first checkpoint access, for starts that depend on stored data
+ * @param {Object|Function} [spec.checkpointDefaults] - Extra column values for new checkpoint rows (or async fn returning them)
+ * @param {Function} [spec.setup] - async () => void, run once before the first checkpoint access
+ * @param {Function} spec.decode - (parsedEvent, log) => record | record[] | null
+ * @param {Function} spec.sink - async (records, ctx) => { entities?: Iterable<string>, events?: number } | void
+ *   (events overrides the record count when only some decoded records become rows)
+ * @param {Object} [spec.checkpointTable] - Drizzle table with indexer_checkpoints columns
+ * @param {number} [spec.reorgWindow] - Blocks behind the head whose hashes are tracked (0 disables)
+ * @param {Array<{table: string, blockColumn?: string, where?: SQL}>} [spec.eventTables] - Rows rolled back on
+ *   reorg; `where` limits them to the rows this indexer writes in a shared table
+ * @param {Function} [spec.onRollback] - async (forkBlock, tx) => void, run in the rollback transaction before
+ *   eventTables rows are deleted, to undo state derived from them
+ * @returns {Object} Indexer handle
+ */
+export function defineIndexer(spec) {
+  if (!spec?.name) {
+    throw new Error('Indexer spec requires a name');
+  }
+  if (typeof spec.decode !== 'function' || typeof spec.sink !== 'function') {
+    throw new Error(`Indexer ${spec.name} requires decode and sink functions`);
+  }
+  if (registry.has(spec.name)) {
+    return registry.get(spec.name);
+  }
+
+  const resolveGenesisBlock = typeof spec.genesisBlock === 'function' ? spec.genesisBlock : null;
+  const config = { ...DEFAULTS, ...spec, ...(resolveGenesisBlock && { genesisBlock: null }) };
+  const table = config.checkpointTable || indexerCheckpoints;
+  const usesSharedTable = table === indexerCheckpoints;
+  const tag = config.logTag || `[Indexer:${config.name}]`;
+  const iface = config.abi ? new ethers.Interface(config.abi) : null;
+  const topics = config.topics
+    || (iface && config.events ? [config.events.map(name => iface.getEvent(name).topicHash)] : undefined);
+
+  const autoRuns = new Map();
+  const runningWorkers = new Map();
+  const liveProgress = new Map();
+  const donorReservations = new Map();
+  let activeWorkerCount = 0;
+  let providerInstance = null;
+  let lastSeenHead = null;
+
+  const workerPrefix = config.workerPrefix || `${config.name}_w`;
+  const workerName = (workerId) => `${workerPrefix}${workerId}`;
+  let resolvedFilters = null;
+  let setupPromise = null;
+
+  function workerIdOf(indexerName) {
+    if (!indexerName.startsWith(workerPrefix)) return null;
+    const id = Number(indexerName.slice(workerPrefix.length));
+    return Number.isInteger(id) ? id : null;
+  }
+
+  async function ensureSetup() {
+    if (!config.setup && !resolveGenesisBlock) return;
+    if (!setupPromise) {
+      setupPromise = (async () => {
+        if (config.setup) await config.setup();
+        if (resolveGenesisBlock) config.genesisBlock = await resolveGenesisBlock(getProvider());
+      })().catch(err => {
+        setupPromise = null;
+        throw err;
+      });
+    }
+    await setupPromise;
+  }
+
+  // --------------------------------------------------------------------------
+  // Provider + RPC helpers
+  // --------------------------------------------------------------------------
+
+  function getProvider() {
+    if (config.getProvider) return config.getProvider();
+    if (!providerInstance) {
+      providerInstance = config.rpcUrl
+        ? createRpcProvider(config.rpcUrl, undefined, { staticNetwork: true })
+        : getChainProvider(config.chain);
+    }
+    return providerInstance;
+  }
+
+  function withTimeout(promise, label) {
+    if (!config.rpcTimeoutMs) return promise;
+    let timer;
+    const timeout = new Promise((_, reject) => {
+      timer = setTimeout(() => reject(new Error(`${label} timed out after ${config.rpcTimeoutMs}ms`)), config.rpcTimeoutMs);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+  }
+
+  async function withRetry(fn, label) {
+    let lastError;
+    for (let attempt = 0; attempt < config.maxRetries; attempt++) {
+      try {
+        return await withTimeout(fn(), label);
+      } catch (err) {
+        lastError = err;
+        console.warn(`${tag} ${label} attempt ${attempt + 1}/${config.maxRetries} failed: ${err.message}`);
+        if (attempt < config.maxRetries - 1) {
+          await sleep(config.baseRetryDelayMs * Math.pow(2, attempt) + Math.random() * 500);
+        }
+      }
+    }
+    throw lastError;
+  }
+
+  async function getLatestBlock() {
+    lastSeenHead = await withRetry(() => getProvider().getBlockNumber(), 'getBlockNumber');
+    return lastSeenHead;
+  }
+
+  /** Latest block minus the confirmation depth - never index past this */
+  async function getSafeBlock() {
+    const latest = await getLatestBlock();
+    return Math.max(0, latest - config.confirmations);
+  }
+
+  async function getFilters() {
+    if (!resolvedFilters) {
+      resolvedFilters = typeof config.filters === 'function'
+        ? await config.filters()
+        : config.filters || [{ address: config.address, topics }];
+    }
+    return resolvedFilters;
+  }
+
+  async function getLogs(fromBlock, toBlock) {
+    const filters = await getFilters();
+    const logs = [];
+    for (const filter of filters) {
+      const filterLogs = await withRetry(
+        () => getProvider().getLogs({ ...filter, fromBlock, toBlock }),
+        `getLogs ${fromBlock}-${toBlock}`
+      );
+      logs.push(...filterLogs);
+    }
+    if (filters.length > 1) {
+      logs.sort((a, b) => (a.blockNumber - b.blockNumber) || (a.index - b.index));
+    }
+    return logs;
+  }
+
+  // Throws when the block can't be read, so the sink fails and the chunk is retried
+  function createBlockTimestampCache() {
+    const cache = new Map();
+    return async (blockNumber) => {
+      if (cache.has(blockNumber)) return cache.get(blockNumber);
+      const block = await withRetry(() => getProvider().getBlock(blockNumber), `getBlock ${blockNumber}`);
+      if (!block) throw new Error(`Block ${blockNumber} not found`);
+      const ts = new Date(Number(block.timestamp) * 1000);
+      cache.set(blockNumber, ts);
+      return ts;
+    };
+  }
+
+  async function decodeLogs(logs) {
+    const records = [];
+    for (const log of logs) {
+      let parsed = null;
+      if (iface) {
+        try {
+          parsed = iface.parseLog({ topics: log.topics, data: log.data });
+        } catch (err) {
+          continue;
+        }
+        if (!parsed) continue;
+      }
+      const decoded = await config.decode(parsed, log);
+      if (Array.isArray(decoded)) {
+        records.push(...decoded);
+      } else if (decoded) {
+        records.push(decoded);
+      }
+    }
+    return records;
+  }
+
+  function isWithinReorgWindow(blockNumber) {
+    return config.reorgWindow > 0 && lastSeenHead !== null && blockNumber >= lastSeenHead - config.reorgWindow;
+  }
+
+  /**
+   * Hashes worth keeping for reorg detection: every event block plus the chunk's
+   * last block, but only near the head - historical backfill costs no extra RPC.
+   */
+  async function collectBlockHashes(logs, chunkTo) {
+    if (!isWithinReorgWindow(chunkTo)) return [];
+
+    const hashes = logs
+      .filter(log => isWithinReorgWindow(log.blockNumber))
+      .map(log => ({ blockNumber: log.blockNumber, blockHash: log.blockHash }));
+
+    const seen = hashes.find(h => h.blockNumber === chunkTo);
+    if (!seen) {
+      const block = await withRetry(() => getProvider().getBlock(chunkTo), `getBlock ${chunkTo}`);
+      if (block?.hash) hashes.push({ blockNumber: chunkTo, blockHash: block.hash });
+    }
+    return hashes;
+  }
+
+  /**
+   * Check recorded hashes against the chain before indexing near the head.
+   * On divergence: event rows >= fork block are deleted and every checkpoint
+   * past the fork is rewound so the range is re-indexed.
+   */
+  async function guardReorg(headBlock) {
+    if (!config.reorgWindow) return null;
+
+    const incident = await checkAndRollback({
+      indexerName: config.name,
+      chain: config.chain,
+      provider: getProvider(),
+      headBlock,
+      window: config.reorgWindow,
+      eventTables: config.eventTables,
+      onRollback: config.onRollback,
+      rewind: async (forkBlock, tx) => {
+        for (const row of await tx.select().from(table).where(checkpointScope())) {
+          if (row.lastIndexedBlock >= forkBlock) {
+            await updateCheckpoint(row.indexerName, {
+              lastIndexedBlock: Math.max(row.rangeStart ?? config.genesisBlock, forkBlock - 1),
+              lastIndexedBlockHash: null,
+              status: 'idle',
+            }, tx);
+          }
+        }
+      },
+    });
+
+    await pruneBlockHashes(config.name, headBlock - config.reorgWindow * 2);
+    return incident;
+  }
+
+  /**
+   * Index [fromBlock, toBlock] in getLogs-sized chunks.
+   * onChunk(toBlock, stats) is awaited after each chunk so callers can checkpoint.
+   */
+  async function indexRange(fromBlock, toBlock, { workerId = null, onChunk } = {}) {
+    const entities = new Set();
+    const getBlockTimestamp = createBlockTimestampCache();
+    let eventsFound = 0;
+    let batchesCompleted = 0;
+    let currentBlock = fromBlock;
+
+    while (currentBlock <= toBlock) {
+      const chunkFrom = currentBlock;
+      const chunkTo = Math.min(currentBlock + config.blocksPerQuery - 1, toBlock);
+
+      const logs = await getLogs(chunkFrom, chunkTo);
+      const records = await decodeLogs(logs);
+      const hashes = await collectBlockHashes(logs, chunkTo);
+
+      let chunkEvents = records.length;
+      if (records.length > 0) {
+        const result = await config.sink(records, {
+          fromBlock: chunkFrom,
+          toBlock: chunkTo,
+          workerId,
+          headBlock: lastSeenHead,
+          provider: getProvider(),
+          getBlockTimestamp,
+        });
+        if (result?.entities) {
+          for (const key of result.entities) entities.add(key);
+        }
+        if (typeof result?.events === 'number') chunkEvents = result.events;
+      }
+
+      if (hashes.length > 0) {
+        await recordBlockHashes(config.name, config.chain, hashes);
+      }
+
+      eventsFound += chunkEvents;
+      batchesCompleted++;
+      currentBlock = chunkTo + 1;
+
+      if (onChunk) {
+        await onChunk(chunkTo, {
+          chunkHash: hashes.find(h => h.blockNumber === chunkTo)?.blockHash || null,
+          chunkEvents,
+          eventsFound,
+          entitiesFound: entities.size,
+          batchesCompleted,
+        });
+      }
+
+      if (config.queryDelayMs > 0) {
+        await sleep(config.queryDelayMs);
+      }
+    }
+
+    return { eventsFound, entitiesFound: entities.size, batchesCompleted };
+  }
+
+  // --------------------------------------------------------------------------
+  // Checkpoints
+  // --------------------------------------------------------------------------
+
+  async function getCheckpoint(indexerName) {
+    if (usesSharedTable) await ensureCheckpointTable();
+    await ensureSetup();
+    await ensureReorgTables();
+    const [row] = await db.select().from(table).where(eq(table.indexerName, indexerName)).limit(1);
+    return row || null;
+  }
+
+  async function updateCheckpoint(indexerName, updates, executor = db) {
+    await executor.update(table)
+      .set({ ...updates, updatedAt: sql`CURRENT_TIMESTAMP` })
+      .where(eq(table.indexerName, indexerName));
+  }
+
+  async function initCheckpoint(indexerName, rangeStart, rangeEnd = null) {
+    const existing = await getCheckpoint(indexerName);
+
+    if (existing) {
+      if (existing.rangeStart !== rangeStart) {
+        const reset = { rangeStart, rangeEnd, lastIndexedBlock: rangeStart, genesisBlock: rangeStart, status: 'idle' };
+        await updateCheckpoint(indexerName, reset);
+        return { ...existing, ...reset };
+      }
+      // Same start, moved end (work stealing, open-ended tail): keep progress
+      if (existing.rangeEnd !== rangeEnd) {
+        await updateCheckpoint(indexerName, { rangeEnd });
+        return { ...existing, rangeEnd };
+      }
+      return existing;
+    }
+
+    const defaults = typeof config.checkpointDefaults === 'function'
+      ? await config.checkpointDefaults()
+      : config.checkpointDefaults;
+    const values = {
+      ...defaults,
+      indexerName,
+      lastIndexedBlock: rangeStart,
+      genesisBlock: rangeStart,
+      rangeStart,
+      rangeEnd,
+      status: 'idle',
+      totalEventsIndexed: 0,
+    };
+    if (usesSharedTable) values.chain = config.chain;
+
+    const [created] = await db.insert(table).values(values).returning();
+    return created;
+  }
+
+  async function getAllCheckpoints() {
+    if (usesSharedTable) await ensureCheckpointTable();
+    await ensureSetup();
+    return db.select().from(table).where(checkpointScope());
+  }
+
+  // The main checkpoint row and every worker row
+  function checkpointScope() {
+    return or(eq(table.indexerName, config.name), like(table.indexerName, `${workerPrefix}%`));
+  }
+
+  // --------------------------------------------------------------------------
+  // Live progress
+  // --------------------------------------------------------------------------
+
+  function updateLiveProgress(key, updates) {
+    const updated = { ...(liveProgress.get(key) || emptyProgress()), ...updates };
+    if (updates.percentComplete === undefined && updated.rangeEnd && updated.rangeEnd > updated.rangeStart) {
+      const totalBlocks = updated.rangeEnd - updated.rangeStart;
+      const indexedBlocks = updated.currentBlock - updated.rangeStart;
+      updated.percentComplete = Math.min(100, Math.max(0, (indexedBlocks / totalBlocks) * 100));
+    }
+    liveProgress.set(key, updated);
+    return updated;
+  }
+
+  function getLiveProgress() {
+    return liveProgress.get(config.name) || null;
+  }
+
+  function getWorkerProgress(workerId) {
+    return liveProgress.get(workerName(workerId)) || null;
+  }
+
+  function getAllWorkersProgress() {
+    const workers = [];
+    for (let w = 0; w < config.workers; w++) {
+      const progress = liveProgress.get(workerName(w));
+      if (progress) workers.push({ workerId: w, ...progress });
+    }
+    return workers;
+  }
+
+  // --------------------------------------------------------------------------
+  // Single-checkpoint incremental run
+  // --------------------------------------------------------------------------
+
+  /**
+   * Index the next batch after the main checkpoint (no worker partitioning).
+   */
+  async function runIncremental(options = {}) {
+    const { batchSize = config.batchSize } = options;
+
+    if (runningWorkers.get(config.name)) {
+      return { success: false, message: 'Already running' };
+    }
+    runningWorkers.set(config.name, true);
+
+    try {
+      const safeBlock = await getSafeBlock();
+      await guardReorg(lastSeenHead);
+
+      const checkpoint = (await getCheckpoint(config.name))
+        || await initCheckpoint(config.name, config.genesisBlock);
+
+      const startBlock = checkpoint.lastIndexedBlock + 1;
+      const targetBlock = Math.min(startBlock + batchSize, safeBlock);
+
+      if (startBlock >= safeBlock) {
+        return { success: true, message: 'Already synced' };
+      }
+
+      await updateCheckpoint(config.name, { status: 'running' });
+      updateLiveProgress(config.name, {
+        ...emptyProgress(),
+        isRunning: true,
+        currentBlock: startBlock,
+        targetBlock,
+        rangeStart: checkpoint.genesisBlock,
+        rangeEnd: targetBlock,
+        startedAt: new Date().toISOString(),
+      });
+
+      console.log(`${tag} Starting from block ${startBlock} to ${targetBlock}`);
+
+      const result = await indexRange(startBlock, targetBlock, {
+        onChunk: async (chunkTo, stats) => {
+          updateLiveProgress(config.name, {
+            currentBlock: chunkTo + 1,
+            eventsFound: stats.eventsFound,
+            entitiesFound: stats.entitiesFound,
+            batchesCompleted: stats.batchesCompleted,
+            lastBatchAt: new Date().toISOString(),
+          });
+          await updateCheckpoint(config.name, {
+            lastIndexedBlock: chunkTo,
+            lastIndexedBlockHash: stats.chunkHash,
+            totalEventsIndexed: sql`total_events_indexed + ${stats.chunkEvents}`,
+          });
+        },
+      });
+
+      await updateCheckpoint(config.name, { status: 'complete', lastError: null });
+      updateLiveProgress(config.name, {
+        isRunning: false,
+        completedAt: new Date().toISOString(),
+        percentComplete: 100,
+      });
+
+      console.log(`${tag} Completed: ${result.eventsFound} events, ${result.entitiesFound} entities`);
+
+      return {
+        success: true,
+        ...result,
+        blocksIndexed: targetBlock - startBlock + 1,
+        targetBlock,
+        safeBlock,
+      };
+    } catch (err) {
+      console.error(`${tag} Error:`, err.message);
+      await updateCheckpoint(config.name, { status: 'error', lastError: err.message }).catch(() => {});
+      updateLiveProgress(config.name, { isRunning: false });
+      return { success: false, error: err.message };
+    } finally {
+      runningWorkers.set(config.name, false);
+    }
+  }
+
+  // --------------------------------------------------------------------------
+  // Parallel workers
+  // --------------------------------------------------------------------------
+
+  async function runWorkerBatch(workerId, options = {}) {
+    const { batchSize = config.batchSize } = options;
+    const indexerName = workerName(workerId);
+
+    if (runningWorkers.get(indexerName)) {
+      console.log(`${tag} Worker ${workerId} already running, skipping...`);
+      return { status: 'already_running' };
+    }
+    runningWorkers.set(indexerName, true);
+
+    try {
+      const safeBlock = await getSafeBlock();
+
+      // Only the open-ended worker follows the head, so only it can see a reorg
+      const before = await getCheckpoint(indexerName);
+      if (before && before.rangeEnd === null) {
+        await guardReorg(lastSeenHead);
+      }
+
+      const checkpoint = await getCheckpoint(indexerName);
+      if (!checkpoint) {
+        return { status: 'error', error: 'No checkpoint found' };
+      }
+
+      const workerTargetBlock = checkpoint.rangeEnd !== null ? Math.min(checkpoint.rangeEnd, safeBlock) : safeBlock;
+      const startBlock = checkpoint.lastIndexedBlock;
+      const endBlock = Math.min(startBlock + batchSize, workerTargetBlock);
+
+      updateLiveProgress(indexerName, {
+        isRunning: true,
+        currentBlock: startBlock,
+        targetBlock: workerTargetBlock,
+        rangeStart: checkpoint.rangeStart || 0,
+        rangeEnd: checkpoint.rangeEnd,
+        startedAt: new Date().toISOString(),
+      });
+
+      if (startBlock >= workerTargetBlock) {
+        updateLiveProgress(indexerName, {
+          isRunning: false,
+          currentBlock: workerTargetBlock,
+          percentComplete: 100,
+          completedAt: new Date().toISOString(),
+        });
+        return { status: 'completed', message: 'Worker reached target block' };
+      }
+
+      console.log(`${tag} Worker ${workerId}: blocks ${startBlock.toLocaleString()} -> ${endBlock.toLocaleString()} (target: ${workerTargetBlock.toLocaleString()})`);
+
+      const result = await indexRange(startBlock, endBlock, {
+        workerId,
+        onChunk: async (chunkTo, stats) => {
+          updateLiveProgress(indexerName, {
+            currentBlock: chunkTo + 1,
+            eventsFound: stats.eventsFound,
+            entitiesFound: stats.entitiesFound,
+            batchesCompleted: stats.batchesCompleted,
+            lastBatchAt: new Date().toISOString(),
+          });
+          await updateCheckpoint(indexerName, {
+            lastIndexedBlock: chunkTo,
+            lastIndexedBlockHash: stats.chunkHash,
+            totalEventsIndexed: sql`total_events_indexed + ${stats.chunkEvents}`,
+            status: 'running',
+          });
+        },
+      });
+
+      const isComplete = endBlock >= workerTargetBlock;
+      await updateCheckpoint(indexerName, { status: isComplete ? 'complete' : 'idle', lastError: null });
+      updateLiveProgress(indexerName, {
+        isRunning: false,
+        currentBlock: endBlock,
+        completedAt: isComplete ? new Date().toISOString() : null,
+        percentComplete: isComplete ? 100 : undefined,
+      });
+
+      console.log(`${tag} Worker ${workerId} batch done: ${result.eventsFound} events, ${result.entitiesFound} entities`);
+
+      return {
+        status: isComplete ? 'completed' : 'batch_done',
+        ...result,
+        blocksIndexed: endBlock - startBlock,
+        currentBlock: endBlock,
+        targetBlock: workerTargetBlock,
+      };
+    } catch (err) {
+      console.error(`${tag} Worker ${workerId} error:`, err.message);
+      await updateCheckpoint(indexerName, { status: 'error', lastError: err.message }).catch(() => {});
+      updateLiveProgress(indexerName, { isRunning: false });
+      return { status: 'error', error: err.message };
+    } finally {
+      runningWorkers.set(indexerName, false);
+    }
+  }
+
+  function findWorkToSteal(thiefWorkerId) {
+    let bestDonor = null;
+    let maxRemainingBlocks = 0;
+    const now = Date.now();
+
+    for (let w = 0; w < activeWorkerCount; w++) {
+      if (w === thiefWorkerId) continue;
+
+      const key = workerName(w);
+      const workerInfo = autoRuns.get(key);
+      if (!workerInfo) continue;
+
+      const reservedAt = donorReservations.get(key);
+      if (reservedAt && (now - reservedAt) < RESERVATION_TIMEOUT_MS) continue;
+
+      const progress = liveProgress.get(key);
+      if (!progress || progress.completedAt) continue;
+
+      const currentBlock = progress.currentBlock || workerInfo.rangeStart || 0;
+      const targetBlock = progress.targetBlock || workerInfo.rangeEnd;
+      if (!targetBlock) continue;
+
+      const remainingBlocks = targetBlock - currentBlock;
+      if (remainingBlocks > maxRemainingBlocks && remainingBlocks > config.minBlocksToSteal * 2) {
+        maxRemainingBlocks = remainingBlocks;
+        bestDonor = { workerId: w, key, currentBlock, targetBlock, remainingBlocks };
+      }
+    }
+
+    if (!bestDonor) return null;
+
+    const blocksToSteal = Math.floor(bestDonor.remainingBlocks / 2);
+    if (blocksToSteal < config.minBlocksToSteal) return null;
+
+    donorReservations.set(bestDonor.key, now);
+
+    const newRangeStart = bestDonor.targetBlock - blocksToSteal;
+    return {
+      donorWorkerId: bestDonor.workerId,
+      newDonorRangeEnd: newRangeStart,
+      newRangeStart,
+      newRangeEnd: bestDonor.targetBlock,
+      blocksStolen: blocksToSteal,
+      reservationKey: bestDonor.key,
+    };
+  }
+
+  async function applyWorkSteal(thiefWorkerId, stealInfo) {
+    const donorKey = workerName(stealInfo.donorWorkerId);
+    const thiefKey = workerName(thiefWorkerId);
+
+    await updateCheckpoint(donorKey, { rangeEnd: stealInfo.newDonorRangeEnd });
+    const donorInfo = autoRuns.get(donorKey);
+    if (donorInfo) donorInfo.rangeEnd = stealInfo.newDonorRangeEnd;
+
+    await updateCheckpoint(thiefKey, {
+      rangeStart: stealInfo.newRangeStart,
+      rangeEnd: stealInfo.newRangeEnd,
+      lastIndexedBlock: stealInfo.newRangeStart,
+      genesisBlock: stealInfo.newRangeStart,
+      status: 'idle',
+    });
+    const thiefInfo = autoRuns.get(thiefKey);
+    if (thiefInfo) {
+      thiefInfo.rangeStart = stealInfo.newRangeStart;
+      thiefInfo.rangeEnd = stealInfo.newRangeEnd;
+    }
+
+    updateLiveProgress(thiefKey, {
+      rangeStart: stealInfo.newRangeStart,
+      rangeEnd: stealInfo.newRangeEnd,
+      currentBlock: stealInfo.newRangeStart,
+      targetBlock: stealInfo.newRangeEnd,
+      completedAt: null,
+      percentComplete: 0,
+    });
+
+    donorReservations.delete(stealInfo.reservationKey);
+    console.log(`${tag} Worker ${thiefWorkerId} stole ${stealInfo.blocksStolen.toLocaleString()} blocks from worker ${stealInfo.donorWorkerId}`);
+  }
+
+  async function startWorkerAutoRun(workerId, rangeStart, rangeEnd, intervalMs) {
+    const key = workerName(workerId);
+    if (autoRuns.has(key)) {
+      return { status: 'already_running', workerId };
+    }
+
+    console.log(`${tag} Starting worker ${workerId} (blocks ${rangeStart.toLocaleString()}-${rangeEnd ? rangeEnd.toLocaleString() : 'latest'}, interval: ${intervalMs / 1000}s)`);
+
+    liveProgress.delete(key);
+    await initCheckpoint(key, rangeStart, rangeEnd);
+
+    const info = {
+      workerId,
+      intervalMs,
+      rangeStart,
+      rangeEnd,
+      startedAt: new Date().toISOString(),
+      lastRunAt: null,
+      runsCompleted: 0,
+      interval: null,
+    };
+    autoRuns.set(key, info);
+
+    const tick = async () => {
+      if (!autoRuns.has(key)) return;
+      const result = await runWorkerBatch(workerId);
+      info.lastRunAt = new Date().toISOString();
+      info.runsCompleted++;
+
+      if (result.status === 'completed') {
+        const stealInfo = findWorkToSteal(workerId);
+        if (stealInfo) {
+          await applyWorkSteal(workerId, stealInfo);
+        }
+      }
+    };
+
+    // Stagger workers across the interval so they don't hit the RPC in lockstep
+    const offsetMs = Math.floor((workerId / config.workers) * intervalMs);
+    setTimeout(() => {
+      tick().catch(err => console.error(`${tag} Initial error for worker ${workerId}:`, err.message));
+    }, offsetMs);
+
+    info.interval = setInterval(() => {
+      tick().catch(err => console.error(`${tag} Worker ${workerId} error:`, err.message));
+    }, intervalMs);
+
+    return { status: 'started', workerId, rangeStart, rangeEnd };
+  }
+
+  /**
+   * Worker ranges for startWorkers. Stored ranges are reused when there is one per
+   * requested worker, so a restart resumes each worker where it stopped. Otherwise
+   * [lowest stored checkpoint (or genesis), safe head] is re-partitioned; sinks are
+   * idempotent, so re-scanning already indexed blocks is harmless.
+   */
+  async function planWorkerRanges(workerCount, safeBlock) {
+    const rows = await getAllCheckpoints();
+    const workerRows = rows.filter(r => workerIdOf(r.indexerName) !== null && r.rangeStart !== null);
+    const storedIds = new Set(workerRows.map(r => workerIdOf(r.indexerName)));
+
+    if (workerRows.length === workerCount && Array.from({ length: workerCount }, (_, w) => w).every(w => storedIds.has(w))) {
+      const ranges = new Array(workerCount);
+      for (const row of workerRows) {
+        ranges[workerIdOf(row.indexerName)] = { rangeStart: row.rangeStart, rangeEnd: row.rangeEnd };
+      }
+      // Someone has to follow the head: the worker with the highest range
+      if (!ranges.some(r => r.rangeEnd === null)) {
+        const tail = ranges.reduce((best, r) => (r.rangeStart > best.rangeStart ? r : best));
+        tail.rangeEnd = null;
+      }
+      return ranges;
+    }
+
+    for (const row of workerRows) {
+      if (workerIdOf(row.indexerName) >= workerCount) {
+        await db.delete(table).where(eq(table.indexerName, row.indexerName));
+      }
+    }
+
+    const startBlock = rows.length > 0
+      ? Math.min(...rows.map(r => r.lastIndexedBlock))
+      : config.genesisBlock;
+    const blocksPerWorker = Math.ceil(Math.max(0, safeBlock - startBlock) / workerCount);
+
+    return Array.from({ length: workerCount }, (_, w) => ({
+      rangeStart: startBlock + w * blocksPerWorker,
+      rangeEnd: w === workerCount - 1 ? null : startBlock + (w + 1) * blocksPerWorker,
+    }));
+  }
+
+  /**
+   * Start N workers over planWorkerRanges(). The worker with the highest range
+   * is open-ended and keeps following the chain head.
+   */
+  async function startWorkers(options = {}) {
+    const {
+      intervalMs = config.intervalMs,
+      targetWorkers = config.workers,
+    } = options;
+    const workerCount = Math.min(targetWorkers, config.workers);
+
+    let safeBlock;
+    try {
+      safeBlock = await getSafeBlock();
+    } catch (err) {
+      console.error(`${tag} RPC unavailable, cannot start workers:`, err.message);
+      return { status: 'rpc_failed', error: err.message };
+    }
+
+    let ranges;
+    try {
+      ranges = await planWorkerRanges(workerCount, safeBlock);
+    } catch (err) {
+      console.error(`${tag} Failed to load worker checkpoints:`, err.message);
+      return { status: 'error', error: err.message };
+    }
+
+    console.log(`${tag} Starting ${workerCount} workers (safe head: ${safeBlock.toLocaleString()})`);
+
+    const results = [];
+    let consecutiveFailures = 0;
+
+    for (let w = 0; w < workerCount; w++) {
+      const { rangeStart, rangeEnd } = ranges[w];
+
+      try {
+        results.push(await startWorkerAutoRun(w, rangeStart, rangeEnd, intervalMs));
+        consecutiveFailures = 0;
+      } catch (err) {
+        consecutiveFailures++;
+        console.error(`${tag} Worker ${w} failed to start:`, err.message);
+
+        if (consecutiveFailures >= MAX_CONSECUTIVE_START_FAILURES && workerCount > config.minWorkers) {
+          console.warn(`${tag} RPC failsafe: Reducing from ${workerCount} to ${workerCount - 1} workers`);
+          stopWorkers();
+          await sleep(3000);
+          return startWorkers({ intervalMs, targetWorkers: workerCount - 1 });
+        }
+
+        results.push({ status: 'failed', workerId: w, error: err.message });
+      }
+    }
+
+    activeWorkerCount = results.filter(r => r.status === 'started' || r.status === 'already_running').length;
+
+    return { status: 'workers_started', workersStarted: activeWorkerCount, targetWorkers: workerCount, results };
+  }
+
+  function stopWorkers() {
+    let stopped = 0;
+    for (const [key, info] of autoRuns) {
+      if (key === config.name) continue;
+      if (info.interval) clearInterval(info.interval);
+      autoRuns.delete(key);
+      liveProgress.delete(key);
+      stopped++;
+    }
+    activeWorkerCount = 0;
+    donorReservations.clear();
+    console.log(`${tag} Stopped ${stopped} workers`);
+    return stopped;
+  }
+
+  function startSingleAutoRun(intervalMs = config.intervalMs) {
+    if (autoRuns.has(config.name)) return false;
+
+    const info = { intervalMs, startedAt: new Date().toISOString(), interval: null };
+    info.interval = setInterval(() => {
+      runIncremental().catch(err => console.error(`${tag} Auto-run error:`, err.message));
+    }, intervalMs);
+    autoRuns.set(config.name, info);
+
+    runIncremental().catch(err => console.error(`${tag} Initial run error:`, err.message));
+    console.log(`${tag} Auto-run started`);
+    return true;
+  }
+
+  function stopAutoRun() {
+    let stoppedAny = false;
+    const single = autoRuns.get(config.name);
+    if (single) {
+      clearInterval(single.interval);
+      autoRuns.delete(config.name);
+      stoppedAny = true;
+    }
+    if (stopWorkers() > 0) stoppedAny = true;
+    return stoppedAny;
+  }
+
+  function isAutoRunning() {
+    return autoRuns.size > 0;
+  }
+
+  function getWorkersStatus() {
+    const workers = [];
+    for (let w = 0; w < config.workers; w++) {
+      const key = workerName(w);
+      const info = autoRuns.get(key);
+      const progress = liveProgress.get(key);
+      if (info || progress) {
+        const { interval, ...infoFields } = info || {};
+        workers.push({
+          workerId: w,
+          isRunning: !!info,
+          ...infoFields,
+          progress: progress || null,
+        });
+      }
+    }
+    return {
+      activeWorkers: activeWorkerCount,
+      maxWorkers: config.workers,
+      minWorkers: config.minWorkers,
+      workers,
+    };
+  }
+
+  /**
+   * Uniform status shape shared by every runtime-backed indexer.
+   */
+  async function getStatus() {
+    const checkpoints = await getAllCheckpoints();
+    const workersStatus = getWorkersStatus();
+
+    const workerRows = checkpoints.filter(c => c.indexerName !== config.name);
+    const totalEventsIndexed = checkpoints.reduce((sum, c) => sum + (c.totalEventsIndexed || 0), 0);
+    const lowestIndexedBlock = checkpoints.length > 0
+      ? Math.min(...checkpoints.map(c => c.lastIndexedBlock))
+      : null;
+
+    let percentComplete = null;
+    if (lastSeenHead !== null && workerRows.length > 0) {
+      const safeHead = Math.max(0, lastSeenHead - config.confirmations);
+      const span = Math.max(1, safeHead - config.genesisBlock);
+      const indexed = workerRows.reduce((sum, c) => {
+        const end = c.rangeEnd !== null ? Math.min(c.rangeEnd, safeHead) : safeHead;
+        return sum + Math.max(0, Math.min(c.lastIndexedBlock, end) - (c.rangeStart || 0));
+      }, 0);
+      percentComplete = Math.min(100, (indexed / span) * 100);
+    }
+
+    let recentReorgs = [];
+    try {
+      recentReorgs = await getRecentReorgIncidents({ limit: 10, indexerName: config.name });
+    } catch (err) {
+      console.error(`${tag} Failed to load reorg incidents:`, err.message);
+    }
+
+    return {
+      name: config.name,
+      label: config.label || config.name,
+      chain: config.chain,
+      confirmations: config.confirmations,
+      reorgWindow: config.reorgWindow,
+      genesisBlock: config.genesisBlock,
+      latestBlock: lastSeenHead,
+      isAutoRunning: isAutoRunning(),
+      liveProgress: getLiveProgress(),
+      ...workersStatus,
+      workersProgress: getAllWorkersProgress(),
+      checkpoints,
+      recentReorgs,
+      totals: {
+        totalEventsIndexed,
+        lowestIndexedBlock,
+        percentComplete,
+      },
+    };
+  }
+
+  const indexer = {
+    name: config.name,
+    config,
+    getProvider,
+    getLatestBlock,
+    getSafeBlock,
+    getLogs,
+    indexRange,
+    guardReorg,
+    getCheckpoint,
+    initCheckpoint,
+    updateCheckpoint,
+    getAllCheckpoints,
+    runIncremental,
+    runWorkerBatch,
+    startWorkers,
+    stopWorkers,
+    startSingleAutoRun,
+    stopAutoRun,
+    isAutoRunning,
+    getLiveProgress,
+    getWorkerProgress,
+    getAllWorkersProgress,
+    getWorkersStatus,
+    getStatus,
+  };
+
+  registry.set(config.name, indexer);
+  return indexer;
+}
+
+export function getIndexer(name) {
+  return registry.get(name) || null;
+}
+
+export function listIndexers() {
+  return Array.from(registry.keys());
+}
+
+export async function getAllIndexerStatuses() {
+  const statuses = [];
+  for (const indexer of registry.values()) {
+    try {
+      statuses.push(await indexer.getStatus());
+    } catch (err) {
+      statuses.push({ name: indexer.name, error: err.message });
+    }
+  }
+  return statuses;
+}
@@ -1,10 +1,10 @@
 import { ethers } from 'ethers';
+import { getChainProvider } from '../../services/rpcProviderRegistry.js';
 import { db } from '../../../server/db.js';
 import { poolStakersHarmony, poolEventIndexerProgressHarmony } from '../../../shared/schema.js';
 import { eq, and, sql, desc } from 'drizzle-orm';
+import { defineIndexer } from './indexerRuntime.js';
 
-const HARMONY_RPC = 'https://api.harmony.one';
-const HARMONY_RPC_BACKUP = 'https://rpc.ankr.com/harmony';
 const MASTER_GARDENER_HARMONY = '0xdb30643c71ac9e2122ca0341ed77d09d5f99f924';
 const PROFILES_CONTRACT_HARMONY = '0xabd4741948374b1f5dd5dd7599ac1f85a34cacdd';
 
@@ -15,8 +15,6 @@ const AUTO_RUN_INTERVAL_MS = 60 * 1000;
 export const WORKERS_PER_POOL_HARMONY = 5;
 export const MIN_WORKERS_PER_POOL_HARMONY = 3;
 
-const poolWorkerCountsHarmony = new Map();
-
 const MASTER_GARDENER_HARMONY_ABI = [
   'event Deposit(address indexed user, uint256 indexed pid, uint256 amount)',
   'event Withdraw(address indexed user, uint256 indexed pid, uint256 amount)',
@@ -43,8 +41,6 @@ const PROFILES_ABI_HARMONY = [
   },
 ];
 
-const liveProgressHarmony = new Map();
-
 let harmonyTablesInitialized = false;
 
 export async function ensureHarmonyTablesExist() {
@@ -80,6 +76,8 @@ export async function ensureHarmonyTablesExist() {
         lp_token TEXT,
         last_indexed_block BIGINT NOT NULL,
         genesis_block BIGINT NOT NULL,
+        last_indexed_block_hash TEXT,
+        range_start BIGINT,
         range_end BIGINT,
         status TEXT NOT NULL DEFAULT 'idle',
         total_events_indexed INTEGER NOT NULL DEFAULT 0,
@@ -89,6 +87,9 @@ export async function ensureHarmonyTablesExist() {
       )
     `);
     
+    await db.execute(sql`ALTER TABLE pool_event_indexer_progress_harmony ADD COLUMN IF NOT EXISTS last_indexed_block_hash TEXT`);
+    await db.execute(sql`ALTER TABLE pool_event_indexer_progress_harmony ADD COLUMN IF NOT EXISTS range_start BIGINT`);
+    
     await db.execute(sql`CREATE INDEX IF NOT EXISTS pool_event_indexer_progress_harmony_pid_idx ON pool_event_indexer_progress_harmony(pid)`);
     await db.execute(sql`CREATE INDEX IF NOT EXISTS pool_event_indexer_progress_harmony_type_idx ON pool_event_indexer_progress_harmony(indexer_type)`);
     
@@ -103,22 +104,27 @@ export async function ensureHarmonyTablesExist() {
   }
 }
 
-function getWorkerKeyHarmony(pid, workerId = 0) {
-  return `harmony_${pid}_w${workerId}`;
+// Runtime indexers by pid (created on first use; Harmony pool count is read on-chain)
+const poolIndexersHarmony = new Map();
+
+function toHarmonyProgress(progress, workerId) {
+  if (!progress) return null;
+  return {
+    ...progress,
+    genesisBlock: progress.rangeStart,
+    stakersFound: progress.entitiesFound,
+    workerId,
+  };
 }
 
 export function getUnifiedLiveProgressHarmony(pid, workerId = null) {
+  const indexer = getPoolIndexerHarmony(pid);
   if (workerId !== null) {
-    return liveProgressHarmony.get(getWorkerKeyHarmony(pid, workerId)) || null;
-  }
-  const workers = [];
-  for (let w = 0; w < WORKERS_PER_POOL_HARMONY; w++) {
-    const progress = liveProgressHarmony.get(getWorkerKeyHarmony(pid, w));
-    if (progress) workers.push({ workerId: w, ...progress });
+    return toHarmonyProgress(indexer.getWorkerProgress(workerId), workerId);
   }
-  const legacy = liveProgressHarmony.get(`harmony_${pid}`);
-  if (legacy && workers.length === 0) return legacy;
-  if (workers.length === 0) return null;
+  const workers = indexer.getAllWorkersProgress()
+    .map(({ workerId: w, ...progress }) => toHarmonyProgress(progress, w));
+  if (workers.length === 0) return toHarmonyProgress(indexer.getLiveProgress(), null);
   
   const aggregated = {
     isRunning: workers.some(w => w.isRunning),
@@ -138,63 +144,20 @@ export function getUnifiedLiveProgressHarmony(pid, workerId = null) {
 
 export function getAllUnifiedLiveProgressHarmony() {
   const result = [];
-  const poolIds = new Set();
-  for (const key of liveProgressHarmony.keys()) {
-    const match = key.match(/harmony_(\d+)(?:_w\d+)?$/);
-    if (match) poolIds.add(parseInt(match[1]));
-  }
-  for (const pid of Array.from(poolIds).sort((a, b) => a - b)) {
+  for (const pid of Array.from(poolIndexersHarmony.keys()).sort((a, b) => a - b)) {
     const progress = getUnifiedLiveProgressHarmony(pid);
     if (progress) result.push({ pid, ...progress });
   }
   return result;
 }
 
-function updateLiveProgressHarmony(pid, updates, workerId = 0) {
-  const key = getWorkerKeyHarmony(pid, workerId);
-  const current = liveProgressHarmony.get(key) || {
-    isRunning: false,
-    currentBlock: 0,
-    targetBlock: 0,
-    genesisBlock: 0,
-    rangeStart: 0,
-    rangeEnd: 0,
-    stakersFound: 0,
-    batchesCompleted: 0,
-    startedAt: null,
-    lastBatchAt: null,
-    percentComplete: 0,
-    completedAt: null,
-    workerId,
-  };
-  const updated = { ...current, ...updates, workerId };
-  if (updates.percentComplete === undefined && updated.rangeEnd > updated.rangeStart) {
-    const totalBlocks = updated.rangeEnd - updated.rangeStart;
-    const indexedBlocks = updated.currentBlock - updated.rangeStart;
-    updated.percentComplete = Math.min(100, Math.max(0, (indexedBlocks / totalBlocks) * 100));
-  }
-  liveProgressHarmony.set(key, updated);
-  return updated;
-}
-
-function clearLiveProgressHarmony(pid, workerId = null) {
-  if (workerId !== null) {
-    liveProgressHarmony.delete(getWorkerKeyHarmony(pid, workerId));
-  } else {
-    for (let w = 0; w < WORKERS_PER_POOL_HARMONY; w++) {
-      liveProgressHarmony.delete(getWorkerKeyHarmony(pid, w));
-    }
-    liveProgressHarmony.delete(`harmony_${pid}`);
-  }
-}
-
 let providerInstanceHarmony = null;
 let gardenerContractHarmonyInstance = null;
 let profilesContractHarmonyInstance = null;
 
 export function getProviderHarmony() {
   if (!providerInstanceHarmony) {
-    providerInstanceHarmony = new ethers.JsonRpcProvider(HARMONY_RPC);
+    providerInstanceHarmony = getChainProvider('harmony');
   }
   return providerInstanceHarmony;
 }
@@ -280,13 +243,14 @@ export async function getCurrentStakedBalanceHarmony(pid, wallet) {
 }
 
 export function getUnifiedIndexerNameHarmony(pid, workerId = null) {
-  if (workerId !== null && workerId > 0) {
+  if (workerId !== null) {
     return `harmony_pool_${pid}_w${workerId}`;
   }
   return `harmony_pool_${pid}`;
 }
 
 export async function getUnifiedIndexerProgressHarmony(indexerName) {
+  await ensureHarmonyTablesExist();
   const [progress] = await db.select()
     .from(poolEventIndexerProgressHarmony)
     .where(eq(poolEventIndexerProgressHarmony.indexerName, indexerName))
@@ -295,22 +259,10 @@ export async function getUnifiedIndexerProgressHarmony(indexerName) {
 }
 
 export async function initUnifiedIndexerProgressHarmony(indexerName, pid, lpToken, genesisBlock = HARMONY_GENESIS_BLOCK, rangeEnd = null) {
-  const existing = await getUnifiedIndexerProgressHarmony(indexerName);
+  const indexer = getPoolIndexerHarmony(pid);
+  const existing = await indexer.getCheckpoint(indexerName);
   if (existing) return existing;
-  
-  await db.insert(poolEventIndexerProgressHarmony).values({
-    indexerName,
-    indexerType: 'harmony',
-    pid,
-    lpToken,
-    lastIndexedBlock: genesisBlock,
-    genesisBlock,
-    rangeEnd: rangeEnd || null,
-    status: 'idle',
-    totalEventsIndexed: 0,
-  });
-  
-  return getUnifiedIndexerProgressHarmony(indexerName);
+  return indexer.initCheckpoint(indexerName, genesisBlock, rangeEnd);
 }
 
 export async function updateUnifiedIndexerProgressHarmony(indexerName, updates) {
@@ -327,48 +279,6 @@ export async function getAllUnifiedIndexerProgressHarmony() {
     .orderBy(poolEventIndexerProgressHarmony.pid);
 }
 
-async function queryEventsInChunksHarmony(contract, filter, fromBlock, toBlock, maxChunkSize = BLOCKS_PER_QUERY) {
-  const allEvents = [];
-  
-  if (toBlock - fromBlock <= maxChunkSize) {
-    try {
-      return await contract.queryFilter(filter, fromBlock, toBlock);
-    } catch (err) {
-      console.error(`[HarmonyIndexer] Error querying events ${fromBlock}-${toBlock}:`, err.message);
-      return [];
-    }
-  }
-  
-  for (let start = fromBlock; start <= toBlock; start += maxChunkSize) {
-    const end = Math.min(start + maxChunkSize - 1, toBlock);
-    try {
-      const events = await contract.queryFilter(filter, start, end);
-      allEvents.push(...events);
-    } catch (err) {
-      console.error(`[HarmonyIndexer] Error querying events ${start}-${end}:`, err.message);
-    }
-    await new Promise(r => setTimeout(r, 50));
-  }
-  
-  return allEvents;
-}
-
-export async function indexAllPoolEventsHarmony(pid, fromBlock, toBlock) {
-  const gardenerContract = getGardenerContractHarmony();
-  
-  const [depositEvents, withdrawEvents, emergencyEvents] = await Promise.all([
-    queryEventsInChunksHarmony(gardenerContract, gardenerContract.filters.Deposit(null, pid), fromBlock, toBlock),
-    queryEventsInChunksHarmony(gardenerContract, gardenerContract.filters.Withdraw(null, pid), fromBlock, toBlock),
-    queryEventsInChunksHarmony(gardenerContract, gardenerContract.filters.EmergencyWithdraw(null, pid), fromBlock, toBlock),
-  ]);
-  
-  return {
-    deposits: depositEvents.map(e => ({ ...e, eventType: 'Deposit' })),
-    withdraws: withdrawEvents.map(e => ({ ...e, eventType: 'Withdraw' })),
-    emergencyWithdraws: emergencyEvents.map(e => ({ ...e, eventType: 'EmergencyWithdraw' })),
-  };
-}
-
 async function saveStakerUpdatesHarmony(pid, stakerUpdates) {
   if (!stakerUpdates || stakerUpdates.length === 0) return { upserted: 0 };
   
@@ -406,220 +316,171 @@ async function saveStakerUpdatesHarmony(pid, stakerUpdates) {
   return { upserted };
 }
 
-const runningWorkersHarmony = new Map();
-
-export function isUnifiedWorkerRunningHarmony(indexerName) {
-  return runningWorkersHarmony.get(indexerName) === true;
+/**
+ * Runtime indexer for one Serendale Master Gardener pool (staking events for the pid).
+ * Checkpoints stay in pool_event_indexer_progress_harmony
+ * (harmony_pool_<pid>, workers harmony_pool_<pid>_w<n>).
+ */
+export function getPoolIndexerHarmony(pid) {
+  if (poolIndexersHarmony.has(pid)) return poolIndexersHarmony.get(pid);
+
+  const gardenerIface = new ethers.Interface(MASTER_GARDENER_HARMONY_ABI);
+  const indexer = defineIndexer({
+    name: getUnifiedIndexerNameHarmony(pid),
+    label: `Harmony pool ${pid}`,
+    chain: 'harmony',
+    getProvider: getProviderHarmony,
+    address: MASTER_GARDENER_HARMONY,
+    abi: MASTER_GARDENER_HARMONY_ABI,
+    topics: [
+      ['Deposit', 'Withdraw', 'EmergencyWithdraw'].map(name => gardenerIface.getEvent(name).topicHash),
+      null,
+      ethers.zeroPadValue(ethers.toBeHex(pid), 32),
+    ],
+    genesisBlock: HARMONY_GENESIS_BLOCK,
+    blocksPerQuery: BLOCKS_PER_QUERY,
+    batchSize: INCREMENTAL_BATCH_SIZE,
+    intervalMs: AUTO_RUN_INTERVAL_MS,
+    workers: WORKERS_PER_POOL_HARMONY,
+    minWorkers: MIN_WORKERS_PER_POOL_HARMONY,
+    workerPrefix: `${getUnifiedIndexerNameHarmony(pid)}_w`,
+    checkpointTable: poolEventIndexerProgressHarmony,
+    async checkpointDefaults() {
+      return { indexerType: 'harmony', pid, lpToken: await getPoolLPTokenHarmony(pid) };
+    },
+    logTag: `[HarmonyIndexer] Pool ${pid}`,
+    setup: ensureHarmonyTablesExist,
+    decode(event, log) {
+      return {
+        eventType: event.name,
+        args: event.args,
+        blockNumber: log.blockNumber,
+        transactionHash: log.transactionHash,
+      };
+    },
+    async sink(records) {
+      const saveResult = await saveStakerEventsHarmony(pid, records);
+      return { entities: saveResult.wallets };
+    },
+  });
+  poolIndexersHarmony.set(pid, indexer);
+  return indexer;
 }
 
-export async function runUnifiedIncrementalBatchHarmony(pid, options = {}) {
-  const {
-    batchSize = INCREMENTAL_BATCH_SIZE,
-    lookupSummonerNames = true,
-    workerId = 0,
-    rangeStart = null,
-    rangeEnd = null,
-  } = options;
+// Upsert the latest staking activity (and on-chain balance) of every wallet in the events
+async function saveStakerEventsHarmony(pid, stakerEvents, { lookupSummonerNames = true } = {}) {
+  const walletLastActivity = new Map();
   
-  const indexerName = getUnifiedIndexerNameHarmony(pid, workerId);
-  
-  if (runningWorkersHarmony.get(indexerName)) {
-    console.log(`[HarmonyIndexer] Indexer ${indexerName} already running, skipping...`);
-    return { status: 'already_running' };
-  }
-  
-  runningWorkersHarmony.set(indexerName, true);
-  const startTime = Date.now();
-  
-  try {
-    const lpToken = await getPoolLPTokenHarmony(pid);
-    if (!lpToken) {
-      runningWorkersHarmony.set(indexerName, false);
-      return { status: 'error', error: 'Could not get LP token address' };
-    }
+  for (const event of stakerEvents) {
+    const wallet = event.args.user.toLowerCase();
+    const existing = walletLastActivity.get(wallet);
     
-    const workerGenesisBlock = rangeStart !== null ? rangeStart : HARMONY_GENESIS_BLOCK;
-    let progress = await initUnifiedIndexerProgressHarmony(indexerName, pid, lpToken, workerGenesisBlock, rangeEnd);
-    const latestBlock = await getLatestBlockHarmony();
-    
-    const workerTargetBlock = (progress.rangeEnd !== null && progress.rangeEnd !== undefined) 
-      ? Math.min(progress.rangeEnd, latestBlock) 
-      : latestBlock;
-    
-    const startBlock = progress.lastIndexedBlock;
-    const endBlock = Math.min(startBlock + batchSize, workerTargetBlock);
-    
-    const existingLive = getUnifiedLiveProgressHarmony(pid, workerId);
-    const dbGenesisBlock = progress.genesisBlock || 0;
-    updateLiveProgressHarmony(pid, {
-      isRunning: true,
-      currentBlock: startBlock,
-      targetBlock: workerTargetBlock,
-      genesisBlock: dbGenesisBlock,
-      rangeStart: workerGenesisBlock,
-      rangeEnd: workerTargetBlock,
-      stakersFound: existingLive?.stakersFound || 0,
-      batchesCompleted: existingLive?.batchesCompleted || 0,
-      startedAt: existingLive?.startedAt || new Date().toISOString(),
-      lastBatchAt: null,
-    }, workerId);
-    
-    if (startBlock >= workerTargetBlock) {
-      runningWorkersHarmony.set(indexerName, false);
-      updateLiveProgressHarmony(pid, { 
-        isRunning: false, 
-        currentBlock: workerTargetBlock,
-        targetBlock: workerTargetBlock,
-        percentComplete: 100,
-        completedAt: new Date().toISOString(),
-      }, workerId);
-      return {
-        status: 'complete',
-        message: workerId > 0 ? `Worker ${workerId} reached assigned range end` : 'Already at latest block',
-        startBlock,
-        endBlock: startBlock,
-        latestBlock,
-        workerTargetBlock,
-        workerId,
-        runtimeMs: Date.now() - startTime,
-      };
-    }
-    
-    const workerLabel = workerId > 0 ? ` (w${workerId})` : '';
-    console.log(`[HarmonyIndexer] Pool ${pid}${workerLabel}: Indexing blocks ${startBlock} to ${endBlock} (${endBlock - startBlock} blocks)`);
-    
-    await updateUnifiedIndexerProgressHarmony(indexerName, { status: 'running' });
-    
-    const events = await indexAllPoolEventsHarmony(pid, startBlock, endBlock);
-    
-    const stakerEvents = [...events.deposits, ...events.withdraws, ...events.emergencyWithdraws];
-    const walletLastActivity = new Map();
-    
-    for (const event of stakerEvents) {
-      const wallet = event.args.user.toLowerCase();
-      const existing = walletLastActivity.get(wallet);
-      
-      if (!existing || event.blockNumber > existing.blockNumber) {
-        walletLastActivity.set(wallet, {
-          wallet,
-          eventType: event.eventType,
-          amount: ethers.formatEther(event.args.amount),
-          blockNumber: event.blockNumber,
-          txHash: event.transactionHash,
-        });
-      }
-    }
-    
-    const wallets = Array.from(walletLastActivity.keys());
-    
-    let summonerNames = new Map();
-    if (lookupSummonerNames && wallets.length > 0) {
-      console.log(`[HarmonyIndexer] Pool ${pid}: Looking up summoner names for ${wallets.length} wallets...`);
-      summonerNames = await batchGetSummonerNamesHarmony(wallets, 10);
-    }
-    
-    const stakerUpdates = [];
-    for (const wallet of wallets) {
-      const activity = walletLastActivity.get(wallet);
-      const currentBalance = await getCurrentStakedBalanceHarmony(pid, wallet);
-      
-      stakerUpdates.push({
+    if (!existing || event.blockNumber > existing.blockNumber) {
+      walletLastActivity.set(wallet, {
         wallet,
-        stakedLP: currentBalance,
-        summonerName: summonerNames.get(wallet) || null,
-        lastActivityType: activity.eventType,
-        lastActivityAmount: activity.amount,
-        lastActivityBlock: activity.blockNumber,
-        lastActivityTxHash: activity.txHash,
+        eventType: event.eventType,
+        amount: ethers.formatEther(event.args.amount),
+        blockNumber: event.blockNumber,
+        txHash: event.transactionHash,
       });
-      
-      await new Promise(r => setTimeout(r, 20));
     }
+  }
+  
+  const wallets = Array.from(walletLastActivity.keys());
+  
+  let summonerNames = new Map();
+  if (lookupSummonerNames && wallets.length > 0) {
+    console.log(`[HarmonyIndexer] Pool ${pid}: Looking up summoner names for ${wallets.length} wallets...`);
+    summonerNames = await batchGetSummonerNamesHarmony(wallets, 10);
+  }
+  
+  const stakerUpdates = [];
+  for (const wallet of wallets) {
+    const activity = walletLastActivity.get(wallet);
+    const currentBalance = await getCurrentStakedBalanceHarmony(pid, wallet);
     
-    const saveResult = await saveStakerUpdatesHarmony(pid, stakerUpdates);
-    
-    await updateUnifiedIndexerProgressHarmony(indexerName, {
-      lastIndexedBlock: endBlock,
-      status: endBlock >= workerTargetBlock ? 'complete' : 'idle',
-      totalEventsIndexed: (progress.totalEventsIndexed || 0) + stakerEvents.length,
+    stakerUpdates.push({
+      wallet,
+      stakedLP: currentBalance,
+      summonerName: summonerNames.get(wallet) || null,
+      lastActivityType: activity.eventType,
+      lastActivityAmount: activity.amount,
+      lastActivityBlock: activity.blockNumber,
+      lastActivityTxHash: activity.txHash,
     });
     
-    const existingProgress = getUnifiedLiveProgressHarmony(pid, workerId);
-    updateLiveProgressHarmony(pid, {
-      isRunning: false,
-      currentBlock: endBlock,
-      stakersFound: (existingProgress?.stakersFound || 0) + stakerUpdates.length,
-      batchesCompleted: (existingProgress?.batchesCompleted || 0) + 1,
-      lastBatchAt: new Date().toISOString(),
-      completedAt: endBlock >= workerTargetBlock ? new Date().toISOString() : null,
-    }, workerId);
-    
-    runningWorkersHarmony.set(indexerName, false);
-    
-    const runtimeMs = Date.now() - startTime;
-    console.log(`[HarmonyIndexer] Pool ${pid}${workerLabel}: Completed batch in ${runtimeMs}ms. Found ${stakerEvents.length} events, updated ${saveResult.upserted} stakers.`);
-    
-    return {
-      status: endBlock >= workerTargetBlock ? 'complete' : 'partial',
-      startBlock,
-      endBlock,
-      latestBlock,
-      workerTargetBlock,
-      eventsFound: stakerEvents.length,
-      stakersUpdated: saveResult.upserted,
-      workerId,
-      runtimeMs,
-    };
-  } catch (err) {
-    runningWorkersHarmony.set(indexerName, false);
-    console.error(`[HarmonyIndexer] Error in runUnifiedIncrementalBatchHarmony:`, err);
-    await updateUnifiedIndexerProgressHarmony(indexerName, {
-      status: 'error',
-      lastError: err.message,
-    });
-    updateLiveProgressHarmony(pid, { isRunning: false }, workerId);
-    return { status: 'error', error: err.message };
+    await new Promise(r => setTimeout(r, 20));
   }
+  
+  const { upserted } = await saveStakerUpdatesHarmony(pid, stakerUpdates);
+  return { wallets, upserted };
 }
 
-const autoRunIntervalsHarmony = new Map();
+export function isUnifiedWorkerRunningHarmony(indexerName) {
+  const match = indexerName.match(/^harmony_pool_(\d+)(?:_w(\d+))?$/);
+  if (!match) return false;
+  const indexer = getPoolIndexerHarmony(parseInt(match[1]));
+  const progress = match[2] !== undefined
+    ? indexer.getWorkerProgress(parseInt(match[2]))
+    : indexer.getLiveProgress();
+  return !!progress?.isRunning;
+}
 
-export function startAutoRunHarmony(pid, options = {}) {
-  const key = `harmony_${pid}`;
-  if (autoRunIntervalsHarmony.has(key)) {
-    console.log(`[HarmonyIndexer] Auto-run already active for pool ${pid}`);
-    return { status: 'already_running' };
-  }
-  
-  const { workerCount = WORKERS_PER_POOL_HARMONY } = options;
-  poolWorkerCountsHarmony.set(pid, workerCount);
+// Index the next batch for a pool's main checkpoint (manual trigger), or for one
+// worker's assigned range when workerId is given.
+export async function runUnifiedIncrementalBatchHarmony(pid, options = {}) {
+  const { batchSize = INCREMENTAL_BATCH_SIZE, workerId = null } = options;
+  const indexer = getPoolIndexerHarmony(pid);
+  const startTime = Date.now();
   
-  console.log(`[HarmonyIndexer] Starting auto-run for pool ${pid} with ${workerCount} workers`);
+  if (workerId !== null) {
+    const result = await indexer.runWorkerBatch(workerId, { batchSize });
+    return { ...result, workerId, runtimeMs: Date.now() - startTime };
+  }
   
-  const runAllWorkers = async () => {
-    const currentWorkerCount = poolWorkerCountsHarmony.get(pid) || workerCount;
-    const promises = [];
-    for (let w = 0; w < currentWorkerCount; w++) {
-      promises.push(runUnifiedIncrementalBatchHarmony(pid, { ...options, workerId: w }));
+  const result = await indexer.runIncremental({ batchSize });
+  if (!result.success) {
+    if (result.message === 'Already running') {
+      return { status: 'already_running' };
     }
-    await Promise.all(promises);
+    return { status: 'error', error: result.error };
+  }
+  if (!result.targetBlock) {
+    return { status: 'complete', message: 'Already at latest block', runtimeMs: Date.now() - startTime };
+  }
+  
+  return {
+    status: result.targetBlock >= result.safeBlock ? 'complete' : 'partial',
+    endBlock: result.targetBlock,
+    latestBlock: result.safeBlock,
+    eventsFound: result.eventsFound,
+    stakersUpdated: result.entitiesFound,
+    runtimeMs: Date.now() - startTime,
   };
+}
+
+export async function startAutoRunHarmony(pid, options = {}) {
+  const { workerCount = WORKERS_PER_POOL_HARMONY } = options;
+  const indexer = getPoolIndexerHarmony(pid);
+  if (indexer.isAutoRunning()) {
+    console.log(`[HarmonyIndexer] Auto-run already active for pool ${pid}`);
+    return { status: 'already_running' };
+  }
   
-  runAllWorkers();
+  console.log(`[HarmonyIndexer] Starting auto-run for pool ${pid} with ${workerCount} workers`);
   
-  const interval = setInterval(runAllWorkers, AUTO_RUN_INTERVAL_MS);
-  autoRunIntervalsHarmony.set(key, interval);
+  // The status page lists pools by their main checkpoint row
+  await initUnifiedIndexerProgressHarmony(getUnifiedIndexerNameHarmony(pid), pid, null);
   
-  return { status: 'started', workerCount };
+  const result = await indexer.startWorkers({ targetWorkers: workerCount });
+  if (result.status !== 'workers_started') {
+    return result;
+  }
+  return { status: 'started', workerCount: result.workersStarted };
 }
 
 export function stopAutoRunHarmony(pid) {
-  const key = `harmony_${pid}`;
-  const interval = autoRunIntervalsHarmony.get(key);
-  if (interval) {
-    clearInterval(interval);
-    autoRunIntervalsHarmony.delete(key);
-    poolWorkerCountsHarmony.delete(pid);
+  if (getPoolIndexerHarmony(pid).stopAutoRun()) {
     console.log(`[HarmonyIndexer] Stopped auto-run for pool ${pid}`);
     return { status: 'stopped' };
   }
@@ -627,7 +488,7 @@ export function stopAutoRunHarmony(pid) {
 }
 
 export function isAutoRunActiveHarmony(pid) {
-  return autoRunIntervalsHarmony.has(`harmony_${pid}`);
+  return getPoolIndexerHarmony(pid).isAutoRunning();
 }
 
 export async function getPoolStakersHarmony(pid) {
@@ -684,19 +545,12 @@ export async function getHarmonyPoolStats() {
 }
 
 export async function resetPoolProgressHarmony(pid) {
-  const workerCount = poolWorkerCountsHarmony.get(pid) || WORKERS_PER_POOL_HARMONY;
-  
-  for (let w = 0; w < workerCount; w++) {
-    const indexerName = getUnifiedIndexerNameHarmony(pid, w);
-    await db.delete(poolEventIndexerProgressHarmony)
-      .where(eq(poolEventIndexerProgressHarmony.indexerName, indexerName));
-    clearLiveProgressHarmony(pid, w);
-  }
-  
-  const mainIndexerName = getUnifiedIndexerNameHarmony(pid, null);
+  await ensureHarmonyTablesExist();
   await db.delete(poolEventIndexerProgressHarmony)
-    .where(eq(poolEventIndexerProgressHarmony.indexerName, mainIndexerName));
-  clearLiveProgressHarmony(pid, null);
+    .where(and(
+      eq(poolEventIndexerProgressHarmony.pid, pid),
+      eq(poolEventIndexerProgressHarmony.indexerType, 'harmony')
+    ));
   
   console.log(`[HarmonyIndexer] Reset progress for pool ${pid}`);
   return { status: 'reset', pid };
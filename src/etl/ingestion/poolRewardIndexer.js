@@ -1,9 +1,9 @@
 import { ethers } from 'ethers';
+import { getChainProvider } from '../../services/rpcProviderRegistry.js';
 import { db } from '../../../server/db.js';
 import { poolRewardEvents, poolEventIndexerProgress } from '../../../shared/schema.js';
 import { eq, and, sql, desc } from 'drizzle-orm';
 
-const DFK_CHAIN_RPC = 'https://subnets.avax.network/defi-kingdoms/dfk-chain/rpc';
 const MASTER_GARDENER_V2 = '0xB04e8D6aED037904B77A9F0b08002592925833b7';
 
 const DFK_GENESIS_BLOCK = 0;
@@ -63,7 +63,7 @@ let gardenerContractInstance = null;
 
 export function getProvider() {
   if (!providerInstance) {
-    providerInstance = new ethers.JsonRpcProvider(DFK_CHAIN_RPC);
+    providerInstance = getChainProvider('dfk');
   }
   return providerInstance;
 }
@@ -1,9 +1,9 @@
 import { ethers } from 'ethers';
+import { getChainProvider } from '../../services/rpcProviderRegistry.js';
 import { db } from '../../../server/db.js';
 import { poolStakers, poolStakerIndexerProgress } from '../../../shared/schema.js';
 import { eq, and, sql, desc } from 'drizzle-orm';
 
-const DFK_CHAIN_RPC = 'https://subnets.avax.network/defi-kingdoms/dfk-chain/rpc';
 const LP_STAKING_ADDRESS = '0xB04e8D6aED037904B77A9F0b08002592925833b7';
 
 const DFK_GENESIS_BLOCK = 0;
@@ -84,7 +84,7 @@ let profilesContractInstance = null;
 
 export function getProvider() {
   if (!providerInstance) {
-    providerInstance = new ethers.JsonRpcProvider(DFK_CHAIN_RPC);
+    providerInstance = getChainProvider('dfk');
   }
   return providerInstance;
 }
@@ -1,9 +1,11 @@
 import { ethers } from 'ethers';
+import { getChainProvider } from '../../services/rpcProviderRegistry.js';
 import { db } from '../../../server/db.js';
 import { poolSwapEvents, poolEventIndexerProgress } from '../../../shared/schema.js';
 import { eq, and, sql, desc } from 'drizzle-orm';
+import { ensureReorgTables } from './reorgGuard.js';
+import { defineIndexer } from './indexerRuntime.js';
 
-const DFK_CHAIN_RPC = 'https://subnets.avax.network/defi-kingdoms/dfk-chain/rpc';
 const LP_STAKING_ADDRESS = '0xB04e8D6aED037904B77A9F0b08002592925833b7';
 
 const DFK_GENESIS_BLOCK = 0;
@@ -72,7 +74,7 @@ const lpContractCache = new Map();
 
 export function getProvider() {
   if (!providerInstance) {
-    providerInstance = new ethers.JsonRpcProvider(DFK_CHAIN_RPC);
+    providerInstance = getChainProvider('dfk');
   }
   return providerInstance;
 }
@@ -151,42 +153,58 @@ export async function getAllSwapIndexerProgress() {
     .orderBy(poolEventIndexerProgress.pid);
 }
 
-async function querySwapEventsInChunks(contract, fromBlock, toBlock, maxChunkSize = BLOCKS_PER_QUERY) {
-  const allEvents = [];
-  const filter = contract.filters.Swap();
-  
-  if (toBlock - fromBlock <= maxChunkSize) {
-    try {
-      return await contract.queryFilter(filter, fromBlock, toBlock);
-    } catch (err) {
-      console.error(`[PoolSwapIndexer] Error querying swaps ${fromBlock}-${toBlock}:`, err.message);
-      return [];
-    }
+const swapIndexers = new Map();
+
+// Per-pool runtime handle: chunked getLogs with retries, block hash recording and
+// reorg rollback. Checkpoints stay on the swaps_pool_<pid> row managed below.
+function getSwapIndexer(pid, lpToken) {
+  if (!swapIndexers.has(pid)) {
+    swapIndexers.set(pid, defineIndexer({
+      name: getSwapIndexerName(pid),
+      label: `Pool ${pid} swaps`,
+      chain: 'dfk',
+      getProvider,
+      address: lpToken,
+      abi: LP_PAIR_ABI,
+      events: ['Swap'],
+      blocksPerQuery: BLOCKS_PER_QUERY,
+      batchSize: INCREMENTAL_BATCH_SIZE,
+      queryDelayMs: 50,
+      genesisBlock: DFK_GENESIS_BLOCK,
+      checkpointTable: poolEventIndexerProgress,
+      workerPrefix: `${getSwapIndexerName(pid)}_w`,
+      eventTables: [{ table: 'pool_swap_events', where: sql`pid = ${pid}` }],
+      logTag: `[PoolSwapIndexer] Pool ${pid}:`,
+      decode(event, log) {
+        return {
+          args: event.args,
+          blockNumber: log.blockNumber,
+          blockHash: log.blockHash,
+          transactionHash: log.transactionHash,
+          index: log.index,
+        };
+      },
+      async sink(events) {
+        const { saved } = await saveSwapEvents(pid, lpToken, events);
+        return { events: saved };
+      },
+    }));
   }
-  
-  for (let start = fromBlock; start <= toBlock; start += maxChunkSize) {
-    const end = Math.min(start + maxChunkSize - 1, toBlock);
-    try {
-      const events = await contract.queryFilter(filter, start, end);
-      allEvents.push(...events);
-    } catch (err) {
-      console.error(`[PoolSwapIndexer] Error querying swaps ${start}-${end}:`, err.message);
-    }
-    await new Promise(r => setTimeout(r, 50));
-  }
-  
-  return allEvents;
+  return swapIndexers.get(pid);
 }
 
 export async function indexPoolSwapEvents(pid, lpToken, fromBlock, toBlock) {
-  const lpContract = getLPContract(lpToken);
-  const events = await querySwapEventsInChunks(lpContract, fromBlock, toBlock);
-  return events;
+  const indexer = getSwapIndexer(pid, lpToken);
+  const logs = await indexer.getLogs(fromBlock, toBlock);
+  const iface = new ethers.Interface(LP_PAIR_ABI);
+  return logs.map(log => ({ ...log, args: iface.parseLog(log).args }));
 }
 
 export async function saveSwapEvents(pid, lpToken, events) {
   if (!events || events.length === 0) return { saved: 0 };
   
+  await ensureReorgTables();
+  
   const provider = getProvider();
   let saved = 0;
   
@@ -199,6 +217,7 @@ export async function saveSwapEvents(pid, lpToken, events) {
         pid,
         lpToken: lpToken.toLowerCase(),
         blockNumber: event.blockNumber,
+        blockHash: block?.hash || event.blockHash || null,
         txHash: event.transactionHash,
         logIndex: event.index,
         sender: event.args.sender.toLowerCase(),
@@ -249,8 +268,12 @@ export async function runSwapIncrementalBatch(pid, options = {}) {
       return { status: 'error', error: 'Could not get LP token address' };
     }
     
-    let progress = await initSwapIndexerProgress(indexerName, pid, lpToken);
-    const latestBlock = await getLatestBlock();
+    const indexer = getSwapIndexer(pid, lpToken);
+    await initSwapIndexerProgress(indexerName, pid, lpToken);
+    const latestBlock = await indexer.getLatestBlock();
+    await indexer.guardReorg(latestBlock);
+
+    const progress = await getSwapIndexerProgress(indexerName);
     
     const startBlock = progress.lastIndexedBlock;
     const endBlock = Math.min(startBlock + batchSize, latestBlock);
@@ -290,13 +313,12 @@ export async function runSwapIncrementalBatch(pid, options = {}) {
     
     await updateSwapIndexerProgress(indexerName, { status: 'running' });
     
-    const events = await indexPoolSwapEvents(pid, lpToken, startBlock, endBlock);
-    console.log(`[PoolSwapIndexer] Pool ${pid}: Found ${events.length} swap events`);
-    
-    const { saved } = await saveSwapEvents(pid, lpToken, events);
+    // Rows saved by the sink; onConflictDoNothing makes re-scanned blocks harmless
+    const { eventsFound } = await indexer.indexRange(startBlock, endBlock);
+    console.log(`[PoolSwapIndexer] Pool ${pid}: Found ${eventsFound} swap events`);
     
     const runtimeMs = Date.now() - startTime;
-    const totalEventsIndexed = (progress.totalEventsIndexed || 0) + events.length;
+    const totalEventsIndexed = (progress.totalEventsIndexed || 0) + eventsFound;
     
     await updateSwapIndexerProgress(indexerName, {
       lastIndexedBlock: endBlock,
@@ -313,12 +335,12 @@ export async function runSwapIncrementalBatch(pid, options = {}) {
       totalEventsFound: totalEventsIndexed,
       batchesCompleted: (currentLive?.batchesCompleted || 0) + 1,
       lastBatchAt: new Date().toISOString(),
-      lastBatchEventsFound: events.length,
+      lastBatchEventsFound: eventsFound,
       percentComplete: caughtUp ? 100 : undefined,
       completedAt: caughtUp ? new Date().toISOString() : currentLive?.completedAt,
     });
     
-    console.log(`[PoolSwapIndexer] Pool ${pid}: Complete. ${events.length} swaps found, ${saved} saved in ${(runtimeMs / 1000).toFixed(1)}s`);
+    console.log(`[PoolSwapIndexer] Pool ${pid}: Complete. ${eventsFound} swaps saved in ${(runtimeMs / 1000).toFixed(1)}s`);
     
     runningWorkers.set(indexerName, false);
     
@@ -329,8 +351,8 @@ export async function runSwapIncrementalBatch(pid, options = {}) {
       endBlock,
       latestBlock,
       blocksRemaining: latestBlock - endBlock,
-      eventsFound: events.length,
-      eventsSaved: saved,
+      eventsFound: eventsFound,
+      eventsSaved: eventsFound,
       runtimeMs,
     };
   } catch (error) {
@@ -1,9 +1,11 @@
 import { ethers } from 'ethers';
+import { getChainProvider } from '../../services/rpcProviderRegistry.js';
 import { db } from '../../../server/db.js';
 import { poolStakers, poolSwapEvents, poolRewardEvents, poolEventIndexerProgress } from '../../../shared/schema.js';
 import { eq, and, sql, desc } from 'drizzle-orm';
+import { ensureReorgTables } from './reorgGuard.js';
+import { defineIndexer } from './indexerRuntime.js';
 
-const DFK_CHAIN_RPC = 'https://subnets.avax.network/defi-kingdoms/dfk-chain/rpc';
 const MASTER_GARDENER_V2 = '0xB04e8D6aED037904B77A9F0b08002592925833b7';
 
 const DFK_GENESIS_BLOCK = 0;
@@ -13,9 +15,6 @@ const AUTO_RUN_INTERVAL_MS = 60 * 1000; // 1 minute between batches
 export const WORKERS_PER_POOL = 5; // Maximum number of parallel workers per pool
 export const MIN_WORKERS_PER_POOL = 3; // Minimum workers (fallback on RPC failures)
 
-// Track actual worker counts per pool (may vary from MIN to MAX based on RPC capacity)
-const poolWorkerCounts = new Map();
-
 const MASTER_GARDENER_ABI = [
   'event Deposit(address indexed user, uint256 indexed pid, uint256 amount)',
   'event Withdraw(address indexed user, uint256 indexed pid, uint256 amount)',
@@ -52,31 +51,57 @@ const PROFILES_ABI = [
   },
 ];
 
-const liveProgress = new Map();
+// Per-type counters for the dashboard, keyed by pool + worker ("unified_<pid>_w<id>",
+// single runs use "unified_<pid>"). The runtime tracks events and stakers (entities).
+const typeCounts = new Map();
 
-// Generate key for a specific worker (workerId=0 for legacy single-worker mode)
-function getWorkerKey(pid, workerId = 0) {
-  return `unified_${pid}_w${workerId}`;
+function getCountKey(pid, workerId = null) {
+  return workerId === null ? `unified_${pid}` : `unified_${pid}_w${workerId}`;
+}
+
+function addTypeCounts(pid, workerId, counts) {
+  const key = getCountKey(pid, workerId);
+  const current = typeCounts.get(key) || { swapsFound: 0, rewardsFound: 0 };
+  typeCounts.set(key, {
+    swapsFound: current.swapsFound + counts.swapsFound,
+    rewardsFound: current.rewardsFound + counts.rewardsFound,
+  });
+}
+
+function clearTypeCounts(pid) {
+  for (const key of Array.from(typeCounts.keys())) {
+    if (key === `unified_${pid}` || key.startsWith(`unified_${pid}_w`)) typeCounts.delete(key);
+  }
+}
+
+function toUnifiedProgress(pid, workerId, progress) {
+  if (!progress) return null;
+  const counts = typeCounts.get(getCountKey(pid, workerId)) || { swapsFound: 0, rewardsFound: 0 };
+  return {
+    ...progress,
+    genesisBlock: progress.rangeStart,
+    stakersFound: progress.entitiesFound,
+    swapsFound: counts.swapsFound,
+    rewardsFound: counts.rewardsFound,
+    workerId,
+  };
 }
 
 export function getUnifiedLiveProgress(pid, workerId = null) {
+  const indexer = getPoolIndexer(pid);
+
   // If workerId is specified, get that specific worker
   if (workerId !== null) {
-    return liveProgress.get(getWorkerKey(pid, workerId)) || null;
+    return toUnifiedProgress(pid, workerId, indexer.getWorkerProgress(workerId));
   }
-  // Otherwise return combined progress for all workers of this pool
-  const workers = [];
-  for (let w = 0; w < WORKERS_PER_POOL; w++) {
-    const progress = liveProgress.get(getWorkerKey(pid, w));
-    if (progress) workers.push({ workerId: w, ...progress });
-  }
-  // Also check legacy key (for backward compatibility)
-  const legacy = liveProgress.get(`unified_${pid}`);
-  if (legacy && workers.length === 0) {
-    return legacy;
+
+  const workers = indexer.getAllWorkersProgress()
+    .map(({ workerId: w, ...progress }) => toUnifiedProgress(pid, w, progress));
+  if (workers.length === 0) {
+    // Single-checkpoint run (manual trigger / legacy auto-run)
+    return toUnifiedProgress(pid, null, indexer.getLiveProgress());
   }
-  if (workers.length === 0) return null;
-  
+
   // Aggregate worker progress
   const aggregated = {
     isRunning: workers.some(w => w.isRunning),
@@ -98,62 +123,13 @@ export function getUnifiedLiveProgress(pid, workerId = null) {
 
 export function getAllUnifiedLiveProgress() {
   const result = [];
-  // Group by pool ID
-  const poolIds = new Set();
-  for (const key of liveProgress.keys()) {
-    const match = key.match(/unified_(\d+)(?:_w\d+)?$/);
-    if (match) poolIds.add(parseInt(match[1]));
-  }
-  for (const pid of Array.from(poolIds).sort((a, b) => a - b)) {
+  for (const pid of ALL_POOL_IDS) {
     const progress = getUnifiedLiveProgress(pid);
     if (progress) result.push({ pid, ...progress });
   }
   return result;
 }
 
-function updateLiveProgress(pid, updates, workerId = 0) {
-  const key = getWorkerKey(pid, workerId);
-  const current = liveProgress.get(key) || {
-    isRunning: false,
-    currentBlock: 0,
-    targetBlock: 0,
-    genesisBlock: 0,
-    rangeStart: 0,
-    rangeEnd: 0,
-    stakersFound: 0,
-    swapsFound: 0,
-    rewardsFound: 0,
-    batchesCompleted: 0,
-    startedAt: null,
-    lastBatchAt: null,
-    percentComplete: 0,
-    completedAt: null,
-    workerId,
-  };
-  const updated = { ...current, ...updates, workerId };
-  // Calculate percent complete within this worker's assigned range
-  if (updates.percentComplete === undefined && updated.rangeEnd > updated.rangeStart) {
-    const totalBlocks = updated.rangeEnd - updated.rangeStart;
-    const indexedBlocks = updated.currentBlock - updated.rangeStart;
-    updated.percentComplete = Math.min(100, Math.max(0, (indexedBlocks / totalBlocks) * 100));
-  }
-  liveProgress.set(key, updated);
-  return updated;
-}
-
-function clearLiveProgress(pid, workerId = null) {
-  if (workerId !== null) {
-    liveProgress.delete(getWorkerKey(pid, workerId));
-  } else {
-    // Clear all workers for this pool
-    for (let w = 0; w < WORKERS_PER_POOL; w++) {
-      liveProgress.delete(getWorkerKey(pid, w));
-    }
-    // Also clear legacy key
-    liveProgress.delete(`unified_${pid}`);
-  }
-}
-
 let providerInstance = null;
 let gardenerContractInstance = null;
 let profilesContractInstance = null;
@@ -161,7 +137,7 @@ const lpContractCache = new Map();
 
 export function getProvider() {
   if (!providerInstance) {
-    providerInstance = new ethers.JsonRpcProvider(DFK_CHAIN_RPC);
+    providerInstance = getChainProvider('dfk');
   }
   return providerInstance;
 }
@@ -248,13 +224,14 @@ export async function getCurrentStakedBalance(pid, wallet) {
 }
 
 export function getUnifiedIndexerName(pid, workerId = null) {
-  if (workerId !== null && workerId > 0) {
+  if (workerId !== null) {
     return `unified_pool_${pid}_w${workerId}`;
   }
   return `unified_pool_${pid}`;
 }
 
 export async function getUnifiedIndexerProgress(indexerName) {
+  await ensureProgressColumns();
   const [progress] = await db.select()
     .from(poolEventIndexerProgress)
     .where(eq(poolEventIndexerProgress.indexerName, indexerName))
@@ -263,22 +240,9 @@ export async function getUnifiedIndexerProgress(indexerName) {
 }
 
 export async function initUnifiedIndexerProgress(indexerName, pid, lpToken, genesisBlock = DFK_GENESIS_BLOCK, rangeEnd = null) {
-  const existing = await getUnifiedIndexerProgress(indexerName);
+  const existing = await getPoolIndexer(pid).getCheckpoint(indexerName);
   if (existing) return existing;
-  
-  await db.insert(poolEventIndexerProgress).values({
-    indexerName,
-    indexerType: 'unified',
-    pid,
-    lpToken,
-    lastIndexedBlock: genesisBlock,
-    genesisBlock,
-    rangeEnd: rangeEnd || null, // Worker's assigned end block (null = track to latest)
-    status: 'idle',
-    totalEventsIndexed: 0,
-  });
-  
-  return getUnifiedIndexerProgress(indexerName);
+  return getPoolIndexer(pid).initCheckpoint(indexerName, genesisBlock, rangeEnd);
 }
 
 export async function updateUnifiedIndexerProgress(indexerName, updates) {
@@ -288,59 +252,13 @@ export async function updateUnifiedIndexerProgress(indexerName, updates) {
 }
 
 export async function getAllUnifiedIndexerProgress() {
+  await ensureProgressColumns();
   return db.select()
     .from(poolEventIndexerProgress)
     .where(eq(poolEventIndexerProgress.indexerType, 'unified'))
     .orderBy(poolEventIndexerProgress.pid);
 }
 
-async function queryEventsInChunks(contract, filter, fromBlock, toBlock, maxChunkSize = BLOCKS_PER_QUERY) {
-  const allEvents = [];
-  
-  if (toBlock - fromBlock <= maxChunkSize) {
-    try {
-      return await contract.queryFilter(filter, fromBlock, toBlock);
-    } catch (err) {
-      console.error(`[UnifiedIndexer] Error querying events ${fromBlock}-${toBlock}:`, err.message);
-      return [];
-    }
-  }
-  
-  for (let start = fromBlock; start <= toBlock; start += maxChunkSize) {
-    const end = Math.min(start + maxChunkSize - 1, toBlock);
-    try {
-      const events = await contract.queryFilter(filter, start, end);
-      allEvents.push(...events);
-    } catch (err) {
-      console.error(`[UnifiedIndexer] Error querying events ${start}-${end}:`, err.message);
-    }
-    await new Promise(r => setTimeout(r, 50));
-  }
-  
-  return allEvents;
-}
-
-export async function indexAllPoolEvents(pid, lpToken, fromBlock, toBlock) {
-  const gardenerContract = getGardenerContract();
-  const lpContract = getLPContract(lpToken);
-  
-  const [depositEvents, withdrawEvents, emergencyEvents, harvestEvents, swapEvents] = await Promise.all([
-    queryEventsInChunks(gardenerContract, gardenerContract.filters.Deposit(null, pid), fromBlock, toBlock),
-    queryEventsInChunks(gardenerContract, gardenerContract.filters.Withdraw(null, pid), fromBlock, toBlock),
-    queryEventsInChunks(gardenerContract, gardenerContract.filters.EmergencyWithdraw(null, pid), fromBlock, toBlock),
-    queryEventsInChunks(gardenerContract, gardenerContract.filters.Harvest(null, pid), fromBlock, toBlock),
-    queryEventsInChunks(lpContract, lpContract.filters.Swap(), fromBlock, toBlock),
-  ]);
-  
-  return {
-    deposits: depositEvents.map(e => ({ ...e, eventType: 'Deposit' })),
-    withdraws: withdrawEvents.map(e => ({ ...e, eventType: 'Withdraw' })),
-    emergencyWithdraws: emergencyEvents.map(e => ({ ...e, eventType: 'EmergencyWithdraw' })),
-    harvests: harvestEvents,
-    swaps: swapEvents,
-  };
-}
-
 async function saveStakerUpdates(pid, stakerUpdates) {
   if (!stakerUpdates || stakerUpdates.length === 0) return { upserted: 0 };
   
@@ -381,6 +299,8 @@ async function saveStakerUpdates(pid, stakerUpdates) {
 async function saveSwapEvents(pid, lpToken, events) {
   if (!events || events.length === 0) return { saved: 0 };
   
+  await ensureReorgTables();
+  
   const provider = getProvider();
   let saved = 0;
   
@@ -393,6 +313,7 @@ async function saveSwapEvents(pid, lpToken, events) {
         pid,
         lpToken: lpToken.toLowerCase(),
         blockNumber: event.blockNumber,
+        blockHash: block?.hash || event.blockHash || null,
         txHash: event.transactionHash,
         logIndex: event.index,
         sender: event.args.sender.toLowerCase(),
@@ -447,224 +368,204 @@ async function saveRewardEvents(pid, events) {
   return { saved };
 }
 
-const runningWorkers = new Map();
+const STAKER_EVENT_TYPES = new Set(['Deposit', 'Withdraw', 'EmergencyWithdraw']);
 
-export function isUnifiedWorkerRunning(indexerName) {
-  return runningWorkers.get(indexerName) === true;
+// Checkpoint columns the runtime needs on databases created before it existed
+let progressColumnsReady = false;
+
+async function ensureProgressColumns() {
+  if (progressColumnsReady) return;
+  await db.execute(sql`ALTER TABLE pool_event_indexer_progress ADD COLUMN IF NOT EXISTS range_start BIGINT`);
+  await db.execute(sql`ALTER TABLE pool_event_indexer_progress ADD COLUMN IF NOT EXISTS last_indexed_block_hash TEXT`);
+  progressColumnsReady = true;
 }
 
-export async function runUnifiedIncrementalBatch(pid, options = {}) {
-  const {
-    batchSize = INCREMENTAL_BATCH_SIZE,
-    lookupSummonerNames = true,
-    workerId = 0,
-    rangeStart = null, // Worker's assigned start block
-    rangeEnd = null,   // Worker's assigned end block (null = track to latest)
-  } = options;
-  
-  const indexerName = getUnifiedIndexerName(pid, workerId);
-  
-  if (runningWorkers.get(indexerName)) {
-    console.log(`[UnifiedIndexer] Indexer ${indexerName} already running, skipping...`);
-    return { status: 'already_running' };
-  }
-  
-  runningWorkers.set(indexerName, true);
-  const startTime = Date.now();
-  
-  try {
-    const lpToken = await getPoolLPToken(pid);
-    if (!lpToken) {
-      runningWorkers.set(indexerName, false);
-      return { status: 'error', error: 'Could not get LP token address' };
-    }
-    
-    // Worker's genesis is either specified rangeStart or default
-    const workerGenesisBlock = rangeStart !== null ? rangeStart : DFK_GENESIS_BLOCK;
-    let progress = await initUnifiedIndexerProgress(indexerName, pid, lpToken, workerGenesisBlock, rangeEnd);
-    const latestBlock = await getLatestBlock();
-    
-    // Worker's target is either its assigned rangeEnd or latest block
-    const workerTargetBlock = (progress.rangeEnd !== null && progress.rangeEnd !== undefined) 
-      ? Math.min(progress.rangeEnd, latestBlock) 
-      : latestBlock;
-    
-    const startBlock = progress.lastIndexedBlock;
-    const endBlock = Math.min(startBlock + batchSize, workerTargetBlock);
-    
-    const existingLive = getUnifiedLiveProgress(pid, workerId);
-    const dbGenesisBlock = progress.genesisBlock || 0;
-    updateLiveProgress(pid, {
-      isRunning: true,
-      currentBlock: startBlock,
-      targetBlock: workerTargetBlock,
-      genesisBlock: dbGenesisBlock,
-      rangeStart: workerGenesisBlock,
-      rangeEnd: workerTargetBlock,
-      stakersFound: existingLive?.stakersFound || 0,
-      swapsFound: existingLive?.swapsFound || 0,
-      rewardsFound: existingLive?.rewardsFound || 0,
-      batchesCompleted: existingLive?.batchesCompleted || 0,
-      startedAt: existingLive?.startedAt || new Date().toISOString(),
-      lastBatchAt: null,
-    }, workerId);
-    
-    if (startBlock >= workerTargetBlock) {
-      runningWorkers.set(indexerName, false);
-      updateLiveProgress(pid, { 
-        isRunning: false, 
-        currentBlock: workerTargetBlock,
-        targetBlock: workerTargetBlock,
-        percentComplete: 100,
-        completedAt: new Date().toISOString(),
-      }, workerId);
-      return {
-        status: 'complete',
-        message: workerId > 0 ? `Worker ${workerId} reached assigned range end` : 'Already at latest block',
-        startBlock,
-        endBlock: startBlock,
-        latestBlock,
-        workerTargetBlock,
-        workerId,
-        runtimeMs: Date.now() - startTime,
-      };
-    }
-    
-    const workerLabel = workerId > 0 ? ` (w${workerId})` : '';
-    console.log(`[UnifiedIndexer] Pool ${pid}${workerLabel}: Indexing blocks ${startBlock} to ${endBlock} (${endBlock - startBlock} blocks)`);
-    
-    await updateUnifiedIndexerProgress(indexerName, { status: 'running' });
-    
-    const events = await indexAllPoolEvents(pid, lpToken, startBlock, endBlock);
-    
-    const stakerEvents = [...events.deposits, ...events.withdraws, ...events.emergencyWithdraws];
-    const walletLastActivity = new Map();
-    
-    for (const event of stakerEvents) {
-      const wallet = event.args.user.toLowerCase();
-      const existing = walletLastActivity.get(wallet);
-      
-      if (!existing || event.blockNumber > existing.blockNumber) {
-        walletLastActivity.set(wallet, {
-          wallet,
-          eventType: event.eventType,
-          amount: ethers.formatEther(event.args.amount),
-          blockNumber: event.blockNumber,
-          txHash: event.transactionHash,
-        });
-      }
-    }
-    
-    const wallets = Array.from(walletLastActivity.keys());
-    
-    let summonerNames = new Map();
-    if (lookupSummonerNames && wallets.length > 0) {
-      console.log(`[UnifiedIndexer] Pool ${pid}: Looking up summoner names for ${wallets.length} wallets...`);
-      summonerNames = await batchGetSummonerNames(wallets, 10);
-    }
-    
-    const stakerUpdates = [];
-    for (const wallet of wallets) {
-      const currentBalance = await getCurrentStakedBalance(pid, wallet);
-      const activity = walletLastActivity.get(wallet);
-      
-      stakerUpdates.push({
+// Staker upserts, swaps and harvests for one chunk of pool events
+async function savePoolChunk(pid, lpToken, records, { lookupSummonerNames = true } = {}) {
+  const stakerEvents = records.filter(r => STAKER_EVENT_TYPES.has(r.eventType));
+  const swaps = records.filter(r => r.eventType === 'Swap');
+  const harvests = records.filter(r => r.eventType === 'Harvest');
+
+  const walletLastActivity = new Map();
+  for (const event of stakerEvents) {
+    const wallet = event.args.user.toLowerCase();
+    const existing = walletLastActivity.get(wallet);
+
+    if (!existing || event.blockNumber > existing.blockNumber) {
+      walletLastActivity.set(wallet, {
         wallet,
-        stakedLP: currentBalance,
-        summonerName: summonerNames.get(wallet) || null,
-        lastActivityType: activity.eventType,
-        lastActivityAmount: activity.amount,
-        lastActivityBlock: activity.blockNumber,
-        lastActivityTxHash: activity.txHash,
+        eventType: event.eventType,
+        amount: ethers.formatEther(event.args.amount),
+        blockNumber: event.blockNumber,
+        txHash: event.transactionHash,
       });
-      
-      await new Promise(r => setTimeout(r, 20));
     }
-    
-    const [stakerResult, swapResult, rewardResult] = await Promise.all([
-      saveStakerUpdates(pid, stakerUpdates),
-      saveSwapEvents(pid, lpToken, events.swaps),
-      saveRewardEvents(pid, events.harvests),
-    ]);
-    
-    const runtimeMs = Date.now() - startTime;
-    const totalEvents = stakerEvents.length + events.swaps.length + events.harvests.length;
-    const totalEventsIndexed = (progress.totalEventsIndexed || 0) + totalEvents;
-    
-    const uniqueStakersResult = await db.select({ count: sql`count(*)::int` })
-      .from(poolStakers)
-      .where(and(
-        eq(poolStakers.pid, pid),
-        sql`CAST(${poolStakers.stakedLP} AS NUMERIC) > 0`
-      ));
-    const totalStakers = uniqueStakersResult[0]?.count || 0;
-    
-    await updateUnifiedIndexerProgress(indexerName, {
-      lastIndexedBlock: endBlock,
-      totalEventsIndexed,
-      status: endBlock >= latestBlock ? 'complete' : 'idle',
-    });
-    
-    const currentLive = getUnifiedLiveProgress(pid, workerId);
-    const workerTarget = (progress.rangeEnd !== null && progress.rangeEnd !== undefined) 
-      ? Math.min(progress.rangeEnd, latestBlock) 
-      : latestBlock;
-    const caughtUp = endBlock >= workerTarget;
-    updateLiveProgress(pid, {
-      isRunning: isUnifiedAutoRunning(pid, workerId) && !caughtUp,
-      currentBlock: endBlock,
-      targetBlock: workerTarget,
-      stakersFound: (currentLive?.stakersFound || 0) + stakerResult.upserted,
-      swapsFound: (currentLive?.swapsFound || 0) + swapResult.saved,
-      rewardsFound: (currentLive?.rewardsFound || 0) + rewardResult.saved,
-      batchesCompleted: (currentLive?.batchesCompleted || 0) + 1,
-      lastBatchAt: new Date().toISOString(),
-      percentComplete: caughtUp ? 100 : undefined,
-      completedAt: caughtUp ? new Date().toISOString() : currentLive?.completedAt,
-    }, workerId);
-    
-    console.log(`[UnifiedIndexer] Pool ${pid}${workerLabel}: ${stakerEvents.length} staker events, ${events.swaps.length} swaps, ${events.harvests.length} rewards in ${(runtimeMs / 1000).toFixed(1)}s`);
-    
-    runningWorkers.set(indexerName, false);
-    
-    return {
-      status: 'success',
-      pid,
-      startBlock,
-      endBlock,
-      latestBlock,
-      blocksRemaining: latestBlock - endBlock,
-      stakerEvents: stakerEvents.length,
-      stakersUpdated: stakerResult.upserted,
-      totalActiveStakers: totalStakers,
-      swapsFound: events.swaps.length,
-      swapsSaved: swapResult.saved,
-      rewardsFound: events.harvests.length,
-      rewardsSaved: rewardResult.saved,
-      runtimeMs,
-    };
-  } catch (error) {
-    runningWorkers.set(indexerName, false);
-    const workerLabel = workerId > 0 ? ` (w${workerId})` : '';
-    console.error(`[UnifiedIndexer] Pool ${pid}${workerLabel} error:`, error);
-    
-    await updateUnifiedIndexerProgress(indexerName, {
-      status: 'error',
-      lastError: error.message,
+  }
+
+  const wallets = Array.from(walletLastActivity.keys());
+
+  let summonerNames = new Map();
+  if (lookupSummonerNames && wallets.length > 0) {
+    console.log(`[UnifiedIndexer] Pool ${pid}: Looking up summoner names for ${wallets.length} wallets...`);
+    summonerNames = await batchGetSummonerNames(wallets, 10);
+  }
+
+  const stakerUpdates = [];
+  for (const wallet of wallets) {
+    const currentBalance = await getCurrentStakedBalance(pid, wallet);
+    const activity = walletLastActivity.get(wallet);
+
+    stakerUpdates.push({
+      wallet,
+      stakedLP: currentBalance,
+      summonerName: summonerNames.get(wallet) || null,
+      lastActivityType: activity.eventType,
+      lastActivityAmount: activity.amount,
+      lastActivityBlock: activity.blockNumber,
+      lastActivityTxHash: activity.txHash,
     });
-    
-    updateLiveProgress(pid, {
-      isRunning: false,
-      lastError: error.message,
-    }, workerId);
-    
-    return {
-      status: 'error',
-      error: error.message,
-      workerId,
-      runtimeMs: Date.now() - startTime,
-    };
+
+    await new Promise(r => setTimeout(r, 20));
+  }
+
+  const [stakerResult, swapResult, rewardResult] = await Promise.all([
+    saveStakerUpdates(pid, stakerUpdates),
+    saveSwapEvents(pid, lpToken, swaps),
+    saveRewardEvents(pid, harvests),
+  ]);
+
+  return { wallets, stakerResult, swapResult, rewardResult };
+}
+
+/**
+ * Runtime indexer for one Master Gardener V2 pool: staking events for the pid
+ * plus Swap events on the pool's LP pair. Checkpoints stay in
+ * pool_event_indexer_progress (unified_pool_<pid>, workers unified_pool_<pid>_w<n>).
+ */
+const poolIndexers = new Map();
+
+export function getPoolIndexer(pid) {
+  if (poolIndexers.has(pid)) return poolIndexers.get(pid);
+
+  const gardenerIface = new ethers.Interface(MASTER_GARDENER_ABI);
+  const lpIface = new ethers.Interface(LP_PAIR_ABI);
+  const pidTopic = ethers.zeroPadValue(ethers.toBeHex(pid), 32);
+
+  const indexer = defineIndexer({
+    name: getUnifiedIndexerName(pid),
+    label: `Pool ${pid} (unified)`,
+    chain: 'dfk',
+    getProvider,
+    abi: [...MASTER_GARDENER_ABI, ...LP_PAIR_ABI].filter(item => typeof item === 'string' && item.startsWith('event')),
+    async filters() {
+      const lpToken = await getPoolLPToken(pid);
+      if (!lpToken) {
+        throw new Error('Could not get LP token address');
+      }
+      return [
+        {
+          address: MASTER_GARDENER_V2,
+          topics: [
+            ['Deposit', 'Withdraw', 'EmergencyWithdraw', 'Harvest'].map(name => gardenerIface.getEvent(name).topicHash),
+            null,
+            pidTopic,
+          ],
+        },
+        { address: lpToken, topics: [lpIface.getEvent('Swap').topicHash] },
+      ];
+    },
+    genesisBlock: DFK_GENESIS_BLOCK,
+    blocksPerQuery: BLOCKS_PER_QUERY,
+    batchSize: INCREMENTAL_BATCH_SIZE,
+    intervalMs: AUTO_RUN_INTERVAL_MS,
+    workers: WORKERS_PER_POOL,
+    minWorkers: MIN_WORKERS_PER_POOL,
+    workerPrefix: `${getUnifiedIndexerName(pid)}_w`,
+    checkpointTable: poolEventIndexerProgress,
+    async checkpointDefaults() {
+      return { indexerType: 'unified', pid, lpToken: await getPoolLPToken(pid) };
+    },
+    eventTables: [
+      { table: 'pool_swap_events', where: sql`pid = ${pid}` },
+      { table: 'pool_reward_events', where: sql`pid = ${pid}` },
+    ],
+    logTag: `[UnifiedIndexer] Pool ${pid}`,
+    setup: ensureProgressColumns,
+    decode(event, log) {
+      return {
+        eventType: event.name,
+        args: event.args,
+        blockNumber: log.blockNumber,
+        blockHash: log.blockHash,
+        transactionHash: log.transactionHash,
+        index: log.index,
+      };
+    },
+    async sink(records, ctx) {
+      const lpToken = await getPoolLPToken(pid);
+      const { wallets, swapResult, rewardResult } = await savePoolChunk(pid, lpToken, records);
+      addTypeCounts(pid, ctx.workerId, { swapsFound: swapResult.saved, rewardsFound: rewardResult.saved });
+      return { entities: wallets };
+    },
+  });
+  poolIndexers.set(pid, indexer);
+  return indexer;
+}
+
+export function isUnifiedWorkerRunning(indexerName) {
+  const match = indexerName.match(/^unified_pool_(\d+)(?:_w(\d+))?$/);
+  if (!match) return false;
+  const indexer = getPoolIndexer(parseInt(match[1]));
+  const progress = match[2] !== undefined
+    ? indexer.getWorkerProgress(parseInt(match[2]))
+    : indexer.getLiveProgress();
+  return !!progress?.isRunning;
+}
+
+// Index the next batch for a pool. Without workerId this advances the pool's main
+// checkpoint (manual trigger); with workerId it runs that worker's assigned range.
+export async function runUnifiedIncrementalBatch(pid, options = {}) {
+  const { batchSize = INCREMENTAL_BATCH_SIZE, workerId = null } = options;
+  const indexer = getPoolIndexer(pid);
+  const startTime = Date.now();
+
+  if (workerId !== null) {
+    const result = await indexer.runWorkerBatch(workerId, { batchSize });
+    return { ...result, pid, workerId, runtimeMs: Date.now() - startTime };
+  }
+
+  const result = await indexer.runIncremental({ batchSize });
+  if (!result.success) {
+    if (result.message === 'Already running') {
+      return { status: 'already_running' };
+    }
+    return { status: 'error', error: result.error, runtimeMs: Date.now() - startTime };
   }
+  if (!result.targetBlock) {
+    return { status: 'complete', message: 'Already at latest block', pid, runtimeMs: Date.now() - startTime };
+  }
+
+  const counts = typeCounts.get(getCountKey(pid)) || { swapsFound: 0, rewardsFound: 0 };
+  const uniqueStakersResult = await db.select({ count: sql`count(*)::int` })
+    .from(poolStakers)
+    .where(and(
+      eq(poolStakers.pid, pid),
+      sql`CAST(${poolStakers.stakedLP} AS NUMERIC) > 0`
+    ));
+
+  return {
+    status: 'success',
+    pid,
+    endBlock: result.targetBlock,
+    latestBlock: result.safeBlock,
+    blocksRemaining: result.safeBlock - result.targetBlock,
+    eventsFound: result.eventsFound,
+    stakersUpdated: result.entitiesFound,
+    totalActiveStakers: uniqueStakersResult[0]?.count || 0,
+    swapsSaved: counts.swapsFound,
+    rewardsSaved: counts.rewardsFound,
+    runtimeMs: Date.now() - startTime,
+  };
 }
 
 export async function getPoolStakersFromDB(pid, limit = 500) {
@@ -725,16 +626,12 @@ export async function updateSummonerNamesForPool(pid, batchSize = 50) {
 }
 
 export async function resetUnifiedIndexerProgress(pid) {
-  // Delete progress for all workers of this pool
-  for (let w = 0; w < WORKERS_PER_POOL; w++) {
-    const indexerName = getUnifiedIndexerName(pid, w);
-    await db.delete(poolEventIndexerProgress)
-      .where(eq(poolEventIndexerProgress.indexerName, indexerName));
-  }
-  // Also delete legacy single-worker progress
-  const legacyName = getUnifiedIndexerName(pid, null);
+  // Delete progress for the pool and all of its workers
   await db.delete(poolEventIndexerProgress)
-    .where(eq(poolEventIndexerProgress.indexerName, legacyName));
+    .where(and(
+      eq(poolEventIndexerProgress.pid, pid),
+      eq(poolEventIndexerProgress.indexerType, 'unified')
+    ));
   
   await db.delete(poolStakers)
     .where(eq(poolStakers.pid, pid));
@@ -745,445 +642,118 @@ export async function resetUnifiedIndexerProgress(pid) {
   await db.delete(poolRewardEvents)
     .where(eq(poolRewardEvents.pid, pid));
   
-  clearLiveProgress(pid);
+  clearTypeCounts(pid);
   
   console.log(`[UnifiedIndexer] Reset unified indexer for pool ${pid} (all workers)`);
   return { reset: true };
 }
 
-const autoRunIntervals = new Map();
-
-// Generate key for auto-run interval map
-function getAutoRunKey(pid, workerId = 0) {
-  return `unified_${pid}_w${workerId}`;
-}
-
-// Track donors currently being stolen from (prevents race conditions)
-// Reservations are explicitly released after steal completes; timeout is only a failsafe for crashes
-const donorReservations = new Map(); // key: "pid_workerId" -> timestamp
-
-// Work-stealing: Find work from slowest worker in the same pool
-// Returns { donorWorkerId, newRangeStart, newRangeEnd } or null if no work available
-// Uses reservation system to prevent race conditions
-function findWorkToSteal(pid, thiefWorkerId) {
-  const MIN_BLOCKS_TO_STEAL = 500000; // Don't steal less than 500k blocks
-  const RESERVATION_TIMEOUT_MS = 60000; // Failsafe: reservations expire after 60s if not released
-  
-  let bestDonor = null;
-  let maxRemainingBlocks = 0;
-  const now = Date.now();
-  
-  // Check all other workers in this pool
-  for (let w = 0; w < WORKERS_PER_POOL; w++) {
-    if (w === thiefWorkerId) continue;
-    
-    const key = getAutoRunKey(pid, w);
-    const workerInfo = autoRunIntervals.get(key);
-    if (!workerInfo) continue;
-    
-    // Check if this donor is already reserved (race condition prevention)
-    const reservationKey = `${pid}_${w}`;
-    const reservedAt = donorReservations.get(reservationKey);
-    if (reservedAt && (now - reservedAt) < RESERVATION_TIMEOUT_MS) {
-      continue; // Skip reserved donors
-    }
-    
-    const progress = liveProgress.get(getWorkerKey(pid, w));
-    if (!progress || progress.completedAt) continue; // Skip completed workers
-    
-    const currentBlock = progress.currentBlock || workerInfo.rangeStart || 0;
-    const targetBlock = progress.targetBlock || workerInfo.rangeEnd;
-    
-    if (!targetBlock) continue; // Skip workers tracking to latest (they should finish last)
-    
-    const remainingBlocks = targetBlock - currentBlock;
-    
-    if (remainingBlocks > maxRemainingBlocks && remainingBlocks > MIN_BLOCKS_TO_STEAL * 2) {
-      maxRemainingBlocks = remainingBlocks;
-      bestDonor = {
-        workerId: w,
-        currentBlock,
-        targetBlock,
-        remainingBlocks,
-      };
-    }
-  }
-  
-  if (!bestDonor) return null;
-  
-  // Reserve this donor immediately to prevent race conditions
-  const reservationKey = `${pid}_${bestDonor.workerId}`;
-  donorReservations.set(reservationKey, now);
-  
-  // Steal half the remaining work from the donor
-  const blocksToSteal = Math.floor(bestDonor.remainingBlocks / 2);
-  if (blocksToSteal < MIN_BLOCKS_TO_STEAL) {
-    donorReservations.delete(reservationKey); // Release reservation
-    return null;
-  }
-  
-  const newRangeStart = bestDonor.targetBlock - blocksToSteal;
-  const newRangeEnd = bestDonor.targetBlock;
-  
-  return {
-    donorWorkerId: bestDonor.workerId,
-    donorCurrentBlock: bestDonor.currentBlock,
-    newDonorRangeEnd: newRangeStart, // Donor's new end (reduced)
-    newRangeStart,
-    newRangeEnd,
-    blocksStolen: blocksToSteal,
-    reservationKey, // Used to release reservation after completion
-  };
-}
-
-// Release a donor reservation after work-stealing is complete
-function releaseDonorReservation(reservationKey) {
-  donorReservations.delete(reservationKey);
-}
-
-// Reassign a worker's range (used for work-stealing)
-async function reassignWorkerRange(pid, workerId, newRangeStart, newRangeEnd) {
-  const key = getAutoRunKey(pid, workerId);
-  const workerInfo = autoRunIntervals.get(key);
-  if (!workerInfo) return false;
-  
-  // Update the worker info
-  workerInfo.rangeStart = newRangeStart;
-  workerInfo.rangeEnd = newRangeEnd;
-  
-  // Reset progress for this worker with new range
-  const indexerName = getUnifiedIndexerName(pid, workerId);
-  await db.update(poolEventIndexerProgress)
-    .set({
-      lastIndexedBlock: newRangeStart,
-      rangeStart: newRangeStart,
-      rangeEnd: newRangeEnd,
-      status: 'running',
-    })
-    .where(eq(poolEventIndexerProgress.indexerName, indexerName));
-  
-  // Update live progress
-  updateLiveProgress(pid, {
-    isRunning: true,
-    currentBlock: newRangeStart,
-    targetBlock: newRangeEnd,
-    rangeStart: newRangeStart,
-    rangeEnd: newRangeEnd,
-    percentComplete: 0,
-    completedAt: null,
-  }, workerId);
-  
-  return true;
-}
-
-// Shrink a donor worker's range after work was stolen
-async function shrinkWorkerRange(pid, workerId, newRangeEnd) {
-  const key = getAutoRunKey(pid, workerId);
-  const workerInfo = autoRunIntervals.get(key);
-  if (!workerInfo) return false;
-  
-  workerInfo.rangeEnd = newRangeEnd;
-  
-  // Update DB progress
-  const indexerName = getUnifiedIndexerName(pid, workerId);
-  await db.update(poolEventIndexerProgress)
-    .set({ rangeEnd: newRangeEnd })
-    .where(eq(poolEventIndexerProgress.indexerName, indexerName));
-  
-  // Update live progress target
-  const progress = liveProgress.get(getWorkerKey(pid, workerId));
-  if (progress) {
-    updateLiveProgress(pid, {
-      targetBlock: newRangeEnd,
-      rangeEnd: newRangeEnd,
-    }, workerId);
-  }
-  
-  return true;
-}
-
 export function isUnifiedAutoRunning(pid, workerId = null) {
+  const indexer = getPoolIndexer(pid);
   if (workerId !== null) {
-    return autoRunIntervals.has(getAutoRunKey(pid, workerId));
+    return indexer.getWorkersStatus().workers.some(w => w.workerId === workerId && w.isRunning);
   }
-  // Check if any worker is running for this pool
-  for (let w = 0; w < WORKERS_PER_POOL; w++) {
-    if (autoRunIntervals.has(getAutoRunKey(pid, w))) return true;
-  }
-  return false;
+  return indexer.isAutoRunning();
 }
 
 export function getUnifiedAutoRunStatus() {
   const status = [];
-  for (const [key, info] of autoRunIntervals.entries()) {
-    const match = key.match(/unified_(\d+)_w(\d+)/);
-    if (match) {
-      const pid = parseInt(match[1]);
+  for (const pid of ALL_POOL_IDS) {
+    for (const worker of getPoolIndexer(pid).getWorkersStatus().workers) {
+      if (!worker.isRunning) continue;
       status.push({
         pid,
-        workerId: parseInt(match[2]),
-        intervalMs: info.intervalMs,
-        startedAt: info.startedAt,
-        lastRunAt: info.lastRunAt,
-        runsCompleted: info.runsCompleted,
-        rangeStart: info.rangeStart,
-        rangeEnd: info.rangeEnd,
+        workerId: worker.workerId,
+        intervalMs: worker.intervalMs,
+        startedAt: worker.startedAt,
+        lastRunAt: worker.lastRunAt,
+        runsCompleted: worker.runsCompleted,
+        rangeStart: worker.rangeStart,
+        rangeEnd: worker.rangeEnd,
       });
     }
   }
-  return status.sort((a, b) => a.pid === b.pid ? a.workerId - b.workerId : a.pid - b.pid);
+  return status;
 }
 
 // Get actual worker count for a pool (may differ from WORKERS_PER_POOL due to RPC failsafe)
 export function getPoolWorkerCount(pid) {
-  return poolWorkerCounts.get(pid) || 0;
+  return getPoolIndexer(pid).getWorkersStatus().activeWorkers;
 }
 
 // Get summary of actual workers per pool
 export function getPoolWorkerCountSummary() {
   const summary = {};
-  for (const [pid, count] of poolWorkerCounts.entries()) {
-    summary[pid] = count;
+  for (const pid of ALL_POOL_IDS) {
+    const count = getPoolWorkerCount(pid);
+    if (count > 0) summary[pid] = count;
   }
   return {
     maxWorkersPerPool: WORKERS_PER_POOL,
     minWorkersPerPool: MIN_WORKERS_PER_POOL,
     poolCounts: summary,
-    totalWorkers: Array.from(poolWorkerCounts.values()).reduce((sum, c) => sum + c, 0),
-  };
-}
-
-// Start a single worker for a pool with specific block range
-export async function startUnifiedWorkerAutoRun(pid, workerId, rangeStart, rangeEnd, intervalMs = AUTO_RUN_INTERVAL_MS) {
-  const key = getAutoRunKey(pid, workerId);
-  if (autoRunIntervals.has(key)) {
-    console.log(`[UnifiedIndexer] Worker ${workerId} already running for pool ${pid}`);
-    return { status: 'already_running', pid, workerId };
-  }
-  
-  const workerLabel = `pool ${pid} worker ${workerId}`;
-  console.log(`[UnifiedIndexer] Starting ${workerLabel} (blocks ${rangeStart}-${rangeEnd || 'latest'}, interval: ${intervalMs / 1000}s)`);
-  
-  clearLiveProgress(pid, workerId);
-  
-  const info = {
-    intervalMs,
-    workerId,
-    rangeStart,
-    rangeEnd,
-    startedAt: new Date().toISOString(),
-    lastRunAt: null,
-    runsCompleted: 0,
-    interval: null,
+    totalWorkers: Object.values(summary).reduce((sum, c) => sum + c, 0),
   };
-  
-  autoRunIntervals.set(key, info);
-  
-  // Calculate offset to stagger workers (distributes up to 70 workers across the interval period)
-  // Each worker starts at a different time offset to avoid RPC saturation
-  const totalPools = 14; // ALL_POOL_IDS.length
-  const maxTotalWorkers = totalPools * WORKERS_PER_POOL; // 70 max (14 pools × 5 workers)
-  const workerIndex = pid * WORKERS_PER_POOL + workerId; // 0-69
-  const offsetMs = Math.floor((workerIndex / maxTotalWorkers) * intervalMs); // Spread evenly
-  
-  // Run initial batch with offset delay
-  (async () => {
-    try {
-      // Wait for offset before initial batch
-      if (offsetMs > 0) {
-        await new Promise(r => setTimeout(r, offsetMs));
-      }
-      console.log(`[UnifiedIndexer] Initial batch for ${workerLabel} (offset ${(offsetMs/1000).toFixed(1)}s)`);
-      await runUnifiedIncrementalBatch(pid, { workerId, rangeStart, rangeEnd });
-      info.lastRunAt = new Date().toISOString();
-      info.runsCompleted++;
-    } catch (err) {
-      console.error(`[UnifiedIndexer] Initial error for ${workerLabel}:`, err.message);
-    }
-  })();
-  
-  // Set up recurring batch with same offset
-  info.interval = setInterval(async () => {
-    if (!autoRunIntervals.has(key)) return;
-    
-    // Read current range from info (may have been updated by work-stealing)
-    const currentRangeStart = info.rangeStart;
-    const currentRangeEnd = info.rangeEnd;
-    
-    try {
-      const result = await runUnifiedIncrementalBatch(pid, { 
-        workerId, 
-        rangeStart: currentRangeStart, 
-        rangeEnd: currentRangeEnd 
-      });
-      info.lastRunAt = new Date().toISOString();
-      info.runsCompleted++;
-      
-      if (result.status === 'complete') {
-        console.log(`[UnifiedIndexer] ${workerLabel} completed its range`);
-        
-        // Try to steal work from another worker in this pool
-        const stolen = findWorkToSteal(pid, workerId);
-        if (stolen) {
-          try {
-            console.log(`[UnifiedIndexer] ${workerLabel} stealing ${(stolen.blocksStolen / 1000000).toFixed(1)}M blocks from worker ${stolen.donorWorkerId}`);
-            
-            // Shrink the donor worker's range first (prevents overlap)
-            await shrinkWorkerRange(pid, stolen.donorWorkerId, stolen.newDonorRangeEnd);
-            
-            // Reassign this worker to the stolen range
-            await reassignWorkerRange(pid, workerId, stolen.newRangeStart, stolen.newRangeEnd);
-            
-            console.log(`[UnifiedIndexer] ${workerLabel} now working on blocks ${stolen.newRangeStart.toLocaleString()}-${stolen.newRangeEnd.toLocaleString()}`);
-          } finally {
-            // Always release the reservation
-            releaseDonorReservation(stolen.reservationKey);
-          }
-        }
-      }
-    } catch (err) {
-      console.error(`[UnifiedIndexer] Error for ${workerLabel}:`, err.message);
-    }
-  }, intervalMs);
-  
-  return { status: 'started', pid, workerId, rangeStart, rangeEnd, intervalMs, offsetMs };
 }
 
 // Start all workers for a single pool with RPC failsafe
 // Tries to start WORKERS_PER_POOL (5) workers, falls back to fewer on RPC failures (min: MIN_WORKERS_PER_POOL)
 export async function startPoolWorkersAutoRun(pid, intervalMs = AUTO_RUN_INTERVAL_MS, targetWorkers = WORKERS_PER_POOL) {
-  let workerCount = Math.min(targetWorkers, WORKERS_PER_POOL);
-  let latestBlock;
-  
-  // Try to get latest block with retry on failure
+  const indexer = getPoolIndexer(pid);
+
+  // The dashboard lists pools by their main checkpoint row
   try {
-    latestBlock = await getLatestBlock();
+    await initUnifiedIndexerProgress(getUnifiedIndexerName(pid), pid, null);
   } catch (err) {
-    console.error(`[UnifiedIndexer] Failed to get latest block for pool ${pid}:`, err.message);
-    // Retry with backoff
-    await new Promise(r => setTimeout(r, 2000));
-    try {
-      latestBlock = await getLatestBlock();
-    } catch (err2) {
-      console.error(`[UnifiedIndexer] RPC unavailable, cannot start pool ${pid}`);
-      return { status: 'rpc_failed', pid, error: err2.message };
-    }
+    console.error(`[UnifiedIndexer] Failed to init progress for pool ${pid}:`, err.message);
+    return { status: 'rpc_failed', pid, error: err.message };
   }
-  
-  const blocksPerWorker = Math.ceil(latestBlock / workerCount);
-  
-  console.log(`[UnifiedIndexer] Starting ${workerCount} workers for pool ${pid} (${blocksPerWorker.toLocaleString()} blocks each)`);
-  
-  const results = [];
-  let consecutiveFailures = 0;
-  const MAX_CONSECUTIVE_FAILURES = 2;
-  
-  for (let w = 0; w < workerCount; w++) {
-    const rangeStart = w * blocksPerWorker;
-    // Last worker tracks to latest, others have fixed end
-    const rangeEnd = (w === workerCount - 1) ? null : (w + 1) * blocksPerWorker;
-    
-    // Stagger worker starts by 500ms to avoid RPC burst
-    await new Promise(r => setTimeout(r, 500));
-    
-    try {
-      const result = await startUnifiedWorkerAutoRun(pid, w, rangeStart, rangeEnd, intervalMs);
-      results.push(result);
-      consecutiveFailures = 0; // Reset on success
-    } catch (err) {
-      consecutiveFailures++;
-      console.error(`[UnifiedIndexer] Worker ${w} failed to start for pool ${pid}:`, err.message);
-      
-      // If we hit consecutive failures and can reduce workers, restart with fewer
-      if (consecutiveFailures >= MAX_CONSECUTIVE_FAILURES && workerCount > MIN_WORKERS_PER_POOL) {
-        const newWorkerCount = workerCount - 1;
-        console.warn(`[UnifiedIndexer] RPC failsafe: Reducing pool ${pid} from ${workerCount} to ${newWorkerCount} workers`);
-        
-        // Stop all already-started workers for this pool and clear state
-        stopUnifiedAutoRun(pid); // Clears all workers and poolWorkerCounts for this pool
-        
-        // Retry with fewer workers after a short delay
-        await new Promise(r => setTimeout(r, 3000));
-        return startPoolWorkersAutoRun(pid, intervalMs, newWorkerCount);
-      }
-      
-      results.push({ status: 'failed', pid, workerId: w, error: err.message });
-    }
+
+  const result = await indexer.startWorkers({ intervalMs, targetWorkers });
+  if (result.status !== 'workers_started') {
+    return { ...result, pid };
   }
-  
-  const started = results.filter(r => r.status === 'started').length;
-  poolWorkerCounts.set(pid, started); // Track actual workers for this pool
-  
-  return { status: 'pool_started', pid, workersStarted: started, targetWorkers: workerCount, results };
+
+  return {
+    status: 'pool_started',
+    pid,
+    workersStarted: result.workersStarted,
+    targetWorkers: result.targetWorkers,
+    results: result.results.map(r => ({ ...r, pid })),
+  };
 }
 
 // Legacy single-worker start (for backward compatibility)
 export function startUnifiedAutoRun(pid, intervalMs = AUTO_RUN_INTERVAL_MS) {
-  return startUnifiedWorkerAutoRun(pid, 0, 0, null, intervalMs);
+  if (!getPoolIndexer(pid).startSingleAutoRun(intervalMs)) {
+    return { status: 'already_running', pid };
+  }
+  return { status: 'started', pid, intervalMs };
 }
 
-export function stopUnifiedAutoRun(pid, workerId = null) {
-  const stopped = [];
-  
-  if (workerId !== null) {
-    // Stop specific worker
-    const key = getAutoRunKey(pid, workerId);
-    const info = autoRunIntervals.get(key);
-    if (info) {
-      clearInterval(info.interval);
-      autoRunIntervals.delete(key);
-      clearLiveProgress(pid, workerId);
-      stopped.push({ pid, workerId, runsCompleted: info.runsCompleted });
-    }
-  } else {
-    // Stop all workers for this pool
-    for (let w = 0; w < WORKERS_PER_POOL; w++) {
-      const key = getAutoRunKey(pid, w);
-      const info = autoRunIntervals.get(key);
-      if (info) {
-        clearInterval(info.interval);
-        autoRunIntervals.delete(key);
-        clearLiveProgress(pid, w);
-        stopped.push({ pid, workerId: w, runsCompleted: info.runsCompleted });
-      }
-    }
-    // Clear the pool worker count when stopping all workers
-    poolWorkerCounts.delete(pid);
-  }
-  
-  if (stopped.length === 0) {
+// Stops every worker of the pool (and a single-checkpoint auto-run)
+export function stopUnifiedAutoRun(pid) {
+  const indexer = getPoolIndexer(pid);
+  const running = indexer.getWorkersStatus().workers.filter(w => w.isRunning);
+
+  if (!indexer.stopAutoRun()) {
     console.log(`[UnifiedIndexer] No workers active for pool ${pid}`);
     return { status: 'not_running', pid };
   }
-  
+
+  const stopped = running.map(w => ({ pid, workerId: w.workerId, runsCompleted: w.runsCompleted }));
   console.log(`[UnifiedIndexer] Stopped ${stopped.length} workers for pool ${pid}`);
   return { status: 'stopped', pid, stopped };
 }
 
 export function stopAllUnifiedAutoRuns() {
   const stopped = [];
-  
-  for (const [key, info] of autoRunIntervals.entries()) {
-    if (key.startsWith('unified_')) {
-      clearInterval(info.interval);
-      const match = key.match(/unified_(\d+)_w(\d+)/);
-      if (match) {
-        stopped.push({ pid: parseInt(match[1]), workerId: parseInt(match[2]), runsCompleted: info.runsCompleted });
-      }
-    }
-  }
-  
-  for (const key of Array.from(autoRunIntervals.keys())) {
-    if (key.startsWith('unified_')) {
-      autoRunIntervals.delete(key);
-    }
-  }
-  
-  // Clear all live progress
+
   for (const pid of ALL_POOL_IDS) {
-    clearLiveProgress(pid);
+    const result = stopUnifiedAutoRun(pid);
+    if (result.status === 'stopped') stopped.push(...result.stopped);
   }
-  
+
   console.log(`[UnifiedIndexer] Stopped all auto-runs (${stopped.length} workers)`);
   return { status: 'all_stopped', stopped, totalWorkers: stopped.length };
 }
@@ -1,9 +1,9 @@
 import { ethers } from 'ethers';
+import { getChainProvider } from '../../services/rpcProviderRegistry.js';
 import { db } from '../../../server/db.js';
 import { poolStakersV1, poolRewardEventsV1, poolEventIndexerProgressV1 } from '../../../shared/schema.js';
 import { eq, and, sql, desc } from 'drizzle-orm';
 
-const DFK_CHAIN_RPC = 'https://subnets.avax.network/defi-kingdoms/dfk-chain/rpc';
 const MASTER_GARDENER_V1 = '0x57dec9cc7f492d6583c773e2e7ad66dcdc6940fb'; // Legacy V1 Gardener
 
 const DFK_GENESIS_BLOCK = 0;
@@ -137,7 +137,7 @@ let profilesContractV1Instance = null;
 
 export function getProviderV1() {
   if (!providerInstanceV1) {
-    providerInstanceV1 = new ethers.JsonRpcProvider(DFK_CHAIN_RPC);
+    providerInstanceV1 = getChainProvider('dfk');
   }
   return providerInstanceV1;
 }
@@ -4,6 +4,7 @@
 // Source: https://devs.defikingdoms.com/contracts/dfk-duel
 
 import { ethers } from 'ethers';
+import { getChainProvider } from '../../services/rpcProviderRegistry.js';
 import { db } from '../../../server/db.js';
 import { pvpMatches, ingestionState, walletLinks } from '../../../shared/schema.js';
 import { eq, sql } from 'drizzle-orm';
@@ -22,10 +23,7 @@ const providers: Record<string, ethers.JsonRpcProvider> = {};
 
 function getProvider(realm: 'dfk' | 'klaytn'): ethers.JsonRpcProvider {
   if (!providers[realm]) {
-    const rpcUrl = realm === 'dfk' 
-      ? COMBAT_CONTRACTS.dfk.rpcUrl 
-      : COMBAT_CONTRACTS.klaytn.rpcUrl;
-    providers[realm] = new ethers.JsonRpcProvider(rpcUrl);
+    providers[realm] = getChainProvider(realm);
   }
   return providers[realm];
 }
@@ -0,0 +1,260 @@
+// src/etl/ingestion/reorgGuard.js
+// Chain reorg detection and rollback for indexed events.
+//
+// Indexers record the hash of recently indexed blocks (within a window of the
+// chain head). On each run the newest stored hash is compared against the chain;
+// a mismatch walks back to the newest stored block that still matches, deletes
+// every event row above it, rewinds the checkpoints and logs a reorg incident.
+
+import { sql } from 'drizzle-orm';
+import { db } from '../../../server/db.js';
+
+export const DEFAULT_REORG_WINDOW = 64;
+
+// Event tables that carry a block_hash column, and checkpoint tables that carry
+// last_indexed_block_hash. Columns are added in place for databases created
+// before reorg tracking existed.
+const EVENT_TABLES_WITH_HASH = [
+  'bridge_events',
+  'jeweler_events',
+  'gardening_quest_rewards',
+  'pool_swap_events',
+  'pve_completions',
+  'pve_reward_events',
+];
+
+const CHECKPOINT_TABLES_WITH_HASH = [
+  'indexer_checkpoints',
+  'jeweler_indexer_progress',
+  'gardening_quest_indexer_progress',
+  'pool_event_indexer_progress',
+  'pool_event_indexer_progress_harmony',
+  'bridge_indexer_progress',
+];
+
+let tablesReady = false;
+
+export async function ensureReorgTables() {
+  if (tablesReady) return;
+
+  await db.execute(sql`
+    CREATE TABLE IF NOT EXISTS indexer_block_hashes (
+      id SERIAL PRIMARY KEY,
+      indexer_name TEXT NOT NULL,
+      chain TEXT NOT NULL,
+      block_number BIGINT NOT NULL,
+      block_hash TEXT NOT NULL,
+      recorded_at TIMESTAMPTZ DEFAULT NOW() NOT NULL,
+      UNIQUE (indexer_name, block_number)
+    )
+  `);
+
+  await db.execute(sql`
+    CREATE TABLE IF NOT EXISTS reorg_incidents (
+      id SERIAL PRIMARY KEY,
+      indexer_name TEXT NOT NULL,
+      chain TEXT NOT NULL,
+      fork_block BIGINT NOT NULL,
+      head_block BIGINT NOT NULL,
+      depth INTEGER NOT NULL,
+      stored_hash TEXT,
+      chain_hash TEXT,
+      rows_rolled_back INTEGER NOT NULL DEFAULT 0,
+      status TEXT NOT NULL DEFAULT 'rolled_back',
+      details JSON,
+      detected_at TIMESTAMPTZ DEFAULT NOW() NOT NULL
+    )
+  `);
+
+  for (const table of EVENT_TABLES_WITH_HASH) {
+    await db.execute(sql`ALTER TABLE IF EXISTS ${sql.identifier(table)} ADD COLUMN IF NOT EXISTS block_hash TEXT`);
+  }
+  for (const table of CHECKPOINT_TABLES_WITH_HASH) {
+    await db.execute(sql`ALTER TABLE IF EXISTS ${sql.identifier(table)} ADD COLUMN IF NOT EXISTS last_indexed_block_hash TEXT`);
+  }
+
+  tablesReady = true;
+}
+
+/**
+ * Store block hashes seen while indexing.
+ * @param {Array<{blockNumber: number, blockHash: string}>} entries
+ */
+export async function recordBlockHashes(indexerName, chain, entries) {
+  const unique = new Map();
+  for (const entry of entries) {
+    if (entry?.blockHash && entry.blockNumber !== undefined && entry.blockNumber !== null) {
+      unique.set(Number(entry.blockNumber), entry.blockHash);
+    }
+  }
+  if (unique.size === 0) return 0;
+
+  await ensureReorgTables();
+
+  const rows = Array.from(unique, ([blockNumber, blockHash]) =>
+    sql`(${indexerName}, ${chain}, ${blockNumber}, ${blockHash})`
+  );
+
+  await db.execute(sql`
+    INSERT INTO indexer_block_hashes (indexer_name, chain, block_number, block_hash)
+    VALUES ${sql.join(rows, sql`, `)}
+    ON CONFLICT (indexer_name, block_number) DO UPDATE SET block_hash = EXCLUDED.block_hash, recorded_at = NOW()
+  `);
+
+  return unique.size;
+}
+
+export async function pruneBlockHashes(indexerName, belowBlock) {
+  await ensureReorgTables();
+  await db.execute(sql`
+    DELETE FROM indexer_block_hashes
+    WHERE indexer_name = ${indexerName} AND block_number < ${belowBlock}
+  `);
+}
+
+/**
+ * Compare stored hashes near the head with the chain.
+ * Checks the newest stored block first: if it still matches, all its ancestors do too.
+ * Stored hashes are sparse (event blocks and chunk ends), so on divergence the
+ * fork is placed right after the newest stored block that still matches - any
+ * block between that one and the first mismatch may already be on the new chain.
+ *
+ * @returns {Promise<null | {forkBlock: number, storedHash: string, chainHash: string|null, checkedBlocks: number}>}
+ */
+export async function findReorgPoint({ indexerName, provider, headBlock, window = DEFAULT_REORG_WINDOW }) {
+  await ensureReorgTables();
+
+  // Hashes are pruned below head - 2 * window; the older half gives the walk-back an anchor
+  const result = await db.execute(sql`
+    SELECT block_number, block_hash
+    FROM indexer_block_hashes
+    WHERE indexer_name = ${indexerName} AND block_number >= ${headBlock - window * 2}
+    ORDER BY block_number ASC
+  `);
+  const stored = (result.rows || result).map(r => ({
+    blockNumber: Number(r.block_number),
+    blockHash: r.block_hash,
+  }));
+  if (stored.length === 0) return null;
+
+  const chainHashOf = async (blockNumber) => {
+    const block = await provider.getBlock(blockNumber);
+    return block?.hash || null;
+  };
+
+  const newest = stored[stored.length - 1];
+  if (newest.blockNumber < headBlock - window) return null;
+
+  const newestChainHash = await chainHashOf(newest.blockNumber);
+  let checkedBlocks = 1;
+  if (newestChainHash === newest.blockHash) return null;
+
+  // Matches form a prefix of the stored list: binary search for its end
+  let lo = 0;
+  let hi = stored.length - 1;
+  let firstMismatch = { ...newest, chainHash: newestChainHash };
+  while (lo < hi) {
+    const mid = Math.floor((lo + hi) / 2);
+    const chainHash = await chainHashOf(stored[mid].blockNumber);
+    checkedBlocks++;
+    if (chainHash === stored[mid].blockHash) {
+      lo = mid + 1;
+    } else {
+      hi = mid;
+      firstMismatch = { ...stored[mid], chainHash };
+    }
+  }
+
+  const lastMatch = lo > 0 ? stored[lo - 1] : null;
+  // Nothing matches: everything back to the oldest hash we could have kept is suspect
+  const forkBlock = lastMatch ? lastMatch.blockNumber + 1 : Math.max(0, headBlock - window * 2);
+
+  return { forkBlock, storedHash: firstMismatch.blockHash, chainHash: firstMismatch.chainHash, checkedBlocks };
+}
+
+/**
+ * Delete event rows at or above forkBlock.
+ * @param {Array<{table: string, blockColumn?: string, where?: import('drizzle-orm').SQL}>} eventTables
+ * @param {number} forkBlock
+ * @param {Object} [executor] - db, or the transaction to delete in
+ * @returns {Promise<number>} rows deleted
+ */
+export async function rollbackEventTables(eventTables, forkBlock, executor = db) {
+  let rowsDeleted = 0;
+  for (const { table, blockColumn = 'block_number', where } of eventTables) {
+    const scope = where ? sql` AND ${where}` : sql``;
+    const result = await executor.execute(sql`
+      DELETE FROM ${sql.identifier(table)}
+      WHERE ${sql.identifier(blockColumn)} >= ${forkBlock}${scope}
+    `);
+    rowsDeleted += result.count ?? result.rowCount ?? 0;
+  }
+  return rowsDeleted;
+}
+
+export async function logReorgIncident({ indexerName, chain, forkBlock, headBlock, storedHash, chainHash, rowsRolledBack, details = null }) {
+  await ensureReorgTables();
+  const depth = Math.max(0, headBlock - forkBlock + 1);
+  await db.execute(sql`
+    INSERT INTO reorg_incidents (indexer_name, chain, fork_block, head_block, depth, stored_hash, chain_hash, rows_rolled_back, details)
+    VALUES (${indexerName}, ${chain}, ${forkBlock}, ${headBlock}, ${depth}, ${storedHash}, ${chainHash}, ${rowsRolledBack}, ${details ? JSON.stringify(details) : null})
+  `);
+  console.warn(`[ReorgGuard] ${indexerName} (${chain}): reorg at block ${forkBlock} (depth ${depth}), rolled back ${rowsRolledBack} rows`);
+}
+
+export async function getRecentReorgIncidents({ limit = 50, indexerName = null } = {}) {
+  await ensureReorgTables();
+  const filter = indexerName ? sql`WHERE indexer_name = ${indexerName}` : sql``;
+  const result = await db.execute(sql`
+    SELECT * FROM reorg_incidents ${filter}
+    ORDER BY detected_at DESC
+    LIMIT ${limit}
+  `);
+  return result.rows || result;
+}
+
+/**
+ * Full check: detect divergence, roll back event rows, drop stale hashes,
+ * let the caller rewind its checkpoints, and log the incident.
+ * The rollback, hash cleanup and rewind commit together, so checkpoints are
+ * never left ahead of deleted rows.
+ *
+ * @param {Object} options
+ * @param {Function} [options.onRollback] - async (forkBlock, tx) => void, run before the event rows are deleted
+ * @param {Function} options.rewind - async (forkBlock, tx) => void, rewinds checkpoints below forkBlock within tx
+ * @returns {Promise<null | Object>} incident details when a reorg was handled
+ */
+export async function checkAndRollback({ indexerName, chain, provider, headBlock, window = DEFAULT_REORG_WINDOW, eventTables = [], onRollback, rewind }) {
+  const reorg = await findReorgPoint({ indexerName, provider, headBlock, window });
+  if (!reorg) return null;
+
+  const rowsRolledBack = await db.transaction(async (tx) => {
+    if (onRollback) {
+      await onRollback(reorg.forkBlock, tx);
+    }
+    const rowsDeleted = await rollbackEventTables(eventTables, reorg.forkBlock, tx);
+
+    await tx.execute(sql`
+      DELETE FROM indexer_block_hashes
+      WHERE indexer_name = ${indexerName} AND block_number >= ${reorg.forkBlock}
+    `);
+
+    if (rewind) {
+      await rewind(reorg.forkBlock, tx);
+    }
+    return rowsDeleted;
+  });
+
+  const incident = {
+    indexerName,
+    chain,
+    forkBlock: reorg.forkBlock,
+    headBlock,
+    storedHash: reorg.storedHash,
+    chainHash: reorg.chainHash,
+    rowsRolledBack,
+    details: { checkedBlocks: reorg.checkedBlocks, tables: eventTables.map(t => t.table) },
+  };
+  await logReorgIncident(incident);
+  return incident;
+}
@@ -0,0 +1,220 @@
+// src/etl/ingestion/rpcFixtures.js
+// Record/replay harness for indexer RPC traffic.
+//
+// RPC_FIXTURE_MODE=record  - calls go to the live endpoint and every response is
+//                            written to RPC_FIXTURE_PATH on flush / process exit
+// RPC_FIXTURE_MODE=replay  - calls are answered from RPC_FIXTURE_PATH only; a call
+//                            that was never recorded throws instead of hitting the network
+// (unset)                  - plain ethers providers / fetch, no overhead
+//
+// Responses are keyed by method + params (not URL), so fallback-endpoint rotation
+// replays identically. Repeated identical calls replay in recorded order.
+
+import fs from 'fs';
+import path from 'path';
+import { ethers } from 'ethers';
+
+const FIXTURE_VERSION = 1;
+
+let activeFixture = null;
+
+function stableStringify(value) {
+  if (typeof value === 'bigint') return JSON.stringify(value.toString());
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object') {
+    const keys = Object.keys(value).filter(k => value[k] !== undefined).sort();
+    return `{${keys.map(k => `${JSON.stringify(k)}:${stableStringify(value[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+export function fixtureKey(method, params = []) {
+  return `${method}:${stableStringify(params)}`;
+}
+
+/**
+ * In-memory fixture: recorded responses plus per-key replay cursors.
+ */
+export class RpcFixture {
+  constructor({ mode, filePath = null, calls = {} }) {
+    if (!['record', 'replay'].includes(mode)) {
+      throw new Error(`Invalid RPC fixture mode: ${mode}`);
+    }
+    this.mode = mode;
+    this.filePath = filePath;
+    this.calls = calls;
+    this.cursors = new Map();
+    this.dirty = false;
+  }
+
+  static load(filePath, mode = 'replay') {
+    if (!fs.existsSync(filePath)) {
+      if (mode === 'replay') {
+        throw new Error(`RPC fixture not found: ${filePath}`);
+      }
+      return new RpcFixture({ mode, filePath });
+    }
+    const data = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+    if (data.version !== FIXTURE_VERSION) {
+      throw new Error(`Unsupported RPC fixture version ${data.version} in ${filePath}`);
+    }
+    return new RpcFixture({ mode, filePath, calls: data.calls || {} });
+  }
+
+  record(key, response) {
+    if (!this.calls[key]) this.calls[key] = [];
+    this.calls[key].push(response);
+    this.dirty = true;
+  }
+
+  replay(key) {
+    const responses = this.calls[key];
+    if (!responses || responses.length === 0) {
+      throw new Error(`RPC fixture has no recorded response for ${key.slice(0, 200)}`);
+    }
+    const cursor = this.cursors.get(key) || 0;
+    this.cursors.set(key, cursor + 1);
+    // Past the end of the recording, keep answering with the last response
+    return responses[Math.min(cursor, responses.length - 1)];
+  }
+
+  toJSON() {
+    const calls = {};
+    for (const key of Object.keys(this.calls).sort()) {
+      calls[key] = this.calls[key];
+    }
+    return { version: FIXTURE_VERSION, calls };
+  }
+
+  flush() {
+    if (this.mode !== 'record' || !this.dirty || !this.filePath) return false;
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    fs.writeFileSync(this.filePath, JSON.stringify(this.toJSON(), null, 2) + '\n');
+    this.dirty = false;
+    return true;
+  }
+}
+
+/**
+ * Install a fixture for this process (tests / replay scripts).
+ * Pass null to go back to live RPC.
+ */
+export function setActiveFixture(fixture) {
+  activeFixture = fixture;
+  return fixture;
+}
+
+/**
+ * The fixture configured by RPC_FIXTURE_MODE / RPC_FIXTURE_PATH, loaded lazily.
+ */
+export function getActiveFixture() {
+  if (activeFixture) return activeFixture;
+
+  const mode = process.env.RPC_FIXTURE_MODE;
+  if (!mode) return null;
+
+  const filePath = process.env.RPC_FIXTURE_PATH;
+  if (!filePath) {
+    throw new Error('RPC_FIXTURE_PATH is required when RPC_FIXTURE_MODE is set');
+  }
+
+  activeFixture = RpcFixture.load(path.resolve(filePath), mode);
+  if (mode === 'record') {
+    process.on('exit', () => activeFixture?.flush());
+  }
+  console.log(`[RpcFixtures] ${mode} mode: ${filePath}`);
+  return activeFixture;
+}
+
+/**
+ * Route one JSON-RPC request through the fixture. `send` performs the live call
+ * and resolves to the response envelope ({ id, result } or { id, error }).
+ */
+export async function sendThroughFixture(fixture, request, send) {
+  const key = fixtureKey(request.method, request.params);
+
+  if (fixture.mode === 'replay') {
+    return { id: request.id, ...fixture.replay(key) };
+  }
+
+  const live = await send(request);
+  fixture.record(key, live.error ? { error: live.error } : { result: live.result });
+  return live;
+}
+
+/**
+ * ethers JsonRpcProvider whose transport goes through the fixture.
+ */
+export class FixtureJsonRpcProvider extends ethers.JsonRpcProvider {
+  constructor(url, network, options, fixture) {
+    super(url, network, { ...options, batchMaxCount: 1 });
+    this.fixture = fixture;
+  }
+
+  async _send(payload) {
+    const payloads = Array.isArray(payload) ? payload : [payload];
+    const results = [];
+    for (const request of payloads) {
+      results.push(await sendThroughFixture(this.fixture, request, async (req) => (await super._send(req))[0]));
+    }
+    return results;
+  }
+}
+
+/**
+ * Drop-in for `new ethers.JsonRpcProvider(url, network, options)`.
+ */
+export function createRpcProvider(url, network, options) {
+  const fixture = getActiveFixture();
+  if (!fixture) {
+    return new ethers.JsonRpcProvider(url, network, options);
+  }
+  return new FixtureJsonRpcProvider(url, network, options, fixture);
+}
+
+/**
+ * Raw JSON-RPC POST (for callers that bypass ethers, e.g. getLogs with a timeout).
+ * Returns the JSON-RPC envelope ({ result } or { error }); throws on HTTP errors.
+ */
+export async function sendRpcRequest(rpcUrl, method, params, { signal } = {}) {
+  const fixture = getActiveFixture();
+  const key = fixtureKey(method, params);
+
+  if (fixture?.mode === 'replay') {
+    return fixture.replay(key);
+  }
+
+  const response = await fetch(rpcUrl, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ jsonrpc: '2.0', method, params, id: 1 }),
+    signal,
+  });
+
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}`);
+  }
+
+  const data = await response.json();
+  const envelope = data.error ? { error: data.error } : { result: data.result };
+  fixture?.record(key, envelope);
+  return envelope;
+}
+
+/**
+ * GET a JSON document (explorer APIs) through the fixture.
+ * Returns null for non-2xx responses.
+ */
+export async function fetchJson(url) {
+  const fixture = getActiveFixture();
+  const key = fixtureKey('GET', [url]);
+
+  if (fixture?.mode === 'replay') {
+    return fixture.replay(key).result;
+  }
+
+  const res = await fetch(url);
+  const result = res.ok ? await res.json() : null;
+  fixture?.record(key, { result });
+  return result;
+}
@@ -16,6 +16,7 @@
 import { db, rawPg } from '../../../server/db.js';
 import { sql } from 'drizzle-orm';
 import { nanoid } from 'nanoid';
+import { chat, streamChat } from '../../services/llmProvider.js';
 
 const SNAPSHOT_INTERVAL_MS = 60 * 60 * 1000; // 1 hour
 
@@ -1925,9 +1926,6 @@ export async function getHeroPriceRecommendation(params) {
 
 export async function generateConfidenceSummaries(heroes) {
   try {
-    const OpenAI = (await import('openai')).default;
-    const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
-
     const heroLines = heroes.map((h, i) =>
       `${i + 1}. Hero #${h.normalizedId || h.heroId}: ${h.mainClass}/${h.subClass || '-'} ${h.rarityName} Gen${h.generation} Lv${h.level} | Profession: ${h.profession || 'none'} | TraitScore: ${h.traitScore || 0} | CombatPower: ${h.combatPower || 0} | Listed: ${h.listingPrice} ${h.token} | Fair: ${h.estimatedValue} ${h.token} | Discount: ${h.discount}% | Confidence: ${h.confidence} (${h.sampleSize} comps) | Verdict: ${h.verdict}`
     ).join('\n');
@@ -1952,13 +1950,12 @@ Rules:
 - Reference the hero's actual class, level, rarity, profession, or genes in your explanation.
 - Output valid JSON only, no markdown fencing.`;
 
-    const response = await openai.chat.completions.create({
-      model: 'gpt-4o-mini',
+    const response = await chat('price_narrative', {
       messages: [{ role: 'user', content: prompt }],
-      max_completion_tokens: 120 * heroes.length,
+      maxTokens: 120 * heroes.length,
     });
 
-    const raw = response.choices[0]?.message?.content?.trim() || '[]';
+    const raw = response.content || '[]';
     const cleaned = raw.replace(/^```json?\s*/i, '').replace(/```\s*$/i, '');
     const summaries = JSON.parse(cleaned);
 
@@ -1972,24 +1969,19 @@ Rules:
   }
 }
 
-export async function generatePriceNarrative(priceResult) {
-  try {
-    const OpenAI = (await import('openai')).default;
-    // the newest OpenAI model is "gpt-5" which was released August 7, 2025. do not change this unless explicitly requested by the user
-    const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
-
-    const hero = priceResult.hero;
-    const estimate = priceResult.estimatedValue;
-    const comps = priceResult.comparableSales || [];
-    const flip = priceResult.flipOpportunity;
-    const dataSource = priceResult.dataSource || 'unknown';
-    const tierLabel = priceResult.matchTierLabel || priceResult.matchTier || 'none';
-
-    const compSummary = comps.slice(0, 8).map(c =>
-      `Hero #${c.heroId}: ${c.mainClass || '?'} Gen${c.generation ?? '?'} Lv${c.level || '?'} ${RARITY_NAMES[c.rarity] || '?'} - ${c.price} ${c.token}${c.saleDate ? ` (${new Date(c.saleDate).toLocaleDateString()})` : ''}`
-    ).join('\n');
+function buildPriceNarrativePrompt(priceResult) {
+  const hero = priceResult.hero;
+  const estimate = priceResult.estimatedValue;
+  const comps = priceResult.comparableSales || [];
+  const flip = priceResult.flipOpportunity;
+  const dataSource = priceResult.dataSource || 'unknown';
+  const tierLabel = priceResult.matchTierLabel || priceResult.matchTier || 'none';
 
-    const prompt = `You are an expert DeFi Kingdoms market analyst. Provide a brief 3-5 sentence narrative justifying this hero's price estimate. Be specific about WHY the price is what it is.
+  const compSummary = comps.slice(0, 8).map(c =>
+    `Hero #${c.heroId}: ${c.mainClass || '?'} Gen${c.generation ?? '?'} Lv${c.level || '?'} ${RARITY_NAMES[c.rarity] || '?'} - ${c.price} ${c.token}${c.saleDate ? ` (${new Date(c.saleDate).toLocaleDateString()})` : ''}`
+  ).join('\n');
+
+  return `You are an expert DeFi Kingdoms market analyst. Provide a brief 3-5 sentence narrative justifying this hero's price estimate. Be specific about WHY the price is what it is.
 
 HERO DETAILS:
 - Hero #${hero.heroId}: ${hero.mainClass}/${hero.subClass || 'none'}, ${hero.rarityName} (rarity ${hero.rarity}), Gen ${hero.generation}, Level ${hero.level}
@@ -2021,19 +2013,31 @@ KEY CONTEXT FOR DFK PRICING:
 - Trait score and stat boosts provide incremental premium
 
 Write your narrative as if briefing a trader. Mention any red flags (e.g. if comparables are from a different generation or the match quality is loose). Output ONLY the narrative text, no headers or formatting.`;
+}
 
-    const response = await openai.chat.completions.create({
-      model: 'gpt-4o-mini',
-      messages: [{ role: 'user', content: prompt }],
-      max_completion_tokens: 300,
+export async function generatePriceNarrative(priceResult) {
+  try {
+    const response = await chat('price_narrative', {
+      messages: [{ role: 'user', content: buildPriceNarrativePrompt(priceResult) }],
+      maxTokens: 300,
     });
 
     return {
       ok: true,
-      narrative: response.choices[0]?.message?.content?.trim() || 'Unable to generate analysis.'
+      narrative: response.content || 'Unable to generate analysis.'
     };
   } catch (err) {
     console.error('[HeroPriceTool] AI narrative error:', err.message);
     return { ok: false, narrative: null, error: err.message };
   }
 }
+
+/**
+ * Streaming variant of generatePriceNarrative: yields llmProvider stream items ({ delta } / { usage }).
+ */
+export function streamPriceNarrative(priceResult) {
+  return streamChat('price_narrative', {
+    messages: [{ role: 'user', content: buildPriceNarrativePrompt(priceResult) }],
+    maxTokens: 300,
+  });
+}
@@ -0,0 +1,400 @@
+// src/etl/ingestion/summonOutcomeIndexer.js
+// Summon outcome tracker: watches CrystalOpen on the summoning contract, decodes
+// each new hero and its parents (gene-decoder.js via decodeHeroGenes), and stores
+// what summoning-engine.js predicted next to what the child actually rolled.
+//
+// Two consumers:
+// - Calibration: buildCalibrationReport() over summon_outcome_checks
+// - Profit tracker: pending summon_sessions for the same wallet + parents are
+//   marked summoned and get their summon_offspring row
+
+import { ethers } from 'ethers';
+import { db } from '../../../server/db.js';
+import { sql } from 'drizzle-orm';
+import { defineIndexer } from './indexerRuntime.js';
+import { getChainProvider } from '../../services/rpcProviderRegistry.js';
+import { decodeHeroGenes } from '../../../hero-genetics.js';
+import { getSkillTierByName } from '../../../summoning-engine.js';
+import { buildOutcomeCheck, buildCalibrationReport } from '../../../summon-calibration.js';
+
+// Crystalvale (DFK Chain) summoning + hero contracts. Sundered Isles is not
+// indexed until its summoning contract is added here.
+const SUMMONING_CONTRACT_DFK = '0xBc36D18662Bb97F9e74B1EAA1B752aA7A44595A7';
+const HERO_CONTRACT_DFK = '0xEb9B61B145D6489Be575D3603F4a704810e143dF';
+const REALM = 'cv';
+
+const BLOCKS_PER_QUERY = 2000;
+const INCREMENTAL_BATCH_SIZE = 100000;
+const AUTO_RUN_INTERVAL_MS = 2 * 60 * 1000;
+const CONFIRMATIONS = 5;
+const DEFAULT_REPORT_LIMIT = 20000;
+
+const SUMMONING_ABI = [
+  'event CrystalOpen(address indexed owner, uint256 crystalId, uint256 heroId)',
+];
+
+const HERO_CORE_ABI = [
+  'function getHeroV3(uint256 _id) external view returns (tuple(uint256 id, tuple(uint256 summonedTime, uint256 nextSummonTime, uint256 summonerId, uint256 assistantId, uint32 summons, uint32 maxSummons) summoningInfo, tuple(uint256 statGenes, uint256 visualGenes, uint8 rarity, bool shiny, uint16 generation, uint32 firstName, uint32 lastName, uint8 shinyStyle, uint8 class, uint8 subClass) info, tuple(uint256 staminaFullAt, uint256 hpFullAt, uint256 mpFullAt, uint16 level, uint64 xp, address currentQuest, uint8 sp, uint8 status) state, tuple(uint16 strength, uint16 intelligence, uint16 wisdom, uint16 luck, uint16 agility, uint16 vitality, uint16 endurance, uint16 dexterity, uint16 hp, uint16 mp, uint16 stamina) stats, tuple(uint16 strength, uint16 intelligence, uint16 wisdom, uint16 luck, uint16 agility, uint16 vitality, uint16 endurance, uint16 dexterity, uint16 hpSm, uint16 hpRg, uint16 hpLg, uint16 mpSm, uint16 mpRg, uint16 mpLg) primaryStatGrowth, tuple(uint16 strength, uint16 intelligence, uint16 wisdom, uint16 luck, uint16 agility, uint16 vitality, uint16 endurance, uint16 dexterity, uint16 hpSm, uint16 hpRg, uint16 hpLg, uint16 mpSm, uint16 mpRg, uint16 mpLg) secondaryStatGrowth, tuple(uint16 mining, uint16 gardening, uint16 foraging, uint16 fishing) professions))',
+];
+
+let heroContractInstance = null;
+let tablesReady = false;
+
+function getHeroContract() {
+  if (!heroContractInstance) {
+    heroContractInstance = new ethers.Contract(HERO_CONTRACT_DFK, HERO_CORE_ABI, getChainProvider('dfk'));
+  }
+  return heroContractInstance;
+}
+
+export async function ensureSummonOutcomeTables() {
+  if (tablesReady) return;
+  await db.execute(sql`
+    CREATE TABLE IF NOT EXISTS summon_outcome_checks (
+      id SERIAL PRIMARY KEY,
+      realm TEXT NOT NULL,
+      offspring_hero_id TEXT NOT NULL UNIQUE,
+      crystal_id TEXT,
+      owner_address TEXT NOT NULL,
+      parent1_hero_id TEXT NOT NULL,
+      parent2_hero_id TEXT NOT NULL,
+      parent1_rarity INTEGER,
+      parent2_rarity INTEGER,
+      offspring_rarity INTEGER NOT NULL,
+      offspring_generation INTEGER NOT NULL,
+      predictions JSON NOT NULL,
+      session_id INTEGER,
+      block_number BIGINT NOT NULL,
+      tx_hash TEXT NOT NULL,
+      log_index INTEGER NOT NULL,
+      summoned_at TIMESTAMPTZ,
+      created_at TIMESTAMPTZ DEFAULT NOW() NOT NULL
+    )
+  `);
+  await db.execute(sql`CREATE INDEX IF NOT EXISTS summon_outcome_checks_block_idx ON summon_outcome_checks (block_number)`);
+  await db.execute(sql`CREATE INDEX IF NOT EXISTS summon_outcome_checks_summoned_at_idx ON summon_outcome_checks (summoned_at)`);
+  tablesReady = true;
+}
+
+/**
+ * Read a hero from the hero contract in the shape decodeHeroGenes expects
+ * @param {string|bigint} heroId
+ * @returns {Promise<Object>} { id, statGenes, visualGenes, rarity, generation, summonerId, assistantId, stats }
+ */
+async function fetchHero(heroId) {
+  const hero = await getHeroContract().getHeroV3(heroId);
+  return {
+    id: hero.id.toString(),
+    statGenes: hero.info.statGenes.toString(),
+    visualGenes: hero.info.visualGenes.toString(),
+    rarity: Number(hero.info.rarity),
+    generation: Number(hero.info.generation),
+    summonerId: hero.summoningInfo.summonerId.toString(),
+    assistantId: hero.summoningInfo.assistantId.toString(),
+    stats: {
+      strength: Number(hero.stats.strength),
+      agility: Number(hero.stats.agility),
+      intelligence: Number(hero.stats.intelligence),
+      wisdom: Number(hero.stats.wisdom),
+      luck: Number(hero.stats.luck),
+      dexterity: Number(hero.stats.dexterity),
+      vitality: Number(hero.stats.vitality),
+      endurance: Number(hero.stats.endurance),
+    },
+  };
+}
+
+function sameText(a, b) {
+  return !!a && !!b && String(a).toLowerCase() === String(b).toLowerCase();
+}
+
+/**
+ * Close the loop for a tracked summon: the oldest pending session for this wallet
+ * and parent pair becomes 'summoned' and gets its offspring row.
+ * @returns {Promise<number|null>} Session id, if one matched
+ */
+async function linkSummonSession(record, child, childGenetics, summonedAt) {
+  const [session] = await db.execute(sql`
+    UPDATE summon_sessions
+    SET status = 'summoned',
+        offspring_hero_id = ${child.id},
+        summoned_at = ${summonedAt.toISOString()}::timestamptz,
+        summon_tx_hash = ${record.txHash},
+        updated_at = NOW()
+    WHERE id = (
+      SELECT id FROM summon_sessions
+      WHERE status = 'pending'
+        AND realm = ${REALM}
+        AND LOWER(wallet_address) = ${record.owner}
+        AND (
+          (parent1_hero_id = ${child.summonerId} AND parent2_hero_id = ${child.assistantId})
+          OR (parent1_hero_id = ${child.assistantId} AND parent2_hero_id = ${child.summonerId})
+        )
+        AND created_at <= ${summonedAt.toISOString()}::timestamptz
+      ORDER BY created_at ASC
+      LIMIT 1
+    )
+    RETURNING id, target_traits
+  `);
+  if (!session) return null;
+
+  const target = typeof session.target_traits === 'string' ? JSON.parse(session.target_traits) : session.target_traits;
+  const actual = {
+    mainClass: childGenetics.mainClass?.dominant,
+    subClass: childGenetics.subClass?.dominant,
+    profession: childGenetics.profession?.dominant,
+  };
+  const targetKeys = Object.keys(actual).filter(key => target?.[key]);
+  const matchedTargetTraits = targetKeys.length > 0 && targetKeys.every(key => sameText(target[key], actual[key]));
+  const skills = ['active1', 'active2', 'passive1', 'passive2'].map(slot => childGenetics[slot]?.dominant || null);
+  const traitScore = skills.reduce((sum, skill) => sum + (skill ? getSkillTierByName(skill) : 0), 0);
+
+  await db.execute(sql`
+    INSERT INTO summon_offspring (
+      session_id, hero_id, main_class, sub_class, profession, rarity, generation,
+      strength, agility, intelligence, wisdom, luck, dexterity, vitality, endurance,
+      active1, active2, passive1, passive2, trait_score, matched_target_traits
+    ) VALUES (
+      ${session.id}, ${child.id}, ${actual.mainClass || 'Unknown'}, ${actual.subClass || null}, ${actual.profession || null},
+      ${child.rarity}, ${child.generation},
+      ${child.stats.strength}, ${child.stats.agility}, ${child.stats.intelligence}, ${child.stats.wisdom},
+      ${child.stats.luck}, ${child.stats.dexterity}, ${child.stats.vitality}, ${child.stats.endurance},
+      ${skills[0]}, ${skills[1]}, ${skills[2]}, ${skills[3]}, ${traitScore}, ${matchedTargetTraits}
+    )
+    ON CONFLICT (hero_id) DO NOTHING
+  `);
+  return session.id;
+}
+
+/**
+ * Undo linkSummonSession for checks at or above the fork: the sessions go back to
+ * pending and lose their offspring rows, so re-indexing links them again.
+ * Runs in the rollback transaction, before the checks themselves are deleted.
+ */
+async function unlinkSummonSessions(forkBlock, tx) {
+  const linked = sql`
+    SELECT s.id FROM summon_sessions s
+    JOIN summon_outcome_checks c ON c.session_id = s.id
+    WHERE c.block_number >= ${forkBlock} AND s.status = 'summoned'
+  `;
+  await tx.execute(sql`DELETE FROM summon_offspring WHERE session_id IN (${linked})`);
+  await tx.execute(sql`
+    UPDATE summon_sessions
+    SET status = 'pending', offspring_hero_id = NULL, summoned_at = NULL, summon_tx_hash = NULL, updated_at = NOW()
+    WHERE id IN (${linked})
+  `);
+}
+
+/**
+ * Start where summon sessions were first recorded instead of backfilling every
+ * summon on the chain: bisect for the first block at or after the oldest session.
+ * With no sessions yet, start at the head.
+ * @returns {Promise<number>}
+ */
+async function findFirstSessionBlock(provider) {
+  const [row] = await db.execute(sql`SELECT MIN(created_at) AS first_session FROM summon_sessions WHERE realm = ${REALM}`);
+  const head = await provider.getBlockNumber();
+  if (!row?.first_session) return head;
+
+  const target = Math.floor(new Date(row.first_session).getTime() / 1000);
+  let low = 0;
+  let high = head;
+  while (low < high) {
+    const mid = Math.floor((low + high) / 2);
+    const block = await provider.getBlock(mid);
+    if (!block) throw new Error(`Block ${mid} not found`);
+    if (block.timestamp < target) low = mid + 1;
+    else high = mid;
+  }
+  return low;
+}
+
+/**
+ * Decode one opened crystal and store its prediction check
+ * @returns {Promise<boolean>} true when a new check was stored
+ * @throws {Error} err.undecodable when the child's or a parent's genes can't be
+ *   decoded; anything else (RPC, database) is worth retrying
+ */
+async function processCrystalOpen(record, ctx, parentCache) {
+  const child = await fetchHero(record.heroId);
+  if (child.summonerId === '0' || child.assistantId === '0') return false;
+
+  const loadParent = async (id) => {
+    if (!parentCache.has(id)) parentCache.set(id, await fetchHero(id));
+    return parentCache.get(id);
+  };
+  const [parent1, parent2] = await Promise.all([loadParent(child.summonerId), loadParent(child.assistantId)]);
+
+  let childGenetics;
+  let predictions;
+  try {
+    childGenetics = decodeHeroGenes(child);
+    predictions = buildOutcomeCheck(
+      { genetics: decodeHeroGenes(parent1), rarity: parent1.rarity },
+      { genetics: decodeHeroGenes(parent2), rarity: parent2.rarity },
+      { genetics: childGenetics, rarity: child.rarity }
+    );
+  } catch (err) {
+    err.undecodable = true;
+    throw err;
+  }
+  const summonedAt = await ctx.getBlockTimestamp(record.blockNumber);
+
+  const inserted = await db.execute(sql`
+    INSERT INTO summon_outcome_checks (
+      realm, offspring_hero_id, crystal_id, owner_address, parent1_hero_id, parent2_hero_id,
+      parent1_rarity, parent2_rarity, offspring_rarity, offspring_generation, predictions,
+      block_number, tx_hash, log_index, summoned_at
+    ) VALUES (
+      ${REALM}, ${child.id}, ${record.crystalId}, ${record.owner}, ${child.summonerId}, ${child.assistantId},
+      ${parent1.rarity}, ${parent2.rarity}, ${child.rarity}, ${child.generation}, ${JSON.stringify(predictions)}::json,
+      ${record.blockNumber}, ${record.txHash}, ${record.logIndex}, ${summonedAt.toISOString()}::timestamptz
+    )
+    ON CONFLICT (offspring_hero_id) DO NOTHING
+    RETURNING id
+  `);
+  if (inserted.length === 0) return false;
+
+  const sessionId = await linkSummonSession(record, child, childGenetics, summonedAt);
+  if (sessionId) {
+    await db.execute(sql`UPDATE summon_outcome_checks SET session_id = ${sessionId} WHERE id = ${inserted[0].id}`);
+  }
+  return true;
+}
+
+export const summonOutcomeIndexer = defineIndexer({
+  name: 'summon_outcomes',
+  label: 'Summon Outcomes (calibration)',
+  chain: 'dfk',
+  address: SUMMONING_CONTRACT_DFK,
+  abi: SUMMONING_ABI,
+  events: ['CrystalOpen'],
+  genesisBlock: findFirstSessionBlock,
+  blocksPerQuery: BLOCKS_PER_QUERY,
+  batchSize: INCREMENTAL_BATCH_SIZE,
+  intervalMs: AUTO_RUN_INTERVAL_MS,
+  confirmations: CONFIRMATIONS,
+  eventTables: [{ table: 'summon_outcome_checks' }],
+  onRollback: unlinkSummonSessions,
+  setup: ensureSummonOutcomeTables,
+  logTag: '[SummonOutcomes]',
+  decode(event, log) {
+    return {
+      owner: event.args.owner.toLowerCase(),
+      crystalId: event.args.crystalId.toString(),
+      heroId: event.args.heroId.toString(),
+      blockNumber: log.blockNumber,
+      txHash: log.transactionHash,
+      logIndex: log.index,
+    };
+  },
+  async sink(records, ctx) {
+    await ensureSummonOutcomeTables();
+    const parentCache = new Map();
+    const entities = [];
+    for (const record of records) {
+      try {
+        if (await processCrystalOpen(record, ctx, parentCache)) entities.push(record.owner);
+      } catch (err) {
+        // One undecodable hero must not stall the range; it is logged and skipped.
+        // Other failures (a getHeroV3 call, the database) fail the chunk before its
+        // checkpoint, so the runtime retries it; stored checks are skipped on retry.
+        if (!err.undecodable) throw err;
+        console.error(`[SummonOutcomes] Hero ${record.heroId} (tx ${record.txHash}) could not be decoded: ${err.message}`);
+      }
+    }
+    return { entities };
+  },
+});
+
+export async function runSummonOutcomeIndexer() {
+  await ensureSummonOutcomeTables();
+  return summonOutcomeIndexer.runIncremental();
+}
+
+export async function startSummonOutcomeAutoRun(intervalMs = AUTO_RUN_INTERVAL_MS) {
+  await ensureSummonOutcomeTables();
+  return summonOutcomeIndexer.startSingleAutoRun(intervalMs);
+}
+
+export function stopSummonOutcomeAutoRun() {
+  return summonOutcomeIndexer.stopAutoRun();
+}
+
+/**
+ * Calibration statistics over the most recent checks
+ * @param {Object} options
+ * @param {number} [options.days] - Only summons from the last N days
+ * @param {number} [options.limit=20000] - Most recent checks to aggregate
+ * @param {number} [options.minGeneration] - Only offspring of at least this generation
+ * @param {number} [options.maxGeneration] - Only offspring of at most this generation
+ */
+export async function getSummonCalibrationReport({ days = null, limit = DEFAULT_REPORT_LIMIT, minGeneration = null, maxGeneration = null } = {}) {
+  await ensureSummonOutcomeTables();
+  const rows = await db.execute(sql`
+    SELECT predictions, summoned_at
+    FROM summon_outcome_checks
+    WHERE (${days}::int IS NULL OR summoned_at >= NOW() - (${days}::int * INTERVAL '1 day'))
+      AND (${minGeneration}::int IS NULL OR offspring_generation >= ${minGeneration}::int)
+      AND (${maxGeneration}::int IS NULL OR offspring_generation <= ${maxGeneration}::int)
+    ORDER BY block_number DESC
+    LIMIT ${limit}
+  `);
+  const report = buildCalibrationReport(rows);
+  const times = rows.map(r => r.summoned_at).filter(Boolean).map(t => new Date(t).getTime());
+  return {
+    ...report,
+    from: times.length ? new Date(Math.min(...times)).toISOString() : null,
+    to: times.length ? new Date(Math.max(...times)).toISOString() : null,
+  };
+}
+
+export async function getRecentSummonChecks(limit = 25) {
+  await ensureSummonOutcomeTables();
+  const rows = await db.execute(sql`
+    SELECT id, realm, offspring_hero_id, owner_address, parent1_hero_id, parent2_hero_id,
+           offspring_rarity, offspring_generation, predictions, session_id, tx_hash, summoned_at
+    FROM summon_outcome_checks
+    ORDER BY block_number DESC, log_index DESC
+    LIMIT ${limit}
+  `);
+  return rows.map(row => {
+    const predictions = typeof row.predictions === 'string' ? JSON.parse(row.predictions) : row.predictions;
+    const traits = ['class', 'subClass', 'profession', 'active1', 'active2', 'passive1', 'passive2', 'rarity'];
+    return {
+      id: row.id,
+      realm: row.realm,
+      heroId: row.offspring_hero_id,
+      owner: row.owner_address,
+      parents: [row.parent1_hero_id, row.parent2_hero_id],
+      rarity: row.offspring_rarity,
+      generation: row.offspring_generation,
+      sessionId: row.session_id,
+      txHash: row.tx_hash,
+      summonedAt: row.summoned_at,
+      outcomes: traits
+        .filter(trait => predictions?.[trait])
+        .map(trait => {
+          const { observed, distribution } = predictions[trait];
+          const match = Object.entries(distribution || {}).find(([value]) => sameText(value, observed));
+          return { trait, observed, predicted: match ? Number(match[1]) : 0 };
+        }),
+    };
+  });
+}
+
+export async function getSummonOutcomeStatus() {
+  await ensureSummonOutcomeTables();
+  const [counts] = await db.execute(sql`
+    SELECT COUNT(*)::int AS checks,
+           COUNT(session_id)::int AS linked_sessions,
+           MAX(summoned_at) AS latest_summon
+    FROM summon_outcome_checks
+  `);
+  return {
+    indexer: await summonOutcomeIndexer.getStatus(),
+    checks: counts?.checks || 0,
+    linkedSessions: counts?.linked_sessions || 0,
+    latestSummon: counts?.latest_summon || null,
+  };
+}
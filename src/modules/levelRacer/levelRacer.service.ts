@@ -502,14 +502,13 @@ export async function processXpUpdates(
         .set({ isWinner: true })
         .where(eq(poolEntries.id, update.entryId));
 
-      // Set winner, mark prize as awarded
+      // Set winner; prizeAwarded is set once treasury.js records the prize payout
       const [finishedPool] = await db
         .update(classPools)
         .set({
           state: "FINISHED",
           finishedAt: new Date(),
           winnerEntryId: update.entryId,
-          prizeAwarded: true,
         })
         .where(eq(classPools.id, poolId))
         .returning();
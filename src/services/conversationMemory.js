@@ -0,0 +1,237 @@
+// src/services/conversationMemory.js
+// Persistent conversation memory for Hedge chats (Discord DMs and /npc).
+//
+// Each player gets one open interaction_session per surface (their DM channel, or
+// /npc within a guild). Turns are stored in interaction_messages with their text
+// and an estimated token count. When a thread grows past the token budget, the
+// oldest turns are folded into a rolling summary on the session so the prompt
+// stays bounded while the player's wallet, heroes and goals carry forward.
+// /forget ends the player's threads and wipes the stored text.
+
+import { and, asc, desc, eq, gt, inArray, isNotNull, isNull, sql } from 'drizzle-orm';
+import { db } from '../../server/db.js';
+import { interactionSessions, interactionMessages } from '../../shared/schema.js';
+import { startSession, endSession, logMessage, inferTopic } from '../../player-tracking.js';
+import { chat } from './llmProvider.js';
+
+const MEMORY_TOKEN_BUDGET = parseInt(process.env.CONVERSATION_MEMORY_TOKENS || '3000', 10);
+// After summarizing, keep this share of the budget as verbatim recent turns
+const RECENT_TURNS_SHARE = 0.6;
+const SUMMARY_MAX_TOKENS = 400;
+
+const TURN_MESSAGE_TYPES = ['user_message', 'bot_response'];
+
+let columnsReady = false;
+
+/**
+ * Add the memory columns to databases created before conversation memory existed.
+ * Runs at startup: player-tracking's logMessage writes content/token_count on every path.
+ */
+export async function ensureMemoryColumns() {
+  if (columnsReady) return;
+  await db.execute(sql`ALTER TABLE interaction_sessions ADD COLUMN IF NOT EXISTS memory_summary TEXT`);
+  await db.execute(sql`ALTER TABLE interaction_sessions ADD COLUMN IF NOT EXISTS summarized_through_message_id INTEGER`);
+  await db.execute(sql`ALTER TABLE interaction_messages ADD COLUMN IF NOT EXISTS content TEXT`);
+  await db.execute(sql`ALTER TABLE interaction_messages ADD COLUMN IF NOT EXISTS token_count INTEGER`);
+  columnsReady = true;
+}
+
+/**
+ * Rough token estimate (~4 characters per token for English text).
+ */
+export function estimateTokens(text) {
+  return Math.ceil((text || '').length / 4);
+}
+
+/**
+ * Find or start the player's conversation thread for a surface.
+ * DMs have one thread per player; /npc threads are per guild.
+ *
+ * @param {number} playerId
+ * @param {Object} surface
+ * @param {string} surface.channelType - 'dm' or 'guild_text'
+ * @param {string} [surface.channelId]
+ * @param {string} [surface.guildId]
+ * @returns {Promise<Object>} interaction_sessions row
+ */
+export async function openThread(playerId, { channelType, channelId = null, guildId = null }) {
+  await ensureMemoryColumns();
+
+  const [existing] = await db
+    .select()
+    .from(interactionSessions)
+    .where(and(
+      eq(interactionSessions.playerId, playerId),
+      eq(interactionSessions.channelType, channelType),
+      guildId ? eq(interactionSessions.guildId, guildId) : isNull(interactionSessions.guildId),
+      isNull(interactionSessions.endedAt)
+    ))
+    .orderBy(desc(interactionSessions.startedAt))
+    .limit(1);
+
+  if (existing) return existing;
+  return startSession(playerId, { channelType, channelId, guildId });
+}
+
+/**
+ * Store one turn of the conversation.
+ * @param {Object} thread - Session from openThread()
+ * @param {'user'|'assistant'} role
+ * @param {string} content
+ * @param {Object} [extra] - Optional logMessage fields (command, heroIdQueried, walletQueried)
+ */
+export async function recordTurn(thread, role, content, extra = {}) {
+  await logMessage({
+    sessionId: thread.id,
+    playerId: thread.playerId,
+    messageType: role === 'user' ? 'user_message' : 'bot_response',
+    topic: role === 'user' ? inferTopic(content) : null,
+    content,
+    tokenCount: estimateTokens(content),
+    ...extra,
+  });
+}
+
+async function loadUnsummarizedTurns(thread) {
+  return db
+    .select({
+      id: interactionMessages.id,
+      messageType: interactionMessages.messageType,
+      content: interactionMessages.content,
+      tokenCount: interactionMessages.tokenCount,
+    })
+    .from(interactionMessages)
+    .where(and(
+      eq(interactionMessages.sessionId, thread.id),
+      inArray(interactionMessages.messageType, TURN_MESSAGE_TYPES),
+      isNotNull(interactionMessages.content),
+      gt(interactionMessages.id, thread.summarizedThroughMessageId || 0)
+    ))
+    .orderBy(asc(interactionMessages.id));
+}
+
+function toChatMessage(turn) {
+  return {
+    role: turn.messageType === 'user_message' ? 'user' : 'assistant',
+    content: turn.content,
+  };
+}
+
+async function summarizeTurns(previousSummary, turns) {
+  const transcript = turns
+    .map(t => `${t.messageType === 'user_message' ? 'Player' : 'Hedge'}: ${t.content}`)
+    .join('\n');
+
+  const completion = await chat('conversation_summary', {
+    temperature: 0,
+    maxTokens: SUMMARY_MAX_TOKENS,
+    messages: [
+      {
+        role: 'system',
+        content:
+          'You maintain running notes on a conversation between a DeFi Kingdoms player and Hedge Ledger, the game\'s NPC accountant. ' +
+          'Merge the existing notes with the new transcript into one concise summary. Always keep wallet addresses, hero IDs, ' +
+          'pools, goals, budgets, preferences and open questions. Drop small talk. Write plain sentences, under 200 words.',
+      },
+      {
+        role: 'user',
+        content: `Existing notes:\n${previousSummary || '(none)'}\n\nNew transcript:\n${transcript}`,
+      },
+    ],
+  });
+
+  return completion.content || previousSummary || '';
+}
+
+/**
+ * Build the chat history to send ahead of the player's next message.
+ * Older turns that don't fit the budget are folded into the thread's summary first.
+ *
+ * @param {Object} thread - Session from openThread()
+ * @param {Object} [options]
+ * @param {number} [options.tokenBudget]
+ * @returns {Promise<Array<{role: string, content: string}>>}
+ */
+export async function getConversationContext(thread, { tokenBudget = MEMORY_TOKEN_BUDGET } = {}) {
+  let turns = await loadUnsummarizedTurns(thread);
+  let summary = thread.memorySummary || null;
+
+  const tokensOf = t => t.tokenCount ?? estimateTokens(t.content);
+  const total = turns.reduce((sum, t) => sum + tokensOf(t), 0);
+
+  if (total > tokenBudget) {
+    // Keep the newest turns that fit the recent share; everything before them is summarized
+    const recentBudget = Math.floor(tokenBudget * RECENT_TURNS_SHARE);
+    let keepFrom = turns.length;
+    let recentTokens = 0;
+    while (keepFrom > 0 && recentTokens + tokensOf(turns[keepFrom - 1]) <= recentBudget) {
+      keepFrom--;
+      recentTokens += tokensOf(turns[keepFrom]);
+    }
+    // Always keep the latest turn, and don't open the history on an assistant reply
+    keepFrom = Math.min(keepFrom, turns.length - 1);
+    while (keepFrom < turns.length - 1 && turns[keepFrom].messageType !== 'user_message') keepFrom++;
+
+    const older = turns.slice(0, keepFrom);
+    if (older.length > 0) {
+      try {
+        summary = await summarizeTurns(summary, older);
+        const summarizedThroughMessageId = older[older.length - 1].id;
+        await db
+          .update(interactionSessions)
+          .set({ memorySummary: summary, summarizedThroughMessageId })
+          .where(eq(interactionSessions.id, thread.id));
+        thread.memorySummary = summary;
+        thread.summarizedThroughMessageId = summarizedThroughMessageId;
+        console.log(`[ConversationMemory] Session ${thread.id}: summarized ${older.length} turns`);
+      } catch (err) {
+        // Summary is best-effort; the turns are simply left out of this prompt
+        console.warn(`[ConversationMemory] Session ${thread.id}: summarization failed: ${err.message}`);
+      }
+      turns = turns.slice(keepFrom);
+    }
+  }
+
+  const messages = [];
+  if (summary) {
+    messages.push({
+      role: 'system',
+      content: `Notes from earlier in your conversation with this player:\n${summary}`,
+    });
+  }
+  messages.push(...turns.map(toChatMessage));
+  return messages;
+}
+
+/**
+ * /forget - end every open thread for the player and wipe stored message text.
+ * Message rows are kept (without content) so engagement analytics stay intact.
+ *
+ * @param {number} playerId
+ * @returns {Promise<{threads: number}>}
+ */
+export async function forgetConversations(playerId) {
+  await ensureMemoryColumns();
+
+  await db
+    .update(interactionMessages)
+    .set({ content: null })
+    .where(and(eq(interactionMessages.playerId, playerId), isNotNull(interactionMessages.content)));
+
+  await db
+    .update(interactionSessions)
+    .set({ memorySummary: null, summarizedThroughMessageId: null })
+    .where(eq(interactionSessions.playerId, playerId));
+
+  const open = await db
+    .select({ id: interactionSessions.id })
+    .from(interactionSessions)
+    .where(and(eq(interactionSessions.playerId, playerId), isNull(interactionSessions.endedAt)));
+
+  for (const session of open) {
+    await endSession(session.id);
+  }
+
+  console.log(`[ConversationMemory] Player ${playerId}: forgot ${open.length} open threads`);
+  return { threads: open.length };
+}
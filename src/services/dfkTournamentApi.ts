@@ -3,8 +3,8 @@
 // Contract: PvP Diamond 0xc7681698B14a2381d9f1eD69FC3D27F33965b53B (Metis)
 
 import { ethers } from 'ethers';
+import { getChainProvider } from './rpcProviderRegistry.js';
 
-const METIS_RPC = 'https://andromeda.metis.io/?owner=1088';
 const PVP_DIAMOND = '0xc7681698B14a2381d9f1eD69FC3D27F33965b53B';
 const NORMAL_CACHE_TTL_MS = 5 * 60 * 1000; // 5 min when no live tournaments
 const LIVE_CACHE_TTL_MS   = 60 * 1000;     // 1 min when any tournament is in_progress
@@ -165,7 +165,7 @@ export async function fetchActiveTournaments(forceRefresh = false): Promise<DfkT
 
   _inflight = (async () => {
     try {
-      const provider = new ethers.JsonRpcProvider(METIS_RPC);
+      const provider = getChainProvider('metis');
       const contract = new ethers.Contract(PVP_DIAMOND, TOURNAMENT_ABI, provider);
 
       // 1. Get all active tournament IDs
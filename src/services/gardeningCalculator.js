@@ -12,10 +12,10 @@
  */
 
 import { ethers } from 'ethers';
+import { getChainProvider } from './rpcProviderRegistry.js';
 import { GraphQLClient, gql } from 'graphql-request';
 import { fetchPetsForWallet, getPetForHero, calculatePetGardenBonus } from '../../pet-data.js';
 
-const DFK_CHAIN_RPC = 'https://subnets.avax.network/defi-kingdoms/dfk-chain/rpc';
 const DFK_GRAPHQL_ENDPOINT = 'https://api.defikingdoms.com/graphql';
 const graphqlClient = new GraphQLClient(DFK_GRAPHQL_ENDPOINT);
 const QUEST_REWARD_FUND = '0x1137643FE14b032966a59Acd68EBf3c1271Df316';
@@ -72,7 +72,7 @@ export async function getQuestRewardFundBalances(forceRefresh = false) {
   }
   
   try {
-    const provider = new ethers.JsonRpcProvider(DFK_CHAIN_RPC);
+    const provider = getChainProvider('dfk');
     const crystalContract = new ethers.Contract(CRYSTAL_TOKEN, ERC20_ABI, provider);
     const jewelContract = new ethers.Contract(WJEWEL_TOKEN_DFK, ERC20_ABI, provider);
     
@@ -106,7 +106,7 @@ export async function getQuestRewardFundBalances(forceRefresh = false) {
  */
 export async function getPoolAllocation(poolId) {
   try {
-    const provider = new ethers.JsonRpcProvider(DFK_CHAIN_RPC);
+    const provider = getChainProvider('dfk');
     const gardener = new ethers.Contract(MASTER_GARDENER_V2, MASTER_GARDENER_ABI, provider);
     
     const [poolInfo, totalAllocPoint] = await Promise.all([
@@ -129,7 +129,7 @@ export async function getPoolAllocation(poolId) {
  */
 export async function getUserLpShare(poolId, userAddress) {
   try {
-    const provider = new ethers.JsonRpcProvider(DFK_CHAIN_RPC);
+    const provider = getChainProvider('dfk');
     const gardener = new ethers.Contract(MASTER_GARDENER_V2, MASTER_GARDENER_ABI, provider);
     const poolInfo = await gardener.poolInfo(poolId);
     
@@ -470,7 +470,7 @@ export async function getHeroStatsById(heroId) {
  */
 export async function getPetBonusesById(petId) {
   try {
-    const provider = new ethers.JsonRpcProvider(DFK_CHAIN_RPC);
+    const provider = getChainProvider('dfk');
     const petContract = new ethers.Contract(PETCORE_ADDRESS, PET_CORE_ABI, provider);
     
     const pet = await petContract.getPetV2(petId);
@@ -525,7 +525,7 @@ export async function getUserPoolPositions(userAddress) {
     } catch {
       normalizedAddress = ethers.getAddress(userAddress.toLowerCase());
     }
-    const provider = new ethers.JsonRpcProvider(DFK_CHAIN_RPC);
+    const provider = getChainProvider('dfk');
     const gardener = new ethers.Contract(MASTER_GARDENER_V2, MASTER_GARDENER_ABI, provider);
     
     const positions = [];
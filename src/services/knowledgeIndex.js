@@ -0,0 +1,508 @@
+// src/services/knowledgeIndex.js
+// Retrieval index over Hedge's game knowledge: knowledge/*.md and the combat codex
+// (combat_skills of validated classes + combat_keywords).
+//
+// Sources are split into chunks with a stable key and a content hash. Syncing a
+// source only embeds chunks that are new or changed, and deletes chunks that no
+// longer exist, so re-indexing after an edited markdown file or a codex sync run
+// is cheap. Vectors live in knowledge_chunks; search loads them into memory and
+// ranks by cosine similarity.
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { and, eq, inArray, notInArray, sql } from 'drizzle-orm';
+import { db } from '../../server/db.js';
+import { knowledgeChunks, combatSkills, combatKeywords, combatClassMeta } from '../../shared/schema.js';
+import { embed, getLLMConfig } from './llmProvider.js';
+
+const KNOWLEDGE_DIR = process.env.KNOWLEDGE_DIR || 'knowledge';
+const MAX_CHUNK_CHARS = 1200;
+const EMBED_BATCH_SIZE = 96;
+const DEFAULT_TOP_K = 5;
+const DEFAULT_MIN_SCORE = 0.25;
+const WATCH_DEBOUNCE_MS = 2000;
+
+let tablesReady = false;
+let cache = null;
+let syncInFlight = null;
+
+export async function ensureKnowledgeTables() {
+  if (tablesReady) return;
+
+  await db.execute(sql`
+    CREATE TABLE IF NOT EXISTS knowledge_chunks (
+      id SERIAL PRIMARY KEY,
+      source_type TEXT NOT NULL,
+      source_key TEXT NOT NULL,
+      chunk_key TEXT NOT NULL,
+      title TEXT NOT NULL,
+      content TEXT NOT NULL,
+      content_hash TEXT NOT NULL,
+      metadata JSON DEFAULT '{}'::json,
+      embedding JSON NOT NULL,
+      embedding_model TEXT NOT NULL,
+      token_count INTEGER NOT NULL DEFAULT 0,
+      updated_at TIMESTAMPTZ DEFAULT NOW() NOT NULL
+    )
+  `);
+  await db.execute(sql`CREATE UNIQUE INDEX IF NOT EXISTS knowledge_chunks_chunk_key_idx ON knowledge_chunks (source_type, chunk_key)`);
+  await db.execute(sql`CREATE INDEX IF NOT EXISTS knowledge_chunks_source_idx ON knowledge_chunks (source_type, source_key)`);
+
+  tablesReady = true;
+}
+
+function hashContent(text) {
+  return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+function slugify(text) {
+  return text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'section';
+}
+
+// ============================================================================
+// CHUNKING
+// ============================================================================
+
+function splitLongSection(body, maxChars) {
+  if (body.length <= maxChars) return [body];
+
+  const parts = [];
+  let current = '';
+  for (const paragraph of body.split(/\n\s*\n/)) {
+    if (current && current.length + paragraph.length + 2 > maxChars) {
+      parts.push(current);
+      current = '';
+    }
+    // A single oversized paragraph (long list/table) is cut on line boundaries
+    if (paragraph.length > maxChars) {
+      for (const line of paragraph.split('\n')) {
+        if (current && current.length + line.length + 1 > maxChars) {
+          parts.push(current);
+          current = '';
+        }
+        current = current ? `${current}\n${line}` : line;
+      }
+      continue;
+    }
+    current = current ? `${current}\n\n${paragraph}` : paragraph;
+  }
+  if (current) parts.push(current);
+  return parts;
+}
+
+/**
+ * Split a markdown document into heading-scoped chunks.
+ * Each chunk carries its heading breadcrumb so it embeds (and cites) with context.
+ *
+ * @param {string} text - Markdown source
+ * @param {string} file - Path used for keys and citations, e.g. 'knowledge/gardens.md'
+ * @returns {Array<{chunkKey: string, title: string, content: string, metadata: Object}>}
+ */
+export function chunkMarkdown(text, file, { maxChars = MAX_CHUNK_CHARS } = {}) {
+  const fileName = path.basename(file);
+  const headings = [];
+  const sections = [];
+  let current = { headings: [], line: 1, lines: [] };
+
+  const lines = text.split('\n');
+  lines.forEach((line, i) => {
+    const match = line.match(/^(#{1,6})\s+(.*?)\s*#*\s*$/);
+    if (!match) {
+      current.lines.push(line);
+      return;
+    }
+    sections.push(current);
+    const level = match[1].length;
+    headings.length = level - 1;
+    headings[level - 1] = match[2].replace(/\*\*/g, '');
+    current = { headings: headings.filter(Boolean), line: i + 1, lines: [] };
+  });
+  sections.push(current);
+
+  const chunks = [];
+  const seenKeys = new Map();
+  for (const section of sections) {
+    const body = section.lines.join('\n').trim();
+    if (!body) continue;
+
+    const headingPath = section.headings.join(' › ');
+    let baseKey = `${file}#${slugify(headingPath || 'intro')}`;
+    const seen = seenKeys.get(baseKey) || 0;
+    seenKeys.set(baseKey, seen + 1);
+    if (seen > 0) baseKey = `${baseKey}-${seen + 1}`;
+
+    const label = section.headings.slice(-2).join(' › ');
+    const parts = splitLongSection(body, maxChars);
+    parts.forEach((part, partIndex) => {
+      chunks.push({
+        chunkKey: parts.length > 1 ? `${baseKey}#${partIndex + 1}` : baseKey,
+        title: label ? `${fileName} › ${label}` : fileName,
+        content: headingPath ? `${headingPath}\n\n${part}` : part,
+        metadata: { file, headings: section.headings, line: section.line, part: partIndex + 1, parts: parts.length },
+      });
+    });
+  }
+  return chunks;
+}
+
+/**
+ * Chunks for the combat codex: one per skill of each validated class, one per keyword.
+ */
+export function buildCodexChunks({ skills = [], keywords = [] }) {
+  const chunks = [];
+
+  for (const skill of skills) {
+    const details = [
+      skill.discipline ? `Discipline: ${skill.discipline}` : null,
+      skill.tier !== null && skill.tier !== undefined ? `Tier: ${skill.tier}` : null,
+      skill.skillPoints !== null && skill.skillPoints !== undefined ? `Skill points: ${skill.skillPoints}` : null,
+      skill.range !== null && skill.range !== undefined ? `Range: ${skill.range}` : null,
+      skill.manaCost ? `Mana cost: ${skill.manaCost}` : null,
+      skill.manaGrowth ? `Mana growth: ${skill.manaGrowth}` : null,
+      skill.dod ? `DoD: ${skill.dod}` : null,
+    ].filter(Boolean).join(' | ');
+
+    chunks.push({
+      sourceKey: skill.class,
+      chunkKey: `${skill.class}:${skill.ability}`,
+      title: `Combat Codex › ${skill.class}: ${skill.ability}`,
+      content: `${skill.class} ability "${skill.ability}"\n${details}\n\n${skill.descriptionRaw || ''}`.trim(),
+      metadata: { class: skill.class, ability: skill.ability, discipline: skill.discipline, sourceUrl: skill.sourceUrl },
+    });
+  }
+
+  for (const keyword of keywords) {
+    chunks.push({
+      sourceKey: 'keywords',
+      chunkKey: `keyword:${keyword.keyword}`,
+      title: `Combat Codex › ${keyword.keyword}`,
+      content: `Combat keyword "${keyword.keyword}": ${keyword.definition}`,
+      metadata: { keyword: keyword.keyword, sourceUrl: keyword.sourceUrl },
+    });
+  }
+
+  return chunks;
+}
+
+// ============================================================================
+// INCREMENTAL SYNC
+// ============================================================================
+
+async function embedTexts(texts) {
+  const vectors = [];
+  for (let i = 0; i < texts.length; i += EMBED_BATCH_SIZE) {
+    const batch = texts.slice(i, i + EMBED_BATCH_SIZE);
+    const result = await embed('knowledge_embedding', batch);
+    vectors.push(...result.vectors);
+  }
+  return vectors;
+}
+
+/**
+ * Bring one source in line with its current chunks.
+ * @returns {Promise<{added: number, updated: number, removed: number, unchanged: number}>}
+ */
+export async function syncSource(sourceType, sourceKey, chunks) {
+  await ensureKnowledgeTables();
+  const { model } = getLLMConfig('knowledge_embedding');
+
+  const existing = await db
+    .select({
+      id: knowledgeChunks.id,
+      chunkKey: knowledgeChunks.chunkKey,
+      contentHash: knowledgeChunks.contentHash,
+      embeddingModel: knowledgeChunks.embeddingModel,
+    })
+    .from(knowledgeChunks)
+    .where(and(eq(knowledgeChunks.sourceType, sourceType), eq(knowledgeChunks.sourceKey, sourceKey)));
+  const existingByKey = new Map(existing.map(row => [row.chunkKey, row]));
+
+  const stats = { added: 0, updated: 0, removed: 0, unchanged: 0 };
+  const pending = [];
+  for (const chunk of chunks) {
+    const contentHash = hashContent(chunk.content);
+    const row = existingByKey.get(chunk.chunkKey);
+    if (row && row.contentHash === contentHash && row.embeddingModel === model) {
+      stats.unchanged++;
+      continue;
+    }
+    row ? stats.updated++ : stats.added++;
+    pending.push({ ...chunk, contentHash });
+  }
+
+  const vectors = await embedTexts(pending.map(c => c.content));
+  for (let i = 0; i < pending.length; i++) {
+    const chunk = pending[i];
+    const values = {
+      sourceType,
+      sourceKey,
+      chunkKey: chunk.chunkKey,
+      title: chunk.title,
+      content: chunk.content,
+      contentHash: chunk.contentHash,
+      metadata: chunk.metadata || {},
+      embedding: vectors[i],
+      embeddingModel: model,
+      tokenCount: Math.ceil(chunk.content.length / 4),
+      updatedAt: new Date(),
+    };
+    await db
+      .insert(knowledgeChunks)
+      .values(values)
+      .onConflictDoUpdate({ target: [knowledgeChunks.sourceType, knowledgeChunks.chunkKey], set: values });
+  }
+
+  const liveKeys = new Set(chunks.map(c => c.chunkKey));
+  const staleIds = existing.filter(row => !liveKeys.has(row.chunkKey)).map(row => row.id);
+  if (staleIds.length > 0) {
+    await db.delete(knowledgeChunks).where(inArray(knowledgeChunks.id, staleIds));
+    stats.removed = staleIds.length;
+  }
+
+  if (pending.length > 0 || staleIds.length > 0) {
+    cache = null;
+  }
+  return stats;
+}
+
+async function removeOtherSources(sourceType, keepSourceKeys) {
+  const where = keepSourceKeys.length > 0
+    ? and(eq(knowledgeChunks.sourceType, sourceType), notInArray(knowledgeChunks.sourceKey, keepSourceKeys))
+    : eq(knowledgeChunks.sourceType, sourceType);
+  const removed = await db.delete(knowledgeChunks).where(where).returning({ id: knowledgeChunks.id });
+  if (removed.length > 0) cache = null;
+  return removed.length;
+}
+
+function addStats(total, stats) {
+  for (const key of Object.keys(stats)) total[key] = (total[key] || 0) + stats[key];
+  return total;
+}
+
+/**
+ * Re-index knowledge/*.md (changed files only re-embed their changed chunks).
+ */
+export async function syncMarkdownKnowledge({ dir = KNOWLEDGE_DIR } = {}) {
+  await ensureKnowledgeTables();
+  const files = fs.readdirSync(dir).filter(f => f.endsWith('.md')).map(f => path.join(dir, f));
+  const total = { added: 0, updated: 0, removed: 0, unchanged: 0 };
+
+  for (const file of files) {
+    const chunks = chunkMarkdown(fs.readFileSync(file, 'utf8'), file);
+    addStats(total, await syncSource('markdown', file, chunks));
+  }
+  total.removed += await removeOtherSources('markdown', files);
+
+  console.log(`[KnowledgeIndex] Markdown: ${files.length} files, +${total.added} ~${total.updated} -${total.removed} (${total.unchanged} unchanged)`);
+  return total;
+}
+
+/**
+ * Re-index the combat codex. Only classes an admin has validated are indexed,
+ * so Hedge never retrieves skills for classes it shouldn't discuss yet.
+ */
+export async function syncCombatCodexKnowledge() {
+  await ensureKnowledgeTables();
+
+  const validated = await db
+    .select({ class: combatClassMeta.class })
+    .from(combatClassMeta)
+    .where(eq(combatClassMeta.validated, true));
+  const classes = validated.map(row => row.class);
+
+  const skills = classes.length > 0
+    ? await db.select().from(combatSkills).where(inArray(combatSkills.class, classes))
+    : [];
+  const keywords = await db.select().from(combatKeywords);
+
+  // The ingestor appends skill rows on every run; keep the newest row per class/ability
+  const latestSkills = new Map();
+  for (const skill of skills) {
+    const key = `${skill.class}:${skill.ability}`;
+    const seen = latestSkills.get(key);
+    if (!seen || new Date(skill.lastSeenAt) > new Date(seen.lastSeenAt)) latestSkills.set(key, skill);
+  }
+
+  const chunks = buildCodexChunks({ skills: [...latestSkills.values()], keywords });
+  const bySource = new Map();
+  for (const chunk of chunks) {
+    if (!bySource.has(chunk.sourceKey)) bySource.set(chunk.sourceKey, []);
+    bySource.get(chunk.sourceKey).push(chunk);
+  }
+
+  const total = { added: 0, updated: 0, removed: 0, unchanged: 0 };
+  for (const [sourceKey, sourceChunks] of bySource) {
+    const sourceType = sourceKey === 'keywords' ? 'combat_keyword' : 'combat_skill';
+    addStats(total, await syncSource(sourceType, sourceKey, sourceChunks));
+  }
+  total.removed += await removeOtherSources('combat_skill', [...bySource.keys()].filter(k => k !== 'keywords'));
+  if (!bySource.has('keywords')) total.removed += await removeOtherSources('combat_keyword', []);
+
+  console.log(`[KnowledgeIndex] Combat codex: ${classes.length} validated classes, +${total.added} ~${total.updated} -${total.removed} (${total.unchanged} unchanged)`);
+  return total;
+}
+
+/**
+ * Re-index everything. Concurrent callers share the in-flight sync.
+ */
+export async function syncKnowledgeIndex() {
+  if (!syncInFlight) {
+    syncInFlight = (async () => {
+      try {
+        const markdown = await syncMarkdownKnowledge();
+        const codex = await syncCombatCodexKnowledge();
+        return { markdown, codex };
+      } finally {
+        syncInFlight = null;
+      }
+    })();
+  }
+  return syncInFlight;
+}
+
+/**
+ * Re-index markdown when files in knowledge/ change (debounced).
+ */
+export function watchKnowledgeFiles({ dir = KNOWLEDGE_DIR } = {}) {
+  let timer = null;
+  const watcher = fs.watch(dir, (eventType, fileName) => {
+    if (fileName && !fileName.endsWith('.md')) return;
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      syncMarkdownKnowledge({ dir }).catch(err => {
+        console.error('[KnowledgeIndex] Markdown re-index failed:', err.message);
+      });
+    }, WATCH_DEBOUNCE_MS);
+  });
+  watcher.on('error', err => console.warn('[KnowledgeIndex] Watcher error:', err.message));
+  return watcher;
+}
+
+// ============================================================================
+// RETRIEVAL
+// ============================================================================
+
+function norm(vector) {
+  let sum = 0;
+  for (let i = 0; i < vector.length; i++) sum += vector[i] * vector[i];
+  return Math.sqrt(sum);
+}
+
+async function loadIndex() {
+  if (cache) return cache;
+  await ensureKnowledgeTables();
+  const { model } = getLLMConfig('knowledge_embedding');
+
+  const rows = await db
+    .select()
+    .from(knowledgeChunks)
+    .where(eq(knowledgeChunks.embeddingModel, model));
+
+  cache = {
+    model,
+    entries: rows.map(row => {
+      const vector = Float32Array.from(row.embedding);
+      return { row, vector, norm: norm(vector) };
+    }),
+  };
+  return cache;
+}
+
+/**
+ * Most relevant chunks for a query.
+ *
+ * @param {string} query
+ * @param {Object} [options]
+ * @param {number} [options.topK=5]
+ * @param {number} [options.minScore=0.25] - Cosine similarity floor
+ * @param {string[]} [options.sourceTypes] - Restrict to 'markdown' / 'combat_skill' / 'combat_keyword'
+ * @returns {Promise<Array<{id, title, content, score, sourceType, sourceKey, metadata}>>}
+ */
+export async function searchKnowledge(query, { topK = DEFAULT_TOP_K, minScore = DEFAULT_MIN_SCORE, sourceTypes = null } = {}) {
+  const index = await loadIndex();
+  if (index.entries.length === 0 || !query?.trim()) return [];
+
+  const { vectors: [queryVector] } = await embed('knowledge_embedding', [query]);
+  const queryNorm = norm(queryVector) || 1;
+
+  const scored = [];
+  for (const { row, vector, norm: rowNorm } of index.entries) {
+    if (sourceTypes && !sourceTypes.includes(row.sourceType)) continue;
+    if (vector.length !== queryVector.length || rowNorm === 0) continue;
+    let dot = 0;
+    for (let i = 0; i < vector.length; i++) dot += vector[i] * queryVector[i];
+    const score = dot / (rowNorm * queryNorm);
+    if (score >= minScore) scored.push({ row, score });
+  }
+
+  return scored
+    .sort((a, b) => b.score - a.score)
+    .slice(0, topK)
+    .map(({ row, score }) => ({
+      id: row.id,
+      title: row.title,
+      content: row.content,
+      score: Number(score.toFixed(4)),
+      sourceType: row.sourceType,
+      sourceKey: row.sourceKey,
+      metadata: row.metadata,
+    }));
+}
+
+/**
+ * Retrieved knowledge formatted for a system message, with [K1]-style labels
+ * the model is asked to cite.
+ *
+ * @returns {Promise<{available: boolean, context: string|null, citations: Array<{label: string, title: string}>}>}
+ *   available is false when the index is empty (callers can fall back to the full knowledge base)
+ */
+export async function buildKnowledgeContext(query, options = {}) {
+  const index = await loadIndex();
+  if (index.entries.length === 0) {
+    return { available: false, context: null, citations: [] };
+  }
+
+  const chunks = await searchKnowledge(query, options);
+  if (chunks.length === 0) {
+    return { available: true, context: null, citations: [] };
+  }
+
+  const citations = chunks.map((chunk, i) => ({ label: `K${i + 1}`, title: chunk.title }));
+  const context =
+    'Relevant DeFi Kingdoms knowledge for this question. Base game facts on these excerpts and ' +
+    'cite the tag (e.g. [K1]) after any fact taken from one. If they do not cover the question, say so.\n\n' +
+    chunks.map((chunk, i) => `[K${i + 1}] ${chunk.title}\n${chunk.content}`).join('\n\n---\n\n');
+
+  return { available: true, context, citations };
+}
+
+/**
+ * Sources line for the excerpts an answer actually cited.
+ */
+export function formatKnowledgeCitations(answer, citations) {
+  const cited = citations.filter(c => answer.includes(`[${c.label}]`));
+  if (cited.length === 0) return '';
+  return `\n\n📚 ${cited.map(c => `[${c.label}] ${c.title}`).join(' · ')}`;
+}
+
+export async function getKnowledgeIndexStatus() {
+  await ensureKnowledgeTables();
+  const rows = await db
+    .select({
+      sourceType: knowledgeChunks.sourceType,
+      sourceKey: knowledgeChunks.sourceKey,
+      embeddingModel: knowledgeChunks.embeddingModel,
+      chunks: sql`count(*)::int`,
+      tokens: sql`coalesce(sum(${knowledgeChunks.tokenCount}), 0)::int`,
+      updatedAt: sql`max(${knowledgeChunks.updatedAt})`,
+    })
+    .from(knowledgeChunks)
+    .groupBy(knowledgeChunks.sourceType, knowledgeChunks.sourceKey, knowledgeChunks.embeddingModel);
+
+  return {
+    embeddingModel: getLLMConfig('knowledge_embedding').model,
+    totalChunks: rows.reduce((sum, r) => sum + r.chunks, 0),
+    sources: rows,
+  };
+}
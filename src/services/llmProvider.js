@@ -0,0 +1,407 @@
+// src/services/llmProvider.js
+// LLM provider abstraction: one chat/tool-calling/streaming interface over
+// interchangeable backends.
+//
+// Providers:
+//   openai   - OpenAI API (default)
+//   local    - any OpenAI-compatible server (llama.cpp, vLLM, Ollama) at LLM_LOCAL_BASE_URL
+//   scripted - deterministic canned replies for tests and offline CI (no network)
+//
+// Each feature (persona chat, matchup analysis, price narratives, ...) resolves its
+// own provider and model, so cheaper or local models can be used where quality
+// matters less. Resolution order for a feature:
+//   LLM_<FEATURE>_PROVIDER / LLM_<FEATURE>_MODEL  (e.g. LLM_MATCHUP_ANALYSIS_MODEL)
+//   LLM_PROVIDER                                  (global provider)
+//   the feature default below
+//
+// Messages, tools and tool calls use the OpenAI chat format on every provider.
+// embed() returns one vector per input text; the scripted provider hashes words
+// into a fixed-size vector so retrieval tests run without a model.
+//
+// Usage accounting: every call's normalized token usage is priced (MODEL_PRICES)
+// and reported to onUsage() listeners together with the active usage context
+// (withUsageContext - player, query type, query ref), so callers don't have to
+// thread ids through every helper that talks to a model.
+
+import fs from 'fs';
+import { AsyncLocalStorage } from 'async_hooks';
+import OpenAI from 'openai';
+
+export const LLM_FEATURES = {
+  persona_chat: { model: () => process.env.OPENAI_MODEL || 'gpt-4o-mini' },  // DMs, /npc, /api/chat
+  agent: { model: () => process.env.OPENAI_MODEL || 'gpt-4o-mini' },         // intent-router tool calling
+  ai_consultant: { model: () => process.env.OPENAI_MODEL || 'gpt-4o-mini' }, // admin AI consultant page
+  conversation_summary: { model: () => 'gpt-4o-mini' },
+  matchup_analysis: { model: () => process.env.OPENAI_MODEL || 'gpt-4o-mini' }, // tournament predictions, bout analysis, live coach, player tips
+  hunt_analysis: { model: () => process.env.OPENAI_MODEL || 'gpt-4o-mini' },    // PvE hunt / encounter analysis
+  price_narrative: { model: () => process.env.OPENAI_MODEL || 'gpt-4o-mini' },  // hero price narratives and flip summaries
+  knowledge_embedding: { model: () => 'text-embedding-3-small', embedding: true },  // knowledge base retrieval index
+};
+
+// OpenAI list prices, USD per 1M tokens. Dated snapshots (gpt-4o-mini-2024-07-18)
+// match their base name. Local and scripted backends cost nothing.
+export const MODEL_PRICES = {
+  'gpt-4o-mini': { input: 0.15, output: 0.60 },
+  'gpt-4o': { input: 2.50, output: 10.00 },
+  'gpt-4.1-nano': { input: 0.10, output: 0.40 },
+  'gpt-4.1-mini': { input: 0.40, output: 1.60 },
+  'gpt-4.1': { input: 2.00, output: 8.00 },
+  'text-embedding-3-small': { input: 0.02, output: 0 },
+  'text-embedding-3-large': { input: 0.13, output: 0 },
+};
+
+const SCRIPTED_EMBEDDING_DIMS = 256;
+
+const providers = new Map();
+let providerOverride = null;
+const usageContext = new AsyncLocalStorage();
+const usageListeners = new Set();
+
+function envFor(feature, key) {
+  return process.env[`LLM_${feature.toUpperCase()}_${key}`];
+}
+
+function normalizeUsage(usage) {
+  if (!usage) return null;
+  return {
+    promptTokens: usage.prompt_tokens ?? 0,
+    completionTokens: usage.completion_tokens ?? 0,
+    totalTokens: usage.total_tokens ?? ((usage.prompt_tokens ?? 0) + (usage.completion_tokens ?? 0)),
+  };
+}
+
+/**
+ * Price a call's usage in USD. Returns null for an OpenAI model without a known price.
+ */
+export function computeCostUsd(provider, model, usage) {
+  if (!usage) return 0;
+  if (provider !== 'openai') return 0;
+  const key = Object.keys(MODEL_PRICES)
+    .filter(name => model === name || model?.startsWith(`${name}-`))
+    .sort((a, b) => b.length - a.length)[0];
+  if (!key) return null;
+  const price = MODEL_PRICES[key];
+  return (usage.promptTokens * price.input + usage.completionTokens * price.output) / 1_000_000;
+}
+
+/**
+ * OpenAI chat completions.
+ */
+export class OpenAIProvider {
+  constructor({ name = 'openai', apiKey = process.env.OPENAI_API_KEY, baseURL } = {}) {
+    this.name = name;
+    this.client = new OpenAI({ apiKey, ...(baseURL ? { baseURL } : {}) });
+  }
+
+  buildRequest({ model, messages, tools, toolChoice, temperature, maxTokens, responseFormat }) {
+    const request = { model, messages };
+    if (tools?.length) {
+      request.tools = tools;
+      request.tool_choice = toolChoice || 'auto';
+    }
+    if (temperature !== undefined) request.temperature = temperature;
+    if (maxTokens !== undefined) request.max_completion_tokens = maxTokens;
+    if (responseFormat) request.response_format = responseFormat;
+    return request;
+  }
+
+  async chat(params) {
+    const completion = await this.client.chat.completions.create(this.buildRequest(params));
+    const message = completion.choices?.[0]?.message || { role: 'assistant', content: '' };
+    return {
+      content: message.content?.trim() ?? '',
+      message,
+      toolCalls: message.tool_calls || [],
+      finishReason: completion.choices?.[0]?.finish_reason ?? null,
+      usage: normalizeUsage(completion.usage),
+      model: completion.model || params.model,
+    };
+  }
+
+  async ping() {
+    await this.client.models.list();
+  }
+
+  async embed({ model, input }) {
+    const response = await this.client.embeddings.create({ model, input });
+    return {
+      vectors: response.data.sort((a, b) => a.index - b.index).map(d => d.embedding),
+      usage: normalizeUsage(response.usage),
+      model: response.model || model,
+    };
+  }
+
+  async *stream(params) {
+    const stream = await this.client.chat.completions.create({
+      ...this.buildRequest(params),
+      stream: true,
+      stream_options: { include_usage: true },
+    });
+    for await (const chunk of stream) {
+      const delta = chunk.choices?.[0]?.delta?.content;
+      if (delta) yield { delta };
+      if (chunk.usage) yield { usage: normalizeUsage(chunk.usage) };
+    }
+  }
+}
+
+/**
+ * OpenAI-compatible local server (llama.cpp server, vLLM, Ollama's /v1).
+ * These take max_tokens rather than max_completion_tokens and usually ignore stream_options.
+ */
+export class OpenAICompatibleProvider extends OpenAIProvider {
+  constructor({
+    baseURL = process.env.LLM_LOCAL_BASE_URL || 'http://localhost:8080/v1',
+    apiKey = process.env.LLM_LOCAL_API_KEY || 'local',
+  } = {}) {
+    super({ name: 'local', apiKey, baseURL });
+    this.baseURL = baseURL;
+  }
+
+  buildRequest(params) {
+    const request = super.buildRequest({ ...params, maxTokens: undefined });
+    if (params.maxTokens !== undefined) request.max_tokens = params.maxTokens;
+    return request;
+  }
+
+  async *stream(params) {
+    const stream = await this.client.chat.completions.create({ ...this.buildRequest(params), stream: true });
+    for await (const chunk of stream) {
+      const delta = chunk.choices?.[0]?.delta?.content;
+      if (delta) yield { delta };
+      if (chunk.usage) yield { usage: normalizeUsage(chunk.usage) };
+    }
+  }
+}
+
+/**
+ * Deterministic provider for tests and offline runs.
+ *
+ * Replies come from, in order:
+ *   1. queued responses (enqueue()), consumed one per call
+ *   2. rules [{ match, reply }] - the first rule whose regex matches the last user message
+ *   3. an echo of the feature and the last user message
+ * A reply is a string or { content, tool_calls }. Every request is kept in `calls`.
+ */
+export class ScriptedProvider {
+  constructor({ responses = [], rules = [] } = {}) {
+    this.name = 'scripted';
+    this.queue = [...responses];
+    this.rules = rules.map(rule => ({ ...rule, pattern: new RegExp(rule.match, 'i') }));
+    this.calls = [];
+  }
+
+  static fromFile(filePath) {
+    const script = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    return new ScriptedProvider(script);
+  }
+
+  async ping() {}
+
+  enqueue(...responses) {
+    this.queue.push(...responses);
+    return this;
+  }
+
+  nextReply(params) {
+    if (this.queue.length > 0) return this.queue.shift();
+
+    const lastUser = [...params.messages].reverse().find(m => m.role === 'user');
+    const text = typeof lastUser?.content === 'string' ? lastUser.content : '';
+    const rule = this.rules.find(r => r.pattern.test(text));
+    if (rule) return rule.reply;
+
+    return `[scripted:${params.feature}] ${text.slice(0, 200)}`;
+  }
+
+  async chat(params) {
+    this.calls.push(params);
+    const reply = this.nextReply(params);
+    const message = typeof reply === 'string'
+      ? { role: 'assistant', content: reply }
+      : { role: 'assistant', content: reply.content ?? null, ...(reply.tool_calls ? { tool_calls: reply.tool_calls } : {}) };
+
+    const promptChars = params.messages.reduce((sum, m) => sum + (typeof m.content === 'string' ? m.content.length : 0), 0);
+    const completionTokens = Math.ceil((message.content || '').length / 4);
+    const promptTokens = Math.ceil(promptChars / 4);
+
+    return {
+      content: message.content?.trim() ?? '',
+      message,
+      toolCalls: message.tool_calls || [],
+      finishReason: message.tool_calls ? 'tool_calls' : 'stop',
+      usage: { promptTokens, completionTokens, totalTokens: promptTokens + completionTokens },
+      model: params.model,
+    };
+  }
+
+  async embed({ model, input }) {
+    const vectors = input.map((text) => {
+      const vector = new Array(SCRIPTED_EMBEDDING_DIMS).fill(0);
+      for (const word of text.toLowerCase().match(/[a-z0-9]+/g) || []) {
+        let hash = 0;
+        for (let i = 0; i < word.length; i++) hash = (hash * 31 + word.charCodeAt(i)) >>> 0;
+        vector[hash % SCRIPTED_EMBEDDING_DIMS] += 1;
+      }
+      return vector;
+    });
+    const totalTokens = input.reduce((sum, text) => sum + Math.ceil(text.length / 4), 0);
+    return { vectors, usage: { promptTokens: totalTokens, completionTokens: 0, totalTokens }, model };
+  }
+
+  async *stream(params) {
+    const result = await this.chat(params);
+    for (const piece of result.content.match(/\S+\s*/g) || []) {
+      yield { delta: piece };
+    }
+    yield { usage: result.usage };
+  }
+}
+
+function createProvider(name) {
+  switch (name) {
+    case 'openai':
+      return new OpenAIProvider();
+    case 'local':
+      return new OpenAICompatibleProvider();
+    case 'scripted':
+      return process.env.LLM_SCRIPT_PATH
+        ? ScriptedProvider.fromFile(process.env.LLM_SCRIPT_PATH)
+        : new ScriptedProvider();
+    default:
+      throw new Error(`Unknown LLM provider: ${name}`);
+  }
+}
+
+export function getProvider(name) {
+  if (!providers.has(name)) {
+    providers.set(name, createProvider(name));
+  }
+  return providers.get(name);
+}
+
+/**
+ * Route every feature to one provider instance (tests). Pass null to clear.
+ */
+export function setProviderOverride(provider) {
+  providerOverride = provider;
+}
+
+function localModel(defaults) {
+  const model = defaults.embedding ? process.env.LLM_LOCAL_EMBEDDING_MODEL : process.env.LLM_LOCAL_MODEL;
+  return model || 'local-model';
+}
+
+/**
+ * Provider name and model a feature will use.
+ * @param {string} feature - Key of LLM_FEATURES
+ */
+export function getLLMConfig(feature) {
+  const defaults = LLM_FEATURES[feature];
+  if (!defaults) {
+    throw new Error(`Unknown LLM feature: ${feature}`);
+  }
+
+  const provider = providerOverride?.name || envFor(feature, 'PROVIDER') || process.env.LLM_PROVIDER || 'openai';
+  const model = envFor(feature, 'MODEL')
+    || (provider === 'local' ? localModel(defaults) : defaults.model());
+
+  return { feature, provider, model };
+}
+
+function resolve(feature) {
+  const config = getLLMConfig(feature);
+  return { config, provider: providerOverride || getProvider(config.provider) };
+}
+
+/**
+ * Run fn with a usage context: every model call inside it (however deeply nested)
+ * is attributed to it and appended to context.calls.
+ *
+ * @param {Object} context - { playerId, discordId, queryType, queryRef }
+ * @param {Function} fn
+ */
+export function withUsageContext(context, fn) {
+  return usageContext.run({ ...context, calls: [] }, fn);
+}
+
+export function getUsageContext() {
+  return usageContext.getStore() || null;
+}
+
+/**
+ * Subscribe to usage events. Returns an unsubscribe function.
+ * @param {Function} listener - ({ feature, provider, model, usage, costUsd, context }) => void
+ */
+export function onUsage(listener) {
+  usageListeners.add(listener);
+  return () => usageListeners.delete(listener);
+}
+
+function reportUsage(feature, provider, model, usage) {
+  if (!usage) return;
+  const costUsd = computeCostUsd(provider, model, usage);
+  const context = getUsageContext();
+  const event = { feature, provider, model, usage, costUsd };
+  context?.calls.push(event);
+  for (const listener of usageListeners) {
+    try {
+      listener({ ...event, context });
+    } catch (err) {
+      console.warn('[LLM] Usage listener failed:', err.message);
+    }
+  }
+}
+
+/**
+ * Chat completion (with optional tool calling) for a feature.
+ *
+ * @param {string} feature - Key of LLM_FEATURES
+ * @param {Object} params
+ * @param {Array} params.messages - OpenAI-format messages
+ * @param {Array} [params.tools] - OpenAI-format tool definitions
+ * @param {string|Object} [params.toolChoice]
+ * @param {number} [params.temperature]
+ * @param {number} [params.maxTokens]
+ * @param {Object} [params.responseFormat]
+ * @returns {Promise<{content: string, message: Object, toolCalls: Array, finishReason: string, usage: Object, model: string, provider: string}>}
+ */
+export async function chat(feature, params) {
+  const { config, provider } = resolve(feature);
+  const result = await provider.chat({ ...params, feature, model: params.model || config.model });
+  reportUsage(feature, provider.name, result.model, result.usage);
+  return { ...result, provider: provider.name };
+}
+
+/**
+ * Embed texts with a feature's embedding model.
+ * @param {string} feature - Key of LLM_FEATURES (e.g. 'knowledge_embedding')
+ * @param {string[]} input
+ * @returns {Promise<{vectors: number[][], usage: Object, model: string, provider: string}>}
+ */
+export async function embed(feature, input) {
+  const { config, provider } = resolve(feature);
+  const result = await provider.embed({ feature, model: config.model, input });
+  reportUsage(feature, provider.name, result.model, result.usage);
+  return { ...result, provider: provider.name };
+}
+
+/**
+ * Check that the feature's backend is reachable (health checks).
+ */
+export async function pingLLM(feature) {
+  await resolve(feature).provider.ping();
+}
+
+/**
+ * Streaming chat completion for a feature. Yields { delta } text chunks and,
+ * when the backend reports it, a final { usage } item.
+ */
+export async function* streamChat(feature, params) {
+  const { config, provider } = resolve(feature);
+  const model = params.model || config.model;
+  for await (const item of provider.stream({ ...params, feature, model })) {
+    if (item.usage) reportUsage(feature, provider.name, model, item.usage);
+    yield item;
+  }
+}
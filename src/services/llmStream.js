@@ -0,0 +1,216 @@
+// src/services/llmStream.js
+// Delivery of streamed LLM output (llmProvider.streamChat) to Discord and the web dashboard.
+//
+// Discord: DiscordStreamer turns a growing answer into progressive message edits.
+// Edits are serialized and throttled (channel edits are rate limited to roughly
+// five per five seconds), and once the text passes Discord's 2000-character limit
+// it continues in follow-up messages (deleted again if the final text is shorter).
+//
+// Web: openEventStream() sets up a Server-Sent Events response; the same deltas
+// are written as `delta` events followed by a `done` (or `error`) event.
+
+export const DISCORD_MESSAGE_LIMIT = 2000;
+const EDIT_INTERVAL_MS = parseInt(process.env.DISCORD_STREAM_EDIT_MS || '1200', 10);
+const STREAMING_CURSOR = ' ▌';
+
+/**
+ * Split text into Discord-sized messages, preferring paragraph, line and word boundaries.
+ * @param {string} text
+ * @param {number} [limit=2000]
+ * @returns {string[]}
+ */
+export function splitDiscordMessage(text, limit = DISCORD_MESSAGE_LIMIT) {
+  const pieces = [];
+  let rest = text;
+
+  while (rest.length > limit) {
+    const window = rest.slice(0, limit);
+    // Don't cut in the first half of a message just to land on a boundary
+    const minCut = Math.floor(limit / 2);
+    let cut = window.lastIndexOf('\n\n');
+    if (cut < minCut) cut = window.lastIndexOf('\n');
+    if (cut < minCut) cut = window.lastIndexOf(' ');
+    if (cut < minCut) cut = limit;
+
+    pieces.push(rest.slice(0, cut).trimEnd());
+    rest = rest.slice(cut).replace(/^\s+/, '');
+  }
+  if (rest.length > 0 || pieces.length === 0) pieces.push(rest);
+  return pieces;
+}
+
+/**
+ * Stream target for a deferred slash command: the first message is the
+ * interaction reply, overflow goes to follow-ups.
+ */
+export function interactionTarget(interaction) {
+  return {
+    start: content => interaction.editReply(content),
+    continue: content => interaction.followUp(content),
+    edit: (message, content, index) => index === 0
+      ? interaction.editReply(content)
+      : interaction.editReply({ message, content }),
+    remove: message => interaction.deleteReply(message),
+  };
+}
+
+/**
+ * Stream target for replying to a user's message (DMs): the first message is a
+ * reply, overflow is sent to the same channel.
+ */
+export function messageReplyTarget(userMessage) {
+  return {
+    start: content => userMessage.reply(content),
+    continue: content => userMessage.channel.send(content),
+    edit: (message, content) => message.edit(content),
+    remove: message => message.delete(),
+  };
+}
+
+/**
+ * Progressive Discord message for a streamed answer.
+ *
+ *   const streamer = new DiscordStreamer(interactionTarget(interaction));
+ *   for await (const { delta } of streamChat(...)) streamer.update(text += delta ?? '');
+ *   await streamer.finish(text);
+ */
+export class DiscordStreamer {
+  constructor(target, { intervalMs = EDIT_INTERVAL_MS, limit = DISCORD_MESSAGE_LIMIT } = {}) {
+    this.target = target;
+    this.intervalMs = intervalMs;
+    this.limit = limit;
+    this.text = '';
+    this.final = false;
+    this.messages = [];
+    this.sentContents = [];
+    this.sentText = null;
+    this.lastFlushAt = 0;
+    this.timer = null;
+    this.flushing = null;
+  }
+
+  /**
+   * Set the answer so far. Edits are coalesced; only the latest text is sent.
+   */
+  update(text) {
+    if (this.final) return;
+    this.text = text;
+    this.schedule();
+  }
+
+  schedule() {
+    if (this.timer || this.flushing) return;
+    const wait = Math.max(0, this.lastFlushAt + this.intervalMs - Date.now());
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.flushing = this.flush().finally(() => {
+        this.flushing = null;
+        if (!this.final && this.sentText !== this.text) this.schedule();
+      });
+    }, wait);
+  }
+
+  async flush() {
+    const text = this.text;
+    const display = this.final ? text : text + STREAMING_CURSOR;
+    const pieces = splitDiscordMessage(display.trim() ? display : '…', this.limit - STREAMING_CURSOR.length);
+
+    for (let i = 0; i < pieces.length; i++) {
+      if (this.sentContents[i] === pieces[i]) continue;
+      try {
+        if (i < this.messages.length) {
+          await this.target.edit(this.messages[i], pieces[i], i);
+        } else {
+          const sent = await (i === 0 ? this.target.start(pieces[i]) : this.target.continue(pieces[i]));
+          this.messages.push(sent);
+        }
+        this.sentContents[i] = pieces[i];
+      } catch (err) {
+        // A dropped intermediate edit is fine; the next flush resends the latest text
+        console.warn(`[LLMStream] Discord update failed (message ${i + 1}):`, err.message);
+        if (i >= this.messages.length) break;
+      }
+    }
+
+    // A shorter text (usually the final answer replacing a longer draft) leaves
+    // overflow messages behind; delete them so only the answer stays visible
+    while (this.messages.length > pieces.length) {
+      const i = this.messages.length - 1;
+      try {
+        await this.target.remove(this.messages[i], i);
+      } catch (err) {
+        console.warn(`[LLMStream] Discord delete failed (message ${i + 1}):`, err.message);
+        break;
+      }
+      this.messages.pop();
+      this.sentContents.pop();
+    }
+
+    this.sentText = text;
+    this.lastFlushAt = Date.now();
+  }
+
+  /**
+   * Send the complete answer (without the typing cursor) and stop streaming.
+   * @returns {Promise<Array>} The Discord messages holding the answer
+   */
+  async finish(text = this.text) {
+    this.final = true;
+    this.text = text;
+    clearTimeout(this.timer);
+    this.timer = null;
+    if (this.flushing) await this.flushing;
+    await this.flush();
+    return this.messages;
+  }
+}
+
+/**
+ * Start a Server-Sent Events response.
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @returns {{send: (event: string, data: any) => void, end: () => void, isClosed: () => boolean}}
+ */
+export function openEventStream(req, res) {
+  let closed = false;
+  req.on('close', () => { closed = true; });
+
+  res.status(200).set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  res.flushHeaders();
+
+  return {
+    send(event, data) {
+      if (closed) return;
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    },
+    end() {
+      if (!closed) res.end();
+      closed = true;
+    },
+    isClosed: () => closed,
+  };
+}
+
+/**
+ * Relay an llmProvider.streamChat() stream to an SSE client.
+ * Emits `delta` events ({ text }) and returns the full text and usage; stops
+ * reading early if the client disconnects.
+ */
+export async function pipeStreamToEvents(stream, events) {
+  let text = '';
+  let usage = null;
+  for await (const item of stream) {
+    if (events.isClosed()) break;
+    if (item.delta) {
+      text += item.delta;
+      events.send('delta', { text: item.delta });
+    }
+    if (item.usage) usage = item.usage;
+  }
+  return { text, usage };
+}
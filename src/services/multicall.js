@@ -0,0 +1,189 @@
+// src/services/multicall.js
+// Multicall3 batching for contract reads.
+//
+// Reads issued through batchCall()/batched() in the same tick are queued and
+// sent as one Multicall3 tryAggregate(false, ...) eth_call per chain and block tag.
+// Each read resolves or rejects on its own, so one reverting hero/pet/pool lookup
+// does not fail the rest of the batch. If the aggregate call itself fails (RPC
+// error, gas limit), the batch falls back to individual eth_calls.
+
+import { ethers } from 'ethers';
+import { getChainProvider, resolveChain } from './rpcProviderRegistry.js';
+
+export const MULTICALL3_ADDRESS = '0xcA11bde05977b3631167028862bE2a173976CA11';
+
+const MULTICALL3_ABI = [
+  'function tryAggregate(bool requireSuccess, tuple(address target, bytes callData)[] calls) view returns (tuple(bool success, bytes returnData)[])',
+];
+
+const MAX_CALLS_PER_BATCH = 200;
+
+const batchers = new Map();
+
+/**
+ * Collects eth_calls for one provider and flushes them on the next tick.
+ */
+export class MulticallBatcher {
+  constructor(provider, { address = MULTICALL3_ADDRESS, maxBatchSize = MAX_CALLS_PER_BATCH, label = 'multicall' } = {}) {
+    this.provider = provider;
+    this.maxBatchSize = maxBatchSize;
+    this.label = label;
+    this.multicall = new ethers.Contract(address, MULTICALL3_ABI, provider);
+    this.queue = [];
+    this.flushScheduled = false;
+    this.stats = { batches: 0, calls: 0, fallbacks: 0 };
+  }
+
+  /**
+   * Queue a raw call. Resolves to the returned bytes, rejects with the revert error.
+   */
+  enqueue(target, callData, blockTag = 'latest') {
+    return new Promise((resolve, reject) => {
+      this.queue.push({ target, callData, blockTag, resolve, reject });
+      if (!this.flushScheduled) {
+        this.flushScheduled = true;
+        setImmediate(() => this.flush());
+      }
+    });
+  }
+
+  async flush() {
+    const pending = this.queue;
+    this.queue = [];
+    this.flushScheduled = false;
+
+    const byBlockTag = new Map();
+    for (const call of pending) {
+      const key = String(call.blockTag);
+      if (!byBlockTag.has(key)) byBlockTag.set(key, []);
+      byBlockTag.get(key).push(call);
+    }
+
+    const chunks = [];
+    for (const calls of byBlockTag.values()) {
+      for (let i = 0; i < calls.length; i += this.maxBatchSize) {
+        chunks.push(calls.slice(i, i + this.maxBatchSize));
+      }
+    }
+
+    await Promise.all(chunks.map(chunk => this.executeChunk(chunk)));
+  }
+
+  async executeChunk(calls) {
+    const blockTag = calls[0].blockTag;
+
+    // Nothing to aggregate - skip the Multicall3 wrapper
+    if (calls.length === 1) {
+      return this.executeIndividually(calls);
+    }
+
+    let results;
+    try {
+      results = await this.multicall.tryAggregate.staticCall(
+        false,
+        calls.map(({ target, callData }) => ({ target, callData })),
+        { blockTag }
+      );
+    } catch (err) {
+      this.stats.fallbacks++;
+      console.warn(`[Multicall] ${this.label}: aggregate of ${calls.length} calls failed (${err.shortMessage || err.message}), falling back to individual calls`);
+      return this.executeIndividually(calls);
+    }
+
+    this.stats.batches++;
+    this.stats.calls += calls.length;
+
+    calls.forEach((call, i) => {
+      const { success, returnData } = results[i];
+      if (success) {
+        call.resolve(returnData);
+      } else {
+        call.reject(Object.assign(new Error('execution reverted'), {
+          code: 'CALL_EXCEPTION',
+          data: returnData,
+          target: call.target,
+        }));
+      }
+    });
+  }
+
+  async executeIndividually(calls) {
+    await Promise.all(calls.map(async (call) => {
+      try {
+        call.resolve(await this.provider.call({ to: call.target, data: call.callData, blockTag: call.blockTag }));
+      } catch (err) {
+        call.reject(err);
+      }
+    }));
+  }
+}
+
+/**
+ * Shared batcher for a chain (uses the chain's pooled provider).
+ */
+export function getMulticallBatcher(chain = 'dfk') {
+  const resolved = resolveChain(chain);
+  if (!batchers.has(resolved)) {
+    batchers.set(resolved, new MulticallBatcher(getChainProvider(resolved), { label: resolved }));
+  }
+  return batchers.get(resolved);
+}
+
+/**
+ * Batched equivalent of `contract[method](...args)` for view functions.
+ * Results are decoded the same way ethers does: a single output is returned
+ * unwrapped, multiple outputs as a Result.
+ *
+ * @param {ethers.Contract} contract
+ * @param {string} method - Function name or signature
+ * @param {Array} [args]
+ * @param {Object} [options]
+ * @param {string} [options.chain='dfk']
+ * @param {string|number} [options.blockTag='latest']
+ */
+export async function batchCall(contract, method, args = [], { chain = 'dfk', blockTag = 'latest' } = {}) {
+  const fragment = contract.interface.getFunction(method, args);
+  if (!fragment) {
+    throw new Error(`Unknown contract method: ${method}`);
+  }
+
+  const target = await contract.getAddress();
+  const callData = contract.interface.encodeFunctionData(fragment, args);
+
+  let returnData;
+  try {
+    returnData = await getMulticallBatcher(chain).enqueue(target, callData, blockTag);
+  } catch (err) {
+    if (err.code === 'CALL_EXCEPTION' && err.data !== undefined) {
+      throw contract.interface.makeError(err.data, { to: target, data: callData });
+    }
+    throw err;
+  }
+
+  const decoded = contract.interface.decodeFunctionResult(fragment, returnData);
+  return fragment.outputs.length === 1 ? decoded[0] : decoded;
+}
+
+/**
+ * Wrap a contract so its view methods go through the batcher:
+ *   const pets = batched(petContract);
+ *   await Promise.all(ids.map(id => pets.getPetV2(id)));
+ */
+export function batched(contract, options = {}) {
+  return new Proxy(contract, {
+    get(target, prop, receiver) {
+      if (typeof prop === 'string') {
+        let fragment = null;
+        try {
+          fragment = target.interface.getFunction(prop);
+        } catch {
+          // Ambiguous overloaded name - fall through to the plain contract method
+        }
+        if (fragment && (fragment.stateMutability === 'view' || fragment.stateMutability === 'pure')) {
+          return (...args) => batchCall(target, prop, args, options);
+        }
+      }
+      return Reflect.get(target, prop, receiver);
+    },
+  });
+}
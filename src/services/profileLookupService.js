@@ -1,18 +1,15 @@
 import { ethers } from 'ethers';
+import { getChainProvider } from './rpcProviderRegistry.js';
 
-const DFK_CHAIN_RPC = 'https://subnets.avax.network/defi-kingdoms/dfk-chain/rpc';
-
+// Providers come from the RPC registry, keyed by realm name
 const PROFILE_CONTRACTS = {
   crystalvale: {
-    rpc: DFK_CHAIN_RPC,
     address: '0xC4cD8C09D1A90b21Be417be91A81603B03993E81',
   },
   harmony: {
-    rpc: 'https://api.harmony.one',
     address: '0x6391F796D56201D279a42fD3141aDa7e26A3B4A5',
   },
   klaytn: {
-    rpc: 'https://public-en.node.kaia.io',
     address: '0xe1b8C354BE50357c2ab90A962254526d08aF0D2D',
   },
 };
@@ -44,7 +41,7 @@ export function getProfilesContract(realm = 'crystalvale') {
       throw new Error(`Unknown realm: ${realm}`);
     }
     if (!profileProviders.has(realm)) {
-      profileProviders.set(realm, new ethers.JsonRpcProvider(config.rpc));
+      profileProviders.set(realm, getChainProvider(realm));
     }
     profileContracts.set(realm, new ethers.Contract(config.address, PROFILES_ABI, profileProviders.get(realm)));
   }
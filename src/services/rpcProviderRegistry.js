@@ -0,0 +1,310 @@
+// src/services/rpcProviderRegistry.js
+// Central RPC provider registry: one pooled provider per chain.
+//
+// Each chain has several endpoints. Every JSON-RPC request goes to the healthiest
+// endpoint (latency + recent error rate); failures fail over to the next one.
+// Rate-limited endpoints (HTTP 429 / -32005) back off for their Retry-After window,
+// and endpoints that keep failing are circuit-broken for an increasing cooldown
+// before a single probe request is let through again.
+//
+// Endpoint lists can be overridden with comma-separated env vars, e.g.
+// DFK_RPC_URLS=https://a,https://b (archive pools use DFK_ARCHIVE_RPC_URLS).
+
+import { ethers } from 'ethers';
+import { getActiveFixture, sendThroughFixture } from '../etl/ingestion/rpcFixtures.js';
+
+const REQUEST_TIMEOUT_MS = 30000;
+const LATENCY_EWMA_ALPHA = 0.2;
+const ERROR_EWMA_ALPHA = 0.1;
+const CIRCUIT_FAILURE_THRESHOLD = 3;
+const CIRCUIT_BASE_COOLDOWN_MS = 15000;
+const CIRCUIT_MAX_COOLDOWN_MS = 5 * 60 * 1000;
+const RATE_LIMIT_DEFAULT_BACKOFF_MS = 10000;
+
+export const CHAIN_RPC_CONFIG = {
+  dfk: {
+    chainId: 53935,
+    endpoints: [
+      'https://subnets.avax.network/defi-kingdoms/dfk-chain/rpc',
+      'https://lb.nodies.app/v1/105f8099e80f4123976b59df1ebfb433/ext/bc/q2aTwKuyzgs8pynF7UXBZCU7DejbZbZ6EUyHr3JQzYgwNPUPi/rpc',
+      'https://avax-dfk.gateway.pokt.network/v1/lb/6244818c00b9f0003ad1b619/ext/bc/q2aTwKuyzgs8pynF7UXBZCU7DejbZbZ6EUyHr3JQzYgwNPUPi/rpc',
+    ],
+  },
+  metis: {
+    chainId: 1088,
+    endpoints: [
+      'https://andromeda.metis.io/?owner=1088',
+      'https://metis-mainnet.public.blastapi.io',
+      'https://rpc.metis.io',
+    ],
+    archiveEndpoints: [
+      'https://rpc.ankr.com/metis',
+      'https://andromeda.metis.io/?owner=1088',
+    ],
+  },
+  kaia: {
+    chainId: 8217,
+    endpoints: [
+      'https://public-en.node.kaia.io',
+      'https://kaia.blockpi.network/v1/rpc/public',
+      'https://klaytn.drpc.org',
+    ],
+  },
+  harmony: {
+    chainId: 1666600000,
+    endpoints: [
+      'https://api.harmony.one',
+      'https://rpc.ankr.com/harmony',
+    ],
+  },
+  avalanche: {
+    chainId: 43114,
+    endpoints: [
+      'https://api.avax.network/ext/bc/C/rpc',
+      'https://avalanche-c-chain-rpc.publicnode.com',
+    ],
+  },
+};
+
+const CHAIN_ALIASES = {
+  crystalvale: 'dfk',
+  dfkchain: 'dfk',
+  klaytn: 'kaia',
+  serendale: 'kaia',
+  53935: 'dfk',
+  1088: 'metis',
+  8217: 'kaia',
+  1666600000: 'harmony',
+  43114: 'avalanche',
+  avax: 'avalanche',
+};
+
+const pools = new Map();
+
+export function resolveChain(chain) {
+  const key = String(chain).toLowerCase();
+  const resolved = CHAIN_ALIASES[key] || key;
+  if (!CHAIN_RPC_CONFIG[resolved]) {
+    throw new Error(`Unknown RPC chain: ${chain}`);
+  }
+  return resolved;
+}
+
+function endpointsFor(chain, archive) {
+  const envKey = `${chain.toUpperCase()}${archive ? '_ARCHIVE' : ''}_RPC_URLS`;
+  const fromEnv = process.env[envKey]?.split(',').map(u => u.trim()).filter(Boolean);
+  if (fromEnv?.length) return fromEnv;
+
+  const config = CHAIN_RPC_CONFIG[chain];
+  return archive && config.archiveEndpoints ? config.archiveEndpoints : config.endpoints;
+}
+
+function isRateLimitError(err) {
+  if (err?.response?.statusCode === 429) return true;
+  const code = err?.error?.code ?? err?.code;
+  if (code === -32005) return true;
+  return /rate limit|too many requests|limit exceeded/i.test(err?.error?.message || err?.message || '');
+}
+
+function retryAfterMs(err) {
+  const header = err?.response?.headers?.['retry-after'];
+  if (typeof header === 'string' && /^[0-9]+$/.test(header)) {
+    return parseInt(header, 10) * 1000;
+  }
+  return RATE_LIMIT_DEFAULT_BACKOFF_MS;
+}
+
+/**
+ * One RPC endpoint with its health statistics.
+ */
+class RpcEndpoint {
+  constructor(url, network) {
+    this.url = url;
+    this.latencyMs = null;
+    this.errorRate = 0;
+    this.consecutiveFailures = 0;
+    this.circuitOpenUntil = 0;
+    this.rateLimitedUntil = 0;
+    this.probing = false;
+    this.totalRequests = 0;
+    this.totalErrors = 0;
+    this.lastError = null;
+    this.lastErrorAt = null;
+
+    const request = new ethers.FetchRequest(url);
+    request.timeout = REQUEST_TIMEOUT_MS;
+    // Let the pool handle 429s by failing over instead of ethers' in-place retry loop
+    request.retryFunc = async () => false;
+    this.transport = new ethers.JsonRpcProvider(request, network, { staticNetwork: network, batchMaxCount: 1 });
+  }
+
+  /** Lower is better. Unmeasured endpoints sort just behind measured healthy ones. */
+  score() {
+    const latency = this.latencyMs ?? 1000;
+    return latency * (1 + 4 * this.errorRate);
+  }
+
+  isAvailable(now) {
+    if (now < this.rateLimitedUntil) return false;
+    if (now < this.circuitOpenUntil) return false;
+    // Half-open: after the cooldown, allow one probe at a time
+    if (this.circuitOpenUntil > 0 && this.probing) return false;
+    return true;
+  }
+
+  recordSuccess(latencyMs) {
+    this.totalRequests++;
+    this.latencyMs = this.latencyMs === null
+      ? latencyMs
+      : this.latencyMs + LATENCY_EWMA_ALPHA * (latencyMs - this.latencyMs);
+    this.errorRate *= 1 - ERROR_EWMA_ALPHA;
+    this.consecutiveFailures = 0;
+    this.circuitOpenUntil = 0;
+  }
+
+  recordFailure(err, now) {
+    this.totalRequests++;
+    this.totalErrors++;
+    this.errorRate += ERROR_EWMA_ALPHA * (1 - this.errorRate);
+    this.lastError = err?.shortMessage || err?.message || String(err);
+    this.lastErrorAt = new Date(now).toISOString();
+
+    if (isRateLimitError(err)) {
+      this.rateLimitedUntil = now + retryAfterMs(err);
+      return;
+    }
+
+    this.consecutiveFailures++;
+    if (this.consecutiveFailures >= CIRCUIT_FAILURE_THRESHOLD) {
+      const trips = this.consecutiveFailures - CIRCUIT_FAILURE_THRESHOLD;
+      const cooldown = Math.min(CIRCUIT_BASE_COOLDOWN_MS * Math.pow(2, trips), CIRCUIT_MAX_COOLDOWN_MS);
+      this.circuitOpenUntil = now + cooldown;
+    }
+  }
+
+  getHealth(now = Date.now()) {
+    let state = 'healthy';
+    if (now < this.rateLimitedUntil) state = 'rate_limited';
+    else if (now < this.circuitOpenUntil) state = 'circuit_open';
+    else if (this.circuitOpenUntil > 0) state = 'half_open';
+    else if (this.consecutiveFailures > 0) state = 'degraded';
+
+    return {
+      url: this.url,
+      state,
+      score: Math.round(this.score()),
+      latencyMs: this.latencyMs === null ? null : Math.round(this.latencyMs),
+      errorRate: Number(this.errorRate.toFixed(3)),
+      consecutiveFailures: this.consecutiveFailures,
+      totalRequests: this.totalRequests,
+      totalErrors: this.totalErrors,
+      lastError: this.lastError,
+      lastErrorAt: this.lastErrorAt,
+    };
+  }
+}
+
+/**
+ * JsonRpcProvider that spreads requests over an endpoint pool.
+ * JSON-RPC errors (reverts, bad params) are returned as-is; only transport
+ * failures, timeouts and rate limits count against an endpoint.
+ */
+export class PooledJsonRpcProvider extends ethers.JsonRpcProvider {
+  constructor(chain, urls, chainId, { archive = false } = {}) {
+    const network = ethers.Network.from(chainId);
+    super(urls[0], network, { staticNetwork: network, batchMaxCount: 1 });
+    this.chain = chain;
+    this.archive = archive;
+    this.endpoints = urls.map(url => new RpcEndpoint(url, network));
+  }
+
+  rankedEndpoints(now = Date.now()) {
+    const available = this.endpoints.filter(e => e.isAvailable(now));
+    if (available.length > 0) {
+      return available.sort((a, b) => a.score() - b.score());
+    }
+    // Everything is backing off: try whichever endpoint recovers first rather than stall
+    return [...this.endpoints].sort((a, b) =>
+      Math.max(a.circuitOpenUntil, a.rateLimitedUntil) - Math.max(b.circuitOpenUntil, b.rateLimitedUntil)
+    );
+  }
+
+  async dispatch(request) {
+    let lastError;
+    for (const endpoint of this.rankedEndpoints()) {
+      const halfOpen = endpoint.circuitOpenUntil > 0;
+      if (halfOpen) endpoint.probing = true;
+
+      const started = Date.now();
+      try {
+        const [response] = await endpoint.transport._send(request);
+        if (response?.error && isRateLimitError({ error: response.error })) {
+          throw Object.assign(new Error(response.error.message || 'rate limited'), { error: response.error });
+        }
+        endpoint.recordSuccess(Date.now() - started);
+        return response;
+      } catch (err) {
+        endpoint.recordFailure(err, Date.now());
+        lastError = err;
+        console.warn(`[RpcRegistry] ${this.chain}${this.archive ? ' (archive)' : ''} ${request.method} failed on ${endpoint.url}: ${endpoint.lastError}`);
+      } finally {
+        if (halfOpen) endpoint.probing = false;
+      }
+    }
+    throw lastError;
+  }
+
+  async _send(payload) {
+    const payloads = Array.isArray(payload) ? payload : [payload];
+    const fixture = getActiveFixture();
+    const results = [];
+    for (const request of payloads) {
+      results.push(fixture
+        ? await sendThroughFixture(fixture, request, req => this.dispatch(req))
+        : await this.dispatch(request));
+    }
+    return results;
+  }
+
+  /** Endpoint URLs, healthiest first (for callers that issue raw HTTP requests). */
+  getRankedUrls() {
+    return this.rankedEndpoints().map(e => e.url);
+  }
+
+  getHealth() {
+    const now = Date.now();
+    return {
+      chain: this.chain,
+      archive: this.archive,
+      chainId: Number(this._network.chainId),
+      endpoints: this.endpoints.map(e => e.getHealth(now)).sort((a, b) => a.score - b.score),
+    };
+  }
+}
+
+/**
+ * Shared pooled provider for a chain ('dfk', 'metis', 'kaia'/'klaytn', 'harmony' or a chain id).
+ * @param {string|number} chain
+ * @param {Object} [options]
+ * @param {boolean} [options.archive] - use the chain's archive endpoints when configured
+ */
+export function getChainProvider(chain, { archive = false } = {}) {
+  const resolved = resolveChain(chain);
+  const key = archive ? `${resolved}:archive` : resolved;
+  if (!pools.has(key)) {
+    const urls = endpointsFor(resolved, archive);
+    pools.set(key, new PooledJsonRpcProvider(resolved, urls, CHAIN_RPC_CONFIG[resolved].chainId, { archive }));
+  }
+  return pools.get(key);
+}
+
+export function getChainRpcUrls(chain, options) {
+  return getChainProvider(chain, options).getRankedUrls();
+}
+
+/**
+ * Health snapshot of every pool created so far.
+ */
+export function getRpcRegistryHealth() {
+  return Array.from(pools.values()).map(pool => pool.getHealth());
+}
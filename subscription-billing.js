@@ -0,0 +1,658 @@
+/**
+ * Subscription Billing
+ *
+ * Turns JEWEL payments into time-bound entitlement tiers (premium, premium_plus).
+ *
+ * Architecture:
+ * - subscription_plans: monthly or seasonal plans, each granting one entitlement tier
+ * - player_subscriptions: one row per subscription, renewed in place each period
+ * - Payment is a subscription_charge ledger entry against the player's in-bot balance.
+ *   Direct deposits go through a deposit request (purpose 'subscription:<planId>');
+ *   once credited, the plan is bought from the balance the deposit just funded.
+ * - Charges are keyed by subscription id + period start, so a retried renewal
+ *   never charges twice
+ * - The billing cycle (hourly) sends expiry reminders, auto-renews from balance,
+ *   moves unpaid subscriptions into a grace period, and downgrades them to free
+ *   once grace runs out
+ * - resolvePlayerTier() in src/entitlements/tierResolver.ts reads the active
+ *   subscription to pick the tier passed to getEntitlements()
+ *
+ * Lifecycle:
+ *   active ──(period ends, renewed)──► active
+ *   active ──(period ends, unpaid)───► grace ──(paid)──► active
+ *                                          └──(grace ends)──► expired
+ *   active ──(period ends, auto-renew off)──► expired
+ */
+
+import Decimal from 'decimal.js';
+import { db } from './server/db.js';
+import { subscriptionPlans, playerSubscriptions, players, seasons } from './shared/schema.ts';
+import { eq, and, inArray, asc, desc, gt, lte, sql } from 'drizzle-orm';
+import { recordSubscriptionCharge, getLedgerBalance } from './jewel-ledger.js';
+import { createDepositRequest } from './deposit-flow.js';
+import { logChargeCost } from './balance-middleware.js';
+
+const BILLING_INTERVAL_MS = 60 * 60 * 1000; // Hourly
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MIN_SEASON_REMAINING_MS = 14 * DAY_MS; // Less season left than this = seasonal plan runs its durationDays
+
+// Reminder DMs before a period ends (checked largest first)
+const REMINDER_STAGES = [
+  { stage: '3d', withinMs: 3 * DAY_MS },
+  { stage: '1d', withinMs: 1 * DAY_MS }
+];
+
+// Higher rank wins when a player somehow holds more than one live subscription
+export const TIER_RANK = { free: 0, premium: 1, premium_plus: 2 };
+
+const LIVE_STATUSES = ['active', 'grace'];
+
+const DEFAULT_PLANS = [
+  { planId: 'premium_monthly', tierId: 'premium', displayName: 'Premium (Monthly)', period: 'monthly', durationDays: 30, priceJewel: '60', sortOrder: 1 },
+  { planId: 'premium_seasonal', tierId: 'premium', displayName: 'Premium (Season)', period: 'seasonal', durationDays: 90, priceJewel: '160', sortOrder: 2 },
+  { planId: 'premium_plus_monthly', tierId: 'premium_plus', displayName: 'Premium+ (Monthly)', period: 'monthly', durationDays: 30, priceJewel: '120', sortOrder: 3 },
+  { planId: 'premium_plus_seasonal', tierId: 'premium_plus', displayName: 'Premium+ (Season)', period: 'seasonal', durationDays: 90, priceJewel: '320', sortOrder: 4 }
+];
+
+let tablesReady = false;
+let billingTimer = null;
+let discordClient = null; // Set by bot.js
+
+// --------------------------
+// Pure helpers
+// --------------------------
+
+/**
+ * End of a billing period starting at `start`.
+ * Seasonal plans end with the active season when at least MIN_SEASON_REMAINING_MS
+ * of it is left after `start`, so a full-price season is never just its last few days;
+ * otherwise every plan runs for its durationDays.
+ */
+export function computePeriodEnd(plan, start, activeSeasonEndsAt = null) {
+  if (
+    plan.period === 'seasonal' &&
+    activeSeasonEndsAt &&
+    new Date(activeSeasonEndsAt).getTime() - start.getTime() >= MIN_SEASON_REMAINING_MS
+  ) {
+    return new Date(activeSeasonEndsAt);
+  }
+  return new Date(start.getTime() + plan.durationDays * DAY_MS);
+}
+
+/**
+ * Which reminder (if any) is due for a period ending at `periodEnd`,
+ * given the last one already sent this period
+ */
+export function dueReminderStage(periodEnd, now, lastReminderStage = null) {
+  const remaining = new Date(periodEnd).getTime() - now.getTime();
+  if (remaining <= 0) return null;
+
+  // Most urgent matching stage wins; skip it if it (or a later one) was already sent
+  const matching = REMINDER_STAGES.filter(r => remaining <= r.withinMs);
+  if (matching.length === 0) return null;
+  const stage = matching[matching.length - 1].stage;
+
+  const order = REMINDER_STAGES.map(r => r.stage);
+  if (lastReminderStage && order.indexOf(lastReminderStage) >= order.indexOf(stage)) return null;
+  return stage;
+}
+
+/**
+ * Highest tier among a player's live subscriptions ('free' if none)
+ */
+export function highestTier(subscriptions) {
+  return subscriptions
+    .filter(s => LIVE_STATUSES.includes(s.status))
+    .reduce((best, s) => (TIER_RANK[s.tierId] ?? 0) > (TIER_RANK[best] ?? 0) ? s.tierId : best, 'free');
+}
+
+// --------------------------
+// Tables & plans
+// --------------------------
+
+/**
+ * Create subscription tables and seed the default plans on databases that predate them
+ */
+export async function ensureSubscriptionTables() {
+  if (tablesReady) return;
+
+  await db.execute(sql`
+    CREATE TABLE IF NOT EXISTS subscription_plans (
+      plan_id TEXT PRIMARY KEY,
+      tier_id TEXT NOT NULL,
+      display_name TEXT NOT NULL,
+      period TEXT NOT NULL,
+      duration_days INTEGER NOT NULL,
+      price_jewel NUMERIC(30, 18) NOT NULL,
+      grace_days INTEGER NOT NULL DEFAULT 3,
+      enabled BOOLEAN NOT NULL DEFAULT true,
+      sort_order INTEGER NOT NULL DEFAULT 0,
+      updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP NOT NULL
+    )
+  `);
+  await db.execute(sql`
+    CREATE TABLE IF NOT EXISTS player_subscriptions (
+      id SERIAL PRIMARY KEY,
+      player_id INTEGER NOT NULL REFERENCES players(id),
+      plan_id TEXT NOT NULL REFERENCES subscription_plans(plan_id),
+      tier_id TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'active',
+      auto_renew BOOLEAN NOT NULL DEFAULT true,
+      funding_source TEXT NOT NULL DEFAULT 'balance',
+      current_period_start TIMESTAMPTZ NOT NULL,
+      current_period_end TIMESTAMPTZ NOT NULL,
+      grace_ends_at TIMESTAMPTZ,
+      renewal_count INTEGER NOT NULL DEFAULT 0,
+      last_reminder_stage TEXT,
+      cancelled_at TIMESTAMPTZ,
+      ended_at TIMESTAMPTZ,
+      created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP NOT NULL,
+      updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP NOT NULL
+    )
+  `);
+  await db.execute(sql`CREATE INDEX IF NOT EXISTS player_subscriptions_player_idx ON player_subscriptions (player_id)`);
+  await db.execute(sql`CREATE INDEX IF NOT EXISTS player_subscriptions_status_end_idx ON player_subscriptions (status, current_period_end)`);
+
+  await db.insert(subscriptionPlans).values(DEFAULT_PLANS).onConflictDoNothing();
+
+  tablesReady = true;
+}
+
+export async function listPlans({ includeDisabled = false } = {}) {
+  await ensureSubscriptionTables();
+  return db
+    .select()
+    .from(subscriptionPlans)
+    .where(includeDisabled ? undefined : eq(subscriptionPlans.enabled, true))
+    .orderBy(asc(subscriptionPlans.sortOrder));
+}
+
+async function getPlan(planId) {
+  const [plan] = await db.select().from(subscriptionPlans).where(eq(subscriptionPlans.planId, planId)).limit(1);
+  return plan || null;
+}
+
+/**
+ * Update a plan's price, grace period, duration or availability (admin)
+ */
+export async function updatePlan(planId, patch) {
+  await ensureSubscriptionTables();
+  const set = { updatedAt: new Date() };
+  if (patch.displayName !== undefined) set.displayName = patch.displayName;
+  if (patch.priceJewel !== undefined) {
+    if (!new Decimal(patch.priceJewel).greaterThan(0)) throw new Error('priceJewel must be positive');
+    set.priceJewel = new Decimal(patch.priceJewel).toString();
+  }
+  if (patch.durationDays !== undefined) set.durationDays = parseInt(patch.durationDays, 10);
+  if (patch.graceDays !== undefined) set.graceDays = parseInt(patch.graceDays, 10);
+  if (patch.enabled !== undefined) set.enabled = !!patch.enabled;
+
+  const [updated] = await db.update(subscriptionPlans).set(set).where(eq(subscriptionPlans.planId, planId)).returning();
+  if (!updated) throw new Error(`Unknown plan: ${planId}`);
+  return updated;
+}
+
+async function activeSeasonEnd() {
+  const [season] = await db
+    .select({ endsAt: seasons.endsAt })
+    .from(seasons)
+    .where(eq(seasons.isActive, true))
+    .limit(1)
+    .catch(() => []); // seasons table may not exist on fresh databases
+  return season?.endsAt || null;
+}
+
+// --------------------------
+// Player subscriptions
+// --------------------------
+
+/**
+ * A player's live (active or grace) subscription, if any
+ */
+export async function getPlayerSubscription(playerId) {
+  await ensureSubscriptionTables();
+  const [sub] = await db
+    .select()
+    .from(playerSubscriptions)
+    .where(and(eq(playerSubscriptions.playerId, playerId), inArray(playerSubscriptions.status, LIVE_STATUSES)))
+    .orderBy(desc(playerSubscriptions.currentPeriodEnd))
+    .limit(1);
+  return sub || null;
+}
+
+/**
+ * Charge one period of `plan` for a subscription starting at `periodStart`
+ */
+function chargePeriod(playerId, plan, subscriptionId, periodStart, options) {
+  return recordSubscriptionCharge({
+    playerId,
+    amountJewel: new Decimal(plan.priceJewel).toString(),
+    planId: plan.planId,
+    externalRef: `subscription:${subscriptionId}:${periodStart.toISOString()}`,
+    metadata: { subscriptionId, periodStart: periodStart.toISOString() }
+  }, options);
+}
+
+/**
+ * Log a new period charge to query_costs (query type subscription:<planId>, keyed
+ * by the charge's externalRef) so margin analytics count subscription revenue.
+ * Call it after the charge committed; a retried (duplicate) charge logs nothing.
+ */
+async function logPeriodCharge(playerId, plan, charge) {
+  if (charge.duplicate) return;
+  await logChargeCost({
+    playerId,
+    queryType: `subscription:${plan.planId}`,
+    queryRef: charge.entry.externalRef,
+    tier: charge.balance?.tier,
+    priceChargedJewel: new Decimal(plan.priceJewel).toString()
+  });
+}
+
+/**
+ * Subscribe a player to a plan, paid from their in-bot JEWEL balance.
+ * Subscribing again to the plan you already hold renews it early (the new
+ * period starts when the current one ends).
+ *
+ * @param {object} params
+ * @param {number} params.playerId
+ * @param {string} params.planId
+ * @param {boolean} [params.autoRenew=true]
+ * @param {string} [params.fundingSource='balance'] - 'balance' or 'deposit'
+ * @returns {object} - { subscription, balance }
+ * @throws {Error} Unknown/disabled plan, a different live plan, or insufficient balance
+ */
+export async function subscribe({ playerId, planId, autoRenew = true, fundingSource = 'balance' }) {
+  await ensureSubscriptionTables();
+
+  const plan = await getPlan(planId);
+  if (!plan || !plan.enabled) {
+    throw new Error(`Unknown or unavailable plan: ${planId}`);
+  }
+
+  const current = await getPlayerSubscription(playerId);
+  if (current && current.planId !== planId) {
+    throw new Error(`You already have ${current.planId} until ${new Date(current.currentPeriodEnd).toUTCString()}. Cancel it before switching plans.`);
+  }
+
+  const now = new Date();
+  const seasonEnd = await activeSeasonEnd();
+
+  if (current) {
+    // Early renewal (or paying off a grace period): next period starts where the current one ended
+    const periodStart = new Date(current.currentPeriodEnd);
+    const periodEnd = computePeriodEnd(plan, periodStart, seasonEnd);
+    const charge = await chargePeriod(playerId, plan, current.id, periodStart);
+    const [subscription] = await db
+      .update(playerSubscriptions)
+      .set({
+        status: 'active',
+        autoRenew,
+        currentPeriodStart: periodStart,
+        currentPeriodEnd: periodEnd,
+        graceEndsAt: null,
+        renewalCount: sql`${playerSubscriptions.renewalCount} + 1`,
+        lastReminderStage: null,
+        cancelledAt: null,
+        updatedAt: now
+      })
+      .where(eq(playerSubscriptions.id, current.id))
+      .returning();
+    console.log(`[Subscriptions] Player #${playerId} renewed ${planId} until ${periodEnd.toISOString()}`);
+    await logPeriodCharge(playerId, plan, charge);
+    return { subscription, balance: charge.balance };
+  }
+
+  const periodEnd = computePeriodEnd(plan, now, seasonEnd);
+  const { subscription, charge } = await db.transaction(async (tx) => {
+    const [subscription] = await tx
+      .insert(playerSubscriptions)
+      .values({
+        playerId,
+        planId,
+        tierId: plan.tierId,
+        status: 'active',
+        autoRenew,
+        fundingSource,
+        currentPeriodStart: now,
+        currentPeriodEnd: periodEnd
+      })
+      .returning();
+    const charge = await chargePeriod(playerId, plan, subscription.id, now, { tx });
+    return { subscription, charge };
+  });
+  console.log(`[Subscriptions] Player #${playerId} subscribed to ${planId} until ${periodEnd.toISOString()}`);
+  await logPeriodCharge(playerId, plan, charge);
+  return { subscription, balance: charge.balance };
+}
+
+/**
+ * Create a deposit request for exactly one period of a plan. When the deposit is
+ * credited, activateSubscriptionDeposit() buys the plan from the funded balance.
+ */
+export async function requestSubscriptionDeposit(playerId, planId) {
+  await ensureSubscriptionTables();
+  const plan = await getPlan(planId);
+  if (!plan || !plan.enabled) {
+    throw new Error(`Unknown or unavailable plan: ${planId}`);
+  }
+  return createDepositRequest(playerId, new Decimal(plan.priceJewel).toString(), `subscription:${planId}`);
+}
+
+/**
+ * Called once a deposit request is credited: if it was a subscription deposit,
+ * buy that plan from the balance it funded. Deposit-funded plans don't auto-renew.
+ *
+ * @returns {object|null} - subscribe() result, or null for non-subscription deposits
+ */
+export async function activateSubscriptionDeposit(depositRequest) {
+  const purpose = depositRequest.purpose || '';
+  if (!purpose.startsWith('subscription:')) return null;
+
+  const planId = purpose.slice('subscription:'.length);
+  try {
+    const result = await subscribe({ playerId: depositRequest.playerId, planId, autoRenew: false, fundingSource: 'deposit' });
+    await notifyPlayer(depositRequest.playerId,
+      `👑 **${planId.replace(/_/g, ' ')}** is active until ${formatDate(result.subscription.currentPeriodEnd)}. Your deposit covered it.`);
+    return result;
+  } catch (err) {
+    // The deposit stays on the player's balance; tell them rather than lose track of it
+    console.error(`[Subscriptions] Could not activate ${planId} from deposit #${depositRequest.id}:`, err.message);
+    await notifyPlayer(depositRequest.playerId,
+      `Your deposit arrived, but I couldn't start **${planId.replace(/_/g, ' ')}**: ${err.message}\nThe JEWEL is on your balance.`);
+    return null;
+  }
+}
+
+/**
+ * Stop auto-renewal. Access continues until the end of the paid period.
+ */
+export async function cancelSubscription(playerId) {
+  const current = await getPlayerSubscription(playerId);
+  if (!current) throw new Error('No active subscription');
+
+  // A subscription in grace hasn't been paid for this period - end it now
+  const endNow = current.status === 'grace';
+  const [subscription] = await db
+    .update(playerSubscriptions)
+    .set({
+      autoRenew: false,
+      cancelledAt: new Date(),
+      ...(endNow ? { status: 'cancelled', endedAt: new Date() } : {}),
+      updatedAt: new Date()
+    })
+    .where(eq(playerSubscriptions.id, current.id))
+    .returning();
+  console.log(`[Subscriptions] Player #${playerId} cancelled ${current.planId}${endNow ? ' (ended during grace)' : ''}`);
+  return subscription;
+}
+
+export async function setAutoRenew(playerId, autoRenew) {
+  const current = await getPlayerSubscription(playerId);
+  if (!current) throw new Error('No active subscription');
+  const [subscription] = await db
+    .update(playerSubscriptions)
+    .set({ autoRenew: !!autoRenew, cancelledAt: autoRenew ? null : new Date(), updatedAt: new Date() })
+    .where(eq(playerSubscriptions.id, current.id))
+    .returning();
+  return subscription;
+}
+
+/**
+ * Grant a plan without charging (admin comps, support cases, promo trials)
+ *
+ * @param {object} [options]
+ * @param {object} [options.tx] - Existing drizzle transaction to insert inside
+ */
+export async function grantSubscription({ playerId, planId, days = null }, { tx } = {}) {
+  await ensureSubscriptionTables();
+  const plan = await getPlan(planId);
+  if (!plan) throw new Error(`Unknown plan: ${planId}`);
+  const current = await getPlayerSubscription(playerId);
+  if (current) throw new Error(`Player already has ${current.planId}`);
+
+  const now = new Date();
+  const periodEnd = days ? new Date(now.getTime() + days * DAY_MS) : computePeriodEnd(plan, now, await activeSeasonEnd());
+  const [subscription] = await (tx || db)
+    .insert(playerSubscriptions)
+    .values({
+      playerId,
+      planId,
+      tierId: plan.tierId,
+      status: 'active',
+      autoRenew: false,
+      fundingSource: 'grant',
+      currentPeriodStart: now,
+      currentPeriodEnd: periodEnd
+    })
+    .returning();
+  console.log(`[Subscriptions] Granted ${planId} to player #${playerId} until ${periodEnd.toISOString()}`);
+  return subscription;
+}
+
+/**
+ * Admin list of subscriptions with player names, newest first
+ */
+export async function listSubscriptions({ status = null, limit = 200 } = {}) {
+  await ensureSubscriptionTables();
+  let query = db
+    .select({
+      id: playerSubscriptions.id,
+      playerId: playerSubscriptions.playerId,
+      discordId: players.discordId,
+      discordUsername: players.discordUsername,
+      planId: playerSubscriptions.planId,
+      tierId: playerSubscriptions.tierId,
+      status: playerSubscriptions.status,
+      autoRenew: playerSubscriptions.autoRenew,
+      fundingSource: playerSubscriptions.fundingSource,
+      currentPeriodStart: playerSubscriptions.currentPeriodStart,
+      currentPeriodEnd: playerSubscriptions.currentPeriodEnd,
+      graceEndsAt: playerSubscriptions.graceEndsAt,
+      renewalCount: playerSubscriptions.renewalCount,
+      createdAt: playerSubscriptions.createdAt
+    })
+    .from(playerSubscriptions)
+    .leftJoin(players, eq(players.id, playerSubscriptions.playerId));
+  if (status) query = query.where(eq(playerSubscriptions.status, status));
+  return query.orderBy(desc(playerSubscriptions.id)).limit(limit);
+}
+
+// --------------------------
+// Billing cycle
+// --------------------------
+
+function formatDate(date) {
+  return new Date(date).toUTCString().replace(/:\d\d GMT$/, ' UTC');
+}
+
+async function notifyPlayer(playerId, message) {
+  if (!discordClient) return false;
+  try {
+    const [player] = await db
+      .select({ discordId: players.discordId })
+      .from(players)
+      .where(eq(players.id, playerId))
+      .limit(1);
+    if (!player) return false;
+    const user = await discordClient.users.fetch(player.discordId);
+    await user.send(message);
+    return true;
+  } catch (err) {
+    console.error(`[Subscriptions] Failed to DM player #${playerId}:`, err.message);
+    return false;
+  }
+}
+
+async function sendReminder(sub, plan, stage, now) {
+  const planName = plan?.displayName || sub.planId;
+  const ends = formatDate(sub.currentPeriodEnd);
+  let message;
+  if (sub.autoRenew && plan) {
+    const { balanceJewel } = await getLedgerBalance(sub.playerId);
+    const shortBy = new Decimal(plan.priceJewel).minus(balanceJewel);
+    message = shortBy.greaterThan(0)
+      ? `⏳ **${planName}** renews ${ends} for ${new Decimal(plan.priceJewel).toFixed(2)} JEWEL, but your balance is ${shortBy.toFixed(2)} JEWEL short. Top up or you'll drop to free after a ${plan.graceDays}-day grace period.`
+      : `⏳ **${planName}** renews ${ends} for ${new Decimal(plan.priceJewel).toFixed(2)} JEWEL from your balance. Nothing to do.`;
+  } else {
+    message = `⏳ **${planName}** ends ${ends} and won't renew. Use \`/subscribe\` to keep your perks.`;
+  }
+  await notifyPlayer(sub.playerId, message);
+  await db
+    .update(playerSubscriptions)
+    .set({ lastReminderStage: stage, updatedAt: now })
+    .where(eq(playerSubscriptions.id, sub.id));
+}
+
+async function expire(sub, now, reason) {
+  await db
+    .update(playerSubscriptions)
+    .set({ status: 'expired', endedAt: now, graceEndsAt: null, updatedAt: now })
+    .where(eq(playerSubscriptions.id, sub.id));
+  console.log(`[Subscriptions] Subscription #${sub.id} (${sub.planId}) expired: ${reason}`);
+  await notifyPlayer(sub.playerId, `📉 Your **${sub.planId.replace(/_/g, ' ')}** subscription has ended (${reason}). You're back on the free tier.`);
+}
+
+/**
+ * Try to renew a subscription whose period has ended (or is in grace).
+ * The new period starts where the old one ended, so grace days aren't free.
+ */
+async function tryRenew(sub, plan, now) {
+  const periodStart = new Date(sub.currentPeriodEnd);
+  let charge;
+  try {
+    charge = await chargePeriod(sub.playerId, plan, sub.id, periodStart);
+  } catch (err) {
+    if (!/Insufficient balance/.test(err.message)) throw err;
+    return false;
+  }
+
+  const periodEnd = computePeriodEnd(plan, periodStart, await activeSeasonEnd());
+  await db
+    .update(playerSubscriptions)
+    .set({
+      status: 'active',
+      currentPeriodStart: periodStart,
+      currentPeriodEnd: periodEnd,
+      graceEndsAt: null,
+      renewalCount: sql`${playerSubscriptions.renewalCount} + 1`,
+      lastReminderStage: null,
+      updatedAt: now
+    })
+    .where(eq(playerSubscriptions.id, sub.id));
+  console.log(`[Subscriptions] Renewed #${sub.id} (${sub.planId}) until ${periodEnd.toISOString()}`);
+  await logPeriodCharge(sub.playerId, plan, charge);
+  await notifyPlayer(sub.playerId,
+    `🔁 Renewed **${plan.displayName}** for ${new Decimal(plan.priceJewel).toFixed(2)} JEWEL. Next renewal: ${formatDate(periodEnd)}.`);
+  return true;
+}
+
+/**
+ * One pass of the billing cycle: reminders, renewals, grace and downgrades
+ *
+ * @returns {object} - Counts of each action taken
+ */
+export async function runBillingCycle(now = new Date()) {
+  await ensureSubscriptionTables();
+  const stats = { reminders: 0, renewed: 0, enteredGrace: 0, expired: 0, errors: 0 };
+
+  const plans = new Map((await listPlans({ includeDisabled: true })).map(p => [p.planId, p]));
+
+  // 1. Reminders for active subscriptions nearing the end of their period
+  const upcoming = await db
+    .select()
+    .from(playerSubscriptions)
+    .where(and(
+      eq(playerSubscriptions.status, 'active'),
+      gt(playerSubscriptions.currentPeriodEnd, now),
+      lte(playerSubscriptions.currentPeriodEnd, new Date(now.getTime() + REMINDER_STAGES[0].withinMs))
+    ));
+  for (const sub of upcoming) {
+    const stage = dueReminderStage(sub.currentPeriodEnd, now, sub.lastReminderStage);
+    if (!stage) continue;
+    try {
+      await sendReminder(sub, plans.get(sub.planId), stage, now);
+      stats.reminders++;
+    } catch (err) {
+      stats.errors++;
+      console.error(`[Subscriptions] Reminder failed for #${sub.id}:`, err.message);
+    }
+  }
+
+  // 2. Periods that have ended: renew, enter grace, or expire
+  const due = await db
+    .select()
+    .from(playerSubscriptions)
+    .where(and(eq(playerSubscriptions.status, 'active'), lte(playerSubscriptions.currentPeriodEnd, now)));
+  for (const sub of due) {
+    const plan = plans.get(sub.planId);
+    try {
+      if (!sub.autoRenew || !plan || !plan.enabled) {
+        await expire(sub, now, sub.autoRenew ? 'plan no longer offered' : 'not renewed');
+        stats.expired++;
+      } else if (await tryRenew(sub, plan, now)) {
+        stats.renewed++;
+      } else {
+        const graceEndsAt = new Date(new Date(sub.currentPeriodEnd).getTime() + plan.graceDays * DAY_MS);
+        await db
+          .update(playerSubscriptions)
+          .set({ status: 'grace', graceEndsAt, lastReminderStage: 'grace', updatedAt: now })
+          .where(eq(playerSubscriptions.id, sub.id));
+        stats.enteredGrace++;
+        await notifyPlayer(sub.playerId,
+          `⚠️ I couldn't renew **${plan.displayName}**: your balance is below ${new Decimal(plan.priceJewel).toFixed(2)} JEWEL. ` +
+          `You keep your perks until ${formatDate(graceEndsAt)}; top up before then and I'll renew automatically.`);
+      }
+    } catch (err) {
+      stats.errors++;
+      console.error(`[Subscriptions] Billing failed for #${sub.id}:`, err.message);
+    }
+  }
+
+  // 3. Grace periods: retry the renewal (the player may have topped up), downgrade when it runs out
+  const inGrace = await db
+    .select()
+    .from(playerSubscriptions)
+    .where(eq(playerSubscriptions.status, 'grace'));
+  for (const sub of inGrace) {
+    const plan = plans.get(sub.planId);
+    try {
+      if (plan && sub.autoRenew && await tryRenew(sub, plan, now)) {
+        stats.renewed++;
+      } else if (!sub.graceEndsAt || new Date(sub.graceEndsAt) <= now) {
+        await expire(sub, now, 'payment not received during grace period');
+        stats.expired++;
+      }
+    } catch (err) {
+      stats.errors++;
+      console.error(`[Subscriptions] Grace handling failed for #${sub.id}:`, err.message);
+    }
+  }
+
+  if (stats.reminders || stats.renewed || stats.enteredGrace || stats.expired || stats.errors) {
+    console.log(`[Subscriptions] Billing cycle: ${stats.reminders} reminders, ${stats.renewed} renewed, ${stats.enteredGrace} in grace, ${stats.expired} expired, ${stats.errors} errors`);
+  }
+  return stats;
+}
+
+/**
+ * Start the hourly billing cycle
+ * @param {Client} client - Discord.js client instance (for reminder DMs)
+ */
+export async function startSubscriptionBilling(client) {
+  discordClient = client;
+  await ensureSubscriptionTables();
+  await runBillingCycle();
+
+  billingTimer = setInterval(() => {
+    runBillingCycle().catch(err => console.error('[Subscriptions] Billing cycle error:', err.message));
+  }, BILLING_INTERVAL_MS);
+  console.log('[Subscriptions] ✅ Billing cycle started (hourly)');
+}
+
+export function stopSubscriptionBilling() {
+  if (billingTimer) {
+    clearInterval(billingTimer);
+    billingTimer = null;
+  }
+}
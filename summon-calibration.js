@@ -0,0 +1,271 @@
+/**
+ * Summon Calibration - compare summoning-engine predictions with real offspring
+ *
+ * For every observed summon we store what the engine predicted for each trait
+ * (the full dominant-gene distribution) next to what the child actually rolled.
+ * buildCalibrationReport() then answers "when the engine says 10%, does it
+ * happen 10% of the time?" per trait, and whether mutation odds hold per tier.
+ */
+
+import { calculateSummoningProbabilities, getSkillTierByName } from './summoning-engine.js';
+import { getParentGenes, OFFSPRING_TRAITS } from './offspring-distribution.js';
+import { CLASS_GENES } from './gene-decoder.js';
+
+export const RARITY_NAMES = ['Common', 'Uncommon', 'Rare', 'Legendary', 'Mythic'];
+export const CALIBRATION_TRAITS = [...OFFSPRING_TRAITS, 'rarity'];
+export const MUTATION_TIERS = ['basic', 'advanced', 'elite', 'exalted'];
+
+// Reliability-diagram bucket edges (predicted probability, 0-1)
+export const DEFAULT_BINS = [0, 0.01, 0.05, 0.1, 0.2, 0.35, 0.5, 0.75, 1];
+
+const SKILL_TRAITS = new Set(['active1', 'active2', 'passive1', 'passive2']);
+const CLASS_TRAITS = new Set(['class', 'subClass']);
+const CLASS_IDS = new Map(CLASS_GENES.map((name, id) => [name.toLowerCase(), id]));
+const MIN_PROBABILITY = 1e-6;
+
+// Gene IDs are banded: 0-15 basic, 16-23 advanced, 24-27 elite, 28+ exalted
+function tierFromGeneId(id) {
+  if (id >= 28) return 'exalted';
+  if (id >= 24) return 'elite';
+  if (id >= 16) return 'advanced';
+  return 'basic';
+}
+
+/**
+ * Tier of a gene value for a trait (used to group mutation outcomes)
+ * @param {string} trait
+ * @param {string|number} value - Name for class/skills, gene ID for visual traits
+ * @returns {string} 'basic' | 'advanced' | 'elite' | 'exalted'
+ */
+export function mutationTier(trait, value) {
+  if (CLASS_TRAITS.has(trait)) {
+    const id = CLASS_IDS.get(String(value).toLowerCase());
+    return id === undefined ? 'basic' : tierFromGeneId(id);
+  }
+  if (SKILL_TRAITS.has(trait)) {
+    return MUTATION_TIERS[getSkillTierByName(value)] || 'basic';
+  }
+  const id = parseInt(value);
+  return isNaN(id) ? 'basic' : tierFromGeneId(id);
+}
+
+/**
+ * Build the stored prediction-vs-outcome record for one summon
+ *
+ * @param {Object} parent1 - { genetics, rarity } (genetics from decodeHeroGenes, rarity 0-4)
+ * @param {Object} parent2 - { genetics, rarity }
+ * @param {Object} offspring - { genetics, rarity }
+ * @returns {Object} trait -> { observed, distribution (percent), mutations }
+ */
+export function buildOutcomeCheck(parent1, parent2, offspring) {
+  const probabilities = calculateSummoningProbabilities(
+    parent1.genetics,
+    parent2.genetics,
+    RARITY_NAMES[parent1.rarity] || 'Common',
+    RARITY_NAMES[parent2.rarity] || 'Common'
+  );
+
+  const predictions = {};
+  for (const trait of OFFSPRING_TRAITS) {
+    const genes = getParentGenes(offspring.genetics, trait);
+    if (!genes || genes[0] == null) continue;
+    predictions[trait] = {
+      observed: String(genes[0]),
+      distribution: probabilities[trait] || {},
+      mutations: (probabilities.mutations?.[trait] || []).map(String)
+    };
+  }
+  predictions.rarity = {
+    observed: RARITY_NAMES[offspring.rarity] || 'Common',
+    distribution: probabilities.rarity || {},
+    mutations: []
+  };
+  return predictions;
+}
+
+// Case-insensitive lookup of an observed value in a predicted distribution
+function findPrediction(distribution, observed) {
+  const key = String(observed).toLowerCase();
+  for (const [value, pct] of Object.entries(distribution)) {
+    if (value.toLowerCase() === key) return { value, p: (Number(pct) || 0) / 100 };
+  }
+  return { value: observed, p: 0 };
+}
+
+function emptyBins(edges) {
+  return edges.slice(0, -1).map((from, i) => ({
+    from,
+    to: edges[i + 1],
+    count: 0,
+    predicted: 0,
+    observed: 0,
+    variance: 0
+  }));
+}
+
+function addToBins(bins, p, hit) {
+  const bin = bins.find((b, i) => p < b.to || i === bins.length - 1);
+  bin.count++;
+  bin.predicted += p;
+  bin.observed += hit ? 1 : 0;
+  bin.variance += p * (1 - p);
+}
+
+// z-score of observed hits against the expected count (0 when there is no variance)
+function zScore(observed, expected, variance) {
+  return variance > 0 ? (observed - expected) / Math.sqrt(variance) : 0;
+}
+
+function finishBins(bins) {
+  return bins
+    .filter(b => b.count > 0)
+    .map(b => ({
+      from: b.from,
+      to: b.to,
+      count: b.count,
+      predictedRate: b.predicted / b.count,
+      observedRate: b.observed / b.count,
+      expectedHits: b.predicted,
+      observedHits: b.observed,
+      z: zScore(b.observed, b.predicted, b.variance)
+    }));
+}
+
+/**
+ * Aggregate stored checks into calibration statistics
+ *
+ * Every (summon, trait, candidate value) is one forecast: the engine said p, and
+ * the value either appeared or not. Forecasts are bucketed by p; a well-calibrated
+ * engine shows observedRate ≈ predictedRate and |z| mostly under 2 in every bucket.
+ *
+ * @param {Array<Object>} checks - Rows with a `predictions` object (see buildOutcomeCheck)
+ * @param {Object} options
+ * @param {Array<number>} [options.bins] - Bucket edges over [0, 1]
+ * @returns {Object} { samples, overall, byTrait, byMutationTier }
+ */
+export function buildCalibrationReport(checks, { bins = DEFAULT_BINS } = {}) {
+  const overallBins = emptyBins(bins);
+  const traitStats = new Map();
+  const tierStats = new Map();
+  let samples = 0;
+
+  for (const check of checks) {
+    const predictions = typeof check.predictions === 'string' ? JSON.parse(check.predictions) : check.predictions;
+    if (!predictions) continue;
+    samples++;
+
+    for (const trait of CALIBRATION_TRAITS) {
+      const prediction = predictions[trait];
+      if (!prediction || prediction.observed == null) continue;
+
+      if (!traitStats.has(trait)) {
+        traitStats.set(trait, { trait, samples: 0, brier: 0, logLoss: 0, impossible: 0, topHits: 0, topConfidence: 0, bins: emptyBins(bins) });
+      }
+      const stats = traitStats.get(trait);
+      const observedKey = String(prediction.observed).toLowerCase();
+      const entries = Object.entries(prediction.distribution || {}).map(([value, pct]) => [value, (Number(pct) || 0) / 100]);
+      const observed = findPrediction(prediction.distribution || {}, prediction.observed);
+
+      stats.samples++;
+      stats.logLoss += -Math.log(Math.max(observed.p, MIN_PROBABILITY));
+      if (observed.p === 0) stats.impossible++;
+
+      let brier = observed.p === 0 ? 1 : 0;
+      let top = null;
+      for (const [value, p] of entries) {
+        const hit = value.toLowerCase() === observedKey;
+        brier += (p - (hit ? 1 : 0)) ** 2;
+        addToBins(stats.bins, p, hit);
+        addToBins(overallBins, p, hit);
+        if (!top || p > top.p) top = { value, p, hit };
+      }
+      if (observed.p === 0) {
+        // The engine gave the outcome no mass at all: a forecast of 0 that came true
+        addToBins(stats.bins, 0, true);
+        addToBins(overallBins, 0, true);
+      }
+      stats.brier += brier;
+      if (top) {
+        stats.topConfidence += top.p;
+        if (top.hit) stats.topHits++;
+      }
+
+      // Mutation outcomes, grouped by the tier of the mutated value
+      const mutationKeys = new Set((prediction.mutations || []).map(v => String(v).toLowerCase()));
+      for (const [value, p] of entries) {
+        if (!mutationKeys.has(value.toLowerCase())) continue;
+        const tier = mutationTier(trait, value);
+        const key = `${tier}\u0001${trait}`;
+        if (!tierStats.has(key)) {
+          tierStats.set(key, { tier, trait, opportunities: 0, expected: 0, observed: 0, variance: 0 });
+        }
+        const t = tierStats.get(key);
+        t.opportunities++;
+        t.expected += p;
+        t.variance += p * (1 - p);
+        if (value.toLowerCase() === observedKey) t.observed++;
+      }
+    }
+  }
+
+  const byTrait = CALIBRATION_TRAITS.filter(t => traitStats.has(t)).map(trait => {
+    const s = traitStats.get(trait);
+    const traitBins = finishBins(s.bins);
+    return {
+      trait,
+      samples: s.samples,
+      brier: s.brier / s.samples,
+      logLoss: s.logLoss / s.samples,
+      impossible: s.impossible,
+      topConfidence: s.topConfidence / s.samples,
+      topAccuracy: s.topHits / s.samples,
+      maxAbsZ: traitBins.reduce((m, b) => Math.max(m, Math.abs(b.z)), 0),
+      bins: traitBins
+    };
+  });
+
+  const byMutationTier = MUTATION_TIERS
+    .map(tier => {
+      const rows = [...tierStats.values()].filter(t => t.tier === tier);
+      if (rows.length === 0) return null;
+      const total = rows.reduce((acc, t) => ({
+        opportunities: acc.opportunities + t.opportunities,
+        expected: acc.expected + t.expected,
+        observed: acc.observed + t.observed,
+        variance: acc.variance + t.variance
+      }), { opportunities: 0, expected: 0, observed: 0, variance: 0 });
+      const summarize = (t) => ({
+        opportunities: t.opportunities,
+        expected: t.expected,
+        observed: t.observed,
+        ratio: t.expected > 0 ? t.observed / t.expected : null,
+        z: zScore(t.observed, t.expected, t.variance)
+      });
+      return {
+        tier,
+        ...summarize(total),
+        traits: CALIBRATION_TRAITS
+          .map(trait => rows.find(r => r.trait === trait))
+          .filter(Boolean)
+          .map(r => ({ trait: r.trait, ...summarize(r) }))
+      };
+    })
+    .filter(Boolean);
+
+  return {
+    samples,
+    overall: finishBins(overallBins),
+    byTrait,
+    byMutationTier
+  };
+}
+
+export default {
+  RARITY_NAMES,
+  CALIBRATION_TRAITS,
+  MUTATION_TIERS,
+  DEFAULT_BINS,
+  mutationTier,
+  buildOutcomeCheck,
+  buildCalibrationReport
+};
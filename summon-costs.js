@@ -0,0 +1,260 @@
+/**
+ * Summon Costs - what one summon (and one wanted child) costs
+ *
+ * A summon costs each parent a fee in the realm's native token (CRYSTAL on cv,
+ * JEWEL on sd) that grows with generation and summons already used, plus
+ * Gaia's Tears by parent class tier, plus an optional enhancement stone that is
+ * consumed to boost the child's stats.
+ *
+ * Dark Summoning (Veiled Summoner) charges a quarter of the fee, needs no tears
+ * and accepts heroes with no summons left, but burns both parents: a pair gets
+ * exactly one roll, so every failed roll means buying a new pair. Gene and rarity
+ * odds are the regular ones (see calculateSummoningProbabilities).
+ */
+
+import { lookupStone, findStone, STONE_TIERS, STONE_TYPES } from './src/data/enhancementStones.js';
+
+export const SUMMON_TYPES = ['regular', 'dark'];
+
+// Per-parent fee: base + perSummon * summons used + perGeneration * generation
+export const SUMMON_FEE = { base: 6, perSummon: 2, perGeneration: 10, gen0Cap: 30 };
+export const DARK_SUMMON_FEE_DIVISOR = 4;
+
+export const TEARS_BY_TIER = { basic: 10, advanced: 40, elite: 70, exalted: 100 };
+export const DEFAULT_TEAR_PRICE = 0.05;
+
+// Class tiers for tear costs - same grouping as the sniper search in bot.js
+const ADVANCED_CLASSES = ['paladin', 'darkknight', 'summoner', 'ninja', 'shapeshifter', 'bard'];
+const ELITE_CLASSES = ['dragoon', 'sage', 'spellbow'];
+const EXALTED_CLASSES = ['dreadknight'];
+
+const DEFAULT_MAX_ATTEMPTS = 10;
+const RARITY_NAMES = ['Common', 'Uncommon', 'Rare', 'Legendary', 'Mythic'];
+
+/**
+ * Tier of a parent class for tear purposes
+ * @param {string} className - Main class
+ * @returns {string} 'basic' | 'advanced' | 'elite' | 'exalted'
+ */
+export function getClassTier(className) {
+  const normalized = String(className || '').toLowerCase();
+  if (EXALTED_CLASSES.includes(normalized)) return 'exalted';
+  if (ELITE_CLASSES.includes(normalized)) return 'elite';
+  if (ADVANCED_CLASSES.includes(normalized)) return 'advanced';
+  return 'basic';
+}
+
+/**
+ * Summon fee one parent pays
+ * @param {number} generation - Parent generation
+ * @param {number} totalSummoned - Summons the parent has already done
+ * @param {Object} options - { dark }
+ * @returns {number} Fee in native token
+ */
+export function calculateSummonFee(generation, totalSummoned, { dark = false } = {}) {
+  let cost = SUMMON_FEE.base + (SUMMON_FEE.perSummon * (totalSummoned || 0)) + (SUMMON_FEE.perGeneration * (generation || 0));
+  if (!generation && cost > SUMMON_FEE.gen0Cap) cost = SUMMON_FEE.gen0Cap;
+  return dark ? cost / DARK_SUMMON_FEE_DIVISOR : cost;
+}
+
+/**
+ * Gaia's Tears a parent of this class contributes to a summon
+ * @param {string} className - Parent main class
+ * @param {Object} options - { dark } (dark summons take no tears)
+ * @returns {number} Tear count
+ */
+export function getTearCount(className, { dark = false } = {}) {
+  return dark ? 0 : TEARS_BY_TIER[getClassTier(className)];
+}
+
+/**
+ * Resolve an enhancement stone choice against the stone registry
+ * @param {Object|string|null} stone - { type, tier, chain } or a stone token address
+ * @returns {Object|null} lookupStone() record, null when no stone is used
+ */
+export function resolveStone(stone) {
+  if (!stone) return null;
+  if (typeof stone === 'string') return lookupStone(stone);
+
+  const type = String(stone.type || '').toLowerCase();
+  const tier = String(stone.tier || STONE_TIERS.NORMAL).toLowerCase();
+  if (!Object.values(STONE_TYPES).includes(type)) throw new Error(`Unknown enhancement stone type: ${stone.type}`);
+  if (!Object.values(STONE_TIERS).includes(tier)) throw new Error(`Unknown enhancement stone tier: ${stone.tier}`);
+  return findStone(type, tier, stone.chain || 'dfk');
+}
+
+/**
+ * Parse a typed stone name such as "greater might" or "vigor"
+ * @param {string} text - "[tier] type" (tier defaults to normal)
+ * @returns {Object|null} { type, tier } for resolveStone, null for an empty input
+ */
+export function parseStone(text) {
+  const words = String(text || '').toLowerCase().replace(/stone/g, ' ').split(/\s+/).filter(Boolean);
+  if (words.length === 0) return null;
+  const tier = Object.values(STONE_TIERS).includes(words[0]) && words.length > 1 ? words.shift() : STONE_TIERS.NORMAL;
+  return { type: words.join(''), tier };
+}
+
+function summonsLeft(hero) {
+  return Math.max(0, (hero.maxSummons || 0) - (hero.summons || 0));
+}
+
+/**
+ * Cost of one summon between two parents
+ *
+ * Parents are { generation, summons, mainClass, price?, owned? }; price is the
+ * tavern price in native token and is only counted for heroes not owned.
+ *
+ * @param {Object} parentA
+ * @param {Object} parentB
+ * @param {Object} options
+ * @param {string} [options.summonType='regular'] - 'regular' or 'dark'
+ * @param {number} [options.tearPrice=0.05] - Native-token price of one tear
+ * @param {Object|string} [options.stone] - Enhancement stone (see resolveStone)
+ * @param {number} [options.stonePrice] - Native-token price of that stone (unpriced when omitted)
+ * @param {number} [options.attempt=0] - Summons already done with this pair (fees grow per summon)
+ * @returns {Object} Fee, tear, stone and purchase breakdown in native token
+ */
+export function calculateSummonCost(parentA, parentB, {
+  summonType = 'regular',
+  tearPrice = DEFAULT_TEAR_PRICE,
+  stone = null,
+  stonePrice = null,
+  attempt = 0
+} = {}) {
+  if (!SUMMON_TYPES.includes(summonType)) throw new Error(`Unknown summon type: ${summonType}`);
+  const dark = summonType === 'dark';
+
+  const fees = [parentA, parentB].map(p => calculateSummonFee(p.generation, (p.summons || 0) + attempt, { dark }));
+  const tearCount = getTearCount(parentA.mainClass, { dark }) + getTearCount(parentB.mainClass, { dark });
+  const tearCost = tearCount * (tearPrice ?? DEFAULT_TEAR_PRICE);
+
+  const stoneInfo = resolveStone(stone);
+  const stonePriced = !stoneInfo || (stonePrice != null && Number.isFinite(Number(stonePrice)));
+  const stoneCost = stoneInfo && stonePriced ? Number(stonePrice) : 0;
+
+  const purchaseCost = [parentA, parentB].reduce((sum, p) => sum + (p.owned ? 0 : (parseFloat(p.price) || 0)), 0);
+  const attemptCost = fees[0] + fees[1] + tearCost + stoneCost;
+
+  return {
+    summonType,
+    parentsBurned: dark,
+    fees,
+    summonTokenCost: fees[0] + fees[1],
+    tearCount,
+    tearCost,
+    stone: stoneInfo ? {
+      displayName: stoneInfo.displayName,
+      type: stoneInfo.type,
+      tier: stoneInfo.tier,
+      statAbbr: stoneInfo.statAbbr,
+      statBonus: stoneInfo.statBonus,
+      primaryGrowthBonus: stoneInfo.primaryGrowthBonus,
+      secondaryGrowthBonus: stoneInfo.secondaryGrowthBonus,
+      priced: stonePriced
+    } : null,
+    stoneCost,
+    purchaseCost,
+    attemptCost,
+    totalCost: purchaseCost + attemptCost
+  };
+}
+
+/**
+ * Expected spend to get one child matching a target
+ *
+ * Regular summons retry with the same pair until the child appears or the
+ * parents run out of summons (capped by maxAttempts); fees rise with each try.
+ * Dark summons get a single roll because the parents are burned.
+ *
+ * @param {number} probability - Per-summon chance (0-1) of the wanted child
+ * @param {Object} parentA - See calculateSummonCost; maxSummons bounds regular retries
+ * @param {Object} parentB
+ * @param {Object} options - calculateSummonCost options plus maxAttempts
+ * @returns {Object|null} Attempts, odds and costs (native token), null if the pair cannot summon
+ */
+export function estimateCostPerOutcome(probability, parentA, parentB, { maxAttempts = DEFAULT_MAX_ATTEMPTS, ...costOptions } = {}) {
+  const dark = costOptions.summonType === 'dark';
+  const attempts = dark ? 1 : Math.min(summonsLeft(parentA), summonsLeft(parentB), maxAttempts);
+  if (attempts < 1 || !(probability > 0)) return null;
+
+  const first = calculateSummonCost(parentA, parentB, costOptions);
+  let reach = 1;
+  let expectedAttempts = 0;
+  let expectedSummonCost = 0;
+  for (let i = 0; i < attempts; i++) {
+    const { attemptCost } = i === 0 ? first : calculateSummonCost(parentA, parentB, { ...costOptions, attempt: i });
+    expectedAttempts += reach;
+    expectedSummonCost += reach * attemptCost;
+    reach *= 1 - probability;
+  }
+
+  const successProbability = 1 - reach;
+  const expectedCost = first.purchaseCost + expectedSummonCost;
+  return {
+    summonType: first.summonType,
+    probability,
+    attempts,
+    expectedAttempts,
+    successProbability,
+    purchaseCost: first.purchaseCost,
+    expectedSummonCost,
+    expectedCost,
+    costPerOutcome: expectedCost / successProbability,
+    firstAttempt: first
+  };
+}
+
+/**
+ * Outcomes worth pricing for a summon: the likeliest main classes and each
+ * reachable rarity floor
+ * @param {Object} probabilities - Output of calculateSummoningProbabilities (percent)
+ * @param {Object} options - { topClasses }
+ * @returns {Array<Object>} { label, probability (0-1) }
+ */
+export function summonOutcomes(probabilities, { topClasses = 3 } = {}) {
+  const outcomes = Object.entries(probabilities.class || {})
+    .filter(([, pct]) => pct > 0)
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, topClasses)
+    .map(([name, pct]) => ({ label: name, probability: pct / 100 }));
+
+  for (let floor = 1; floor < RARITY_NAMES.length; floor++) {
+    const pct = RARITY_NAMES.slice(floor).reduce((sum, name) => sum + (probabilities.rarity?.[name] || 0), 0);
+    if (pct <= 0) break;
+    const label = floor === RARITY_NAMES.length - 1 ? RARITY_NAMES[floor] : `${RARITY_NAMES[floor]}+`;
+    outcomes.push({ label, probability: pct / 100 });
+  }
+  return outcomes;
+}
+
+/**
+ * Convert a native-token amount to JEWEL
+ * @param {number} amount - Amount in native token
+ * @param {string} token - 'JEWEL' or 'CRYSTAL' (or realm 'sd' / 'cv')
+ * @param {Object} prices - { crystalPriceUsd, jewelPriceUsd }
+ * @returns {number|null} JEWEL amount, null when CRYSTAL cannot be priced
+ */
+export function toJewel(amount, token, { crystalPriceUsd = 0, jewelPriceUsd = 0 } = {}) {
+  const normalized = String(token || '').toUpperCase();
+  if (normalized === 'JEWEL' || normalized === 'SD') return amount;
+  if (!(crystalPriceUsd > 0) || !(jewelPriceUsd > 0)) return null;
+  return amount * crystalPriceUsd / jewelPriceUsd;
+}
+
+export default {
+  SUMMON_TYPES,
+  SUMMON_FEE,
+  DARK_SUMMON_FEE_DIVISOR,
+  TEARS_BY_TIER,
+  DEFAULT_TEAR_PRICE,
+  getClassTier,
+  calculateSummonFee,
+  getTearCount,
+  resolveStone,
+  parseStone,
+  calculateSummonCost,
+  estimateCostPerOutcome,
+  summonOutcomes,
+  toJewel
+};
@@ -0,0 +1,311 @@
+/**
+ * Summon Value - expected resale value and profit of a summon
+ *
+ * Every offspring outcome bucket (class × rarity × profession × skill trait score)
+ * is priced in the realm's native token. The fve-engine trait weights give a
+ * prior for the bucket; recent tavern_sales of the same bucket pull the estimate
+ * toward what such heroes actually sold for. Expected value is the bucket values
+ * weighted by the summoning-engine odds; profit is that minus the summon cost.
+ */
+
+import { getSkillTierByName } from './summoning-engine.js';
+import { calculateGeneration, calculateSummonsRemaining } from './genetics-engine.js';
+import { calculateSummonCost } from './summon-costs.js';
+import { predictLogPrice, fitTraitWeights, loadTraitSamples, getLatestTraitWeights } from './fve-engine.js';
+
+export const RARITY_NAMES = ['Common', 'Uncommon', 'Rare', 'Legendary', 'Mythic'];
+export const VALUE_LOOKBACK_DAYS = 30;
+
+// The trait-weight prediction counts as this many comparable sales
+const PRIOR_STRENGTH = 5;
+const Z_95 = 1.96;
+const SKILL_TRAITS = ['active1', 'active2', 'passive1', 'passive2'];
+const MODEL_CACHE_TTL = 10 * 60 * 1000;
+const DEFAULT_MAX_ATTEMPTS = 10;
+
+const modelCache = new Map();
+
+function bucketKey(hero) {
+  return [
+    String(hero.mainClass || '').toLowerCase(),
+    hero.rarity || 0,
+    String(hero.profession || '').toLowerCase(),
+    hero.traitScore || 0
+  ].join('|');
+}
+
+/**
+ * Distribution of the child's skill trait score (sum of the four skill tiers)
+ * @param {Object} probabilities - Output of calculateSummoningProbabilities (percent)
+ * @returns {Map<number, number>} Trait score -> probability (0-1)
+ */
+export function traitScoreDistribution(probabilities) {
+  let dist = new Map([[0, 1]]);
+  for (const trait of SKILL_TRAITS) {
+    const tiers = new Map();
+    for (const [skill, pct] of Object.entries(probabilities[trait] || {})) {
+      const tier = getSkillTierByName(skill);
+      tiers.set(tier, (tiers.get(tier) || 0) + pct / 100);
+    }
+    if (tiers.size === 0) continue;
+    const next = new Map();
+    for (const [score, p] of dist) {
+      for (const [tier, q] of tiers) {
+        next.set(score + tier, (next.get(score + tier) || 0) + p * q);
+      }
+    }
+    dist = next;
+  }
+  return dist;
+}
+
+/**
+ * Offspring outcome buckets with their odds; traits roll independently in the engine
+ * @param {Object} probabilities - Output of calculateSummoningProbabilities (percent)
+ * @param {Object} options - { minProbability } drops negligible buckets
+ * @returns {Array<Object>} { mainClass, rarity (0-4), profession, traitScore, probability }
+ */
+export function offspringBuckets(probabilities, { minProbability = 1e-6 } = {}) {
+  const classes = Object.entries(probabilities.class || {}).filter(([, pct]) => pct > 0);
+  const rarities = RARITY_NAMES.map((name, rarity) => [rarity, probabilities.rarity?.[name] || 0]).filter(([, pct]) => pct > 0);
+  const professions = Object.entries(probabilities.profession || {}).filter(([, pct]) => pct > 0);
+  const scores = [...traitScoreDistribution(probabilities)];
+
+  const buckets = [];
+  for (const [mainClass, classPct] of classes) {
+    for (const [rarity, rarityPct] of rarities) {
+      for (const [profession, professionPct] of professions) {
+        for (const [traitScore, scoreP] of scores) {
+          const probability = (classPct / 100) * (rarityPct / 100) * (professionPct / 100) * scoreP;
+          if (probability < minProbability) continue;
+          buckets.push({ mainClass, rarity, profession, traitScore, probability });
+        }
+      }
+    }
+  }
+  return buckets;
+}
+
+/**
+ * Build a value model from recent sales and (optionally) stored trait weights
+ * @param {Array<Object>} sales - loadTraitSamples() rows
+ * @param {Object} options - { weights } from trait_weights; fitted from the sales when missing
+ * @returns {Object|null} Model for valueBucket, null when there are no sales
+ */
+export function buildValueModel(sales, { weights = null } = {}) {
+  const priced = sales.filter(s => s.price > 0);
+  if (priced.length === 0) return null;
+
+  const modelWeights = weights || fitTraitWeights(priced).weights;
+
+  // Residual spread around the weights, measured on the same recent sales
+  let ssRes = 0;
+  const comps = new Map();
+  for (const sale of priced) {
+    const logPrice = Math.log(sale.price);
+    ssRes += (logPrice - predictLogPrice(modelWeights, sale)) ** 2;
+    const key = bucketKey(sale);
+    const comp = comps.get(key) || { count: 0, sumLog: 0 };
+    comp.count++;
+    comp.sumLog += logPrice;
+    comps.set(key, comp);
+  }
+
+  return {
+    weights: modelWeights,
+    residualStd: Math.sqrt(ssRes / Math.max(1, priced.length - 1)),
+    comps,
+    samples: priced.length,
+    storedWeights: !!weights
+  };
+}
+
+/**
+ * Expected resale price of one outcome bucket
+ *
+ * Log prices are shrunk from the trait-weight prediction toward the bucket's own
+ * sales: (k · prediction + Σ log comps) / (k + n), with log standard error
+ * residualStd / √(k + n). exp(logMean) is the lognormal median; the mean adds
+ * half the log variance of a single sale (residualStd² + logSe²).
+ *
+ * @param {Object} model - buildValueModel() output
+ * @param {Object} hero - { mainClass, rarity, profession, traitScore, generation, summonsLeft }
+ * @returns {Object} { value, median, logMean, logSe, comps }
+ */
+export function valueBucket(model, hero) {
+  const comp = model.comps.get(bucketKey(hero)) || { count: 0, sumLog: 0 };
+  const prior = predictLogPrice(model.weights, { ...hero, level: 1 });
+  const logMean = (PRIOR_STRENGTH * prior + comp.sumLog) / (PRIOR_STRENGTH + comp.count);
+  const logSe = model.residualStd / Math.sqrt(PRIOR_STRENGTH + comp.count);
+  const logVar = model.residualStd ** 2 + logSe ** 2;
+  return { value: Math.exp(logMean + logVar / 2), median: Math.exp(logMean), logMean, logSe, comps: comp.count };
+}
+
+/**
+ * Expected resale value of the child of one summon
+ * @param {Object} probabilities - Output of calculateSummoningProbabilities (percent)
+ * @param {Object} model - buildValueModel() output
+ * @param {Object} child - { generation, summonsLeft } of the child (fixed by the parents)
+ * @param {Object} options - { topBuckets } buckets returned for display
+ * @returns {Object} { expectedValue, standardError, interval, compCoverage, buckets }
+ */
+export function valueOffspring(probabilities, model, child, { topBuckets = 5 } = {}) {
+  let expectedValue = 0;
+  let standardError = 0;
+  let compCoverage = 0;
+  let mass = 0;
+  const valued = [];
+
+  for (const bucket of offspringBuckets(probabilities)) {
+    const { value, logSe, comps } = valueBucket(model, { ...bucket, ...child });
+    expectedValue += bucket.probability * value;
+    // Delta method: sd(value) ≈ value · logSe. Buckets share the trait weights, so their
+    // errors are summed as fully correlated - a conservative interval
+    standardError += bucket.probability * value * logSe;
+    if (comps > 0) compCoverage += bucket.probability;
+    mass += bucket.probability;
+    valued.push({ ...bucket, value, comps, contribution: bucket.probability * value });
+  }
+
+  // Renormalize for the negligible buckets that were dropped
+  if (mass > 0 && mass < 1) {
+    expectedValue /= mass;
+    standardError /= mass;
+    compCoverage /= mass;
+  }
+
+  return {
+    expectedValue,
+    standardError,
+    interval: [Math.max(0, expectedValue - Z_95 * standardError), expectedValue + Z_95 * standardError],
+    compCoverage,
+    buckets: valued
+      .sort((a, b) => b.contribution - a.contribution)
+      .slice(0, topBuckets)
+      .map(({ contribution, ...bucket }) => ({ ...bucket, rarityName: RARITY_NAMES[bucket.rarity] }))
+  };
+}
+
+/**
+ * Child traits that follow from the parents rather than from gene rolls
+ * @param {Object} parentA - { generation, maxSummons }
+ * @param {Object} parentB
+ * @returns {Object} { generation, summonsLeft }
+ */
+export function childProfile(parentA, parentB) {
+  return {
+    generation: calculateGeneration(parentA.generation || 0, parentB.generation || 0),
+    summonsLeft: calculateSummonsRemaining(parentA.maxSummons || 0, parentB.maxSummons || 0, parentA.generation || 0, parentB.generation || 0)
+  };
+}
+
+function profitRange(expected, standardError) {
+  return { expected, low: expected - Z_95 * standardError, high: expected + Z_95 * standardError };
+}
+
+/**
+ * Profit of summoning with a pair: expected child value minus summon cost
+ *
+ * perSummon is one summon with the pair as it stands (fees, tears, stone).
+ * pair covers every summon the pair will do (a single roll for dark summons)
+ * and also pays for parents bought from the tavern; what the parents are
+ * worth afterwards is not counted.
+ *
+ * @param {Object} valuation - valueOffspring() output
+ * @param {Object} parentA - See calculateSummonCost; maxSummons bounds regular summons
+ * @param {Object} parentB
+ * @param {Object} options - calculateSummonCost options plus maxAttempts
+ * @returns {Object} { attempts, perSummon, pair } with { expected, low, high } in native token
+ */
+export function estimateProfit(valuation, parentA, parentB, { maxAttempts = DEFAULT_MAX_ATTEMPTS, ...costOptions } = {}) {
+  const dark = costOptions.summonType === 'dark';
+  const left = (hero) => Math.max(0, (hero.maxSummons || 0) - (hero.summons || 0));
+  const attempts = dark ? 1 : Math.max(1, Math.min(left(parentA), left(parentB), maxAttempts));
+
+  const first = calculateSummonCost(parentA, parentB, costOptions);
+  let summonCost = 0;
+  for (let i = 0; i < attempts; i++) {
+    summonCost += i === 0 ? first.attemptCost : calculateSummonCost(parentA, parentB, { ...costOptions, attempt: i }).attemptCost;
+  }
+
+  const { expectedValue, standardError } = valuation;
+  return {
+    attempts,
+    perSummon: profitRange(expectedValue - first.attemptCost, standardError),
+    pair: profitRange(attempts * expectedValue - summonCost - first.purchaseCost, attempts * standardError)
+  };
+}
+
+/**
+ * Value model for a realm from stored trait weights and the last weeks of sales
+ * (cached for a few minutes)
+ * @param {string} realm - 'cv' or 'sd'
+ * @returns {Promise<Object|null>} buildValueModel() output, null without sales
+ */
+export async function loadValueModel(realm, { lookbackDays = VALUE_LOOKBACK_DAYS } = {}) {
+  const cacheKey = `${realm}:${lookbackDays}`;
+  const cached = modelCache.get(cacheKey);
+  if (cached && Date.now() - cached.loadedAt < MODEL_CACHE_TTL) return cached.model;
+
+  const [sales, stored] = await Promise.all([
+    loadTraitSamples(realm, new Date(), lookbackDays),
+    getLatestTraitWeights(realm)
+  ]);
+  const model = buildValueModel(sales, { weights: stored?.weights || null });
+  modelCache.set(cacheKey, { model, loadedAt: Date.now() });
+  return model;
+}
+
+/**
+ * Value a summon end to end: probabilities + parents -> value and profit
+ * @param {Object} probabilities - Output of calculateSummoningProbabilities
+ * @param {Object} parentA - calculateSummonCost parent plus maxSummons
+ * @param {Object} parentB
+ * @param {Object} model - buildValueModel() output (null returns null)
+ * @param {Object} costOptions - estimateProfit options
+ * @returns {Object|null} valueOffspring() output plus profit
+ */
+export function valueSummon(probabilities, parentA, parentB, model, costOptions = {}) {
+  if (!model) return null;
+  const valuation = valueOffspring(probabilities, model, childProfile(parentA, parentB));
+  return { ...valuation, profit: estimateProfit(valuation, parentA, parentB, costOptions) };
+}
+
+/**
+ * Rounded value and profit fields for API payloads and caches
+ * @param {Object|null} valued - valueSummon() output
+ * @returns {Object} { value, profit }, both null when the summon could not be valued
+ */
+export function summarizeValue(valued) {
+  if (!valued) return { value: null, profit: null };
+  const round = (n) => Math.round(n * 100) / 100;
+  const range = ({ expected, low, high }) => ({ expected: round(expected), low: round(low), high: round(high) });
+  return {
+    value: {
+      expected: round(valued.expectedValue),
+      low: round(valued.interval[0]),
+      high: round(valued.interval[1]),
+      compCoverage: round(valued.compCoverage * 100)
+    },
+    profit: {
+      attempts: valued.profit.attempts,
+      perSummon: range(valued.profit.perSummon),
+      pair: range(valued.profit.pair)
+    }
+  };
+}
+
+export default {
+  RARITY_NAMES,
+  VALUE_LOOKBACK_DAYS,
+  traitScoreDistribution,
+  offspringBuckets,
+  buildValueModel,
+  valueBucket,
+  valueOffspring,
+  childProfile,
+  estimateProfit,
+  loadValueModel,
+  valueSummon,
+  summarizeValue
+};
@@ -219,10 +219,16 @@ function extractVisualGeneIds(visualTrait) {
  * @param {Object} parent2Genetics - Full genetics object from hero-genetics.js
  * @param {string} parent1Rarity - Parent 1 rarity ('Common', 'Uncommon', etc.)
  * @param {string} parent2Rarity - Parent 2 rarity
+ * @param {Object} options - { skipVisuals, summonType: 'regular' | 'dark' }
  * @returns {Object} Complete probability distributions for all traits
+ *
+ * Dark Summoning rolls genes and rarity exactly like a regular summon; what
+ * differs is that both parents are burned, so the result is tagged with
+ * summonType/parentsBurned for cost and value calculations (see summon-costs.js).
  */
 export function calculateSummoningProbabilities(parent1Genetics, parent2Genetics, parent1Rarity, parent2Rarity, options = {}) {
   const skipVisuals = options.skipVisuals === true;
+  const summonType = options.summonType === 'dark' ? 'dark' : 'regular';
 
   // Class traits use mutation system
   const classData = calculateTraitWithMutations(parent1Genetics.mainClass, parent2Genetics.mainClass, CLASS_MUTATION_MAP);
@@ -343,6 +349,8 @@ export function calculateSummoningProbabilities(parent1Genetics, parent2Genetics
     crafting1: craft1Data.probabilities,
     crafting2: craft2Data.probabilities,
     rarity: calculateRarityDistribution(parent1Rarity, parent2Rarity),
+    summonType,
+    parentsBurned: summonType === 'dark',
     mutations: {
       class: Array.from(classData.mutations),
       subClass: Array.from(subClassData.mutations),
@@ -718,6 +726,78 @@ export function getSkillTierByName(skill) {
   return 0; // Default to Basic
 }
 
+const TRAIT_MUTATION_MAPS = {
+  class: CLASS_MUTATION_MAP,
+  subClass: CLASS_MUTATION_MAP,
+  active1: ACTIVE_SKILL_MUTATION_MAP,
+  active2: ACTIVE_SKILL_MUTATION_MAP,
+  passive1: PASSIVE_SKILL_MUTATION_MAP,
+  passive2: PASSIVE_SKILL_MUTATION_MAP,
+  hairStyle: HAIR_STYLE_MUTATION_MAP,
+  hairColor: HAIR_COLOR_MUTATION_MAP,
+  headAppendage: HEAD_APPENDAGE_MUTATION_MAP,
+  backAppendage: BACK_APPENDAGE_MUTATION_MAP,
+  appendageColor: APPENDAGE_COLOR_MUTATION_MAP,
+  backAppendageColor: APPENDAGE_COLOR_MUTATION_MAP,
+  eyeColor: EYE_COLOR_MUTATION_MAP,
+  skinColor: SKIN_COLOR_MUTATION_MAP
+};
+
+const VISUAL_MUTATION_TRAITS = new Set([
+  'hairStyle', 'hairColor', 'headAppendage', 'backAppendage',
+  'appendageColor', 'backAppendageColor', 'eyeColor', 'skinColor'
+]);
+
+/**
+ * Mutation a single pair of genes can produce at one gene position
+ * (same rules as calculateTraitWithMutations / calculateVisualTraitWithMutations)
+ * @param {string} trait - Result key from calculateSummoningProbabilities
+ * @param {string|number} gene1 - Parent 1 gene (name, or gene ID for visual traits)
+ * @param {string|number} gene2 - Parent 2 gene
+ * @returns {{gene: string|number, rate: number}|null} Mutated gene and its chance, null if the pair cannot mutate
+ */
+export function getMutationOutcome(trait, gene1, gene2) {
+  const map = TRAIT_MUTATION_MAPS[trait];
+  if (!map || gene1 == null || gene2 == null) return null;
+
+  const mutated = map[`${gene1}+${gene2}`];
+  if (mutated === undefined) return null;
+
+  if (VISUAL_MUTATION_TRAITS.has(trait)) {
+    if (gene1 === gene2) return null;
+    return { gene: mutated, rate: MUTATION_CHANCE_STANDARD };
+  }
+  return {
+    gene: mutated,
+    rate: EXALTED_SKILLS.has(mutated) ? MUTATION_CHANCE_EXALTED : MUTATION_CHANCE_STANDARD
+  };
+}
+
+/**
+ * Get the parent gene pairs that can mutate into a given trait value
+ * (one level down the summoning tree, e.g. Dragoon → [['Paladin', 'DarkKnight']])
+ * @param {string} trait - Result key from calculateSummoningProbabilities (class, active1, hairStyle, ...)
+ * @param {string|number} value - Target trait value (name, or gene ID for visual traits)
+ * @returns {Array<[string, string]>} Unique unordered source pairs, empty if the value cannot mutate
+ */
+export function getMutationSources(trait, value) {
+  const map = TRAIT_MUTATION_MAPS[trait];
+  if (!map || value == null) return [];
+
+  const wanted = String(value).toLowerCase();
+  const seen = new Set();
+  const sources = [];
+  for (const [key, result] of Object.entries(map)) {
+    if (String(result).toLowerCase() !== wanted) continue;
+    const [a, b] = key.split('+');
+    const id = [a, b].sort().join('+');
+    if (seen.has(id)) continue;
+    seen.add(id);
+    sources.push([a, b]);
+  }
+  return sources;
+}
+
 /**
  * Calculate probability distribution of achieving different TS values
  * for an offspring from two parent heroes.
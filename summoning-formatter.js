@@ -5,6 +5,7 @@
  */
 
 import { EmbedBuilder } from 'discord.js';
+import { describeCondition } from './offspring-distribution.js';
 
 // Rarity colors for embeds
 const RARITY_COLORS = {
@@ -336,6 +337,100 @@ export async function createVisualGenesEmbed(probabilities) {
   return embed;
 }
 
+/**
+ * Create joint probability embed for a custom condition query
+ * @param {Object} joint - Result of jointProbability (offspring-distribution.js)
+ * @returns {EmbedBuilder} Discord embed
+ */
+export function createJointProbabilityEmbed(joint) {
+  const pct = (p) => `${(p * 100).toFixed(p > 0 && p < 0.001 ? 4 : 2)}%`;
+  const methodText = joint.method === 'exact'
+    ? 'Exact'
+    : `Monte Carlo (${joint.samples.toLocaleString()} samples, ±${pct(joint.standardError * 1.96)} at 95%)`;
+
+  const embed = new EmbedBuilder()
+    .setTitle('🎯 Joint Offspring Probability')
+    .setDescription(`**${pct(joint.probability)}** chance that the offspring matches every condition`)
+    .setColor(0x5865F2);
+
+  embed.addFields({
+    name: '📋 Conditions',
+    value: joint.conditions
+      .map((cond, i) => `\`${describeCondition(cond)}\`: ${pct(joint.marginals[i])}`)
+      .join('\n')
+      .slice(0, 1024),
+    inline: false
+  });
+
+  embed.addFields(
+    { name: '✖️ If Independent', value: pct(joint.independentProduct), inline: true },
+    { name: '🧮 Method', value: methodText, inline: true }
+  );
+
+  embed.setFooter({ text: 'Slots: trait.R1, trait.any; negate with !=; either trait with active1|active2' });
+
+  return embed;
+}
+
+/**
+ * Create summon cost embed: per-summon breakdown, expected cost per outcome and,
+ * when sales data allows, the child's expected resale value and profit
+ * @param {Object} report - { token, cost (calculateSummonCost), outcomes: [{ label, probability, estimate, jewel }], valued (valueSummon) }
+ * @returns {EmbedBuilder} Discord embed
+ */
+export function createSummonCostEmbed(report) {
+  const { token, cost, outcomes, valued = null } = report;
+  const amount = (value) => `${value.toFixed(2)} ${token}`;
+  const dark = cost.summonType === 'dark';
+
+  const embed = new EmbedBuilder()
+    .setTitle(dark ? '🌑 Dark Summon Cost' : '💰 Summon Cost')
+    .setDescription(`**${amount(cost.attemptCost)}** per summon`)
+    .setColor(dark ? 0x2C2F33 : 0xF1C40F);
+
+  const breakdown = [
+    `Fees: ${cost.fees.map(fee => fee.toFixed(2)).join(' + ')} ${token}`,
+    `Tears: ${cost.tearCount} (${amount(cost.tearCost)})`
+  ];
+  if (cost.stone) {
+    breakdown.push(`Stone: ${cost.stone.displayName} (${cost.stone.priced ? amount(cost.stoneCost) : 'unpriced'})`);
+  }
+  if (dark) breakdown.push('Both parents are burned');
+  embed.addFields({ name: '🧾 Per Summon', value: breakdown.join('\n'), inline: false });
+
+  const lines = outcomes.map(({ label, probability, estimate, jewel }) => {
+    if (!estimate) return `**${label}**: ${(probability * 100).toFixed(2)}% · no summons left`;
+    const jewelText = jewel == null ? '' : ` (≈${jewel.toFixed(2)} JEWEL)`;
+    return `**${label}**: ${(probability * 100).toFixed(2)}% · ${amount(estimate.costPerOutcome)}${jewelText}`;
+  });
+  if (lines.length > 0) {
+    embed.addFields({ name: '🎯 Expected Cost per Outcome', value: lines.join('\n').slice(0, 1024), inline: false });
+  }
+
+  if (valued) {
+    const [low, high] = valued.interval;
+    const { perSummon } = valued.profit;
+    embed.addFields({
+      name: '💎 Expected Resale',
+      value: [
+        `Child: **${amount(valued.expectedValue)}** (95% CI ${low.toFixed(2)}–${high.toFixed(2)})`,
+        `Profit per summon: **${amount(perSummon.expected)}** (${perSummon.low.toFixed(2)} to ${perSummon.high.toFixed(2)})`,
+        `Recent sales cover ${(valued.compCoverage * 100).toFixed(0)}% of outcomes; the rest use trait weights`
+      ].join('\n'),
+      inline: false
+    });
+  }
+
+  const attempts = outcomes.find(o => o.estimate)?.estimate.attempts;
+  embed.setFooter({
+    text: dark
+      ? 'One roll per pair; a miss means a new pair'
+      : `Retries with this pair up to ${attempts ?? 0} times; fees rise each summon`
+  });
+
+  return embed;
+}
+
 /**
  * Get rarity emoji
  * @param {string} rarity 
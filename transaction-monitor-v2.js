@@ -7,18 +7,37 @@
  * - RouteScan API: Single HTTP request, no block limits, instant response
  * - Multi-chain: Queries both DFK Chain (53935) and Metis Andromeda (1088)
  * - Payment matching: Filters transfers TO Hedge wallet FROM user wallet, checks amount
- * - Auto-expiry: Jobs expire after 2 hours if no payment detected
+ * - Multi-token: native JEWEL plus the ERC-20s in payment-tokens.js (CRYSTAL, USDC),
+ *   valued in JEWEL at transfer time before matching
+ * - Deposit sweep: Hedge's own incoming transfers go to wallet-deposits.js, which
+ *   credits verified wallets and queues unknown senders for admin review, and
+ *   to treasury.js, which keeps every inflow for treasury accounting
+ * - Payment jobs: payment-jobs.js keeps each job's state in the database
+ *   (pending → seen → confirmed → credited, or expired, or conflict for an
+ *   admin when the transfer was already credited to another player); this module scans for
+ *   the transfer, counts confirmations over RPC and drives the transitions
+ * - Recovery: on startup every open job is advanced once, so payments sent
+ *   while the bot was down are still credited, and jobs that ran out during
+ *   the downtime get a final scan before they expire
  */
 
 import Decimal from 'decimal.js';
+import { ethers } from 'ethers';
 import { db } from './server/db.js';
 import { gardenOptimizations } from './shared/schema.js';
 import { eq } from 'drizzle-orm';
 import * as paymentJobs from './payment-jobs.js';
+import { PAYMENT_JOB_STATES, REQUIRED_CONFIRMATIONS, countConfirmations, isInPaymentWindow, nextPaymentState } from './payment-jobs.js';
+import { processIncomingTransfers } from './wallet-deposits.js';
+import { recordTreasuryInflows } from './treasury.js';
+import { findErc20Token, priceTransfer, priceTransfers } from './payment-tokens.js';
+import { getChainProvider } from './src/services/rpcProviderRegistry.js';
 
 // Configuration
 const HEDGE_WALLET_ADDRESS = '0x498BC270C4215Ca62D9023a3D97c5CAdCD7c99e1';
 const POLL_INTERVAL_MS = 30000; // 30 seconds
+const DEPOSIT_SWEEP_INTERVAL_MS = 60000; // Hedge wallet sweep runs at most once a minute
+const CONVERTED_PAYMENT_TOLERANCE = new Decimal('0.02'); // CRYSTAL/USDC payments may land 2% under the JEWEL price
 
 // RouteScan API configuration (DFK Chain and Metis Andromeda)
 const CHAINS = [
@@ -30,12 +49,17 @@ const CHAINS = [
 let pollingTimer = null;
 let isRunning = false;
 let manualVerifyInProgress = false; // Mutex for fast-track scans
+let lastDepositSweepAt = 0;
 
 /**
  * Fetch transfers from RouteScan for a specific wallet across all chains
- * Returns unified format for all transfers TO Hedge wallet
+ * Returns unified format for all transfers TO Hedge wallet: native JEWEL and
+ * accepted ERC-20 tokens. JEWEL transfers carry amountJewel; other tokens are
+ * valued by payment-tokens.js priceTransfer(). Token transfers carry their
+ * event logIndex (null for native), which with the hash keys the ledger deposit.
+ * (also used by the ledger integrity checker to confirm deposits on-chain)
  */
-async function fetchTransfersFromRouteScan(fromWallet) {
+export async function fetchTransfersFromRouteScan(fromWallet) {
   const fromWalletLower = fromWallet.toLowerCase();
   const hedgeWalletLower = HEDGE_WALLET_ADDRESS.toLowerCase();
   const allTransfers = [];
@@ -66,9 +90,13 @@ async function fetchTransfersFromRouteScan(fromWallet) {
         )
         .map(tx => ({
           hash: tx.id,
+          logIndex: null,
           from: tx.from,
           to: tx.to,
-          amountJewel: (Number(BigInt(tx.value)) / 1e18).toString(),
+          token: 'JEWEL',
+          tokenAddress: null,
+          amount: ethers.formatEther(BigInt(tx.value)),
+          amountJewel: ethers.formatEther(BigInt(tx.value)),
           value: tx.value,
           blockNumber: tx.blockNumber,
           timestamp: new Date(tx.timestamp),
@@ -80,23 +108,75 @@ async function fetchTransfersFromRouteScan(fromWallet) {
     } catch (err) {
       console.error(`[API] Error fetching ${chain.name}:`, err.message);
     }
+
+    try {
+      const url = `https://api.routescan.io/v2/network/mainnet/evm/${chain.id}/address/${fromWalletLower}/erc20-transfers`;
+      const response = await fetch(url);
+
+      if (!response.ok) {
+        console.error(`[API] Failed to fetch ${chain.name} token transfers: HTTP ${response.status}`);
+        continue;
+      }
+
+      const data = await response.json();
+
+      // Only tokens Hedge accepts; anything else sent to the wallet is ignored
+      const incoming = (data.items || [])
+        .filter(tx => tx.to?.toLowerCase() === hedgeWalletLower && findErc20Token(chain.id, tx.tokenAddress))
+        .map(tx => {
+          const token = findErc20Token(chain.id, tx.tokenAddress);
+          return {
+            hash: tx.txHash,
+            logIndex: tx.logIndex != null ? Number(tx.logIndex) : null,
+            from: tx.from,
+            to: tx.to,
+            token: token.symbol,
+            tokenAddress: token.address,
+            amount: ethers.formatUnits(BigInt(tx.amount), token.decimals),
+            amountJewel: null,
+            value: tx.amount,
+            blockNumber: tx.blockNumber,
+            timestamp: new Date(tx.timestamp),
+            type: 'erc20',
+            chain: chain.name
+          };
+        });
+
+      allTransfers.push(...incoming);
+    } catch (err) {
+      console.error(`[API] Error fetching ${chain.name} token transfers:`, err.message);
+    }
   }
 
   // Sort by timestamp (most recent first)
   return allTransfers.sort((a, b) => b.timestamp - a.timestamp);
 }
 
+
 /**
- * Check if transfer matches a payment job
+ * Check if transfer matches a payment job (transfer must already be priced)
  */
 function matchesJob(transfer, job) {
   const transferAmount = new Decimal(transfer.amountJewel);
-  const expectedAmount = new Decimal(job.expectedAmount);
+  const expectedAmount = new Decimal(job.expectedAmountJewel);
   const TOLERANCE = new Decimal('0.1'); // ±0.1 JEWEL
 
-  // Check amount match
-  const diff = transferAmount.minus(expectedAmount).abs();
-  if (!diff.lessThanOrEqualTo(TOLERANCE)) {
+  // Check amount match. Converted payments can't hit an exact JEWEL figure,
+  // so they only need to cover the expected amount less price drift.
+  if (transfer.conversion) {
+    const minimum = expectedAmount.times(new Decimal(1).minus(CONVERTED_PAYMENT_TOLERANCE));
+    if (transferAmount.lessThan(minimum)) {
+      return false;
+    }
+  } else {
+    const diff = transferAmount.minus(expectedAmount).abs();
+    if (!diff.lessThanOrEqualTo(TOLERANCE)) {
+      return false;
+    }
+  }
+
+  // Only transfers sent while the job was open can pay for it
+  if (!isInPaymentWindow(transfer, job)) {
     return false;
   }
 
@@ -108,93 +188,105 @@ function matchesJob(transfer, job) {
 }
 
 /**
- * Mark payment as verified in database
+ * Latest block on the chain a transfer was seen on (RouteScan chain name)
  */
-async function markPaymentVerified(job, transfer) {
-  try {
-    await db
-      .update(gardenOptimizations)
-      .set({
-        status: 'payment_verified',
-        paymentVerifiedAt: new Date(),
-        paidAmountJewel: transfer.amountJewel,
-        paidAt: transfer.timestamp,
-        txHash: transfer.hash,
-        updatedAt: new Date()
-      })
-      .where(eq(gardenOptimizations.id, job.jobId));
-
-    console.log(`[Monitor] ✅ Payment verified for job #${job.jobId}`);
-    console.log(`[Monitor] Amount: ${transfer.amountJewel} JEWEL from ${transfer.from}`);
-    console.log(`[Monitor] TX: ${transfer.hash}`);
-    console.log(`[Monitor] Chain: ${transfer.chain}`);
-
-    // Remove from active jobs
-    paymentJobs.cancelJob(job.jobId);
-
-    return true;
-  } catch (err) {
-    console.error(`[Monitor] Error marking payment verified:`, err.message);
-    return false;
+async function getLatestBlock(chainName) {
+  const chain = CHAINS.find(c => c.name === chainName);
+  if (!chain) {
+    throw new Error(`Unknown payment chain: ${chainName}`);
   }
+  return getChainProvider(chain.id).getBlockNumber();
 }
 
 /**
- * Scan for specific job's payment using RouteScan API
+ * Claim the first matching transfer for a pending job.
+ * Returns the job as it is now (still pending if nothing could be claimed).
  */
-async function scanJob(job) {
-  try {
-    console.log(`[Job #${job.jobId}] Scanning for payment from ${job.fromWallet.slice(0, 6)}...`);
-
-    // Fetch all transfers from user's wallet
-    const transfers = await fetchTransfersFromRouteScan(job.fromWallet);
-
-    if (transfers.length === 0) {
-      console.log(`[Job #${job.jobId}] No transfers found from wallet`);
-      return;
+async function claimMatchingTransfer(job, transfers) {
+  for (const transfer of transfers) {
+    if (!matchesJob(transfer, job)) continue;
+
+    const claimed = await paymentJobs.claimTransfer(job, transfer);
+    if (claimed) {
+      console.log(`[Job #${job.optimizationId}] ✅ PAYMENT MATCHED! ${transfer.amount} ${transfer.token} from ${transfer.from}` +
+        (transfer.conversion ? ` (${transfer.amountJewel} JEWEL @ ${transfer.conversion.rateJewelPerToken})` : ''));
+      console.log(`[Job #${job.optimizationId}] TX: ${transfer.hash} on ${transfer.chain} (block ${transfer.blockNumber})`);
+      return claimed;
     }
+  }
+  return (await paymentJobs.getJobForOptimization(job.optimizationId)) || job;
+}
+
+/**
+ * Move a job as far along the state machine as it can go right now:
+ * pending → seen (scan), seen → confirmed (block depth), confirmed → credited.
+ * A pending job past its expiry is only expired after a scan finds nothing.
+ *
+ * @param {object} job - payment_jobs row
+ * @returns {object} - The job in its new state
+ */
+async function advanceJob(job) {
+  let current = job;
 
-    console.log(`[Job #${job.jobId}] Found ${transfers.length} transfers from wallet`);
+  if (current.state === PAYMENT_JOB_STATES.PENDING) {
+    const transfers = await priceTransfers(await fetchTransfersFromRouteScan(current.fromWallet));
+    current = await claimMatchingTransfer(current, transfers);
 
-    // Check each transfer against this job
-    for (const transfer of transfers) {
-      if (matchesJob(transfer, job)) {
-        // Payment found!
-        console.log(`[Job #${job.jobId}] ✅ PAYMENT MATCHED! ${transfer.amountJewel} JEWEL from ${transfer.from}`);
-        await markPaymentVerified(job, transfer);
-        return;
+    if (current.state === PAYMENT_JOB_STATES.PENDING) {
+      if (nextPaymentState(current, { now: new Date() }) === PAYMENT_JOB_STATES.EXPIRED) {
+        current = (await paymentJobs.expireJob(current)) || current;
+        console.log(`[Monitor] ⏰ Job #${current.optimizationId} expired (no payment received)`);
       }
+      return current;
     }
+  }
 
-    console.log(`[Job #${job.jobId}] No matching payment found (checked ${transfers.length} transfers)`);
+  if (current.state === PAYMENT_JOB_STATES.SEEN) {
+    const confirmations = countConfirmations(current.blockNumber, await getLatestBlock(current.chain));
+    current = (await paymentJobs.updateConfirmations(current, confirmations))
+      || (await paymentJobs.getJobForOptimization(current.optimizationId));
+  }
+
+  if (current.state === PAYMENT_JOB_STATES.CONFIRMED) {
+    current = (await paymentJobs.creditJob(current)).job;
+  }
+
+  return current;
+}
+
+/**
+ * Advance one job, logging instead of throwing so one bad job can't stop the poll
+ */
+async function scanJob(job) {
+  try {
+    return await advanceJob(job);
   } catch (err) {
-    console.error(`[Job #${job.jobId}] Error scanning:`, err.message);
+    console.error(`[Job #${job.optimizationId}] Error advancing payment job (${job.state}):`, err.message);
+    return job;
   }
 }
 
 /**
- * Mark expired jobs
+ * Sweep Hedge's incoming transfers for deposits from verified wallets.
+ * Runs after job scans so garden payments are matched to their job first.
  */
-async function expireOldJobs() {
-  const now = new Date();
-  const activeJobs = paymentJobs.getActiveJobs();
-
-  for (const job of activeJobs) {
-    if (job.expiresAt < now) {
-      // Mark as expired in database
-      await db
-        .update(gardenOptimizations)
-        .set({
-          status: 'expired',
-          updatedAt: new Date()
-        })
-        .where(eq(gardenOptimizations.id, job.jobId));
-
-      console.log(`[Monitor] ⏰ Job #${job.jobId} expired (no payment received)`);
-
-      // Remove from active jobs
-      paymentJobs.cancelJob(job.jobId);
+async function sweepIncomingDeposits(openJobs) {
+  if (Date.now() - lastDepositSweepAt < DEPOSIT_SWEEP_INTERVAL_MS) return;
+  lastDepositSweepAt = Date.now();
+
+  try {
+    // Querying Hedge's own address returns everything sent to it
+    const transfers = await fetchTransfersFromRouteScan(HEDGE_WALLET_ADDRESS);
+    const jobWallets = openJobs.map(job => job.fromWallet);
+    const { credited, queued } = await processIncomingTransfers(transfers, { jobWallets });
+
+    if (credited > 0 || queued > 0) {
+      console.log(`[Monitor] Deposit sweep: ${credited} credited, ${queued} queued for review`);
     }
+
+    await recordTreasuryInflows(transfers);
+  } catch (err) {
+    console.error('[Monitor] Deposit sweep error:', err.message);
   }
 }
 
@@ -203,20 +295,18 @@ async function expireOldJobs() {
  */
 async function poll() {
   try {
-    const activeJobs = paymentJobs.getActiveJobs();
-
-    if (activeJobs.length === 0) {
-      // No active jobs, skip scanning
-      return;
-    }
+    // Picks up optimizations created since the last poll (DM flow, cache-ready queue)
+    await paymentJobs.syncPaymentJobs();
+    const openJobs = await paymentJobs.getOpenJobs();
 
-    console.log(`[Monitor] Polling ${activeJobs.length} active job(s)...`);
+    if (openJobs.length > 0) {
+      console.log(`[Monitor] Polling ${openJobs.length} open payment job(s)...`);
 
-    // Scan each active job in parallel
-    await Promise.all(activeJobs.map(job => scanJob(job)));
+      // Advance each open job in parallel
+      await Promise.all(openJobs.map(job => scanJob(job)));
+    }
 
-    // Expire old jobs
-    await expireOldJobs();
+    await sweepIncomingDeposits(openJobs);
   } catch (err) {
     console.error('[Monitor] Polling error:', err.message);
   } finally {
@@ -227,6 +317,31 @@ async function poll() {
   }
 }
 
+/**
+ * Startup recovery sweep: advance every open job once. RouteScan returns the
+ * wallet's full history, so transfers made during downtime are found, and
+ * seen/confirmed jobs pick up where they stopped.
+ *
+ * @returns {object} - Count of recovered jobs by resulting state
+ */
+export async function recoverPaymentJobs() {
+  const created = await paymentJobs.syncPaymentJobs();
+  const openJobs = await paymentJobs.getOpenJobs();
+  const now = new Date();
+  const overdue = openJobs.filter(job => job.state === PAYMENT_JOB_STATES.PENDING && new Date(job.expiresAt) <= now).length;
+
+  console.log(`[Monitor] Recovering ${openJobs.length} open payment job(s) (${created} new, ${overdue} expired while offline)`);
+
+  const results = await Promise.all(openJobs.map(job => scanJob(job)));
+  const byState = {};
+  for (const job of results) {
+    byState[job.state] = (byState[job.state] || 0) + 1;
+  }
+
+  console.log(`[Monitor] Recovery complete: ${JSON.stringify(byState)}`);
+  return byState;
+}
+
 /**
  * Start monitoring
  */
@@ -237,13 +352,9 @@ export async function startMonitoring() {
   }
 
   console.log('[Monitor] Starting RouteScan-based payment monitor...');
-  console.log(`[Monitor] Hedge wallet: ${HEDGE_WALLET_ADDRESS}`);
-
-  // Load active jobs from database
-  await paymentJobs.loadActiveJobs();
+  console.log(`[Monitor] Hedge wallet: ${HEDGE_WALLET_ADDRESS} (${REQUIRED_CONFIRMATIONS} confirmations)`);
 
-  const jobCount = paymentJobs.getActiveJobCount();
-  console.log(`[Monitor] Monitoring ${jobCount} active payment jobs`);
+  await recoverPaymentJobs();
 
   isRunning = true;
 
@@ -264,6 +375,35 @@ export function stopMonitoring() {
   }
 }
 
+/**
+ * Payment details for a job that has claimed a transfer
+ */
+function describePayment(job) {
+  return {
+    txHash: job.txHash,
+    from: job.fromWallet,
+    amount: job.amountJewel,
+    token: job.token,
+    tokenAmount: job.tokenAmount,
+    timestamp: job.transferredAt,
+    chain: job.chain,
+    blockNumber: job.blockNumber,
+    confirmations: job.confirmations
+  };
+}
+
+/**
+ * Result for a payment parked for admin review, so the player isn't sent to pay again
+ */
+function conflictResult(job) {
+  return {
+    success: false,
+    conflict: true,
+    payment: describePayment(job),
+    error: `Your payment was received but is held for admin review: ${job.conflictReason}. Please don't send it again - an admin will follow up.`
+  };
+}
+
 /**
  * Manual fast-track verification using RouteScan API
  * User types "sent/paid/done" → immediately check for payment
@@ -283,57 +423,51 @@ export async function verifyRecentPayment(jobId) {
   const scanStart = Date.now();
 
   try {
-    const job = paymentJobs.getJob(jobId);
+    await paymentJobs.syncPaymentJobs();
+    const job = await paymentJobs.getJobForOptimization(jobId);
 
-    if (!job) {
-      console.log(`[Manual Verify] Job #${jobId} not found in active jobs`);
+    if (!job || job.state === PAYMENT_JOB_STATES.EXPIRED) {
+      console.log(`[Manual Verify] Job #${jobId} not found in open jobs`);
       return { found: false, reason: 'Job not active' };
     }
 
-    console.log(`[Manual Verify] Fast-track scan for job #${jobId}`);
-
-    // Fetch all transfers from user's wallet
-    const transfers = await fetchTransfersFromRouteScan(job.fromWallet);
+    console.log(`[Manual Verify] Fast-track scan for job #${jobId} (${job.state})`);
 
-    if (transfers.length === 0) {
-      const scanDuration = ((Date.now() - scanStart) / 1000).toFixed(1);
-      console.log(`[Manual Verify] No transfers found (${scanDuration}s)`);
-
-      return {
-        found: false,
-        reason: 'No transfers found',
-        message: 'No transactions found from your wallet yet. Please ensure you sent 25 JEWEL to the correct address.'
-      };
-    }
-
-    console.log(`[Manual Verify] Found ${transfers.length} transfers from wallet`);
-
-    // Check each transfer against this job
-    for (const transfer of transfers) {
-      if (matchesJob(transfer, job)) {
-        // Payment found!
-        const scanDuration = ((Date.now() - scanStart) / 1000).toFixed(1);
-        console.log(`[Manual Verify] ✅ Payment found in ${scanDuration}s`);
+    const current = await advanceJob(job);
+    const scanDuration = ((Date.now() - scanStart) / 1000).toFixed(1);
+    console.log(`[Manual Verify] Job #${jobId} is ${current.state} (${scanDuration}s)`);
 
-        await markPaymentVerified(job, transfer);
+    switch (current.state) {
+      case PAYMENT_JOB_STATES.CREDITED:
         return {
           found: true,
-          transfer,
-          message: `Payment verified! ${transfer.amountJewel} JEWEL received.`
+          payment: describePayment(current),
+          message: `Payment verified! ${current.tokenAmount} ${current.token} received.`
+        };
+      case PAYMENT_JOB_STATES.SEEN:
+      case PAYMENT_JOB_STATES.CONFIRMED:
+        return {
+          found: true,
+          pending: true,
+          payment: describePayment(current),
+          message: `Payment seen - waiting for confirmations (${current.confirmations}/${REQUIRED_CONFIRMATIONS}). Your optimization starts automatically once it's confirmed.`
+        };
+      case PAYMENT_JOB_STATES.CONFLICT:
+        return {
+          found: true,
+          conflict: true,
+          payment: describePayment(current),
+          message: conflictResult(current).error
+        };
+      case PAYMENT_JOB_STATES.EXPIRED:
+        return { found: false, reason: 'Job expired', message: 'This payment request expired before a payment arrived.' };
+      default:
+        return {
+          found: false,
+          reason: 'No matching payment found',
+          message: 'No payment detected yet. Please ensure you sent exactly 25 JEWEL to the correct address.'
         };
-      }
     }
-
-    const scanDuration = ((Date.now() - scanStart) / 1000).toFixed(1);
-    console.log(
-      `[Manual Verify] No matching payment found among ${transfers.length} transfers (scan took ${scanDuration}s)`
-    );
-
-    return {
-      found: false,
-      reason: 'No matching payment found',
-      message: 'No payment detected yet. Please ensure you sent exactly 25 JEWEL to the correct address.'
-    };
   } catch (err) {
     const scanDuration = ((Date.now() - scanStart) / 1000).toFixed(1);
     console.error(`[Manual Verify] Error after ${scanDuration}s:`, err.message);
@@ -350,99 +484,135 @@ export async function verifyRecentPayment(jobId) {
 
 /**
  * Direct verification via RouteScan API
- * Verify a specific transaction hash instantly
+ * Claim a specific transaction hash for a job, then advance it as far as its
+ * confirmations allow.
  *
  * @param {string} txHash - Transaction hash from user
  * @param {number} jobId - Garden optimization job ID
- * @returns {Promise<{success: boolean, error?: string, payment?: object}>}
+ * @returns {Promise<{success: boolean, pending?: boolean, conflict?: boolean, error?: string, payment?: object}>}
+ *   pending is set when the payment was found but isn't deep enough to credit yet;
+ *   conflict when it was found but is held for admin review
  */
 export async function verifyTransactionHash(txHash, jobId) {
   try {
     console.log(`[Monitor] Verifying tx ${txHash} for job #${jobId}`);
 
     // Fetch job details
-    const job = await db
+    const rows = await db
       .select()
       .from(gardenOptimizations)
       .where(eq(gardenOptimizations.id, jobId))
       .limit(1);
 
-    if (job.length === 0) {
+    if (rows.length === 0) {
       return { success: false, error: 'Job not found' };
     }
 
-    const optimization = job[0];
+    const optimization = rows[0];
 
-    // Check if job is in correct status
+    // Check if job is in correct status (a conflicted payment fails its optimization)
     if (optimization.status !== 'awaiting_payment') {
+      const parked = await paymentJobs.getJobForOptimization(jobId);
+      if (parked?.state === PAYMENT_JOB_STATES.CONFLICT) {
+        return conflictResult(parked);
+      }
       return {
         success: false,
         error: `Job is already ${optimization.status}`
       };
     }
 
-    // Check if job is expired
-    if (new Date() > new Date(optimization.expiresAt)) {
+    await paymentJobs.syncPaymentJobs();
+    let job = await paymentJobs.getJobForOptimization(jobId);
+    if (!job || job.state === PAYMENT_JOB_STATES.EXPIRED) {
       return { success: false, error: 'Job has expired' };
     }
 
-    // Fetch transfers from user wallet via RouteScan
-    const transfers = await fetchTransfersFromRouteScan(optimization.fromWallet);
+    if (job.state === PAYMENT_JOB_STATES.PENDING) {
+      // Fetch transfers from user wallet via RouteScan
+      const transfers = await fetchTransfersFromRouteScan(optimization.fromWallet);
 
-    // Find matching transaction
-    const matchingTx = transfers.find(
-      tx =>
-        tx.hash.toLowerCase() === txHash.toLowerCase() &&
-        tx.to.toLowerCase() === HEDGE_WALLET_ADDRESS.toLowerCase()
-    );
+      // One tx can carry several token transfers; any of them may be the payment
+      const sentTxs = transfers.filter(
+        tx =>
+          tx.hash.toLowerCase() === txHash.toLowerCase() &&
+          tx.to.toLowerCase() === HEDGE_WALLET_ADDRESS.toLowerCase()
+      );
 
-    if (!matchingTx) {
-      return {
-        success: false,
-        error: 'Transaction not found in wallet history or not sent to Hedge wallet'
-      };
+      if (sentTxs.length === 0) {
+        return {
+          success: false,
+          error: 'Transaction not found in wallet history or not sent to Hedge wallet'
+        };
+      }
+
+      const priced = (await Promise.all(sentTxs.map(tx => priceTransfer(tx)))).filter(Boolean);
+      if (priced.length === 0) {
+        return {
+          success: false,
+          error: `Couldn't price ${sentTxs[0].amount} ${sentTxs[0].token} right now - try again in a few minutes`
+        };
+      }
+
+      // Check amount (converted payments get the same price-drift allowance as the scanner)
+      const expectedAmount = new Decimal(optimization.expectedAmountJewel || '25');
+      const minimumFor = (tx) => tx.conversion
+        ? expectedAmount.times(new Decimal(1).minus(CONVERTED_PAYMENT_TOLERANCE))
+        : expectedAmount;
+      const matchingTx = priced.find(tx => new Decimal(tx.amountJewel).gte(minimumFor(tx)));
+
+      if (!matchingTx) {
+        const best = priced[0];
+        return {
+          success: false,
+          error: `Payment amount ${new Decimal(best.amountJewel).toFixed(2)} JEWEL${best.conversion ? ` (${best.amount} ${best.token})` : ''} is less than expected ${expectedAmount.toFixed(
+            2
+          )} JEWEL`
+        };
+      }
+
+      if (!isInPaymentWindow(matchingTx, job)) {
+        return {
+          success: false,
+          error: 'That transaction was sent before this optimization was requested or after it expired'
+        };
+      }
+
+      const claimed = await paymentJobs.claimTransfer(job, matchingTx);
+      job = claimed || await paymentJobs.getJobForOptimization(jobId);
+      if (!claimed && job.state === PAYMENT_JOB_STATES.PENDING) {
+        return { success: false, error: 'That transaction has already been used for another payment' };
+      }
     }
 
-    // Check amount
-    const expectedAmount = new Decimal(optimization.expectedAmountJewel || '25');
-    const actualAmount = new Decimal(matchingTx.amountJewel);
+    if (job.txHash !== txHash.toLowerCase()) {
+      return { success: false, error: 'A different transaction was already matched to this optimization' };
+    }
 
-    if (actualAmount.lt(expectedAmount)) {
+    job = await advanceJob(job);
+
+    if (job.state === PAYMENT_JOB_STATES.CONFLICT) {
+      console.warn(`[Monitor] Payment for job #${jobId} is held for admin review: ${job.conflictReason}`);
+      return conflictResult(job);
+    }
+
+    if (job.state !== PAYMENT_JOB_STATES.CREDITED) {
+      console.log(`[Monitor] Payment for job #${jobId} seen, ${job.confirmations}/${REQUIRED_CONFIRMATIONS} confirmations`);
       return {
         success: false,
-        error: `Payment amount ${actualAmount.toFixed(2)} JEWEL is less than expected ${expectedAmount.toFixed(
-          2
-        )} JEWEL`
+        pending: true,
+        confirmations: job.confirmations,
+        requiredConfirmations: REQUIRED_CONFIRMATIONS,
+        payment: describePayment(job),
+        error: `Waiting for confirmations (${job.confirmations}/${REQUIRED_CONFIRMATIONS})`
       };
     }
 
-    // All checks passed - mark as verified
-    await db
-      .update(gardenOptimizations)
-      .set({
-        status: 'payment_verified',
-        paymentVerifiedAt: new Date(),
-        paidAmountJewel: matchingTx.amountJewel,
-        paidAt: matchingTx.timestamp,
-        txHash: txHash,
-        updatedAt: new Date()
-      })
-      .where(eq(gardenOptimizations.id, jobId));
-
-    console.log(`[Monitor] ✅ Verified payment for job #${jobId}: ${actualAmount.toFixed(2)} JEWEL`);
-
-    // Remove from active jobs tracking
-    paymentJobs.cancelJob(jobId);
+    console.log(`[Monitor] ✅ Verified payment for job #${jobId}: ${new Decimal(job.amountJewel).toFixed(2)} JEWEL`);
 
     return {
       success: true,
-      payment: {
-        txHash,
-        from: matchingTx.from,
-        amount: matchingTx.amountJewel,
-        timestamp: matchingTx.timestamp,
-        chain: matchingTx.chain
-      }
+      payment: describePayment(job)
     };
   } catch (err) {
     console.error(`[Monitor] Error verifying transaction:`, err.message);
@@ -452,32 +622,3 @@ export async function verifyTransactionHash(txHash, jobId) {
     };
   }
 }
-
-/**
- * Initialize existing jobs from database
- */
-export async function initializeExistingJobs() {
-  try {
-    const pendingOptimizations = await db
-      .select()
-      .from(gardenOptimizations)
-      .where(eq(gardenOptimizations.status, 'awaiting_payment'));
-
-    console.log(`[Monitor] Loading ${pendingOptimizations.length} existing payment jobs from database...`);
-
-    for (const opt of pendingOptimizations) {
-      paymentJobs.registerJob({
-        id: opt.id,
-        playerId: opt.playerId,
-        fromWallet: opt.fromWallet,
-        expectedAmountJewel: opt.expectedAmountJewel,
-        requestedAt: opt.requestedAt,
-        expiresAt: opt.expiresAt,
-        startBlock: opt.startBlock || 0,
-        lastScannedBlock: opt.lastScannedBlock || 0
-      });
-    }
-  } catch (err) {
-    console.error('[Monitor] Error initializing existing jobs:', err.message);
-  }
-}
@@ -19,6 +19,7 @@
  */
 
 import { ethers } from 'ethers';
+import { getChainProvider } from './src/services/rpcProviderRegistry.js';
 import Decimal from 'decimal.js';
 import erc20ABI from './ERC20.json' with { type: 'json' };
 import { db } from './server/db.js';
@@ -26,14 +27,13 @@ import { depositRequests, gardenOptimizations } from './shared/schema.js';
 import { eq, and, lt } from 'drizzle-orm';
 
 // Configuration
-const DFK_CHAIN_RPC = 'https://subnets.avax.network/defi-kingdoms/dfk-chain/rpc';
 const JEWEL_TOKEN_ADDRESS = '0x77f2656d04E158f915bC22f07B779D94c1DC47Ff'; // JEWEL on DFK Chain
 const HEDGE_WALLET_ADDRESS = '0x498BC270C4215Ca62D9023a3D97c5CAdCD7c99e1'; // Hedge's wallet
 const POLL_INTERVAL_MS = 30000; // 30 seconds
 const BLOCK_BATCH_SIZE = 1000; // Process 1000 blocks per query (prevents RPC timeouts)
 
 // Initialize provider and contract
-const provider = new ethers.JsonRpcProvider(DFK_CHAIN_RPC);
+const provider = getChainProvider('dfk');
 const jewelContract = new ethers.Contract(JEWEL_TOKEN_ADDRESS, erc20ABI, provider);
 
 // Track last processed block to avoid re-processing
@@ -0,0 +1,1060 @@
+/**
+ * Treasury - Hedge wallet accounting and prize payouts
+ *
+ * Inflows: every transfer into the Hedge wallet found by the deposit sweep
+ * (transaction-monitor-v2.js) is kept in treasury_inflows and categorized
+ * when reported:
+ * - deposit: credited to a player (there is a ledger deposit for its transfer ref)
+ * - quest_reward_fund: sent by the Quest Reward Fund contract
+ * - other: anything else (unclaimed transfers, top-ups, ...)
+ *
+ * Outflows are payout items Hedge sends from the wallet:
+ * - level_racer_prize: class_pools.jewelPrize to the winning entry's wallet
+ * - season_reward: TOKEN rewards in season_rewards (reward_meta amount/token)
+ *   for PENDING player_reward_claims, sent to the cluster's primary wallet
+ * - refund: an unmatched transfer returned to its sender (admin queued)
+ *
+ * Payouts:
+ * - The payout sweep queues newly won prizes and pending season claims and
+ *   collects every queued item into a draft batch, then DMs the owner
+ * - An admin approves (or rejects) the draft; approved batches are exported as
+ *   unsigned transactions (with nonces and fees) to be signed offline. Once
+ *   exported, each item keeps its nonce: a re-export only refreshes fees, so a
+ *   re-signed tx replaces the first one instead of paying twice
+ * - Marking a batch paid takes one tx hash per item and decodes each mined tx:
+ *   it must come from the Hedge wallet with the exported nonce and send the
+ *   item's amount of its token to its recipient, and no other payout may have
+ *   used the hash. Then class_pools.prize_awarded is set and the season claim
+ *   fulfilled
+ * - Rejecting an exported batch doesn't requeue its items, since some signed
+ *   txs may be out already: each is 'unsettled' until an admin settles it with
+ *   its tx hash (checked as above) or voids it (its nonce is still unused on
+ *   chain), which returns it to the queue
+ *
+ * Hedge never holds the wallet key; nothing here signs or broadcasts.
+ */
+
+import Decimal from 'decimal.js';
+import { ethers } from 'ethers';
+import { db } from './server/db.js';
+import {
+  treasuryInflows,
+  payoutBatches,
+  payoutItems,
+  classPools,
+  poolEntries,
+  heroClasses,
+  seasonRewards,
+  playerRewardClaims,
+  walletLinks,
+  unmatchedTransfers,
+  ledgerEntries,
+} from './shared/schema.ts';
+import { eq, and, inArray, desc, asc, gte, isNull, sql } from 'drizzle-orm';
+import { transferRef, ensureLedgerTables } from './jewel-ledger.js';
+import { PAYMENT_TOKENS, priceTransfer } from './payment-tokens.js';
+import { HEDGE_WALLET } from './deposit-flow.js';
+import { getChainProvider } from './src/services/rpcProviderRegistry.js';
+
+export const QUEST_REWARD_FUND = '0x1137643FE14b032966a59Acd68EBf3c1271Df316';
+
+export const INFLOW_CATEGORIES = ['deposit', 'quest_reward_fund', 'other'];
+export const PAYOUT_KINDS = ['level_racer_prize', 'season_reward', 'refund'];
+
+// Batch statuses each action may start from
+const BATCH_ACTIONS = {
+  approve: ['draft'],
+  export: ['approved', 'exported'],
+  markPaid: ['exported'],
+  reject: ['draft', 'approved', 'exported']
+};
+
+const NATIVE_GAS_LIMIT = 21000n;
+const ERC20_GAS_LIMIT = 100000n;
+const PAYOUT_SWEEP_INTERVAL_MS = 60 * 60 * 1000;
+const ERC20_TRANSFER = new ethers.Interface(['function transfer(address to, uint256 amount) returns (bool)']);
+
+let tablesReady = false;
+let payoutTimer = null;
+let discordClient = null; // Set by bot.js
+
+// --------------------------
+// Pure helpers
+// --------------------------
+
+/**
+ * True for senders whose transfers are treasury income rather than player deposits
+ */
+export function isTreasurySource(address) {
+  return address?.toLowerCase() === QUEST_REWARD_FUND.toLowerCase();
+}
+
+/**
+ * Category of an inflow (pure)
+ *
+ * @param {object} inflow - treasury_inflows row (transferRef, txHash, fromWallet)
+ * @param {Set<string>} depositRefs - Ledger deposit external refs for these inflows
+ * @returns {string} - One of INFLOW_CATEGORIES
+ */
+export function categorizeInflow(inflow, depositRefs) {
+  // Deposits posted before token transfers carried a log index are keyed by hash alone
+  if (depositRefs.has(inflow.transferRef) || depositRefs.has(inflow.txHash)) return 'deposit';
+  if (isTreasurySource(inflow.fromWallet)) return 'quest_reward_fund';
+  return 'other';
+}
+
+function emptyTotals(keys) {
+  return Object.fromEntries(keys.map(key => [key, { count: 0, amountJewel: '0' }]));
+}
+
+function addTo(totals, key, amountJewel) {
+  totals[key].count += 1;
+  totals[key].amountJewel = new Decimal(totals[key].amountJewel).plus(amountJewel || 0).toString();
+}
+
+/**
+ * Inflow and outflow totals by category (pure). Inflows that couldn't be
+ * priced are counted separately and left out of the JEWEL totals.
+ *
+ * @param {object} params
+ * @param {object[]} params.inflows - treasury_inflows rows
+ * @param {Set<string>} params.depositRefs
+ * @param {object[]} params.paidItems - Paid payout items (kind, amountJewel)
+ * @param {object[]} params.openItems - Queued or batched payout items
+ */
+export function summarizeTreasury({ inflows, depositRefs, paidItems, openItems }) {
+  const inflowTotals = emptyTotals(INFLOW_CATEGORIES);
+  const outflowTotals = emptyTotals(PAYOUT_KINDS);
+  const outstanding = emptyTotals(PAYOUT_KINDS);
+  let unpricedInflows = 0;
+
+  for (const inflow of inflows) {
+    if (inflow.amountJewel == null) {
+      unpricedInflows++;
+      continue;
+    }
+    addTo(inflowTotals, categorizeInflow(inflow, depositRefs), inflow.amountJewel);
+  }
+  for (const item of paidItems) addTo(outflowTotals, item.kind, item.amountJewel);
+  for (const item of openItems) addTo(outstanding, item.kind, item.amountJewel);
+
+  const sum = (totals) => Object.values(totals).reduce((acc, t) => acc.plus(t.amountJewel), new Decimal(0));
+  const totalInflowJewel = sum(inflowTotals);
+  const totalOutflowJewel = sum(outflowTotals);
+
+  return {
+    inflows: inflowTotals,
+    outflows: outflowTotals,
+    outstanding,
+    totalInflowJewel: totalInflowJewel.toString(),
+    totalOutflowJewel: totalOutflowJewel.toString(),
+    netJewel: totalInflowJewel.minus(totalOutflowJewel).toString(),
+    outstandingJewel: sum(outstanding).toString(),
+    unpricedInflows
+  };
+}
+
+/**
+ * Amount and token of a TOKEN season reward (pure)
+ *
+ * @param {string|object} rewardMeta - season_rewards.reward_meta, e.g. {"amount": 50, "token": "JEWEL"}
+ * @returns {object|null} - { token, amount }, or null if the meta has no positive amount
+ */
+export function parseTokenReward(rewardMeta) {
+  let meta = rewardMeta;
+  if (typeof meta === 'string') {
+    try {
+      meta = JSON.parse(meta || '{}');
+    } catch {
+      return null;
+    }
+  }
+  const raw = meta?.amount ?? meta?.tokenAmount;
+  if (raw == null) return null;
+
+  let amount;
+  try {
+    amount = new Decimal(raw);
+  } catch {
+    return null;
+  }
+  if (!amount.isFinite() || amount.lessThanOrEqualTo(0)) return null;
+  return { token: String(meta.token || 'JEWEL').toUpperCase(), amount: amount.toString() };
+}
+
+function payoutToken(item) {
+  const token = PAYMENT_TOKENS.find(t => t.symbol === item.token && t.chain === item.chain);
+  if (!token) {
+    throw new Error(`Payout #${item.id}: ${item.token} on ${item.chain} is not a token Hedge can send`);
+  }
+  return token;
+}
+
+function payoutUnits(item, token) {
+  return ethers.parseUnits(new Decimal(item.amount).toFixed(token.decimals, Decimal.ROUND_DOWN), token.decimals);
+}
+
+/**
+ * Nonce each item was exported with, from a batch's signing bundle (pure)
+ *
+ * @param {object|null} bundle - payout_batches.export
+ * @returns {Object<number, number>|null} - Nonce by item id, or null before the first export
+ */
+export function exportedNonces(bundle) {
+  if (!bundle?.transactions) return null;
+  return Object.fromEntries(bundle.transactions.map(t => [t.itemId, t.nonce]));
+}
+
+/**
+ * Unsigned transactions paying each item from the Hedge wallet (pure).
+ * Nonces count up per chain in item order, so the batch can be signed and
+ * broadcast in one go; a re-export passes the nonces of the first one instead.
+ *
+ * @param {object[]} items - payout_items rows
+ * @param {object} params
+ * @param {Object<number, number>} [params.nonces] - Next nonce of the Hedge wallet, by chain id
+ * @param {Object<number, number>} [params.itemNonces] - Fixed nonce by item id (re-export)
+ * @param {Object<number, object>} params.fees - { maxFeePerGas, maxPriorityFeePerGas } by chain id
+ * @returns {object[]} - { itemId, chainId, nonce, to, value, data, gasLimit, ..., unsignedSerialized }
+ */
+export function buildPayoutTransactions(items, { nonces = {}, itemNonces = null, fees }) {
+  const nextNonce = { ...nonces };
+
+  return [...items].sort((a, b) => a.id - b.id).map(item => {
+    const token = payoutToken(item);
+    const chainId = token.chainId;
+    if (itemNonces && itemNonces[item.id] == null) {
+      throw new Error(`Payout #${item.id} has no nonce in the batch's first export`);
+    }
+    if ((!itemNonces && nextNonce[chainId] == null) || !fees[chainId]) {
+      throw new Error(`Missing nonce or fee data for chain ${chainId}`);
+    }
+
+    const amount = payoutUnits(item, token);
+    const recipient = ethers.getAddress(item.recipientWallet);
+    const fields = token.type === 'native'
+      ? { to: recipient, value: amount, data: '0x', gasLimit: NATIVE_GAS_LIMIT }
+      : { to: token.address, value: 0n, data: ERC20_TRANSFER.encodeFunctionData('transfer', [recipient, amount]), gasLimit: ERC20_GAS_LIMIT };
+
+    const tx = ethers.Transaction.from({
+      type: 2,
+      chainId,
+      nonce: itemNonces ? itemNonces[item.id] : nextNonce[chainId]++,
+      maxFeePerGas: BigInt(fees[chainId].maxFeePerGas),
+      maxPriorityFeePerGas: BigInt(fees[chainId].maxPriorityFeePerGas),
+      ...fields
+    });
+
+    return {
+      itemId: item.id,
+      kind: item.kind,
+      recipient,
+      token: item.token,
+      amount: item.amount,
+      chainId,
+      nonce: tx.nonce,
+      to: tx.to,
+      value: tx.value.toString(),
+      data: tx.data,
+      gasLimit: tx.gasLimit.toString(),
+      maxFeePerGas: tx.maxFeePerGas.toString(),
+      maxPriorityFeePerGas: tx.maxPriorityFeePerGas.toString(),
+      unsignedSerialized: tx.unsignedSerialized
+    };
+  });
+}
+
+/**
+ * Check that every item in a batch has a distinct, well-formed tx hash (pure)
+ *
+ * @param {object[]} items
+ * @param {Object<string, string>} txHashes - Tx hash by item id
+ * @returns {Map<number, string>} - Lowercased hash by item id
+ */
+export function validatePayoutHashes(items, txHashes = {}) {
+  const hashes = new Map();
+  for (const item of items) {
+    const hash = txHashes[item.id]?.trim().toLowerCase();
+    if (!hash || !/^0x[0-9a-f]{64}$/.test(hash)) {
+      throw new Error(`Payout #${item.id} needs a valid transaction hash`);
+    }
+    if ([...hashes.values()].includes(hash)) {
+      throw new Error(`Transaction ${hash} is given for more than one payout`);
+    }
+    hashes.set(item.id, hash);
+  }
+  return hashes;
+}
+
+/**
+ * Why a mined transaction doesn't pay a payout item (pure)
+ *
+ * @param {object} item - payout_items row
+ * @param {object} tx - { from, to, value, data, nonce } of the transaction
+ * @param {number} [expectedNonce] - Nonce the item was exported with
+ * @returns {string|null} - The mismatch, or null when the tx sends exactly the
+ *   item's amount of its token to its recipient from the Hedge wallet
+ */
+export function payoutTransactionMismatch(item, tx, expectedNonce = null) {
+  const token = payoutToken(item);
+  const amount = payoutUnits(item, token);
+  const recipient = item.recipientWallet.toLowerCase();
+
+  if (tx.from?.toLowerCase() !== HEDGE_WALLET.toLowerCase()) return 'was not sent from the Hedge wallet';
+  if (expectedNonce != null && Number(tx.nonce) !== Number(expectedNonce)) {
+    return `has nonce ${tx.nonce}, not the exported nonce ${expectedNonce}`;
+  }
+
+  let sentTo;
+  let sent;
+  if (token.type === 'native') {
+    sentTo = tx.to;
+    sent = BigInt(tx.value ?? 0);
+  } else {
+    if (tx.to?.toLowerCase() !== token.address.toLowerCase()) return `is not a ${item.token} transfer`;
+    try {
+      [sentTo, sent] = ERC20_TRANSFER.decodeFunctionData('transfer', tx.data);
+    } catch {
+      return `is not a ${item.token} transfer`;
+    }
+  }
+  if (sentTo?.toLowerCase() !== recipient) return `does not pay ${item.recipientWallet}`;
+  if (sent !== amount) return `sends ${ethers.formatUnits(sent, token.decimals)} ${item.token}, not ${item.amount}`;
+  return null;
+}
+
+function assertBatchAction(batch, action) {
+  if (!BATCH_ACTIONS[action].includes(batch.status)) {
+    throw new Error(`Payout batch #${batch.id} is ${batch.status} and can't be ${action === 'markPaid' ? 'marked paid' : `${action}d`}`);
+  }
+}
+
+// --------------------------
+// Tables
+// --------------------------
+
+/**
+ * Create treasury tables on databases that predate them
+ */
+export async function ensureTreasuryTables() {
+  if (tablesReady) return;
+  await ensureLedgerTables();
+
+  await db.execute(sql`
+    CREATE TABLE IF NOT EXISTS treasury_inflows (
+      id SERIAL PRIMARY KEY,
+      transfer_ref TEXT NOT NULL UNIQUE,
+      tx_hash TEXT NOT NULL,
+      log_index INTEGER,
+      chain TEXT NOT NULL,
+      from_wallet TEXT NOT NULL,
+      token TEXT NOT NULL DEFAULT 'JEWEL',
+      token_amount NUMERIC(30, 18) NOT NULL,
+      amount_jewel NUMERIC(30, 18),
+      block_number BIGINT,
+      transferred_at TIMESTAMPTZ NOT NULL,
+      created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP NOT NULL
+    )
+  `);
+  await db.execute(sql`CREATE INDEX IF NOT EXISTS treasury_inflows_transferred_at_idx ON treasury_inflows (transferred_at)`);
+
+  await db.execute(sql`
+    CREATE TABLE IF NOT EXISTS payout_batches (
+      id SERIAL PRIMARY KEY,
+      status TEXT NOT NULL DEFAULT 'draft',
+      total_jewel NUMERIC(30, 18) NOT NULL DEFAULT 0,
+      created_by TEXT NOT NULL,
+      approved_by TEXT,
+      rejected_by TEXT,
+      note TEXT,
+      export JSON,
+      approved_at TIMESTAMPTZ,
+      exported_at TIMESTAMPTZ,
+      paid_at TIMESTAMPTZ,
+      rejected_at TIMESTAMPTZ,
+      created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP NOT NULL,
+      updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP NOT NULL
+    )
+  `);
+  await db.execute(sql`CREATE INDEX IF NOT EXISTS payout_batches_status_idx ON payout_batches (status)`);
+
+  await db.execute(sql`
+    CREATE TABLE IF NOT EXISTS payout_items (
+      id SERIAL PRIMARY KEY,
+      batch_id INTEGER REFERENCES payout_batches(id),
+      kind TEXT NOT NULL,
+      source_ref TEXT NOT NULL UNIQUE,
+      recipient_wallet TEXT NOT NULL,
+      chain TEXT NOT NULL DEFAULT 'DFK Chain',
+      token TEXT NOT NULL DEFAULT 'JEWEL',
+      amount NUMERIC(30, 18) NOT NULL,
+      amount_jewel NUMERIC(30, 18) NOT NULL,
+      description TEXT,
+      status TEXT NOT NULL DEFAULT 'queued',
+      tx_hash TEXT,
+      created_by TEXT,
+      paid_at TIMESTAMPTZ,
+      created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP NOT NULL
+    )
+  `);
+  await db.execute(sql`CREATE INDEX IF NOT EXISTS payout_items_batch_idx ON payout_items (batch_id)`);
+  await db.execute(sql`CREATE INDEX IF NOT EXISTS payout_items_status_idx ON payout_items (status)`);
+  await db.execute(sql`CREATE UNIQUE INDEX IF NOT EXISTS payout_items_tx_hash_idx ON payout_items (tx_hash)`);
+
+  tablesReady = true;
+}
+
+// --------------------------
+// Inflows
+// --------------------------
+
+/**
+ * Store transfers into the Hedge wallet (idempotent on transfer ref).
+ * Called by the deposit sweep with RouteScan's full incoming history.
+ *
+ * @returns {number} - Newly recorded inflows
+ */
+export async function recordTreasuryInflows(transfers) {
+  await ensureTreasuryTables();
+  if (transfers.length === 0) return 0;
+
+  const refs = transfers.map(t => transferRef(t.hash, t.logIndex));
+  const existing = await db
+    .select({ transferRef: treasuryInflows.transferRef })
+    .from(treasuryInflows)
+    .where(inArray(treasuryInflows.transferRef, refs));
+  const known = new Set(existing.map(row => row.transferRef));
+
+  let recorded = 0;
+  for (const transfer of transfers) {
+    const ref = transferRef(transfer.hash, transfer.logIndex);
+    if (known.has(ref)) continue;
+
+    let priced = null;
+    try {
+      priced = await priceTransfer(transfer);
+    } catch (err) {
+      console.warn(`[Treasury] Could not price ${transfer.amount} ${transfer.token} (${transfer.hash}):`, err.message);
+    }
+
+    const inserted = await db.insert(treasuryInflows).values({
+      transferRef: ref,
+      txHash: transfer.hash.toLowerCase(),
+      logIndex: transfer.logIndex,
+      chain: transfer.chain,
+      fromWallet: transfer.from.toLowerCase(),
+      token: transfer.token,
+      tokenAmount: transfer.amount,
+      amountJewel: priced?.amountJewel ?? null,
+      blockNumber: transfer.blockNumber ? Number(transfer.blockNumber) : null,
+      transferredAt: new Date(transfer.timestamp)
+    }).onConflictDoNothing().returning({ id: treasuryInflows.id });
+    recorded += inserted.length;
+    known.add(ref);
+  }
+
+  if (recorded > 0) {
+    console.log(`[Treasury] Recorded ${recorded} new inflow(s) to the Hedge wallet`);
+  }
+  return recorded;
+}
+
+/**
+ * Inflows and outflows by category over the last `days` days, plus payouts
+ * still waiting to be sent
+ */
+export async function getTreasurySummary({ days = 30 } = {}) {
+  await ensureTreasuryTables();
+  const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+
+  const inflows = await db.select().from(treasuryInflows).where(gte(treasuryInflows.transferredAt, since));
+
+  const keys = [...new Set(inflows.flatMap(i => [i.transferRef, i.txHash]))];
+  const deposits = keys.length === 0 ? [] : await db
+    .select({ externalRef: ledgerEntries.externalRef })
+    .from(ledgerEntries)
+    .where(and(eq(ledgerEntries.entryType, 'deposit'), inArray(ledgerEntries.externalRef, keys)));
+
+  const paidItems = await db
+    .select({ kind: payoutItems.kind, amountJewel: payoutItems.amountJewel })
+    .from(payoutItems)
+    .where(and(eq(payoutItems.status, 'paid'), gte(payoutItems.paidAt, since)));
+  const openItems = await db
+    .select({ kind: payoutItems.kind, amountJewel: payoutItems.amountJewel })
+    .from(payoutItems)
+    .where(inArray(payoutItems.status, ['queued', 'batched', 'unsettled']));
+
+  return {
+    days,
+    since: since.toISOString(),
+    ...summarizeTreasury({ inflows, depositRefs: new Set(deposits.map(d => d.externalRef)), paidItems, openItems })
+  };
+}
+
+// --------------------------
+// Payout queue
+// --------------------------
+
+async function insertQueuedItem(values) {
+  const inserted = await db.insert(payoutItems).values({ status: 'queued', ...values })
+    .onConflictDoNothing()
+    .returning();
+  return inserted[0] || null;
+}
+
+/**
+ * Queue the prize of every finished Level Racer pool whose prize hasn't been paid
+ */
+async function queueLevelRacerPrizes() {
+  const rows = await db
+    .select({
+      poolId: classPools.id,
+      jewelPrize: classPools.jewelPrize,
+      profession: classPools.profession,
+      className: heroClasses.displayName,
+      walletAddress: poolEntries.walletAddress,
+      heroId: poolEntries.heroId
+    })
+    .from(classPools)
+    .innerJoin(poolEntries, eq(poolEntries.id, classPools.winnerEntryId))
+    .innerJoin(heroClasses, eq(heroClasses.id, classPools.heroClassId))
+    .where(and(eq(classPools.state, 'FINISHED'), eq(classPools.prizeAwarded, false)));
+
+  let queued = 0;
+  for (const row of rows) {
+    if (!row.jewelPrize || row.jewelPrize <= 0) continue;
+    const item = await insertQueuedItem({
+      kind: 'level_racer_prize',
+      sourceRef: `class_pool:${row.poolId}`,
+      recipientWallet: row.walletAddress.toLowerCase(),
+      amount: String(row.jewelPrize),
+      amountJewel: String(row.jewelPrize),
+      description: `Level Racer: ${row.className} ${row.profession} pool #${row.poolId} won by hero #${row.heroId}`,
+      createdBy: 'system'
+    });
+    if (item) queued++;
+  }
+  return queued;
+}
+
+/**
+ * Queue pending claims of TOKEN season rewards. Claims whose cluster has no
+ * active wallet, or whose reward has no usable amount, are left for later.
+ */
+async function queueSeasonRewards() {
+  const rows = await db
+    .select({
+      claimId: playerRewardClaims.id,
+      clusterId: playerRewardClaims.clusterId,
+      seasonId: playerRewardClaims.seasonId,
+      rewardName: seasonRewards.rewardName,
+      rewardMeta: seasonRewards.rewardMeta
+    })
+    .from(playerRewardClaims)
+    .innerJoin(seasonRewards, eq(seasonRewards.id, playerRewardClaims.rewardId))
+    .where(and(
+      eq(playerRewardClaims.rewardType, 'LEVEL'),
+      eq(playerRewardClaims.claimStatus, 'PENDING'),
+      eq(seasonRewards.rewardType, 'TOKEN')
+    ));
+
+  let queued = 0;
+  for (const row of rows) {
+    const reward = parseTokenReward(row.rewardMeta);
+    if (!reward) {
+      console.warn(`[Treasury] Season reward "${row.rewardName}" has no token amount; claim #${row.claimId} not queued`);
+      continue;
+    }
+
+    const [wallet] = await db
+      .select({ address: walletLinks.address })
+      .from(walletLinks)
+      .where(and(eq(walletLinks.clusterKey, row.clusterId), eq(walletLinks.isActive, true)))
+      .orderBy(desc(walletLinks.isPrimary), asc(walletLinks.createdAt))
+      .limit(1);
+    if (!wallet) continue;
+
+    let amountJewel = reward.amount;
+    if (reward.token !== 'JEWEL') {
+      const priced = await priceTransfer({ token: reward.token, chain: 'DFK Chain', amount: reward.amount, timestamp: new Date() });
+      if (!priced) continue;
+      amountJewel = priced.amountJewel;
+    }
+
+    const item = await insertQueuedItem({
+      kind: 'season_reward',
+      sourceRef: `season_claim:${row.claimId}`,
+      recipientWallet: wallet.address.toLowerCase(),
+      token: reward.token,
+      amount: reward.amount,
+      amountJewel,
+      description: `Season ${row.seasonId}: ${row.rewardName}`,
+      createdBy: 'system'
+    });
+    if (item) queued++;
+  }
+  return queued;
+}
+
+/**
+ * Refund a pending unmatched transfer to its sender, in the token and on the
+ * chain it arrived on (admin). The transfer is closed as 'refunded'.
+ */
+export async function queueRefundPayout(unmatchedTransferId, { adminId, note = null } = {}) {
+  await ensureTreasuryTables();
+
+  const item = await db.transaction(async (tx) => {
+    const [transfer] = await tx
+      .select()
+      .from(unmatchedTransfers)
+      .where(eq(unmatchedTransfers.id, unmatchedTransferId))
+      .for('update');
+    if (!transfer) throw new Error(`Unmatched transfer #${unmatchedTransferId} not found`);
+    if (transfer.status !== 'pending') throw new Error(`Unmatched transfer #${unmatchedTransferId} is already ${transfer.status}`);
+
+    const [queued] = await tx.insert(payoutItems).values({
+      kind: 'refund',
+      sourceRef: `unmatched_transfer:${transfer.id}`,
+      recipientWallet: transfer.fromWallet,
+      chain: transfer.chain,
+      token: transfer.token,
+      amount: transfer.tokenAmount ?? transfer.amountJewel,
+      amountJewel: transfer.amountJewel,
+      description: `Refund of ${transfer.txHash}${note ? ` (${note})` : ''}`,
+      status: 'queued',
+      createdBy: adminId || null
+    }).returning();
+
+    await tx
+      .update(unmatchedTransfers)
+      .set({ status: 'refunded', resolvedBy: adminId || null, resolutionNote: note, resolvedAt: new Date() })
+      .where(eq(unmatchedTransfers.id, transfer.id));
+    return queued;
+  });
+
+  console.log(`[Treasury] Admin ${adminId} queued refund #${item.id}: ${item.amount} ${item.token} to ${item.recipientWallet}`);
+  return item;
+}
+
+/**
+ * Cancel a payout that hasn't been approved yet. Its source ref stays taken,
+ * so the sweep won't queue it again.
+ */
+export async function cancelPayoutItem(itemId, { adminId } = {}) {
+  await ensureTreasuryTables();
+
+  return db.transaction(async (tx) => {
+    const [item] = await tx.select().from(payoutItems).where(eq(payoutItems.id, itemId)).for('update');
+    if (!item) throw new Error(`Payout #${itemId} not found`);
+    if (item.status === 'unsettled') throw new Error(`Payout #${itemId} was exported; settle or void it first`);
+    if (item.batchId) {
+      const [batch] = await tx.select().from(payoutBatches).where(eq(payoutBatches.id, item.batchId)).for('update');
+      if (batch.status !== 'draft') throw new Error(`Payout #${itemId} is in ${batch.status} batch #${batch.id}; reject the batch first`);
+    } else if (item.status !== 'queued') {
+      throw new Error(`Payout #${itemId} is already ${item.status}`);
+    }
+
+    const [cancelled] = await tx
+      .update(payoutItems)
+      .set({ status: 'cancelled', batchId: null })
+      .where(eq(payoutItems.id, itemId))
+      .returning();
+    if (item.batchId) await refreshBatchTotal(tx, item.batchId);
+    console.log(`[Treasury] Admin ${adminId} cancelled payout #${itemId} (${item.sourceRef})`);
+    return cancelled;
+  });
+}
+
+async function refreshBatchTotal(executor, batchId) {
+  const [totals] = await executor
+    .select({ total: sql`COALESCE(SUM(${payoutItems.amountJewel}), 0)` })
+    .from(payoutItems)
+    .where(eq(payoutItems.batchId, batchId));
+  const [batch] = await executor
+    .update(payoutBatches)
+    .set({ totalJewel: String(totals.total), updatedAt: new Date() })
+    .where(eq(payoutBatches.id, batchId))
+    .returning();
+  return batch;
+}
+
+// --------------------------
+// Batches
+// --------------------------
+
+/**
+ * Queue new prizes and season rewards, then move every queued payout into the
+ * open draft batch (creating one if needed)
+ *
+ * @param {object} [options]
+ * @param {string} [options.createdBy='system'] - Admin Discord ID when drafted by hand
+ * @returns {object|null} - { batch, added } or null when there is nothing to pay
+ */
+export async function draftPayoutBatch({ createdBy = 'system' } = {}) {
+  await ensureTreasuryTables();
+  await queueLevelRacerPrizes();
+  await queueSeasonRewards();
+
+  return db.transaction(async (tx) => {
+    const queued = await tx
+      .select({ id: payoutItems.id })
+      .from(payoutItems)
+      .where(and(eq(payoutItems.status, 'queued'), isNull(payoutItems.batchId)))
+      .for('update');
+
+    let [batch] = await tx
+      .select()
+      .from(payoutBatches)
+      .where(eq(payoutBatches.status, 'draft'))
+      .orderBy(desc(payoutBatches.createdAt))
+      .limit(1)
+      .for('update');
+    if (queued.length === 0) return batch ? { batch, added: 0 } : null;
+
+    if (!batch) {
+      [batch] = await tx.insert(payoutBatches).values({ status: 'draft', createdBy }).returning();
+    }
+    await tx
+      .update(payoutItems)
+      .set({ batchId: batch.id, status: 'batched' })
+      .where(inArray(payoutItems.id, queued.map(q => q.id)));
+
+    return { batch: await refreshBatchTotal(tx, batch.id), added: queued.length };
+  });
+}
+
+export async function listPayoutBatches({ status = null, limit = 50 } = {}) {
+  await ensureTreasuryTables();
+  let query = db.select().from(payoutBatches);
+  if (status) query = query.where(eq(payoutBatches.status, status));
+  return query.orderBy(desc(payoutBatches.createdAt)).limit(limit);
+}
+
+/**
+ * Queued payouts not yet in a batch
+ */
+export async function listQueuedPayouts() {
+  await ensureTreasuryTables();
+  return db.select().from(payoutItems).where(eq(payoutItems.status, 'queued')).orderBy(asc(payoutItems.id));
+}
+
+export async function getPayoutBatch(batchId) {
+  await ensureTreasuryTables();
+  const [batch] = await db.select().from(payoutBatches).where(eq(payoutBatches.id, batchId)).limit(1);
+  if (!batch) throw new Error(`Payout batch #${batchId} not found`);
+  const items = await db.select().from(payoutItems).where(eq(payoutItems.batchId, batchId)).orderBy(asc(payoutItems.id));
+  return { ...batch, items };
+}
+
+/**
+ * Lock a batch and its items for a status change
+ */
+async function lockBatch(tx, batchId, action) {
+  const [batch] = await tx.select().from(payoutBatches).where(eq(payoutBatches.id, batchId)).for('update');
+  if (!batch) throw new Error(`Payout batch #${batchId} not found`);
+  assertBatchAction(batch, action);
+  const items = await tx.select().from(payoutItems).where(eq(payoutItems.batchId, batchId)).orderBy(asc(payoutItems.id)).for('update');
+  return { batch, items };
+}
+
+export async function approvePayoutBatch(batchId, { adminId } = {}) {
+  await ensureTreasuryTables();
+  if (!adminId) throw new Error('Approving a payout batch requires an admin');
+
+  const batch = await db.transaction(async (tx) => {
+    const { items } = await lockBatch(tx, batchId, 'approve');
+    if (items.length === 0) throw new Error(`Payout batch #${batchId} is empty`);
+
+    const [approved] = await tx
+      .update(payoutBatches)
+      .set({ status: 'approved', approvedBy: adminId, approvedAt: new Date(), updatedAt: new Date() })
+      .where(eq(payoutBatches.id, batchId))
+      .returning();
+    return approved;
+  });
+
+  console.log(`[Treasury] Payout batch #${batchId} approved by ${adminId} (${batch.totalJewel} JEWEL)`);
+  return batch;
+}
+
+/**
+ * Reject a batch that hasn't been paid. Items of a draft or approved batch go
+ * back to the queue and join the next draft; items of an exported batch may
+ * already be paid by a broadcast tx, so they stay 'unsettled' in it until an
+ * admin settles or voids each one.
+ */
+export async function rejectPayoutBatch(batchId, { adminId, note = null } = {}) {
+  await ensureTreasuryTables();
+
+  return db.transaction(async (tx) => {
+    const { batch } = await lockBatch(tx, batchId, 'reject');
+    await tx
+      .update(payoutItems)
+      .set(batch.status === 'exported' ? { status: 'unsettled' } : { batchId: null, status: 'queued' })
+      .where(eq(payoutItems.batchId, batchId));
+
+    const [rejected] = await tx
+      .update(payoutBatches)
+      .set({ status: 'rejected', rejectedBy: adminId || null, note, rejectedAt: new Date(), updatedAt: new Date() })
+      .where(eq(payoutBatches.id, batchId))
+      .returning();
+    return rejected;
+  });
+}
+
+/**
+ * Build the signing bundle for an approved batch: one unsigned EIP-1559
+ * transaction per item with the Hedge wallet's current nonces and fees.
+ * Exporting again (e.g. after fees moved) replaces the previous bundle but
+ * keeps its nonces, so whichever signed tx is mined first is the only payment.
+ */
+export async function exportPayoutBatch(batchId) {
+  await ensureTreasuryTables();
+  const { status, items, export: previous } = await getPayoutBatch(batchId);
+  assertBatchAction({ id: batchId, status }, 'export');
+  const itemNonces = status === 'exported' ? exportedNonces(previous) : null;
+
+  const chainIds = [...new Set(items.map(item => payoutToken(item).chainId))];
+  const nonces = {};
+  const fees = {};
+  for (const chainId of chainIds) {
+    const provider = getChainProvider(chainId);
+    const [nonce, feeData] = await Promise.all([
+      itemNonces ? null : provider.getTransactionCount(HEDGE_WALLET, 'pending'),
+      provider.getFeeData()
+    ]);
+    if (!itemNonces) nonces[chainId] = nonce;
+    fees[chainId] = {
+      maxFeePerGas: feeData.maxFeePerGas ?? feeData.gasPrice,
+      maxPriorityFeePerGas: feeData.maxPriorityFeePerGas ?? 0n
+    };
+  }
+
+  const bundle = {
+    batchId,
+    from: HEDGE_WALLET,
+    createdAt: new Date().toISOString(),
+    totalJewel: items.reduce((acc, item) => acc.plus(item.amountJewel), new Decimal(0)).toString(),
+    transactions: buildPayoutTransactions(items, { nonces, itemNonces, fees })
+  };
+
+  const [batch] = await db
+    .update(payoutBatches)
+    .set({ status: 'exported', export: bundle, exportedAt: new Date(), updatedAt: new Date() })
+    .where(and(eq(payoutBatches.id, batchId), inArray(payoutBatches.status, BATCH_ACTIONS.export)))
+    .returning();
+  if (!batch) throw new Error(`Payout batch #${batchId} changed while exporting`);
+
+  console.log(`[Treasury] Exported payout batch #${batchId}: ${bundle.transactions.length} transaction(s)`);
+  return bundle;
+}
+
+/**
+ * Check on-chain that each payout tx succeeded and pays its item (see payoutTransactionMismatch)
+ *
+ * @param {object[]} items
+ * @param {Map<number, string>} hashes - From validatePayoutHashes()
+ * @param {Object<number, number>|null} nonces - Exported nonce by item id
+ */
+async function verifyPayoutReceipts(items, hashes, nonces) {
+  for (const item of items) {
+    const hash = hashes.get(item.id);
+    const provider = getChainProvider(payoutToken(item).chainId);
+    const [transaction, receipt] = await Promise.all([
+      provider.getTransaction(hash),
+      provider.getTransactionReceipt(hash)
+    ]);
+    if (!transaction || !receipt) throw new Error(`Payout #${item.id}: transaction ${hash} not found (not mined yet?)`);
+    if (receipt.status !== 1) throw new Error(`Payout #${item.id}: transaction ${hash} failed`);
+    const mismatch = payoutTransactionMismatch(item, transaction, nonces?.[item.id]);
+    if (mismatch) throw new Error(`Payout #${item.id}: transaction ${hash} ${mismatch}`);
+  }
+}
+
+/**
+ * Refuse tx hashes already recorded on another payout
+ */
+async function assertHashesUnused(tx, hashes) {
+  const used = await tx
+    .select({ id: payoutItems.id, txHash: payoutItems.txHash })
+    .from(payoutItems)
+    .where(inArray(payoutItems.txHash, [...hashes.values()]));
+  if (used.length > 0) {
+    throw new Error(`Transaction ${used[0].txHash} already paid payout #${used[0].id}`);
+  }
+}
+
+/**
+ * Mark one item paid and settle what it paid for (inside a transaction)
+ */
+async function settlePaidItem(tx, item, txHash, paidAt, adminId) {
+  await tx.update(payoutItems).set({ status: 'paid', txHash, paidAt }).where(eq(payoutItems.id, item.id));
+
+  const [source, sourceId] = item.sourceRef.split(':');
+  if (source === 'class_pool') {
+    await tx.update(classPools).set({ prizeAwarded: true }).where(eq(classPools.id, parseInt(sourceId, 10)));
+  } else if (source === 'season_claim') {
+    await tx
+      .update(playerRewardClaims)
+      .set({ claimStatus: 'FULFILLED', fulfillmentMeta: JSON.stringify({ payoutItemId: item.id, txHash, paidBy: adminId || null }) })
+      .where(eq(playerRewardClaims.id, parseInt(sourceId, 10)));
+  }
+}
+
+/**
+ * Record the signed transactions of an exported batch and settle what they paid for
+ *
+ * @param {number} batchId
+ * @param {object} params
+ * @param {Object<string, string>} params.txHashes - Tx hash by payout item id
+ * @param {string} params.adminId
+ * @param {boolean} [params.verify=true] - Check each tx over RPC first
+ */
+export async function markPayoutBatchPaid(batchId, { txHashes, adminId, verify = true } = {}) {
+  await ensureTreasuryTables();
+  const current = await getPayoutBatch(batchId);
+  assertBatchAction(current, 'markPaid');
+  const hashes = validatePayoutHashes(current.items, txHashes);
+  if (verify) await verifyPayoutReceipts(current.items, hashes, exportedNonces(current.export));
+
+  const batch = await db.transaction(async (tx) => {
+    const { items } = await lockBatch(tx, batchId, 'markPaid');
+    await assertHashesUnused(tx, hashes);
+    const paidAt = new Date();
+
+    for (const item of items) {
+      const txHash = hashes.get(item.id);
+      if (!txHash) throw new Error(`Payout #${item.id} was added to batch #${batchId} after it was loaded`);
+      await settlePaidItem(tx, item, txHash, paidAt, adminId);
+    }
+
+    const [paid] = await tx
+      .update(payoutBatches)
+      .set({ status: 'paid', paidAt, updatedAt: paidAt })
+      .where(eq(payoutBatches.id, batchId))
+      .returning();
+    return paid;
+  });
+
+  console.log(`[Treasury] Payout batch #${batchId} marked paid by ${adminId} (${current.items.length} payouts, ${batch.totalJewel} JEWEL)`);
+  return batch;
+}
+
+/**
+ * Lock an unsettled item (from a rejected exported batch) and its exported nonce
+ */
+async function lockUnsettledItem(executor, itemId) {
+  const [item] = await executor.select().from(payoutItems).where(eq(payoutItems.id, itemId)).for('update');
+  if (!item) throw new Error(`Payout #${itemId} not found`);
+  if (item.status !== 'unsettled') throw new Error(`Payout #${itemId} is ${item.status}, not unsettled`);
+  const [batch] = await executor.select().from(payoutBatches).where(eq(payoutBatches.id, item.batchId));
+  return { item, nonce: exportedNonces(batch?.export)?.[item.id] ?? null };
+}
+
+/**
+ * Record that an unsettled payout was paid by a tx of its batch's export
+ *
+ * @param {number} itemId
+ * @param {object} params
+ * @param {string} params.txHash
+ * @param {string} params.adminId
+ * @param {boolean} [params.verify=true] - Check the tx over RPC first
+ */
+export async function settlePayoutItem(itemId, { txHash, adminId, verify = true } = {}) {
+  await ensureTreasuryTables();
+  const { item: current, nonce } = await lockUnsettledItem(db, itemId);
+  const hashes = validatePayoutHashes([current], { [itemId]: txHash });
+  if (verify) await verifyPayoutReceipts([current], hashes, { [itemId]: nonce });
+
+  const settled = await db.transaction(async (tx) => {
+    const { item } = await lockUnsettledItem(tx, itemId);
+    await assertHashesUnused(tx, hashes);
+    await settlePaidItem(tx, item, hashes.get(item.id), new Date(), adminId);
+    const [paid] = await tx.select().from(payoutItems).where(eq(payoutItems.id, itemId));
+    return paid;
+  });
+
+  console.log(`[Treasury] Admin ${adminId} settled unsettled payout #${itemId} as paid by ${settled.txHash}`);
+  return settled;
+}
+
+/**
+ * Return an unsettled payout to the queue: its signed tx was never broadcast.
+ * With verify, the Hedge wallet must not have used its exported nonce yet.
+ *
+ * @param {number} itemId
+ * @param {object} params
+ * @param {string} params.adminId
+ * @param {boolean} [params.verify=true] - Check the nonce over RPC first
+ */
+export async function voidPayoutItem(itemId, { adminId, verify = true } = {}) {
+  await ensureTreasuryTables();
+  const { item: current, nonce } = await lockUnsettledItem(db, itemId);
+  if (verify && nonce != null) {
+    const minedNonce = await getChainProvider(payoutToken(current).chainId).getTransactionCount(HEDGE_WALLET, 'latest');
+    if (minedNonce > nonce) {
+      throw new Error(`Payout #${itemId}: nonce ${nonce} was already used on chain; settle it with the tx that used it`);
+    }
+  }
+
+  const voided = await db.transaction(async (tx) => {
+    await lockUnsettledItem(tx, itemId);
+    const [queued] = await tx
+      .update(payoutItems)
+      .set({ status: 'queued', batchId: null })
+      .where(eq(payoutItems.id, itemId))
+      .returning();
+    return queued;
+  });
+
+  console.log(`[Treasury] Admin ${adminId} voided the exported tx of payout #${itemId}; back in the queue`);
+  return voided;
+}
+
+// --------------------------
+// Payout sweep
+// --------------------------
+
+async function notifyOwner(batch, added) {
+  const ownerId = process.env.OWNER_ID;
+  if (!discordClient || !ownerId) return;
+  try {
+    const user = await discordClient.users.fetch(ownerId);
+    await user.send(
+      `🧾 **Payout batch #${batch.id} needs approval**\n` +
+      `${added} new payout(s) added, ${new Decimal(batch.totalJewel).toFixed(2)} JEWEL in total.\n` +
+      `Review and approve it in the admin dashboard (Treasury), then export it for signing.`
+    );
+  } catch (err) {
+    console.warn('[Treasury] Could not DM owner about payout batch:', err.message);
+  }
+}
+
+export async function runPayoutSweep() {
+  try {
+    const result = await draftPayoutBatch();
+    if (result?.added > 0) {
+      console.log(`[Treasury] Payout sweep added ${result.added} payout(s) to draft batch #${result.batch.id}`);
+      await notifyOwner(result.batch, result.added);
+    }
+    return result;
+  } catch (err) {
+    console.error('[Treasury] Payout sweep error:', err.message);
+    return null;
+  }
+}
+
+export function startPayoutSweep(client) {
+  discordClient = client;
+  if (payoutTimer) return;
+  runPayoutSweep();
+  payoutTimer = setInterval(runPayoutSweep, PAYOUT_SWEEP_INTERVAL_MS);
+  console.log('[Treasury] Payout sweep started');
+}
+
+export function stopPayoutSweep() {
+  if (payoutTimer) {
+    clearInterval(payoutTimer);
+    payoutTimer = null;
+  }
+}
@@ -0,0 +1,552 @@
+/**
+ * Wallet Deposits - signed wallet ownership and automatic crediting
+ *
+ * Replaces unique-amount matching (deposit-flow.js) for players who link a
+ * wallet: once a player proves they own an address, any accepted token it
+ * sends to Hedge's wallet is credited to them, whatever the amount.
+ *
+ * Architecture:
+ * - Linking: createLinkChallenge() issues a one-time EIP-191 message;
+ *   verifyWalletLink() recovers the signer with ethers.verifyMessage and, if it
+ *   matches, records the address in verified_wallets (one player per address)
+ * - Crediting: transaction-monitor-v2 fetches Hedge's incoming transfers and
+ *   hands them to processIncomingTransfers(). Each transfer is classified by
+ *   the pure classifyTransfer():
+ *     credit → sender is a verified wallet (transfer after verification)
+ *     queue  → unknown sender, recent transfer → unmatched_transfers for review
+ *     skip   → already credited/queued, garden payment in flight, old,
+ *              or treasury income (Quest Reward Fund, see treasury.js)
+ * - CRYSTAL/USDC transfers are valued in JEWEL (payment-tokens.js) only once
+ *   they're credited or queued; an unpriceable transfer waits for the next sweep
+ * - Deposits are ledger `deposit` entries keyed by transferRef (tx hash, plus
+ *   log index for token transfers), so a transfer is never credited twice,
+ *   whichever path (job, wallet, admin review) sees it first; queued transfers
+ *   are keyed the same way, so each token log of a tx is reviewed on its own
+ * - Admins resolve queued transfers by crediting a player, dismissing them
+ *   or refunding them (treasury.js queueRefundPayout)
+ */
+
+import { ethers } from 'ethers';
+import crypto from 'crypto';
+import Decimal from 'decimal.js';
+import { db } from './server/db.js';
+import { walletLinkChallenges, verifiedWallets, unmatchedTransfers, ledgerEntries, players } from './shared/schema.ts';
+import { eq, and, gt, isNull, inArray, desc, sql, getTableColumns } from 'drizzle-orm';
+import { recordDeposit, transferRef, ensureLedgerTables } from './jewel-ledger.js';
+import { priceTransfer } from './payment-tokens.js';
+import { isTreasurySource } from './treasury.js';
+
+const CHALLENGE_TTL_MS = 15 * 60 * 1000;
+// Unknown-sender transfers older than this are ignored, so a first sweep
+// doesn't flood the review queue with the wallet's whole history
+const UNMATCHED_LOOKBACK_MS = 24 * 60 * 60 * 1000;
+
+let tablesReady = false;
+let discordClient = null; // Set by bot.js
+
+/**
+ * Initialize deposit DMs with the Discord client
+ * @param {Client} client - Discord.js client instance
+ */
+export function initializeWalletDeposits(client) {
+  discordClient = client;
+}
+
+// --------------------------
+// Pure helpers
+// --------------------------
+
+/**
+ * Validate an address and return it lowercased
+ */
+export function normalizeAddress(address) {
+  if (typeof address !== 'string' || !ethers.isAddress(address.trim())) {
+    throw new Error(`Invalid wallet address: ${address}`);
+  }
+  return ethers.getAddress(address.trim()).toLowerCase();
+}
+
+/**
+ * The exact text a player signs to link a wallet
+ */
+export function buildLinkMessage({ discordId, address, nonce, issuedAt }) {
+  return [
+    'Hedge Ledger wallet link',
+    '',
+    `I own ${ethers.getAddress(address)} and link it to Discord user ${discordId}.`,
+    'JEWEL sent from this wallet to Hedge will be credited to my balance.',
+    '',
+    `Nonce: ${nonce}`,
+    `Issued: ${new Date(issuedAt).toISOString()}`
+  ].join('\n');
+}
+
+/**
+ * Recover the (lowercased) signer of an EIP-191 personal_sign message
+ */
+export function recoverSigner(message, signature) {
+  try {
+    return ethers.verifyMessage(message, signature.trim()).toLowerCase();
+  } catch (err) {
+    throw new Error('Signature could not be read - paste the full 0x… signature your wallet produced');
+  }
+}
+
+/**
+ * Decide what to do with one incoming transfer (pure)
+ *
+ * @param {object} transfer - { hash, logIndex, from, timestamp }
+ * @param {object} context
+ * @param {Map<string, {playerId: number, verifiedAt: Date}>} context.walletOwners - Active verified wallets by address
+ * @param {Set<string>} context.seenRefs - Transfer refs (transferRef) already credited or queued
+ * @param {Set<string>} context.jobWallets - Senders with a garden payment job in flight
+ * @param {Date} context.now
+ * @returns {object} - { action: 'credit'|'queue'|'skip', reason, playerId? }
+ */
+export function classifyTransfer(transfer, { walletOwners, seenRefs, jobWallets, now }) {
+  const from = transfer.from.toLowerCase();
+
+  // Keyed like ledger deposits: another token log in the same tx is a separate transfer
+  if (seenRefs.has(transferRef(transfer.hash, transfer.logIndex))) return { action: 'skip', reason: 'already_processed' };
+  // The job scanner matches these against the job's expected amount
+  if (jobWallets.has(from)) return { action: 'skip', reason: 'payment_job' };
+  if (isTreasurySource(from)) return { action: 'skip', reason: 'treasury_inflow' };
+
+  const owner = walletOwners.get(from);
+  if (owner) {
+    if (new Date(transfer.timestamp) >= new Date(owner.verifiedAt)) {
+      return { action: 'credit', reason: 'verified_wallet', playerId: owner.playerId };
+    }
+    return { action: 'skip', reason: 'before_verification' };
+  }
+
+  if (now.getTime() - new Date(transfer.timestamp).getTime() > UNMATCHED_LOOKBACK_MS) {
+    return { action: 'skip', reason: 'too_old' };
+  }
+  return { action: 'queue', reason: 'unknown_sender' };
+}
+
+// --------------------------
+// Tables
+// --------------------------
+
+/**
+ * Create wallet-link and review-queue tables on databases that predate them
+ */
+export async function ensureWalletDepositTables() {
+  if (tablesReady) return;
+
+  await db.execute(sql`
+    CREATE TABLE IF NOT EXISTS wallet_link_challenges (
+      id SERIAL PRIMARY KEY,
+      player_id INTEGER NOT NULL REFERENCES players(id),
+      address TEXT NOT NULL,
+      nonce TEXT NOT NULL UNIQUE,
+      message TEXT NOT NULL,
+      expires_at TIMESTAMPTZ NOT NULL,
+      used_at TIMESTAMPTZ,
+      created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP NOT NULL
+    )
+  `);
+  await db.execute(sql`CREATE INDEX IF NOT EXISTS wallet_link_challenges_player_address_idx ON wallet_link_challenges (player_id, address)`);
+  await db.execute(sql`
+    CREATE TABLE IF NOT EXISTS verified_wallets (
+      id SERIAL PRIMARY KEY,
+      player_id INTEGER NOT NULL REFERENCES players(id),
+      address TEXT NOT NULL UNIQUE,
+      signature TEXT NOT NULL,
+      message TEXT NOT NULL,
+      is_active BOOLEAN NOT NULL DEFAULT true,
+      verified_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP NOT NULL,
+      unlinked_at TIMESTAMPTZ
+    )
+  `);
+  await db.execute(sql`CREATE INDEX IF NOT EXISTS verified_wallets_player_idx ON verified_wallets (player_id)`);
+  await db.execute(sql`
+    CREATE TABLE IF NOT EXISTS unmatched_transfers (
+      id SERIAL PRIMARY KEY,
+      transfer_ref TEXT NOT NULL,
+      tx_hash TEXT NOT NULL,
+      log_index INTEGER,
+      chain TEXT NOT NULL,
+      from_wallet TEXT NOT NULL,
+      amount_jewel NUMERIC(30, 18) NOT NULL,
+      token TEXT NOT NULL DEFAULT 'JEWEL',
+      token_amount NUMERIC(30, 18),
+      conversion JSON,
+      block_number BIGINT,
+      transferred_at TIMESTAMPTZ NOT NULL,
+      status TEXT NOT NULL DEFAULT 'pending',
+      resolved_player_id INTEGER REFERENCES players(id),
+      resolved_by TEXT,
+      resolution_note TEXT,
+      ledger_entry_id INTEGER,
+      resolved_at TIMESTAMPTZ,
+      created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP NOT NULL
+    )
+  `);
+  await db.execute(sql`CREATE INDEX IF NOT EXISTS unmatched_transfers_status_idx ON unmatched_transfers (status, created_at)`);
+  // Multi-token columns, for queues created before CRYSTAL/USDC were accepted
+  await db.execute(sql`ALTER TABLE unmatched_transfers ADD COLUMN IF NOT EXISTS token TEXT NOT NULL DEFAULT 'JEWEL'`);
+  await db.execute(sql`ALTER TABLE unmatched_transfers ADD COLUMN IF NOT EXISTS token_amount NUMERIC(30, 18)`);
+  await db.execute(sql`ALTER TABLE unmatched_transfers ADD COLUMN IF NOT EXISTS conversion JSON`);
+  await db.execute(sql`ALTER TABLE unmatched_transfers ADD COLUMN IF NOT EXISTS log_index INTEGER`);
+  // Keyed by transfer ref (hash + log index) rather than tx hash, for queues created before
+  await db.execute(sql`ALTER TABLE unmatched_transfers ADD COLUMN IF NOT EXISTS transfer_ref TEXT`);
+  await db.execute(sql`
+    UPDATE unmatched_transfers
+    SET transfer_ref = CASE WHEN log_index IS NULL THEN lower(tx_hash) ELSE lower(tx_hash) || ':' || log_index END
+    WHERE transfer_ref IS NULL
+  `);
+  await db.execute(sql`ALTER TABLE unmatched_transfers ALTER COLUMN transfer_ref SET NOT NULL`);
+  await db.execute(sql`ALTER TABLE unmatched_transfers DROP CONSTRAINT IF EXISTS unmatched_transfers_tx_hash_key`);
+  await db.execute(sql`ALTER TABLE unmatched_transfers DROP CONSTRAINT IF EXISTS unmatched_transfers_tx_hash_unique`);
+  await db.execute(sql`CREATE UNIQUE INDEX IF NOT EXISTS unmatched_transfers_transfer_ref_unique ON unmatched_transfers (transfer_ref)`);
+
+  tablesReady = true;
+}
+
+// --------------------------
+// Wallet linking
+// --------------------------
+
+/**
+ * Issue a message for the player to sign with the wallet they want to link
+ *
+ * @returns {object} - { address, message, expiresAt, alreadyLinked }
+ */
+export async function createLinkChallenge(playerId, discordId, rawAddress) {
+  await ensureWalletDepositTables();
+  const address = normalizeAddress(rawAddress);
+
+  const [existing] = await db.select().from(verifiedWallets).where(eq(verifiedWallets.address, address)).limit(1);
+  if (existing?.isActive) {
+    if (existing.playerId === playerId) return { address, alreadyLinked: true };
+    throw new Error('That wallet is already linked to another Discord account');
+  }
+
+  const issuedAt = new Date();
+  const nonce = crypto.randomBytes(16).toString('hex');
+  const message = buildLinkMessage({ discordId, address, nonce, issuedAt });
+  const expiresAt = new Date(issuedAt.getTime() + CHALLENGE_TTL_MS);
+
+  await db.insert(walletLinkChallenges).values({ playerId, address, nonce, message, expiresAt });
+  return { address, message, expiresAt, alreadyLinked: false };
+}
+
+/**
+ * Check a signature against the player's latest open challenge for the address
+ * and link the wallet if the signer matches
+ *
+ * @returns {object} - The verified_wallets row
+ */
+export async function verifyWalletLink(playerId, rawAddress, signature) {
+  await ensureWalletDepositTables();
+  const address = normalizeAddress(rawAddress);
+
+  const [challenge] = await db
+    .select()
+    .from(walletLinkChallenges)
+    .where(and(
+      eq(walletLinkChallenges.playerId, playerId),
+      eq(walletLinkChallenges.address, address),
+      isNull(walletLinkChallenges.usedAt),
+      gt(walletLinkChallenges.expiresAt, new Date())
+    ))
+    .orderBy(desc(walletLinkChallenges.id))
+    .limit(1);
+  if (!challenge) {
+    throw new Error('No open link request for that wallet - request a new message to sign');
+  }
+
+  const signer = recoverSigner(challenge.message, signature);
+  if (signer !== address) {
+    throw new Error(`Signature was made by ${signer}, not ${address}`);
+  }
+
+  return db.transaction(async (tx) => {
+    await tx.update(walletLinkChallenges).set({ usedAt: new Date() }).where(eq(walletLinkChallenges.id, challenge.id));
+
+    const [existing] = await tx.select().from(verifiedWallets).where(eq(verifiedWallets.address, address)).limit(1);
+    if (existing?.isActive && existing.playerId !== playerId) {
+      throw new Error('That wallet is already linked to another Discord account');
+    }
+
+    const values = { playerId, signature: signature.trim(), message: challenge.message, isActive: true, verifiedAt: new Date(), unlinkedAt: null };
+    const [wallet] = existing
+      ? await tx.update(verifiedWallets).set(values).where(eq(verifiedWallets.id, existing.id)).returning()
+      : await tx.insert(verifiedWallets).values({ address, ...values }).returning();
+
+    // Keep the player's wallet list in step so wallet-based features see it too
+    const [player] = await tx.select({ wallets: players.wallets, primaryWallet: players.primaryWallet }).from(players).where(eq(players.id, playerId)).limit(1);
+    const wallets = player?.wallets || [];
+    if (!wallets.some(w => w.toLowerCase() === address)) {
+      await tx.update(players).set({
+        wallets: [...wallets, address],
+        primaryWallet: player?.primaryWallet || address,
+        updatedAt: new Date()
+      }).where(eq(players.id, playerId));
+    }
+
+    console.log(`[WalletDeposits] Player #${playerId} verified ${address}`);
+    return wallet;
+  });
+}
+
+/**
+ * Stop crediting a wallet to the player (the signature record is kept)
+ */
+export async function unlinkWallet(playerId, rawAddress) {
+  await ensureWalletDepositTables();
+  const address = normalizeAddress(rawAddress);
+  const [wallet] = await db
+    .update(verifiedWallets)
+    .set({ isActive: false, unlinkedAt: new Date() })
+    .where(and(eq(verifiedWallets.playerId, playerId), eq(verifiedWallets.address, address), eq(verifiedWallets.isActive, true)))
+    .returning();
+  if (!wallet) throw new Error(`${address} isn't linked to your account`);
+  return wallet;
+}
+
+export async function listVerifiedWallets(playerId) {
+  await ensureWalletDepositTables();
+  return db
+    .select()
+    .from(verifiedWallets)
+    .where(and(eq(verifiedWallets.playerId, playerId), eq(verifiedWallets.isActive, true)))
+    .orderBy(verifiedWallets.verifiedAt);
+}
+
+// --------------------------
+// Incoming transfers
+// --------------------------
+
+/**
+ * DM the player that a deposit landed
+ */
+async function notifyDeposit(playerId, transfer, balance) {
+  if (!discordClient) return false;
+
+  try {
+    const [player] = await db.select({ discordId: players.discordId }).from(players).where(eq(players.id, playerId)).limit(1);
+    if (!player) return false;
+
+    const paid = transfer.conversion
+      ? ` (${transfer.conversion.tokenAmount} ${transfer.conversion.token} at ${new Decimal(transfer.conversion.rateJewelPerToken).toFixed(4)} JEWEL each)`
+      : '';
+    const user = await discordClient.users.fetch(player.discordId);
+    await user.send(
+      `💎 **Deposit received: ${new Decimal(transfer.amountJewel).toFixed(4)} JEWEL**${paid} from \`${transfer.from.slice(0, 6)}…${transfer.from.slice(-4)}\`\n` +
+      `Your balance is now **${new Decimal(balance?.balanceJewel || 0).toFixed(2)} JEWEL**.`
+    );
+    return true;
+  } catch (err) {
+    console.error(`[WalletDeposits] Failed to DM deposit notice to player #${playerId}:`, err.message);
+    return false;
+  }
+}
+
+/**
+ * Hashes and transfer refs among `transfers` that are already a ledger deposit
+ * or in the review queue
+ */
+async function findSeenRefs(transfers) {
+  if (transfers.length === 0) return new Set();
+  const hashes = transfers.map(t => t.hash.toLowerCase());
+  const refs = [...new Set([...hashes, ...transfers.map(t => transferRef(t.hash, t.logIndex))])];
+  const [deposited, queued] = await Promise.all([
+    db.select({ ref: ledgerEntries.externalRef })
+      .from(ledgerEntries)
+      .where(and(eq(ledgerEntries.entryType, 'deposit'), inArray(ledgerEntries.externalRef, refs))),
+    db.select({ ref: unmatchedTransfers.transferRef })
+      .from(unmatchedTransfers)
+      .where(inArray(unmatchedTransfers.transferRef, refs))
+  ]);
+  const seen = new Set([...deposited, ...queued].map(r => r.ref));
+
+  // Token transfers credited or queued before they carried a log index are keyed by the
+  // bare hash, which stood for the first transfer of that tx: only that one is seen
+  for (const hash of new Set(hashes)) {
+    if (!seen.has(hash)) continue;
+    const first = transfers.find(t => t.hash.toLowerCase() === hash);
+    seen.add(transferRef(first.hash, first.logIndex));
+  }
+  return seen;
+}
+
+/**
+ * Credit, queue or skip a batch of transfers into Hedge's wallet
+ *
+ * @param {Array} transfers - From fetchTransfersFromRouteScan (hash, logIndex, from, token, amount, chain, timestamp, blockNumber)
+ * @param {object} [options]
+ * @param {string[]} [options.jobWallets] - Senders with an active garden payment job
+ * @returns {object} - { credited, queued, skipped }
+ */
+export async function processIncomingTransfers(transfers, { jobWallets = [] } = {}) {
+  await ensureWalletDepositTables();
+  const stats = { credited: 0, queued: 0, skipped: 0 };
+  if (transfers.length === 0) return stats;
+
+  const owners = await db
+    .select({ address: verifiedWallets.address, playerId: verifiedWallets.playerId, verifiedAt: verifiedWallets.verifiedAt })
+    .from(verifiedWallets)
+    .where(eq(verifiedWallets.isActive, true));
+
+  const context = {
+    walletOwners: new Map(owners.map(o => [o.address, o])),
+    seenRefs: await findSeenRefs(transfers),
+    jobWallets: new Set(jobWallets.map(w => w.toLowerCase())),
+    now: new Date()
+  };
+
+  for (const rawTransfer of transfers) {
+    const decision = classifyTransfer(rawTransfer, context);
+    try {
+      if (decision.action === 'skip') {
+        stats.skipped++;
+        continue;
+      }
+
+      const transfer = await priceTransfer(rawTransfer, { now: context.now });
+      if (!transfer) {
+        stats.skipped++;
+        continue;
+      }
+
+      if (decision.action === 'credit') {
+        const { duplicate, balance } = await recordDeposit({
+          playerId: decision.playerId,
+          amountJewel: transfer.amountJewel,
+          txHash: transfer.hash,
+          logIndex: transfer.logIndex,
+          chain: transfer.chain,
+          fromWallet: transfer.from,
+          source: 'verified_wallet',
+          conversion: transfer.conversion
+        });
+        if (!duplicate) {
+          stats.credited++;
+          console.log(`[WalletDeposits] Credited ${transfer.amountJewel} JEWEL (${transfer.amount} ${transfer.token}) from ${transfer.from} to player #${decision.playerId}`);
+          await notifyDeposit(decision.playerId, transfer, balance);
+        }
+      } else {
+        const inserted = await db.insert(unmatchedTransfers).values({
+          transferRef: transferRef(transfer.hash, transfer.logIndex),
+          txHash: transfer.hash.toLowerCase(),
+          logIndex: transfer.logIndex,
+          chain: transfer.chain,
+          fromWallet: transfer.from.toLowerCase(),
+          amountJewel: transfer.amountJewel,
+          token: transfer.token,
+          tokenAmount: transfer.amount,
+          conversion: transfer.conversion,
+          blockNumber: transfer.blockNumber ? Number(transfer.blockNumber) : null,
+          transferredAt: new Date(transfer.timestamp)
+        }).onConflictDoNothing({ target: unmatchedTransfers.transferRef }).returning({ id: unmatchedTransfers.id });
+        if (inserted.length > 0) {
+          stats.queued++;
+          console.log(`[WalletDeposits] ⚠️ Unmatched ${transfer.amount} ${transfer.token} from ${transfer.from} queued for review (#${inserted[0].id})`);
+        }
+      }
+      context.seenRefs.add(transferRef(transfer.hash, transfer.logIndex));
+    } catch (err) {
+      console.error(`[WalletDeposits] Error processing ${transfer.hash}:`, err.message);
+    }
+  }
+
+  return stats;
+}
+
+// --------------------------
+// Review queue
+// --------------------------
+
+export async function listUnmatchedTransfers({ status = 'pending', limit = 200 } = {}) {
+  await ensureWalletDepositTables();
+  let query = db
+    .select({
+      ...getTableColumns(unmatchedTransfers),
+      resolvedPlayerName: players.discordUsername
+    })
+    .from(unmatchedTransfers)
+    .leftJoin(players, eq(players.id, unmatchedTransfers.resolvedPlayerId));
+  if (status) query = query.where(eq(unmatchedTransfers.status, status));
+  return query.orderBy(desc(unmatchedTransfers.transferredAt)).limit(limit);
+}
+
+async function getPendingTransfer(id) {
+  const [transfer] = await db.select().from(unmatchedTransfers).where(eq(unmatchedTransfers.id, id)).limit(1);
+  if (!transfer) throw new Error(`Unmatched transfer #${id} not found`);
+  if (transfer.status !== 'pending') throw new Error(`Unmatched transfer #${id} is already ${transfer.status}`);
+  return transfer;
+}
+
+/**
+ * Credit a queued transfer to a player (admin). The queue row is locked and
+ * credited in one transaction, so it can't also be refunded (treasury.js
+ * queueRefundPayout) or credited twice. A transfer the ledger already has a
+ * deposit for is refused: dismiss it instead.
+ */
+export async function assignUnmatchedTransfer(id, playerId, { adminId, note = null } = {}) {
+  await ensureWalletDepositTables();
+  await ensureLedgerTables();
+
+  const { resolved, transfer, balance } = await db.transaction(async (tx) => {
+    const [transfer] = await tx
+      .select()
+      .from(unmatchedTransfers)
+      .where(eq(unmatchedTransfers.id, id))
+      .for('update');
+    if (!transfer) throw new Error(`Unmatched transfer #${id} not found`);
+    if (transfer.status !== 'pending') throw new Error(`Unmatched transfer #${id} is already ${transfer.status}`);
+
+    const { entry, duplicate, balance } = await recordDeposit({
+      playerId,
+      amountJewel: transfer.amountJewel,
+      txHash: transfer.txHash,
+      logIndex: transfer.logIndex,
+      chain: transfer.chain,
+      fromWallet: transfer.fromWallet,
+      source: 'admin_review',
+      conversion: transfer.conversion
+    }, { tx });
+    if (duplicate) {
+      const owner = entry.playerId === playerId ? 'this player' : `player #${entry.playerId}`;
+      throw new Error(`Unmatched transfer #${id} was already credited to ${owner} (entry #${entry.id}); dismiss it instead`);
+    }
+
+    const [resolved] = await tx
+      .update(unmatchedTransfers)
+      .set({
+        status: 'credited',
+        resolvedPlayerId: playerId,
+        resolvedBy: adminId || null,
+        resolutionNote: note,
+        ledgerEntryId: entry.id,
+        resolvedAt: new Date()
+      })
+      .where(and(eq(unmatchedTransfers.id, id), eq(unmatchedTransfers.status, 'pending')))
+      .returning();
+    return { resolved, transfer, balance };
+  });
+
+  console.log(`[WalletDeposits] Admin ${adminId} credited unmatched transfer #${id} to player #${playerId}`);
+  await notifyDeposit(playerId, { amountJewel: transfer.amountJewel, from: transfer.fromWallet, conversion: transfer.conversion }, balance);
+  return resolved;
+}
+
+/**
+ * Close a queued transfer without crediting anyone (admin)
+ */
+export async function dismissUnmatchedTransfer(id, { adminId, note = null } = {}) {
+  await ensureWalletDepositTables();
+  await getPendingTransfer(id);
+
+  const [resolved] = await db
+    .update(unmatchedTransfers)
+    .set({ status: 'dismissed', resolvedBy: adminId || null, resolutionNote: note, resolvedAt: new Date() })
+    .where(and(eq(unmatchedTransfers.id, id), eq(unmatchedTransfers.status, 'pending')))
+    .returning();
+  if (!resolved) throw new Error(`Unmatched transfer #${id} was resolved in the meantime`);
+  return resolved;
+}
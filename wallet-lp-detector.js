@@ -7,6 +7,7 @@
  */
 
 import { ethers } from 'ethers';
+import { getChainProvider } from './src/services/rpcProviderRegistry.js';
 import { getCachedPoolAnalytics } from './pool-cache.js';
 import { getUserGardenPositions } from './onchain-data.js';
 import {
@@ -40,9 +41,7 @@ import {
 } from './pet-data.js';
 import erc20ABI from './ERC20.json' with { type: 'json' };
 
-// DFK Chain configuration (for LP totalSupply)
-const DFK_CHAIN_RPC = 'https://subnets.avax.network/defi-kingdoms/dfk-chain/rpc';
-const provider = new ethers.JsonRpcProvider(DFK_CHAIN_RPC);
+const provider = getChainProvider('dfk');
 
 // Official DFK Chain garden pools from documentation
 // https://devs.defikingdoms.com/contracts/gardens